@@ -21,6 +21,7 @@ const config = {
       testMatch: [
         "<rootDir>/tests/database/**.test.js",
         "<rootDir>/tests/http/**.test.js",
+        "<rootDir>/tests/storage/**.test.js",
         "<rootDir>/tests/vcs/**.test.js",
       ],
     },
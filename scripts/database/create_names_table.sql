@@ -27,3 +27,9 @@ ALTER TABLE names DROP CONSTRAINT previous_foreign_key_name;
 ALTER TABLE names
 ADD CONSTRAINT package_names_fkey FOREIGN KEY (pointer) REFERENCES packages(pointer) ON DELETE SET NULL;
 */
+
+-- Index the trigrams of package names, to suggest names similar to a search
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE INDEX names_name_trgm_idx ON names USING GIN (name gin_trgm_ops);
@@ -0,0 +1,23 @@
+-- Table: public.orgs
+
+CREATE TABLE orgs (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(64) NOT NULL UNIQUE,
+    description TEXT,
+    avatar VARCHAR(256),
+    created TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT org_name_format CHECK (name ~ '^[a-z0-9][a-z0-9-]*$')
+);
+
+-- Table: public.org_members
+
+CREATE TYPE orgRole AS ENUM('owner', 'member');
+
+CREATE TABLE org_members (
+    org INTEGER NOT NULL REFERENCES orgs(id) ON DELETE CASCADE,
+    userid INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role orgRole NOT NULL DEFAULT 'member',
+    created TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (org, userid)
+);
@@ -0,0 +1,13 @@
+-- Table: public.package_health
+
+CREATE TABLE package_health (
+    id SERIAL PRIMARY KEY,
+    package UUID NOT NULL REFERENCES packages(pointer) ON DELETE CASCADE,
+    healthy BOOLEAN NOT NULL,
+    checks JSONB NOT NULL,
+    -- The titles of the badges currently applied on behalf of the health checks
+    badges JSONB NOT NULL DEFAULT '[]'::jsonb,
+    created TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX package_health_package_idx ON package_health(package, id DESC);
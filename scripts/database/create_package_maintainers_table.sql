@@ -0,0 +1,20 @@
+-- Table: public.package_maintainers
+
+CREATE TYPE maintainerRole AS ENUM('owner', 'maintainer');
+
+CREATE TABLE package_maintainers (
+    package UUID NOT NULL REFERENCES packages(pointer) ON DELETE CASCADE,
+    userid INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role maintainerRole NOT NULL DEFAULT 'maintainer',
+    -- An invited maintainer has no access until they accept the invite.
+    accepted BOOLEAN NOT NULL DEFAULT FALSE,
+    invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT accepted_owner CHECK (role <> 'owner' OR accepted),
+    PRIMARY KEY (package, userid)
+);
+
+-- A package has at most one owner, who is never merely invited.
+CREATE UNIQUE INDEX package_maintainers_owner_idx ON package_maintainers(package)
+    WHERE role = 'owner';
@@ -69,3 +69,41 @@ EXECUTE PROCEDURE now_on_updated_package();
 -- wiggle room.
 ALTER TABLE packages
 ADD COLUMN owner VARCHAR(60);
+
+-- Add weighted full-text search of packages
+
+-- The name of a package weighs the most, followed by the description, keywords,
+-- and finally the readme. Very long readmes are truncated, since the size of a
+-- tsvector is limited.
+ALTER TABLE packages
+ADD COLUMN search_vector tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', name), 'A') ||
+    setweight(to_tsvector('english', COALESCE(data->'metadata'->>'description', '')), 'B') ||
+    setweight(jsonb_to_tsvector('english', COALESCE(data->'metadata'->'keywords', '[]'::jsonb), '["string"]'), 'C') ||
+    setweight(to_tsvector('english', LEFT(COALESCE(data->>'readme', ''), 100000)), 'D')
+) STORED;
+
+CREATE INDEX packages_search_vector_idx ON packages USING GIN (search_vector);
+
+-- Deprecate packages while keeping them installable
+
+-- The message explaining the deprecation, or NULL when not deprecated.
+ALTER TABLE packages ADD COLUMN deprecated TEXT;
+
+-- Decide who may publish and delete a package
+
+-- `vcs` only allows those with write access to the repository of the package,
+-- `registry` only allows its maintainers, and `either` allows both.
+CREATE TYPE maintainerPolicy AS ENUM('vcs', 'registry', 'either');
+
+ALTER TABLE packages
+    ADD COLUMN maintainer_policy maintainerPolicy NOT NULL DEFAULT 'either',
+    -- The user the owner has offered the package to, until they accept.
+    ADD COLUMN pending_owner INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+-- Assign packages to orgs
+
+ALTER TABLE packages
+    ADD COLUMN org INTEGER REFERENCES orgs(id) ON DELETE SET NULL;
+
+CREATE INDEX packages_org_idx ON packages(org);
@@ -0,0 +1,16 @@
+-- Create tokens Table
+
+CREATE TABLE tokens (
+    id SERIAL PRIMARY KEY,
+    userid INTEGER NOT NULL REFERENCES users(id),
+    name VARCHAR(256) NOT NULL,
+    -- Only a SHA-256 hash of the token is ever stored
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    scopes VARCHAR(64)[] NOT NULL DEFAULT '{}',
+    -- NULL when the token isn't restricted to any packages
+    packages VARCHAR(256)[],
+    created TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_used TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX tokens_userid_idx ON tokens(userid);
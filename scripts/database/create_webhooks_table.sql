@@ -0,0 +1,48 @@
+-- Table: public.webhooks
+
+CREATE TYPE webhookEvent AS ENUM('publish', 'version', 'delete', 'star', 'badge');
+
+CREATE TABLE webhooks (
+    id SERIAL PRIMARY KEY,
+    userid INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    url VARCHAR(256) NOT NULL,
+    -- Kept as is, since it's needed to sign every payload
+    secret VARCHAR(64) NOT NULL,
+    events webhookEvent[] NOT NULL,
+    -- NULL when the webhook isn't limited to a package or owner
+    package VARCHAR(256),
+    owner VARCHAR(256),
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    created TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT webhook_events CHECK (CARDINALITY(events) > 0)
+);
+
+CREATE INDEX webhooks_userid_idx ON webhooks(userid);
+
+-- Table: public.webhook_deliveries
+
+CREATE TYPE deliveryState AS ENUM('pending', 'delivered', 'dead');
+
+CREATE TABLE webhook_deliveries (
+    id UUID PRIMARY KEY,
+    webhook INTEGER REFERENCES webhooks(id) ON DELETE CASCADE,
+    -- The built-in subscriber delivered to, when not a registered webhook
+    subscriber VARCHAR(64),
+    event webhookEvent NOT NULL,
+    payload JSONB NOT NULL,
+    state deliveryState NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    -- The status, error, and duration of the last attempt
+    status INTEGER,
+    error TEXT,
+    duration INTEGER,
+    created TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT delivery_recipient CHECK ((webhook IS NULL) <> (subscriber IS NULL))
+);
+
+CREATE INDEX webhook_deliveries_webhook_idx ON webhook_deliveries(webhook, created DESC);
+CREATE INDEX webhook_deliveries_pending_idx ON webhook_deliveries(next_attempt) WHERE state = 'pending';
+CREATE INDEX webhook_deliveries_dead_idx ON webhook_deliveries(updated DESC) WHERE state = 'dead';
@@ -0,0 +1,26 @@
+-- Create releases Table
+
+CREATE TYPE releaseChannel AS ENUM('stable', 'beta');
+
+CREATE TYPE releasePlatform AS ENUM('darwin', 'win32', 'linux');
+
+CREATE TABLE releases (
+    id SERIAL PRIMARY KEY,
+    version VARCHAR(256) NOT NULL,
+    channel releaseChannel NOT NULL DEFAULT 'stable',
+    platform releasePlatform NOT NULL,
+    url VARCHAR(512) NOT NULL,
+    notes TEXT,
+    pub_date TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    created TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    -- generated columns
+    semver_v1 INTEGER GENERATED ALWAYS AS
+        (CAST ((regexp_match(version, '^(\d+)\.(\d+)\.(\d+)'))[1] AS INTEGER)) STORED,
+    semver_v2 INTEGER GENERATED ALWAYS AS
+        (CAST ((regexp_match(version, '^(\d+)\.(\d+)\.(\d+)'))[2] AS INTEGER)) STORED,
+    semver_v3 INTEGER GENERATED ALWAYS AS
+        (CAST ((regexp_match(version, '^(\d+)\.(\d+)\.(\d+)'))[3] AS INTEGER)) STORED,
+    -- constraints
+    CONSTRAINT release_semver_format CHECK (version ~ '^\d+\.\d+\.\d+'),
+    CONSTRAINT unique_release UNIQUE(version, channel, platform)
+);
@@ -0,0 +1,9 @@
+-- Add scopes and package restrictions to the tokens Table
+
+ALTER TABLE tokens
+    ADD COLUMN scopes VARCHAR(64)[] NOT NULL DEFAULT '{}',
+    ADD COLUMN packages VARCHAR(256)[];
+
+-- Tokens issued before scopes existed were able to do everything
+UPDATE tokens
+SET scopes = '{publish:new,publish:version,delete,star,read:private}';
@@ -0,0 +1,6 @@
+-- Add roles to the users Table
+
+CREATE TYPE userRole AS ENUM('user', 'admin');
+
+ALTER TABLE users
+    ADD COLUMN role userRole NOT NULL DEFAULT 'user';
@@ -0,0 +1,30 @@
+-- Create admin_actions Table
+
+CREATE TYPE adminAction AS ENUM('unreserve_name', 'force_delete', 'transfer_ownership', 'add_badge', 'add_ban', 'remove_ban', 'add_featured', 'remove_featured');
+
+CREATE TABLE admin_actions (
+    id SERIAL PRIMARY KEY,
+    action adminAction NOT NULL,
+    userid INTEGER NOT NULL REFERENCES users(id),
+    -- Not a reference to `packages`, since the package may no longer exist
+    package VARCHAR(128),
+    reason TEXT,
+    details JSONB,
+    created TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX admin_actions_package_idx ON admin_actions(package);
+
+-- The table is append-only, so the moderation history can't be rewritten
+
+CREATE FUNCTION reject_admin_actions_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'admin_actions is append-only';
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER trigger_admin_actions_append_only
+    BEFORE UPDATE OR DELETE ON admin_actions
+    FOR EACH ROW
+EXECUTE PROCEDURE reject_admin_actions_change();
@@ -0,0 +1,3 @@
+-- Allow the removal of badges to be recorded as an admin action
+
+ALTER TYPE adminAction ADD VALUE 'remove_badge' AFTER 'add_badge';
@@ -0,0 +1,14 @@
+-- Add weighted full-text search of packages
+
+-- The name of a package weighs the most, followed by the description, keywords,
+-- and finally the readme. Very long readmes are truncated, since the size of a
+-- tsvector is limited.
+ALTER TABLE packages
+ADD COLUMN search_vector tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', name), 'A') ||
+    setweight(to_tsvector('english', COALESCE(data->'metadata'->>'description', '')), 'B') ||
+    setweight(jsonb_to_tsvector('english', COALESCE(data->'metadata'->'keywords', '[]'::jsonb), '["string"]'), 'C') ||
+    setweight(to_tsvector('english', LEFT(COALESCE(data->>'readme', ''), 100000)), 'D')
+) STORED;
+
+CREATE INDEX packages_search_vector_idx ON packages USING GIN (search_vector);
@@ -0,0 +1,5 @@
+-- Index the trigrams of package names, to suggest names similar to a search
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE INDEX names_name_trgm_idx ON names USING GIN (name gin_trgm_ops);
@@ -0,0 +1,7 @@
+-- Store the Pulsar versions each package version is compatible with
+
+-- The `engines.atom` semver range of a version, parsed by `src/engine.js` into
+-- an array of intervals, each as `{ "min": [major, minor, patch], "max": ... }`.
+-- `min` is inclusive, `max` exclusive, and either is null when unbounded.
+-- Existing versions are filled in by `scripts/tools/engine-ranges.js`.
+ALTER TABLE versions ADD COLUMN engine_ranges JSONB;
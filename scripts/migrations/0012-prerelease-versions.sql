@@ -0,0 +1,26 @@
+-- Store and order prerelease versions as described by semver 2.0.0
+
+-- A full semver, with an optional prerelease and build metadata. Existing
+-- versions only had to start with a semver, so they aren't validated again.
+ALTER TABLE versions DROP CONSTRAINT semver2_format;
+ALTER TABLE versions ADD CONSTRAINT semver2_format CHECK (
+    semver ~ '^\d+\.\d+\.\d+(-[0-9A-Za-z-]+(\.[0-9A-Za-z-]+)*)?(\+[0-9A-Za-z-]+(\.[0-9A-Za-z-]+)*)?$'
+) NOT VALID;
+
+-- The prerelease identifiers of a semver, as an array that sorts by precedence.
+-- Numeric identifiers are padded to sort numerically, and before alphanumeric
+-- identifiers, which sort in ASCII order. NULL when not a prerelease.
+CREATE FUNCTION semver_prerelease(semver TEXT) RETURNS TEXT[] AS $$
+    SELECT ARRAY_AGG(
+        CASE WHEN ident ~ '^\d+$' THEN '0' || lpad(ident, 20, '0') ELSE '1' || ident END
+        ORDER BY pos
+    )
+    FROM unnest(string_to_array(
+        (regexp_match(semver, '^\d+\.\d+\.\d+-([0-9A-Za-z.-]+)'))[1], '.'
+    )) WITH ORDINALITY AS i(ident, pos);
+$$ LANGUAGE SQL IMMUTABLE;
+
+-- A release sorts after all of its prereleases, so the column must be ordered
+-- with `NULLS FIRST` when descending.
+ALTER TABLE versions ADD COLUMN semver_pre TEXT[] COLLATE "C"
+    GENERATED ALWAYS AS (semver_prerelease(semver)) STORED;
@@ -0,0 +1,13 @@
+-- Create dist_tags Table
+
+CREATE TABLE dist_tags (
+    package UUID NOT NULL REFERENCES packages(pointer) ON DELETE CASCADE,
+    -- A tag must start with a letter, so it's never mistaken for a version.
+    -- `latest` is reserved, as it's always the latest version of the package.
+    tag VARCHAR(64) NOT NULL,
+    version INTEGER NOT NULL REFERENCES versions(id) ON DELETE CASCADE,
+    created TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT dist_tag_format CHECK (tag ~ '^[a-z][a-z0-9._-]*$' AND tag <> 'latest'),
+    PRIMARY KEY (package, tag)
+);
@@ -0,0 +1,5 @@
+-- Deprecate packages, or single versions, while keeping them installable
+
+-- The message explaining the deprecation, or NULL when not deprecated.
+ALTER TABLE packages ADD COLUMN deprecated TEXT;
+ALTER TABLE versions ADD COLUMN deprecated TEXT;
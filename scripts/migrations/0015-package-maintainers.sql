@@ -0,0 +1,33 @@
+-- Create package_maintainers Table
+
+CREATE TYPE maintainerRole AS ENUM('owner', 'maintainer');
+
+CREATE TABLE package_maintainers (
+    package UUID NOT NULL REFERENCES packages(pointer) ON DELETE CASCADE,
+    userid INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role maintainerRole NOT NULL DEFAULT 'maintainer',
+    -- An invited maintainer has no access until they accept the invite.
+    accepted BOOLEAN NOT NULL DEFAULT FALSE,
+    invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (package, userid)
+);
+
+-- A package has at most one owner, who is never merely invited.
+CREATE UNIQUE INDEX package_maintainers_owner_idx ON package_maintainers(package)
+    WHERE role = 'owner';
+
+ALTER TABLE package_maintainers ADD CONSTRAINT accepted_owner
+    CHECK (role <> 'owner' OR accepted);
+
+-- Decide who may publish and delete a package
+
+-- `vcs` only allows those with write access to the repository of the package,
+-- `registry` only allows its maintainers, and `either` allows both.
+CREATE TYPE maintainerPolicy AS ENUM('vcs', 'registry', 'either');
+
+ALTER TABLE packages
+    ADD COLUMN maintainer_policy maintainerPolicy NOT NULL DEFAULT 'either',
+    -- The user the owner has offered the package to, until they accept.
+    ADD COLUMN pending_owner INTEGER REFERENCES users(id) ON DELETE SET NULL;
@@ -0,0 +1,28 @@
+-- Create orgs and org_members Tables
+
+CREATE TABLE orgs (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(64) NOT NULL UNIQUE,
+    description TEXT,
+    avatar VARCHAR(256),
+    created TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT org_name_format CHECK (name ~ '^[a-z0-9][a-z0-9-]*$')
+);
+
+CREATE TYPE orgRole AS ENUM('owner', 'member');
+
+CREATE TABLE org_members (
+    org INTEGER NOT NULL REFERENCES orgs(id) ON DELETE CASCADE,
+    userid INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role orgRole NOT NULL DEFAULT 'member',
+    created TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (org, userid)
+);
+
+-- Assign packages to orgs
+
+ALTER TABLE packages
+    ADD COLUMN org INTEGER REFERENCES orgs(id) ON DELETE SET NULL;
+
+CREATE INDEX packages_org_idx ON packages(org);
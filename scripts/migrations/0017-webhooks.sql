@@ -0,0 +1,36 @@
+-- Create webhooks and webhook_deliveries Tables
+
+CREATE TYPE webhookEvent AS ENUM('publish', 'version', 'delete', 'star', 'badge');
+
+CREATE TABLE webhooks (
+    id SERIAL PRIMARY KEY,
+    userid INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    url VARCHAR(256) NOT NULL,
+    -- Kept as is, since it's needed to sign every payload
+    secret VARCHAR(64) NOT NULL,
+    events webhookEvent[] NOT NULL,
+    -- NULL when the webhook isn't limited to a package or owner
+    package VARCHAR(256),
+    owner VARCHAR(256),
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    created TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT webhook_events CHECK (CARDINALITY(events) > 0)
+);
+
+CREATE INDEX webhooks_userid_idx ON webhooks(userid);
+
+CREATE TABLE webhook_deliveries (
+    id UUID PRIMARY KEY,
+    webhook INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+    event webhookEvent NOT NULL,
+    payload JSONB NOT NULL,
+    -- NULL when no response was received
+    status INTEGER,
+    success BOOLEAN NOT NULL,
+    error TEXT,
+    duration INTEGER NOT NULL,
+    created TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX webhook_deliveries_webhook_idx ON webhook_deliveries(webhook, created DESC);
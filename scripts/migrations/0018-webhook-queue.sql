@@ -0,0 +1,27 @@
+-- Queue webhook deliveries, retrying them until they succeed or are dead-lettered
+
+CREATE TYPE deliveryState AS ENUM('pending', 'delivered', 'dead');
+
+ALTER TABLE webhook_deliveries
+    ALTER COLUMN webhook DROP NOT NULL,
+    ALTER COLUMN duration DROP NOT NULL,
+    -- The built-in subscriber delivered to, when not a registered webhook
+    ADD COLUMN subscriber VARCHAR(64),
+    ADD COLUMN state deliveryState NOT NULL DEFAULT 'pending',
+    ADD COLUMN attempts INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN next_attempt TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    ADD COLUMN updated TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    ADD CONSTRAINT delivery_recipient CHECK ((webhook IS NULL) <> (subscriber IS NULL));
+
+-- Every delivery recorded so far was attempted once, and never retried
+UPDATE webhook_deliveries
+SET attempts = 1,
+    state = CASE WHEN success THEN 'delivered'::deliveryState ELSE 'dead'::deliveryState END,
+    updated = created;
+
+ALTER TABLE webhook_deliveries DROP COLUMN success;
+
+CREATE INDEX webhook_deliveries_pending_idx ON webhook_deliveries(next_attempt) WHERE state = 'pending';
+CREATE INDEX webhook_deliveries_dead_idx ON webhook_deliveries(updated DESC) WHERE state = 'dead';
+
+ALTER TYPE adminAction ADD VALUE 'redeliver_webhook';
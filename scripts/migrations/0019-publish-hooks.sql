@@ -0,0 +1,13 @@
+-- Create publish_hooks Table
+
+-- Lets GitHub webhooks publish new versions of a package, once its owner opts in
+CREATE TABLE publish_hooks (
+    package UUID PRIMARY KEY REFERENCES packages(pointer) ON DELETE CASCADE,
+    -- Versions published by the hook are published as this user
+    userid INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    -- Kept as is, since it's needed to verify every delivery
+    secret VARCHAR(64) NOT NULL,
+    last_delivery TIMESTAMP WITH TIME ZONE,
+    created TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
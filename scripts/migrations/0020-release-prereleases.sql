@@ -0,0 +1,7 @@
+-- Order editor releases by semver precedence, including their prereleases
+
+-- The prerelease identifiers of the release, sorting as those of versions do.
+-- A release sorts after all of its prereleases, so the column must be ordered
+-- with `NULLS FIRST` when descending.
+ALTER TABLE releases ADD COLUMN semver_pre TEXT[] COLLATE "C"
+    GENERATED ALWAYS AS (semver_prerelease(version)) STORED;
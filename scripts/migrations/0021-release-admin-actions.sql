@@ -0,0 +1,4 @@
+-- Allow changes to the release catalogue to be recorded as admin actions
+
+ALTER TYPE adminAction ADD VALUE 'add_release';
+ALTER TYPE adminAction ADD VALUE 'remove_release';
@@ -0,0 +1,105 @@
+/**
+The purpose of this script is to fill in the `engine_ranges` of every package
+version published before they were parsed, allowing the `engine` query parameter
+to filter them. Versions that already have their `engine_ranges` are skipped,
+so it's safe to run more than once.
+
+Usage:
+  npm run tool:engine-ranges
+  VERBOSE=1 npm run tool:engine-ranges
+
+Notes:
+  - This script does rely on `./src/config.js` to collect db connection configuration
+  - Ranges are parsed by `./src/engine.js`, the same as during publication
+*/
+
+const fs = require("fs");
+const postgres = require("postgres");
+const { engineRanges } = require("../../src/engine.js");
+const { DB_HOST, DB_USER, DB_PASS, DB_DB, DB_PORT, DB_SSL_CERT } =
+  require("../../src/config.js").getConfig();
+
+let sqlStorage;
+
+const BATCH = 500;
+const VERBOSE = (process.env.VERBOSE ?? "0") !== "0";
+
+function log(...args) {
+  if (!VERBOSE) return;
+  return console.log(...args);
+}
+
+async function init() {
+  sqlStorage ??= setupSQL();
+
+  let updated = 0;
+
+  for (;;) {
+    const versions = await sqlStorage`
+      SELECT id, semver, engine FROM versions
+      WHERE engine_ranges IS NULL
+      ORDER BY id
+      LIMIT ${BATCH};
+    `;
+
+    if (versions.count === 0) {
+      break;
+    }
+
+    for (const { id, semver, engine } of versions) {
+      const ranges = engineRanges(engine);
+
+      if (ranges.length === 0) {
+        log(`Version ${semver}::${id} has an invalid engine:`, engine);
+      }
+
+      await sqlStorage`
+        UPDATE versions
+        SET engine_ranges = ${sqlStorage.json(ranges)}
+        WHERE id = ${id};
+      `;
+      updated++;
+    }
+
+    log(`Updated ${updated} versions`);
+  }
+
+  console.log(`Filled in the engine ranges of ${updated} versions.`);
+
+  await sqlEnd();
+  process.exit(0);
+}
+
+function setupSQL() {
+  try {
+    let options = {
+      host: DB_HOST,
+      username: DB_USER,
+      password: DB_PASS,
+      database: DB_DB,
+      port: DB_PORT,
+    };
+    if (DB_SSL_CERT) {
+      options.ssl = {
+        rejectUnauthorized: true,
+        ca: fs.readFileSync(DB_SSL_CERT).toString(),
+      };
+    }
+    sqlStorage = postgres(options);
+
+    return sqlStorage;
+  } catch (err) {
+    console.error(err);
+    process.exit(100);
+  }
+}
+
+async function sqlEnd() {
+  if (sqlStorage !== undefined) {
+    await sqlStorage.end();
+    console.log("Task done!");
+  }
+  return;
+}
+
+init();
@@ -36,6 +36,8 @@ Health Checks:
 
 Notes:
   - This script does rely on `./src/config.js` to collect db connection configuration
+  - The server also runs health checks in the background, applying badges from
+    their results. See `./src/health.js`
 */
 
 const fs = require("fs");
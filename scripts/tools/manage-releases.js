@@ -0,0 +1,99 @@
+/**
+Provides the ability to manage the catalogue of Pulsar releases served by the
+`/api/updates` endpoint.
+
+Providing `add` will insert a release, or update the existing release sharing
+the same version, channel, and platform.
+Providing `remove` will delete the release matching the version, channel,
+and platform given.
+
+Usage:
+  npm run tool:releases add version=1.100.0 platform=darwin url=https://... notes="Release Notes"
+  npm run tool:releases add version=1.101.0 platform=win32 channel=beta url=https://...
+  npm run tool:releases remove version=1.101.0 platform=win32 channel=beta
+  node ./scripts/tools/manage-releases.js add version=1.100.0 platform=linux url=https://...
+
+Notes:
+  - `channel` defaults to `stable` if not provided.
+  - Admins should prefer `POST` and `DELETE` on `/api/admin/releases`, which
+    record the change as an admin action. Changes made here aren't recorded.
+  - This script does rely on `./src/config.js` to collect db connection configuration data
+*/
+
+const database = require("../../src/database.js");
+
+const VALID_PLATFORMS = ["darwin", "win32", "linux"];
+const VALID_CHANNELS = ["stable", "beta"];
+const VALID_KEYS = [
+  "version",
+  "platform",
+  "channel",
+  "url",
+  "notes",
+  "pub_date",
+];
+
+async function init(params) {
+  const action = params[0];
+  const release = {
+    channel: "stable",
+  };
+
+  for (const param of params.slice(1)) {
+    const key = param.split("=")[0];
+
+    if (!VALID_KEYS.includes(key)) {
+      console.error(`Unrecognized parameter: ${param}`);
+      process.exit(100);
+    }
+
+    release[key] = param.slice(key.length + 1);
+  }
+
+  if (!["add", "remove"].includes(action)) {
+    console.error("Must specify either 'add' or 'remove'!");
+    process.exit(100);
+  }
+  if (!/^\d+\.\d+\.\d+/.test(release.version ?? "")) {
+    console.error(`Invalid Release Version: ${release.version}!`);
+    process.exit(100);
+  }
+  if (!VALID_PLATFORMS.includes(release.platform)) {
+    console.error(`Unrecognized Release Platform: ${release.platform}!`);
+    process.exit(100);
+  }
+  if (!VALID_CHANNELS.includes(release.channel)) {
+    console.error(`Unrecognized Release Channel: ${release.channel}!`);
+    process.exit(100);
+  }
+  if (action === "add" && !/^https?:\/\//.test(release.url ?? "")) {
+    console.error(`Invalid Release URL: ${release.url}!`);
+    process.exit(100);
+  }
+
+  const result =
+    action === "add"
+      ? await database.insertRelease(release)
+      : await database.removeRelease(
+          release.version,
+          release.channel,
+          release.platform
+        );
+
+  await database.shutdownSQL();
+
+  if (!result.ok) {
+    console.error("An error occured!");
+    console.error(result.error ?? result.content);
+    process.exit(100);
+  }
+
+  console.log(
+    action === "add"
+      ? `Successfully inserted release ${release.version}.`
+      : result.content
+  );
+  process.exit(0);
+}
+
+init(process.argv.slice(2));
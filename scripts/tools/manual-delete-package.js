@@ -14,6 +14,8 @@ Usage:
 
 Notes:
   - This script does rely on `./src/config.js` to collect db connection configuration data
+  - Deletions made by this script are not recorded as an admin action. Prefer
+    `DELETE /api/admin/packages/:packageName` of the Admin API whenever possible.
 
 */
 
@@ -322,11 +322,14 @@ class Version {
         `Latest semver: ${this.latestSemver} - Typeof: ${typeof this
           .latestSemver}`
       );
+      // A release is always preferred over a prerelease as the latest version
+      const isRelease = !utils.semverPrerelease(cleanSemver);
+      const latestIsRelease = !utils.semverPrerelease(this.latestSemver);
+
       if (
-        utils.semverGt(
-          utils.semverArray(cleanSemver),
-          utils.semverArray(this.latestSemver)
-        )
+        (isRelease && !latestIsRelease) ||
+        (isRelease === latestIsRelease &&
+          utils.semverCompare(cleanSemver, this.latestSemver) > 0)
       ) {
         // The provided semver is greater than our current latest
         this.latestSemver = cleanSemver;
@@ -1,7 +1,35 @@
+const crypto = require("crypto");
 const superagent = require("superagent");
 const { GH_USERAGENT } = require("./config.js").getConfig();
 const logger = require("./logger.js");
 
+// Every registry issued token begins with this prefix, letting us tell them
+// apart from GitHub tokens without contacting GitHub.
+const TOKEN_PREFIX = "pulsar_";
+
+// The scopes a registry token can be granted.
+// GitHub tokens are always granted every one of them.
+const TOKEN_SCOPES = [
+  "publish:new",
+  "publish:version",
+  "delete",
+  "star",
+  "read:private",
+  "manage:maintainers",
+  "manage:orgs",
+  "manage:webhooks",
+  "manage:hooks",
+];
+
+// Who may publish and delete a package, as set per package.
+// `vcs` requires write access to its repository, `registry` requires being one
+// of its maintainers, and `either` accepts both.
+const MAINTAINER_POLICIES = ["vcs", "registry", "either"];
+
+// The roles of the members of an org. An `owner` manages the org, its members,
+// and its packages, while a `member` maintains its packages.
+const ORG_ROLES = ["owner", "member"];
+
 /**
  * @async
  * @function verifyAuth
@@ -11,10 +39,18 @@ const logger = require("./logger.js");
  * Once that is done, we can go ahead and search for said user within the database.
  * If the user exists, then we can confirm that they are both locally and globally
  * authenticated, and execute whatever action it is they wanted to.
+ * Registry issued tokens are instead verified directly against the database,
+ * without contacting GitHub at all.
+ * When a scope is provided, the token must also grant that scope, for the
+ * package provided if any, otherwise the user is considered unauthorized.
+ * Likewise when `admin` is true, the user must be an admin.
  * @params {string} token - The token the user provided.
+ * @params {object} db - The database module.
+ * @params {object} [opts] - The `scope` the token must grant, and the optional
+ * `package` the scope is needed for. Or `admin` if the user must be an admin.
  * @returns {object} A server status object.
  */
-async function verifyAuth(token, db) {
+async function verifyAuth(token, db, opts = {}) {
   if (token === null || token === undefined || token.length === 0) {
     logger.generic(
       5,
@@ -28,6 +64,60 @@ async function verifyAuth(token, db) {
     };
   }
 
+  const user = token.startsWith(TOKEN_PREFIX)
+    ? await verifyRegistryToken(token, db)
+    : await verifyGitHubToken(token, db);
+
+  if (!user.ok) {
+    return user;
+  }
+
+  if (opts.admin === true && !isAdmin(user.content)) {
+    logger.generic(
+      4,
+      `auth.verifyAuth() ${user.content.username} attempted an admin action`
+    );
+
+    return {
+      ok: false,
+      short: "unauthorized",
+      content: "Only an admin authenticated with a GitHub token can do this.",
+    };
+  }
+
+  if (typeof opts.scope !== "string") {
+    return user;
+  }
+
+  if (!tokenAllows(user.content, opts.scope, opts.package)) {
+    logger.generic(
+      6,
+      `auth.verifyAuth() Token is missing the '${opts.scope}' scope`
+    );
+
+    return {
+      ok: false,
+      short: "unauthorized",
+      content: `The token does not grant the '${opts.scope}' scope${
+        typeof opts.package === "string" ? ` for ${opts.package}` : ""
+      }.`,
+    };
+  }
+
+  return user;
+}
+
+/**
+ * @async
+ * @function verifyGitHubToken
+ * @desc Verifies a GitHub token by asking GitHub for the details of the user
+ * it belongs to, then finding that user within the database. A GitHub token
+ * is granted every scope, for every package.
+ * @param {string} token - The GitHub token the user provided.
+ * @param {object} db - The database module.
+ * @returns {object} A server status object.
+ */
+async function verifyGitHubToken(token, db) {
   try {
     let userData = await superagent
       .get("https://api.github.com/user")
@@ -80,6 +170,10 @@ async function verifyAuth(token, db) {
       username: dbUser.content.username,
       avatar: dbUser.content.avatar,
       data: dbUser.content.data,
+      role: dbUser.content.role ?? "user",
+      auth_type: "github",
+      scopes: TOKEN_SCOPES,
+      packages: null,
     };
 
     logger.generic(
@@ -105,6 +199,255 @@ async function verifyAuth(token, db) {
   }
 }
 
+/**
+ * @async
+ * @function verifyRegistryToken
+ * @desc Verifies a registry issued token by looking up the hash of the token
+ * within the database. Since the registry doesn't hold any VCS credentials for
+ * the user, the returned "Auth User Object" has a `token` of `null`.
+ * @param {string} token - The registry token the user provided.
+ * @param {object} db - The database module.
+ * @returns {object} A server status object.
+ */
+async function verifyRegistryToken(token, db) {
+  const dbUser = await db.getUserByTokenHash(hashToken(token));
+
+  if (!dbUser.ok) {
+    if (dbUser.short === "not_found") {
+      logger.generic(6, "auth.verifyAuth() Registry Token Returning Bad Auth");
+
+      return {
+        ok: false,
+        short: "unauthorized",
+        content: "User Token is not valid, or has been revoked.",
+      };
+    }
+
+    return dbUser;
+  }
+
+  const authUserObject = {
+    token: null,
+    token_id: dbUser.content.token_id,
+    id: dbUser.content.id,
+    node_id: dbUser.content.node_id,
+    created_at: dbUser.content.created_at,
+    username: dbUser.content.username,
+    avatar: dbUser.content.avatar,
+    data: dbUser.content.data,
+    role: dbUser.content.role ?? "user",
+    auth_type: "registry",
+    scopes: dbUser.content.token_scopes,
+    packages: dbUser.content.token_packages,
+  };
+
+  logger.generic(
+    4,
+    `auth.verifyAuth() returning registry authenticated user: ${authUserObject.username}`
+  );
+
+  return {
+    ok: true,
+    content: authUserObject,
+  };
+}
+
+/**
+ * @function tokenAllows
+ * @desc Determines if the token of an authenticated user grants a scope. When
+ * the token is restricted to a list of packages, the scope is only granted for
+ * those packages.
+ * @param {object} user - The "Auth User Object" returned by `verifyAuth()`.
+ * @param {string} scope - The scope needed.
+ * @param {string} [packageName] - The package the scope is needed for.
+ * @returns {boolean} If the scope is granted.
+ */
+function tokenAllows(user, scope, packageName) {
+  if (!Array.isArray(user.scopes) || !user.scopes.includes(scope)) {
+    return false;
+  }
+
+  if (Array.isArray(user.packages) && typeof packageName === "string") {
+    return user.packages.includes(packageName.toLowerCase());
+  }
+
+  return true;
+}
+
+/**
+ * @function isAdmin
+ * @desc Determines if an authenticated user is able to use the Admin API.
+ * Admin actions are never allowed with a registry token, so that a leaked
+ * token can't be used to moderate the registry.
+ * @param {object} user - The "Auth User Object" returned by `verifyAuth()`.
+ * @returns {boolean} If the user is an admin.
+ */
+function isAdmin(user) {
+  return user.role === "admin" && user.auth_type === "github";
+}
+
+/**
+ * @function orgMemberRole
+ * @desc Finds the role of an authenticated user among the members of an org.
+ * @param {object} user - The "Auth User Object" returned by `verifyAuth()`.
+ * @param {object[]} members - The members of the org, each with a `username`
+ * and `role`.
+ * @returns {string|null} Either `owner` or `member`, or null if the user isn't
+ * a member of the org.
+ */
+function orgMemberRole(user, members) {
+  const member = (members ?? []).find((m) => m.username === user.username);
+
+  return member?.role ?? null;
+}
+
+/**
+ * @function packageRole
+ * @desc Finds the role of an authenticated user among the maintainers of a
+ * package, who've accepted their invite. When the package is assigned to an
+ * org, the owners of the org are considered its owners, and the members of the
+ * org its maintainers.
+ * @param {object} user - The "Auth User Object" returned by `verifyAuth()`.
+ * @param {object} pack - The package, as returned by `database.getPackageByName()`.
+ * @returns {string|null} Either `owner` or `maintainer`, or null if the user
+ * doesn't maintain the package.
+ */
+function packageRole(user, pack) {
+  const maintainer = (pack.maintainers ?? []).find(
+    (m) => m.username === user.username
+  );
+
+  if (maintainer !== undefined) {
+    return maintainer.role;
+  }
+
+  switch (orgMemberRole(user, pack.org_members)) {
+    case "owner":
+      return "owner";
+    case "member":
+      return "maintainer";
+    default:
+      return null;
+  }
+}
+
+/**
+ * @async
+ * @function packageAccess
+ * @desc Determines if an authenticated user may publish or delete a package.
+ * Depending on the `maintainer_policy` of the package, they must either be one
+ * of its maintainers on the registry (`registry`), have write access to its
+ * repository according to `vcs.ownership()` (`vcs`), or either of the two
+ * (`either`), which is the default.
+ * @param {object} user - The "Auth User Object" returned by `verifyAuth()`.
+ * @param {object} pack - The package, as returned by `database.getPackageByName()`.
+ * @param {object} vcs - The VCS module.
+ * @param {object} [repo] - The data to check repository access against, when it
+ * differs from the data of the package, such as during a rename.
+ * @returns {object} A server status object, whose content is the role of the user.
+ */
+async function packageAccess(user, pack, vcs, repo = pack.data) {
+  const policy = pack.maintainer_policy ?? "either";
+  const role = packageRole(user, pack);
+
+  if (policy !== "vcs" && role !== null) {
+    return { ok: true, content: role };
+  }
+
+  if (policy === "registry") {
+    return {
+      ok: false,
+      short: "unauthorized",
+      content: `Only the maintainers of ${pack.name} can do this.`,
+    };
+  }
+
+  return await vcs.ownership(user, repo);
+}
+
+/**
+ * @function hasRegistryOwner
+ * @desc Determines if a package has an owner on the registry, either as one of
+ * its maintainers, or as an owner of the org it's assigned to.
+ * @param {object} pack - The package, as returned by `database.getPackageByName()`.
+ * @returns {boolean} If the package has an owner.
+ */
+function hasRegistryOwner(pack) {
+  return (
+    (pack.maintainers ?? []).some((m) => m.role === "owner") ||
+    (pack.org_members ?? []).some((m) => m.role === "owner")
+  );
+}
+
+/**
+ * @async
+ * @function packageOwnership
+ * @desc Determines if an authenticated user may manage the maintainers of a
+ * package, which only its owner can. Until a package has an owner on the
+ * registry, anyone with write access to its repository is considered its owner,
+ * so that packages published before maintainers existed can be claimed.
+ * @param {object} user - The "Auth User Object" returned by `verifyAuth()`.
+ * @param {object} pack - The package, as returned by `database.getPackageByName()`.
+ * @param {object} vcs - The VCS module.
+ * @returns {object} A server status object.
+ */
+async function packageOwnership(user, pack, vcs) {
+  if (packageRole(user, pack) === "owner") {
+    return { ok: true, content: "owner" };
+  }
+
+  if (hasRegistryOwner(pack)) {
+    return {
+      ok: false,
+      short: "unauthorized",
+      content: `Only the owner of ${pack.name} can do this.`,
+    };
+  }
+
+  return await vcs.ownership(user, pack.data);
+}
+
+/**
+ * @function generateToken
+ * @desc Creates a new random registry token, along with the hash of it that
+ * should be stored within the database.
+ * @returns {object} An object containing the `token` to hand to the user, and
+ * the `hash` to store.
+ */
+function generateToken() {
+  const token = `${TOKEN_PREFIX}${crypto
+    .randomBytes(32)
+    .toString("base64url")}`;
+
+  return {
+    token: token,
+    hash: hashToken(token),
+  };
+}
+
+/**
+ * @function hashToken
+ * @desc Returns the hex encoded SHA-256 hash of a registry token.
+ * Registry tokens are random and long enough that a fast hash is safe to use.
+ * @param {string} token - The registry token to hash.
+ * @returns {string} The hash of the token.
+ */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
 module.exports = {
+  TOKEN_SCOPES,
+  MAINTAINER_POLICIES,
+  ORG_ROLES,
   verifyAuth,
+  tokenAllows,
+  isAdmin,
+  orgMemberRole,
+  packageRole,
+  hasRegistryOwner,
+  packageAccess,
+  packageOwnership,
+  generateToken,
+  hashToken,
 };
@@ -24,7 +24,7 @@ class CacheObject {
     this.name = name;
   }
   get Expired() {
-    return Date.now() - this.birth > this.cache_time;
+    return this.invalidated || Date.now() - this.birth > this.cache_time;
   }
   invalidate() {
     this.invalidated = true;
@@ -71,6 +71,13 @@ function getConfig() {
     cache_time: findValue("CACHETIME"),
     GCLOUD_STORAGE_BUCKET: findValue("GCLOUD_STORAGE_BUCKET"),
     GOOGLE_APPLICATION_CREDENTIALS: findValue("GOOGLE_APPLICATION_CREDENTIALS"),
+    STORAGE_DRIVER: findValue("STORAGE_DRIVER"),
+    STORAGE_LOCAL_PATH: findValue("STORAGE_LOCAL_PATH", "./docs/resources"),
+    S3_ENDPOINT: findValue("S3_ENDPOINT"),
+    S3_REGION: findValue("S3_REGION", "us-east-1"),
+    S3_BUCKET: findValue("S3_BUCKET"),
+    S3_ACCESS_KEY_ID: findValue("S3_ACCESS_KEY_ID"),
+    S3_SECRET_ACCESS_KEY: findValue("S3_SECRET_ACCESS_KEY"),
     GH_CLIENTID: findValue("GH_CLIENTID"),
     GH_CLIENTSECRET: findValue("GH_CLIENTSECRET"),
     GH_USERAGENT: findValue("GH_USERAGENT"), // todo maybe default?
@@ -88,6 +95,17 @@ function getConfig() {
     WEBHOOK_PUBLISH: findValue("WEBHOOK_PUBLISH"),
     WEBHOOK_VERSION: findValue("WEBHOOK_VERSION"),
     WEBHOOK_USERNAME: findValue("WEBHOOK_USERNAME"),
+    WEBHOOK_QUEUE_INTERVAL: findValue("WEBHOOK_QUEUE_INTERVAL", 10000),
+    WEBHOOK_QUEUE_BATCH: findValue("WEBHOOK_QUEUE_BATCH", 20),
+    WEBHOOK_MAX_ATTEMPTS: findValue("WEBHOOK_MAX_ATTEMPTS", 10),
+    WEBHOOK_ALLOW_PRIVATE:
+      `${findValue("WEBHOOK_ALLOW_PRIVATE", false)}`.toLowerCase() === "true",
+    HEALTH_CHECK_INTERVAL: findValue("HEALTH_CHECK_INTERVAL", 3600000),
+    HEALTH_CHECK_BATCH: findValue("HEALTH_CHECK_BATCH", 10),
+    GITEA_URL: findValue("GITEA_URL", "https://codeberg.org").replace(
+      /\/$/,
+      ""
+    ),
   };
 }
 
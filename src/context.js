@@ -5,6 +5,8 @@ module.exports = {
   logger: require("./logger.js"),
   database: require("./database.js"),
   webhook: require("./webhook.js"),
+  storage: require("./storage.js"),
+  mirror: require("./mirror.js"),
   server_version: require("../package.json").version,
   query: require("./query_parameters/index.js").logic,
   vcs: require("./vcs.js"),
@@ -15,4 +17,6 @@ module.exports = {
   ssoPaginate: require("./models/ssoPaginate.js"),
   ssoRedirect: require("./models/ssoRedirect.js"),
   ssoHTML: require("./models/ssoHTML.js"),
+  ssoUpdate: require("./models/ssoUpdate.js"),
+  ssoFile: require("./models/ssoFile.js"),
 };
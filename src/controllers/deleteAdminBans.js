@@ -0,0 +1,133 @@
+/**
+ * @module deleteAdminBans
+ */
+
+module.exports = {
+  docs: {
+    summary: "Remove a ban from the package name ban list.",
+    description:
+      "Only available to admins. Removes every ban with the provided pattern. The change applies immediately.",
+    responses: {
+      204: {
+        description: "An empty response, indicating success.",
+      },
+      404: {
+        description: "No ban has this pattern.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+    },
+  },
+  endpoint: {
+    method: "DELETE",
+    paths: ["/api/admin/bans"],
+    rateLimit: "auth",
+    successStatus: 204,
+    options: {
+      Allow: "GET, POST, DELETE",
+      "X-Content-Type-Options": "nosniff",
+    },
+  },
+  params: {
+    auth: (context, req) => {
+      return context.query.auth(req);
+    },
+    pattern: (context, req) => {
+      return context.query.banPattern(req);
+    },
+    reason: (context, req) => {
+      return context.query.adminReason(req);
+    },
+  },
+
+  /**
+   * @async
+   * @memberOf deleteAdminBans
+   * @desc Removes a ban, writing the ban list back to storage.
+   */
+  async logic(params, context) {
+    const user = await context.auth.verifyAuth(params.auth, context.database, {
+      admin: true,
+    });
+
+    if (!user.ok) {
+      const sso = new context.sso();
+
+      return sso.notOk().addContent(user).addCalls("auth.verifyAuth", user);
+    }
+
+    if (params.pattern === false) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("bad_request")
+        .addMessage("The pattern of the ban to remove must be provided.")
+        .addCalls("auth.verifyAuth", user);
+    }
+
+    const banList = await context.storage.getBanList();
+
+    if (!banList.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(banList)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("storage.getBanList", banList);
+    }
+
+    const remaining = banList.content.filter(
+      (b) => context.utils.normalizeBan(b).pattern !== params.pattern
+    );
+
+    if (remaining.length === banList.content.length) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("not_found")
+        .addMessage(`No ban has the pattern ${params.pattern}.`)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("storage.getBanList", banList);
+    }
+
+    const save = await context.storage.putBanList(remaining);
+
+    if (!save.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(save)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("storage.getBanList", banList)
+        .addCalls("storage.putBanList", save);
+    }
+
+    const action = await context.database.insertAdminAction({
+      action: "remove_ban",
+      userid: user.content.id,
+      reason: params.reason || null,
+      details: { pattern: params.pattern },
+    });
+
+    if (!action.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(action)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("storage.getBanList", banList)
+        .addCalls("storage.putBanList", save)
+        .addCalls("db.insertAdminAction", action);
+    }
+
+    const sso = new context.sso();
+
+    return sso.isOk().addContent(false);
+  },
+};
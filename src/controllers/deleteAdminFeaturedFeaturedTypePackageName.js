@@ -0,0 +1,138 @@
+/**
+ * @module deleteAdminFeaturedFeaturedTypePackageName
+ */
+
+module.exports = {
+  docs: {
+    summary: "Stop featuring a package or theme.",
+    description: "Only available to admins. The change applies immediately.",
+    responses: {
+      204: {
+        description: "An empty response, indicating success.",
+      },
+      404: {
+        description: "The package isn't featured.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+    },
+  },
+  endpoint: {
+    method: "DELETE",
+    paths: ["/api/admin/featured/:featuredType/:packageName"],
+    rateLimit: "auth",
+    successStatus: 204,
+    options: {
+      Allow: "POST, DELETE",
+      "X-Content-Type-Options": "nosniff",
+    },
+  },
+  params: {
+    auth: (context, req) => {
+      return context.query.auth(req);
+    },
+    featuredType: (context, req) => {
+      return context.query.featuredType(req);
+    },
+    packageName: (context, req) => {
+      return context.query.packageName(req);
+    },
+    reason: (context, req) => {
+      return context.query.adminReason(req);
+    },
+  },
+
+  /**
+   * @async
+   * @memberOf deleteAdminFeaturedFeaturedTypePackageName
+   * @desc Removes a package from a featured list, writing the list back to storage.
+   */
+  async logic(params, context) {
+    const user = await context.auth.verifyAuth(params.auth, context.database, {
+      admin: true,
+    });
+
+    if (!user.ok) {
+      const sso = new context.sso();
+
+      return sso.notOk().addContent(user).addCalls("auth.verifyAuth", user);
+    }
+
+    if (params.featuredType === false) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("not_found")
+        .addCalls("auth.verifyAuth", user);
+    }
+
+    const list = await context.storage.getFeaturedList(params.featuredType);
+
+    if (!list.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(list)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("storage.getFeaturedList", list);
+    }
+
+    const remaining = list.content.filter(
+      (f) => context.utils.normalizeFeatured(f).name !== params.packageName
+    );
+
+    if (remaining.length === list.content.length) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("not_found")
+        .addMessage(`${params.packageName} is not featured.`)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("storage.getFeaturedList", list);
+    }
+
+    const save = await context.storage.putFeaturedList(
+      params.featuredType,
+      remaining
+    );
+
+    if (!save.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(save)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("storage.getFeaturedList", list)
+        .addCalls("storage.putFeaturedList", save);
+    }
+
+    const action = await context.database.insertAdminAction({
+      action: "remove_featured",
+      userid: user.content.id,
+      package: params.packageName,
+      reason: params.reason || null,
+      details: { featuredType: params.featuredType },
+    });
+
+    if (!action.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(action)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("storage.getFeaturedList", list)
+        .addCalls("storage.putFeaturedList", save)
+        .addCalls("db.insertAdminAction", action);
+    }
+
+    const sso = new context.sso();
+
+    return sso.isOk().addContent(false);
+  },
+};
@@ -0,0 +1,101 @@
+/**
+ * @module deleteAdminNamesPackageName
+ */
+
+module.exports = {
+  docs: {
+    summary: "Un-reserve the name of a deleted package.",
+    description:
+      "Only available to admins. Names of deleted packages stay reserved to protect users from supply chain attacks, and un-reserving a name allows it to be published again. The action is recorded within the admin actions feed.",
+    responses: {
+      204: {
+        description: "An empty response, indicating success.",
+      },
+      400: {
+        description:
+          "No reason was given, or the name is in use by a published package.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+      404: {
+        description: "The name isn't reserved.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+    },
+  },
+  endpoint: {
+    method: "DELETE",
+    paths: ["/api/admin/names/:packageName"],
+    rateLimit: "auth",
+    successStatus: 204,
+    options: {
+      Allow: "DELETE",
+      "X-Content-Type-Options": "nosniff",
+    },
+  },
+  params: {
+    auth: (context, req) => {
+      return context.query.auth(req);
+    },
+    packageName: (context, req) => {
+      return context.query.packageName(req);
+    },
+    reason: (context, req) => {
+      return context.query.adminReason(req);
+    },
+  },
+
+  /**
+   * @async
+   * @memberOf deleteAdminNamesPackageName
+   * @desc Removes a reserved name, recording the action.
+   */
+  async logic(params, context) {
+    const user = await context.auth.verifyAuth(params.auth, context.database, {
+      admin: true,
+    });
+
+    if (!user.ok) {
+      const sso = new context.sso();
+
+      return sso.notOk().addContent(user).addCalls("auth.verifyAuth", user);
+    }
+
+    if (params.reason === false) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("bad_request")
+        .addMessage("A reason must be given to un-reserve a name.")
+        .addCalls("auth.verifyAuth", user);
+    }
+
+    const remove = await context.database.removePackageName(
+      params.packageName,
+      { userid: user.content.id, reason: params.reason }
+    );
+
+    if (!remove.ok) {
+      const sso = new context.sso();
+
+      if (remove.short === "bad_request") {
+        // The name is still in use, which the user should be told about
+        sso.addMessage(remove.content);
+      }
+
+      return sso
+        .notOk()
+        .addContent(remove)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.removePackageName", remove);
+    }
+
+    const sso = new context.sso();
+
+    return sso.isOk().addContent(false);
+  },
+};
@@ -0,0 +1,95 @@
+/**
+ * @module deleteAdminPackagesPackageName
+ */
+
+module.exports = {
+  docs: {
+    summary: "Force the deletion of a package.",
+    description:
+      "Only available to admins. Deletes a package regardless of its owner, even if the package is left in a broken state. The name of the package stays reserved. The action is recorded within the admin actions feed.",
+    responses: {
+      204: {
+        description: "An empty response, indicating success.",
+      },
+      400: {
+        description: "No reason was given.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+      404: {
+        description: "The package doesn't exist.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+    },
+  },
+  endpoint: {
+    method: "DELETE",
+    paths: ["/api/admin/packages/:packageName"],
+    rateLimit: "auth",
+    successStatus: 204,
+    options: {
+      Allow: "DELETE",
+      "X-Content-Type-Options": "nosniff",
+    },
+  },
+  params: {
+    auth: (context, req) => {
+      return context.query.auth(req);
+    },
+    packageName: (context, req) => {
+      return context.query.packageName(req);
+    },
+    reason: (context, req) => {
+      return context.query.adminReason(req);
+    },
+  },
+
+  /**
+   * @async
+   * @memberOf deleteAdminPackagesPackageName
+   * @desc Deletes a package without checking its ownership, recording the action.
+   */
+  async logic(params, context) {
+    const user = await context.auth.verifyAuth(params.auth, context.database, {
+      admin: true,
+    });
+
+    if (!user.ok) {
+      const sso = new context.sso();
+
+      return sso.notOk().addContent(user).addCalls("auth.verifyAuth", user);
+    }
+
+    if (params.reason === false) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("bad_request")
+        .addMessage("A reason must be given to delete a package.")
+        .addCalls("auth.verifyAuth", user);
+    }
+
+    const remove = await context.database.forceRemovePackageByName(
+      params.packageName,
+      { userid: user.content.id, reason: params.reason }
+    );
+
+    if (!remove.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(remove)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.forceRemovePackageByName", remove);
+    }
+
+    const sso = new context.sso();
+
+    return sso.isOk().addContent(false);
+  },
+};
@@ -0,0 +1,105 @@
+/**
+ * @module deleteAdminReleases
+ */
+
+module.exports = {
+  docs: {
+    summary: "Remove a Pulsar release from the release catalogue.",
+    description:
+      "Only available to admins. Editors are no longer offered the release from `/api/updates`. The action is recorded within the admin actions feed.",
+    responses: {
+      204: {
+        description: "An empty response, indicating success.",
+      },
+      400: {
+        description: "The version or platform are invalid.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+      404: {
+        description: "The release doesn't exist.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+    },
+  },
+  endpoint: {
+    method: "DELETE",
+    paths: ["/api/admin/releases"],
+    rateLimit: "auth",
+    successStatus: 204,
+    options: {
+      Allow: "POST, DELETE",
+      "X-Content-Type-Options": "nosniff",
+    },
+  },
+  params: {
+    auth: (context, req) => {
+      return context.query.auth(req);
+    },
+    version: (context, req) => {
+      return context.query.releaseVersion(req);
+    },
+    platform: (context, req) => {
+      return context.query.platform(req);
+    },
+    channel: (context, req) => {
+      return context.query.channel(req);
+    },
+    reason: (context, req) => {
+      return context.query.adminReason(req);
+    },
+  },
+
+  /**
+   * @async
+   * @memberOf deleteAdminReleases
+   * @desc Removes the release, recording the action.
+   */
+  async logic(params, context) {
+    const user = await context.auth.verifyAuth(params.auth, context.database, {
+      admin: true,
+    });
+
+    if (!user.ok) {
+      const sso = new context.sso();
+
+      return sso.notOk().addContent(user).addCalls("auth.verifyAuth", user);
+    }
+
+    if (params.version === false || params.platform === false) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("bad_request")
+        .addMessage(
+          "A semver `version`, and a `platform` of darwin, win32, or linux, are required."
+        )
+        .addCalls("auth.verifyAuth", user);
+    }
+
+    const remove = await context.database.removeRelease(
+      params.version,
+      params.channel,
+      params.platform,
+      { userid: user.content.id, reason: params.reason || null }
+    );
+
+    if (!remove.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(remove)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.removeRelease", remove);
+    }
+
+    const sso = new context.sso();
+
+    return sso.isOk().addContent(false);
+  },
+};
@@ -0,0 +1,142 @@
+/**
+ * @module deleteOrgsOrgNameMembersLogin
+ */
+
+module.exports = {
+  docs: {
+    summary: "Remove a member from an org.",
+    description:
+      "The owners of the org can remove any member, while a member can remove themselves. The last owner of an org can't be removed.",
+    responses: {
+      204: {
+        description: "An empty response, indicating success.",
+      },
+      400: {
+        description: "The org would be left without an owner.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+      404: {
+        description: "The org doesn't exist, or the user isn't a member of it.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+    },
+  },
+  endpoint: {
+    method: "DELETE",
+    paths: ["/api/orgs/:orgName/members/:login"],
+    rateLimit: "auth",
+    scope: "manage:orgs",
+    successStatus: 204,
+    options: {
+      Allow: "PUT, DELETE",
+      "X-Content-Type-Options": "nosniff",
+    },
+  },
+  params: {
+    auth: (context, req) => {
+      return context.query.auth(req);
+    },
+    orgName: (context, req) => {
+      return context.query.orgName(req);
+    },
+    login: (context, req) => {
+      return context.query.login(req);
+    },
+  },
+
+  /**
+   * @async
+   * @memberof deleteOrgsOrgNameMembersLogin
+   * @function logic
+   * @desc Removes the member, once the user is verified to either own the org,
+   * or be that member.
+   * @param {object} params - The available query parameters.
+   * @param {object} context - The Endpoint Context.
+   * @returns {sso}
+   */
+  async logic(params, context) {
+    if (params.orgName === false) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("not_found")
+        .addMessage("The org name is invalid.");
+    }
+
+    const user = await context.auth.verifyAuth(params.auth, context.database, {
+      scope: module.exports.endpoint.scope,
+    });
+
+    if (!user.ok) {
+      const sso = new context.sso();
+
+      return sso.notOk().addContent(user).addCalls("auth.verifyAuth", user);
+    }
+
+    const members = await context.database.getOrgMembers(params.orgName);
+
+    if (!members.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(members)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getOrgMembers", members);
+    }
+
+    // Anyone may leave an org
+    if (
+      params.login !== user.content.username &&
+      context.auth.orgMemberRole(user.content, members.content) !== "owner"
+    ) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("unauthorized")
+        .addMessage(`Only the owners of ${params.orgName} can do this.`)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getOrgMembers", members);
+    }
+
+    const member = await context.database.getUserByName(params.login);
+
+    if (!member.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(member)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getOrgMembers", members)
+        .addCalls("db.getUserByName", member);
+    }
+
+    const rm = await context.database.removeOrgMember(
+      params.orgName,
+      member.content.id
+    );
+
+    if (!rm.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(rm)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getOrgMembers", members)
+        .addCalls("db.getUserByName", member)
+        .addCalls("db.removeOrgMember", rm);
+    }
+
+    const sso = new context.sso();
+
+    return sso.isOk().addContent(false);
+  },
+};
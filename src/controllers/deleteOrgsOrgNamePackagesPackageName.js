@@ -0,0 +1,129 @@
+/**
+ * @module deleteOrgsOrgNamePackagesPackageName
+ */
+
+module.exports = {
+  docs: {
+    summary: "Remove a package from an org.",
+    description:
+      "The owners of the package, including the owners of the org it's assigned to, can remove it from the org.",
+    responses: {
+      204: {
+        description: "An empty response, indicating success.",
+      },
+      404: {
+        description: "The package doesn't exist, or isn't assigned to the org.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+    },
+  },
+  endpoint: {
+    method: "DELETE",
+    paths: ["/api/orgs/:orgName/packages/:packageName"],
+    rateLimit: "auth",
+    scope: "manage:orgs",
+    successStatus: 204,
+    options: {
+      Allow: "POST, DELETE",
+      "X-Content-Type-Options": "nosniff",
+    },
+  },
+  params: {
+    auth: (context, req) => {
+      return context.query.auth(req);
+    },
+    orgName: (context, req) => {
+      return context.query.orgName(req);
+    },
+    packageName: (context, req) => {
+      return context.query.packageName(req);
+    },
+  },
+
+  /**
+   * @async
+   * @memberof deleteOrgsOrgNamePackagesPackageName
+   * @function logic
+   * @desc Removes the package from the org, once the user is verified to own
+   * the package.
+   * @param {object} params - The available query parameters.
+   * @param {object} context - The Endpoint Context.
+   * @returns {sso}
+   */
+  async logic(params, context) {
+    if (params.orgName === false) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("not_found")
+        .addMessage("The org name is invalid.");
+    }
+
+    const user = await context.auth.verifyAuth(params.auth, context.database, {
+      scope: module.exports.endpoint.scope,
+      package: params.packageName,
+    });
+
+    if (!user.ok) {
+      const sso = new context.sso();
+
+      return sso.notOk().addContent(user).addCalls("auth.verifyAuth", user);
+    }
+
+    const pack = await context.database.getPackageByName(
+      params.packageName,
+      true
+    );
+
+    if (!pack.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(pack)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getPackageByName", pack);
+    }
+
+    const owner = await context.auth.packageOwnership(
+      user.content,
+      pack.content,
+      context.vcs
+    );
+
+    if (!owner.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(owner)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getPackageByName", pack)
+        .addCalls("auth.packageOwnership", owner);
+    }
+
+    const rm = await context.database.removePackageOrg(
+      params.packageName,
+      params.orgName
+    );
+
+    if (!rm.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(rm)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getPackageByName", pack)
+        .addCalls("auth.packageOwnership", owner)
+        .addCalls("db.removePackageOrg", rm);
+    }
+
+    const sso = new context.sso();
+
+    return sso.isOk().addContent(false);
+  },
+};
@@ -15,6 +15,7 @@ module.exports = {
     method: "DELETE",
     paths: ["/api/packages/:packageName", "/api/themes/:packageName"],
     rateLimit: "auth",
+    scope: "delete",
     successStatus: 204,
     options: {
       Allow: "DELETE, GET",
@@ -30,8 +31,20 @@ module.exports = {
     },
   },
 
+  async postReturnHTTP(req, res, context, obj) {
+    if (!obj.ok) {
+      return;
+    }
+
+    // Sent once returned to the user, so they don't wait on the webhooks
+    await context.webhook.dispatchEvent("delete", obj.webhook);
+  },
+
   async logic(params, context) {
-    const user = await context.auth.verifyAuth(params.auth, context.database);
+    const user = await context.auth.verifyAuth(params.auth, context.database, {
+      scope: module.exports.endpoint.scope,
+      package: params.packageName,
+    });
 
     if (!user.ok) {
       const sso = new context.sso();
@@ -59,25 +72,26 @@ module.exports = {
         .addCalls("db.getPackageByName", packageExists);
     }
 
-    // Get `owner/repo` string format from pacakge
-    const ownerRepo = context.utils.getOwnerRepoFromPackage(
-      packageExists.content.data
+    // Depending on the policy of the package, the user must maintain it on the
+    // registry, or have write access to its repository
+    const access = await context.auth.packageAccess(
+      user.content,
+      packageExists.content,
+      context.vcs
     );
 
-    const gitowner = await context.vcs.ownership(user.content, ownerRepo);
-
-    if (!gitowner.ok) {
+    if (!access.ok) {
       const sso = new context.sso();
 
       return sso
         .notOk()
-        .addContent(gitowner)
+        .addContent(access)
         .addCalls("auth.verifyAuth", user)
         .addCalls("db.getPackageByName", packageExists)
-        .addCalls("vcs.ownership", gitowner);
+        .addCalls("auth.packageAccess", access);
     }
 
-    // Now they are logged in locally, and have permissions over the GitHub repo
+    // Now they are logged in locally, and have permissions over the package
     const rm = await context.database.removePackageByName(params.packageName);
 
     if (!rm.ok) {
@@ -88,12 +102,20 @@ module.exports = {
         .addContent(rm)
         .addCalls("auth.verifyAuth", user)
         .addCalls("db.getPackageByName", packageExists)
-        .addCalls("vcs.ownership", gitowner)
+        .addCalls("auth.packageAccess", access)
         .addCalls("db.removePackageByName", rm);
     }
 
     const sso = new context.sso();
 
+    sso.webhook = {
+      pack: {
+        name: packageExists.content.name,
+        owner: packageExists.content.owner,
+      },
+      user: user.content,
+    };
+
     return sso.isOk().addContent(false);
   },
 };
@@ -0,0 +1,133 @@
+/**
+ * @module deletePackagesPackageNameBadges
+ */
+
+module.exports = {
+  docs: {
+    summary: "Remove a badge from a package.",
+    description:
+      "Only available to admins. The action is recorded within the admin actions feed.",
+    responses: {
+      200: {
+        description: "The recorded admin action.",
+        content: {
+          "application/json": "$adminActionObject",
+        },
+      },
+      400: {
+        description: "The title is invalid, or no reason was given.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+      404: {
+        description: "The package doesn't have a badge with the title.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+    },
+  },
+  endpoint: {
+    method: "DELETE",
+    paths: ["/api/packages/:packageName/badges"],
+    rateLimit: "auth",
+    successStatus: 200,
+    options: {
+      Allow: "POST, DELETE",
+      "X-Content-Type-Options": "nosniff",
+    },
+  },
+  params: {
+    auth: (context, req) => {
+      return context.query.auth(req);
+    },
+    packageName: (context, req) => {
+      return context.query.packageName(req);
+    },
+    title: (context, req) => {
+      return context.query.badgeTitle(req);
+    },
+    reason: (context, req) => {
+      return context.query.adminReason(req);
+    },
+  },
+  async postReturnHTTP(req, res, context, obj) {
+    if (!obj.ok) {
+      return;
+    }
+
+    // Sent once returned to the user, so they don't wait on the webhooks
+    await context.webhook.dispatchEvent("badge", obj.webhook);
+  },
+
+  /**
+   * @async
+   * @memberOf deletePackagesPackageNameBadges
+   * @desc Removes a badge from a package, recording the action.
+   */
+  async logic(params, context) {
+    const user = await context.auth.verifyAuth(params.auth, context.database, {
+      admin: true,
+    });
+
+    if (!user.ok) {
+      const sso = new context.sso();
+
+      return sso.notOk().addContent(user).addCalls("auth.verifyAuth", user);
+    }
+
+    if (params.title === false) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("bad_request")
+        .addMessage(
+          `The title of the badge to remove must be one of: ${context.utils.BADGE_TITLES.join(
+            ", "
+          )}.`
+        )
+        .addCalls("auth.verifyAuth", user);
+    }
+
+    if (params.reason === false) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("bad_request")
+        .addMessage("A reason must be given to remove a badge.")
+        .addCalls("auth.verifyAuth", user);
+    }
+
+    const remove = await context.database.removePackageBadge(
+      params.packageName,
+      params.title,
+      { userid: user.content.id, reason: params.reason }
+    );
+
+    if (!remove.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(remove)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.removePackageBadge", remove);
+    }
+
+    const sso = new context.sso();
+
+    sso.webhook = {
+      pack: { name: params.packageName },
+      user: user.content,
+      details: { action: "removed", badge: { title: params.title } },
+    };
+
+    return sso.isOk().addContent({
+      ...remove.content,
+      admin: user.content.username,
+    });
+  },
+};
@@ -0,0 +1,138 @@
+/**
+ * @module deletePackagesPackageNameDistTagsDistTag
+ */
+
+module.exports = {
+  docs: {
+    summary: "Remove a dist-tag from a package.",
+    description:
+      "`latest` can't be removed, as it always points to the latest version of the package.",
+    responses: {
+      204: {
+        description: "The dist-tag has been removed.",
+      },
+      400: {
+        description: "The dist-tag is invalid.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+      404: {
+        description: "The package or dist-tag doesn't exist.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+    },
+  },
+  endpoint: {
+    method: "DELETE",
+    paths: [
+      "/api/packages/:packageName/dist-tags/:distTag",
+      "/api/themes/:packageName/dist-tags/:distTag",
+    ],
+    rateLimit: "auth",
+    scope: "publish:version",
+    successStatus: 204,
+    options: {
+      Allow: "PUT, DELETE",
+      "X-Content-Type-Options": "nosniff",
+    },
+  },
+  params: {
+    auth: (context, req) => {
+      return context.query.auth(req);
+    },
+    packageName: (context, req) => {
+      return context.query.packageName(req);
+    },
+    distTag: (context, req) => {
+      return context.query.distTag(req);
+    },
+  },
+
+  /**
+   * @async
+   * @memberof deletePackagesPackageNameDistTagsDistTag
+   * @function logic
+   * @desc Removes the dist-tag, once the user is verified to own the package.
+   * @param {object} params - The available query parameters.
+   * @param {object} context - The Endpoint Context.
+   * @returns {sso}
+   */
+  async logic(params, context) {
+    if (params.distTag === false) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("bad_request")
+        .addMessage(
+          "A dist-tag must start with a lowercase letter and can't be `latest`."
+        );
+    }
+
+    const user = await context.auth.verifyAuth(params.auth, context.database, {
+      scope: module.exports.endpoint.scope,
+      package: params.packageName,
+    });
+
+    if (!user.ok) {
+      const sso = new context.sso();
+
+      return sso.notOk().addContent(user).addCalls("auth.verifyAuth", user);
+    }
+
+    const pack = await context.database.getPackageByName(
+      params.packageName,
+      true
+    );
+
+    if (!pack.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(pack)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getPackageByName", pack);
+    }
+
+    const gitowner = await context.vcs.ownership(
+      user.content,
+      pack.content.data
+    );
+
+    if (!gitowner.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(gitowner)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getPackageByName", pack)
+        .addCalls("vcs.ownership", gitowner);
+    }
+
+    const tags = await context.database.removePackageDistTag(
+      params.packageName,
+      params.distTag
+    );
+
+    if (!tags.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(tags)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getPackageByName", pack)
+        .addCalls("vcs.ownership", gitowner)
+        .addCalls("db.removePackageDistTag", tags);
+    }
+
+    const sso = new context.sso();
+
+    return sso.isOk().addContent(false);
+  },
+};
@@ -0,0 +1,143 @@
+/**
+ * @module deletePackagesPackageNameMaintainersLogin
+ */
+
+module.exports = {
+  docs: {
+    summary: "Remove a maintainer of a package, or cancel their invite.",
+    description:
+      "The owner of the package can remove any maintainer, while a maintainer can remove themselves, or decline their invite. The owner can't be removed, only replaced by transferring the package.",
+    responses: {
+      204: {
+        description: "An empty response, indicating success.",
+      },
+      404: {
+        description:
+          "The package doesn't exist, or the user isn't a maintainer of it.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+    },
+  },
+  endpoint: {
+    method: "DELETE",
+    paths: [
+      "/api/packages/:packageName/maintainers/:login",
+      "/api/themes/:packageName/maintainers/:login",
+    ],
+    rateLimit: "auth",
+    scope: "manage:maintainers",
+    successStatus: 204,
+    options: {
+      Allow: "POST, DELETE",
+      "X-Content-Type-Options": "nosniff",
+    },
+  },
+  params: {
+    auth: (context, req) => {
+      return context.query.auth(req);
+    },
+    packageName: (context, req) => {
+      return context.query.packageName(req);
+    },
+    login: (context, req) => {
+      return context.query.login(req);
+    },
+  },
+
+  /**
+   * @async
+   * @memberof deletePackagesPackageNameMaintainersLogin
+   * @function logic
+   * @desc Removes the maintainer, once the authenticated user is verified to
+   * either own the package, or be that maintainer.
+   * @param {object} params - The available query parameters.
+   * @param {object} context - The Endpoint Context.
+   * @returns {sso}
+   */
+  async logic(params, context) {
+    const user = await context.auth.verifyAuth(params.auth, context.database, {
+      scope: module.exports.endpoint.scope,
+      package: params.packageName,
+    });
+
+    if (!user.ok) {
+      const sso = new context.sso();
+
+      return sso.notOk().addContent(user).addCalls("auth.verifyAuth", user);
+    }
+
+    const pack = await context.database.getPackageByName(
+      params.packageName,
+      true
+    );
+
+    if (!pack.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(pack)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getPackageByName", pack);
+    }
+
+    // Anyone may leave a package, or decline an invite to it
+    const owner =
+      params.login === user.content.username
+        ? { ok: true, content: "self" }
+        : await context.auth.packageOwnership(
+            user.content,
+            pack.content,
+            context.vcs
+          );
+
+    if (!owner.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(owner)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getPackageByName", pack)
+        .addCalls("auth.packageOwnership", owner);
+    }
+
+    const maintainer = await context.database.getUserByName(params.login);
+
+    if (!maintainer.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(maintainer)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getPackageByName", pack)
+        .addCalls("auth.packageOwnership", owner)
+        .addCalls("db.getUserByName", maintainer);
+    }
+
+    const rm = await context.database.removePackageMaintainer(
+      params.packageName,
+      maintainer.content.id
+    );
+
+    if (!rm.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(rm)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getPackageByName", pack)
+        .addCalls("auth.packageOwnership", owner)
+        .addCalls("db.getUserByName", maintainer)
+        .addCalls("db.removePackageMaintainer", rm);
+    }
+
+    const sso = new context.sso();
+
+    return sso.isOk().addContent(false);
+  },
+};
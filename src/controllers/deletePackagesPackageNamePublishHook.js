@@ -0,0 +1,117 @@
+/**
+ * @module deletePackagesPackageNamePublishHook
+ */
+
+module.exports = {
+  docs: {
+    summary: "Disable the publish hook of a package.",
+    description:
+      "Only the owner of the package can disable its publish hook. Deliveries from its GitHub webhook are refused afterwards.",
+    responses: {
+      204: {
+        description: "An empty response, indicating success.",
+      },
+      404: {
+        description: "The package doesn't exist, or has no publish hook.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+    },
+  },
+  endpoint: {
+    method: "DELETE",
+    paths: [
+      "/api/packages/:packageName/publish-hook",
+      "/api/themes/:packageName/publish-hook",
+    ],
+    rateLimit: "auth",
+    scope: "manage:hooks",
+    successStatus: 204,
+    options: {
+      Allow: "GET, POST, DELETE",
+      "X-Content-Type-Options": "nosniff",
+    },
+  },
+  params: {
+    auth: (context, req) => {
+      return context.query.auth(req);
+    },
+    packageName: (context, req) => {
+      return context.query.packageName(req);
+    },
+  },
+
+  /**
+   * @async
+   * @memberof deletePackagesPackageNamePublishHook
+   * @function logic
+   * @desc Disables the publish hook, once the user is verified to own the
+   * package.
+   * @param {object} params - The available query parameters.
+   * @param {object} context - The Endpoint Context.
+   * @returns {sso}
+   */
+  async logic(params, context) {
+    const user = await context.auth.verifyAuth(params.auth, context.database, {
+      scope: module.exports.endpoint.scope,
+      package: params.packageName,
+    });
+
+    if (!user.ok) {
+      const sso = new context.sso();
+
+      return sso.notOk().addContent(user).addCalls("auth.verifyAuth", user);
+    }
+
+    const pack = await context.database.getPackageByName(
+      params.packageName,
+      true
+    );
+
+    if (!pack.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(pack)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getPackageByName", pack);
+    }
+
+    const owner = await context.auth.packageOwnership(
+      user.content,
+      pack.content,
+      context.vcs
+    );
+
+    if (!owner.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(owner)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getPackageByName", pack)
+        .addCalls("auth.packageOwnership", owner);
+    }
+
+    const remove = await context.database.removePublishHook(params.packageName);
+
+    if (!remove.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(remove)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getPackageByName", pack)
+        .addCalls("auth.packageOwnership", owner)
+        .addCalls("db.removePublishHook", remove);
+    }
+
+    const sso = new context.sso();
+
+    return sso.isOk().addContent(false);
+  },
+};
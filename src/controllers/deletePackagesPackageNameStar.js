@@ -15,6 +15,7 @@ module.exports = {
     method: "DELETE",
     paths: ["/api/packages/:packageName/star", "/api/themes/:packageName/star"],
     rateLimit: "auth",
+    scope: "star",
     successStatus: 204,
     options: {
       Allow: "DELETE, POST",
@@ -29,8 +30,19 @@ module.exports = {
       return context.query.packageName(req);
     },
   },
+  async postReturnHTTP(req, res, context, obj) {
+    if (!obj.ok) {
+      return;
+    }
+
+    // Sent once returned to the user, so they don't wait on the webhooks
+    await context.webhook.dispatchEvent("star", obj.webhook);
+  },
   async logic(params, context) {
-    const user = await context.auth.verifyAuth(params.auth, context.database);
+    const user = await context.auth.verifyAuth(params.auth, context.database, {
+      scope: module.exports.endpoint.scope,
+      package: params.packageName,
+    });
 
     if (!user.ok) {
       const sso = new context.sso();
@@ -55,6 +67,12 @@ module.exports = {
 
     const sso = new context.sso();
 
+    sso.webhook = {
+      pack: { name: params.packageName },
+      user: user.content,
+      details: { starred: false },
+    };
+
     return sso.isOk().addContent(false);
   },
 };
@@ -14,6 +14,7 @@ module.exports = {
       "/api/themes/:packageName/versions/:versionName",
     ],
     rateLimit: "auth",
+    scope: "delete",
     successStatus: 204,
     options: {
       Allow: "GET, DELETE",
@@ -31,6 +32,14 @@ module.exports = {
       return context.query.engine(req.params.versionName);
     },
   },
+  async postReturnHTTP(req, res, context, obj) {
+    if (!obj.ok) {
+      return;
+    }
+
+    // Sent once returned to the user, so they don't wait on the webhooks
+    await context.webhook.dispatchEvent("delete", obj.webhook);
+  },
 
   async logic(params, context) {
     // Moving this forward to do the least computationally expensive task first.
@@ -45,7 +54,10 @@ module.exports = {
     }
 
     // Verify the user has local and remote permissions
-    const user = await context.auth.verifyAuth(params.auth, context.database);
+    const user = await context.auth.verifyAuth(params.auth, context.database, {
+      scope: module.exports.endpoint.scope,
+      package: params.packageName,
+    });
 
     if (!user.ok) {
       const sso = new context.sso();
@@ -69,20 +81,21 @@ module.exports = {
         .addCalls("db.getPackageByName", packageExists);
     }
 
-    const gitowner = await context.vcs.ownership(
+    const access = await context.auth.packageAccess(
       user.content,
-      packageExists.content
+      packageExists.content,
+      context.vcs
     );
 
-    if (!gitowner.ok) {
+    if (!access.ok) {
       const sso = new context.sso();
 
       return sso
         .notOk()
-        .addContent(gitowner)
+        .addContent(access)
         .addCalls("auth.verifyAuth", user)
         .addCalls("db.getPackageByName", packageExists)
-        .addCalls("vcs.ownership", gitowner);
+        .addCalls("auth.packageAccess", access);
     }
 
     // Mark the specified version for deletion, if version is valid
@@ -99,12 +112,21 @@ module.exports = {
         .addContent(removeVersion)
         .addCalls("auth.verifyAuth", user)
         .addCalls("db.getPackageByName", packageExists)
-        .addCalls("vcs.ownership", gitowner)
+        .addCalls("auth.packageAccess", access)
         .addCalls("db.removePackageVersion", removeVersion);
     }
 
     const sso = new context.sso();
 
+    sso.webhook = {
+      pack: {
+        name: packageExists.content.name,
+        owner: packageExists.content.owner,
+      },
+      version: params.versionName,
+      user: user.content,
+    };
+
     return sso.isOk().addContent(false);
   },
 };
@@ -0,0 +1,92 @@
+/**
+ * @module deleteUsersTokensTokenId
+ */
+
+module.exports = {
+  docs: {
+    summary: "Revoke a registry token of the currently authenticated user.",
+    responses: {
+      204: {
+        description: "An empty response, indicating success.",
+      },
+      404: {
+        description: "The user has no token with this ID.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+    },
+  },
+  endpoint: {
+    method: "DELETE",
+    paths: ["/api/users/tokens/:tokenId"],
+    rateLimit: "auth",
+    successStatus: 204,
+    options: {
+      Allow: "DELETE",
+      "X-Content-Type-Options": "nosniff",
+    },
+  },
+  params: {
+    auth: (context, req) => {
+      return context.query.auth(req);
+    },
+    tokenId: (context, req) => {
+      return context.query.tokenId(req);
+    },
+  },
+
+  /**
+   * @async
+   * @memberOf deleteUsersTokensTokenId
+   * @desc Revokes a registry token. Once revoked it can no longer be used.
+   */
+  async logic(params, context) {
+    const user = await context.auth.verifyAuth(params.auth, context.database);
+
+    if (!user.ok) {
+      const sso = new context.sso();
+
+      return sso.notOk().addContent(user).addCalls("auth.verifyAuth", user);
+    }
+
+    if (user.content.auth_type !== "github") {
+      // Otherwise a token limited in scope could manage every other token
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("unauthorized")
+        .addMessage("Registry tokens can only be managed using a GitHub token.")
+        .addCalls("auth.verifyAuth", user);
+    }
+
+    if (params.tokenId === false) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("not_found")
+        .addCalls("auth.verifyAuth", user);
+    }
+
+    const revoke = await context.database.removeUserToken(
+      user.content.id,
+      params.tokenId
+    );
+
+    if (!revoke.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(revoke)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.removeUserToken", revoke);
+    }
+
+    const sso = new context.sso();
+
+    return sso.isOk().addContent(false);
+  },
+};
@@ -0,0 +1,86 @@
+/**
+ * @module deleteUsersWebhooksWebhookId
+ */
+
+module.exports = {
+  docs: {
+    summary: "Remove a webhook of the currently authenticated user.",
+    description:
+      "The delivery history of the webhook is removed along with it.",
+    responses: {
+      204: {
+        description: "An empty response, indicating success.",
+      },
+      404: {
+        description: "The user has no webhook with this ID.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+    },
+  },
+  endpoint: {
+    method: "DELETE",
+    paths: ["/api/users/webhooks/:webhookId"],
+    rateLimit: "auth",
+    scope: "manage:webhooks",
+    successStatus: 204,
+    options: {
+      Allow: "GET, PUT, DELETE",
+      "X-Content-Type-Options": "nosniff",
+    },
+  },
+  params: {
+    auth: (context, req) => {
+      return context.query.auth(req);
+    },
+    webhookId: (context, req) => {
+      return context.query.webhookId(req);
+    },
+  },
+
+  /**
+   * @async
+   * @memberOf deleteUsersWebhooksWebhookId
+   * @desc Removes a webhook. Once removed it no longer receives any events.
+   */
+  async logic(params, context) {
+    const user = await context.auth.verifyAuth(params.auth, context.database, {
+      scope: module.exports.endpoint.scope,
+    });
+
+    if (!user.ok) {
+      const sso = new context.sso();
+
+      return sso.notOk().addContent(user).addCalls("auth.verifyAuth", user);
+    }
+
+    if (params.webhookId === false) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("not_found")
+        .addCalls("auth.verifyAuth", user);
+    }
+
+    const remove = await context.database.removeUserWebhook(
+      user.content.id,
+      params.webhookId
+    );
+
+    if (!remove.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(remove)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.removeUserWebhook", remove);
+    }
+
+    const sso = new context.sso();
+
+    return sso.isOk().addContent(false);
+  },
+};
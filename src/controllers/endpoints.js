@@ -5,6 +5,11 @@
 // based on each parent slug or http method utilized.
 // In simple terms, when a path has a parameter, add them longest path to shortest
 module.exports = [
+  require("./deleteAdminBans.js"),
+  require("./deleteAdminReleases.js"),
+  require("./getAdminActions.js"),
+  require("./getAdminBans.js"),
+  require("./getAdminWebhooksDeliveries.js"),
   require("./getLogin.js"),
   require("./getOauth.js"),
   require("./getPackages"),
@@ -18,18 +23,62 @@ module.exports = [
   require("./getThemesSearch.js"),
   require("./getUpdates.js"),
   require("./getUsers.js"),
+  require("./getUsersTokens.js"),
+  require("./getUsersWebhooks.js"),
+  require("./postAdminBans.js"),
+  require("./postAdminReleases.js"),
   require("./postPackages.js"),
+  require("./postUsersTokens.js"),
+  require("./postUsersWebhooks.js"),
   // Items with path parameters
+  require("./deleteAdminFeaturedFeaturedTypePackageName.js"),
+  require("./getAdminFeaturedFeaturedType.js"),
+  require("./postAdminFeaturedFeaturedTypePackageName.js"),
+  require("./postAdminPackagesPackageNameOwner.js"),
+  require("./deleteAdminNamesPackageName.js"),
+  require("./deleteAdminPackagesPackageName.js"),
+  require("./getAdminActionsActionId.js"),
+  require("./postAdminWebhooksDeliveriesDeliveryIdRedeliver.js"),
+  require("./deleteOrgsOrgNamePackagesPackageName.js"),
+  require("./deleteOrgsOrgNameMembersLogin.js"),
+  require("./getOrgsOrgNamePackages.js"),
+  require("./getOrgsOrgNameMembers.js"),
+  require("./getOrgsOrgName.js"),
+  require("./postOrgsOrgNamePackagesPackageName.js"),
+  require("./putOrgsOrgNameMembersLogin.js"),
+  require("./putOrgsOrgName.js"),
   require("./deletePackagesPackageNameVersionsVersionName.js"),
+  require("./deletePackagesPackageNameDistTagsDistTag.js"),
+  require("./deletePackagesPackageNameMaintainersLogin.js"),
+  require("./deletePackagesPackageNameBadges.js"),
+  require("./deletePackagesPackageNamePublishHook.js"),
   require("./deletePackagesPackageNameStar.js"),
   require("./deletePackagesPackageName.js"),
+  require("./deleteUsersTokensTokenId.js"),
+  require("./deleteUsersWebhooksWebhookId.js"),
+  require("./getUsersWebhooksWebhookIdDeliveries.js"),
+  require("./getUsersWebhooksWebhookId.js"),
+  require("./putUsersWebhooksWebhookId.js"),
   require("./getPackagesPackageNameVersionsVersionNameTarball.js"),
   require("./getPackagesPackageNameVersionsVersionName.js"),
+  require("./getPackagesPackageNameHealth.js"),
+  require("./getPackagesPackageNameMaintainers.js"),
+  require("./getPackagesPackageNamePublishHook.js"),
   require("./getPackagesPackageNameStargazers.js"),
   require("./getPackagesPackageName.js"),
   require("./postPackagesPackageNameVersionsVersionNameEventsUninstall.js"),
   require("./postPackagesPackageNameVersions.js"),
+  require("./postPackagesPackageNameMaintainersLoginAccept.js"),
+  require("./postPackagesPackageNameMaintainersLogin.js"),
+  require("./postPackagesPackageNameOwnerLoginAccept.js"),
+  require("./postPackagesPackageNameOwnerLogin.js"),
+  require("./postPackagesPackageNameBadges.js"),
+  require("./postPackagesPackageNameDeprecate.js"),
+  require("./postPackagesPackageNamePublishHookGithub.js"),
+  require("./postPackagesPackageNamePublishHook.js"),
   require("./postPackagesPackageNameStar.js"),
+  require("./putPackagesPackageNameDistTagsDistTag.js"),
+  require("./putPackagesPackageNameMaintainerPolicy.js"),
   require("./getUsersLoginStars.js"),
   require("./getUsersLogin.js"),
   require("./getOwnersOwnerName.js"),
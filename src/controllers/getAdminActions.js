@@ -0,0 +1,83 @@
+/**
+ * @module getAdminActions
+ */
+
+module.exports = {
+  docs: {
+    summary: "List the moderation history of the registry.",
+    description:
+      "Every action taken by an admin is recorded, and can't be modified afterwards. Most recent first.",
+    responses: {
+      200: {
+        description: "An array of admin actions.",
+        content: {
+          "application/json": "$adminActionObjectArray",
+        },
+      },
+    },
+  },
+  endpoint: {
+    method: "GET",
+    paths: ["/api/admin/actions"],
+    rateLimit: "generic",
+    successStatus: 200,
+    options: {
+      Allow: "GET",
+      "X-Content-Type-Options": "nosniff",
+    },
+  },
+  params: {
+    page: (context, req) => {
+      return context.query.page(req);
+    },
+    action: (context, req) => {
+      return context.query.adminAction(req);
+    },
+    package: (context, req) => {
+      return context.query.adminActionPackage(req);
+    },
+  },
+
+  /**
+   * @async
+   * @memberOf getAdminActions
+   * @desc Returns the recorded admin actions, filtered by query params.
+   * @param {object} params - The available query parameters.
+   * @param {object} context - The Endpoint Context.
+   * @returns {ssoPaginate}
+   */
+  async logic(params, context) {
+    const actions = await context.database.getAdminActions(params);
+
+    if (!actions.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(actions)
+        .addCalls("db.getAdminActions", actions);
+    }
+
+    // Only carry the filters in use through to the pagination links
+    const filters = {};
+
+    for (const filter of ["action", "package"]) {
+      if (typeof params[filter] === "string") {
+        filters[filter] = encodeURIComponent(params[filter]);
+      }
+    }
+
+    const ssoP = new context.ssoPaginate();
+
+    ssoP.resultCount = actions.pagination.count;
+    ssoP.totalPages = actions.pagination.total;
+    ssoP.limit = actions.pagination.limit;
+    ssoP.buildLink(
+      `${context.config.server_url}/api/admin/actions`,
+      actions.pagination.page,
+      filters
+    );
+
+    return ssoP.isOk().addContent(actions.content);
+  },
+};
@@ -0,0 +1,66 @@
+/**
+ * @module getAdminActionsActionId
+ */
+
+module.exports = {
+  docs: {
+    summary: "Get a single action of the moderation history of the registry.",
+    responses: {
+      200: {
+        description: "The admin action.",
+        content: {
+          "application/json": "$adminActionObject",
+        },
+      },
+      404: {
+        description: "No admin action has the provided ID.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+    },
+  },
+  endpoint: {
+    method: "GET",
+    paths: ["/api/admin/actions/:actionId"],
+    rateLimit: "generic",
+    successStatus: 200,
+    options: {
+      Allow: "GET",
+      "X-Content-Type-Options": "nosniff",
+    },
+  },
+  params: {
+    actionId: (context, req) => {
+      return context.query.adminActionId(req);
+    },
+  },
+
+  /**
+   * @async
+   * @memberOf getAdminActionsActionId
+   * @desc Returns a single recorded admin action.
+   */
+  async logic(params, context) {
+    if (params.actionId === false) {
+      const sso = new context.sso();
+
+      return sso.notOk().addShort("not_found");
+    }
+
+    const action = await context.database.getAdminActionByID(params.actionId);
+
+    if (!action.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(action)
+        .addCalls("db.getAdminActionByID", action);
+    }
+
+    const sso = new context.sso();
+
+    return sso.isOk().addContent(action.content);
+  },
+};
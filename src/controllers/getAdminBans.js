@@ -0,0 +1,69 @@
+/**
+ * @module getAdminBans
+ */
+
+module.exports = {
+  docs: {
+    summary: "List every ban of the package name ban list.",
+    description:
+      "Only available to admins. Bans originally listed only as a name are returned as a `name` ban without a reason.",
+    responses: {
+      200: {
+        description: "The bans of the package name ban list.",
+        content: {
+          "application/json": "$banObjectArray",
+        },
+      },
+    },
+  },
+  endpoint: {
+    method: "GET",
+    paths: ["/api/admin/bans"],
+    rateLimit: "auth",
+    successStatus: 200,
+    options: {
+      Allow: "GET, POST, DELETE",
+      "X-Content-Type-Options": "nosniff",
+    },
+  },
+  params: {
+    auth: (context, req) => {
+      return context.query.auth(req);
+    },
+  },
+
+  /**
+   * @async
+   * @memberOf getAdminBans
+   * @desc Returns the ban list, with every entry as a Ban Object.
+   */
+  async logic(params, context) {
+    const user = await context.auth.verifyAuth(params.auth, context.database, {
+      admin: true,
+    });
+
+    if (!user.ok) {
+      const sso = new context.sso();
+
+      return sso.notOk().addContent(user).addCalls("auth.verifyAuth", user);
+    }
+
+    const banList = await context.storage.getBanList();
+
+    if (!banList.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(banList)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("storage.getBanList", banList);
+    }
+
+    const sso = new context.sso();
+
+    return sso
+      .isOk()
+      .addContent(banList.content.map((b) => context.utils.normalizeBan(b)));
+  },
+};
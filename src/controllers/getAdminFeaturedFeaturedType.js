@@ -0,0 +1,81 @@
+/**
+ * @module getAdminFeaturedFeaturedType
+ */
+
+module.exports = {
+  docs: {
+    summary: "List the featured packages or featured themes, in order.",
+    description:
+      "Only available to admins. Unlike `/api/packages/featured` and `/api/themes/featured`, this includes any entry that has expired.",
+    responses: {
+      200: {
+        description: "The entries of the featured list, in order.",
+        content: {
+          "application/json": "$featuredObjectArray",
+        },
+      },
+    },
+  },
+  endpoint: {
+    method: "GET",
+    paths: ["/api/admin/featured/:featuredType"],
+    rateLimit: "auth",
+    successStatus: 200,
+    options: {
+      Allow: "GET",
+      "X-Content-Type-Options": "nosniff",
+    },
+  },
+  params: {
+    auth: (context, req) => {
+      return context.query.auth(req);
+    },
+    featuredType: (context, req) => {
+      return context.query.featuredType(req);
+    },
+  },
+
+  /**
+   * @async
+   * @memberOf getAdminFeaturedFeaturedType
+   * @desc Returns the featured list, with every entry as a Featured Object.
+   */
+  async logic(params, context) {
+    const user = await context.auth.verifyAuth(params.auth, context.database, {
+      admin: true,
+    });
+
+    if (!user.ok) {
+      const sso = new context.sso();
+
+      return sso.notOk().addContent(user).addCalls("auth.verifyAuth", user);
+    }
+
+    if (params.featuredType === false) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("not_found")
+        .addCalls("auth.verifyAuth", user);
+    }
+
+    const list = await context.storage.getFeaturedList(params.featuredType);
+
+    if (!list.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(list)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("storage.getFeaturedList", list);
+    }
+
+    const sso = new context.sso();
+
+    return sso
+      .isOk()
+      .addContent(list.content.map((f) => context.utils.normalizeFeatured(f)));
+  },
+};
@@ -0,0 +1,104 @@
+/**
+ * @module getAdminWebhooksDeliveries
+ */
+
+module.exports = {
+  docs: {
+    summary: "List the webhook deliveries in a state.",
+    description:
+      "Only available to admins. Lists the deliveries to every webhook and built-in subscriber, most recently updated first. By default those dead-lettered, having failed every attempt.",
+    responses: {
+      200: {
+        description: "An array of webhook deliveries.",
+        content: {
+          "application/json": "$webhookDeliveryObjectAdminArray",
+        },
+      },
+      400: {
+        description: "The state is invalid.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+    },
+  },
+  endpoint: {
+    method: "GET",
+    paths: ["/api/admin/webhooks/deliveries"],
+    rateLimit: "auth",
+    successStatus: 200,
+    options: {
+      Allow: "GET",
+      "X-Content-Type-Options": "nosniff",
+    },
+  },
+  params: {
+    auth: (context, req) => {
+      return context.query.auth(req);
+    },
+    state: (context, req) => {
+      return context.query.deliveryState(req);
+    },
+    page: (context, req) => {
+      return context.query.page(req);
+    },
+  },
+
+  /**
+   * @async
+   * @memberOf getAdminWebhooksDeliveries
+   * @desc Returns the deliveries in the requested state.
+   * @param {object} params - The available query parameters.
+   * @param {object} context - The Endpoint Context.
+   * @returns {ssoPaginate}
+   */
+  async logic(params, context) {
+    const user = await context.auth.verifyAuth(params.auth, context.database, {
+      admin: true,
+    });
+
+    if (!user.ok) {
+      const sso = new context.sso();
+
+      return sso.notOk().addContent(user).addCalls("auth.verifyAuth", user);
+    }
+
+    if (params.state === false) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("bad_request")
+        .addMessage("The state must be one of pending, delivered, or dead.")
+        .addCalls("auth.verifyAuth", user);
+    }
+
+    const deliveries = await context.database.getWebhookDeliveriesByState(
+      params.state,
+      params.page
+    );
+
+    if (!deliveries.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(deliveries)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getWebhookDeliveriesByState", deliveries);
+    }
+
+    const ssoP = new context.ssoPaginate();
+
+    ssoP.resultCount = deliveries.pagination.count;
+    ssoP.totalPages = deliveries.pagination.total;
+    ssoP.limit = deliveries.pagination.limit;
+    ssoP.buildLink(
+      `${context.config.server_url}/api/admin/webhooks/deliveries`,
+      deliveries.pagination.page,
+      { state: params.state }
+    );
+
+    return ssoP.isOk().addContent(deliveries.content);
+  },
+};
@@ -0,0 +1,69 @@
+/**
+ * @module getOrgsOrgName
+ */
+
+module.exports = {
+  docs: {
+    summary: "Display the profile of an org.",
+    responses: {
+      200: {
+        description: "The profile of the org.",
+        content: {
+          "application/json": "$orgObject",
+        },
+      },
+      404: {
+        description: "The org doesn't exist.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+    },
+  },
+  endpoint: {
+    method: "GET",
+    paths: ["/api/orgs/:orgName"],
+    rateLimit: "generic",
+    successStatus: 200,
+    options: {
+      Allow: "GET, PUT",
+      "X-Content-Type-Options": "nosniff",
+    },
+  },
+  params: {
+    orgName: (context, req) => {
+      return context.query.orgName(req);
+    },
+  },
+
+  /**
+   * @async
+   * @memberOf getOrgsOrgName
+   * @desc Returns the profile of an org.
+   * @param {object} params - The available query parameters.
+   * @param {object} context - The Endpoint Context.
+   * @returns {sso}
+   */
+  async logic(params, context) {
+    if (params.orgName === false) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("not_found")
+        .addMessage("The org name is invalid.");
+    }
+
+    const org = await context.database.getOrgByName(params.orgName);
+
+    if (!org.ok) {
+      const sso = new context.sso();
+
+      return sso.notOk().addContent(org).addCalls("db.getOrgByName", org);
+    }
+
+    const sso = new context.sso();
+
+    return sso.isOk().addContent(org.content);
+  },
+};
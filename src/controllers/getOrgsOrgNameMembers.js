@@ -0,0 +1,72 @@
+/**
+ * @module getOrgsOrgNameMembers
+ */
+
+module.exports = {
+  docs: {
+    summary: "List the members of an org.",
+    responses: {
+      200: {
+        description: "The members of the org, owners first.",
+        content: {
+          "application/json": "$orgMemberObjectArray",
+        },
+      },
+      404: {
+        description: "The org doesn't exist.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+    },
+  },
+  endpoint: {
+    method: "GET",
+    paths: ["/api/orgs/:orgName/members"],
+    rateLimit: "generic",
+    successStatus: 200,
+    options: {
+      Allow: "GET",
+      "X-Content-Type-Options": "nosniff",
+    },
+  },
+  params: {
+    orgName: (context, req) => {
+      return context.query.orgName(req);
+    },
+  },
+
+  /**
+   * @async
+   * @memberOf getOrgsOrgNameMembers
+   * @desc Returns the members of an org.
+   * @param {object} params - The available query parameters.
+   * @param {object} context - The Endpoint Context.
+   * @returns {sso}
+   */
+  async logic(params, context) {
+    if (params.orgName === false) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("not_found")
+        .addMessage("The org name is invalid.");
+    }
+
+    const members = await context.database.getOrgMembers(params.orgName);
+
+    if (!members.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(members)
+        .addCalls("db.getOrgMembers", members);
+    }
+
+    const sso = new context.sso();
+
+    return sso.isOk().addContent(members.content);
+  },
+};
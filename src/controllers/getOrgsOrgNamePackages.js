@@ -0,0 +1,96 @@
+/**
+ * @module getOrgsOrgNamePackages
+ */
+
+module.exports = {
+  docs: {
+    summary: "List all packages assigned to an org.",
+    responses: {
+      200: {
+        description: "A paginated response of packages.",
+        content: {
+          "application/json": "$packageObjectShortArray",
+        },
+      },
+    },
+  },
+  endpoint: {
+    method: "GET",
+    paths: ["/api/orgs/:orgName/packages"],
+    rateLimit: "generic",
+    successStatus: 200,
+    options: {
+      Allow: "GET",
+      "X-Content-Type-Options": "nosniff",
+    },
+  },
+  params: {
+    page: (context, req) => {
+      return context.query.page(req);
+    },
+    sort: (context, req) => {
+      return context.query.sort(req);
+    },
+    direction: (context, req) => {
+      return context.query.direction(req);
+    },
+    orgName: (context, req) => {
+      return context.query.orgName(req);
+    },
+  },
+
+  /**
+   * @async
+   * @memberOf getOrgsOrgNamePackages
+   * @desc Returns the packages assigned to an org.
+   * @param {object} params - The available query parameters.
+   * @param {object} context - The Endpoint Context.
+   * @returns {ssoPaginate}
+   */
+  async logic(params, context) {
+    // Without a valid org every package would be listed
+    if (params.orgName === false) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("not_found")
+        .addMessage("The org name is invalid.");
+    }
+
+    const packages = await context.database.getSortedPackages({
+      ...params,
+      org: params.orgName,
+    });
+
+    if (!packages.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(packages)
+        .addCalls("db.getSortedPackages", packages);
+    }
+
+    const packObjShort = await context.utils.constructPackageObjectShort(
+      packages.content
+    );
+
+    const packArray = Array.isArray(packObjShort)
+      ? packObjShort
+      : [packObjShort];
+
+    const ssoP = new context.ssoPaginate();
+
+    ssoP.resultCount = packages.pagination.count;
+    ssoP.totalPages = packages.pagination.total;
+    ssoP.limit = packages.pagination.limit;
+    ssoP.buildLink(
+      `${context.config.server_url}/api/orgs/${params.orgName}/packages`,
+      packages.pagination.page,
+      { sort: params.sort, direction: params.direction }
+    );
+
+    return ssoP.isOk().addContent(packArray);
+  },
+};
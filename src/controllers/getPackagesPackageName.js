@@ -5,6 +5,8 @@
 module.exports = {
   docs: {
     summary: "Show package details.",
+    description:
+      "Prerelease versions are left out unless `prerelease` is `true`, or the package has yet to publish a release.",
     responses: {
       200: {
         description: "A 'Package Object Full' of the requested package.",
@@ -31,6 +33,9 @@ module.exports = {
     packageName: (context, req) => {
       return context.query.packageName(req);
     },
+    prerelease: (context, req) => {
+      return context.query.prerelease(req);
+    },
   },
 
   /**
@@ -54,7 +59,10 @@ module.exports = {
       return sso.notOk().addContent(pack).addCalls("db.getPackageByName", pack);
     }
 
-    pack = await context.utils.constructPackageObjectFull(pack.content);
+    pack = await context.utils.constructPackageObjectFull(
+      pack.content,
+      params.prerelease
+    );
 
     if (params.engine !== false) {
       // query.engine returns false if no valid query param is found.
@@ -0,0 +1,83 @@
+/**
+ * @module getPackagesPackageNameHealth
+ */
+
+module.exports = {
+  docs: {
+    summary: "List the health history of a package.",
+    description:
+      "The results of every health check run against a package, along with the badges applied because of them. Most recent first.",
+    responses: {
+      200: {
+        description: "An array of package health checks.",
+        content: {
+          "application/json": "$packageHealthObjectArray",
+        },
+      },
+      404: {
+        description: "The package doesn't exist.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+    },
+  },
+  endpoint: {
+    method: "GET",
+    paths: [
+      "/api/packages/:packageName/health",
+      "/api/themes/:packageName/health",
+    ],
+    rateLimit: "generic",
+    successStatus: 200,
+    options: {
+      Allow: "GET",
+      "X-Content-Type-Options": "nosniff",
+    },
+  },
+  params: {
+    packageName: (context, req) => {
+      return context.query.packageName(req);
+    },
+    page: (context, req) => {
+      return context.query.page(req);
+    },
+  },
+
+  /**
+   * @async
+   * @memberOf getPackagesPackageNameHealth
+   * @desc Returns the recorded health checks of a package.
+   * @param {object} params - The available query parameters.
+   * @param {object} context - The Endpoint Context.
+   * @returns {ssoPaginate}
+   */
+  async logic(params, context) {
+    const health = await context.database.getPackageHealthByName(
+      params.packageName,
+      params.page
+    );
+
+    if (!health.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(health)
+        .addCalls("db.getPackageHealthByName", health);
+    }
+
+    const ssoP = new context.ssoPaginate();
+
+    ssoP.resultCount = health.pagination.count;
+    ssoP.totalPages = health.pagination.total;
+    ssoP.limit = health.pagination.limit;
+    ssoP.buildLink(
+      `${context.config.server_url}/api/packages/${params.packageName}/health`,
+      health.pagination.page,
+      {}
+    );
+
+    return ssoP.isOk().addContent(health.content);
+  },
+};
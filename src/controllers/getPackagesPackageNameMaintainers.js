@@ -0,0 +1,70 @@
+/**
+ * @module getPackagesPackageNameMaintainers
+ */
+
+module.exports = {
+  docs: {
+    summary: "List the maintainers of a package.",
+    description:
+      "Includes those who've been invited but haven't yet accepted, along with the maintainer policy of the package, and the user any transfer of its ownership is pending for.",
+    responses: {
+      200: {
+        description: "The maintainers of the package.",
+        content: {
+          "application/json": "$maintainersObject",
+        },
+      },
+      404: {
+        description: "The package doesn't exist.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+    },
+  },
+  endpoint: {
+    method: "GET",
+    paths: [
+      "/api/packages/:packageName/maintainers",
+      "/api/themes/:packageName/maintainers",
+    ],
+    rateLimit: "generic",
+    successStatus: 200,
+    options: {
+      Allow: "GET",
+      "X-Content-Type-Options": "nosniff",
+    },
+  },
+  params: {
+    packageName: (context, req) => {
+      return context.query.packageName(req);
+    },
+  },
+
+  /**
+   * @async
+   * @memberOf getPackagesPackageNameMaintainers
+   * @desc Returns the maintainers of a package.
+   * @param {object} params - The available query parameters.
+   * @param {object} context - The Endpoint Context.
+   * @returns {sso}
+   */
+  async logic(params, context) {
+    const maintainers = await context.database.getPackageMaintainers(
+      params.packageName
+    );
+
+    if (!maintainers.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(maintainers)
+        .addCalls("db.getPackageMaintainers", maintainers);
+    }
+
+    const sso = new context.sso();
+
+    return sso.isOk().addContent(maintainers.content);
+  },
+};
@@ -0,0 +1,124 @@
+/**
+ * @module getPackagesPackageNamePublishHook
+ */
+
+module.exports = {
+  docs: {
+    summary: "Get the publish hook of a package.",
+    description:
+      "Only the owner of the package can view its publish hook. The secret of the hook is never returned after it's enabled.",
+    responses: {
+      200: {
+        description: "The publish hook of the package.",
+        content: {
+          "application/json": "$publishHookObject",
+        },
+      },
+      404: {
+        description: "The package doesn't exist, or has no publish hook.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+    },
+  },
+  endpoint: {
+    method: "GET",
+    paths: [
+      "/api/packages/:packageName/publish-hook",
+      "/api/themes/:packageName/publish-hook",
+    ],
+    rateLimit: "auth",
+    scope: "manage:hooks",
+    successStatus: 200,
+    options: {
+      Allow: "GET, POST, DELETE",
+      "X-Content-Type-Options": "nosniff",
+    },
+  },
+  params: {
+    auth: (context, req) => {
+      return context.query.auth(req);
+    },
+    packageName: (context, req) => {
+      return context.query.packageName(req);
+    },
+  },
+
+  /**
+   * @async
+   * @memberof getPackagesPackageNamePublishHook
+   * @function logic
+   * @desc Returns the publish hook, once the user is verified to own the package.
+   * @param {object} params - The available query parameters.
+   * @param {object} context - The Endpoint Context.
+   * @returns {sso}
+   */
+  async logic(params, context) {
+    const user = await context.auth.verifyAuth(params.auth, context.database, {
+      scope: module.exports.endpoint.scope,
+      package: params.packageName,
+    });
+
+    if (!user.ok) {
+      const sso = new context.sso();
+
+      return sso.notOk().addContent(user).addCalls("auth.verifyAuth", user);
+    }
+
+    const pack = await context.database.getPackageByName(
+      params.packageName,
+      true
+    );
+
+    if (!pack.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(pack)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getPackageByName", pack);
+    }
+
+    const owner = await context.auth.packageOwnership(
+      user.content,
+      pack.content,
+      context.vcs
+    );
+
+    if (!owner.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(owner)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getPackageByName", pack)
+        .addCalls("auth.packageOwnership", owner);
+    }
+
+    const hook = await context.database.getPublishHook(params.packageName);
+
+    if (!hook.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(hook)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getPackageByName", pack)
+        .addCalls("auth.packageOwnership", owner)
+        .addCalls("db.getPublishHook", hook);
+    }
+
+    const { userid, secret, ...content } = hook.content;
+
+    const sso = new context.sso();
+
+    return sso.isOk().addContent({
+      ...content,
+      url: `${context.config.server_url}/api/packages/${params.packageName}/publish-hook/github`,
+    });
+  },
+};
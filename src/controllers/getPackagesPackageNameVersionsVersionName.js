@@ -5,6 +5,8 @@
 module.exports = {
   docs: {
     summary: "Get the details of a specific package version.",
+    description:
+      "The version may also be a dist-tag of the package, like `latest` or `beta`.",
   },
   endpoint: {
     method: "GET",
@@ -24,7 +26,7 @@ module.exports = {
       return context.query.packageName(req);
     },
     versionName: (context, req) => {
-      return context.query.engine(req.params.versionName);
+      return context.query.versionName(req);
     },
   },
 
@@ -48,7 +50,7 @@ module.exports = {
         .addMessage("The version provided is invalid.");
     }
 
-    // Now we know the version is a valid semver.
+    // Now we know the version is a valid semver, or dist-tag.
 
     const pack = await context.database.getPackageVersionByNameAndVersion(
       params.packageName,
@@ -8,8 +8,14 @@ module.exports = {
   docs: {
     summary:
       "Previously undocumented endpoint. Allows for installation of a package.",
+    description:
+      "The version may also be a dist-tag of the package, like `latest` or `beta`.",
     responses: [
       {
+        200: {
+          description:
+            "The tarball of the package version, served from our own storage.",
+        },
         302: {
           description: "Redirect to the GitHub tarball URL.",
         },
@@ -34,7 +40,7 @@ module.exports = {
       return context.query.packageName(req);
     },
     versionName: (context, req) => {
-      return context.query.engine(req.params.versionName);
+      return context.query.versionName(req);
     },
   },
 
@@ -50,7 +56,7 @@ module.exports = {
   async logic(params, context) {
     // First ensure our version is valid
     if (params.versionName === false) {
-      // since query.engine gives false if invalid, we can check the truthiness
+      // since query.versionName gives false if invalid, we can check the truthiness
       // but returning early uses less compute, as a false version will never be found
       const sso = new context.sso();
 
@@ -87,8 +93,47 @@ module.exports = {
       // We don't want to exit on failed update to download count, only log
     }
 
-    // For simplicity, we will redirect the request to gh tarball url
-    // Allowing downloads to take place via GitHub Servers
+    // The version may have been requested by a dist-tag, so from here on we
+    // use the semver it points to
+    const semver = pack.content.semver;
+
+    // A deprecated version can still be installed, but is warned about
+    const warning =
+      typeof pack.content.deprecated === "string"
+        ? context.utils.deprecationWarning(pack.content.deprecated)
+        : null;
+
+    // Versions that have been mirrored are served from our own storage, so that
+    // the tarball downloaded always matches the integrity recorded at publish time
+    if (typeof pack.content.meta?.dist?.integrity === "string") {
+      const tarball = await context.storage.getPackageTarball(
+        params.packageName,
+        semver
+      );
+
+      if (tarball.ok) {
+        const sso = new context.ssoFile();
+
+        if (warning !== null) {
+          sso.addHeader("Warning", warning);
+        }
+
+        return sso
+          .isOk()
+          .addContent(tarball.content)
+          .addContentType("application/gzip")
+          .addFileName(`${params.packageName}-${semver}.tgz`);
+      }
+
+      context.logger.generic(
+        3,
+        `Mirrored tarball of ${params.packageName}@${semver} unavailable, falling back to VCS`,
+        { type: "object", obj: tarball }
+      );
+    }
+
+    // Otherwise, we will redirect the request to the VCS tarball url
+    // Allowing downloads to take place via the VCS Servers
     // But before this is done, we will preform some checks to ensure the URL is correct/legit
     const tarballURL =
       pack.content.meta?.tarball_url ?? pack.content.meta?.dist?.tarball ?? "";
@@ -97,11 +142,11 @@ module.exports = {
     // Try to extract the hostname
     try {
       const tbUrl = new URL(tarballURL);
-      hostname = tbUrl.hostname;
+      hostname = tbUrl.host.toLowerCase();
     } catch (err) {
       context.logger.generic(
         3,
-        `Malformed tarball URL for version ${params.versionName} of ${params.packageName}`
+        `Malformed tarball URL for version ${semver} of ${params.packageName}`
       );
       const sso = new context.sso();
 
@@ -114,15 +159,8 @@ module.exports = {
         );
     }
 
-    const allowedHostnames = [
-      "codeload.github.com",
-      "api.github.com",
-      "github.com",
-      "raw.githubusercontent.com",
-    ];
-
     if (
-      !allowedHostnames.includes(hostname) &&
+      !context.utils.tarballHosts().includes(hostname) &&
       process.env.PULSAR_STATUS !== "dev"
     ) {
       const sso = new context.sso();
@@ -134,6 +172,11 @@ module.exports = {
     }
 
     const sso = new context.ssoRedirect();
+
+    if (warning !== null) {
+      sso.addHeader("Warning", warning);
+    }
+
     return sso.isOk().addContent(tarballURL);
   },
 };
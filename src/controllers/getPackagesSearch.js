@@ -5,13 +5,37 @@
 module.exports = {
   docs: {
     summary: "Searches all packages.",
+    description:
+      "When a search has no results, the names of the most similar packages are suggested as a JSON array within the `Query-Suggestions` header. With `facets=true`, the counts of each facet of the results are returned as JSON within the `Query-Facets` header.",
     responses: {
       200: {
         description: "Any array of packages.",
+        headers: {
+          "Query-Suggestions": {
+            description:
+              "The names of the most similar packages, when there are no results.",
+            content: {
+              "application/json": "$querySuggestions",
+            },
+          },
+          "Query-Facets": {
+            description:
+              "The counts of each facet of the results, with `facets=true`.",
+            content: {
+              "application/json": "$queryFacets",
+            },
+          },
+        },
         content: {
           "application/json": "$packageObjectShortArray",
         },
       },
+      400: {
+        description: "The cursor is invalid, or was given for another sort.",
+        content: {
+          "application/json": "$message",
+        },
+      },
     },
   },
   endpoint: {
@@ -26,7 +50,7 @@ module.exports = {
   },
   params: {
     sort: (context, req) => {
-      return context.query.sort(req);
+      return context.query.sort(req, "relevance");
     },
     page: (context, req) => {
       return context.query.page(req);
@@ -40,6 +64,21 @@ module.exports = {
     filter: (context, req) => {
       return context.query.filter(req);
     },
+    engine: (context, req) => {
+      return context.query.engine(req.query.engine);
+    },
+    badge: (context, req) => {
+      return context.query.badge(req);
+    },
+    hideBadge: (context, req) => {
+      return context.query.hideBadge(req);
+    },
+    facets: (context, req) => {
+      return context.query.facets(req);
+    },
+    cursor: (context, req) => {
+      return context.query.cursor(req, context.query.sort(req, "relevance"));
+    },
   },
 
   /**
@@ -49,21 +88,25 @@ module.exports = {
    * @desc Allows user to search through all packages. Using specified query params.
    * @param {object} params - The available query parameters.
    * @param {object} context - The Endpoint Context.
-   * @todo Use custom LCS search.
    * @returns {ssoPaginate}
    */
   async logic(params, context) {
-    // Because the task of implementing the custom search engine is taking longer
-    // than expected, this will instead use super basic text searching on the DB side.
-    // This is only an effort to get this working quickly and should be changed later.
-    // This also means for now, the default sorting method will be downloads, not relevance.
+    if (params.cursor === false) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("bad_request")
+        .addMessage("The cursor is invalid, or was given for another sort.");
+    }
 
     const packs = await context.database.simpleSearch(
       params.query,
       params.page,
       params.direction,
       params.sort,
-      params.filter === "theme"
+      params.filter === "theme",
+      params
     );
 
     if (!packs.ok) {
@@ -104,14 +147,39 @@ module.exports = {
 
     const ssoP = new context.ssoPaginate();
 
-    ssoP.resultCount = packs.pagination.count;
-    ssoP.totalPages = packs.pagination.total;
     ssoP.limit = packs.pagination.limit;
-    ssoP.buildLink(
-      `${context.config.server_url}/api/packages/search`,
-      packs.pagination.page,
-      params
-    );
+
+    if (typeof params.cursor === "object" && params.cursor !== null) {
+      ssoP.buildCursorLink(
+        `${context.config.server_url}/api/packages/search`,
+        packs.pagination,
+        params
+      );
+    } else {
+      ssoP.resultCount = packs.pagination.count;
+      ssoP.totalPages = packs.pagination.total;
+      ssoP.buildLink(
+        `${context.config.server_url}/api/packages/search`,
+        packs.pagination.page,
+        params
+      );
+    }
+
+    if (packArray.length === 0) {
+      // Suggest what the user may have meant, without failing the search
+      const suggestions = await context.database.getSearchSuggestions(
+        params.query,
+        params.filter === "theme"
+      );
+
+      if (suggestions.ok) {
+        ssoP.suggestions = suggestions.content;
+      }
+    }
+
+    if (params.facets) {
+      ssoP.facets = packs.facets;
+    }
 
     return ssoP.isOk().addContent(packArray);
   },
@@ -19,6 +19,7 @@ module.exports = {
     method: "GET",
     paths: ["/api/stars"],
     rateLimit: "generic",
+    scope: "read:private",
     successStatus: 200,
     options: {
       Allow: "GET",
@@ -38,7 +39,9 @@ module.exports = {
    * @desc Returns an array of all packages the authenticated user has starred.
    */
   async logic(params, context) {
-    let user = await context.auth.verifyAuth(params.auth, context.database);
+    let user = await context.auth.verifyAuth(params.auth, context.database, {
+      scope: module.exports.endpoint.scope,
+    });
 
     if (!user.ok) {
       const sso = new context.sso();
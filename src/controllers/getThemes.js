@@ -5,13 +5,30 @@
 module.exports = {
   docs: {
     summary: "List all packages that are themes.",
+    description:
+      "With `facets=true`, the counts of each facet of the results are returned as JSON within the `Query-Facets` header.",
     responses: {
       200: {
         description: "A paginated response of themes.",
+        headers: {
+          "Query-Facets": {
+            description:
+              "The counts of each facet of the results, with `facets=true`.",
+            content: {
+              "application/json": "$queryFacets",
+            },
+          },
+        },
         content: {
           "application/json": "$packageObjectShortArray",
         },
       },
+      400: {
+        description: "The cursor is invalid, or was given for another sort.",
+        content: {
+          "application/json": "$message",
+        },
+      },
     },
   },
   endpoint: {
@@ -34,6 +51,24 @@ module.exports = {
     direction: (context, req) => {
       return context.query.direction(req);
     },
+    org: (context, req) => {
+      return context.query.org(req);
+    },
+    engine: (context, req) => {
+      return context.query.engine(req.query.engine);
+    },
+    badge: (context, req) => {
+      return context.query.badge(req);
+    },
+    hideBadge: (context, req) => {
+      return context.query.hideBadge(req);
+    },
+    facets: (context, req) => {
+      return context.query.facets(req);
+    },
+    cursor: (context, req) => {
+      return context.query.cursor(req, context.query.sort(req));
+    },
   },
 
   /**
@@ -45,6 +80,15 @@ module.exports = {
    * @returns {object} ssoPaginate
    */
   async logic(params, context) {
+    if (params.cursor === false) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("bad_request")
+        .addMessage("The cursor is invalid, or was given for another sort.");
+    }
+
     const packages = await context.database.getSortedPackages(params, true);
 
     if (!packages.ok) {
@@ -66,14 +110,27 @@ module.exports = {
 
     const ssoP = new context.ssoPaginate();
 
-    ssoP.resultCount = packages.pagination.count;
-    ssoP.totalPages = packages.pagination.total;
     ssoP.limit = packages.pagination.limit;
-    ssoP.buildLink(
-      `${context.config.server_url}/api/themes`,
-      packages.pagination.page,
-      params
-    );
+
+    if (typeof params.cursor === "object" && params.cursor !== null) {
+      ssoP.buildCursorLink(
+        `${context.config.server_url}/api/themes`,
+        packages.pagination,
+        params
+      );
+    } else {
+      ssoP.resultCount = packages.pagination.count;
+      ssoP.totalPages = packages.pagination.total;
+      ssoP.buildLink(
+        `${context.config.server_url}/api/themes`,
+        packages.pagination.page,
+        params
+      );
+    }
+
+    if (params.facets) {
+      ssoP.facets = packages.facets;
+    }
 
     return ssoP.isOk().addContent(packArray);
   },
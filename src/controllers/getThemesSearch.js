@@ -5,13 +5,37 @@
 module.exports = {
   docs: {
     summary: "Get featured packages that are themes. Previously undocumented.",
+    description:
+      "When a search has no results, the names of the most similar themes are suggested as a JSON array within the `Query-Suggestions` header. With `facets=true`, the counts of each facet of the results are returned as JSON within the `Query-Facets` header.",
     responses: {
       200: {
         description: "A paginated response of themes.",
+        headers: {
+          "Query-Suggestions": {
+            description:
+              "The names of the most similar themes, when there are no results.",
+            content: {
+              "application/json": "$querySuggestions",
+            },
+          },
+          "Query-Facets": {
+            description:
+              "The counts of each facet of the results, with `facets=true`.",
+            content: {
+              "application/json": "$queryFacets",
+            },
+          },
+        },
         content: {
           "application/json": "$packageObjectShortArray",
         },
       },
+      400: {
+        description: "The cursor is invalid, or was given for another sort.",
+        content: {
+          "application/json": "$message",
+        },
+      },
     },
   },
   endpoint: {
@@ -26,7 +50,7 @@ module.exports = {
   },
   params: {
     sort: (context, req) => {
-      return context.query.sort(req);
+      return context.query.sort(req, "relevance");
     },
     page: (context, req) => {
       return context.query.page(req);
@@ -37,15 +61,40 @@ module.exports = {
     query: (context, req) => {
       return context.query.query(req);
     },
+    engine: (context, req) => {
+      return context.query.engine(req.query.engine);
+    },
+    badge: (context, req) => {
+      return context.query.badge(req);
+    },
+    hideBadge: (context, req) => {
+      return context.query.hideBadge(req);
+    },
+    facets: (context, req) => {
+      return context.query.facets(req);
+    },
+    cursor: (context, req) => {
+      return context.query.cursor(req, context.query.sort(req, "relevance"));
+    },
   },
 
   async logic(params, context) {
+    if (params.cursor === false) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("bad_request")
+        .addMessage("The cursor is invalid, or was given for another sort.");
+    }
+
     const packs = await context.database.simpleSearch(
       params.query,
       params.page,
       params.direction,
       params.sort,
-      true
+      true,
+      params
     );
 
     if (!packs.ok) {
@@ -70,13 +119,38 @@ module.exports = {
 
     const ssoP = new context.ssoPaginate();
 
-    ssoP.total = packs.pagination.total;
     ssoP.limit = packs.pagination.limit;
-    ssoP.buildLink(
-      `${context.config.server_url}/api/themes/search`,
-      packs.pagination.page,
-      params
-    );
+
+    if (typeof params.cursor === "object" && params.cursor !== null) {
+      ssoP.buildCursorLink(
+        `${context.config.server_url}/api/themes/search`,
+        packs.pagination,
+        params
+      );
+    } else {
+      ssoP.total = packs.pagination.total;
+      ssoP.buildLink(
+        `${context.config.server_url}/api/themes/search`,
+        packs.pagination.page,
+        params
+      );
+    }
+
+    if (packArray.length === 0) {
+      // Suggest what the user may have meant, without failing the search
+      const suggestions = await context.database.getSearchSuggestions(
+        params.query,
+        true
+      );
+
+      if (suggestions.ok) {
+        ssoP.suggestions = suggestions.content;
+      }
+    }
+
+    if (params.facets) {
+      ssoP.facets = packs.facets;
+    }
 
     return ssoP.isOk().addContent(packArray);
   },
@@ -6,7 +6,7 @@ module.exports = {
   docs: {
     summary: "List Pulsar Updates",
     description:
-      "Currently returns 'Not Implemented' as Squirrel AutoUpdate is not supported.",
+      "Returns the newest Pulsar release for the requesting platform and channel, in the format expected by Squirrel. Returns `204` when the editor is already up to date.",
     responses: [
       {
         200: {
@@ -14,6 +14,15 @@ module.exports = {
             "Atom update feed, following the format expected by Squirrel.",
           content: {},
         },
+        204: {
+          description: "No update is available for this editor.",
+        },
+        400: {
+          description: "The platform is missing or invalid.",
+          content: {
+            "application/json": "$message",
+          },
+        },
       },
     ],
   },
@@ -27,18 +36,77 @@ module.exports = {
       "X-Content-Type-Options": "nosniff",
     },
   },
-  params: {},
+  params: {
+    platform: (context, req) => {
+      return context.query.platform(req);
+    },
+    channel: (context, req) => {
+      return context.query.channel(req);
+    },
+    version: (context, req) => {
+      return context.query.engine(req.query.version);
+    },
+  },
 
   /**
    * @async
    * @memberof getUpdates
    * @function logic
-   * @desc Used to retreive new editor update information.
-   * @todo This function has never been implemented within Pulsar.
+   * @desc Used to retreive new editor update information. Compares the version
+   * of the requesting editor against the newest release within its channel.
+   * Editors on the `beta` channel are also offered `stable` releases.
+   * @param {object} params - The available query parameters.
+   * @param {object} context - The Endpoint Context.
+   * @returns {ssoUpdate}
    */
   async logic(params, context) {
-    const sso = new context.sso();
+    if (params.platform === false) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("bad_request")
+        .addMessage("The platform provided is invalid.");
+    }
+
+    const channels =
+      params.channel === "beta" ? ["stable", "beta"] : ["stable"];
+
+    const release = await context.database.getLatestRelease(
+      params.platform,
+      channels
+    );
+
+    const sso = new context.ssoUpdate();
+
+    if (!release.ok) {
+      if (release.short === "not_found") {
+        // Without any releases for this platform, there's nothing to update to.
+        return sso.isOk().addContent(false);
+      }
+
+      return sso
+        .notOk()
+        .addContent(release)
+        .addCalls("db.getLatestRelease", release);
+    }
+
+    sso.addCalls("db.getLatestRelease", release);
+
+    // Compared by precedence, so a prerelease updates to its release, or a later prerelease
+    if (
+      params.version !== false &&
+      context.utils.semverCompare(release.content.version, params.version) <= 0
+    ) {
+      // The editor is already running the newest release.
+      return sso.isOk().addContent(false);
+    }
 
-    return sso.notOk().addShort("not_supported");
+    return sso.isOk().addContent({
+      url: release.content.url,
+      name: release.content.version,
+      notes: release.content.notes ?? "",
+      pub_date: new Date(release.content.pub_date).toISOString(),
+    });
   },
 };
@@ -21,6 +21,7 @@ module.exports = {
     method: "GET",
     paths: ["/api/users"],
     rateLimit: "auth",
+    scope: "read:private",
     successStatus: 200,
     options: {
       Allow: "GET",
@@ -55,7 +56,9 @@ module.exports = {
    * @desc Returns the currently authenticated Users User Details.
    */
   async logic(params, context) {
-    const user = await context.auth.verifyAuth(params.auth, context.database);
+    const user = await context.auth.verifyAuth(params.auth, context.database, {
+      scope: module.exports.endpoint.scope,
+    });
 
     if (!user.ok) {
       const sso = new context.sso();
@@ -0,0 +1,76 @@
+/**
+ * @module getUsersTokens
+ */
+
+module.exports = {
+  docs: {
+    summary: "List the registry tokens of the currently authenticated user.",
+    description:
+      "The tokens themselves are never returned, only the details needed to identify and revoke them. Registry tokens can only be managed while authenticated with GitHub.",
+    responses: {
+      200: {
+        description: "An array of the registry tokens of the user.",
+        content: {
+          "application/json": "$tokenObjectArray",
+        },
+      },
+    },
+  },
+  endpoint: {
+    method: "GET",
+    paths: ["/api/users/tokens"],
+    rateLimit: "auth",
+    successStatus: 200,
+    options: {
+      Allow: "GET, POST",
+      "X-Content-Type-Options": "nosniff",
+    },
+  },
+  params: {
+    auth: (context, req) => {
+      return context.query.auth(req);
+    },
+  },
+
+  /**
+   * @async
+   * @memberOf getUsersTokens
+   * @desc Returns every registry token issued to the currently authenticated user.
+   */
+  async logic(params, context) {
+    const user = await context.auth.verifyAuth(params.auth, context.database);
+
+    if (!user.ok) {
+      const sso = new context.sso();
+
+      return sso.notOk().addContent(user).addCalls("auth.verifyAuth", user);
+    }
+
+    if (user.content.auth_type !== "github") {
+      // Otherwise a token limited in scope could manage every other token
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("unauthorized")
+        .addMessage("Registry tokens can only be managed using a GitHub token.")
+        .addCalls("auth.verifyAuth", user);
+    }
+
+    const tokens = await context.database.getUserTokens(user.content.id);
+
+    if (!tokens.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(tokens)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getUserTokens", tokens);
+    }
+
+    const sso = new context.sso();
+
+    return sso.isOk().addContent(tokens.content);
+  },
+};
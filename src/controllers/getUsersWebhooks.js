@@ -0,0 +1,68 @@
+/**
+ * @module getUsersWebhooks
+ */
+
+module.exports = {
+  docs: {
+    summary: "List the webhooks of the currently authenticated user.",
+    description:
+      "The secrets of the webhooks are never returned, only the details needed to identify and manage them.",
+    responses: {
+      200: {
+        description: "An array of the webhooks of the user.",
+        content: {
+          "application/json": "$webhookObjectArray",
+        },
+      },
+    },
+  },
+  endpoint: {
+    method: "GET",
+    paths: ["/api/users/webhooks"],
+    rateLimit: "auth",
+    scope: "manage:webhooks",
+    successStatus: 200,
+    options: {
+      Allow: "GET, POST",
+      "X-Content-Type-Options": "nosniff",
+    },
+  },
+  params: {
+    auth: (context, req) => {
+      return context.query.auth(req);
+    },
+  },
+
+  /**
+   * @async
+   * @memberOf getUsersWebhooks
+   * @desc Returns every webhook registered by the currently authenticated user.
+   */
+  async logic(params, context) {
+    const user = await context.auth.verifyAuth(params.auth, context.database, {
+      scope: module.exports.endpoint.scope,
+    });
+
+    if (!user.ok) {
+      const sso = new context.sso();
+
+      return sso.notOk().addContent(user).addCalls("auth.verifyAuth", user);
+    }
+
+    const webhooks = await context.database.getUserWebhooks(user.content.id);
+
+    if (!webhooks.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(webhooks)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getUserWebhooks", webhooks);
+    }
+
+    const sso = new context.sso();
+
+    return sso.isOk().addContent(webhooks.content);
+  },
+};
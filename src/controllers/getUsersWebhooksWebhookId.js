@@ -0,0 +1,87 @@
+/**
+ * @module getUsersWebhooksWebhookId
+ */
+
+module.exports = {
+  docs: {
+    summary: "Get a webhook of the currently authenticated user.",
+    responses: {
+      200: {
+        description: "The webhook.",
+        content: {
+          "application/json": "$webhookObject",
+        },
+      },
+      404: {
+        description: "The user has no webhook with this ID.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+    },
+  },
+  endpoint: {
+    method: "GET",
+    paths: ["/api/users/webhooks/:webhookId"],
+    rateLimit: "auth",
+    scope: "manage:webhooks",
+    successStatus: 200,
+    options: {
+      Allow: "GET, PUT, DELETE",
+      "X-Content-Type-Options": "nosniff",
+    },
+  },
+  params: {
+    auth: (context, req) => {
+      return context.query.auth(req);
+    },
+    webhookId: (context, req) => {
+      return context.query.webhookId(req);
+    },
+  },
+
+  /**
+   * @async
+   * @memberOf getUsersWebhooksWebhookId
+   * @desc Returns a single webhook of the currently authenticated user.
+   */
+  async logic(params, context) {
+    const user = await context.auth.verifyAuth(params.auth, context.database, {
+      scope: module.exports.endpoint.scope,
+    });
+
+    if (!user.ok) {
+      const sso = new context.sso();
+
+      return sso.notOk().addContent(user).addCalls("auth.verifyAuth", user);
+    }
+
+    if (params.webhookId === false) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("not_found")
+        .addCalls("auth.verifyAuth", user);
+    }
+
+    const webhook = await context.database.getUserWebhookById(
+      user.content.id,
+      params.webhookId
+    );
+
+    if (!webhook.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(webhook)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getUserWebhookById", webhook);
+    }
+
+    const sso = new context.sso();
+
+    return sso.isOk().addContent(webhook.content);
+  },
+};
@@ -0,0 +1,106 @@
+/**
+ * @module getUsersWebhooksWebhookIdDeliveries
+ */
+
+module.exports = {
+  docs: {
+    summary: "List the delivery history of a webhook.",
+    description:
+      "Every attempt to deliver an event to the webhook, along with the payload sent and the response received. Most recent first.",
+    responses: {
+      200: {
+        description: "An array of webhook deliveries.",
+        content: {
+          "application/json": "$webhookDeliveryObjectArray",
+        },
+      },
+      404: {
+        description: "The user has no webhook with this ID.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+    },
+  },
+  endpoint: {
+    method: "GET",
+    paths: ["/api/users/webhooks/:webhookId/deliveries"],
+    rateLimit: "auth",
+    scope: "manage:webhooks",
+    successStatus: 200,
+    options: {
+      Allow: "GET",
+      "X-Content-Type-Options": "nosniff",
+    },
+  },
+  params: {
+    auth: (context, req) => {
+      return context.query.auth(req);
+    },
+    webhookId: (context, req) => {
+      return context.query.webhookId(req);
+    },
+    page: (context, req) => {
+      return context.query.page(req);
+    },
+  },
+
+  /**
+   * @async
+   * @memberOf getUsersWebhooksWebhookIdDeliveries
+   * @desc Returns the recorded deliveries of a webhook of the currently
+   * authenticated user.
+   * @param {object} params - The available query parameters.
+   * @param {object} context - The Endpoint Context.
+   * @returns {ssoPaginate}
+   */
+  async logic(params, context) {
+    const user = await context.auth.verifyAuth(params.auth, context.database, {
+      scope: module.exports.endpoint.scope,
+    });
+
+    if (!user.ok) {
+      const sso = new context.sso();
+
+      return sso.notOk().addContent(user).addCalls("auth.verifyAuth", user);
+    }
+
+    if (params.webhookId === false) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("not_found")
+        .addCalls("auth.verifyAuth", user);
+    }
+
+    const deliveries = await context.database.getWebhookDeliveries(
+      user.content.id,
+      params.webhookId,
+      params.page
+    );
+
+    if (!deliveries.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(deliveries)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getWebhookDeliveries", deliveries);
+    }
+
+    const ssoP = new context.ssoPaginate();
+
+    ssoP.resultCount = deliveries.pagination.count;
+    ssoP.totalPages = deliveries.pagination.total;
+    ssoP.limit = deliveries.pagination.limit;
+    ssoP.buildLink(
+      `${context.config.server_url}/api/users/webhooks/${params.webhookId}/deliveries`,
+      deliveries.pagination.page,
+      {}
+    );
+
+    return ssoP.isOk().addContent(deliveries.content);
+  },
+};
@@ -0,0 +1,169 @@
+/**
+ * @module postAdminBans
+ */
+
+module.exports = {
+  docs: {
+    summary: "Add a ban to the package name ban list.",
+    description:
+      "Only available to admins. Any package name matching the ban can't be published, or renamed to. The change applies immediately.",
+    responses: {
+      201: {
+        description: "The newly added ban.",
+        content: {
+          "application/json": "$banObject",
+        },
+      },
+      400: {
+        description:
+          "The pattern, type, or reason of the ban is invalid, or the ban already exists.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+    },
+  },
+  endpoint: {
+    method: "POST",
+    paths: ["/api/admin/bans"],
+    rateLimit: "auth",
+    successStatus: 201,
+    options: {
+      Allow: "GET, POST, DELETE",
+      "X-Content-Type-Options": "nosniff",
+    },
+  },
+  params: {
+    auth: (context, req) => {
+      return context.query.auth(req);
+    },
+    pattern: (context, req) => {
+      return context.query.banPattern(req);
+    },
+    type: (context, req) => {
+      return context.query.banType(req);
+    },
+    reason: (context, req) => {
+      return context.query.adminReason(req);
+    },
+  },
+
+  /**
+   * @async
+   * @memberOf postAdminBans
+   * @desc Adds a new ban, writing the ban list back to storage.
+   */
+  async logic(params, context) {
+    const user = await context.auth.verifyAuth(params.auth, context.database, {
+      admin: true,
+    });
+
+    if (!user.ok) {
+      const sso = new context.sso();
+
+      return sso.notOk().addContent(user).addCalls("auth.verifyAuth", user);
+    }
+
+    if (
+      params.pattern === false ||
+      params.type === false ||
+      params.reason === false
+    ) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("bad_request")
+        .addMessage(
+          `A ban requires a pattern, a reason, and a type of: ${context.utils.BAN_TYPES.join(
+            ", "
+          )}.`
+        )
+        .addCalls("auth.verifyAuth", user);
+    }
+
+    if (params.type !== "name") {
+      try {
+        context.utils.banPatternToRegExp(params.pattern, params.type);
+      } catch (err) {
+        const sso = new context.sso();
+
+        return sso
+          .notOk()
+          .addShort("bad_request")
+          .addMessage(`The pattern is not a valid ${params.type}.`)
+          .addCalls("auth.verifyAuth", user);
+      }
+    }
+
+    const banList = await context.storage.getBanList();
+
+    if (!banList.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(banList)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("storage.getBanList", banList);
+    }
+
+    const exists = banList.content
+      .map((b) => context.utils.normalizeBan(b))
+      .some((b) => b.pattern === params.pattern && b.type === params.type);
+
+    if (exists) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("bad_request")
+        .addMessage(`The ${params.type} ban ${params.pattern} already exists.`)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("storage.getBanList", banList);
+    }
+
+    const ban = {
+      pattern: params.pattern,
+      type: params.type,
+      reason: params.reason,
+      created: new Date().toISOString(),
+    };
+
+    const save = await context.storage.putBanList([...banList.content, ban]);
+
+    if (!save.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(save)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("storage.getBanList", banList)
+        .addCalls("storage.putBanList", save);
+    }
+
+    const action = await context.database.insertAdminAction({
+      action: "add_ban",
+      userid: user.content.id,
+      reason: params.reason,
+      details: { ban: ban },
+    });
+
+    if (!action.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(action)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("storage.getBanList", banList)
+        .addCalls("storage.putBanList", save)
+        .addCalls("db.insertAdminAction", action);
+    }
+
+    const sso = new context.sso();
+
+    return sso.isOk().addContent(ban);
+  },
+};
@@ -0,0 +1,182 @@
+/**
+ * @module postAdminFeaturedFeaturedTypePackageName
+ */
+
+module.exports = {
+  docs: {
+    summary: "Feature a package or theme.",
+    description:
+      "Only available to admins. A package that is already featured is moved to the new position, with the new expiry date. The change applies immediately.",
+    responses: {
+      201: {
+        description: "The entries of the featured list, in order.",
+        content: {
+          "application/json": "$featuredObjectArray",
+        },
+      },
+      400: {
+        description: "The position or expiry date is invalid.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+      404: {
+        description: "The package doesn't exist.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+    },
+  },
+  endpoint: {
+    method: "POST",
+    paths: ["/api/admin/featured/:featuredType/:packageName"],
+    rateLimit: "auth",
+    successStatus: 201,
+    options: {
+      Allow: "POST, DELETE",
+      "X-Content-Type-Options": "nosniff",
+    },
+  },
+  params: {
+    auth: (context, req) => {
+      return context.query.auth(req);
+    },
+    featuredType: (context, req) => {
+      return context.query.featuredType(req);
+    },
+    packageName: (context, req) => {
+      return context.query.packageName(req);
+    },
+    position: (context, req) => {
+      return context.query.featuredPosition(req);
+    },
+    expires: (context, req) => {
+      return context.query.featuredExpires(req);
+    },
+    reason: (context, req) => {
+      return context.query.adminReason(req);
+    },
+  },
+
+  /**
+   * @async
+   * @memberOf postAdminFeaturedFeaturedTypePackageName
+   * @desc Adds or moves a package within a featured list, writing the list
+   * back to storage.
+   */
+  async logic(params, context) {
+    const user = await context.auth.verifyAuth(params.auth, context.database, {
+      admin: true,
+    });
+
+    if (!user.ok) {
+      const sso = new context.sso();
+
+      return sso.notOk().addContent(user).addCalls("auth.verifyAuth", user);
+    }
+
+    if (params.featuredType === false) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("not_found")
+        .addCalls("auth.verifyAuth", user);
+    }
+
+    if (params.position === false || params.expires === false) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("bad_request")
+        .addMessage(
+          "The position must be a positive integer, and expires an ISO 8601 date."
+        )
+        .addCalls("auth.verifyAuth", user);
+    }
+
+    const pack = await context.database.getPackageByNameSimple(
+      params.packageName
+    );
+
+    if (!pack.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(pack)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getPackageByNameSimple", pack);
+    }
+
+    const list = await context.storage.getFeaturedList(params.featuredType);
+
+    if (!list.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(list)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getPackageByNameSimple", pack)
+        .addCalls("storage.getFeaturedList", list);
+    }
+
+    const entries = list.content
+      .map((f) => context.utils.normalizeFeatured(f))
+      .filter((f) => f.name !== params.packageName);
+
+    entries.splice(params.position ?? entries.length, 0, {
+      name: params.packageName,
+      expires: params.expires,
+    });
+
+    const save = await context.storage.putFeaturedList(
+      params.featuredType,
+      entries
+    );
+
+    if (!save.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(save)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getPackageByNameSimple", pack)
+        .addCalls("storage.getFeaturedList", list)
+        .addCalls("storage.putFeaturedList", save);
+    }
+
+    const action = await context.database.insertAdminAction({
+      action: "add_featured",
+      userid: user.content.id,
+      package: params.packageName,
+      reason: params.reason || null,
+      details: {
+        featuredType: params.featuredType,
+        position: entries.findIndex((f) => f.name === params.packageName),
+        expires: params.expires,
+      },
+    });
+
+    if (!action.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(action)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getPackageByNameSimple", pack)
+        .addCalls("storage.getFeaturedList", list)
+        .addCalls("storage.putFeaturedList", save)
+        .addCalls("db.insertAdminAction", action);
+    }
+
+    const sso = new context.sso();
+
+    return sso.isOk().addContent(entries);
+  },
+};
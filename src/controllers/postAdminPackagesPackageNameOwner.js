@@ -0,0 +1,130 @@
+/**
+ * @module postAdminPackagesPackageNameOwner
+ */
+
+module.exports = {
+  docs: {
+    summary: "Transfer the ownership of a package to a different repository.",
+    description:
+      "Only available to admins. Since ownership of a package is determined by write access to its repository, whoever has access to the new repository is then able to publish the package. The action is recorded within the admin actions feed.",
+    responses: {
+      200: {
+        description: "The recorded admin action.",
+        content: {
+          "application/json": "$adminActionObject",
+        },
+      },
+      400: {
+        description: "No reason was given, or the repository is invalid.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+      404: {
+        description: "The package doesn't exist.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+    },
+  },
+  endpoint: {
+    method: "POST",
+    paths: ["/api/admin/packages/:packageName/owner"],
+    rateLimit: "auth",
+    successStatus: 200,
+    options: {
+      Allow: "POST",
+      "X-Content-Type-Options": "nosniff",
+    },
+  },
+  params: {
+    auth: (context, req) => {
+      return context.query.auth(req);
+    },
+    packageName: (context, req) => {
+      return context.query.packageName(req);
+    },
+    repository: (context, req) => {
+      return context.query.repo(req);
+    },
+    service: (context, req) => {
+      return context.query.vcsService(req);
+    },
+    reason: (context, req) => {
+      return context.query.adminReason(req);
+    },
+  },
+
+  /**
+   * @async
+   * @memberOf postAdminPackagesPackageNameOwner
+   * @desc Points a package at a new repository, recording the action.
+   */
+  async logic(params, context) {
+    const user = await context.auth.verifyAuth(params.auth, context.database, {
+      admin: true,
+    });
+
+    if (!user.ok) {
+      const sso = new context.sso();
+
+      return sso.notOk().addContent(user).addCalls("auth.verifyAuth", user);
+    }
+
+    if (params.reason === false) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("bad_request")
+        .addMessage("A reason must be given to transfer a package.")
+        .addCalls("auth.verifyAuth", user);
+    }
+
+    // The repository can be a full URL, or an `owner/repo` combo alongside
+    // the service it's hosted on, the same as during publication.
+    const repoInfo = context.vcs.resolveRepository(
+      params.repository,
+      params.service
+    );
+
+    if (params.repository === "" || !repoInfo.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("bad_repo")
+        .addMessage("Repository format is invalid.")
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("vcs.resolveRepository", repoInfo);
+    }
+
+    const { ownerRepo, repository } = repoInfo.content;
+
+    const transfer = await context.database.updatePackageRepository(
+      params.packageName,
+      repository,
+      ownerRepo.split("/")[0],
+      { userid: user.content.id, reason: params.reason }
+    );
+
+    if (!transfer.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(transfer)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("vcs.resolveRepository", repoInfo)
+        .addCalls("db.updatePackageRepository", transfer);
+    }
+
+    const sso = new context.sso();
+
+    return sso.isOk().addContent({
+      ...transfer.content,
+      admin: user.content.username,
+    });
+  },
+};
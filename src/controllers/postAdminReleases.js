@@ -0,0 +1,117 @@
+/**
+ * @module postAdminReleases
+ */
+
+module.exports = {
+  docs: {
+    summary: "Add a Pulsar release to the release catalogue.",
+    description:
+      "Only available to admins. Adds a release served by `/api/updates`, or updates the existing release sharing the same version, channel, and platform. The action is recorded within the admin actions feed.",
+    responses: {
+      201: {
+        description: "The added release.",
+        content: {
+          "application/json": "$releaseObject",
+        },
+      },
+      400: {
+        description: "The version, platform, URL, or notes are invalid.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+    },
+  },
+  endpoint: {
+    method: "POST",
+    paths: ["/api/admin/releases"],
+    rateLimit: "auth",
+    successStatus: 201,
+    options: {
+      Allow: "POST, DELETE",
+      "X-Content-Type-Options": "nosniff",
+    },
+  },
+  params: {
+    auth: (context, req) => {
+      return context.query.auth(req);
+    },
+    version: (context, req) => {
+      return context.query.releaseVersion(req);
+    },
+    platform: (context, req) => {
+      return context.query.platform(req);
+    },
+    channel: (context, req) => {
+      return context.query.channel(req);
+    },
+    url: (context, req) => {
+      return context.query.releaseUrl(req);
+    },
+    notes: (context, req) => {
+      return context.query.releaseNotes(req);
+    },
+    reason: (context, req) => {
+      return context.query.adminReason(req);
+    },
+  },
+
+  /**
+   * @async
+   * @memberOf postAdminReleases
+   * @desc Adds the release, recording the action.
+   */
+  async logic(params, context) {
+    const user = await context.auth.verifyAuth(params.auth, context.database, {
+      admin: true,
+    });
+
+    if (!user.ok) {
+      const sso = new context.sso();
+
+      return sso.notOk().addContent(user).addCalls("auth.verifyAuth", user);
+    }
+
+    if (
+      params.version === false ||
+      params.platform === false ||
+      params.url === false ||
+      params.notes === false
+    ) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("bad_request")
+        .addMessage(
+          "A release requires a semver `version`, a `platform` of darwin, win32, or linux, and an `https` download `url`."
+        )
+        .addCalls("auth.verifyAuth", user);
+    }
+
+    const release = await context.database.insertRelease(
+      {
+        version: params.version,
+        channel: params.channel,
+        platform: params.platform,
+        url: params.url,
+        notes: params.notes,
+      },
+      { userid: user.content.id, reason: params.reason || null }
+    );
+
+    if (!release.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(release)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.insertRelease", release);
+    }
+
+    const sso = new context.sso();
+
+    return sso.isOk().addContent(release.content);
+  },
+};
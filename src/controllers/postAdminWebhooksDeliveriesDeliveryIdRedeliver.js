@@ -0,0 +1,108 @@
+/**
+ * @module postAdminWebhooksDeliveriesDeliveryIdRedeliver
+ */
+
+module.exports = {
+  docs: {
+    summary: "Redeliver a webhook delivery.",
+    description:
+      "Only available to admins. Queues a delivery that's either dead-lettered or delivered to be attempted again straight away, with its attempts reset. The action is recorded within the admin actions feed.",
+    responses: {
+      200: {
+        description: "The recorded admin action.",
+        content: {
+          "application/json": "$adminActionObject",
+        },
+      },
+      400: {
+        description: "The delivery is still pending.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+      404: {
+        description: "The delivery doesn't exist.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+    },
+  },
+  endpoint: {
+    method: "POST",
+    paths: ["/api/admin/webhooks/deliveries/:deliveryId/redeliver"],
+    rateLimit: "auth",
+    successStatus: 200,
+    options: {
+      Allow: "POST",
+      "X-Content-Type-Options": "nosniff",
+    },
+  },
+  params: {
+    auth: (context, req) => {
+      return context.query.auth(req);
+    },
+    deliveryId: (context, req) => {
+      return context.query.deliveryId(req);
+    },
+    reason: (context, req) => {
+      return context.query.adminReason(req);
+    },
+  },
+  async postReturnHTTP(req, res, context, obj) {
+    if (!obj.ok) {
+      return;
+    }
+
+    // Attempted once returned to the admin, rather than waiting for the worker
+    await context.webhook.processQueue();
+  },
+
+  /**
+   * @async
+   * @memberOf postAdminWebhooksDeliveriesDeliveryIdRedeliver
+   * @desc Queues the delivery again, recording the action.
+   */
+  async logic(params, context) {
+    const user = await context.auth.verifyAuth(params.auth, context.database, {
+      admin: true,
+    });
+
+    if (!user.ok) {
+      const sso = new context.sso();
+
+      return sso.notOk().addContent(user).addCalls("auth.verifyAuth", user);
+    }
+
+    if (params.deliveryId === false) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("not_found")
+        .addCalls("auth.verifyAuth", user);
+    }
+
+    const redeliver = await context.database.redeliverWebhookDelivery(
+      params.deliveryId,
+      { userid: user.content.id, reason: params.reason || null }
+    );
+
+    if (!redeliver.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(redeliver)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.redeliverWebhookDelivery", redeliver);
+    }
+
+    const sso = new context.sso();
+
+    return sso.isOk().addContent({
+      ...redeliver.content,
+      admin: user.content.username,
+    });
+  },
+};
@@ -0,0 +1,155 @@
+/**
+ * @module postOrgsOrgNamePackagesPackageName
+ */
+
+module.exports = {
+  docs: {
+    summary: "Assign a package to an org.",
+    description:
+      "The user must own the package, and be a member of the org. Once assigned, the owners of the org are considered owners of the package, and its members maintainers of the package, without needing write access to its repository. A package is assigned to at most one org, replacing any previous one.",
+    responses: {
+      204: {
+        description: "An empty response, indicating success.",
+      },
+      404: {
+        description: "The org or package doesn't exist.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+    },
+  },
+  endpoint: {
+    method: "POST",
+    paths: ["/api/orgs/:orgName/packages/:packageName"],
+    rateLimit: "auth",
+    scope: "manage:orgs",
+    successStatus: 204,
+    options: {
+      Allow: "POST, DELETE",
+      "X-Content-Type-Options": "nosniff",
+    },
+  },
+  params: {
+    auth: (context, req) => {
+      return context.query.auth(req);
+    },
+    orgName: (context, req) => {
+      return context.query.orgName(req);
+    },
+    packageName: (context, req) => {
+      return context.query.packageName(req);
+    },
+  },
+
+  /**
+   * @async
+   * @memberof postOrgsOrgNamePackagesPackageName
+   * @function logic
+   * @desc Assigns the package to the org, once the user is verified to own the
+   * package and be a member of the org.
+   * @param {object} params - The available query parameters.
+   * @param {object} context - The Endpoint Context.
+   * @returns {sso}
+   */
+  async logic(params, context) {
+    if (params.orgName === false) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("not_found")
+        .addMessage("The org name is invalid.");
+    }
+
+    const user = await context.auth.verifyAuth(params.auth, context.database, {
+      scope: module.exports.endpoint.scope,
+      package: params.packageName,
+    });
+
+    if (!user.ok) {
+      const sso = new context.sso();
+
+      return sso.notOk().addContent(user).addCalls("auth.verifyAuth", user);
+    }
+
+    const members = await context.database.getOrgMembers(params.orgName);
+
+    if (!members.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(members)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getOrgMembers", members);
+    }
+
+    if (context.auth.orgMemberRole(user.content, members.content) === null) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("unauthorized")
+        .addMessage(`Only the members of ${params.orgName} can do this.`)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getOrgMembers", members);
+    }
+
+    const pack = await context.database.getPackageByName(
+      params.packageName,
+      true
+    );
+
+    if (!pack.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(pack)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getOrgMembers", members)
+        .addCalls("db.getPackageByName", pack);
+    }
+
+    const owner = await context.auth.packageOwnership(
+      user.content,
+      pack.content,
+      context.vcs
+    );
+
+    if (!owner.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(owner)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getOrgMembers", members)
+        .addCalls("db.getPackageByName", pack)
+        .addCalls("auth.packageOwnership", owner);
+    }
+
+    const assign = await context.database.insertPackageOrg(
+      params.packageName,
+      params.orgName
+    );
+
+    if (!assign.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(assign)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getOrgMembers", members)
+        .addCalls("db.getPackageByName", pack)
+        .addCalls("auth.packageOwnership", owner)
+        .addCalls("db.insertPackageOrg", assign);
+    }
+
+    const sso = new context.sso();
+
+    return sso.isOk().addContent(false);
+  },
+};
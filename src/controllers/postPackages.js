@@ -10,6 +10,7 @@ module.exports = {
     method: "POST",
     paths: ["/api/packages", "/api/themes"],
     rateLimit: "auth",
+    scope: "publish:new",
     successStatus: 201,
     options: {
       Allow: "POST, GET",
@@ -20,15 +21,20 @@ module.exports = {
     repository: (context, req) => {
       return context.query.repo(req);
     },
+    service: (context, req) => {
+      return context.query.vcsService(req);
+    },
     auth: (context, req) => {
       return context.query.auth(req);
     },
   },
   async postReturnHTTP(req, res, context, obj) {
     // Return to user before wbehook call, so user doesn't wait on it
-    await context.webhook.alertPublishPackage(
-      obj.webhook.pack,
-      obj.webhook.user
+    await context.webhook.dispatchEvent("publish", obj.webhook);
+    // Then mirror the tarball of every version we now serve
+    await context.mirror.mirrorPackageVersions(
+      obj.mirror.name,
+      obj.mirror.versions
     );
     // Now to call for feature detection
     let features = await context.vcs.featureDetection(
@@ -64,7 +70,9 @@ module.exports = {
   },
 
   async logic(params, context) {
-    const user = await context.auth.verifyAuth(params.auth, context.database);
+    const user = await context.auth.verifyAuth(params.auth, context.database, {
+      scope: module.exports.endpoint.scope,
+    });
     // Check authentication
     if (!user.ok) {
       const sso = new context.sso();
@@ -83,20 +91,28 @@ module.exports = {
         .addMessage("Repository is missing.");
     }
 
-    // Currently though the repository is in `owner/repo` format,
-    // meanwhile needed functions expects just `repo`
-
-    const repo = params.repository.split("/")[1]?.toLowerCase();
+    // The repository can be a full URL, or an `owner/repo` combo alongside
+    // the service it's hosted on. Either way we need to know both.
+    const repoInfo = context.vcs.resolveRepository(
+      params.repository,
+      params.service
+    );
 
-    if (repo === undefined) {
+    if (!repoInfo.ok) {
       const sso = new context.sso();
 
       return sso
         .notOk()
         .addShort("bad_repo")
+        .addCalls("vcs.resolveRepository", repoInfo)
         .addMessage("Repository format is invalid.");
     }
 
+    const { ownerRepo, service } = repoInfo.content;
+
+    // Meanwhile needed functions expects just `repo`
+    const repo = ownerRepo.split("/").pop().toLowerCase();
+
     // Now check if the name is banned.
     const isBanned = await context.utils.isPackageNameBanned(repo);
 
@@ -112,10 +128,9 @@ module.exports = {
 
     // Now we know the package doesn't exist. And we want to check that the user
     // has permissions to this package
-    const gitowner = await context.vcs.ownership(
-      user.content,
-      params.repository
-    );
+    const gitowner = await context.vcs.ownership(user.content, {
+      repository: repoInfo.content.repository,
+    });
 
     if (!gitowner.ok) {
       const sso = new context.sso();
@@ -128,11 +143,10 @@ module.exports = {
     }
 
     // Now knowing they own the git repo, and it doesn't exist here, lets publish.
-    // TODO: Stop hardcoding `git` as service
     const newPack = await context.vcs.newPackageData(
       user.content,
-      params.repository,
-      "git"
+      ownerRepo,
+      service
     );
 
     if (!newPack.ok) {
@@ -146,6 +160,25 @@ module.exports = {
         .addCalls("vcs.newPackageData", newPack);
     }
 
+    // Tokens restricted to a list of packages can only publish those packages
+    if (
+      !context.auth.tokenAllows(
+        user.content,
+        module.exports.endpoint.scope,
+        newPack.content.name
+      )
+    ) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("unauthorized")
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("vcs.ownership", gitowner)
+        .addCalls("vcs.newPackageData", newPack)
+        .addMessage(`The token can't publish ${newPack.content.name}.`);
+    }
+
     // Now that we have the name the package will actually take, we want
     // to make sure this doesn't exist
     const nameAvailable = await context.database.packageNameAvailability(
@@ -181,7 +214,8 @@ module.exports = {
 
     // Now with valid package data, we can insert them into the DB
     const insertedNewPack = await context.database.insertNewPackage(
-      newPack.content
+      newPack.content,
+      user.content.id
     );
 
     if (!insertedNewPack.ok) {
@@ -234,8 +268,18 @@ module.exports = {
 
     sso.featureDetection = {
       user: user.content,
-      service: "git", // TODO stop hardcoding git
-      ownerRepo: params.repository,
+      service: service,
+      ownerRepo: ownerRepo,
+    };
+
+    sso.mirror = {
+      name: packageObjectFull.name,
+      versions: Object.keys(newPack.content.versions).map((ver) => {
+        return {
+          version: ver,
+          tarball: newPack.content.versions[ver].dist?.tarball,
+        };
+      }),
     };
 
     return sso.isOk().addContent(packageObjectFull);
@@ -0,0 +1,165 @@
+/**
+ * @module postPackagesPackageNameBadges
+ */
+
+module.exports = {
+  docs: {
+    summary: "Add a badge to a package.",
+    description:
+      "Only available to admins. Badges are described within `docs/reference/badge_spec.md`. The action is recorded within the admin actions feed, and a badge added without a `link` links to the recorded action.",
+    responses: {
+      201: {
+        description: "The recorded admin action.",
+        content: {
+          "application/json": "$adminActionObject",
+        },
+      },
+      400: {
+        description:
+          "The badge is invalid, the package already has a badge with the same title, or no reason was given.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+      404: {
+        description: "The package doesn't exist.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+    },
+  },
+  endpoint: {
+    method: "POST",
+    paths: ["/api/packages/:packageName/badges"],
+    rateLimit: "auth",
+    successStatus: 201,
+    options: {
+      Allow: "POST, DELETE",
+      "X-Content-Type-Options": "nosniff",
+    },
+  },
+  params: {
+    auth: (context, req) => {
+      return context.query.auth(req);
+    },
+    packageName: (context, req) => {
+      return context.query.packageName(req);
+    },
+    type: (context, req) => {
+      return context.query.badgeType(req);
+    },
+    title: (context, req) => {
+      return context.query.badgeTitle(req);
+    },
+    text: (context, req) => {
+      return context.query.badgeText(req);
+    },
+    link: (context, req) => {
+      return context.query.badgeLink(req);
+    },
+    reason: (context, req) => {
+      return context.query.adminReason(req);
+    },
+  },
+  async postReturnHTTP(req, res, context, obj) {
+    if (!obj.ok) {
+      return;
+    }
+
+    // Sent once returned to the user, so they don't wait on the webhooks
+    await context.webhook.dispatchEvent("badge", obj.webhook);
+  },
+
+  /**
+   * @async
+   * @memberOf postPackagesPackageNameBadges
+   * @desc Adds a badge to a package, recording the action.
+   */
+  async logic(params, context) {
+    const user = await context.auth.verifyAuth(params.auth, context.database, {
+      admin: true,
+    });
+
+    if (!user.ok) {
+      const sso = new context.sso();
+
+      return sso.notOk().addContent(user).addCalls("auth.verifyAuth", user);
+    }
+
+    if (
+      params.type === false ||
+      params.title === false ||
+      params.text === false ||
+      params.link === false
+    ) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("bad_request")
+        .addMessage(
+          `A badge requires a title of: ${context.utils.BADGE_TITLES.join(
+            ", "
+          )}, and a type of: ${context.utils.BADGE_TYPES.join(
+            ", "
+          )}. The text and link are optional.`
+        )
+        .addCalls("auth.verifyAuth", user);
+    }
+
+    if (params.reason === false) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("bad_request")
+        .addMessage("A reason must be given to add a badge.")
+        .addCalls("auth.verifyAuth", user);
+    }
+
+    const badge = { type: params.type, title: params.title };
+
+    if (typeof params.text === "string") {
+      badge.text = params.text;
+    }
+
+    if (typeof params.link === "string") {
+      badge.link = params.link;
+    }
+
+    const add = await context.database.insertPackageBadge(
+      params.packageName,
+      badge,
+      { userid: user.content.id, reason: params.reason }
+    );
+
+    if (!add.ok) {
+      const sso = new context.sso();
+
+      if (add.short === "bad_request") {
+        // The package already has the badge
+        sso.addMessage(add.content);
+      }
+
+      return sso
+        .notOk()
+        .addContent(add)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.insertPackageBadge", add);
+    }
+
+    const sso = new context.sso();
+
+    sso.webhook = {
+      pack: { name: params.packageName },
+      user: user.content,
+      details: { action: "added", badge: badge },
+    };
+
+    return sso.isOk().addContent({
+      ...add.content,
+      admin: user.content.username,
+    });
+  },
+};
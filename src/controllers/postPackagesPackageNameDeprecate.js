@@ -0,0 +1,144 @@
+/**
+ * @module postPackagesPackageNameDeprecate
+ */
+
+module.exports = {
+  docs: {
+    summary: "Deprecate a package, or a single version of it.",
+    description:
+      "Deprecated packages and versions can still be installed, but are marked as deprecated along with the message, and warned about when downloaded. An empty message undoes the deprecation.",
+    responses: {
+      204: {
+        description: "The deprecation has been updated.",
+      },
+      400: {
+        description: "The message or version is invalid.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+      404: {
+        description: "The package or version doesn't exist.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+    },
+  },
+  endpoint: {
+    method: "POST",
+    paths: [
+      "/api/packages/:packageName/deprecate",
+      "/api/themes/:packageName/deprecate",
+    ],
+    rateLimit: "auth",
+    scope: "publish:version",
+    successStatus: 204,
+    options: {
+      Allow: "POST",
+      "X-Content-Type-Options": "nosniff",
+    },
+  },
+  params: {
+    auth: (context, req) => {
+      return context.query.auth(req);
+    },
+    packageName: (context, req) => {
+      return context.query.packageName(req);
+    },
+    message: (context, req) => {
+      return context.query.deprecationMessage(req);
+    },
+    version: (context, req) => {
+      return context.query.deprecatedVersion(req);
+    },
+  },
+
+  /**
+   * @async
+   * @memberof postPackagesPackageNameDeprecate
+   * @function logic
+   * @desc Deprecates the package or version, once the user is verified to own
+   * the package.
+   * @param {object} params - The available query parameters.
+   * @param {object} context - The Endpoint Context.
+   * @returns {sso}
+   */
+  async logic(params, context) {
+    if (params.message === false || params.version === false) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("bad_request")
+        .addMessage(
+          "A deprecation requires a message of at most 1024 characters, while any version must be a valid semver."
+        );
+    }
+
+    const user = await context.auth.verifyAuth(params.auth, context.database, {
+      scope: module.exports.endpoint.scope,
+      package: params.packageName,
+    });
+
+    if (!user.ok) {
+      const sso = new context.sso();
+
+      return sso.notOk().addContent(user).addCalls("auth.verifyAuth", user);
+    }
+
+    const pack = await context.database.getPackageByName(
+      params.packageName,
+      true
+    );
+
+    if (!pack.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(pack)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getPackageByName", pack);
+    }
+
+    const gitowner = await context.vcs.ownership(
+      user.content,
+      pack.content.data
+    );
+
+    if (!gitowner.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(gitowner)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getPackageByName", pack)
+        .addCalls("vcs.ownership", gitowner);
+    }
+
+    // An empty message undoes the deprecation
+    const deprecate = await context.database.updatePackageDeprecation(
+      params.packageName,
+      params.version,
+      params.message.length > 0 ? params.message : null
+    );
+
+    if (!deprecate.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(deprecate)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getPackageByName", pack)
+        .addCalls("vcs.ownership", gitowner)
+        .addCalls("db.updatePackageDeprecation", deprecate);
+    }
+
+    const sso = new context.sso();
+
+    return sso.isOk().addContent(false);
+  },
+};
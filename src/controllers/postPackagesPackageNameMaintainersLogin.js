@@ -0,0 +1,151 @@
+/**
+ * @module postPackagesPackageNameMaintainersLogin
+ */
+
+module.exports = {
+  docs: {
+    summary: "Invite a user to maintain a package.",
+    description:
+      "Only the owner of the package can invite maintainers. The user has no access to the package until they accept the invite. Until a package has an owner on the registry, anyone with write access to its repository is considered its owner.",
+    responses: {
+      201: {
+        description: "The invited maintainer.",
+        content: {
+          "application/json": "$maintainerObject",
+        },
+      },
+      400: {
+        description: "The user is already a maintainer, or already invited.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+      404: {
+        description: "The package or user doesn't exist.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+    },
+  },
+  endpoint: {
+    method: "POST",
+    paths: [
+      "/api/packages/:packageName/maintainers/:login",
+      "/api/themes/:packageName/maintainers/:login",
+    ],
+    rateLimit: "auth",
+    scope: "manage:maintainers",
+    successStatus: 201,
+    options: {
+      Allow: "POST, DELETE",
+      "X-Content-Type-Options": "nosniff",
+    },
+  },
+  params: {
+    auth: (context, req) => {
+      return context.query.auth(req);
+    },
+    packageName: (context, req) => {
+      return context.query.packageName(req);
+    },
+    login: (context, req) => {
+      return context.query.login(req);
+    },
+  },
+
+  /**
+   * @async
+   * @memberof postPackagesPackageNameMaintainersLogin
+   * @function logic
+   * @desc Invites the user, once the authenticated user is verified to own the
+   * package.
+   * @param {object} params - The available query parameters.
+   * @param {object} context - The Endpoint Context.
+   * @returns {sso}
+   */
+  async logic(params, context) {
+    const user = await context.auth.verifyAuth(params.auth, context.database, {
+      scope: module.exports.endpoint.scope,
+      package: params.packageName,
+    });
+
+    if (!user.ok) {
+      const sso = new context.sso();
+
+      return sso.notOk().addContent(user).addCalls("auth.verifyAuth", user);
+    }
+
+    const pack = await context.database.getPackageByName(
+      params.packageName,
+      true
+    );
+
+    if (!pack.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(pack)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getPackageByName", pack);
+    }
+
+    const owner = await context.auth.packageOwnership(
+      user.content,
+      pack.content,
+      context.vcs
+    );
+
+    if (!owner.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(owner)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getPackageByName", pack)
+        .addCalls("auth.packageOwnership", owner);
+    }
+
+    const invitee = await context.database.getUserByName(params.login);
+
+    if (!invitee.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(invitee)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getPackageByName", pack)
+        .addCalls("auth.packageOwnership", owner)
+        .addCalls("db.getUserByName", invitee);
+    }
+
+    const invite = await context.database.insertPackageMaintainer(
+      params.packageName,
+      invitee.content.id,
+      user.content.id
+    );
+
+    if (!invite.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(invite)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getPackageByName", pack)
+        .addCalls("auth.packageOwnership", owner)
+        .addCalls("db.getUserByName", invitee)
+        .addCalls("db.insertPackageMaintainer", invite);
+    }
+
+    const sso = new context.sso();
+
+    return sso.isOk().addContent({
+      username: invitee.content.username,
+      ...invite.content,
+    });
+  },
+};
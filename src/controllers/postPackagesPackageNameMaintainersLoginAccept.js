@@ -0,0 +1,105 @@
+/**
+ * @module postPackagesPackageNameMaintainersLoginAccept
+ */
+
+module.exports = {
+  docs: {
+    summary: "Accept an invite to maintain a package.",
+    description:
+      "Only the invited user can accept their invite, after which they may publish and delete the package, depending on its maintainer policy.",
+    responses: {
+      200: {
+        description: "The new maintainer.",
+        content: {
+          "application/json": "$maintainerObject",
+        },
+      },
+      404: {
+        description: "The user hasn't been invited to maintain the package.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+    },
+  },
+  endpoint: {
+    method: "POST",
+    paths: [
+      "/api/packages/:packageName/maintainers/:login/accept",
+      "/api/themes/:packageName/maintainers/:login/accept",
+    ],
+    rateLimit: "auth",
+    scope: "manage:maintainers",
+    successStatus: 200,
+    options: {
+      Allow: "POST",
+      "X-Content-Type-Options": "nosniff",
+    },
+  },
+  params: {
+    auth: (context, req) => {
+      return context.query.auth(req);
+    },
+    packageName: (context, req) => {
+      return context.query.packageName(req);
+    },
+    login: (context, req) => {
+      return context.query.login(req);
+    },
+  },
+
+  /**
+   * @async
+   * @memberof postPackagesPackageNameMaintainersLoginAccept
+   * @function logic
+   * @desc Accepts the invite, once the authenticated user is verified to be the
+   * invited user.
+   * @param {object} params - The available query parameters.
+   * @param {object} context - The Endpoint Context.
+   * @returns {sso}
+   */
+  async logic(params, context) {
+    const user = await context.auth.verifyAuth(params.auth, context.database, {
+      scope: module.exports.endpoint.scope,
+      package: params.packageName,
+    });
+
+    if (!user.ok) {
+      const sso = new context.sso();
+
+      return sso.notOk().addContent(user).addCalls("auth.verifyAuth", user);
+    }
+
+    if (params.login !== user.content.username) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("unauthorized")
+        .addMessage(`Only ${params.login} can accept their invite.`)
+        .addCalls("auth.verifyAuth", user);
+    }
+
+    const accept = await context.database.acceptPackageMaintainer(
+      params.packageName,
+      user.content.id
+    );
+
+    if (!accept.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(accept)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.acceptPackageMaintainer", accept);
+    }
+
+    const sso = new context.sso();
+
+    return sso.isOk().addContent({
+      username: user.content.username,
+      ...accept.content,
+    });
+  },
+};
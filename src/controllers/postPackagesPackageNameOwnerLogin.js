@@ -0,0 +1,138 @@
+/**
+ * @module postPackagesPackageNameOwnerLogin
+ */
+
+module.exports = {
+  docs: {
+    summary: "Offer the ownership of a package to a user.",
+    description:
+      "Only the owner of the package can transfer it. The package is only transferred once the user accepts, after which the previous owner remains a maintainer. Offering the package again replaces any previous offer. Until a package has an owner on the registry, anyone with write access to its repository is considered its owner.",
+    responses: {
+      204: {
+        description: "An empty response, indicating success.",
+      },
+      404: {
+        description: "The package or user doesn't exist.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+    },
+  },
+  endpoint: {
+    method: "POST",
+    paths: [
+      "/api/packages/:packageName/owner/:login",
+      "/api/themes/:packageName/owner/:login",
+    ],
+    rateLimit: "auth",
+    scope: "manage:maintainers",
+    successStatus: 204,
+    options: {
+      Allow: "POST",
+      "X-Content-Type-Options": "nosniff",
+    },
+  },
+  params: {
+    auth: (context, req) => {
+      return context.query.auth(req);
+    },
+    packageName: (context, req) => {
+      return context.query.packageName(req);
+    },
+    login: (context, req) => {
+      return context.query.login(req);
+    },
+  },
+
+  /**
+   * @async
+   * @memberof postPackagesPackageNameOwnerLogin
+   * @function logic
+   * @desc Offers the package to the user, once the authenticated user is
+   * verified to own it.
+   * @param {object} params - The available query parameters.
+   * @param {object} context - The Endpoint Context.
+   * @returns {sso}
+   */
+  async logic(params, context) {
+    const user = await context.auth.verifyAuth(params.auth, context.database, {
+      scope: module.exports.endpoint.scope,
+      package: params.packageName,
+    });
+
+    if (!user.ok) {
+      const sso = new context.sso();
+
+      return sso.notOk().addContent(user).addCalls("auth.verifyAuth", user);
+    }
+
+    const pack = await context.database.getPackageByName(
+      params.packageName,
+      true
+    );
+
+    if (!pack.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(pack)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getPackageByName", pack);
+    }
+
+    const owner = await context.auth.packageOwnership(
+      user.content,
+      pack.content,
+      context.vcs
+    );
+
+    if (!owner.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(owner)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getPackageByName", pack)
+        .addCalls("auth.packageOwnership", owner);
+    }
+
+    const newOwner = await context.database.getUserByName(params.login);
+
+    if (!newOwner.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(newOwner)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getPackageByName", pack)
+        .addCalls("auth.packageOwnership", owner)
+        .addCalls("db.getUserByName", newOwner);
+    }
+
+    const offer = await context.database.updatePackagePendingOwner(
+      params.packageName,
+      newOwner.content.id
+    );
+
+    if (!offer.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(offer)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getPackageByName", pack)
+        .addCalls("auth.packageOwnership", owner)
+        .addCalls("db.getUserByName", newOwner)
+        .addCalls("db.updatePackagePendingOwner", offer);
+    }
+
+    const sso = new context.sso();
+
+    return sso.isOk().addContent(false);
+  },
+};
@@ -0,0 +1,105 @@
+/**
+ * @module postPackagesPackageNameOwnerLoginAccept
+ */
+
+module.exports = {
+  docs: {
+    summary: "Accept the ownership of a package offered to you.",
+    description:
+      "Completes the transfer of a package. Only the user the package was offered to can accept it, after which the previous owner remains a maintainer.",
+    responses: {
+      200: {
+        description: "The new owner.",
+        content: {
+          "application/json": "$maintainerObject",
+        },
+      },
+      404: {
+        description: "No transfer of the package is pending for the user.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+    },
+  },
+  endpoint: {
+    method: "POST",
+    paths: [
+      "/api/packages/:packageName/owner/:login/accept",
+      "/api/themes/:packageName/owner/:login/accept",
+    ],
+    rateLimit: "auth",
+    scope: "manage:maintainers",
+    successStatus: 200,
+    options: {
+      Allow: "POST",
+      "X-Content-Type-Options": "nosniff",
+    },
+  },
+  params: {
+    auth: (context, req) => {
+      return context.query.auth(req);
+    },
+    packageName: (context, req) => {
+      return context.query.packageName(req);
+    },
+    login: (context, req) => {
+      return context.query.login(req);
+    },
+  },
+
+  /**
+   * @async
+   * @memberof postPackagesPackageNameOwnerLoginAccept
+   * @function logic
+   * @desc Transfers the package, once the authenticated user is verified to be
+   * the user it was offered to.
+   * @param {object} params - The available query parameters.
+   * @param {object} context - The Endpoint Context.
+   * @returns {sso}
+   */
+  async logic(params, context) {
+    const user = await context.auth.verifyAuth(params.auth, context.database, {
+      scope: module.exports.endpoint.scope,
+      package: params.packageName,
+    });
+
+    if (!user.ok) {
+      const sso = new context.sso();
+
+      return sso.notOk().addContent(user).addCalls("auth.verifyAuth", user);
+    }
+
+    if (params.login !== user.content.username) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("unauthorized")
+        .addMessage(`Only ${params.login} can accept the package.`)
+        .addCalls("auth.verifyAuth", user);
+    }
+
+    const accept = await context.database.acceptPackageOwnership(
+      params.packageName,
+      user.content.id
+    );
+
+    if (!accept.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(accept)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.acceptPackageOwnership", accept);
+    }
+
+    const sso = new context.sso();
+
+    return sso.isOk().addContent({
+      username: user.content.username,
+      ...accept.content,
+    });
+  },
+};
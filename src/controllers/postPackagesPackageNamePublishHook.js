@@ -0,0 +1,154 @@
+/**
+ * @module postPackagesPackageNamePublishHook
+ */
+
+module.exports = {
+  docs: {
+    summary: "Enable the publish hook of a package.",
+    description:
+      "Only the owner of the package can enable its publish hook, which lets a webhook of its GitHub repository publish new versions as them, whenever a release is published or a tag is pushed. Enabling a hook that's already enabled replaces its secret. The secret is only returned once, and must be set as the secret of the GitHub webhook.",
+    responses: {
+      201: {
+        description: "The publish hook of the package, along with its secret.",
+        content: {
+          "application/json": "$publishHookObjectNew",
+        },
+      },
+      400: {
+        description: "The package isn't hosted on GitHub.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+      404: {
+        description: "The package doesn't exist.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+    },
+  },
+  endpoint: {
+    method: "POST",
+    paths: [
+      "/api/packages/:packageName/publish-hook",
+      "/api/themes/:packageName/publish-hook",
+    ],
+    rateLimit: "auth",
+    scope: "manage:hooks",
+    successStatus: 201,
+    options: {
+      Allow: "GET, POST, DELETE",
+      "X-Content-Type-Options": "nosniff",
+    },
+  },
+  params: {
+    auth: (context, req) => {
+      return context.query.auth(req);
+    },
+    packageName: (context, req) => {
+      return context.query.packageName(req);
+    },
+  },
+
+  /**
+   * @async
+   * @memberof postPackagesPackageNamePublishHook
+   * @function logic
+   * @desc Enables the publish hook with a new secret, once the user is verified
+   * to own the package.
+   * @param {object} params - The available query parameters.
+   * @param {object} context - The Endpoint Context.
+   * @returns {sso}
+   */
+  async logic(params, context) {
+    const user = await context.auth.verifyAuth(params.auth, context.database, {
+      scope: module.exports.endpoint.scope,
+      package: params.packageName,
+    });
+
+    if (!user.ok) {
+      const sso = new context.sso();
+
+      return sso.notOk().addContent(user).addCalls("auth.verifyAuth", user);
+    }
+
+    const pack = await context.database.getPackageByName(
+      params.packageName,
+      true
+    );
+
+    if (!pack.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(pack)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getPackageByName", pack);
+    }
+
+    const owner = await context.auth.packageOwnership(
+      user.content,
+      pack.content,
+      context.vcs
+    );
+
+    if (!owner.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(owner)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getPackageByName", pack)
+        .addCalls("auth.packageOwnership", owner);
+    }
+
+    // Only GitHub webhooks are understood
+    const service = context.vcs.determineProvider(
+      pack.content.data.repository?.url
+    ).type;
+
+    if (service !== "git") {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("bad_request")
+        .addMessage("Only packages hosted on GitHub can have a publish hook.")
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getPackageByName", pack)
+        .addCalls("auth.packageOwnership", owner);
+    }
+
+    const secret = context.webhook.generateSecret();
+
+    const hook = await context.database.setPublishHook(
+      params.packageName,
+      user.content.id,
+      secret
+    );
+
+    if (!hook.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(hook)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getPackageByName", pack)
+        .addCalls("auth.packageOwnership", owner)
+        .addCalls("db.setPublishHook", hook);
+    }
+
+    const sso = new context.sso();
+
+    // The only time the secret is ever returned
+    return sso.isOk().addContent({
+      ...hook.content,
+      url: `${context.config.server_url}/api/packages/${params.packageName}/publish-hook/github`,
+      secret: secret,
+    });
+  },
+};
@@ -0,0 +1,381 @@
+/**
+ * @module postPackagesPackageNamePublishHookGithub
+ */
+
+module.exports = {
+  docs: {
+    summary: "Receive a delivery from the GitHub webhook of a package.",
+    description:
+      "Publishes a new version of the package when a release is published, or a tag is pushed, to its GitHub repository. The delivery must be signed with the secret of the publish hook of the package, and is published as the user who enabled the hook. Any other event is acknowledged without publishing anything.",
+    responses: {
+      200: {
+        description:
+          "The outcome of the delivery, and the version published, if any.",
+        content: {
+          "application/json": "$publishHookResultObject",
+        },
+      },
+      400: {
+        description:
+          "The delivery isn't JSON, or isn't for the current version of the package within its repository.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+      401: {
+        description:
+          "The signature is invalid, or the user of the hook can no longer publish the package.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+      404: {
+        description: "The package doesn't exist, or has no publish hook.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+    },
+  },
+  endpoint: {
+    method: "POST",
+    paths: [
+      "/api/packages/:packageName/publish-hook/github",
+      "/api/themes/:packageName/publish-hook/github",
+    ],
+    rateLimit: "generic",
+    successStatus: 200,
+    rawBody: true,
+    options: {
+      Allow: "POST",
+      "X-Content-Type-Options": "nosniff",
+    },
+  },
+  params: {
+    packageName: (context, req) => {
+      return context.query.packageName(req);
+    },
+    event: (context, req) => {
+      return context.query.hubEvent(req);
+    },
+    signature: (context, req) => {
+      return context.query.hubSignature(req);
+    },
+    payload: (context, req) => {
+      return context.query.hookPayload(req);
+    },
+  },
+  async postReturnHTTP(req, res, context, obj) {
+    // Nothing else is needed unless a version was published
+    if (!obj.ok || obj.webhook === undefined) {
+      return;
+    }
+
+    // The same as once a version is published with a token
+    await context.webhook.dispatchEvent("version", obj.webhook);
+
+    await context.mirror.mirrorPackageVersions(obj.mirror.name, [
+      obj.mirror.version,
+    ]);
+
+    const features = await context.vcs.featureDetection(
+      obj.featureDetection.user,
+      obj.featureDetection.ownerRepo,
+      obj.featureDetection.service
+    );
+
+    if (!features.ok) {
+      context.logger.generic(3, features);
+      return;
+    }
+
+    if (features.content.standard) {
+      return;
+    }
+
+    const featureApply = await context.database.applyFeatures(
+      features.content,
+      obj.webhook.pack.name,
+      obj.webhook.pack.version
+    );
+
+    if (!featureApply.ok) {
+      context.logger.generic(3, featureApply);
+    }
+  },
+
+  /**
+   * @async
+   * @memberof postPackagesPackageNamePublishHookGithub
+   * @function logic
+   * @desc Verifies the delivery, then publishes the version it's for the same
+   * way as `postPackagesPackageNameVersions`, as the user of the hook. Renaming
+   * a package isn't possible through its hook.
+   * @param {object} params - The available query parameters.
+   * @param {object} context - The Endpoint Context.
+   * @returns {sso}
+   */
+  async logic(params, context) {
+    const hook = await context.database.getPublishHook(params.packageName);
+
+    if (!hook.ok) {
+      const sso = new context.sso();
+
+      return sso.notOk().addContent(hook).addCalls("db.getPublishHook", hook);
+    }
+
+    if (
+      !context.webhook.verifySignature(
+        params.payload,
+        hook.content.secret,
+        params.signature
+      )
+    ) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("unauthorized")
+        .addMessage(
+          "The signature doesn't match the secret of the publish hook."
+        )
+        .addCalls("db.getPublishHook", hook);
+    }
+
+    // Only recorded for verified deliveries, showing the hook is set up correctly
+    const delivery = await context.database.updatePublishHookDelivery(
+      params.packageName
+    );
+
+    let payload;
+
+    try {
+      payload = JSON.parse(params.payload.toString("utf8"));
+    } catch (err) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("bad_request")
+        .addMessage("The webhook must send its payload as `application/json`.")
+        .addCalls("db.getPublishHook", hook)
+        .addCalls("db.updatePublishHookDelivery", delivery);
+    }
+
+    const release = context.utils.publishHookTag(params.event, payload);
+
+    if (release === null) {
+      const sso = new context.sso();
+
+      return sso.isOk().addContent({
+        published: false,
+        version: null,
+        message:
+          params.event === "ping"
+            ? "The publish hook is set up."
+            : `Nothing to publish from the ${params.event} event.`,
+      });
+    }
+
+    const pack = await context.database.getPackageByName(
+      params.packageName,
+      true
+    );
+
+    if (!pack.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(pack)
+        .addCalls("db.getPublishHook", hook)
+        .addCalls("db.updatePublishHookDelivery", delivery)
+        .addCalls("db.getPackageByName", pack);
+    }
+
+    const ownerRepo = context.utils.getOwnerRepoFromPackage(pack.content.data);
+    const service = context.vcs.determineProvider(
+      pack.content.data.repository?.url
+    ).type;
+
+    // The secret alone shouldn't let any other repository publish the package
+    if (
+      service !== "git" ||
+      typeof payload.repository?.full_name !== "string" ||
+      payload.repository.full_name.toLowerCase() !== ownerRepo.toLowerCase()
+    ) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("bad_repo")
+        .addMessage(
+          `The delivery isn't from the GitHub repository of ${params.packageName}.`
+        )
+        .addCalls("db.getPublishHook", hook)
+        .addCalls("db.updatePublishHookDelivery", delivery)
+        .addCalls("db.getPackageByName", pack);
+    }
+
+    // GitHub sends both a `push` and a `release` for a single release
+    if (
+      (pack.content.versions ?? []).some((v) => v.semver === release.version)
+    ) {
+      const sso = new context.sso();
+
+      return sso.isOk().addContent({
+        published: false,
+        version: release.version,
+        message: `Version ${release.version} is already published.`,
+      });
+    }
+
+    const user = await context.database.getUserByID(hook.content.userid);
+
+    if (!user.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(user)
+        .addCalls("db.getPublishHook", hook)
+        .addCalls("db.updatePublishHookDelivery", delivery)
+        .addCalls("db.getPackageByName", pack)
+        .addCalls("db.getUserByID", user);
+    }
+
+    context.logger.generic(
+      6,
+      `Publish hook of ${params.packageName} attempting to publish ${release.tag} as ${user.content.username}`
+    );
+
+    // Without a token of the user, the public API is used
+    const packMetadata = await context.vcs.newVersionData(
+      user.content,
+      ownerRepo,
+      service
+    );
+
+    if (!packMetadata.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(packMetadata)
+        .addCalls("db.getPublishHook", hook)
+        .addCalls("db.updatePublishHookDelivery", delivery)
+        .addCalls("db.getPackageByName", pack)
+        .addCalls("db.getUserByID", user)
+        .addCalls("vcs.newVersionData", packMetadata);
+    }
+
+    if (packMetadata.content.name !== pack.content.name) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("bad_repo")
+        .addMessage(
+          "Package name doesn't match local name, which the publish hook can't rename."
+        )
+        .addCalls("db.getPublishHook", hook)
+        .addCalls("db.updatePublishHookDelivery", delivery)
+        .addCalls("db.getPackageByName", pack)
+        .addCalls("db.getUserByID", user)
+        .addCalls("vcs.newVersionData", packMetadata);
+    }
+
+    // The version is found from the `package.json` of the repository, which
+    // must already be for the tag
+    if (packMetadata.content.metadata.version !== release.version) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("bad_repo")
+        .addMessage(
+          `The package.json of ${ownerRepo} is for version ${packMetadata.content.metadata.version}, rather than ${release.tag}.`
+        )
+        .addCalls("db.getPublishHook", hook)
+        .addCalls("db.updatePublishHookDelivery", delivery)
+        .addCalls("db.getPackageByName", pack)
+        .addCalls("db.getUserByID", user)
+        .addCalls("vcs.newVersionData", packMetadata);
+    }
+
+    // The user of the hook must still be able to publish the package
+    const access = await context.auth.packageAccess(
+      user.content,
+      pack.content,
+      context.vcs,
+      packMetadata.content
+    );
+
+    if (!access.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("unauthorized")
+        .addContent(access)
+        .addCalls("db.getPublishHook", hook)
+        .addCalls("db.updatePublishHookDelivery", delivery)
+        .addCalls("db.getPackageByName", pack)
+        .addCalls("db.getUserByID", user)
+        .addCalls("vcs.newVersionData", packMetadata)
+        .addCalls("auth.packageAccess", access)
+        .addMessage(
+          `${user.content.username} can no longer publish ${params.packageName}.`
+        );
+    }
+
+    const addVer = await context.database.insertNewPackageVersion(
+      packMetadata.content,
+      null
+    );
+
+    if (!addVer.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("server_error")
+        .addContent(addVer)
+        .addCalls("db.getPublishHook", hook)
+        .addCalls("db.updatePublishHookDelivery", delivery)
+        .addCalls("db.getPackageByName", pack)
+        .addCalls("db.getUserByID", user)
+        .addCalls("vcs.newVersionData", packMetadata)
+        .addCalls("auth.packageAccess", access)
+        .addCalls("db.insertNewPackageVersion", addVer)
+        .addMessage("Failed to add the new package version to the database.");
+    }
+
+    const sso = new context.sso();
+
+    sso.webhook = {
+      pack: packMetadata.content,
+      user: user.content,
+    };
+
+    sso.featureDetection = {
+      user: user.content,
+      service: service,
+      ownerRepo: ownerRepo,
+    };
+
+    sso.mirror = {
+      name: packMetadata.content.name,
+      version: {
+        version: packMetadata.content.metadata.version,
+        tarball: packMetadata.content.metadata.tarball_url,
+      },
+    };
+
+    return sso.isOk().addContent({
+      published: true,
+      version: release.version,
+      message: addVer.content,
+    });
+  },
+};
@@ -18,6 +18,7 @@ module.exports = {
     method: "POST",
     paths: ["/api/packages/:packageName/star", "/api/themes/:packageName/star"],
     rateLimit: "auth",
+    scope: "star",
     successStatus: 200,
     options: {
       Allow: "DELETE, POST",
@@ -32,8 +33,20 @@ module.exports = {
       return context.query.packageName(req);
     },
   },
+  async postReturnHTTP(req, res, context, obj) {
+    if (!obj.ok) {
+      return;
+    }
+
+    // Sent once returned to the user, so they don't wait on the webhooks
+    await context.webhook.dispatchEvent("star", obj.webhook);
+  },
+
   async logic(params, context) {
-    const user = await context.auth.verifyAuth(params.auth, context.database);
+    const user = await context.auth.verifyAuth(params.auth, context.database, {
+      scope: module.exports.endpoint.scope,
+      package: params.packageName,
+    });
 
     if (!user.ok) {
       const sso = new context.sso();
@@ -77,6 +90,12 @@ module.exports = {
 
     const sso = new context.sso();
 
+    sso.webhook = {
+      pack: { name: pack.name, owner: pack.owner },
+      user: user.content,
+      details: { starred: true, stargazers_count: pack.stargazers_count },
+    };
+
     return sso.isOk().addContent(pack);
   },
 };
@@ -13,6 +13,7 @@ module.exports = {
       "/api/themes/:packageName/versions",
     ],
     rateLimit: "auth",
+    scope: "publish:version",
     successStatus: 201,
     options: {
       Allow: "POST",
@@ -32,10 +33,12 @@ module.exports = {
   },
   async postReturnHTTP(req, res, context, obj) {
     // We use postReturnHTTP to ensure the user doesn't wait on these other actions
-    await context.webhook.alertPublishVersion(
-      obj.webhook.pack,
-      obj.webhook.user
-    );
+    await context.webhook.dispatchEvent("version", obj.webhook);
+
+    // Then mirror the tarball of the new version
+    await context.mirror.mirrorPackageVersions(obj.mirror.name, [
+      obj.mirror.version,
+    ]);
 
     // Now to call for feature detection
     let features = await context.vcs.featureDetection(
@@ -62,7 +65,7 @@ module.exports = {
     );
 
     if (!featureApply.ok) {
-      logger.generic(3, featureApply);
+      context.logger.generic(3, featureApply);
       return;
     }
 
@@ -78,7 +81,10 @@ module.exports = {
     // And if they are, we expect that `rename` is true. Because otherwise it will fail.
     // That's the methodology, the logic here just needs to catch up.
 
-    const user = await context.auth.verifyAuth(params.auth, context.database);
+    const user = await context.auth.verifyAuth(params.auth, context.database, {
+      scope: module.exports.endpoint.scope,
+      package: params.packageName,
+    });
 
     if (!user.ok) {
       // TODO LOG
@@ -128,12 +134,16 @@ module.exports = {
       packExists.content.data
     );
 
+    // The service is determined by where the package was originally published from.
+    const service = context.vcs.determineProvider(
+      packExists.content.data.repository?.url
+    ).type;
+
     // Using our new VCS Service
-    // TODO: The "git" service shouldn't always be hardcoded.
     let packMetadata = await context.vcs.newVersionData(
       user.content,
       ownerRepo,
-      "git"
+      service
     );
 
     if (!packMetadata.ok) {
@@ -164,28 +174,51 @@ module.exports = {
         );
     }
 
+    // A token restricted to a list of packages must also allow the new name
+    if (
+      !context.auth.tokenAllows(
+        user.content,
+        module.exports.endpoint.scope,
+        newName
+      )
+    ) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("unauthorized")
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getPackageByName", packExists)
+        .addCalls("vcs.newVersionData", packMetadata)
+        .addMessage(`The token can't publish ${newName}.`);
+    }
+
     // Else we will continue, and trust the name provided from the package as being accurate.
     // And now we can ensure the user actually owns this repo, with our updated name.
 
     // By passing `packMetadata` explicitely, it ensures that data we use to check
     // ownership is fresh, allowing for things like a package rename.
+    // Although depending on the policy of the package, maintaining it on the
+    // registry may be enough.
 
-    const gitowner = await context.vcs.ownership(
+    const access = await context.auth.packageAccess(
       user.content,
+      packExists.content,
+      context.vcs,
       packMetadata.content
     );
 
-    if (!gitowner.ok) {
+    if (!access.ok) {
       const sso = new context.sso();
 
       return sso
         .notOk()
         .addShort("unauthorized")
-        .addContent(gitowner)
+        .addContent(access)
         .addCalls("auth.verifyAuth", user)
         .addCalls("db.getPackageByName", packExists)
         .addCalls("vcs.newVersionData", packMetadata)
-        .addCalls("vcs.ownership", gitowner)
+        .addCalls("auth.packageAccess", access)
         .addMessage("User failed git ownership check!");
     }
 
@@ -193,6 +226,7 @@ module.exports = {
     // And check again if the name is incorrect, since it'll need a new entry onto the names.
 
     const rename = newName !== currentName && params.rename;
+    let isAvailable;
 
     if (rename) {
       // Before allowing the rename of a package, ensure the new name isn't banned
@@ -208,13 +242,11 @@ module.exports = {
           .addCalls("auth.verifyAuth", user)
           .addCalls("db.getPackageByName", packExists)
           .addCalls("vcs.newVersionData", packMetadata)
-          .addCalls("vcs.ownership", gitowner)
+          .addCalls("auth.packageAccess", access)
           .addMessage("This package Name is Banned on the Pulsar Registry");
       }
 
-      const isAvailable = await context.database.packageNameAvailability(
-        newName
-      );
+      isAvailable = await context.database.packageNameAvailability(newName);
 
       if (isAvailable.ok) {
         const sso = new context.sso();
@@ -226,7 +258,7 @@ module.exports = {
           .addCalls("auth.verifyAuth", user)
           .addCalls("db.getPackageByName", packExists)
           .addCalls("vcs.newVersionData", packMetadata)
-          .addCalls("vcs.ownership", gitowner)
+          .addCalls("auth.packageAccess", access)
           .addCalls("db.packageNameAvailability", isAvailable)
           .addMessage(`The Package Name: ${newName} is not available.`);
       }
@@ -249,7 +281,7 @@ module.exports = {
         .addCalls("auth.verifyAuth", user)
         .addCalls("db.getPackageByName", packExists)
         .addCalls("vcs.newVersionData", packMetadata)
-        .addCalls("vcs.ownership", gitowner)
+        .addCalls("auth.packageAccess", access)
         .addCalls("db.packageNameAvailability", isAvailable)
         .addCalls("db.insertNewPackageVersion", addVer)
         .addMessage("Failed to add the new package version to the database.");
@@ -265,10 +297,18 @@ module.exports = {
 
     sso.featureDetection = {
       user: user.content,
-      service: "git", // TODO stop hardcoding git
+      service: service,
       ownerRepo: ownerRepo,
     };
 
+    sso.mirror = {
+      name: packMetadata.content.name,
+      version: {
+        version: packMetadata.content.metadata.version,
+        tarball: packMetadata.content.metadata.tarball_url,
+      },
+    };
+
     return sso.isOk().addContent(addVer.content);
   },
 };
@@ -0,0 +1,138 @@
+/**
+ * @module postUsersTokens
+ */
+
+module.exports = {
+  docs: {
+    summary:
+      "Create a new registry token for the currently authenticated user.",
+    description:
+      "Registry tokens are accepted anywhere a GitHub token is, without the backend contacting GitHub to verify them. Each token is only granted the scopes requested, and can be restricted to a list of packages. A new token can only be created while authenticated with GitHub, and is only ever returned once.",
+    responses: {
+      201: {
+        description: "The newly created registry token.",
+        content: {
+          "application/json": "$tokenObjectNew",
+        },
+      },
+      400: {
+        description:
+          "No name was provided for the token, or its scopes or packages are invalid.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+    },
+  },
+  endpoint: {
+    method: "POST",
+    paths: ["/api/users/tokens"],
+    rateLimit: "auth",
+    successStatus: 201,
+    options: {
+      Allow: "GET, POST",
+      "X-Content-Type-Options": "nosniff",
+    },
+  },
+  params: {
+    auth: (context, req) => {
+      return context.query.auth(req);
+    },
+    name: (context, req) => {
+      return context.query.tokenName(req);
+    },
+    scopes: (context, req) => {
+      return context.query.tokenScopes(req);
+    },
+    packages: (context, req) => {
+      return context.query.tokenPackages(req);
+    },
+  },
+
+  /**
+   * @async
+   * @memberOf postUsersTokens
+   * @desc Issues a new registry token, storing only its hash.
+   */
+  async logic(params, context) {
+    const user = await context.auth.verifyAuth(params.auth, context.database);
+
+    if (!user.ok) {
+      const sso = new context.sso();
+
+      return sso.notOk().addContent(user).addCalls("auth.verifyAuth", user);
+    }
+
+    if (user.content.auth_type !== "github") {
+      // Otherwise a leaked registry token could be used to issue more of them
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("unauthorized")
+        .addMessage("Registry tokens can only be created using a GitHub token.")
+        .addCalls("auth.verifyAuth", user);
+    }
+
+    if (params.name === false) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("bad_request")
+        .addMessage("A name for the token must be provided.")
+        .addCalls("auth.verifyAuth", user);
+    }
+
+    if (params.scopes === false) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("bad_request")
+        .addMessage(
+          `The scopes of the token must be any of: ${context.auth.TOKEN_SCOPES.join(
+            ", "
+          )}.`
+        )
+        .addCalls("auth.verifyAuth", user);
+    }
+
+    if (params.packages === false) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("bad_request")
+        .addMessage("The packages of the token must be valid package names.")
+        .addCalls("auth.verifyAuth", user);
+    }
+
+    const newToken = context.auth.generateToken();
+
+    const insert = await context.database.insertUserToken(
+      user.content.id,
+      params.name,
+      newToken.hash,
+      params.scopes,
+      params.packages
+    );
+
+    if (!insert.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(insert)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.insertUserToken", insert);
+    }
+
+    const sso = new context.sso();
+
+    return sso.isOk().addContent({
+      ...insert.content,
+      token: newToken.token,
+    });
+  },
+};
@@ -0,0 +1,166 @@
+/**
+ * @module postUsersWebhooks
+ */
+
+module.exports = {
+  docs: {
+    summary: "Register a new webhook for the currently authenticated user.",
+    description:
+      "A webhook receives the events it subscribes to as generic JSON, signed with HMAC-SHA256 using its secret within the `X-Pulsar-Signature-256` header. A webhook must be limited to a package, an owner, or both. Only admins may register a webhook for the events of every package. The secret is only ever returned once.",
+    responses: {
+      201: {
+        description: "The newly registered webhook.",
+        content: {
+          "application/json": "$webhookObjectNew",
+        },
+      },
+      400: {
+        description:
+          "The URL or events are missing or invalid, the URL isn't a public address, or the webhook isn't limited to a package or owner.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+    },
+  },
+  endpoint: {
+    method: "POST",
+    paths: ["/api/users/webhooks"],
+    rateLimit: "auth",
+    scope: "manage:webhooks",
+    successStatus: 201,
+    options: {
+      Allow: "GET, POST",
+      "X-Content-Type-Options": "nosniff",
+    },
+  },
+  params: {
+    auth: (context, req) => {
+      return context.query.auth(req);
+    },
+    url: (context, req) => {
+      return context.query.webhookUrl(req);
+    },
+    events: (context, req) => {
+      return context.query.webhookEvents(req);
+    },
+    package: (context, req) => {
+      return context.query.webhookPackage(req);
+    },
+    owner: (context, req) => {
+      return context.query.owner(req);
+    },
+  },
+
+  /**
+   * @async
+   * @memberOf postUsersWebhooks
+   * @desc Registers a new webhook, generating the secret its payloads are signed with.
+   */
+  async logic(params, context) {
+    const user = await context.auth.verifyAuth(params.auth, context.database, {
+      scope: module.exports.endpoint.scope,
+    });
+
+    if (!user.ok) {
+      const sso = new context.sso();
+
+      return sso.notOk().addContent(user).addCalls("auth.verifyAuth", user);
+    }
+
+    if (typeof params.url !== "string") {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("bad_request")
+        .addMessage("An `https` URL for the webhook must be provided.")
+        .addCalls("auth.verifyAuth", user);
+    }
+
+    // Nothing within our own network may be sent deliveries
+    const url = await context.webhook.checkUrl(params.url);
+
+    if (!url.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("bad_request")
+        .addMessage(url.content)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("webhook.checkUrl", url);
+    }
+
+    if (!Array.isArray(params.events)) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("bad_request")
+        .addMessage(
+          `The events of the webhook must be any of: ${context.webhook.WEBHOOK_EVENTS.join(
+            ", "
+          )}.`
+        )
+        .addCalls("auth.verifyAuth", user);
+    }
+
+    if (params.package === false) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("bad_request")
+        .addMessage("The package of the webhook must be a valid package name.")
+        .addCalls("auth.verifyAuth", user);
+    }
+
+    // The owner is false when not provided
+    const owner = params.owner === false ? null : params.owner;
+
+    if (
+      params.package === null &&
+      owner === null &&
+      !context.auth.isAdmin(user.content)
+    ) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("bad_request")
+        .addMessage("A webhook must be limited to a package or an owner.")
+        .addCalls("auth.verifyAuth", user);
+    }
+
+    const secret = context.webhook.generateSecret();
+
+    const insert = await context.database.insertWebhook(
+      user.content.id,
+      {
+        url: params.url,
+        events: params.events,
+        package: params.package,
+        owner: owner,
+      },
+      secret
+    );
+
+    if (!insert.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(insert)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.insertWebhook", insert);
+    }
+
+    const sso = new context.sso();
+
+    return sso.isOk().addContent({
+      ...insert.content,
+      secret: secret,
+    });
+  },
+};
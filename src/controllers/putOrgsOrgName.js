@@ -0,0 +1,156 @@
+/**
+ * @module putOrgsOrgName
+ */
+
+module.exports = {
+  docs: {
+    summary: "Create an org, or update its profile.",
+    description:
+      "Whoever creates an org becomes its owner. Afterwards, only the owners of the org can update its profile. A profile value that isn't given is left unchanged, while an empty value removes it.",
+    responses: {
+      200: {
+        description: "The profile of the org.",
+        content: {
+          "application/json": "$orgObject",
+        },
+      },
+      400: {
+        description: "The org name, description, or avatar is invalid.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+    },
+  },
+  endpoint: {
+    method: "PUT",
+    paths: ["/api/orgs/:orgName"],
+    rateLimit: "auth",
+    scope: "manage:orgs",
+    successStatus: 200,
+    options: {
+      Allow: "GET, PUT",
+      "X-Content-Type-Options": "nosniff",
+    },
+  },
+  params: {
+    auth: (context, req) => {
+      return context.query.auth(req);
+    },
+    orgName: (context, req) => {
+      return context.query.orgName(req);
+    },
+    description: (context, req) => {
+      return context.query.orgDescription(req);
+    },
+    avatar: (context, req) => {
+      return context.query.orgAvatar(req);
+    },
+  },
+
+  /**
+   * @async
+   * @memberof putOrgsOrgName
+   * @function logic
+   * @desc Creates the org if it doesn't exist yet, otherwise updates its profile
+   * once the user is verified to own it.
+   * @param {object} params - The available query parameters.
+   * @param {object} context - The Endpoint Context.
+   * @returns {sso}
+   */
+  async logic(params, context) {
+    if (
+      params.orgName === false ||
+      params.description === false ||
+      params.avatar === false
+    ) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("bad_request")
+        .addMessage(
+          "An org name must be made up of letters, numbers, and `-`, the description can't be longer than 1024 characters, and the avatar must be an `https` URL."
+        );
+    }
+
+    const user = await context.auth.verifyAuth(params.auth, context.database, {
+      scope: module.exports.endpoint.scope,
+    });
+
+    if (!user.ok) {
+      const sso = new context.sso();
+
+      return sso.notOk().addContent(user).addCalls("auth.verifyAuth", user);
+    }
+
+    const profile = {
+      description: params.description,
+      avatar: params.avatar,
+    };
+
+    const members = await context.database.getOrgMembers(params.orgName);
+
+    if (!members.ok && members.short !== "not_found") {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(members)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getOrgMembers", members);
+    }
+
+    if (!members.ok) {
+      // The org doesn't exist yet, so the user is creating it
+      const newOrg = await context.database.insertOrg(
+        params.orgName,
+        user.content.id,
+        profile
+      );
+
+      if (!newOrg.ok) {
+        const sso = new context.sso();
+
+        return sso
+          .notOk()
+          .addContent(newOrg)
+          .addCalls("auth.verifyAuth", user)
+          .addCalls("db.getOrgMembers", members)
+          .addCalls("db.insertOrg", newOrg);
+      }
+
+      const sso = new context.sso();
+
+      return sso.isOk().addContent(newOrg.content);
+    }
+
+    if (context.auth.orgMemberRole(user.content, members.content) !== "owner") {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("unauthorized")
+        .addMessage(`Only the owners of ${params.orgName} can do this.`)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getOrgMembers", members);
+    }
+
+    const org = await context.database.updateOrg(params.orgName, profile);
+
+    if (!org.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(org)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getOrgMembers", members)
+        .addCalls("db.updateOrg", org);
+    }
+
+    const sso = new context.sso();
+
+    return sso.isOk().addContent(org.content);
+  },
+};
@@ -0,0 +1,151 @@
+/**
+ * @module putOrgsOrgNameMembersLogin
+ */
+
+module.exports = {
+  docs: {
+    summary: "Add a member to an org, or change their role.",
+    description:
+      "Only the owners of the org can manage its members. An org must always keep at least one owner.",
+    responses: {
+      200: {
+        description: "The member of the org.",
+        content: {
+          "application/json": "$orgMemberObject",
+        },
+      },
+      400: {
+        description:
+          "The role is invalid, or the org would be left without an owner.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+      404: {
+        description: "The org or user doesn't exist.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+    },
+  },
+  endpoint: {
+    method: "PUT",
+    paths: ["/api/orgs/:orgName/members/:login"],
+    rateLimit: "auth",
+    scope: "manage:orgs",
+    successStatus: 200,
+    options: {
+      Allow: "PUT, DELETE",
+      "X-Content-Type-Options": "nosniff",
+    },
+  },
+  params: {
+    auth: (context, req) => {
+      return context.query.auth(req);
+    },
+    orgName: (context, req) => {
+      return context.query.orgName(req);
+    },
+    login: (context, req) => {
+      return context.query.login(req);
+    },
+    role: (context, req) => {
+      return context.query.orgRole(req);
+    },
+  },
+
+  /**
+   * @async
+   * @memberof putOrgsOrgNameMembersLogin
+   * @function logic
+   * @desc Sets the role of the member, once the user is verified to own the org.
+   * @param {object} params - The available query parameters.
+   * @param {object} context - The Endpoint Context.
+   * @returns {sso}
+   */
+  async logic(params, context) {
+    if (params.orgName === false || params.role === false) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("bad_request")
+        .addMessage(
+          `The role must be any of: ${context.auth.ORG_ROLES.join(", ")}.`
+        );
+    }
+
+    const user = await context.auth.verifyAuth(params.auth, context.database, {
+      scope: module.exports.endpoint.scope,
+    });
+
+    if (!user.ok) {
+      const sso = new context.sso();
+
+      return sso.notOk().addContent(user).addCalls("auth.verifyAuth", user);
+    }
+
+    const members = await context.database.getOrgMembers(params.orgName);
+
+    if (!members.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(members)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getOrgMembers", members);
+    }
+
+    if (context.auth.orgMemberRole(user.content, members.content) !== "owner") {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("unauthorized")
+        .addMessage(`Only the owners of ${params.orgName} can do this.`)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getOrgMembers", members);
+    }
+
+    const member = await context.database.getUserByName(params.login);
+
+    if (!member.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(member)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getOrgMembers", members)
+        .addCalls("db.getUserByName", member);
+    }
+
+    const set = await context.database.setOrgMember(
+      params.orgName,
+      member.content.id,
+      params.role
+    );
+
+    if (!set.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(set)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getOrgMembers", members)
+        .addCalls("db.getUserByName", member)
+        .addCalls("db.setOrgMember", set);
+    }
+
+    const sso = new context.sso();
+
+    return sso.isOk().addContent({
+      username: member.content.username,
+      avatar: member.content.avatar,
+      ...set.content,
+    });
+  },
+};
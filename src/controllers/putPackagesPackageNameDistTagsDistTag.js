@@ -0,0 +1,146 @@
+/**
+ * @module putPackagesPackageNameDistTagsDistTag
+ */
+
+module.exports = {
+  docs: {
+    summary: "Point a dist-tag of a package to one of its versions.",
+    description:
+      "Any version of the package may then be accessed, and installed, by the dist-tag wherever a version is accepted. `latest` is reserved, as it always points to the latest version of the package.",
+    responses: {
+      200: {
+        description: "Every dist-tag of the package.",
+        content: {
+          "application/json": "$distTagsObject",
+        },
+      },
+      400: {
+        description: "The dist-tag or version is invalid.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+      404: {
+        description: "The package or version doesn't exist.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+    },
+  },
+  endpoint: {
+    method: "PUT",
+    paths: [
+      "/api/packages/:packageName/dist-tags/:distTag",
+      "/api/themes/:packageName/dist-tags/:distTag",
+    ],
+    rateLimit: "auth",
+    scope: "publish:version",
+    successStatus: 200,
+    options: {
+      Allow: "PUT, DELETE",
+      "X-Content-Type-Options": "nosniff",
+    },
+  },
+  params: {
+    auth: (context, req) => {
+      return context.query.auth(req);
+    },
+    packageName: (context, req) => {
+      return context.query.packageName(req);
+    },
+    distTag: (context, req) => {
+      return context.query.distTag(req);
+    },
+    version: (context, req) => {
+      return context.query.engine(req.query.version);
+    },
+  },
+
+  /**
+   * @async
+   * @memberof putPackagesPackageNameDistTagsDistTag
+   * @function logic
+   * @desc Points the dist-tag to the version, once the user is verified to own
+   * the package.
+   * @param {object} params - The available query parameters.
+   * @param {object} context - The Endpoint Context.
+   * @returns {sso}
+   */
+  async logic(params, context) {
+    if (params.distTag === false || params.version === false) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("bad_request")
+        .addMessage(
+          "A dist-tag must start with a lowercase letter and can't be `latest`, while the version must be a valid semver."
+        );
+    }
+
+    const user = await context.auth.verifyAuth(params.auth, context.database, {
+      scope: module.exports.endpoint.scope,
+      package: params.packageName,
+    });
+
+    if (!user.ok) {
+      const sso = new context.sso();
+
+      return sso.notOk().addContent(user).addCalls("auth.verifyAuth", user);
+    }
+
+    const pack = await context.database.getPackageByName(
+      params.packageName,
+      true
+    );
+
+    if (!pack.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(pack)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getPackageByName", pack);
+    }
+
+    const gitowner = await context.vcs.ownership(
+      user.content,
+      pack.content.data
+    );
+
+    if (!gitowner.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(gitowner)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getPackageByName", pack)
+        .addCalls("vcs.ownership", gitowner);
+    }
+
+    const tags = await context.database.setPackageDistTag(
+      params.packageName,
+      params.distTag,
+      params.version
+    );
+
+    if (!tags.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(tags)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getPackageByName", pack)
+        .addCalls("vcs.ownership", gitowner)
+        .addCalls("db.setPackageDistTag", tags);
+    }
+
+    const sso = new context.sso();
+
+    return sso.isOk().addContent(tags.content);
+  },
+};
@@ -0,0 +1,164 @@
+/**
+ * @module putPackagesPackageNameMaintainerPolicy
+ */
+
+module.exports = {
+  docs: {
+    summary: "Set who may publish and delete a package.",
+    description:
+      "Only the owner of the package can set its maintainer policy. With `vcs` only those with write access to its repository may publish and delete it, with `registry` only its maintainers, and with `either` both, which is the default. Only allowing its maintainers requires the package to have an owner on the registry.",
+    responses: {
+      200: {
+        description: "The maintainer policy of the package.",
+        content: {
+          "application/json": "$maintainerPolicyObject",
+        },
+      },
+      400: {
+        description:
+          "The policy is invalid, or the package has no owner to allow.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+      404: {
+        description: "The package doesn't exist.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+    },
+  },
+  endpoint: {
+    method: "PUT",
+    paths: [
+      "/api/packages/:packageName/maintainer-policy",
+      "/api/themes/:packageName/maintainer-policy",
+    ],
+    rateLimit: "auth",
+    scope: "manage:maintainers",
+    successStatus: 200,
+    options: {
+      Allow: "PUT",
+      "X-Content-Type-Options": "nosniff",
+    },
+  },
+  params: {
+    auth: (context, req) => {
+      return context.query.auth(req);
+    },
+    packageName: (context, req) => {
+      return context.query.packageName(req);
+    },
+    policy: (context, req) => {
+      return context.query.maintainerPolicy(req);
+    },
+  },
+
+  /**
+   * @async
+   * @memberof putPackagesPackageNameMaintainerPolicy
+   * @function logic
+   * @desc Sets the maintainer policy, once the user is verified to own the
+   * package.
+   * @param {object} params - The available query parameters.
+   * @param {object} context - The Endpoint Context.
+   * @returns {sso}
+   */
+  async logic(params, context) {
+    if (params.policy === false) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("bad_request")
+        .addMessage(
+          `The policy must be any of: ${context.auth.MAINTAINER_POLICIES.join(
+            ", "
+          )}.`
+        );
+    }
+
+    const user = await context.auth.verifyAuth(params.auth, context.database, {
+      scope: module.exports.endpoint.scope,
+      package: params.packageName,
+    });
+
+    if (!user.ok) {
+      const sso = new context.sso();
+
+      return sso.notOk().addContent(user).addCalls("auth.verifyAuth", user);
+    }
+
+    const pack = await context.database.getPackageByName(
+      params.packageName,
+      true
+    );
+
+    if (!pack.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(pack)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getPackageByName", pack);
+    }
+
+    const owner = await context.auth.packageOwnership(
+      user.content,
+      pack.content,
+      context.vcs
+    );
+
+    if (!owner.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(owner)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getPackageByName", pack)
+        .addCalls("auth.packageOwnership", owner);
+    }
+
+    // Otherwise nobody would be left able to publish the package
+    if (
+      params.policy === "registry" &&
+      !context.auth.hasRegistryOwner(pack.content)
+    ) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("bad_request")
+        .addMessage(
+          "The package needs an owner on the registry before only allowing its maintainers."
+        )
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getPackageByName", pack)
+        .addCalls("auth.packageOwnership", owner);
+    }
+
+    const policy = await context.database.updatePackageMaintainerPolicy(
+      params.packageName,
+      params.policy
+    );
+
+    if (!policy.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(policy)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.getPackageByName", pack)
+        .addCalls("auth.packageOwnership", owner)
+        .addCalls("db.updatePackageMaintainerPolicy", policy);
+    }
+
+    const sso = new context.sso();
+
+    return sso.isOk().addContent(policy.content);
+  },
+};
@@ -0,0 +1,141 @@
+/**
+ * @module putUsersWebhooksWebhookId
+ */
+
+module.exports = {
+  docs: {
+    summary: "Update a webhook of the currently authenticated user.",
+    description:
+      "Updates the URL, events, or active state of the webhook. Any of them that aren't given are left unchanged. The package and owner a webhook is limited to can't be changed.",
+    responses: {
+      200: {
+        description: "The updated webhook.",
+        content: {
+          "application/json": "$webhookObject",
+        },
+      },
+      400: {
+        description:
+          "The URL or events are invalid, or the URL isn't a public address.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+      404: {
+        description: "The user has no webhook with this ID.",
+        content: {
+          "application/json": "$message",
+        },
+      },
+    },
+  },
+  endpoint: {
+    method: "PUT",
+    paths: ["/api/users/webhooks/:webhookId"],
+    rateLimit: "auth",
+    scope: "manage:webhooks",
+    successStatus: 200,
+    options: {
+      Allow: "GET, PUT, DELETE",
+      "X-Content-Type-Options": "nosniff",
+    },
+  },
+  params: {
+    auth: (context, req) => {
+      return context.query.auth(req);
+    },
+    webhookId: (context, req) => {
+      return context.query.webhookId(req);
+    },
+    url: (context, req) => {
+      return context.query.webhookUrl(req);
+    },
+    events: (context, req) => {
+      return context.query.webhookEvents(req);
+    },
+    active: (context, req) => {
+      return context.query.webhookActive(req);
+    },
+  },
+
+  /**
+   * @async
+   * @memberOf putUsersWebhooksWebhookId
+   * @desc Updates a webhook of the currently authenticated user.
+   */
+  async logic(params, context) {
+    const user = await context.auth.verifyAuth(params.auth, context.database, {
+      scope: module.exports.endpoint.scope,
+    });
+
+    if (!user.ok) {
+      const sso = new context.sso();
+
+      return sso.notOk().addContent(user).addCalls("auth.verifyAuth", user);
+    }
+
+    if (params.webhookId === false) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("not_found")
+        .addCalls("auth.verifyAuth", user);
+    }
+
+    if (params.url === false || params.events === false) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("bad_request")
+        .addMessage(
+          `The URL of the webhook must be an \`https\` URL, and its events any of: ${context.webhook.WEBHOOK_EVENTS.join(
+            ", "
+          )}.`
+        )
+        .addCalls("auth.verifyAuth", user);
+    }
+
+    // Nothing within our own network may be sent deliveries
+    const url =
+      params.url === null
+        ? { ok: true, content: null }
+        : await context.webhook.checkUrl(params.url);
+
+    if (!url.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addShort("bad_request")
+        .addMessage(url.content)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("webhook.checkUrl", url);
+    }
+
+    const update = await context.database.updateUserWebhook(
+      user.content.id,
+      params.webhookId,
+      {
+        url: params.url,
+        events: params.events,
+        active: params.active,
+      }
+    );
+
+    if (!update.ok) {
+      const sso = new context.sso();
+
+      return sso
+        .notOk()
+        .addContent(update)
+        .addCalls("auth.verifyAuth", user)
+        .addCalls("db.updateUserWebhook", update);
+    }
+
+    const sso = new context.sso();
+
+    return sso.isOk().addContent(update.content);
+  },
+};
@@ -6,8 +6,10 @@
 
 const fs = require("fs");
 const postgres = require("postgres");
+const semver = require("semver");
 const storage = require("./storage.js");
 const logger = require("./logger.js");
+const engineRange = require("./engine.js");
 const {
   DB_HOST,
   DB_USER,
@@ -16,10 +18,13 @@ const {
   DB_PORT,
   DB_SSL_CERT,
   paginated_amount,
+  server_url,
 } = require("./config.js").getConfig();
 
 const defaultEngine = { atom: "*" };
 const defaultLicense = "NONE";
+const facetLimit = 10; // The most values returned of each facet
+const facetValueLength = 64; // The longest value of a facet returned
 
 let sqlStorage; // SQL object, to interact with the DB.
 // It is set after the first call with logical nullish assignment
@@ -110,9 +115,11 @@ async function packageNameAvailability(name) {
  * @function insertNewPackage
  * @desc Insert a new package inside the DB taking a `Server Object Full` as argument.
  * @param {object} pack - The `Server Object Full` package.
+ * @param {int|null} [ownerId] - The ID of the user publishing the package, who
+ * becomes its owner on the registry.
  * @returns {object} A Server Status Object.
  */
-async function insertNewPackage(pack) {
+async function insertNewPackage(pack, ownerId = null) {
   sqlStorage ??= setupSQL();
 
   // Since this operation involves multiple queries, we perform a
@@ -166,6 +173,13 @@ async function insertNewPackage(pack) {
         throw `Cannot insert ${pack.name} in names table`;
       }
 
+      if (ownerId !== null) {
+        await sqlTrans`
+          INSERT INTO package_maintainers (package, userid, role, accepted)
+          VALUES (${pointer}, ${ownerId}, 'owner', TRUE);
+        `;
+      }
+
       // Populate versions table
       let versionCount = 0;
       const pv = pack.versions;
@@ -176,6 +190,7 @@ async function insertNewPackage(pack) {
         // we will do it for them if not present,
         // following suit with what Atom internal packages do.
         const engine = pv[ver].engines ?? defaultEngine;
+        const engineRanges = sqlStorage.json(engineRange.engineRanges(engine));
 
         // It's common practice for packages to not specify license,
         // therefore set it as NONE if undefined.
@@ -184,8 +199,8 @@ async function insertNewPackage(pack) {
         let insertNewVersion = {};
         try {
           insertNewVersion = await sqlTrans`
-            INSERT INTO versions (package, status, semver, license, engine, meta)
-            VALUES (${pointer}, ${status}, ${ver}, ${license}, ${engine}, ${pv[ver]})
+            INSERT INTO versions (package, status, semver, license, engine, engine_ranges, meta)
+            VALUES (${pointer}, ${status}, ${ver}, ${license}, ${engine}, ${engineRanges}, ${pv[ver]})
             RETURNING id;
         `;
         } catch (e) {
@@ -318,13 +333,14 @@ async function insertNewPackageVersion(packJSON, oldName = null) {
 
       const license = packJSON.metadata.license ?? defaultLicense;
       const engine = packJSON.metadata.engines ?? defaultEngine;
+      const engineRanges = sqlStorage.json(engineRange.engineRanges(engine));
 
       let addVer = {};
       try {
         // TODO: status column deprecated; to be removed
         addVer = await sqlTrans`
-          INSERT INTO versions (package, status, semver, license, engine, meta)
-          VALUES(${pointer}, 'published', ${packJSON.metadata.version}, ${license}, ${engine}, ${packJSON.metadata})
+          INSERT INTO versions (package, status, semver, license, engine, engine_ranges, meta)
+          VALUES(${pointer}, 'published', ${packJSON.metadata.version}, ${license}, ${engine}, ${engineRanges}, ${packJSON.metadata})
           RETURNING semver, status;
         `;
       } catch (e) {
@@ -336,22 +352,35 @@ async function insertNewPackageVersion(packJSON, oldName = null) {
         throw `Unable to create a new version for ${packName}`;
       }
 
-      // Now to update the data field for the package, to update the readme and
-      // latest version
-      let addPackMeta = {};
-      try {
-        addPackMeta = await sqlTrans`
-          UPDATE packages
-          SET data = ${packJSON}
-          WHERE pointer = ${pointer}
-          RETURNING name;
-        `;
-      } catch (e) {
-        throw `Unable to update the package's metadata for ${packName}`;
-      }
+      // A prerelease only becomes the latest version of a package without any
+      // release, so otherwise it leaves the data of the package as it is.
+      const isRelease = (ver) => semver.prerelease(ver, true) === null;
+
+      if (
+        isRelease(packJSON.metadata.version) ||
+        !pack.content.versions.some((v) => isRelease(v.semver))
+      ) {
+        // Now to update the data field for the package, to update the readme and
+        // latest version, keeping the badges the package has been given
+        let addPackMeta = {};
+        try {
+          addPackMeta = await sqlTrans`
+            UPDATE packages
+            SET data = CASE
+              WHEN data ? 'badges'
+                THEN jsonb_set(${packJSON}::jsonb, '{badges}', data->'badges')
+              ELSE ${packJSON}::jsonb
+            END
+            WHERE pointer = ${pointer}
+            RETURNING name;
+          `;
+        } catch (e) {
+          throw `Unable to update the package's metadata for ${packName}`;
+        }
 
-      if (!addPackMeta?.count) {
-        throw `Failed to update the package's metadata for ${packName}`;
+        if (!addPackMeta?.count) {
+          throw `Failed to update the package's metadata for ${packName}`;
+        }
       }
 
       return {
@@ -468,6 +497,53 @@ async function applyFeatures(featureObj, packName, packVersion) {
   }
 }
 
+/**
+ * @async
+ * @function applyVersionIntegrity
+ * @desc Records the integrity of the mirrored tarball of a package version,
+ * as `dist.integrity` within the `meta` of the version.
+ * @param {string} packName - The name of the package.
+ * @param {string} semver - The semver of the version.
+ * @param {string} integrity - The Subresource Integrity string of the tarball.
+ * @returns {object} A server status object.
+ */
+async function applyVersionIntegrity(packName, semver, integrity) {
+  try {
+    sqlStorage ??= setupSQL();
+
+    const command = await sqlStorage`
+      UPDATE versions
+      SET meta = jsonb_set(
+        COALESCE(meta, '{}'::jsonb),
+        '{dist}',
+        COALESCE(meta->'dist', '{}'::jsonb) || jsonb_build_object('integrity', ${integrity}::text)
+      )
+      WHERE semver = ${semver} AND package = (
+        SELECT pointer FROM names WHERE name = ${packName}
+      )
+      RETURNING semver;
+    `;
+
+    return command.count !== 0
+      ? {
+          ok: true,
+          content: `Successfully applied integrity to ${packName}@${semver}.`,
+        }
+      : {
+          ok: false,
+          content: `Unable to find ${packName}@${semver} to apply integrity.`,
+          short: "not_found",
+        };
+  } catch (err) {
+    return {
+      ok: false,
+      content: "Generic Error",
+      short: "server_error",
+      error: err,
+    };
+  }
+}
+
 /**
  * @async
  * @function insertNewPackageName
@@ -582,10 +658,39 @@ async function insertNewUser(username, id, avatar) {
   }
 }
 
+/**
+ * @function distTagsQuery
+ * @desc Builds the query of the dist-tags of a package, as a `dist_tags` object
+ * of each tag to the semver it points to. Along with `latest`, which is always
+ * the latest version of the package, preferring releases over prereleases.
+ * @param {object} sql - The SQL object to build the query with, so that it can
+ * be used within a transaction.
+ * @param {string|object} pointer - The pointer of the package, or a fragment
+ * referencing it when used as a subquery.
+ * @returns {object} The SQL fragment of the query.
+ */
+function distTagsQuery(sql, pointer) {
+  return sql`
+    SELECT JSONB_BUILD_OBJECT('latest', (
+        SELECT lv.semver FROM versions AS lv
+        WHERE lv.package = ${pointer} AND lv.deleted IS FALSE
+        ORDER BY (lv.semver_pre IS NULL) DESC, lv.semver_v1 DESC, lv.semver_v2 DESC, lv.semver_v3 DESC,
+          lv.semver_pre DESC NULLS FIRST, lv.created DESC
+        LIMIT 1
+      )) || COALESCE(JSONB_OBJECT_AGG(dt.tag, tv.semver), '{}'::jsonb) AS dist_tags
+    FROM dist_tags AS dt
+      INNER JOIN versions AS tv ON (dt.version = tv.id AND tv.deleted IS FALSE)
+    WHERE dt.package = ${pointer}
+  `;
+}
+
 /**
  * @async
  * @function getPackageByName
- * @desc Takes a package name and returns the raw SQL package with all its versions.
+ * @desc Takes a package name and returns the raw SQL package with all its versions,
+ * prereleases included, ordered from the highest by semver precedence. Along
+ * with its maintainer policy and the maintainers who've accepted their invite,
+ * as used by `auth.packageAccess()`.
  * This module is also used to get the data to be sent to utils.constructPackageObjectFull()
  * in order to convert the query result in Package Object Full format.
  * In that case it's recommended to set the user flag as true for security reasons.
@@ -604,8 +709,25 @@ async function getPackageByName(name, user = false) {
       SELECT
         ${
           user ? sqlStorage`` : sqlStorage`p.pointer,`
-        } p.name, p.created, p.updated, p.creation_method, p.downloads, p.data, p.owner,
-        (p.stargazers_count + p.original_stargazers) AS stargazers_count,
+        } p.name, p.created, p.updated, p.creation_method, p.downloads, p.data, p.owner, p.deprecated,
+        p.maintainer_policy, (p.stargazers_count + p.original_stargazers) AS stargazers_count,
+        (${distTagsQuery(sqlStorage, sqlStorage`p.pointer`)}) AS dist_tags,
+        (
+          SELECT COALESCE(
+            JSONB_AGG(JSONB_BUILD_OBJECT('username', u.username, 'role', pm.role) ORDER BY pm.role, u.username),
+            '[]'::jsonb
+          )
+          FROM package_maintainers AS pm
+            INNER JOIN users AS u ON pm.userid = u.id
+          WHERE pm.package = p.pointer AND pm.accepted IS TRUE
+        ) AS maintainers,
+        (SELECT o.name FROM orgs AS o WHERE o.id = p.org) AS org,
+        (
+          SELECT COALESCE(JSONB_AGG(JSONB_BUILD_OBJECT('username', u.username, 'role', om.role)), '[]'::jsonb)
+          FROM org_members AS om
+            INNER JOIN users AS u ON om.userid = u.id
+          WHERE om.org = p.org
+        ) AS org_members,
         JSONB_AGG(
           JSON_BUILD_OBJECT(
             ${
@@ -614,9 +736,10 @@ async function getPackageByName(name, user = false) {
                 : sqlStorage`'id', v.id, 'package', v.package,`
             } 'semver', v.semver, 'license', v.license, 'engine', v.engine, 'meta', v.meta,
             'hasGrammar', v.has_grammar, 'hasSnippets', v.has_snippets,
-            'supportedLanguages', v.supported_languages
+            'supportedLanguages', v.supported_languages, 'deprecated', v.deprecated
           )
-          ORDER BY v.semver_v1 DESC, v.semver_v2 DESC, v.semver_v3 DESC, v.created DESC
+          ORDER BY v.semver_v1 DESC, v.semver_v2 DESC, v.semver_v3 DESC, v.semver_pre DESC NULLS FIRST,
+            v.created DESC
         ) AS versions
       FROM packages AS p
         INNER JOIN names AS n ON (p.pointer = n.pointer AND n.name = ${name})
@@ -678,19 +801,32 @@ async function getPackageByNameSimple(name) {
  * @async
  * @function getPackageVersionByNameAndVersion
  * @desc Uses the name of a package and it's version to return the version info.
+ * The version may also be a dist-tag of the package, like `latest` or `beta`.
  * @param {string} name - The name of the package to query.
- * @param {string} version - The version of the package to query.
+ * @param {string} version - The version or dist-tag of the package to query.
  * @returns {object} A server status object.
  */
 async function getPackageVersionByNameAndVersion(name, version) {
   try {
     sqlStorage ??= setupSQL();
 
+    // A dist-tag can never be a semver, so only one of these can match, other
+    // than `latest` which matches every version, leaving the latest first.
     const command = await sqlStorage`
-      SELECT v.semver, v.license, v.engine, v.meta
+      SELECT v.semver, v.license, v.engine, v.meta,
+        COALESCE(v.deprecated, p.deprecated) AS deprecated
       FROM packages AS p
         INNER JOIN names AS n ON (p.pointer = n.pointer AND n.name = ${name})
-        INNER JOIN versions AS v ON (p.pointer = v.package AND v.semver = ${version} AND v.deleted IS FALSE);
+        INNER JOIN versions AS v ON (p.pointer = v.package AND v.deleted IS FALSE)
+      WHERE v.semver = ${version}
+      OR v.id IN (
+        SELECT dt.version FROM dist_tags AS dt
+        WHERE dt.package = p.pointer AND dt.tag = ${version}
+      )
+      OR ${version} = 'latest'
+      ORDER BY (v.semver_pre IS NULL) DESC, v.semver_v1 DESC, v.semver_v2 DESC, v.semver_v3 DESC,
+        v.semver_pre DESC NULLS FIRST, v.created DESC
+      LIMIT 1;
     `;
 
     return command.count !== 0
@@ -727,13 +863,15 @@ async function getPackageCollectionByName(packArray) {
     // we select only the needed columns.
     const command = await sqlStorage`
       SELECT DISTINCT ON (p.name) p.name, v.semver, p.downloads, p.owner,
-        (p.stargazers_count + p.original_stargazers) AS stargazers_count, p.data
+        (p.stargazers_count + p.original_stargazers) AS stargazers_count, p.data,
+        COALESCE(p.deprecated, v.deprecated) AS deprecated
       FROM packages AS p
         INNER JOIN names AS n ON (p.pointer = n.pointer AND n.name IN ${sqlStorage(
           packArray
         )})
         INNER JOIN versions AS v ON (p.pointer = v.package AND v.deleted IS FALSE)
-      ORDER BY p.name, v.semver_v1 DESC, v.semver_v2 DESC, v.semver_v3 DESC, v.created DESC;
+      ORDER BY p.name, (v.semver_pre IS NULL) DESC, v.semver_v1 DESC, v.semver_v2 DESC, v.semver_v3 DESC,
+        v.semver_pre DESC NULLS FIRST, v.created DESC;
     `;
 
     return command.count !== 0
@@ -762,11 +900,13 @@ async function getPackageCollectionByID(packArray) {
 
     const command = await sqlStorage`
       SELECT DISTINCT ON (p.name) p.name, v.semver, p.downloads,
-        (p.stargazers_count + p.original_stargazers) AS stargazers_count, p.data
+        (p.stargazers_count + p.original_stargazers) AS stargazers_count, p.data,
+        COALESCE(p.deprecated, v.deprecated) AS deprecated
       FROM packages AS p
         INNER JOIN versions AS v ON (p.pointer = v.package AND v.deleted IS FALSE)
       WHERE pointer IN ${sqlStorage(packArray)}
-      ORDER BY p.name, v.semver_v1 DESC, v.semver_v2 DESC, v.semver_v3 DESC, v.created DESC;
+      ORDER BY p.name, (v.semver_pre IS NULL) DESC, v.semver_v1 DESC, v.semver_v2 DESC, v.semver_v3 DESC,
+        v.semver_pre DESC NULLS FIRST, v.created DESC;
     `;
 
     return command.count !== 0
@@ -1046,6 +1186,12 @@ async function removePackageVersion(packName, semVer) {
         };
       }
 
+      // Any dist-tags of the removed version no longer point anywhere
+      await sqlTrans`
+        DELETE FROM dist_tags
+        WHERE version = ${markDeletedVersion[0].id};
+      `;
+
       return {
         ok: true,
         content: `Successfully removed ${semVer} version of ${packName} package.`,
@@ -1063,10 +1209,64 @@ async function removePackageVersion(packName, semVer) {
     });
 }
 
+/**
+ * @function activeFeaturedNames
+ * @desc Returns the names of the featured entries that have yet to expire,
+ * in the order they are featured.
+ * @param {Array} entries - The featured entries from `storage.js`. Either
+ * names, or objects with a `name` and optional `expires` date.
+ * @returns {string[]} The featured names.
+ */
+function activeFeaturedNames(entries) {
+  const now = Date.now();
+
+  return entries
+    .filter((entry) => {
+      if (typeof entry === "string") {
+        return true;
+      }
+      return (
+        typeof entry.expires !== "string" || Date.parse(entry.expires) > now
+      );
+    })
+    .map((entry) => (typeof entry === "string" ? entry : entry.name));
+}
+
+/**
+ * @async
+ * @function getFeaturedCollection
+ * @desc Retrieves the details of every active featured entry, keeping the
+ * order the entries are featured in.
+ * @param {Array} entries - The featured entries from `storage.js`.
+ * @returns {object} A server status object.
+ */
+async function getFeaturedCollection(entries) {
+  const names = activeFeaturedNames(entries);
+
+  if (names.length === 0) {
+    return { ok: false, content: "No packages found.", short: "not_found" };
+  }
+
+  const packs = await getPackageCollectionByName(names);
+
+  if (!packs.ok) {
+    return packs;
+  }
+
+  const position = (name) => {
+    const idx = names.indexOf(name);
+    return idx === -1 ? names.length : idx;
+  };
+
+  packs.content.sort((a, b) => position(a.name) - position(b.name));
+
+  return packs;
+}
+
 /**
  * @async
  * @function getFeaturedPackages
- * @desc Collects the hardcoded featured packages array from the storage.js
+ * @desc Collects the featured packages array from the storage.js
  * module. Then uses this.getPackageCollectionByName to retrieve details of the
  * package.
  * @returns {object} A server status object.
@@ -1078,13 +1278,13 @@ async function getFeaturedPackages() {
     return featuredArray;
   }
 
-  return await getPackageCollectionByName(featuredArray.content);
+  return await getFeaturedCollection(featuredArray.content);
 }
 
 /**
  * @async
  * @function getFeaturedThemes
- * @desc Collects the hardcoded featured themes array from the storage.js module.
+ * @desc Collects the featured themes array from the storage.js module.
  * Then uses this.getPackageCollectionByName to retrieve details of the package.
  * @returns {object} A server status object.
  */
@@ -1095,7 +1295,7 @@ async function getFeaturedThemes() {
     return featuredThemeArray;
   }
 
-  return await getPackageCollectionByName(featuredThemeArray.content);
+  return await getFeaturedCollection(featuredThemeArray.content);
 }
 
 /**
@@ -1443,20 +1643,31 @@ async function getStarringUsersByPointer(pointer) {
 /**
  * @async
  * @function simpleSearch
- * @description The current Fuzzy-Finder implementation of search. Ideally eventually
- * will use a more advanced search method.
+ * @description Searches packages by their name, description, keywords, and readme,
+ * using the weighted full-text `search_vector` of each package. Packages whose
+ * name contains the term are always included, even if it isn't a whole word.
+ * When sorted by `relevance`, the text rank of each package is blended with
+ * its downloads and stars.
  * @param {string} term - The search term.
+ * @param {int} page - The page of results to return.
  * @param {string} dir - String flag for asc/desc order.
  * @param {string} sort - The sort method.
  * @param {boolean} [themes=false] - Optional Parameter to specify if this should only return themes.
+ * @param {object} [opts={}] - Optional filters of the results, being the `badge`
+ * titles to show and the `hideBadge` titles to hide. When `facets` is true, the
+ * counts of each facet of the results are also returned as `facets`.
  * @returns {object} A server status object containing the results and the pagination object.
  */
-async function simpleSearch(term, page, dir, sort, themes = false) {
+async function simpleSearch(term, page, dir, sort, themes = false, opts = {}) {
   try {
     sqlStorage ??= setupSQL();
 
-    // Parse the sort method
-    const orderType = getOrderField(sort, sqlStorage);
+    // Parse the sort method, where relevance only exists when searching
+    const orderType =
+      sort === "relevance"
+        ? sqlStorage`relevance`
+        : getOrderField(sort, sqlStorage);
+    const orderCast = getOrderCast(sort, sqlStorage);
 
     if (orderType === null) {
       logger.generic(3, `Unrecognized Sorting Method Provided: ${sort}`);
@@ -1477,49 +1688,119 @@ async function simpleSearch(term, page, dir, sort, themes = false) {
     // Replaces all word separators with '_' which matches any single character
 
     const limit = paginated_amount;
-    const offset = page > 1 ? (page - 1) * limit : 0;
+    const cursor = opts.cursor ?? false;
+
+    const matches = sqlStorage`
+      FROM packages AS p
+        CROSS JOIN websearch_to_tsquery('english', ${term}) AS q(query)
+        INNER JOIN versions AS v ON (p.pointer = v.package AND v.deleted IS FALSE)
+      WHERE p.name IS NOT NULL
+      AND (
+        p.search_vector @@ q.query
+        OR EXISTS (
+          SELECT 1 FROM names AS n
+          WHERE n.pointer = p.pointer AND n.name LIKE ${"%" + searchTerm + "%"}
+        )
+      )
+      ${
+        themes === true
+          ? sqlStorage`AND p.package_type = 'theme'`
+          : sqlStorage``
+      }
+      ${engineClause(opts)}
+      ${badgeClause(opts)}
+      ORDER BY p.name, (v.semver_pre IS NULL) DESC, v.semver_v1 DESC, v.semver_v2 DESC, v.semver_v3 DESC,
+        v.semver_pre DESC NULLS FIRST, v.created DESC
+    `;
 
     const command = await sqlStorage`
       WITH search_query AS (
         SELECT DISTINCT ON (p.name) p.name, p.data, p.downloads, p.owner,
           (p.stargazers_count + p.original_stargazers) AS stargazers_count,
-          v.semver, p.created, v.updated, p.creation_method
-        FROM packages AS p
-          INNER JOIN names AS n ON (p.pointer = n.pointer AND n.name LIKE ${
-            "%" + searchTerm + "%"
-          }
-          ${
-            themes === true
-              ? sqlStorage`AND p.package_type = 'theme'`
-              : sqlStorage``
-          })
-          INNER JOIN versions AS v ON (p.pointer = v.package AND v.deleted IS FALSE)
-        ORDER BY p.name, v.semver_v1 DESC, v.semver_v2 DESC, v.semver_v3 DESC, v.created DESC
+          v.semver, p.created, v.updated, p.creation_method,
+          COALESCE(p.deprecated, v.deprecated) AS deprecated,
+          (
+            ts_rank(p.search_vector, q.query, 32) +
+            CASE
+              WHEN p.name = ${lcterm} THEN 1
+              WHEN p.name LIKE ${"%" + searchTerm + "%"} THEN 0.25
+              ELSE 0
+            END
+          ) * (
+            1 + LOG(1 + p.downloads) / 4 +
+            LOG(1 + p.stargazers_count + p.original_stargazers) / 2
+          ) AS relevance
+        ${matches}
       )
-      SELECT *, COUNT(*) OVER() AS query_result_count
-      FROM search_query
-      ORDER BY ${orderType} ${
-      dir === "desc" ? sqlStorage`DESC` : sqlStorage`ASC`
+      SELECT *, ${orderType}::text AS cursor_value ${
+      cursor === false
+        ? sqlStorage`, COUNT(*) OVER() AS query_result_count`
+        : sqlStorage``
     }
-      LIMIT ${limit}
-      OFFSET ${offset};
+      FROM search_query
+      ${pageClause(
+        { field: orderType, cast: orderCast },
+        dir,
+        cursor,
+        page,
+        limit
+      )};
     `;
 
-    const resultCount = command[0]?.query_result_count ?? 0;
-    const quotient = Math.trunc(resultCount / limit);
-    const remainder = resultCount % limit;
-    const totalPages = quotient + (remainder > 0 ? 1 : 0);
+    const results = getPage(command, cursor, page, limit);
 
-    return {
+    const result = {
       ok: true,
-      content: command,
-      pagination: {
-        count: resultCount,
-        page: page < totalPages ? page : totalPages,
-        total: totalPages,
-        limit: limit,
-      },
+      content: results.content.map(({ relevance, ...pack }) => pack),
+      pagination: results.pagination,
+    };
+
+    if (opts.facets === true) {
+      result.facets = await getFacets(matches);
+    }
+
+    return result;
+  } catch (err) {
+    return {
+      ok: false,
+      content: "Generic Error",
+      short: "server_error",
+      error: err,
     };
+  }
+}
+
+/**
+ * @async
+ * @function getSearchSuggestions
+ * @description Returns the names of the packages most similar to a search term,
+ * by the trigram similarity of any name the package has had. Intended to suggest
+ * what a user may have meant when a search has no results.
+ * @param {string} term - The search term.
+ * @param {boolean} [themes=false] - Optional Parameter to specify if this should only suggest themes.
+ * @param {int} [limit=5] - The most suggestions to return.
+ * @returns {object} A server status object containing an array of package names.
+ */
+async function getSearchSuggestions(term, themes = false, limit = 5) {
+  try {
+    sqlStorage ??= setupSQL();
+
+    const command = await sqlStorage`
+      SELECT p.name, MAX(similarity(n.name, ${term.toLowerCase()})) AS score
+      FROM names AS n
+        INNER JOIN packages AS p ON p.pointer = n.pointer
+      WHERE n.name % ${term.toLowerCase()}
+      ${
+        themes === true
+          ? sqlStorage`AND p.package_type = 'theme'`
+          : sqlStorage``
+      }
+      GROUP BY p.name
+      ORDER BY score DESC, p.name
+      LIMIT ${limit};
+    `;
+
+    return { ok: true, content: command.map((pack) => pack.name) };
   } catch (err) {
     return {
       ok: false,
@@ -1575,6 +1856,13 @@ function ownerClause(opts) {
   return sqlStorage`AND p.owner = ${opts.owner}`;
 }
 
+function orgClause(opts) {
+  if (typeof opts.org !== "string") {
+    return getEmptyClause();
+  }
+  return sqlStorage`AND p.org = (SELECT o.id FROM orgs AS o WHERE o.name = ${opts.org})`;
+}
+
 function serviceClause(opts) {
   if (
     typeof opts.service !== "string" ||
@@ -1600,6 +1888,80 @@ function fileExtensionClause(opts) {
   return sqlStorage`AND ${opts.fileExtension}=ANY(v.supported_languages)`;
 }
 
+function engineClause(opts) {
+  if (typeof opts.engine !== "string") {
+    return getEmptyClause();
+  }
+
+  const [major, minor, patch] = opts.engine
+    .match(/^(\d+)\.(\d+)\.(\d+)/)
+    .slice(1);
+  const version = sqlStorage`ROW(${major}::bigint, ${minor}::bigint, ${patch}::bigint)`;
+
+  // Versions published before their engine ranges were parsed are kept,
+  // until they're filled in by `scripts/tools/engine-ranges.js`
+  return sqlStorage`
+    AND (
+      v.engine_ranges IS NULL
+      OR EXISTS (
+        SELECT 1 FROM jsonb_array_elements(v.engine_ranges) AS e(bounds)
+        WHERE (
+          jsonb_typeof(e.bounds -> 'min') <> 'array'
+          OR ${version} >= ROW(
+            (e.bounds #>> '{min,0}')::bigint,
+            (e.bounds #>> '{min,1}')::bigint,
+            (e.bounds #>> '{min,2}')::bigint
+          )
+        )
+        AND (
+          jsonb_typeof(e.bounds -> 'max') <> 'array'
+          OR ${version} < ROW(
+            (e.bounds #>> '{max,0}')::bigint,
+            (e.bounds #>> '{max,1}')::bigint,
+            (e.bounds #>> '{max,2}')::bigint
+          )
+        )
+      )
+    )
+  `;
+}
+
+/**
+ * @function badgeMatch
+ * @desc Internal util that returns the condition of a package having a badge.
+ * @param {string} title - The title of the badge.
+ * @returns {object} The SQL condition.
+ */
+function badgeMatch(title) {
+  // The `Made for Pulsar!` badge isn't stored, but applied to every package
+  // published to Pulsar when it's returned. See `utils.constructPackageObjectShort()`
+  if (title === "Made for Pulsar!") {
+    return sqlStorage`p.creation_method = 'User Made Package'`;
+  }
+
+  return sqlStorage`COALESCE(p.data->'badges', '[]'::jsonb) @> jsonb_build_array(jsonb_build_object('title', ${title}::text))`;
+}
+
+function anyBadgeMatch(titles) {
+  return titles
+    .slice(1)
+    .reduce(
+      (clause, title) => sqlStorage`${clause} OR ${badgeMatch(title)}`,
+      badgeMatch(titles[0])
+    );
+}
+
+function badgeClause(opts) {
+  const include = Array.isArray(opts.badge)
+    ? sqlStorage`AND (${anyBadgeMatch(opts.badge)})`
+    : getEmptyClause();
+  const exclude = Array.isArray(opts.hideBadge)
+    ? sqlStorage`AND NOT (${anyBadgeMatch(opts.hideBadge)})`
+    : getEmptyClause();
+
+  return sqlStorage`${include} ${exclude}`;
+}
+
 /**
  * @async
  * @function getSortedPackages
@@ -1612,6 +1974,7 @@ function fileExtensionClause(opts) {
  * @param {string} method - The sort method.
  * @param {boolean} [themes=false] - Optional Parameter to specify if this should only return themes.
  * @returns {object} A server status object containing the results and the pagination object.
+ * When `opts.facets` is true, the counts of each facet of the results are included as `facets`.
  */
 async function getSortedPackages(opts, themes = false) {
   // Here will be a monolithic function for returning sortable packages arrays.
@@ -1620,7 +1983,7 @@ async function getSortedPackages(opts, themes = false) {
   // only knowing we have a valid sort method provided.
 
   const limit = paginated_amount;
-  const offset = opts.page > 1 ? (opts.page - 1) * limit : 0;
+  const cursor = opts.cursor ?? false;
 
   try {
     sqlStorage ??= setupSQL();
@@ -1636,51 +1999,62 @@ async function getSortedPackages(opts, themes = false) {
       };
     }
 
+    const matches = sqlStorage`
+      FROM packages AS p
+        INNER JOIN versions AS v ON (p.pointer = v.package AND v.deleted IS FALSE
+        ${
+          themes === true
+            ? sqlStorage`AND p.package_type = 'theme'`
+            : sqlStorage``
+        })
+
+      WHERE p.name IS NOT NULL
+
+      ${serviceClause(opts)}
+      ${fileExtensionClause(opts)}
+      ${ownerClause(opts)}
+      ${orgClause(opts)}
+      ${engineClause(opts)}
+      ${badgeClause(opts)}
+
+      -- A release is preferred as the latest version, over any prerelease
+      ORDER BY p.name, (v.semver_pre IS NULL) DESC, v.semver_v1 DESC, v.semver_v2 DESC, v.semver_v3 DESC,
+        v.semver_pre DESC NULLS FIRST, v.created DESC
+    `;
+
     const command = await sqlStorage`
       WITH latest_versions AS (
         SELECT DISTINCT ON (p.name) p.name, p.data, p.downloads, p.owner,
           (p.stargazers_count + p.original_stargazers) AS stargazers_count,
-          v.semver, p.created, v.updated, p.creation_method
-        FROM packages AS p
-          INNER JOIN versions AS v ON (p.pointer = v.package AND v.deleted IS FALSE
-          ${
-            themes === true
-              ? sqlStorage`AND p.package_type = 'theme'`
-              : sqlStorage``
-          })
-
-        WHERE p.name IS NOT NULL
-
-        ${serviceClause(opts)}
-        ${fileExtensionClause(opts)}
-        ${ownerClause(opts)}
-
-        ORDER BY p.name, v.semver_v1 DESC, v.semver_v2 DESC, v.semver_v3 DESC, v.created DESC
+          v.semver, p.created, v.updated, p.creation_method,
+          COALESCE(p.deprecated, v.deprecated) AS deprecated
+        ${matches}
       )
-      SELECT *, COUNT(*) OVER() AS query_result_count
-      FROM latest_versions
-      ORDER BY ${orderType} ${
-      opts.direction === "desc" ? sqlStorage`DESC` : sqlStorage`ASC`
+      SELECT *, ${orderType}::text AS cursor_value ${
+      cursor === false
+        ? sqlStorage`, COUNT(*) OVER() AS query_result_count`
+        : sqlStorage``
     }
-      LIMIT ${limit}
-      OFFSET ${offset};
+      FROM latest_versions
+      ${pageClause(
+        { field: orderType, cast: getOrderCast(opts.sort, sqlStorage) },
+        opts.direction,
+        cursor,
+        opts.page,
+        limit
+      )};
     `;
 
-    const resultCount = command[0]?.query_result_count ?? 0;
-    const quotient = Math.trunc(resultCount / limit);
-    const remainder = resultCount % limit;
-    const totalPages = quotient + (remainder > 0 ? 1 : 0);
-
-    return {
+    const result = {
       ok: true,
-      content: command,
-      pagination: {
-        count: resultCount,
-        page: opts.page < totalPages ? opts.page : totalPages,
-        total: totalPages,
-        limit,
-      },
+      ...getPage(command, cursor, opts.page, limit),
     };
+
+    if (opts.facets === true) {
+      result.facets = await getFacets(matches);
+    }
+
+    return result;
   } catch (err) {
     return {
       ok: false,
@@ -1691,6 +2065,69 @@ async function getSortedPackages(opts, themes = false) {
   }
 }
 
+/**
+ * @async
+ * @function getFacets
+ * @desc Internal util that counts the packages matching a query by their package
+ * type, provided and consumed services, supported file extensions, license, and
+ * owner. Only the `facetLimit` most common values of each facet are kept, and
+ * values longer than `facetValueLength`, which come from package metadata, are
+ * left out.
+ * @param {object} matches - The `FROM` and `WHERE` of the query, ordered so that
+ * `DISTINCT ON (p.name)` keeps the latest version of each package.
+ * @returns {object} Each facet, as an object of each value to its amount of packages.
+ */
+async function getFacets(matches) {
+  const command = await sqlStorage`
+    WITH matched AS (
+      SELECT DISTINCT ON (p.name) p.name, p.package_type, p.owner, v.license,
+        v.meta, v.supported_languages
+      ${matches}
+    ), facet_values AS (
+      SELECT name, 'packageType' AS facet, package_type::text AS value FROM matched
+      UNION ALL
+      SELECT name, 'providedServices', jsonb_object_keys(meta -> 'providedServices')
+      FROM matched WHERE jsonb_typeof(meta -> 'providedServices') = 'object'
+      UNION ALL
+      SELECT name, 'consumedServices', jsonb_object_keys(meta -> 'consumedServices')
+      FROM matched WHERE jsonb_typeof(meta -> 'consumedServices') = 'object'
+      UNION ALL
+      SELECT name, 'fileExtension', unnest(supported_languages) FROM matched
+      UNION ALL
+      SELECT name, 'license', license FROM matched
+      UNION ALL
+      SELECT name, 'owner', owner FROM matched
+    ), facet_counts AS (
+      SELECT facet, value, COUNT(DISTINCT name) AS count,
+        ROW_NUMBER() OVER (
+          PARTITION BY facet ORDER BY COUNT(DISTINCT name) DESC, value
+        ) AS rank
+      FROM facet_values
+      WHERE value IS NOT NULL AND length(value) <= ${facetValueLength}
+      GROUP BY facet, value
+    )
+    SELECT facet, value, count
+    FROM facet_counts
+    WHERE rank <= ${facetLimit}
+    ORDER BY facet, rank;
+  `;
+
+  const facets = {
+    packageType: {},
+    providedServices: {},
+    consumedServices: {},
+    fileExtension: {},
+    license: {},
+    owner: {},
+  };
+
+  for (const row of command) {
+    facets[row.facet][row.value] = parseInt(row.count, 10);
+  }
+
+  return facets;
+}
+
 /**
  * @async
  * @function getOrderField
@@ -1715,6 +2152,140 @@ function getOrderField(method, sqlStorage) {
   }
 }
 
+/**
+ * @function getOrderCast
+ * @description Internal method to return the type of the field a sort method
+ * orders by, which the values of cursors are cast to.
+ * @param {string} method - The sort method.
+ * @param {object} sqlStorage - The database class instance used parse the proper type.
+ * @returns {object|null} The type of the field or null if the method is not recognized.
+ */
+function getOrderCast(method, sqlStorage) {
+  switch (method) {
+    case "relevance":
+      // A score when searching, that's compared against downloads otherwise
+      return sqlStorage`float8`;
+    case "downloads":
+    case "stars":
+      return sqlStorage`bigint`;
+    case "created_at":
+    case "updated_at":
+      return sqlStorage`timestamptz`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * @function pageClause
+ * @description Internal method that returns the ordering and limits of a page of
+ * results, with ties of the sort field ordered by name. Pages are found by their
+ * offset, or when given a cursor, by the key of the result they come after or
+ * before. Without a count or offset to compute, paging by cursor stays fast on
+ * deep pages, and doesn't skip or repeat results as their sort fields change.
+ * A single extra result is requested by cursor, to know if more remain.
+ * @param {object} order - The `field` to sort by, and the `cast` of its type.
+ * @param {string} dir - String flag for asc/desc order.
+ * @param {object|boolean} cursor - The decoded cursor, or false to page by offset.
+ * @param {int} page - The page of results when paging by offset.
+ * @param {int} limit - The amount of results within a page.
+ * @returns {object} The SQL clause.
+ */
+function pageClause(order, dir, cursor, page, limit) {
+  const desc = dir === "desc";
+
+  if (cursor === false) {
+    const offset = page > 1 ? (page - 1) * limit : 0;
+
+    return sqlStorage`
+      ORDER BY ${order.field} ${desc ? sqlStorage`DESC` : sqlStorage`ASC`}, name
+      LIMIT ${limit}
+      OFFSET ${offset}
+    `;
+  }
+
+  // The results before a cursor are found by walking the order backwards
+  const fieldDesc = desc !== cursor.before;
+
+  const keyset =
+    cursor.name === null
+      ? getEmptyClause()
+      : sqlStorage`
+        WHERE ${order.field} ${fieldDesc ? sqlStorage`<` : sqlStorage`>`} ${
+          cursor.value
+        }::${order.cast}
+        OR (
+          ${order.field} = ${cursor.value}::${order.cast}
+          AND name ${cursor.before ? sqlStorage`<` : sqlStorage`>`} ${
+          cursor.name
+        }
+        )
+      `;
+
+  return sqlStorage`
+    ${keyset}
+    ORDER BY ${order.field} ${fieldDesc ? sqlStorage`DESC` : sqlStorage`ASC`},
+      name ${cursor.before ? sqlStorage`DESC` : sqlStorage`ASC`}
+    LIMIT ${limit + 1}
+  `;
+}
+
+/**
+ * @function getPage
+ * @description Internal method that returns the results and pagination of a
+ * query ended by `pageClause()`. When paging by offset the pagination holds the
+ * count of results, while by cursor it holds the keys of the results the `next`
+ * and `prev` pages come after and before, if they exist.
+ * @param {object[]} command - The rows returned by the query.
+ * @param {object|boolean} cursor - The decoded cursor, or false to page by offset.
+ * @param {int} page - The page of results when paging by offset.
+ * @param {int} limit - The amount of results within a page.
+ * @returns {object} The `content` and `pagination` of the page.
+ */
+function getPage(command, cursor, page, limit) {
+  if (cursor === false) {
+    const resultCount = command[0]?.query_result_count ?? 0;
+    const quotient = Math.trunc(resultCount / limit);
+    const remainder = resultCount % limit;
+    const totalPages = quotient + (remainder > 0 ? 1 : 0);
+
+    return {
+      content: command.map(({ cursor_value, ...pack }) => pack),
+      pagination: {
+        count: resultCount,
+        page: page < totalPages ? page : totalPages,
+        total: totalPages,
+        limit,
+      },
+    };
+  }
+
+  const more = command.length > limit;
+  const rows = command.slice(0, limit);
+
+  if (cursor.before) {
+    rows.reverse();
+  }
+
+  const key = (row) => {
+    return row === undefined
+      ? null
+      : { value: row.cursor_value, name: row.name };
+  };
+
+  // A cursor that isn't the start always comes after or before some result
+  const next = cursor.before || more ? key(rows[rows.length - 1]) : null;
+  const prev =
+    (cursor.before && more) || (!cursor.before && cursor.name !== null)
+      ? key(rows[0])
+      : null;
+
+  return {
+    content: rows.map(({ cursor_value, ...pack }) => pack),
+    pagination: { limit, next, prev },
+  };
+}
+
 /**
  * @async
  * @function authStoreStateKey
@@ -1813,6 +2384,2559 @@ async function authCheckAndDeleteStateKey(stateKey, timestamp = null) {
   }
 }
 
+/**
+ * @async
+ * @function getLatestRelease
+ * @desc Retrieves the newest Pulsar release available for a given platform,
+ * considering only releases published within the provided channels. Releases
+ * are ordered by semver precedence, so a release is newer than its prereleases.
+ * @param {string} platform - The platform to retrieve a release for.
+ * @param {string[]} channels - An array of channels the release may belong to.
+ * @returns {object} A server status object.
+ */
+async function getLatestRelease(platform, channels) {
+  try {
+    sqlStorage ??= setupSQL();
+
+    const command = await sqlStorage`
+      SELECT version, channel, platform, url, notes, pub_date
+      FROM releases
+      WHERE platform = ${platform} AND channel IN ${sqlStorage(channels)}
+      ORDER BY semver_v1 DESC, semver_v2 DESC, semver_v3 DESC,
+        semver_pre DESC NULLS FIRST, pub_date DESC
+      LIMIT 1;
+    `;
+
+    return command.count !== 0
+      ? { ok: true, content: command[0] }
+      : {
+          ok: false,
+          content: `No release found for ${platform}.`,
+          short: "not_found",
+        };
+  } catch (err) {
+    return {
+      ok: false,
+      content: "Generic Error",
+      short: "server_error",
+      error: err,
+    };
+  }
+}
+
+/**
+ * @async
+ * @function insertRelease
+ * @desc Adds a new release to the release catalogue, or updates the existing
+ * entry sharing the same version, channel and platform. When made by an admin,
+ * the change is recorded as an `add_release` admin action alongside it.
+ * @param {object} release - The release to add.
+ * @param {string} release.version - The semver of the release.
+ * @param {string} release.channel - The channel the release is published in.
+ * @param {string} release.platform - The platform the release targets.
+ * @param {string} release.url - The download URL of the release archive.
+ * @param {string} [release.notes] - The release notes.
+ * @param {string} [release.pub_date] - The publication date of the release.
+ * @param {object} [admin] - The admin adding the release, if any.
+ * @param {int} admin.userid - The ID of the admin.
+ * @param {string} [admin.reason] - Why the release was added.
+ * @returns {object} A server status object, whose content is the release.
+ */
+async function insertRelease(release, admin) {
+  sqlStorage ??= setupSQL();
+
+  return await sqlStorage
+    .begin(async (sqlTrans) => {
+      const notes = release.notes ?? null;
+      const pubDate = release.pub_date ?? new Date().toISOString();
+
+      const command = await sqlTrans`
+        INSERT INTO releases (version, channel, platform, url, notes, pub_date)
+        VALUES (${release.version}, ${release.channel}, ${release.platform},
+          ${release.url}, ${notes}, ${pubDate})
+        ON CONFLICT ON CONSTRAINT unique_release DO UPDATE
+        SET url = EXCLUDED.url, notes = EXCLUDED.notes, pub_date = EXCLUDED.pub_date
+        RETURNING version, channel, platform, url, notes, pub_date;
+      `;
+
+      if (command.count === 0) {
+        throw `Unable to insert release ${release.version}.`;
+      }
+
+      if (admin !== undefined) {
+        await recordAdminAction(sqlTrans, {
+          action: "add_release",
+          userid: admin.userid,
+          reason: admin.reason,
+          details: { release: command[0] },
+        });
+      }
+
+      return { ok: true, content: command[0] };
+    })
+    .catch((err) => {
+      return typeof err === "string"
+        ? { ok: false, content: err, short: "server_error" }
+        : {
+            ok: false,
+            content: "Generic Error",
+            short: "server_error",
+            error: err,
+          };
+    });
+}
+
+/**
+ * @async
+ * @function removeRelease
+ * @desc Removes a release from the release catalogue. When made by an admin, the
+ * change is recorded as a `remove_release` admin action alongside it.
+ * @param {string} version - The semver of the release.
+ * @param {string} channel - The channel the release is published in.
+ * @param {string} platform - The platform the release targets.
+ * @param {object} [admin] - The admin removing the release, if any.
+ * @param {int} admin.userid - The ID of the admin.
+ * @param {string} [admin.reason] - Why the release was removed.
+ * @returns {object} A server status object.
+ */
+async function removeRelease(version, channel, platform, admin) {
+  sqlStorage ??= setupSQL();
+
+  return await sqlStorage
+    .begin(async (sqlTrans) => {
+      const command = await sqlTrans`
+        DELETE FROM releases
+        WHERE version = ${version} AND channel = ${channel} AND platform = ${platform}
+        RETURNING version, channel, platform, url, notes, pub_date;
+      `;
+
+      if (command.count === 0) {
+        return {
+          ok: false,
+          content: `Release ${version} for ${platform} on ${channel} not found.`,
+          short: "not_found",
+        };
+      }
+
+      if (admin !== undefined) {
+        await recordAdminAction(sqlTrans, {
+          action: "remove_release",
+          userid: admin.userid,
+          reason: admin.reason,
+          details: { release: command[0] },
+        });
+      }
+
+      return { ok: true, content: `Successfully removed release ${version}.` };
+    })
+    .catch((err) => {
+      return typeof err === "string"
+        ? { ok: false, content: err, short: "server_error" }
+        : {
+            ok: false,
+            content: "Generic Error",
+            short: "server_error",
+            error: err,
+          };
+    });
+}
+
+/**
+ * @async
+ * @function insertUserToken
+ * @desc Stores a newly issued registry API token for a user. Only the hash of
+ * the token is ever saved, so the token itself can't be recovered from the DB.
+ * @param {int} userId - The ID of the user the token belongs to.
+ * @param {string} name - The user provided name of the token.
+ * @param {string} tokenHash - The SHA-256 hash of the token.
+ * @param {string[]} scopes - The scopes granted to the token.
+ * @param {string[]|null} packages - The packages the token is restricted to,
+ * or `null` if it's usable for any package.
+ * @returns {object} A server status object, whose content is the new token row,
+ * without its hash.
+ */
+async function insertUserToken(userId, name, tokenHash, scopes, packages) {
+  try {
+    sqlStorage ??= setupSQL();
+
+    const command = await sqlStorage`
+      INSERT INTO tokens (userid, name, token_hash, scopes, packages)
+      VALUES (${userId}, ${name}, ${tokenHash}, ${scopes}, ${packages})
+      RETURNING id, name, scopes, packages, created, last_used;
+    `;
+
+    return command.count !== 0
+      ? { ok: true, content: command[0] }
+      : {
+          ok: false,
+          content: `Unable to create a token for user: ${userId}`,
+          short: "server_error",
+        };
+  } catch (err) {
+    return {
+      ok: false,
+      content: "Generic Error",
+      short: "server_error",
+      error: err,
+    };
+  }
+}
+
+/**
+ * @async
+ * @function getUserTokens
+ * @desc Lists all registry API tokens issued to a user. The hash of each token
+ * is never returned.
+ * @param {int} userId - The ID of the user.
+ * @returns {object} A server status object, whose content is an array of tokens.
+ */
+async function getUserTokens(userId) {
+  try {
+    sqlStorage ??= setupSQL();
+
+    const command = await sqlStorage`
+      SELECT id, name, scopes, packages, created, last_used FROM tokens
+      WHERE userid = ${userId}
+      ORDER BY created DESC;
+    `;
+
+    return { ok: true, content: Array.from(command) };
+  } catch (err) {
+    return {
+      ok: false,
+      content: "Generic Error",
+      short: "server_error",
+      error: err,
+    };
+  }
+}
+
+/**
+ * @async
+ * @function getUserByTokenHash
+ * @desc Finds the user that owns the registry API token with the provided hash,
+ * recording the use of the token at the same time.
+ * @param {string} tokenHash - The SHA-256 hash of the token.
+ * @returns {object} A server status object, whose content is the user row with
+ * the `token_id`, `token_scopes`, and `token_packages` of the matched token added.
+ */
+async function getUserByTokenHash(tokenHash) {
+  try {
+    sqlStorage ??= setupSQL();
+
+    const command = await sqlStorage`
+      WITH used AS (
+        UPDATE tokens SET last_used = CURRENT_TIMESTAMP
+        WHERE token_hash = ${tokenHash}
+        RETURNING id, userid, scopes, packages
+      )
+      SELECT u.*, used.id AS token_id, used.scopes AS token_scopes,
+        used.packages AS token_packages
+      FROM users AS u
+      INNER JOIN used ON used.userid = u.id;
+    `;
+
+    return command.count !== 0
+      ? { ok: true, content: command[0] }
+      : {
+          ok: false,
+          content: "Unable to find a user for the provided token.",
+          short: "not_found",
+        };
+  } catch (err) {
+    return {
+      ok: false,
+      content: "Generic Error",
+      short: "server_error",
+      error: err,
+    };
+  }
+}
+
+/**
+ * @async
+ * @function removeUserToken
+ * @desc Revokes a registry API token. The token must belong to the provided user.
+ * @param {int} userId - The ID of the user revoking the token.
+ * @param {int} tokenId - The ID of the token to revoke.
+ * @returns {object} A server status object.
+ */
+async function removeUserToken(userId, tokenId) {
+  try {
+    sqlStorage ??= setupSQL();
+
+    const command = await sqlStorage`
+      DELETE FROM tokens
+      WHERE id = ${tokenId} AND userid = ${userId}
+      RETURNING id;
+    `;
+
+    return command.count !== 0
+      ? { ok: true, content: `Successfully revoked token ${tokenId}.` }
+      : {
+          ok: false,
+          content: `Token ${tokenId} not found.`,
+          short: "not_found",
+        };
+  } catch (err) {
+    return {
+      ok: false,
+      content: "Generic Error",
+      short: "server_error",
+      error: err,
+    };
+  }
+}
+
+/**
+ * @async
+ * @function recordAdminAction
+ * @desc Internal util that writes an action to the append-only `admin_actions`
+ * table. Any failure is thrown, so that when used within a transaction the
+ * action itself is rolled back if it can't be recorded.
+ * @param {object} sql - The SQL Storage, or transaction, to record the action with.
+ * @param {object} action - The action to record.
+ * @param {string} action.action - The type of action, as allowed by `adminAction`.
+ * @param {int} action.userid - The ID of the admin taking the action.
+ * @param {string} [action.package] - The name of the package affected.
+ * @param {string} [action.reason] - Why the action was taken.
+ * @param {object} [action.details] - Any other details of the action.
+ * @returns {object} The newly recorded action row.
+ */
+async function recordAdminAction(sql, action) {
+  const command = await sql`
+    INSERT INTO admin_actions (action, userid, package, reason, details)
+    VALUES (${action.action}, ${action.userid}, ${action.package ?? null},
+      ${action.reason ?? null}, ${action.details ?? null})
+    RETURNING id, action, package, reason, details, created;
+  `;
+
+  if (command.count === 0) {
+    throw `Unable to record the ${action.action} admin action.`;
+  }
+
+  return command[0];
+}
+
+/**
+ * @async
+ * @function insertAdminAction
+ * @desc Records an admin action that doesn't otherwise touch the database, such
+ * as changes to the ban list or featured lists.
+ * @param {object} action - The action to record. See `recordAdminAction()`.
+ * @returns {object} A server status object, whose content is the recorded action.
+ */
+async function insertAdminAction(action) {
+  try {
+    sqlStorage ??= setupSQL();
+
+    return { ok: true, content: await recordAdminAction(sqlStorage, action) };
+  } catch (err) {
+    return typeof err === "string"
+      ? { ok: false, content: err, short: "server_error" }
+      : {
+          ok: false,
+          content: "Generic Error",
+          short: "server_error",
+          error: err,
+        };
+  }
+}
+
+/**
+ * @async
+ * @function getAdminActions
+ * @desc Lists the recorded admin actions, most recent first, alongside the
+ * username of the admin that took each action.
+ * @param {object} opts - The options of the listing.
+ * @param {int} opts.page - The page of results to return.
+ * @param {string} [opts.action] - Only return actions of this type.
+ * @param {string} [opts.package] - Only return actions affecting this package.
+ * @returns {object} A server status object containing the results and the pagination object.
+ */
+async function getAdminActions(opts) {
+  try {
+    sqlStorage ??= setupSQL();
+
+    const limit = paginated_amount;
+    const offset = opts.page > 1 ? (opts.page - 1) * limit : 0;
+
+    const command = await sqlStorage`
+      SELECT a.id, a.action, u.username AS admin, a.package, a.reason, a.details,
+        a.created, COUNT(*) OVER() AS query_result_count
+      FROM admin_actions AS a
+        INNER JOIN users AS u ON a.userid = u.id
+      WHERE TRUE
+      ${
+        typeof opts.action === "string"
+          ? sqlStorage`AND a.action = ${opts.action}`
+          : sqlStorage``
+      }
+      ${
+        typeof opts.package === "string"
+          ? sqlStorage`AND a.package = ${opts.package}`
+          : sqlStorage``
+      }
+      ORDER BY a.id DESC
+      LIMIT ${limit}
+      OFFSET ${offset};
+    `;
+
+    const resultCount = command[0]?.query_result_count ?? 0;
+    const quotient = Math.trunc(resultCount / limit);
+    const remainder = resultCount % limit;
+    const totalPages = quotient + (remainder > 0 ? 1 : 0);
+
+    return {
+      ok: true,
+      content: command.map(({ query_result_count, ...action }) => action),
+      pagination: {
+        count: resultCount,
+        page: opts.page < totalPages ? opts.page : totalPages,
+        total: totalPages,
+        limit,
+      },
+    };
+  } catch (err) {
+    return {
+      ok: false,
+      content: "Generic Error",
+      short: "server_error",
+      error: err,
+    };
+  }
+}
+
+/**
+ * @async
+ * @function getAdminActionByID
+ * @desc Returns a single recorded admin action.
+ * @param {int} id - The ID of the action.
+ * @returns {object} A server status object, whose content is the action.
+ */
+async function getAdminActionByID(id) {
+  try {
+    sqlStorage ??= setupSQL();
+
+    const command = await sqlStorage`
+      SELECT a.id, a.action, u.username AS admin, a.package, a.reason, a.details,
+        a.created
+      FROM admin_actions AS a
+        INNER JOIN users AS u ON a.userid = u.id
+      WHERE a.id = ${id};
+    `;
+
+    return command.count !== 0
+      ? { ok: true, content: command[0] }
+      : {
+          ok: false,
+          content: `Admin action ${id} not found.`,
+          short: "not_found",
+        };
+  } catch (err) {
+    return {
+      ok: false,
+      content: "Generic Error",
+      short: "server_error",
+      error: err,
+    };
+  }
+}
+
+/**
+ * @async
+ * @function removePackageName
+ * @desc Un-reserves the name of a deleted package, allowing it to be published
+ * again. Names still in use by a package can't be removed.
+ * @param {string} name - The name to un-reserve.
+ * @param {object} admin - The `userid` of the admin, and the `reason` for the action.
+ * @returns {object} A server status object, whose content is the recorded action.
+ */
+async function removePackageName(name, admin) {
+  sqlStorage ??= setupSQL();
+
+  return await sqlStorage
+    .begin(async (sqlTrans) => {
+      const command = await sqlTrans`
+        SELECT pointer FROM names
+        WHERE name = ${name};
+      `;
+
+      if (command.count === 0) {
+        return {
+          ok: false,
+          content: `The name ${name} is not reserved.`,
+          short: "not_found",
+        };
+      }
+
+      if (command[0].pointer !== null) {
+        return {
+          ok: false,
+          content: `The name ${name} is in use by a published package.`,
+          short: "bad_request",
+        };
+      }
+
+      await sqlTrans`
+        DELETE FROM names
+        WHERE name = ${name} AND pointer IS NULL;
+      `;
+
+      const action = await recordAdminAction(sqlTrans, {
+        action: "unreserve_name",
+        userid: admin.userid,
+        package: name,
+        reason: admin.reason,
+      });
+
+      return { ok: true, content: action };
+    })
+    .catch((err) => {
+      return typeof err === "string"
+        ? { ok: false, content: err, short: "server_error" }
+        : {
+            ok: false,
+            content: `A generic error occurred while un-reserving ${name}`,
+            short: "server_error",
+            error: err,
+          };
+    });
+}
+
+/**
+ * @async
+ * @function forceRemovePackageByName
+ * @desc Deletes a package on behalf of an admin. Unlike `removePackageByName()`
+ * a package left without any versions can still be deleted. The name of the
+ * package stays reserved.
+ * @param {string} name - The name of the package to delete.
+ * @param {object} admin - The `userid` of the admin, and the `reason` for the action.
+ * @returns {object} A server status object, whose content is the recorded action.
+ */
+async function forceRemovePackageByName(name, admin) {
+  sqlStorage ??= setupSQL();
+
+  return await sqlStorage
+    .begin(async (sqlTrans) => {
+      const command = await sqlTrans`
+        SELECT pointer FROM names
+        WHERE name = ${name} AND pointer IS NOT NULL;
+      `;
+
+      if (command.count === 0) {
+        return {
+          ok: false,
+          content: `Package ${name} not found.`,
+          short: "not_found",
+        };
+      }
+
+      const pointer = command[0].pointer;
+
+      const commandVers = await sqlTrans`
+        DELETE FROM versions
+        WHERE package = ${pointer}
+        RETURNING semver;
+      `;
+
+      await sqlTrans`
+        DELETE FROM stars
+        WHERE package = ${pointer};
+      `;
+
+      const commandPack = await sqlTrans`
+        DELETE FROM packages
+        WHERE pointer = ${pointer}
+        RETURNING name;
+      `;
+
+      if (commandPack.count === 0) {
+        throw `Failed to Delete Package for: ${name}`;
+      }
+
+      const action = await recordAdminAction(sqlTrans, {
+        action: "force_delete",
+        userid: admin.userid,
+        package: name,
+        reason: admin.reason,
+        details: { versions: commandVers.map((v) => v.semver) },
+      });
+
+      return { ok: true, content: action };
+    })
+    .catch((err) => {
+      return typeof err === "string"
+        ? { ok: false, content: err, short: "server_error" }
+        : {
+            ok: false,
+            content: `A generic error occurred while deleting ${name} package`,
+            short: "server_error",
+            error: err,
+          };
+    });
+}
+
+/**
+ * @async
+ * @function updatePackageRepository
+ * @desc Transfers the ownership of a package to a different repository. Since
+ * ownership is determined by write access to the repository, whoever has access
+ * to the new repository is then able to publish the package.
+ * @param {string} name - The name of the package.
+ * @param {object} repository - The repository object of the new repository,
+ * containing a `type` and `url`.
+ * @param {string} owner - The owner of the new repository.
+ * @param {object} admin - The `userid` of the admin, and the `reason` for the action.
+ * @returns {object} A server status object, whose content is the recorded action.
+ */
+async function updatePackageRepository(name, repository, owner, admin) {
+  sqlStorage ??= setupSQL();
+
+  return await sqlStorage
+    .begin(async (sqlTrans) => {
+      const command = await sqlTrans`
+        SELECT p.pointer, p.owner, p.data->'repository' AS repository
+        FROM packages AS p
+          INNER JOIN names AS n ON p.pointer = n.pointer
+        WHERE n.name = ${name};
+      `;
+
+      if (command.count === 0) {
+        return {
+          ok: false,
+          content: `Package ${name} not found.`,
+          short: "not_found",
+        };
+      }
+
+      const pack = command[0];
+
+      await sqlTrans`
+        UPDATE packages
+        SET owner = ${owner},
+          data = jsonb_set(COALESCE(data, '{}'::jsonb), '{repository}', ${repository}::jsonb)
+        WHERE pointer = ${pack.pointer};
+      `;
+
+      const action = await recordAdminAction(sqlTrans, {
+        action: "transfer_ownership",
+        userid: admin.userid,
+        package: name,
+        reason: admin.reason,
+        details: {
+          from: { owner: pack.owner, repository: pack.repository },
+          to: { owner: owner, repository: repository },
+        },
+      });
+
+      return { ok: true, content: action };
+    })
+    .catch((err) => {
+      return typeof err === "string"
+        ? { ok: false, content: err, short: "server_error" }
+        : {
+            ok: false,
+            content: `A generic error occurred while transferring ${name} package`,
+            short: "server_error",
+            error: err,
+          };
+    });
+}
+
+/**
+ * @async
+ * @function insertPackageBadge
+ * @desc Adds a badge to a package, as described in `docs/reference/badge_spec.md`.
+ * A badge without a `link` is linked to the admin action that added it.
+ * @param {string} name - The name of the package.
+ * @param {object} badge - The badge to add.
+ * @param {object} admin - The `userid` of the admin, and the `reason` for the action.
+ * @returns {object} A server status object, whose content is the recorded action.
+ */
+async function insertPackageBadge(name, badge, admin) {
+  sqlStorage ??= setupSQL();
+
+  return await sqlStorage
+    .begin(async (sqlTrans) => {
+      const command = await sqlTrans`
+        SELECT p.pointer, COALESCE(p.data->'badges', '[]'::jsonb) AS badges
+        FROM packages AS p
+          INNER JOIN names AS n ON p.pointer = n.pointer
+        WHERE n.name = ${name};
+      `;
+
+      if (command.count === 0) {
+        return {
+          ok: false,
+          content: `Package ${name} not found.`,
+          short: "not_found",
+        };
+      }
+
+      if (command[0].badges.some((b) => b.title === badge.title)) {
+        return {
+          ok: false,
+          content: `Package ${name} already has the ${badge.title} badge.`,
+          short: "bad_request",
+        };
+      }
+
+      const action = await recordAdminAction(sqlTrans, {
+        action: "add_badge",
+        userid: admin.userid,
+        package: name,
+        reason: admin.reason,
+        details: { badge: badge },
+      });
+
+      const newBadge = {
+        ...badge,
+        link: badge.link ?? `${server_url}/api/admin/actions/${action.id}`,
+      };
+
+      await sqlTrans`
+        UPDATE packages
+        SET data = jsonb_set(
+          COALESCE(data, '{}'::jsonb),
+          '{badges}',
+          COALESCE(data->'badges', '[]'::jsonb) || jsonb_build_array(${newBadge}::jsonb)
+        )
+        WHERE pointer = ${command[0].pointer};
+      `;
+
+      return { ok: true, content: action };
+    })
+    .catch((err) => {
+      return typeof err === "string"
+        ? { ok: false, content: err, short: "server_error" }
+        : {
+            ok: false,
+            content: `A generic error occurred while adding a badge to ${name} package`,
+            short: "server_error",
+            error: err,
+          };
+    });
+}
+
+/**
+ * @async
+ * @function removePackageBadge
+ * @desc Removes a badge from a package.
+ * @param {string} name - The name of the package.
+ * @param {string} title - The title of the badge to remove.
+ * @param {object} admin - The `userid` of the admin, and the `reason` for the action.
+ * @returns {object} A server status object, whose content is the recorded action.
+ */
+async function removePackageBadge(name, title, admin) {
+  sqlStorage ??= setupSQL();
+
+  return await sqlStorage
+    .begin(async (sqlTrans) => {
+      const command = await sqlTrans`
+        SELECT p.pointer, b.badge
+        FROM packages AS p
+          INNER JOIN names AS n ON p.pointer = n.pointer
+          CROSS JOIN jsonb_array_elements(
+            COALESCE(p.data->'badges', '[]'::jsonb)
+          ) AS b(badge)
+        WHERE n.name = ${name} AND b.badge->>'title' = ${title};
+      `;
+
+      if (command.count === 0) {
+        return {
+          ok: false,
+          content: `Package ${name} doesn't have the ${title} badge.`,
+          short: "not_found",
+        };
+      }
+
+      await sqlTrans`
+        UPDATE packages
+        SET data = jsonb_set(
+          data,
+          '{badges}',
+          COALESCE(
+            (
+              SELECT jsonb_agg(b.badge)
+              FROM jsonb_array_elements(data->'badges') AS b(badge)
+              WHERE b.badge->>'title' <> ${title}
+            ),
+            '[]'::jsonb
+          )
+        )
+        WHERE pointer = ${command[0].pointer};
+      `;
+
+      const action = await recordAdminAction(sqlTrans, {
+        action: "remove_badge",
+        userid: admin.userid,
+        package: name,
+        reason: admin.reason,
+        details: { badge: command[0].badge },
+      });
+
+      return { ok: true, content: action };
+    })
+    .catch((err) => {
+      return typeof err === "string"
+        ? { ok: false, content: err, short: "server_error" }
+        : {
+            ok: false,
+            content: `A generic error occurred while removing a badge from ${name} package`,
+            short: "server_error",
+            error: err,
+          };
+    });
+}
+
+/**
+ * @async
+ * @function getPackagesForHealthCheck
+ * @desc Returns the next batch of packages to run the health checks against,
+ * along with their latest version. Packages that have never been checked come
+ * first, followed by those checked the longest time ago.
+ * @param {int} limit - The amount of packages to return.
+ * @returns {object} A server status object, whose content is an array of packages.
+ */
+async function getPackagesForHealthCheck(limit) {
+  try {
+    sqlStorage ??= setupSQL();
+
+    const command = await sqlStorage`
+      SELECT pack.pointer, pack.name, pack.data, pack.semver, pack.meta
+      FROM (
+        SELECT DISTINCT ON (p.name) p.pointer, p.name, p.data, v.semver, v.meta
+        FROM packages AS p
+          INNER JOIN versions AS v ON (p.pointer = v.package AND v.deleted IS FALSE)
+        ORDER BY p.name, (v.semver_pre IS NULL) DESC, v.semver_v1 DESC, v.semver_v2 DESC, v.semver_v3 DESC,
+          v.semver_pre DESC NULLS FIRST, v.created DESC
+      ) AS pack
+        LEFT JOIN (
+          SELECT package, MAX(created) AS last_checked
+          FROM package_health
+          GROUP BY package
+        ) AS h ON h.package = pack.pointer
+      ORDER BY h.last_checked ASC NULLS FIRST, pack.name
+      LIMIT ${limit};
+    `;
+
+    return { ok: true, content: command };
+  } catch (err) {
+    return {
+      ok: false,
+      content: "Generic Error",
+      short: "server_error",
+      error: err,
+    };
+  }
+}
+
+/**
+ * @async
+ * @function insertPackageHealth
+ * @desc Records the results of the health checks of a package, and applies or
+ * removes the badges the checks call for. Only badges previously applied on behalf
+ * of the health checks are ever removed, so a badge added by an admin is kept.
+ * These are compared against the badges actually on the package, so one that's
+ * gone missing since it was applied is applied again.
+ * Badges applied this way link to the health history of the package.
+ * @param {string} name - The name of the package.
+ * @param {object} checks - The result of each check, keyed by the name of the check.
+ * @param {object} badges - The badge objects to `add`, and the titles to `remove`.
+ * @returns {object} A server status object, whose content is the recorded health.
+ */
+async function insertPackageHealth(name, checks, badges) {
+  sqlStorage ??= setupSQL();
+
+  return await sqlStorage
+    .begin(async (sqlTrans) => {
+      const command = await sqlTrans`
+        SELECT p.pointer, COALESCE(p.data->'badges', '[]'::jsonb) AS badges,
+          COALESCE(
+            (
+              SELECT h.badges FROM package_health AS h
+              WHERE h.package = p.pointer
+              ORDER BY h.id DESC
+              LIMIT 1
+            ),
+            '[]'::jsonb
+          ) AS applied
+        FROM packages AS p
+          INNER JOIN names AS n ON p.pointer = n.pointer
+        WHERE n.name = ${name};
+      `;
+
+      if (command.count === 0) {
+        return {
+          ok: false,
+          content: `Package ${name} not found.`,
+          short: "not_found",
+        };
+      }
+
+      const pack = command[0];
+      const present = (title) => pack.badges.some((b) => b.title === title);
+      // A badge applied before that's no longer on the package, such as one
+      // removed by an admin, is applied again should the check still fail.
+      const stillApplied = pack.applied.filter(present);
+      const remove = badges.remove.filter((title) =>
+        stillApplied.includes(title)
+      );
+      const add = badges.add.filter((badge) => !present(badge.title));
+      const applied = [
+        ...stillApplied.filter((title) => !remove.includes(title)),
+        ...add.map((badge) => badge.title),
+      ];
+
+      if (remove.length > 0 || add.length > 0) {
+        const kept = pack.badges.filter((b) => !remove.includes(b.title));
+        const added = add.map((badge) => {
+          return {
+            ...badge,
+            link: `${server_url}/api/packages/${name}/health`,
+          };
+        });
+
+        await sqlTrans`
+          UPDATE packages
+          SET data = jsonb_set(
+            COALESCE(data, '{}'::jsonb),
+            '{badges}',
+            ${sqlStorage.json([...kept, ...added])}
+          )
+          WHERE pointer = ${pack.pointer};
+        `;
+      }
+
+      const healthy = Object.values(checks).every(
+        (check) => check.passed !== false
+      );
+
+      const insert = await sqlTrans`
+        INSERT INTO package_health (package, healthy, checks, badges)
+        VALUES (${pack.pointer}, ${healthy}, ${checks}::jsonb,
+          ${sqlStorage.json(applied)})
+        RETURNING healthy, checks, badges, created;
+      `;
+
+      if (insert.count === 0) {
+        throw `Unable to record the health of ${name} package.`;
+      }
+
+      return { ok: true, content: insert[0] };
+    })
+    .catch((err) => {
+      return typeof err === "string"
+        ? { ok: false, content: err, short: "server_error" }
+        : {
+            ok: false,
+            content: `A generic error occurred while recording the health of ${name} package`,
+            short: "server_error",
+            error: err,
+          };
+    });
+}
+
+/**
+ * @async
+ * @function getPackageHealthByName
+ * @desc Returns the health history of a package, most recent first.
+ * @param {string} name - The name of the package.
+ * @param {int} page - The page of results to return.
+ * @returns {object} A server status object, whose content is the health history.
+ */
+async function getPackageHealthByName(name, page) {
+  try {
+    sqlStorage ??= setupSQL();
+
+    const limit = paginated_amount;
+    const offset = page > 1 ? (page - 1) * limit : 0;
+
+    const pack = await sqlStorage`
+      SELECT pointer FROM names
+      WHERE name = ${name} AND pointer IS NOT NULL;
+    `;
+
+    if (pack.count === 0) {
+      return {
+        ok: false,
+        content: `Package ${name} not found.`,
+        short: "not_found",
+      };
+    }
+
+    const command = await sqlStorage`
+      SELECT healthy, checks, badges, created,
+        COUNT(*) OVER() AS query_result_count
+      FROM package_health
+      WHERE package = ${pack[0].pointer}
+      ORDER BY id DESC
+      LIMIT ${limit}
+      OFFSET ${offset};
+    `;
+
+    const resultCount = command[0]?.query_result_count ?? 0;
+    const quotient = Math.trunc(resultCount / limit);
+    const remainder = resultCount % limit;
+    const totalPages = quotient + (remainder > 0 ? 1 : 0);
+
+    return {
+      ok: true,
+      content: command.map(({ query_result_count, ...health }) => health),
+      pagination: {
+        count: resultCount,
+        page: page < totalPages ? page : totalPages,
+        total: totalPages,
+        limit,
+      },
+    };
+  } catch (err) {
+    return {
+      ok: false,
+      content: "Generic Error",
+      short: "server_error",
+      error: err,
+    };
+  }
+}
+
+/**
+ * @async
+ * @function updatePackageDeprecation
+ * @desc Deprecates a package, or a single version of it, with a message explaining
+ * why. Unlike removing it, a deprecated package or version can still be installed.
+ * @param {string} name - The name of the package.
+ * @param {string|null} version - The semver of the version to deprecate, or null
+ * to deprecate the package as a whole.
+ * @param {string|null} message - The message of the deprecation, or null to
+ * undo the deprecation.
+ * @returns {object} A server status object.
+ */
+async function updatePackageDeprecation(name, version, message) {
+  try {
+    sqlStorage ??= setupSQL();
+
+    const command =
+      version === null
+        ? await sqlStorage`
+          UPDATE packages AS p
+          SET deprecated = ${message}
+          FROM names AS n
+          WHERE n.pointer = p.pointer AND n.name = ${name}
+          RETURNING p.name;
+        `
+        : await sqlStorage`
+          UPDATE versions AS v
+          SET deprecated = ${message}
+          FROM names AS n
+          WHERE n.pointer = v.package AND n.name = ${name}
+          AND v.semver = ${version} AND v.deleted IS FALSE
+          RETURNING v.semver;
+        `;
+
+    return command.count !== 0
+      ? { ok: true, content: command[0] }
+      : {
+          ok: false,
+          content:
+            version === null
+              ? `Package ${name} not found.`
+              : `Package ${name} and Version ${version} not found.`,
+          short: "not_found",
+        };
+  } catch (err) {
+    return {
+      ok: false,
+      content: "Generic Error",
+      short: "server_error",
+      error: err,
+    };
+  }
+}
+
+/**
+ * @async
+ * @function setPackageDistTag
+ * @desc Points a dist-tag of a package to one of its versions, replacing the
+ * version it previously pointed to.
+ * @param {string} name - The name of the package.
+ * @param {string} tag - The dist-tag to set, which can't be `latest`.
+ * @param {string} version - The semver of the version to point the dist-tag to.
+ * @returns {object} A server status object, whose content is every dist-tag of
+ * the package, as returned by `distTagsQuery()`.
+ */
+async function setPackageDistTag(name, tag, version) {
+  sqlStorage ??= setupSQL();
+
+  return await sqlStorage
+    .begin(async (sqlTrans) => {
+      const command = await sqlTrans`
+        SELECT v.package, v.id
+        FROM names AS n
+          INNER JOIN versions AS v ON (n.pointer = v.package AND v.deleted IS FALSE)
+        WHERE n.name = ${name} AND v.semver = ${version};
+      `;
+
+      if (command.count === 0) {
+        return {
+          ok: false,
+          content: `Package ${name} and Version ${version} not found.`,
+          short: "not_found",
+        };
+      }
+
+      await sqlTrans`
+        INSERT INTO dist_tags (package, tag, version)
+        VALUES (${command[0].package}, ${tag}, ${command[0].id})
+        ON CONFLICT (package, tag) DO UPDATE
+        SET version = EXCLUDED.version, updated = CURRENT_TIMESTAMP;
+      `;
+
+      const tags = await distTagsQuery(sqlTrans, command[0].package);
+
+      return { ok: true, content: tags[0].dist_tags };
+    })
+    .catch((err) => {
+      return typeof err === "string"
+        ? { ok: false, content: err, short: "server_error" }
+        : {
+            ok: false,
+            content: `A generic error occurred while setting the ${tag} dist-tag of ${name} package`,
+            short: "server_error",
+            error: err,
+          };
+    });
+}
+
+/**
+ * @async
+ * @function removePackageDistTag
+ * @desc Removes a dist-tag from a package.
+ * @param {string} name - The name of the package.
+ * @param {string} tag - The dist-tag to remove.
+ * @returns {object} A server status object, whose content is every remaining
+ * dist-tag of the package, as returned by `distTagsQuery()`.
+ */
+async function removePackageDistTag(name, tag) {
+  sqlStorage ??= setupSQL();
+
+  return await sqlStorage
+    .begin(async (sqlTrans) => {
+      const command = await sqlTrans`
+        DELETE FROM dist_tags AS dt
+        USING names AS n
+        WHERE n.pointer = dt.package AND n.name = ${name} AND dt.tag = ${tag}
+        RETURNING dt.package;
+      `;
+
+      if (command.count === 0) {
+        return {
+          ok: false,
+          content: `Package ${name} doesn't have the ${tag} dist-tag.`,
+          short: "not_found",
+        };
+      }
+
+      const tags = await distTagsQuery(sqlTrans, command[0].package);
+
+      return { ok: true, content: tags[0].dist_tags };
+    })
+    .catch((err) => {
+      return typeof err === "string"
+        ? { ok: false, content: err, short: "server_error" }
+        : {
+            ok: false,
+            content: `A generic error occurred while removing the ${tag} dist-tag of ${name} package`,
+            short: "server_error",
+            error: err,
+          };
+    });
+}
+
+/**
+ * @async
+ * @function getPackageMaintainers
+ * @desc Gets the maintainers of a package, including those who've been invited
+ * but haven't yet accepted, along with its maintainer policy and the user any
+ * transfer of its ownership is pending for.
+ * @param {string} name - The name of the package.
+ * @returns {object} A server status object.
+ */
+async function getPackageMaintainers(name) {
+  try {
+    sqlStorage ??= setupSQL();
+
+    const command = await sqlStorage`
+      SELECT p.maintainer_policy AS policy, po.username AS pending_owner,
+        COALESCE((
+          SELECT JSONB_AGG(
+            JSONB_BUILD_OBJECT(
+              'username', u.username, 'avatar', u.avatar, 'role', pm.role,
+              'accepted', pm.accepted, 'invited_by', iu.username, 'created', pm.created
+            )
+            ORDER BY pm.role, pm.accepted DESC, u.username
+          )
+          FROM package_maintainers AS pm
+            INNER JOIN users AS u ON pm.userid = u.id
+            LEFT JOIN users AS iu ON pm.invited_by = iu.id
+          WHERE pm.package = p.pointer
+        ), '[]'::jsonb) AS maintainers
+      FROM packages AS p
+        INNER JOIN names AS n ON (p.pointer = n.pointer AND n.name = ${name})
+        LEFT JOIN users AS po ON p.pending_owner = po.id;
+    `;
+
+    return command.count !== 0
+      ? { ok: true, content: command[0] }
+      : {
+          ok: false,
+          content: `Package ${name} not found.`,
+          short: "not_found",
+        };
+  } catch (err) {
+    return {
+      ok: false,
+      content: "Generic Error",
+      short: "server_error",
+      error: err,
+    };
+  }
+}
+
+/**
+ * @async
+ * @function insertPackageMaintainer
+ * @desc Invites a user to maintain a package. They aren't a maintainer until
+ * they accept with `acceptPackageMaintainer()`.
+ * @param {string} name - The name of the package.
+ * @param {int} userid - The ID of the user to invite.
+ * @param {int} invitedBy - The ID of the user sending the invite.
+ * @returns {object} A server status object.
+ */
+async function insertPackageMaintainer(name, userid, invitedBy) {
+  try {
+    sqlStorage ??= setupSQL();
+
+    const command = await sqlStorage`
+      INSERT INTO package_maintainers (package, userid, invited_by)
+      SELECT n.pointer, ${userid}, ${invitedBy}
+      FROM names AS n
+      WHERE n.name = ${name}
+      ON CONFLICT (package, userid) DO NOTHING
+      RETURNING role, accepted;
+    `;
+
+    return command.count !== 0
+      ? { ok: true, content: command[0] }
+      : {
+          ok: false,
+          content: `The user is already a maintainer of, or invited to, package ${name}.`,
+          short: "bad_request",
+        };
+  } catch (err) {
+    return {
+      ok: false,
+      content: "Generic Error",
+      short: "server_error",
+      error: err,
+    };
+  }
+}
+
+/**
+ * @async
+ * @function acceptPackageMaintainer
+ * @desc Accepts the invite of a user to maintain a package.
+ * @param {string} name - The name of the package.
+ * @param {int} userid - The ID of the invited user.
+ * @returns {object} A server status object.
+ */
+async function acceptPackageMaintainer(name, userid) {
+  try {
+    sqlStorage ??= setupSQL();
+
+    const command = await sqlStorage`
+      UPDATE package_maintainers AS pm
+      SET accepted = TRUE, updated = CURRENT_TIMESTAMP
+      FROM names AS n
+      WHERE n.pointer = pm.package AND n.name = ${name}
+      AND pm.userid = ${userid} AND pm.accepted IS FALSE
+      RETURNING pm.role, pm.accepted;
+    `;
+
+    return command.count !== 0
+      ? { ok: true, content: command[0] }
+      : {
+          ok: false,
+          content: `No invite to maintain package ${name} was found.`,
+          short: "not_found",
+        };
+  } catch (err) {
+    return {
+      ok: false,
+      content: "Generic Error",
+      short: "server_error",
+      error: err,
+    };
+  }
+}
+
+/**
+ * @async
+ * @function removePackageMaintainer
+ * @desc Removes a maintainer of a package, or cancels their invite. The owner
+ * of a package can't be removed, only replaced by transferring the package.
+ * @param {string} name - The name of the package.
+ * @param {int} userid - The ID of the maintainer.
+ * @returns {object} A server status object.
+ */
+async function removePackageMaintainer(name, userid) {
+  try {
+    sqlStorage ??= setupSQL();
+
+    const command = await sqlStorage`
+      DELETE FROM package_maintainers AS pm
+      USING names AS n
+      WHERE n.pointer = pm.package AND n.name = ${name}
+      AND pm.userid = ${userid} AND pm.role = 'maintainer'
+      RETURNING pm.accepted;
+    `;
+
+    return command.count !== 0
+      ? { ok: true, content: command[0] }
+      : {
+          ok: false,
+          content: `The user isn't a maintainer of package ${name}.`,
+          short: "not_found",
+        };
+  } catch (err) {
+    return {
+      ok: false,
+      content: "Generic Error",
+      short: "server_error",
+      error: err,
+    };
+  }
+}
+
+/**
+ * @async
+ * @function updatePackagePendingOwner
+ * @desc Offers the ownership of a package to a user, replacing any previous
+ * offer. The package is only transferred once they accept with
+ * `acceptPackageOwnership()`.
+ * @param {string} name - The name of the package.
+ * @param {int} userid - The ID of the user to offer the package to.
+ * @returns {object} A server status object.
+ */
+async function updatePackagePendingOwner(name, userid) {
+  try {
+    sqlStorage ??= setupSQL();
+
+    const command = await sqlStorage`
+      UPDATE packages AS p
+      SET pending_owner = ${userid}
+      FROM names AS n
+      WHERE n.pointer = p.pointer AND n.name = ${name}
+      RETURNING p.name;
+    `;
+
+    return command.count !== 0
+      ? { ok: true, content: command[0] }
+      : {
+          ok: false,
+          content: `Package ${name} not found.`,
+          short: "not_found",
+        };
+  } catch (err) {
+    return {
+      ok: false,
+      content: "Generic Error",
+      short: "server_error",
+      error: err,
+    };
+  }
+}
+
+/**
+ * @async
+ * @function acceptPackageOwnership
+ * @desc Completes the transfer of a package to the user it was offered to,
+ * making them its owner. The previous owner, if any, remains a maintainer.
+ * @param {string} name - The name of the package.
+ * @param {int} userid - The ID of the user the package was offered to.
+ * @returns {object} A server status object.
+ */
+async function acceptPackageOwnership(name, userid) {
+  sqlStorage ??= setupSQL();
+
+  return await sqlStorage
+    .begin(async (sqlTrans) => {
+      const command = await sqlTrans`
+        SELECT p.pointer
+        FROM packages AS p
+          INNER JOIN names AS n ON p.pointer = n.pointer
+        WHERE n.name = ${name} AND p.pending_owner = ${userid}
+        FOR UPDATE OF p;
+      `;
+
+      if (command.count === 0) {
+        return {
+          ok: false,
+          content: `No transfer of package ${name} is pending for the user.`,
+          short: "not_found",
+        };
+      }
+
+      const pointer = command[0].pointer;
+
+      await sqlTrans`
+        UPDATE package_maintainers
+        SET role = 'maintainer', updated = CURRENT_TIMESTAMP
+        WHERE package = ${pointer} AND role = 'owner';
+      `;
+
+      const owner = await sqlTrans`
+        INSERT INTO package_maintainers (package, userid, role, accepted)
+        VALUES (${pointer}, ${userid}, 'owner', TRUE)
+        ON CONFLICT (package, userid) DO UPDATE
+        SET role = 'owner', accepted = TRUE, updated = CURRENT_TIMESTAMP
+        RETURNING role, accepted;
+      `;
+
+      await sqlTrans`
+        UPDATE packages
+        SET pending_owner = NULL
+        WHERE pointer = ${pointer};
+      `;
+
+      return { ok: true, content: owner[0] };
+    })
+    .catch((err) => {
+      return typeof err === "string"
+        ? { ok: false, content: err, short: "server_error" }
+        : {
+            ok: false,
+            content: `A generic error occurred while transferring ${name} package`,
+            short: "server_error",
+            error: err,
+          };
+    });
+}
+
+/**
+ * @async
+ * @function updatePackageMaintainerPolicy
+ * @desc Sets who may publish and delete a package. Either only users with write
+ * access to its repository (`vcs`), only its maintainers (`registry`), or
+ * both (`either`).
+ * @param {string} name - The name of the package.
+ * @param {string} policy - The maintainer policy.
+ * @returns {object} A server status object.
+ */
+async function updatePackageMaintainerPolicy(name, policy) {
+  try {
+    sqlStorage ??= setupSQL();
+
+    const command = await sqlStorage`
+      UPDATE packages AS p
+      SET maintainer_policy = ${policy}
+      FROM names AS n
+      WHERE n.pointer = p.pointer AND n.name = ${name}
+      RETURNING p.maintainer_policy AS policy;
+    `;
+
+    return command.count !== 0
+      ? { ok: true, content: command[0] }
+      : {
+          ok: false,
+          content: `Package ${name} not found.`,
+          short: "not_found",
+        };
+  } catch (err) {
+    return {
+      ok: false,
+      content: "Generic Error",
+      short: "server_error",
+      error: err,
+    };
+  }
+}
+
+/**
+ * @async
+ * @function getOrgByName
+ * @desc Gets the profile of an org, along with how many members and packages
+ * it has.
+ * @param {string} name - The name of the org.
+ * @returns {object} A server status object.
+ */
+async function getOrgByName(name) {
+  try {
+    sqlStorage ??= setupSQL();
+
+    const command = await sqlStorage`
+      SELECT o.name, o.description, o.avatar, o.created, o.updated,
+        (SELECT COUNT(*) FROM org_members AS om WHERE om.org = o.id)::int AS members,
+        (SELECT COUNT(*) FROM packages AS p WHERE p.org = o.id)::int AS packages
+      FROM orgs AS o
+      WHERE o.name = ${name};
+    `;
+
+    return command.count !== 0
+      ? { ok: true, content: command[0] }
+      : {
+          ok: false,
+          content: `Org ${name} not found.`,
+          short: "not_found",
+        };
+  } catch (err) {
+    return {
+      ok: false,
+      content: "Generic Error",
+      short: "server_error",
+      error: err,
+    };
+  }
+}
+
+/**
+ * @async
+ * @function insertOrg
+ * @desc Creates a new org, with the user creating it as its owner.
+ * @param {string} name - The name of the org.
+ * @param {int} userid - The ID of the user creating the org.
+ * @param {object} profile - The `description` and `avatar` of the org, either
+ * of which may be null.
+ * @returns {object} A server status object.
+ */
+async function insertOrg(name, userid, profile) {
+  sqlStorage ??= setupSQL();
+
+  return await sqlStorage
+    .begin(async (sqlTrans) => {
+      let org = {};
+      try {
+        org = await sqlTrans`
+          INSERT INTO orgs (name, description, avatar)
+          VALUES (${name}, ${profile.description || null}, ${
+          profile.avatar || null
+        })
+          RETURNING id, name, description, avatar, created, updated;
+        `;
+      } catch (e) {
+        throw `A constraint has been violated while inserting ${name} in orgs table`;
+      }
+
+      const { id, ...content } = org[0];
+
+      await sqlTrans`
+        INSERT INTO org_members (org, userid, role)
+        VALUES (${id}, ${userid}, 'owner');
+      `;
+
+      return { ok: true, content: { ...content, members: 1, packages: 0 } };
+    })
+    .catch((err) => {
+      return typeof err === "string"
+        ? { ok: false, content: err, short: "server_error" }
+        : {
+            ok: false,
+            content: `A generic error occurred while inserting ${name} org`,
+            short: "server_error",
+            error: err,
+          };
+    });
+}
+
+/**
+ * @async
+ * @function updateOrg
+ * @desc Updates the profile of an org. An empty value removes that part of the
+ * profile, while a null value leaves it unchanged.
+ * @param {string} name - The name of the org.
+ * @param {object} profile - The `description` and `avatar` of the org.
+ * @returns {object} A server status object.
+ */
+async function updateOrg(name, profile) {
+  try {
+    sqlStorage ??= setupSQL();
+
+    const command = await sqlStorage`
+      UPDATE orgs
+      SET description = CASE WHEN ${profile.description}::text IS NULL THEN description
+          ELSE NULLIF(${profile.description}::text, '') END,
+        avatar = CASE WHEN ${profile.avatar}::text IS NULL THEN avatar
+          ELSE NULLIF(${profile.avatar}::text, '') END,
+        updated = CURRENT_TIMESTAMP
+      WHERE name = ${name}
+      RETURNING name;
+    `;
+
+    if (command.count === 0) {
+      return {
+        ok: false,
+        content: `Org ${name} not found.`,
+        short: "not_found",
+      };
+    }
+
+    return await getOrgByName(name);
+  } catch (err) {
+    return {
+      ok: false,
+      content: "Generic Error",
+      short: "server_error",
+      error: err,
+    };
+  }
+}
+
+/**
+ * @async
+ * @function getOrgMembers
+ * @desc Gets the members of an org, owners first.
+ * @param {string} name - The name of the org.
+ * @returns {object} A server status object.
+ */
+async function getOrgMembers(name) {
+  try {
+    sqlStorage ??= setupSQL();
+
+    const command = await sqlStorage`
+      SELECT o.id, u.username, u.avatar, om.role, om.created
+      FROM orgs AS o
+        LEFT JOIN org_members AS om ON om.org = o.id
+        LEFT JOIN users AS u ON om.userid = u.id
+      WHERE o.name = ${name}
+      ORDER BY om.role, u.username;
+    `;
+
+    if (command.count === 0) {
+      return {
+        ok: false,
+        content: `Org ${name} not found.`,
+        short: "not_found",
+      };
+    }
+
+    return {
+      ok: true,
+      content: command
+        .filter((m) => m.username !== null)
+        .map(({ id, ...member }) => member),
+    };
+  } catch (err) {
+    return {
+      ok: false,
+      content: "Generic Error",
+      short: "server_error",
+      error: err,
+    };
+  }
+}
+
+/**
+ * @async
+ * @function setOrgMember
+ * @desc Adds a member to an org, or changes the role of an existing member.
+ * An org must always keep at least one owner.
+ * @param {string} name - The name of the org.
+ * @param {int} userid - The ID of the member.
+ * @param {string} role - The role of the member, as in `auth.ORG_ROLES`.
+ * @returns {object} A server status object.
+ */
+async function setOrgMember(name, userid, role) {
+  sqlStorage ??= setupSQL();
+
+  return await sqlStorage
+    .begin(async (sqlTrans) => {
+      const org = await sqlTrans`
+        SELECT o.id,
+          (SELECT COUNT(*) FROM org_members AS om
+            WHERE om.org = o.id AND om.role = 'owner' AND om.userid <> ${userid})::int AS other_owners
+        FROM orgs AS o
+        WHERE o.name = ${name}
+        FOR UPDATE;
+      `;
+
+      if (org.count === 0) {
+        return {
+          ok: false,
+          content: `Org ${name} not found.`,
+          short: "not_found",
+        };
+      }
+
+      if (role !== "owner" && org[0].other_owners === 0) {
+        return {
+          ok: false,
+          content: `Org ${name} must keep at least one owner.`,
+          short: "bad_request",
+        };
+      }
+
+      const member = await sqlTrans`
+        INSERT INTO org_members (org, userid, role)
+        VALUES (${org[0].id}, ${userid}, ${role})
+        ON CONFLICT (org, userid) DO UPDATE SET role = ${role}
+        RETURNING role, created;
+      `;
+
+      return { ok: true, content: member[0] };
+    })
+    .catch((err) => {
+      return typeof err === "string"
+        ? { ok: false, content: err, short: "server_error" }
+        : {
+            ok: false,
+            content: `A generic error occurred while setting a member of ${name} org`,
+            short: "server_error",
+            error: err,
+          };
+    });
+}
+
+/**
+ * @async
+ * @function removeOrgMember
+ * @desc Removes a member from an org. The last owner of an org can't be removed.
+ * @param {string} name - The name of the org.
+ * @param {int} userid - The ID of the member.
+ * @returns {object} A server status object.
+ */
+async function removeOrgMember(name, userid) {
+  sqlStorage ??= setupSQL();
+
+  return await sqlStorage
+    .begin(async (sqlTrans) => {
+      const org = await sqlTrans`
+        SELECT o.id,
+          (SELECT COUNT(*) FROM org_members AS om
+            WHERE om.org = o.id AND om.role = 'owner' AND om.userid <> ${userid})::int AS other_owners
+        FROM orgs AS o
+        WHERE o.name = ${name}
+        FOR UPDATE;
+      `;
+
+      if (org.count === 0) {
+        return {
+          ok: false,
+          content: `Org ${name} not found.`,
+          short: "not_found",
+        };
+      }
+
+      if (org[0].other_owners === 0) {
+        return {
+          ok: false,
+          content: `Org ${name} must keep at least one owner.`,
+          short: "bad_request",
+        };
+      }
+
+      const command = await sqlTrans`
+        DELETE FROM org_members
+        WHERE org = ${org[0].id} AND userid = ${userid}
+        RETURNING role;
+      `;
+
+      return command.count !== 0
+        ? { ok: true, content: command[0] }
+        : {
+            ok: false,
+            content: `The user isn't a member of org ${name}.`,
+            short: "not_found",
+          };
+    })
+    .catch((err) => {
+      return typeof err === "string"
+        ? { ok: false, content: err, short: "server_error" }
+        : {
+            ok: false,
+            content: `A generic error occurred while removing a member of ${name} org`,
+            short: "server_error",
+            error: err,
+          };
+    });
+}
+
+/**
+ * @async
+ * @function insertPackageOrg
+ * @desc Assigns a package to an org, replacing any org it was assigned to.
+ * @param {string} name - The name of the package.
+ * @param {string} org - The name of the org.
+ * @returns {object} A server status object.
+ */
+async function insertPackageOrg(name, org) {
+  try {
+    sqlStorage ??= setupSQL();
+
+    const command = await sqlStorage`
+      UPDATE packages AS p
+      SET org = o.id
+      FROM names AS n, orgs AS o
+      WHERE n.pointer = p.pointer AND n.name = ${name} AND o.name = ${org}
+      RETURNING p.name;
+    `;
+
+    return command.count !== 0
+      ? { ok: true, content: command[0] }
+      : {
+          ok: false,
+          content: `Package ${name} or Org ${org} not found.`,
+          short: "not_found",
+        };
+  } catch (err) {
+    return {
+      ok: false,
+      content: "Generic Error",
+      short: "server_error",
+      error: err,
+    };
+  }
+}
+
+/**
+ * @async
+ * @function removePackageOrg
+ * @desc Removes a package from the org it's assigned to.
+ * @param {string} name - The name of the package.
+ * @param {string} org - The name of the org.
+ * @returns {object} A server status object.
+ */
+async function removePackageOrg(name, org) {
+  try {
+    sqlStorage ??= setupSQL();
+
+    const command = await sqlStorage`
+      UPDATE packages AS p
+      SET org = NULL
+      FROM names AS n, orgs AS o
+      WHERE n.pointer = p.pointer AND n.name = ${name}
+      AND o.name = ${org} AND p.org = o.id
+      RETURNING p.name;
+    `;
+
+    return command.count !== 0
+      ? { ok: true, content: command[0] }
+      : {
+          ok: false,
+          content: `Package ${name} isn't assigned to Org ${org}.`,
+          short: "not_found",
+        };
+  } catch (err) {
+    return {
+      ok: false,
+      content: "Generic Error",
+      short: "server_error",
+      error: err,
+    };
+  }
+}
+
+/**
+ * @async
+ * @function insertWebhook
+ * @desc Registers a new webhook subscription for a user.
+ * @param {int} userId - The ID of the user the webhook belongs to.
+ * @param {object} webhook - The `url`, `events`, `package`, and `owner` of the
+ * webhook. The `package` and `owner` are null when not limited to either.
+ * @param {string} secret - The secret every payload is signed with.
+ * @returns {object} A server status object, whose content is the new webhook,
+ * without its secret.
+ */
+async function insertWebhook(userId, webhook, secret) {
+  try {
+    sqlStorage ??= setupSQL();
+
+    const command = await sqlStorage`
+      INSERT INTO webhooks (userid, url, secret, events, package, owner)
+      VALUES (${userId}, ${webhook.url}, ${secret}, ${webhook.events}::webhookEvent[],
+        ${webhook.package}, ${webhook.owner})
+      RETURNING id, url, events::text[] AS events, package, owner, active, created, updated;
+    `;
+
+    return command.count !== 0
+      ? { ok: true, content: command[0] }
+      : {
+          ok: false,
+          content: `Unable to create a webhook for user: ${userId}`,
+          short: "server_error",
+        };
+  } catch (err) {
+    return {
+      ok: false,
+      content: "Generic Error",
+      short: "server_error",
+      error: err,
+    };
+  }
+}
+
+/**
+ * @async
+ * @function getUserWebhooks
+ * @desc Lists all webhooks registered by a user. The secret of each webhook is
+ * never returned.
+ * @param {int} userId - The ID of the user.
+ * @returns {object} A server status object, whose content is an array of webhooks.
+ */
+async function getUserWebhooks(userId) {
+  try {
+    sqlStorage ??= setupSQL();
+
+    const command = await sqlStorage`
+      SELECT id, url, events::text[] AS events, package, owner, active, created, updated
+      FROM webhooks
+      WHERE userid = ${userId}
+      ORDER BY created DESC;
+    `;
+
+    return { ok: true, content: Array.from(command) };
+  } catch (err) {
+    return {
+      ok: false,
+      content: "Generic Error",
+      short: "server_error",
+      error: err,
+    };
+  }
+}
+
+/**
+ * @async
+ * @function getUserWebhookById
+ * @desc Gets a single webhook, which must belong to the provided user.
+ * @param {int} userId - The ID of the user.
+ * @param {int} webhookId - The ID of the webhook.
+ * @returns {object} A server status object.
+ */
+async function getUserWebhookById(userId, webhookId) {
+  try {
+    sqlStorage ??= setupSQL();
+
+    const command = await sqlStorage`
+      SELECT id, url, events::text[] AS events, package, owner, active, created, updated
+      FROM webhooks
+      WHERE id = ${webhookId} AND userid = ${userId};
+    `;
+
+    return command.count !== 0
+      ? { ok: true, content: command[0] }
+      : {
+          ok: false,
+          content: `Webhook ${webhookId} not found.`,
+          short: "not_found",
+        };
+  } catch (err) {
+    return {
+      ok: false,
+      content: "Generic Error",
+      short: "server_error",
+      error: err,
+    };
+  }
+}
+
+/**
+ * @async
+ * @function updateUserWebhook
+ * @desc Updates the `url`, `events`, or `active` state of a webhook, which must
+ * belong to the provided user. Any of them that are null are left unchanged.
+ * @param {int} userId - The ID of the user.
+ * @param {int} webhookId - The ID of the webhook.
+ * @param {object} changes - The `url`, `events`, and `active` state to set.
+ * @returns {object} A server status object, whose content is the updated webhook.
+ */
+async function updateUserWebhook(userId, webhookId, changes) {
+  try {
+    sqlStorage ??= setupSQL();
+
+    const command = await sqlStorage`
+      UPDATE webhooks
+      SET url = COALESCE(${changes.url}::text, url),
+        events = COALESCE(${changes.events}::webhookEvent[], events),
+        active = COALESCE(${changes.active}::boolean, active),
+        updated = CURRENT_TIMESTAMP
+      WHERE id = ${webhookId} AND userid = ${userId}
+      RETURNING id, url, events::text[] AS events, package, owner, active, created, updated;
+    `;
+
+    return command.count !== 0
+      ? { ok: true, content: command[0] }
+      : {
+          ok: false,
+          content: `Webhook ${webhookId} not found.`,
+          short: "not_found",
+        };
+  } catch (err) {
+    return {
+      ok: false,
+      content: "Generic Error",
+      short: "server_error",
+      error: err,
+    };
+  }
+}
+
+/**
+ * @async
+ * @function removeUserWebhook
+ * @desc Removes a webhook, along with its delivery history. The webhook must
+ * belong to the provided user.
+ * @param {int} userId - The ID of the user.
+ * @param {int} webhookId - The ID of the webhook.
+ * @returns {object} A server status object.
+ */
+async function removeUserWebhook(userId, webhookId) {
+  try {
+    sqlStorage ??= setupSQL();
+
+    const command = await sqlStorage`
+      DELETE FROM webhooks
+      WHERE id = ${webhookId} AND userid = ${userId}
+      RETURNING id;
+    `;
+
+    return command.count !== 0
+      ? { ok: true, content: `Successfully removed webhook ${webhookId}.` }
+      : {
+          ok: false,
+          content: `Webhook ${webhookId} not found.`,
+          short: "not_found",
+        };
+  } catch (err) {
+    return {
+      ok: false,
+      content: "Generic Error",
+      short: "server_error",
+      error: err,
+    };
+  }
+}
+
+/**
+ * @async
+ * @function getWebhookDeliveries
+ * @desc Returns the delivery history of a webhook, most recent first. The
+ * webhook must belong to the provided user.
+ * @param {int} userId - The ID of the user.
+ * @param {int} webhookId - The ID of the webhook.
+ * @param {int} page - The page of results to return.
+ * @returns {object} A server status object, whose content is the delivery history.
+ */
+async function getWebhookDeliveries(userId, webhookId, page) {
+  try {
+    sqlStorage ??= setupSQL();
+
+    const limit = paginated_amount;
+    const offset = page > 1 ? (page - 1) * limit : 0;
+
+    const webhook = await sqlStorage`
+      SELECT id FROM webhooks
+      WHERE id = ${webhookId} AND userid = ${userId};
+    `;
+
+    if (webhook.count === 0) {
+      return {
+        ok: false,
+        content: `Webhook ${webhookId} not found.`,
+        short: "not_found",
+      };
+    }
+
+    const command = await sqlStorage`
+      SELECT id, event, payload, state, attempts, next_attempt, status, error,
+        duration, created, updated,
+        COUNT(*) OVER() AS query_result_count
+      FROM webhook_deliveries
+      WHERE webhook = ${webhookId}
+      ORDER BY created DESC
+      LIMIT ${limit}
+      OFFSET ${offset};
+    `;
+
+    const resultCount = command[0]?.query_result_count ?? 0;
+    const quotient = Math.trunc(resultCount / limit);
+    const remainder = resultCount % limit;
+    const totalPages = quotient + (remainder > 0 ? 1 : 0);
+
+    return {
+      ok: true,
+      content: command.map(({ query_result_count, ...delivery }) => delivery),
+      pagination: {
+        count: resultCount,
+        page: page < totalPages ? page : totalPages,
+        total: totalPages,
+        limit,
+      },
+    };
+  } catch (err) {
+    return {
+      ok: false,
+      content: "Generic Error",
+      short: "server_error",
+      error: err,
+    };
+  }
+}
+
+/**
+ * @async
+ * @function getWebhooksForEvent
+ * @desc Finds the active webhooks subscribed to an event of a package. Those
+ * limited to a package or owner only match that package or owner.
+ * @param {string} event - The event, as in `webhook.WEBHOOK_EVENTS`.
+ * @param {string} name - The name of the package.
+ * @param {string|null} owner - The owner of the package. When null, the owner
+ * of the package as currently published is used.
+ * @returns {object} A server status object, whose content is an array of
+ * webhooks, including their secrets.
+ */
+async function getWebhooksForEvent(event, name, owner) {
+  try {
+    sqlStorage ??= setupSQL();
+
+    const command = await sqlStorage`
+      SELECT w.id, w.url, w.secret
+      FROM webhooks AS w
+      WHERE w.active IS TRUE AND ${event}::webhookEvent = ANY(w.events)
+      AND (w.package IS NULL OR w.package = ${name})
+      AND (w.owner IS NULL OR w.owner = COALESCE(${owner}::text, (
+        SELECT p.owner FROM packages AS p
+          INNER JOIN names AS n ON n.pointer = p.pointer
+        WHERE n.name = ${name}
+      )));
+    `;
+
+    return { ok: true, content: Array.from(command) };
+  } catch (err) {
+    return {
+      ok: false,
+      content: "Generic Error",
+      short: "server_error",
+      error: err,
+    };
+  }
+}
+
+/**
+ * @async
+ * @function insertWebhookDelivery
+ * @desc Queues a delivery of an event, to either a webhook or a built-in
+ * subscriber. It's attempted once due, by `webhook.processQueue()`.
+ * @param {object} delivery - The delivery, with its `id`, `event`, `payload`,
+ * and either the `webhook` ID or the name of the built-in `subscriber`.
+ * @returns {object} A server status object.
+ */
+async function insertWebhookDelivery(delivery) {
+  try {
+    sqlStorage ??= setupSQL();
+
+    const command = await sqlStorage`
+      INSERT INTO webhook_deliveries (id, webhook, subscriber, event, payload)
+      VALUES (${delivery.id}, ${delivery.webhook ?? null}, ${
+      delivery.subscriber ?? null
+    }, ${delivery.event}, ${delivery.payload})
+      RETURNING id;
+    `;
+
+    return { ok: true, content: command[0] };
+  } catch (err) {
+    return {
+      ok: false,
+      content: "Generic Error",
+      short: "server_error",
+      error: err,
+    };
+  }
+}
+
+/**
+ * @async
+ * @function claimWebhookDeliveries
+ * @desc Claims the pending deliveries that are due, oldest first, by pushing
+ * back their next attempt for the length of the lease. So that no other worker
+ * attempts them meanwhile, while they're still retried if this worker never
+ * records their outcome. Deliveries to inactive webhooks are left queued.
+ * @param {int} limit - The most deliveries to claim.
+ * @param {int} lease - The milliseconds the deliveries are claimed for.
+ * @returns {object} A server status object, whose content is an array of the
+ * deliveries, along with the `url` and `secret` of their webhook, if any.
+ */
+async function claimWebhookDeliveries(limit, lease) {
+  try {
+    sqlStorage ??= setupSQL();
+
+    const command = await sqlStorage`
+      WITH due AS (
+        SELECT d.id FROM webhook_deliveries AS d
+          LEFT JOIN webhooks AS w ON w.id = d.webhook
+        WHERE d.state = 'pending' AND d.next_attempt <= CURRENT_TIMESTAMP
+        AND (d.webhook IS NULL OR w.active IS TRUE)
+        ORDER BY d.next_attempt
+        LIMIT ${limit}
+        FOR UPDATE OF d SKIP LOCKED
+      ), claimed AS (
+        UPDATE webhook_deliveries AS d
+        SET next_attempt = CURRENT_TIMESTAMP + ${lease} * INTERVAL '1 millisecond'
+        FROM due
+        WHERE d.id = due.id
+        RETURNING d.id, d.webhook, d.subscriber, d.event, d.payload, d.attempts
+      )
+      SELECT c.*, w.url, w.secret
+      FROM claimed AS c
+        LEFT JOIN webhooks AS w ON w.id = c.webhook
+      ORDER BY c.attempts, c.id;
+    `;
+
+    return { ok: true, content: Array.from(command) };
+  } catch (err) {
+    return {
+      ok: false,
+      content: "Generic Error",
+      short: "server_error",
+      error: err,
+    };
+  }
+}
+
+/**
+ * @async
+ * @function updateWebhookDelivery
+ * @desc Records the outcome of an attempt of a delivery.
+ * @param {string} id - The ID of the delivery.
+ * @param {object} attempt - The `state` of the delivery after the attempt, the
+ * `status`, `error`, and `duration` of the attempt, and the `delay` in
+ * milliseconds until the next attempt, if still pending.
+ * @returns {object} A server status object, whose content is the `state` and
+ * `attempts` of the delivery.
+ */
+async function updateWebhookDelivery(id, attempt) {
+  try {
+    sqlStorage ??= setupSQL();
+
+    const command = await sqlStorage`
+      UPDATE webhook_deliveries
+      SET state = ${attempt.state}, attempts = attempts + 1,
+        status = ${attempt.status}, error = ${attempt.error},
+        duration = ${attempt.duration},
+        next_attempt = CURRENT_TIMESTAMP + ${
+          attempt.delay ?? 0
+        } * INTERVAL '1 millisecond',
+        updated = CURRENT_TIMESTAMP
+      WHERE id = ${id}
+      RETURNING state, attempts;
+    `;
+
+    return command.count !== 0
+      ? { ok: true, content: command[0] }
+      : {
+          ok: false,
+          content: `Delivery ${id} not found.`,
+          short: "not_found",
+        };
+  } catch (err) {
+    return {
+      ok: false,
+      content: "Generic Error",
+      short: "server_error",
+      error: err,
+    };
+  }
+}
+
+/**
+ * @async
+ * @function getWebhookDeliveriesByState
+ * @desc Returns the deliveries of every webhook and built-in subscriber in a
+ * state, most recently updated first.
+ * @param {string} state - The state, either `pending`, `delivered`, or `dead`.
+ * @param {int} page - The page of results to return.
+ * @returns {object} A server status object, whose content is the deliveries.
+ */
+async function getWebhookDeliveriesByState(state, page) {
+  try {
+    sqlStorage ??= setupSQL();
+
+    const limit = paginated_amount;
+    const offset = page > 1 ? (page - 1) * limit : 0;
+
+    const command = await sqlStorage`
+      SELECT d.id, d.webhook, d.subscriber, u.username AS user, w.url,
+        d.event, d.payload, d.state, d.attempts, d.next_attempt, d.status,
+        d.error, d.duration, d.created, d.updated,
+        COUNT(*) OVER() AS query_result_count
+      FROM webhook_deliveries AS d
+        LEFT JOIN webhooks AS w ON w.id = d.webhook
+        LEFT JOIN users AS u ON u.id = w.userid
+      WHERE d.state = ${state}
+      ORDER BY d.updated DESC
+      LIMIT ${limit}
+      OFFSET ${offset};
+    `;
+
+    const resultCount = command[0]?.query_result_count ?? 0;
+    const quotient = Math.trunc(resultCount / limit);
+    const remainder = resultCount % limit;
+    const totalPages = quotient + (remainder > 0 ? 1 : 0);
+
+    return {
+      ok: true,
+      content: command.map(({ query_result_count, ...delivery }) => delivery),
+      pagination: {
+        count: resultCount,
+        page: page < totalPages ? page : totalPages,
+        total: totalPages,
+        limit,
+      },
+    };
+  } catch (err) {
+    return {
+      ok: false,
+      content: "Generic Error",
+      short: "server_error",
+      error: err,
+    };
+  }
+}
+
+/**
+ * @async
+ * @function redeliverWebhookDelivery
+ * @desc Queues a delivery to be attempted again straight away, with its attempts
+ * reset, recording the admin action. A delivery still pending can't be
+ * redelivered.
+ * @param {string} id - The ID of the delivery.
+ * @param {object} admin - The `userid` of the admin, and their optional `reason`.
+ * @returns {object} A server status object, whose content is the recorded action.
+ */
+async function redeliverWebhookDelivery(id, admin) {
+  sqlStorage ??= setupSQL();
+
+  return await sqlStorage
+    .begin(async (sqlTrans) => {
+      const delivery = await sqlTrans`
+        SELECT id, webhook, subscriber, event, state FROM webhook_deliveries
+        WHERE id = ${id}
+        FOR UPDATE;
+      `;
+
+      if (delivery.count === 0) {
+        return {
+          ok: false,
+          content: `Delivery ${id} not found.`,
+          short: "not_found",
+        };
+      }
+
+      if (delivery[0].state === "pending") {
+        return {
+          ok: false,
+          content: `Delivery ${id} is still pending.`,
+          short: "bad_request",
+        };
+      }
+
+      await sqlTrans`
+        UPDATE webhook_deliveries
+        SET state = 'pending', attempts = 0,
+          next_attempt = CURRENT_TIMESTAMP, updated = CURRENT_TIMESTAMP
+        WHERE id = ${id};
+      `;
+
+      const action = await recordAdminAction(sqlTrans, {
+        action: "redeliver_webhook",
+        userid: admin.userid,
+        reason: admin.reason,
+        details: {
+          delivery: id,
+          event: delivery[0].event,
+          webhook: delivery[0].webhook,
+          subscriber: delivery[0].subscriber,
+          state: delivery[0].state,
+        },
+      });
+
+      return { ok: true, content: action };
+    })
+    .catch((err) => {
+      return typeof err === "string"
+        ? { ok: false, content: err, short: "server_error" }
+        : {
+            ok: false,
+            content: `A generic error occurred while redelivering ${id}`,
+            short: "server_error",
+            error: err,
+          };
+    });
+}
+
+/**
+ * @async
+ * @function setPublishHook
+ * @desc Enables the publish hook of a package, allowing GitHub webhooks to
+ * publish its new versions as the provided user. If already enabled, the hook
+ * is given to the user along with a new secret.
+ * @param {string} name - The name of the package.
+ * @param {int} userId - The ID of the user versions are published as.
+ * @param {string} secret - The secret deliveries must be signed with.
+ * @returns {object} A server status object, whose content is the hook, without
+ * its secret.
+ */
+async function setPublishHook(name, userId, secret) {
+  try {
+    sqlStorage ??= setupSQL();
+
+    const command = await sqlStorage`
+      WITH hook AS (
+        INSERT INTO publish_hooks (package, userid, secret)
+        SELECT n.pointer, ${userId}, ${secret}
+        FROM names AS n
+          INNER JOIN packages AS p ON p.pointer = n.pointer
+        WHERE n.name = ${name}
+        ON CONFLICT (package) DO UPDATE
+        SET userid = EXCLUDED.userid, secret = EXCLUDED.secret,
+          updated = CURRENT_TIMESTAMP
+        RETURNING userid, last_delivery, created, updated
+      )
+      SELECT ${name}::TEXT AS package, u.username AS user, h.last_delivery,
+        h.created, h.updated
+      FROM hook AS h
+        INNER JOIN users AS u ON u.id = h.userid;
+    `;
+
+    return command.count !== 0
+      ? { ok: true, content: command[0] }
+      : {
+          ok: false,
+          content: `Package ${name} not found.`,
+          short: "not_found",
+        };
+  } catch (err) {
+    return {
+      ok: false,
+      content: "Generic Error",
+      short: "server_error",
+      error: err,
+    };
+  }
+}
+
+/**
+ * @async
+ * @function getPublishHook
+ * @desc Gets the publish hook of a package, including its secret, which must be
+ * kept from being returned to users.
+ * @param {string} name - The name of the package.
+ * @returns {object} A server status object, whose content is the hook, along with
+ * the `userid` and `user` that versions are published as.
+ */
+async function getPublishHook(name) {
+  try {
+    sqlStorage ??= setupSQL();
+
+    const command = await sqlStorage`
+      SELECT n.name AS package, h.userid, u.username AS user, h.secret,
+        h.last_delivery, h.created, h.updated
+      FROM publish_hooks AS h
+        INNER JOIN names AS n ON n.pointer = h.package
+        INNER JOIN users AS u ON u.id = h.userid
+      WHERE n.name = ${name};
+    `;
+
+    return command.count !== 0
+      ? { ok: true, content: command[0] }
+      : {
+          ok: false,
+          content: `Package ${name} has no publish hook.`,
+          short: "not_found",
+        };
+  } catch (err) {
+    return {
+      ok: false,
+      content: "Generic Error",
+      short: "server_error",
+      error: err,
+    };
+  }
+}
+
+/**
+ * @async
+ * @function updatePublishHookDelivery
+ * @desc Records when the publish hook of a package last received a verified
+ * delivery, so its owners can tell it's set up correctly.
+ * @param {string} name - The name of the package.
+ * @returns {object} A server status object.
+ */
+async function updatePublishHookDelivery(name) {
+  try {
+    sqlStorage ??= setupSQL();
+
+    const command = await sqlStorage`
+      UPDATE publish_hooks AS h
+      SET last_delivery = CURRENT_TIMESTAMP
+      FROM names AS n
+      WHERE n.pointer = h.package AND n.name = ${name}
+      RETURNING h.last_delivery;
+    `;
+
+    return command.count !== 0
+      ? { ok: true, content: command[0] }
+      : {
+          ok: false,
+          content: `Package ${name} has no publish hook.`,
+          short: "not_found",
+        };
+  } catch (err) {
+    return {
+      ok: false,
+      content: "Generic Error",
+      short: "server_error",
+      error: err,
+    };
+  }
+}
+
+/**
+ * @async
+ * @function removePublishHook
+ * @desc Disables the publish hook of a package.
+ * @param {string} name - The name of the package.
+ * @returns {object} A server status object.
+ */
+async function removePublishHook(name) {
+  try {
+    sqlStorage ??= setupSQL();
+
+    const command = await sqlStorage`
+      DELETE FROM publish_hooks AS h
+      USING names AS n
+      WHERE n.pointer = h.package AND n.name = ${name}
+      RETURNING h.package;
+    `;
+
+    return command.count !== 0
+      ? { ok: true, content: `Disabled the publish hook of ${name}.` }
+      : {
+          ok: false,
+          content: `Package ${name} has no publish hook.`,
+          short: "not_found",
+        };
+  } catch (err) {
+    return {
+      ok: false,
+      content: "Generic Error",
+      short: "server_error",
+      error: err,
+    };
+  }
+}
+
 module.exports = {
   shutdownSQL,
   packageNameAvailability,
@@ -1835,6 +4959,7 @@ module.exports = {
   updatePackageDecrementDownloadByName,
   getFeaturedThemes,
   simpleSearch,
+  getSearchSuggestions,
   updateIncrementStar,
   updateDecrementStar,
   insertNewUser,
@@ -1843,4 +4968,57 @@ module.exports = {
   authStoreStateKey,
   authCheckAndDeleteStateKey,
   applyFeatures,
+  applyVersionIntegrity,
+  getLatestRelease,
+  insertRelease,
+  removeRelease,
+  insertUserToken,
+  getUserTokens,
+  getUserByTokenHash,
+  removeUserToken,
+  insertAdminAction,
+  getAdminActions,
+  getAdminActionByID,
+  removePackageName,
+  forceRemovePackageByName,
+  updatePackageRepository,
+  insertPackageBadge,
+  removePackageBadge,
+  getPackagesForHealthCheck,
+  insertPackageHealth,
+  getPackageHealthByName,
+  setPackageDistTag,
+  removePackageDistTag,
+  updatePackageDeprecation,
+  getPackageMaintainers,
+  insertPackageMaintainer,
+  acceptPackageMaintainer,
+  removePackageMaintainer,
+  updatePackagePendingOwner,
+  acceptPackageOwnership,
+  updatePackageMaintainerPolicy,
+  getOrgByName,
+  insertOrg,
+  updateOrg,
+  getOrgMembers,
+  setOrgMember,
+  removeOrgMember,
+  insertPackageOrg,
+  removePackageOrg,
+  insertWebhook,
+  getUserWebhooks,
+  getUserWebhookById,
+  updateUserWebhook,
+  removeUserWebhook,
+  getWebhookDeliveries,
+  getWebhooksForEvent,
+  insertWebhookDelivery,
+  claimWebhookDeliveries,
+  updateWebhookDelivery,
+  getWebhookDeliveriesByState,
+  redeliverWebhookDelivery,
+  setPublishHook,
+  getPublishHook,
+  updatePublishHookDelivery,
+  removePublishHook,
 };
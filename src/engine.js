@@ -0,0 +1,141 @@
+/**
+ * @module engine
+ * @desc Parses the `engines.atom` semver ranges of package versions, to determine
+ * which versions of Pulsar each package version is compatible with. Ranges are
+ * parsed into intervals of versions, which are stored alongside each version so
+ * that compatibility can also be checked within the database.
+ */
+
+const semver = require("semver");
+
+/**
+ * @function compare
+ * @desc Compares two versions, as arrays of their major, minor, and patch numbers.
+ * @param {int[]} a - The first version.
+ * @param {int[]} b - The second version.
+ * @returns {int} Negative if `a` is lower, positive if it's higher, or 0 if equal.
+ */
+function compare(a, b) {
+  return a[0] - b[0] || a[1] - b[1] || a[2] - b[2];
+}
+
+/**
+ * @function parseRange
+ * @desc Parses a semver range into the intervals of versions it allows, any of
+ * which a compatible version must be within. Each interval includes its `min`
+ * and excludes its `max`, both being `[major, minor, patch]` or null when
+ * unbounded. Since Pulsar versions are never prereleases, a prerelease bound is
+ * moved to the release it comes before.
+ * @param {string} range - The semver range, as supported by npm.
+ * @returns {object[]} The intervals of the range. Empty if the range is invalid.
+ * @example
+ * // returns [ { min: [1, 2, 0], max: [2, 0, 0] } ]
+ * parseRange("^1.2");
+ */
+function parseRange(range) {
+  let parsed;
+
+  try {
+    parsed = new semver.Range(range, { loose: true });
+  } catch (err) {
+    return [];
+  }
+
+  const intervals = [];
+
+  for (const comparators of parsed.set) {
+    let min = null;
+    let max = null;
+
+    for (const comparator of comparators) {
+      if (comparator.semver === semver.Comparator.ANY) {
+        continue;
+      }
+
+      const ver = comparator.semver;
+      const release = [ver.major, ver.minor, ver.patch];
+      const next = [ver.major, ver.minor, ver.patch + 1];
+      const pre = ver.prerelease.length > 0;
+
+      let lower = null;
+      let upper = null;
+
+      switch (comparator.operator) {
+        case ">=":
+          lower = release;
+          break;
+        case ">":
+          lower = pre ? release : next;
+          break;
+        case "<":
+          upper = release;
+          break;
+        case "<=":
+          upper = pre ? release : next;
+          break;
+        default:
+          // An exact version, where no release equals a prerelease
+          lower = release;
+          upper = pre ? release : next;
+          break;
+      }
+
+      if (lower !== null && (min === null || compare(lower, min) > 0)) {
+        min = lower;
+      }
+      if (upper !== null && (max === null || compare(upper, max) < 0)) {
+        max = upper;
+      }
+    }
+
+    // Drop any interval that no version can be within
+    if (min === null || max === null || compare(min, max) < 0) {
+      intervals.push({ min: min, max: max });
+    }
+  }
+
+  return intervals;
+}
+
+/**
+ * @function engineRanges
+ * @desc Parses the `engines` of a package version into the intervals of Pulsar
+ * versions it's compatible with. Like Pulsar itself, a version without an
+ * `atom` engine is compatible with every version.
+ * @param {object} engines - The `engines` field of a package version.
+ * @returns {object[]} The intervals, as returned by `parseRange()`.
+ */
+function engineRanges(engines) {
+  const range = engines?.atom;
+
+  if (range === undefined || range === null) {
+    return [{ min: null, max: null }];
+  }
+
+  if (typeof range !== "string") {
+    return [];
+  }
+
+  return parseRange(range);
+}
+
+/**
+ * @function satisfies
+ * @desc Checks if a version is within any of the intervals of a range.
+ * @param {int[]} version - The version, as `[major, minor, patch]`.
+ * @param {object[]} intervals - The intervals, as returned by `parseRange()`.
+ * @returns {boolean} True if the version is within the range.
+ */
+function satisfies(version, intervals) {
+  return intervals.some(
+    (interval) =>
+      (interval.min === null || compare(version, interval.min) >= 0) &&
+      (interval.max === null || compare(version, interval.max) < 0)
+  );
+}
+
+module.exports = {
+  parseRange,
+  engineRanges,
+  satisfies,
+};
@@ -0,0 +1,360 @@
+/**
+ * @module health
+ * @desc Runs health checks against the packages of the registry in the background.
+ * Each run checks the next batch of packages, applying or removing badges
+ * according to the results, which are recorded as the health history of each package.
+ */
+
+const superagent = require("superagent");
+const { GH_USERAGENT, HEALTH_CHECK_INTERVAL, HEALTH_CHECK_BATCH } =
+  require("./config.js").getConfig();
+const logger = require("./logger.js");
+const database = require("./database.js");
+const vcs = require("./vcs.js");
+const utils = require("./utils.js");
+
+// The badge a package receives while a check fails, as described in
+// `docs/reference/badge_spec.md`. Checks not listed here are only recorded.
+const CHECK_BADGES = {
+  versionTagExists: {
+    type: "warn",
+    title: "Broken",
+    text: "The latest version of this package can no longer be downloaded.",
+  },
+  latestVersionIsAssigned: {
+    type: "warn",
+    title: "Outdated",
+    text: "A newer version of this package exists on its repository than has been published.",
+  },
+  repoArchived: {
+    type: "info",
+    title: "Archived",
+    text: "The repository of this package has been archived.",
+  },
+};
+
+let timer = null;
+let running = false;
+
+/**
+ * @function packageMetadata
+ * @desc Checks that the `data` field of a package is valid.
+ * @param {object} pack - The package, as returned by `database.getPackagesForHealthCheck()`.
+ * @returns {object} The result of the check.
+ */
+function packageMetadata(pack) {
+  const data = pack.data;
+
+  if (
+    typeof data?.name === "string" &&
+    typeof data.readme === "string" &&
+    typeof data.repository?.url === "string" &&
+    typeof data.repository?.type === "string" &&
+    typeof data.metadata === "object" &&
+    data.metadata !== null
+  ) {
+    return { passed: true };
+  }
+
+  return { passed: false, message: "The package has invalid metadata." };
+}
+
+/**
+ * @async
+ * @function versionTagExists
+ * @desc Checks that the tarball of the latest version of a package is still
+ * available on the VCS service.
+ * @param {object} pack - The package, as returned by `database.getPackagesForHealthCheck()`.
+ * @returns {object} The result of the check.
+ */
+async function versionTagExists(pack) {
+  const url = pack.meta?.tarball_url ?? pack.meta?.dist?.tarball;
+
+  if (typeof url !== "string") {
+    return {
+      passed: false,
+      message: `Version ${pack.semver} has no tarball.`,
+    };
+  }
+
+  let host;
+
+  try {
+    host = new URL(url).host.toLowerCase();
+  } catch (err) {
+    return {
+      passed: false,
+      message: `Version ${pack.semver} has an invalid tarball URL.`,
+    };
+  }
+
+  if (!utils.tarballHosts().includes(host)) {
+    return { passed: null, message: `Tarballs can't be checked on: ${host}` };
+  }
+
+  try {
+    const res = await superagent
+      .head(url)
+      .set({ "User-Agent": GH_USERAGENT })
+      .ok(() => true);
+
+    if (res.status === 404) {
+      return {
+        passed: false,
+        message: `The tarball of version ${pack.semver} no longer exists.`,
+      };
+    }
+
+    if (res.status !== 200) {
+      return {
+        passed: null,
+        message: `Got ${res.status} checking the tarball of version ${pack.semver}.`,
+      };
+    }
+
+    return { passed: true };
+  } catch (err) {
+    return {
+      passed: null,
+      message: `Unable to check the tarball of version ${pack.semver}.`,
+    };
+  }
+}
+
+/**
+ * @async
+ * @function latestVersionIsAssigned
+ * @desc Checks that the latest version of a package on the registry is the
+ * latest version tagged on its repository.
+ * @param {object} pack - The package, as returned by `database.getPackagesForHealthCheck()`.
+ * @param {string} ownerRepo - The `owner/repo` combo of the package.
+ * @param {string} service - The service the package is hosted on.
+ * @returns {object} The result of the check.
+ */
+async function latestVersionIsAssigned(pack, ownerRepo, service) {
+  const tags = await vcs.tags(ownerRepo, service);
+
+  if (!tags.ok) {
+    return {
+      passed: null,
+      message: `Unable to get the tags of ${ownerRepo} - ${tags.short}`,
+    };
+  }
+
+  const assigned = utils.semverArray(pack.semver);
+  let latest = null;
+
+  for (const tag of tags.content) {
+    const name = tag.name?.replace(/^\s*v/i, "").trim();
+
+    // A prerelease isn't expected to be published as the latest version
+    if (utils.semverPrerelease(name)) {
+      continue;
+    }
+
+    const semver = utils.semverArray(name);
+
+    if (
+      semver !== null &&
+      (latest === null || utils.semverGt(semver, latest))
+    ) {
+      latest = semver;
+    }
+  }
+
+  if (
+    assigned === null ||
+    latest === null ||
+    !utils.semverGt(latest, assigned)
+  ) {
+    return { passed: true };
+  }
+
+  return {
+    passed: false,
+    message: `${latest.join(".")} is tagged on the repository, while ${
+      pack.semver
+    } is the latest version published.`,
+  };
+}
+
+/**
+ * @async
+ * @function repoArchived
+ * @desc Checks that the repository of a package hasn't been archived.
+ * @param {string} ownerRepo - The `owner/repo` combo of the package.
+ * @param {string} service - The service the package is hosted on.
+ * @returns {object} The result of the check.
+ */
+async function repoArchived(ownerRepo, service) {
+  const archived = await vcs.archived(ownerRepo, service);
+
+  if (!archived.ok) {
+    return {
+      passed: null,
+      message: `Unable to get the repository ${ownerRepo} - ${archived.short}`,
+    };
+  }
+
+  return archived.content
+    ? { passed: false, message: `${ownerRepo} has been archived.` }
+    : { passed: true };
+}
+
+/**
+ * @async
+ * @function checkPackage
+ * @desc Runs every health check against a single package.
+ * @param {object} pack - The package, as returned by `database.getPackagesForHealthCheck()`.
+ * @returns {object} The result of each check, keyed by the name of the check.
+ */
+async function checkPackage(pack) {
+  const checks = {
+    packageMetadata: packageMetadata(pack),
+    versionTagExists: await versionTagExists(pack),
+  };
+
+  const ownerRepo = utils.getOwnerRepoFromPackage(pack.data);
+  const service = vcs.determineProvider(pack.data?.repository).type;
+
+  if (ownerRepo === "") {
+    checks.latestVersionIsAssigned = {
+      passed: null,
+      message: "Unable to determine the repository of the package.",
+    };
+    checks.repoArchived = checks.latestVersionIsAssigned;
+  } else {
+    checks.latestVersionIsAssigned = await latestVersionIsAssigned(
+      pack,
+      ownerRepo,
+      service
+    );
+    checks.repoArchived = await repoArchived(ownerRepo, service);
+  }
+
+  return checks;
+}
+
+/**
+ * @function checkBadges
+ * @desc Determines which badges to add or remove according to the results of the checks.
+ * The badge of a check that couldn't be completed is left as it is.
+ * @param {object} checks - The result of each check, as returned by `checkPackage()`.
+ * @returns {object} The badge objects to `add`, and the titles to `remove`.
+ */
+function checkBadges(checks) {
+  const badges = { add: [], remove: [] };
+
+  for (const check in CHECK_BADGES) {
+    if (checks[check]?.passed === false) {
+      badges.add.push(CHECK_BADGES[check]);
+    } else if (checks[check]?.passed === true) {
+      badges.remove.push(CHECK_BADGES[check].title);
+    }
+  }
+
+  return badges;
+}
+
+/**
+ * @async
+ * @function runHealthChecks
+ * @desc Checks the health of the next batch of packages, those that have gone
+ * the longest without being checked, and records the results.
+ * @param {int} [limit] - The amount of packages to check.
+ * @returns {object} A Server Status Object, whose content is the amount of packages checked.
+ */
+async function runHealthChecks(limit = HEALTH_CHECK_BATCH) {
+  const packs = await database.getPackagesForHealthCheck(limit);
+
+  if (!packs.ok) {
+    logger.generic(3, "Unable to get the packages to health check", {
+      type: "object",
+      obj: packs,
+    });
+    return packs;
+  }
+
+  let checked = 0;
+
+  for (const pack of packs.content) {
+    const checks = await checkPackage(pack);
+    const health = await database.insertPackageHealth(
+      pack.name,
+      checks,
+      checkBadges(checks)
+    );
+
+    if (!health.ok) {
+      logger.generic(3, `Unable to record the health of ${pack.name}`, {
+        type: "object",
+        obj: health,
+      });
+      continue;
+    }
+
+    checked++;
+  }
+
+  logger.generic(6, `Health checked ${checked} packages`);
+
+  return { ok: true, content: checked };
+}
+
+/**
+ * @function start
+ * @desc Schedules the health checks to run every `HEALTH_CHECK_INTERVAL`
+ * milliseconds. A run is skipped while the previous one is still in progress.
+ * @param {int} [interval] - The milliseconds between each run. 0 disables the checks.
+ */
+function start(interval = HEALTH_CHECK_INTERVAL) {
+  if (timer !== null || interval <= 0) {
+    return;
+  }
+
+  timer = setInterval(async () => {
+    if (running) {
+      return;
+    }
+
+    running = true;
+
+    try {
+      await runHealthChecks();
+    } catch (err) {
+      logger.generic(2, "The health checks threw an error", {
+        type: "error",
+        err: err,
+      });
+    } finally {
+      running = false;
+    }
+  }, interval);
+
+  // The checks alone shouldn't keep the process alive
+  timer.unref();
+}
+
+/**
+ * @function stop
+ * @desc Stops the scheduled health checks.
+ */
+function stop() {
+  if (timer !== null) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+module.exports = {
+  CHECK_BADGES,
+  packageMetadata,
+  versionTagExists,
+  latestVersionIsAssigned,
+  repoArchived,
+  checkPackage,
+  checkBadges,
+  runHealthChecks,
+  start,
+  stop,
+};
@@ -0,0 +1,150 @@
+/**
+ * @module mirror
+ * @desc Mirrors the tarballs of published package versions into our own storage,
+ * recording the integrity of each. Allowing packages to be installed as they
+ * were published, even if the tag has since been moved or the repo deleted.
+ */
+
+const superagent = require("superagent");
+const crypto = require("crypto");
+const { GH_USERAGENT } = require("./config.js").getConfig();
+const logger = require("./logger.js");
+const storage = require("./storage.js");
+const database = require("./database.js");
+const utils = require("./utils.js");
+
+// The largest tarball we are willing to mirror, 100 MiB.
+const MAX_TARBALL_SIZE = 100 * 1024 * 1024;
+
+/**
+ * @function integrity
+ * @desc Returns the Subresource Integrity string of some data, using SHA-512.
+ * This is the same format used by the `integrity` field of npm.
+ * @param {Buffer} data - The data to hash.
+ * @returns {string} The integrity string, such as `sha512-<base64 digest>`.
+ */
+function integrity(data) {
+  return `sha512-${crypto.createHash("sha512").update(data).digest("base64")}`;
+}
+
+/**
+ * @async
+ * @function fetchTarball
+ * @desc Downloads a tarball from one of the allowed tarball hosts.
+ * @param {string} url - The URL of the tarball.
+ * @returns {object} A Server Status Object, whose content is the Buffer of the tarball.
+ */
+async function fetchTarball(url) {
+  let host;
+
+  try {
+    host = new URL(url).host.toLowerCase();
+  } catch (err) {
+    return { ok: false, short: "Bad Repo", content: `Invalid URL: ${url}` };
+  }
+
+  if (!utils.tarballHosts().includes(host)) {
+    return {
+      ok: false,
+      short: "Bad Repo",
+      content: `Tarballs can't be downloaded from: ${host}`,
+    };
+  }
+
+  try {
+    const res = await superagent
+      .get(url)
+      .set({ "User-Agent": GH_USERAGENT })
+      .responseType("blob")
+      .maxResponseSize(MAX_TARBALL_SIZE);
+
+    return { ok: true, content: res.body };
+  } catch (err) {
+    return { ok: false, short: "Server Error", content: err };
+  }
+}
+
+/**
+ * @async
+ * @function mirrorPackageVersion
+ * @desc Downloads the tarball of a single package version, stores it, and
+ * records its integrity within the versions `meta`.
+ * @param {string} packName - The name of the package.
+ * @param {string} version - The semver of the version.
+ * @param {string} tarballUrl - The URL of the tarball on the VCS service.
+ * @returns {object} A Server Status Object, whose content is the integrity of the tarball.
+ */
+async function mirrorPackageVersion(packName, version, tarballUrl) {
+  const tarball = await fetchTarball(tarballUrl);
+
+  if (!tarball.ok) {
+    return tarball;
+  }
+
+  const hash = integrity(tarball.content);
+
+  const stored = await storage.putPackageTarball(
+    packName,
+    version,
+    tarball.content
+  );
+
+  if (!stored.ok) {
+    return { ok: false, short: "Server Error", content: stored };
+  }
+
+  const applied = await database.applyVersionIntegrity(packName, version, hash);
+
+  if (!applied.ok) {
+    return applied;
+  }
+
+  return { ok: true, content: hash };
+}
+
+/**
+ * @async
+ * @function mirrorPackageVersions
+ * @desc Mirrors the tarball of every version provided. Failures are only logged,
+ * since any version that isn't mirrored is still served from its VCS service.
+ * @param {string} packName - The name of the package.
+ * @param {object[]} versions - An array of objects, each with the `version`
+ * semver and the `tarball` URL of a version.
+ */
+async function mirrorPackageVersions(packName, versions) {
+  for (const ver of versions) {
+    if (typeof ver.version !== "string" || typeof ver.tarball !== "string") {
+      logger.generic(
+        3,
+        `Unable to mirror a version of ${packName} missing required fields!`
+      );
+      continue;
+    }
+
+    const mirrored = await mirrorPackageVersion(
+      packName,
+      ver.version,
+      ver.tarball
+    );
+
+    if (!mirrored.ok) {
+      logger.generic(3, `Mirroring ${packName}@${ver.version} failed`, {
+        type: "object",
+        obj: mirrored,
+      });
+      continue;
+    }
+
+    logger.generic(
+      6,
+      `Mirrored ${packName}@${ver.version}: ${mirrored.content}`
+    );
+  }
+}
+
+module.exports = {
+  integrity,
+  fetchTarball,
+  mirrorPackageVersion,
+  mirrorPackageVersions,
+};
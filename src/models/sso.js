@@ -8,6 +8,7 @@ const validEnums = [
   "unauthorized",
   "bad_repo",
   "package_exists",
+  "bad_request",
 ];
 
 const enumDetails = {
@@ -35,6 +36,10 @@ const enumDetails = {
     code: 409,
     message: "A Package by that name already exists.",
   },
+  bad_request: {
+    code: 400,
+    message: "Bad Request",
+  },
 };
 
 module.exports = class SSO {
@@ -46,6 +51,7 @@ module.exports = class SSO {
     this.safeContent = false;
     this.successStatusCode = 200;
     this.calls = {};
+    this.headers = {};
   }
 
   isOk() {
@@ -92,6 +98,11 @@ module.exports = class SSO {
     return this;
   }
 
+  addHeader(name, value) {
+    this.headers[name] = value;
+    return this;
+  }
+
   addGoodStatus(status) {
     this.successStatusCode = status;
     return this;
@@ -103,6 +114,7 @@ module.exports = class SSO {
       return;
     }
 
+    res.set(this.headers);
     this.handleSuccess(req, res, context);
     return;
   }
@@ -0,0 +1,29 @@
+const SSO = require("./sso.js");
+
+module.exports = class SSOFile extends SSO {
+  constructor() {
+    super();
+    this.fileName = "";
+    this.contentType = "application/octet-stream";
+  }
+
+  addFileName(fileName) {
+    this.fileName = fileName;
+    return this;
+  }
+
+  addContentType(contentType) {
+    this.contentType = contentType;
+    return this;
+  }
+
+  handleSuccess(req, res, context) {
+    // A file is always served in full, regardless of the endpoints success status
+    res.set({
+      "Content-Type": this.contentType,
+      "Content-Disposition": `attachment; filename="${this.fileName}"`,
+    });
+    res.status(200).send(this.content);
+    context.logger.httpLog(req, res);
+  }
+};
@@ -1,4 +1,5 @@
 const SSO = require("./sso.js");
+const { encodeCursor, facetsHeader, jsonHeader } = require("../utils.js");
 
 module.exports = class SSOPaginate extends SSO {
   constructor() {
@@ -8,14 +9,62 @@ module.exports = class SSOPaginate extends SSO {
     this.totalPages = 0;
     this.resultCount = 0;
     this.limit = 0;
+    // Names a search may have meant, when it had no results
+    this.suggestions = [];
+    // The counts of each facet of the results, when requested
+    this.facets = null;
   }
 
   buildLink(url, currentPage, params) {
+    const paramString = this.buildParamString(params);
+
+    let linkString = "";
+
+    linkString += `<${url}?page=${currentPage}${paramString}>; rel="self", `;
+    linkString += `<${url}?page=${this.totalPages}${paramString}>; rel="last"`;
+
+    if (currentPage !== this.totalPages) {
+      linkString += `, <${url}?page=${
+        parseInt(currentPage) + 1
+      }${paramString}>; rel="next"`;
+    }
+
+    this.link = linkString;
+  }
+
+  buildCursorLink(url, pagination, params) {
+    const paramString = this.buildParamString(params);
+
+    // Without a count, the total of results and pages is unknown
+    this.resultCount = null;
+
+    let linkString = `<${url}?cursor=${paramString}>; rel="first"`;
+
+    if (pagination.prev !== null) {
+      linkString += `, <${url}?cursor=${encodeCursor(
+        pagination.prev,
+        true,
+        params.sort
+      )}${paramString}>; rel="prev"`;
+    }
+
+    if (pagination.next !== null) {
+      linkString += `, <${url}?cursor=${encodeCursor(
+        pagination.next,
+        false,
+        params.sort
+      )}${paramString}>; rel="next"`;
+    }
+
+    this.link = linkString;
+  }
+
+  buildParamString(params) {
     let paramString = "";
 
     for (let param in params) {
-      // We manually assign the page query so we will skip
-      if (param === "page") {
+      // We manually assign the page and cursor queries so we will skip
+      if (param === "page" || param === "cursor") {
         continue;
       }
       if (param === "query") {
@@ -24,30 +73,36 @@ module.exports = class SSOPaginate extends SSO {
           params[param].replace(/[<>"':;\\/]+/g, "")
         );
         paramString += `&${param}=${safeQuery}`;
+      } else if (Array.isArray(params[param])) {
+        // Lists are joined back into their comma separated form
+        paramString += `&${param}=${encodeURIComponent(
+          params[param].join(",")
+        )}`;
       } else {
         paramString += `&${param}=${params[param]}`;
       }
     }
 
-    let linkString = "";
-
-    linkString += `<${url}?page=${currentPage}${paramString}>; rel="self", `;
-    linkString += `<${url}?page=${this.totalPages}${paramString}>; rel="last"`;
-
-    if (currentPage !== this.totalPages) {
-      linkString += `, <${url}?page=${
-        parseInt(currentPage) + 1
-      }${paramString}>; rel="next"`;
-    }
-
-    this.link = linkString;
+    return paramString;
   }
 
   handleSuccess(req, res, context) {
     res.append("Link", this.link);
-    res.append("Query-Total", this.resultCount);
+
+    if (this.resultCount !== null) {
+      res.append("Query-Total", this.resultCount);
+    }
+
     res.append("Query-Limit", this.limit);
 
+    if (this.suggestions.length > 0) {
+      res.append("Query-Suggestions", jsonHeader(this.suggestions));
+    }
+
+    if (this.facets !== null) {
+      res.append("Query-Facets", facetsHeader(this.facets));
+    }
+
     res.status(this.successStatusCode).json(this.content);
     context.logger.httpLog(req, res);
     return;
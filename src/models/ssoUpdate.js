@@ -0,0 +1,17 @@
+const SSO = require("./sso.js");
+
+module.exports = class SSOUpdate extends SSO {
+  constructor() {
+    super();
+  }
+
+  handleSuccess(req, res, context) {
+    if (typeof this.content === "boolean" && this.content === false) {
+      // Squirrel expects `204 No Content` when no update is available.
+      res.status(204).send();
+    } else {
+      res.status(this.successStatusCode).json(this.content);
+    }
+    context.logger.httpLog(req, res);
+  }
+};
@@ -0,0 +1,29 @@
+/**
+ * @function adminAction
+ * @desc Returns the type of admin action to filter results by.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {string|boolean} Returns false if the provided value is invalid or
+ *   nonexistent. Returns the type of action otherwise.
+ */
+
+const { ADMIN_ACTIONS } = require("../utils.js");
+
+module.exports = {
+  schema: {
+    name: "action",
+    in: "query",
+    schema: {
+      type: "string",
+      enum: ADMIN_ACTIONS,
+    },
+    example: "force_delete",
+    allowEmptyValue: false,
+    required: false,
+    description: "The type of admin action to filter results by.",
+  },
+  logic: (req) => {
+    const prov = req.query.action;
+
+    return ADMIN_ACTIONS.includes(prov) ? prov : false;
+  },
+};
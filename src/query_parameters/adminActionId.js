@@ -0,0 +1,30 @@
+/**
+ * @function adminActionId
+ * @desc Returns the ID of an admin action from the URL Path.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {number|boolean} Returns false if the provided value is invalid or
+ *   nonexistent. Returns the action ID otherwise.
+ */
+
+module.exports = {
+  schema: {
+    name: "actionId",
+    in: "path",
+    schema: {
+      type: "integer",
+    },
+    example: 1,
+    allowEmptyValue: false,
+    required: true,
+    description: "The ID of the admin action.",
+  },
+  logic: (req) => {
+    const prov = req.params.actionId;
+
+    if (typeof prov !== "string" || !/^\d{1,9}$/.test(prov)) {
+      return false;
+    }
+
+    return parseInt(prov, 10);
+  },
+};
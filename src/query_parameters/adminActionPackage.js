@@ -0,0 +1,35 @@
+/**
+ * @function adminActionPackage
+ * @desc Returns the name of the package to filter admin actions by.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {string|boolean} Returns false if the provided value is invalid or
+ *   nonexistent. Returns the lowercase package name otherwise.
+ */
+
+module.exports = {
+  schema: {
+    name: "package",
+    in: "query",
+    schema: {
+      type: "string",
+    },
+    example: "pulsar-gpp-compiler",
+    allowEmptyValue: false,
+    required: false,
+    description: "The name of the package to filter admin actions by.",
+  },
+  logic: (req) => {
+    const maxLength = 128;
+    const prov = req.query.package;
+
+    if (
+      typeof prov !== "string" ||
+      prov.length === 0 ||
+      prov.length > maxLength
+    ) {
+      return false;
+    }
+
+    return prov.toLowerCase();
+  },
+};
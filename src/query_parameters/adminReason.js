@@ -0,0 +1,38 @@
+/**
+ * @function adminReason
+ * @desc Returns the reason given for an admin action, such as adding a ban.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {string|boolean} Returns false if the provided value is invalid or
+ *   nonexistent. Returns the reason otherwise.
+ */
+
+module.exports = {
+  schema: {
+    name: "reason",
+    in: "query",
+    schema: {
+      type: "string",
+    },
+    example: "Spam packages.",
+    allowEmptyValue: false,
+    required: false,
+    description:
+      "Why the action was taken. Publicly visible within the admin actions feed.",
+  },
+  logic: (req) => {
+    const maxLength = 512;
+    const prov = req.query.reason;
+
+    if (typeof prov !== "string") {
+      return false;
+    }
+
+    const reason = prov.trim();
+
+    if (reason.length === 0 || reason.length > maxLength) {
+      return false;
+    }
+
+    return reason;
+  },
+};
@@ -0,0 +1,34 @@
+/**
+ * @function badge
+ * @desc Returns the titles of badges a package must have one of, provided as a
+ * comma separated list.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {string[]|boolean} Returns false if the provided value is invalid or
+ *   nonexistent. Returns the array of badge titles otherwise.
+ */
+
+const utils = require("./utils.js");
+const { BADGE_TITLES } = require("../utils.js");
+
+module.exports = {
+  schema: {
+    name: "badge",
+    in: "query",
+    schema: {
+      type: "string",
+    },
+    example: "Made for Pulsar!",
+    allowEmptyValue: false,
+    required: false,
+    description: `A comma separated list of badge titles, only returning packages with any of them. Any of: ${[
+      ...BADGE_TITLES,
+      "Made for Pulsar!",
+    ].join(", ")}.`,
+  },
+  logic: (req) => {
+    return utils.enumListValidation(req.query.badge, [
+      ...BADGE_TITLES,
+      "Made for Pulsar!",
+    ]);
+  },
+};
@@ -0,0 +1,43 @@
+/**
+ * @function badgeLink
+ * @desc Returns the link a badge directs users to for further information.
+ * Only `http` and `https` links are allowed.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {string|null|boolean} Returns false if the provided value is invalid.
+ * Returns null if nonexistent, otherwise the link.
+ */
+
+module.exports = {
+  schema: {
+    name: "link",
+    in: "query",
+    schema: {
+      type: "string",
+      format: "uri",
+    },
+    example: "https://github.com/pulsar-edit/pulsar/issues/1",
+    allowEmptyValue: false,
+    required: false,
+    description: "A link to further information about the badge.",
+  },
+  logic: (req) => {
+    const maxLength = 512;
+    const prov = req.query.link;
+
+    if (prov === undefined) {
+      return null;
+    }
+
+    if (typeof prov !== "string" || prov.length > maxLength) {
+      return false;
+    }
+
+    try {
+      const url = new URL(prov);
+
+      return ["http:", "https:"].includes(url.protocol) ? url.href : false;
+    } catch (err) {
+      return false;
+    }
+  },
+};
@@ -0,0 +1,41 @@
+/**
+ * @function badgeText
+ * @desc Returns the further information given by a badge.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {string|null|boolean} Returns false if the provided value is invalid.
+ * Returns null if nonexistent, otherwise the text.
+ */
+
+module.exports = {
+  schema: {
+    name: "text",
+    in: "query",
+    schema: {
+      type: "string",
+    },
+    example: "This package is out of date and should not be used.",
+    allowEmptyValue: false,
+    required: false,
+    description: "Further information about the badge.",
+  },
+  logic: (req) => {
+    const maxLength = 512;
+    const prov = req.query.text;
+
+    if (prov === undefined) {
+      return null;
+    }
+
+    if (typeof prov !== "string") {
+      return false;
+    }
+
+    const text = prov.trim();
+
+    if (text.length === 0 || text.length > maxLength) {
+      return false;
+    }
+
+    return text;
+  },
+};
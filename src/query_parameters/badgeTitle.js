@@ -0,0 +1,35 @@
+/**
+ * @function badgeTitle
+ * @desc Returns the title of a badge. Titles are matched case insensitively.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {string|boolean} Returns false if the provided value is invalid or
+ *   nonexistent. Returns the title otherwise.
+ */
+
+const { BADGE_TITLES } = require("../utils.js");
+
+module.exports = {
+  schema: {
+    name: "title",
+    in: "query",
+    schema: {
+      type: "string",
+      enum: BADGE_TITLES,
+    },
+    example: "Deprecated",
+    allowEmptyValue: false,
+    required: true,
+    description: "The title of the badge.",
+  },
+  logic: (req) => {
+    const prov = req.query.title;
+
+    if (typeof prov !== "string") {
+      return false;
+    }
+
+    const title = prov.trim().toLowerCase();
+
+    return BADGE_TITLES.find((t) => t.toLowerCase() === title) ?? false;
+  },
+};
@@ -0,0 +1,29 @@
+/**
+ * @function badgeType
+ * @desc Returns the type of a badge, determining how it's displayed.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {string|boolean} Returns false if the provided value is invalid or
+ *   nonexistent. Returns the type of badge otherwise.
+ */
+
+const { BADGE_TYPES } = require("../utils.js");
+
+module.exports = {
+  schema: {
+    name: "type",
+    in: "query",
+    schema: {
+      type: "string",
+      enum: BADGE_TYPES,
+    },
+    example: "warn",
+    allowEmptyValue: false,
+    required: true,
+    description: "The type of the badge.",
+  },
+  logic: (req) => {
+    const prov = req.query.type;
+
+    return BADGE_TYPES.includes(prov) ? prov : false;
+  },
+};
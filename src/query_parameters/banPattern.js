@@ -0,0 +1,39 @@
+/**
+ * @function banPattern
+ * @desc Returns the pattern of a ban, which is either a package name, glob, or
+ * regular expression depending on the type of ban.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {string|boolean} Returns false if the provided value is invalid or
+ *   nonexistent. Returns the pattern otherwise.
+ */
+
+module.exports = {
+  schema: {
+    name: "pattern",
+    in: "query",
+    schema: {
+      type: "string",
+    },
+    example: "slot-*",
+    allowEmptyValue: false,
+    required: true,
+    description:
+      "The package name, glob, or regular expression of the ban. Globs support `*` and `?` wildcards.",
+  },
+  logic: (req) => {
+    const maxLength = 256;
+    const prov = req.query.pattern;
+
+    if (typeof prov !== "string") {
+      return false;
+    }
+
+    const pattern = prov.trim();
+
+    if (pattern.length === 0 || pattern.length > maxLength) {
+      return false;
+    }
+
+    return pattern;
+  },
+};
@@ -0,0 +1,35 @@
+/**
+ * @function banType
+ * @desc Returns the type of a ban, determining how its pattern is matched.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {string|boolean} Returns false if the provided value is invalid.
+ * Returns the type of ban otherwise, defaulting to `name`.
+ */
+
+const { BAN_TYPES } = require("../utils.js");
+
+module.exports = {
+  schema: {
+    name: "type",
+    in: "query",
+    schema: {
+      type: "string",
+      enum: BAN_TYPES,
+      default: "name",
+    },
+    example: "glob",
+    allowEmptyValue: false,
+    required: false,
+    description:
+      "How the pattern of the ban is matched. A `name` must match exactly, a `glob` may use wildcards, and a `regex` is a regular expression.",
+  },
+  logic: (req) => {
+    const prov = req.query.type;
+
+    if (prov === undefined) {
+      return "name";
+    }
+
+    return BAN_TYPES.includes(prov) ? prov : false;
+  },
+};
@@ -0,0 +1,30 @@
+/**
+ * @function channel
+ * @desc Parser for the 'channel' query parameter, used to determine which
+ * release channel an editor is subscribed to.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {string} The valid channel value from the 'channel' query parameter,
+ * or 'stable' if none or an invalid value was provided.
+ */
+module.exports = {
+  schema: {
+    name: "channel",
+    in: "query",
+    schema: {
+      type: "string",
+      enum: ["stable", "beta"],
+      default: "stable",
+    },
+    example: "stable",
+    allowEmptyValue: true,
+    description: "The release channel to check for updates within.",
+  },
+  logic: (req) => {
+    const def = "stable";
+    const valid = ["stable", "beta"];
+
+    const prov = req.query.channel ?? def;
+
+    return valid.includes(prov) ? prov : def;
+  },
+};
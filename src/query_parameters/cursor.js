@@ -0,0 +1,34 @@
+/**
+ * @function cursor
+ * @desc Returns the decoded cursor of a page of results, as found within the
+ * `Link` header of a previous page. An empty cursor requests the first page.
+ * A cursor is only valid for the sort method it was issued for.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @param {string} sort - The sort method of the results being paged through.
+ * @returns {object|boolean|null} Returns null if no cursor is provided, or false
+ * if the provided value is invalid. Returns the decoded cursor otherwise.
+ */
+
+const { decodeCursor } = require("../utils.js");
+
+module.exports = {
+  schema: {
+    name: "cursor",
+    in: "query",
+    schema: {
+      type: "string",
+    },
+    example: "WyIxMjAiLCJhdG9tLWlkZSIsZmFsc2Vd",
+    allowEmptyValue: true,
+    required: false,
+    description:
+      "An opaque cursor to page through results by, taken from the `Link` header of a previous page, and only valid with the same `sort`. Provide it empty to start from the first page. Takes precedence over `page`.",
+  },
+  logic: (req, sort) => {
+    if (typeof req.query.cursor !== "string") {
+      return null;
+    }
+
+    return decodeCursor(req.query.cursor, sort);
+  },
+};
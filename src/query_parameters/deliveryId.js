@@ -0,0 +1,36 @@
+/**
+ * @function deliveryId
+ * @desc Returns the ID of a webhook delivery from the URL Path.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {string|boolean} Returns false if the provided value is invalid or
+ *   nonexistent. Returns the delivery ID otherwise.
+ */
+
+module.exports = {
+  schema: {
+    name: "deliveryId",
+    in: "path",
+    schema: {
+      type: "string",
+      format: "uuid",
+    },
+    example: "1b4e28ba-2fa1-4d3b-a3f5-ef19b5a7633b",
+    allowEmptyValue: false,
+    required: true,
+    description: "The ID of the webhook delivery.",
+  },
+  logic: (req) => {
+    const prov = req.params.deliveryId;
+
+    if (
+      typeof prov !== "string" ||
+      !/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(
+        prov
+      )
+    ) {
+      return false;
+    }
+
+    return prov.toLowerCase();
+  },
+};
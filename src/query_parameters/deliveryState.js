@@ -0,0 +1,35 @@
+/**
+ * @function deliveryState
+ * @desc Returns the state of the webhook deliveries to list.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {string|boolean} Returns false if the provided value is invalid.
+ * Returns the state otherwise, defaulting to `dead`.
+ */
+
+const DELIVERY_STATES = ["pending", "delivered", "dead"];
+
+module.exports = {
+  schema: {
+    name: "state",
+    in: "query",
+    schema: {
+      type: "string",
+      enum: DELIVERY_STATES,
+      default: "dead",
+    },
+    example: "pending",
+    allowEmptyValue: false,
+    required: false,
+    description:
+      "The state of the deliveries. Those `pending` are yet to be delivered, while those `dead` failed every attempt.",
+  },
+  logic: (req) => {
+    const prov = req.query.state;
+
+    if (prov === undefined) {
+      return "dead";
+    }
+
+    return DELIVERY_STATES.includes(prov) ? prov : false;
+  },
+};
@@ -0,0 +1,34 @@
+/**
+ * @function deprecatedVersion
+ * @desc Returns the version of a package being deprecated, if any. Without one,
+ * the package as a whole is deprecated.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {string|null|boolean} Returns null if no version is provided, or false
+ *   if it isn't a valid semver. Returns the version otherwise.
+ */
+
+const engine = require("./engine.js").logic;
+
+module.exports = {
+  schema: {
+    name: "version",
+    in: "query",
+    schema: {
+      type: "string",
+    },
+    example: "1.0.0",
+    allowEmptyValue: false,
+    required: false,
+    description:
+      "The version to deprecate. Without one, the package as a whole is deprecated.",
+  },
+  logic: (req) => {
+    const prov = req.query.version;
+
+    if (prov === undefined) {
+      return null;
+    }
+
+    return typeof prov === "string" ? engine(prov.trim()) : false;
+  },
+};
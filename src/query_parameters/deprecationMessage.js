@@ -0,0 +1,34 @@
+/**
+ * @function deprecationMessage
+ * @desc Returns the message explaining why a package, or version, is deprecated.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {string|boolean} Returns false if the provided value is invalid or
+ *   nonexistent. Returns the message otherwise, which is empty to undo a deprecation.
+ */
+
+module.exports = {
+  schema: {
+    name: "message",
+    in: "query",
+    schema: {
+      type: "string",
+    },
+    example: "No longer maintained, use language-cpp instead.",
+    allowEmptyValue: true,
+    required: true,
+    description:
+      "Why the package or version is deprecated. An empty message undoes the deprecation.",
+  },
+  logic: (req) => {
+    const maxLength = 1024;
+    const prov = req.query.message;
+
+    if (typeof prov !== "string") {
+      return false;
+    }
+
+    const message = prov.trim();
+
+    return message.length > maxLength ? false : message;
+  },
+};
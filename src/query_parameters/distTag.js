@@ -0,0 +1,29 @@
+/**
+ * @function distTag
+ * @desc Returns the dist-tag being managed from the URL Path.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {string|boolean} Returns false if the provided value is invalid, or
+ * the reserved `latest` tag. Returns the valid dist-tag otherwise.
+ */
+
+const utils = require("./utils.js");
+
+module.exports = {
+  schema: {
+    name: "distTag",
+    in: "path",
+    schema: {
+      type: "string",
+    },
+    example: "beta",
+    allowEmptyValue: false,
+    required: true,
+    description:
+      "The dist-tag to manage. Must start with a letter, and `latest` can't be managed.",
+  },
+  logic: (req) => {
+    const prov = utils.distTagValidation(req.params.distTag);
+
+    return prov === "latest" ? false : prov;
+  },
+};
@@ -0,0 +1,31 @@
+/**
+ * @function facets
+ * @desc Returns if the counts of each facet of the results have been requested.
+ * Checking for mixed capitalization.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {boolean} Returns true only if the provided value is `true`, otherwise false.
+ */
+
+module.exports = {
+  schema: {
+    name: "facets",
+    in: "query",
+    schema: {
+      type: "boolean",
+    },
+    example: true,
+    allowEmptyValue: false,
+    required: false,
+    description:
+      "Return the counts of each package type, service, file extension, license, and owner within the results, as JSON in the `Query-Facets` header. Only the 10 most common values of each facet, up to 64 characters long, are counted. The header is kept within 4096 characters, leaving out the least common values as needed.",
+  },
+  logic: (req) => {
+    const prov = req.query.facets;
+
+    if (typeof prov !== "string") {
+      return false;
+    }
+
+    return prov.trim().toLowerCase() === "true";
+  },
+};
@@ -0,0 +1,38 @@
+/**
+ * @function featuredExpires
+ * @desc Returns the date a package should stop being featured.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {string|null|boolean} Returns false if the provided value is invalid.
+ * Returns null if nonexistent, otherwise the date as an ISO 8601 string.
+ */
+
+module.exports = {
+  schema: {
+    name: "expires",
+    in: "query",
+    schema: {
+      type: "string",
+      format: "date-time",
+    },
+    example: "2024-01-01T00:00:00Z",
+    allowEmptyValue: false,
+    required: false,
+    description:
+      "The date the package stops being featured. Featured indefinitely if not provided.",
+  },
+  logic: (req) => {
+    const prov = req.query.expires;
+
+    if (prov === undefined) {
+      return null;
+    }
+
+    if (typeof prov !== "string") {
+      return false;
+    }
+
+    const date = Date.parse(prov);
+
+    return Number.isNaN(date) ? false : new Date(date).toISOString();
+  },
+};
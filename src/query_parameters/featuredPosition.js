@@ -0,0 +1,36 @@
+/**
+ * @function featuredPosition
+ * @desc Returns the zero based position to feature a package at.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {number|null|boolean} Returns false if the provided value is invalid.
+ * Returns null if nonexistent, otherwise the position.
+ */
+
+module.exports = {
+  schema: {
+    name: "position",
+    in: "query",
+    schema: {
+      type: "integer",
+      minimum: 0,
+    },
+    example: 0,
+    allowEmptyValue: false,
+    required: false,
+    description:
+      "The zero based position to feature the package at. Defaults to the end of the list.",
+  },
+  logic: (req) => {
+    const prov = req.query.position;
+
+    if (prov === undefined) {
+      return null;
+    }
+
+    if (typeof prov !== "string" || !/^\d{1,6}$/.test(prov)) {
+      return false;
+    }
+
+    return parseInt(prov, 10);
+  },
+};
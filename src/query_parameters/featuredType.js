@@ -0,0 +1,27 @@
+/**
+ * @function featuredType
+ * @desc Returns which featured list is being managed from the URL Path.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {string|boolean} Returns false if the provided value is invalid.
+ * Returns either `packages` or `themes` otherwise.
+ */
+
+module.exports = {
+  schema: {
+    name: "featuredType",
+    in: "path",
+    schema: {
+      type: "string",
+      enum: ["packages", "themes"],
+    },
+    example: "themes",
+    allowEmptyValue: false,
+    required: true,
+    description: "The featured list to manage.",
+  },
+  logic: (req) => {
+    const prov = req.params.featuredType;
+
+    return ["packages", "themes"].includes(prov) ? prov : false;
+  },
+};
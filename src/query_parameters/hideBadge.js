@@ -0,0 +1,34 @@
+/**
+ * @function hideBadge
+ * @desc Returns the titles of badges a package must not have any of, provided as
+ * a comma separated list.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {string[]|boolean} Returns false if the provided value is invalid or
+ *   nonexistent. Returns the array of badge titles otherwise.
+ */
+
+const utils = require("./utils.js");
+const { BADGE_TITLES } = require("../utils.js");
+
+module.exports = {
+  schema: {
+    name: "hideBadge",
+    in: "query",
+    schema: {
+      type: "string",
+    },
+    example: "Broken,Deprecated",
+    allowEmptyValue: false,
+    required: false,
+    description: `A comma separated list of badge titles, hiding any package with one of them. Any of: ${[
+      ...BADGE_TITLES,
+      "Made for Pulsar!",
+    ].join(", ")}.`,
+  },
+  logic: (req) => {
+    return utils.enumListValidation(req.query.hideBadge, [
+      ...BADGE_TITLES,
+      "Made for Pulsar!",
+    ]);
+  },
+};
@@ -0,0 +1,24 @@
+/**
+ * @function hookPayload
+ * @desc Returns the exact body of a delivery from a webhook, as needed to verify
+ * its signature. Only available to endpoints receiving the raw body.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {Buffer} Returns the body, or an empty buffer if there was none.
+ */
+
+module.exports = {
+  schema: {
+    name: "payload",
+    in: "body",
+    schema: {
+      type: "string",
+    },
+    required: true,
+    allowEmptyValue: false,
+    description:
+      "The JSON payload of the delivery. It must be sent as `application/json`.",
+  },
+  logic: (req) => {
+    return Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+  },
+};
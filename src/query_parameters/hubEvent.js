@@ -0,0 +1,29 @@
+/**
+ * @function hubEvent
+ * @desc Returns the event of a delivery from a GitHub webhook.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {string} Returns the event, or '' if invalid or not found.
+ */
+
+module.exports = {
+  schema: {
+    name: "X-GitHub-Event",
+    in: "header",
+    schema: {
+      type: "string",
+    },
+    example: "release",
+    required: true,
+    allowEmptyValue: false,
+    description: "The event of the delivery, as sent by GitHub.",
+  },
+  logic: (req) => {
+    const prov = req.get("X-GitHub-Event");
+
+    if (typeof prov !== "string" || !/^[a-z_]{1,64}$/.test(prov)) {
+      return "";
+    }
+
+    return prov;
+  },
+};
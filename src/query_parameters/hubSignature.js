@@ -0,0 +1,30 @@
+/**
+ * @function hubSignature
+ * @desc Returns the signature of a delivery from a GitHub webhook.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {string|boolean} Returns false if the provided value is invalid or
+ *   nonexistent. Returns the signature otherwise, such as `sha256=<hex digest>`.
+ */
+
+module.exports = {
+  schema: {
+    name: "X-Hub-Signature-256",
+    in: "header",
+    schema: {
+      type: "string",
+    },
+    required: true,
+    allowEmptyValue: false,
+    description:
+      "The HMAC-SHA256 of the body, using the secret of the publish hook, as sent by GitHub.",
+  },
+  logic: (req) => {
+    const prov = req.get("X-Hub-Signature-256");
+
+    if (typeof prov !== "string" || !/^sha256=[0-9a-f]{64}$/.test(prov)) {
+      return false;
+    }
+
+    return prov;
+  },
+};
@@ -5,16 +5,53 @@
  * engine(): Returns false if not defined, to allow a fast way to determine if results need to be pruned.
  */
 
+const adminAction = require("./adminAction.js");
+const adminActionId = require("./adminActionId.js");
+const adminActionPackage = require("./adminActionPackage.js");
+const adminReason = require("./adminReason.js");
 const auth = require("./auth.js");
+const badge = require("./badge.js");
+const badgeLink = require("./badgeLink.js");
+const badgeText = require("./badgeText.js");
+const badgeTitle = require("./badgeTitle.js");
+const badgeType = require("./badgeType.js");
+const banPattern = require("./banPattern.js");
+const banType = require("./banType.js");
+const channel = require("./channel.js");
+const cursor = require("./cursor.js");
+const deliveryId = require("./deliveryId.js");
+const deliveryState = require("./deliveryState.js");
+const deprecatedVersion = require("./deprecatedVersion.js");
+const deprecationMessage = require("./deprecationMessage.js");
 const direction = require("./direction.js");
+const distTag = require("./distTag.js");
 const engine = require("./engine.js");
+const facets = require("./facets.js");
+const featuredExpires = require("./featuredExpires.js");
+const featuredPosition = require("./featuredPosition.js");
+const featuredType = require("./featuredType.js");
 const fileExtension = require("./fileExtension.js");
 const filter = require("./filter.js");
+const hideBadge = require("./hideBadge.js");
+const hookPayload = require("./hookPayload.js");
+const hubEvent = require("./hubEvent.js");
+const hubSignature = require("./hubSignature.js");
 const login = require("./login.js");
+const maintainerPolicy = require("./maintainerPolicy.js");
+const org = require("./org.js");
+const orgAvatar = require("./orgAvatar.js");
+const orgDescription = require("./orgDescription.js");
+const orgName = require("./orgName.js");
+const orgRole = require("./orgRole.js");
 const owner = require("./owner.js");
 const packageName = require("./packageName.js");
 const page = require("./page.js");
+const platform = require("./platform.js");
+const prerelease = require("./prerelease.js");
 const query = require("./query.js");
+const releaseNotes = require("./releaseNotes.js");
+const releaseUrl = require("./releaseUrl.js");
+const releaseVersion = require("./releaseVersion.js");
 const rename = require("./rename.js");
 const repo = require("./repo.js");
 const service = require("./service.js");
@@ -22,20 +59,67 @@ const serviceType = require("./serviceType.js");
 const serviceVersion = require("./serviceVersion.js");
 const sort = require("./sort.js");
 const tag = require("./tag.js");
+const tokenId = require("./tokenId.js");
+const tokenName = require("./tokenName.js");
+const tokenPackages = require("./tokenPackages.js");
+const tokenScopes = require("./tokenScopes.js");
+const vcsService = require("./vcsService.js");
 const versionName = require("./versionName.js");
+const webhookActive = require("./webhookActive.js");
+const webhookEvents = require("./webhookEvents.js");
+const webhookId = require("./webhookId.js");
+const webhookPackage = require("./webhookPackage.js");
+const webhookUrl = require("./webhookUrl.js");
 
 module.exports = {
   logic: {
+    adminAction: adminAction.logic,
+    adminActionId: adminActionId.logic,
+    adminActionPackage: adminActionPackage.logic,
+    adminReason: adminReason.logic,
     auth: auth.logic,
+    badge: badge.logic,
+    badgeLink: badgeLink.logic,
+    badgeText: badgeText.logic,
+    badgeTitle: badgeTitle.logic,
+    badgeType: badgeType.logic,
+    banPattern: banPattern.logic,
+    banType: banType.logic,
+    channel: channel.logic,
+    cursor: cursor.logic,
+    deliveryId: deliveryId.logic,
+    deliveryState: deliveryState.logic,
+    deprecatedVersion: deprecatedVersion.logic,
+    deprecationMessage: deprecationMessage.logic,
     direction: direction.logic,
+    distTag: distTag.logic,
     engine: engine.logic,
+    facets: facets.logic,
+    featuredExpires: featuredExpires.logic,
+    featuredPosition: featuredPosition.logic,
+    featuredType: featuredType.logic,
     fileExtension: fileExtension.logic,
     filter: filter.logic,
+    hideBadge: hideBadge.logic,
+    hookPayload: hookPayload.logic,
+    hubEvent: hubEvent.logic,
+    hubSignature: hubSignature.logic,
     login: login.logic,
+    maintainerPolicy: maintainerPolicy.logic,
+    org: org.logic,
+    orgAvatar: orgAvatar.logic,
+    orgDescription: orgDescription.logic,
+    orgName: orgName.logic,
+    orgRole: orgRole.logic,
     owner: owner.logic,
     packageName: packageName.logic,
     page: page.logic,
+    platform: platform.logic,
+    prerelease: prerelease.logic,
     query: query.logic,
+    releaseNotes: releaseNotes.logic,
+    releaseUrl: releaseUrl.logic,
+    releaseVersion: releaseVersion.logic,
     rename: rename.logic,
     repo: repo.logic,
     service: service.logic,
@@ -43,19 +127,66 @@ module.exports = {
     serviceVersion: serviceVersion.logic,
     sort: sort.logic,
     tag: tag.logic,
+    tokenId: tokenId.logic,
+    tokenName: tokenName.logic,
+    tokenPackages: tokenPackages.logic,
+    tokenScopes: tokenScopes.logic,
+    vcsService: vcsService.logic,
     versionName: versionName.logic,
+    webhookActive: webhookActive.logic,
+    webhookEvents: webhookEvents.logic,
+    webhookId: webhookId.logic,
+    webhookPackage: webhookPackage.logic,
+    webhookUrl: webhookUrl.logic,
   },
   schema: {
+    adminAction: adminAction.schema,
+    adminActionId: adminActionId.schema,
+    adminActionPackage: adminActionPackage.schema,
+    adminReason: adminReason.schema,
     auth: auth.schema,
+    badge: badge.schema,
+    badgeLink: badgeLink.schema,
+    badgeText: badgeText.schema,
+    badgeTitle: badgeTitle.schema,
+    badgeType: badgeType.schema,
+    banPattern: banPattern.schema,
+    banType: banType.schema,
+    channel: channel.schema,
+    cursor: cursor.schema,
+    deliveryId: deliveryId.schema,
+    deliveryState: deliveryState.schema,
+    deprecatedVersion: deprecatedVersion.schema,
+    deprecationMessage: deprecationMessage.schema,
     direction: direction.schema,
+    distTag: distTag.schema,
     engine: engine.schema,
+    facets: facets.schema,
+    featuredExpires: featuredExpires.schema,
+    featuredPosition: featuredPosition.schema,
+    featuredType: featuredType.schema,
     fileExtension: fileExtension.schema,
     filter: filter.schema,
+    hideBadge: hideBadge.schema,
+    hookPayload: hookPayload.schema,
+    hubEvent: hubEvent.schema,
+    hubSignature: hubSignature.schema,
     login: login.schema,
+    maintainerPolicy: maintainerPolicy.schema,
+    org: org.schema,
+    orgAvatar: orgAvatar.schema,
+    orgDescription: orgDescription.schema,
+    orgName: orgName.schema,
+    orgRole: orgRole.schema,
     owner: owner.schema,
     packageName: packageName.schema,
     page: page.schema,
+    platform: platform.schema,
+    prerelease: prerelease.schema,
     query: query.schema,
+    releaseNotes: releaseNotes.schema,
+    releaseUrl: releaseUrl.schema,
+    releaseVersion: releaseVersion.schema,
     rename: rename.schema,
     repo: repo.schema,
     service: service.schema,
@@ -63,6 +194,16 @@ module.exports = {
     serviceVersion: serviceVersion.schema,
     sort: sort.schema,
     tag: tag.schema,
+    tokenId: tokenId.schema,
+    tokenName: tokenName.schema,
+    tokenPackages: tokenPackages.schema,
+    tokenScopes: tokenScopes.schema,
+    vcsService: vcsService.schema,
     versionName: versionName.schema,
+    webhookActive: webhookActive.schema,
+    webhookEvents: webhookEvents.schema,
+    webhookId: webhookId.schema,
+    webhookPackage: webhookPackage.schema,
+    webhookUrl: webhookUrl.schema,
   },
 };
@@ -0,0 +1,30 @@
+/**
+ * @function maintainerPolicy
+ * @desc Returns who may publish and delete a package.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {string|boolean} Returns false if the provided value is invalid.
+ * Returns the maintainer policy otherwise.
+ */
+
+const { MAINTAINER_POLICIES } = require("../auth.js");
+
+module.exports = {
+  schema: {
+    name: "policy",
+    in: "query",
+    schema: {
+      type: "string",
+      enum: MAINTAINER_POLICIES,
+    },
+    example: "either",
+    allowEmptyValue: false,
+    required: true,
+    description:
+      "Who may publish and delete the package. With `vcs` only those with write access to its repository, with `registry` only its maintainers, and with `either` both.",
+  },
+  logic: (req) => {
+    const prov = req.query.policy;
+
+    return MAINTAINER_POLICIES.includes(prov) ? prov : false;
+  },
+};
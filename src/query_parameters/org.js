@@ -0,0 +1,26 @@
+/**
+ * @function org
+ * @desc Returns the org to filter packages by.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {string|boolean} Returns false if the provided value is invalid or
+ *   nonexistent. Returns the org name otherwise, in lowercase.
+ */
+
+const utils = require("./utils.js");
+
+module.exports = {
+  schema: {
+    name: "org",
+    in: "query",
+    schema: {
+      type: "string",
+    },
+    example: "pulsar-edit",
+    allowEmptyValue: false,
+    required: false,
+    description: "Only include packages assigned to this org.",
+  },
+  logic: (req) => {
+    return utils.orgNameValidation(req.query.org);
+  },
+};
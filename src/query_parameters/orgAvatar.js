@@ -0,0 +1,45 @@
+/**
+ * @function orgAvatar
+ * @desc Returns the URL of the avatar of an org's profile.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {string|boolean|null} Returns false if the provided value is invalid.
+ * Returns null if it's nonexistent, leaving the avatar unchanged. Returns the
+ * URL otherwise, which is empty to remove the avatar.
+ */
+
+module.exports = {
+  schema: {
+    name: "avatar",
+    in: "query",
+    schema: {
+      type: "string",
+    },
+    example: "https://avatars.githubusercontent.com/u/115339203",
+    allowEmptyValue: true,
+    required: false,
+    description:
+      "The `https` URL of the avatar of the org, up to 256 characters. Empty to remove the avatar.",
+  },
+  logic: (req) => {
+    const maxLength = 256;
+    const prov = req.query.avatar;
+
+    if (prov === undefined) {
+      return null;
+    }
+
+    if (typeof prov !== "string" || prov.length > maxLength) {
+      return false;
+    }
+
+    if (prov.length === 0) {
+      return prov;
+    }
+
+    try {
+      return new URL(prov).protocol === "https:" ? prov : false;
+    } catch (err) {
+      return false;
+    }
+  },
+};
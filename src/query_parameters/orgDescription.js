@@ -0,0 +1,38 @@
+/**
+ * @function orgDescription
+ * @desc Returns the description of an org's profile.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {string|boolean|null} Returns false if the provided value is invalid.
+ * Returns null if it's nonexistent, leaving the description unchanged. Returns
+ * the description otherwise.
+ */
+
+module.exports = {
+  schema: {
+    name: "description",
+    in: "query",
+    schema: {
+      type: "string",
+    },
+    example: "The packages maintained by the Pulsar team.",
+    allowEmptyValue: true,
+    required: false,
+    description: "The description of the org, up to 1024 characters.",
+  },
+  logic: (req) => {
+    const maxLength = 1024;
+    const prov = req.query.description;
+
+    if (prov === undefined) {
+      return null;
+    }
+
+    if (typeof prov !== "string") {
+      return false;
+    }
+
+    const description = prov.trim();
+
+    return description.length > maxLength ? false : description;
+  },
+};
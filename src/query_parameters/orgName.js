@@ -0,0 +1,27 @@
+/**
+ * @function orgName
+ * @desc Returns the name of the org from the URL Path.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {string|boolean} Returns false if the provided value is invalid.
+ * Returns the org name otherwise, in lowercase.
+ */
+
+const utils = require("./utils.js");
+
+module.exports = {
+  schema: {
+    name: "orgName",
+    in: "path",
+    schema: {
+      type: "string",
+    },
+    example: "pulsar-edit",
+    allowEmptyValue: false,
+    required: true,
+    description:
+      "The name of the org. Made up of letters, numbers, and `-`, without starting with a `-`.",
+  },
+  logic: (req) => {
+    return utils.orgNameValidation(req.params.orgName);
+  },
+};
@@ -0,0 +1,35 @@
+/**
+ * @function orgRole
+ * @desc Returns the role of a member of an org.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {string|boolean} Returns false if the provided value is invalid.
+ * Returns the role otherwise, defaulting to `member`.
+ */
+
+const { ORG_ROLES } = require("../auth.js");
+
+module.exports = {
+  schema: {
+    name: "role",
+    in: "query",
+    schema: {
+      type: "string",
+      enum: ORG_ROLES,
+      default: "member",
+    },
+    example: "owner",
+    allowEmptyValue: false,
+    required: false,
+    description:
+      "The role of the member. An `owner` manages the org, its members, and its packages, while a `member` maintains its packages.",
+  },
+  logic: (req) => {
+    const prov = req.query.role;
+
+    if (prov === undefined) {
+      return "member";
+    }
+
+    return ORG_ROLES.includes(prov) ? prov : false;
+  },
+};
@@ -0,0 +1,29 @@
+/**
+ * @function platform
+ * @desc Parser for the 'platform' query parameter, used to determine which
+ * platform an editor is running on.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {string|boolean} Returns false if the provided value is invalid or
+ * nonexistent. Returns the platform string otherwise.
+ */
+module.exports = {
+  schema: {
+    name: "platform",
+    in: "query",
+    schema: {
+      type: "string",
+      enum: ["darwin", "win32", "linux"],
+    },
+    example: "darwin",
+    required: true,
+    description:
+      "The platform of the editor requesting updates, as reported by `process.platform`.",
+  },
+  logic: (req) => {
+    const valid = ["darwin", "win32", "linux"];
+
+    const prov = req.query.platform;
+
+    return valid.includes(prov) ? prov : false;
+  },
+};
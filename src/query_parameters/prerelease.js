@@ -0,0 +1,31 @@
+/**
+ * @function prerelease
+ * @desc Returns if prerelease versions have been requested alongside releases.
+ * Checking for mixed capitalization.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {boolean} Returns true only if the provided value is `true`, otherwise false.
+ */
+
+module.exports = {
+  schema: {
+    name: "prerelease",
+    in: "query",
+    schema: {
+      type: "boolean",
+    },
+    example: true,
+    allowEmptyValue: false,
+    required: false,
+    description:
+      "Include prerelease versions, which may then be the latest version of the package.",
+  },
+  logic: (req) => {
+    const prov = req.query.prerelease;
+
+    if (typeof prov !== "string") {
+      return false;
+    }
+
+    return prov.trim().toLowerCase() === "true";
+  },
+};
@@ -0,0 +1,38 @@
+/**
+ * @function releaseNotes
+ * @desc Returns the notes of a Pulsar release, shown to users when an update
+ * is offered.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {string|boolean|null} Returns false if the provided value is invalid.
+ *   Returns null if it's nonexistent. Returns the notes otherwise.
+ */
+
+module.exports = {
+  schema: {
+    name: "notes",
+    in: "query",
+    schema: {
+      type: "string",
+    },
+    example: "Fixed a crash on startup.",
+    allowEmptyValue: false,
+    required: false,
+    description: "The release notes, up to 4096 characters.",
+  },
+  logic: (req) => {
+    const maxLength = 4096;
+    const prov = req.query.notes;
+
+    if (prov === undefined) {
+      return null;
+    }
+
+    if (typeof prov !== "string") {
+      return false;
+    }
+
+    const notes = prov.trim();
+
+    return notes.length <= maxLength ? notes : false;
+  },
+};
@@ -0,0 +1,37 @@
+/**
+ * @function releaseUrl
+ * @desc Returns the download URL of the archive of a Pulsar release.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {string|boolean} Returns false if the provided value is invalid or
+ *   nonexistent. Returns the URL otherwise.
+ */
+
+module.exports = {
+  schema: {
+    name: "url",
+    in: "query",
+    schema: {
+      type: "string",
+    },
+    example:
+      "https://github.com/pulsar-edit/pulsar/releases/download/v1.110.0/Pulsar-1.110.0-mac.zip",
+    allowEmptyValue: false,
+    required: true,
+    description:
+      "The `https` download URL of the release archive handed to Squirrel, up to 512 characters.",
+  },
+  logic: (req) => {
+    const maxLength = 512;
+    const prov = req.query.url;
+
+    if (typeof prov !== "string" || prov.length > maxLength) {
+      return false;
+    }
+
+    try {
+      return new URL(prov).protocol === "https:" ? prov : false;
+    } catch (err) {
+      return false;
+    }
+  },
+};
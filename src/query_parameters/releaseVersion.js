@@ -0,0 +1,39 @@
+/**
+ * @function releaseVersion
+ * @desc Returns the version of a Pulsar release being added to, or removed from,
+ * the release catalogue.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {string|boolean} Returns false if the provided value is invalid or
+ *   nonexistent. Returns the version otherwise.
+ */
+
+module.exports = {
+  schema: {
+    name: "version",
+    in: "query",
+    schema: {
+      type: "string",
+    },
+    example: "1.110.0-beta.1",
+    allowEmptyValue: false,
+    required: true,
+    description:
+      "The semver of the release, which may be a prerelease with build metadata.",
+  },
+  logic: (req) => {
+    const maxLength = 256;
+    const prov = req.query.version;
+
+    if (typeof prov !== "string") {
+      return false;
+    }
+
+    const version = prov.trim();
+
+    // The same as the versions of packages, so releases sort by precedence
+    const regex =
+      /^\d+\.\d+\.\d+(-[0-9A-Za-z-]+(\.[0-9A-Za-z-]+)*)?(\+[0-9A-Za-z-]+(\.[0-9A-Za-z-]+)*)?$/;
+
+    return version.length <= maxLength && regex.test(version) ? version : false;
+  },
+};
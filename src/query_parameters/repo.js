@@ -1,9 +1,11 @@
 /**
  * @function repo
  * @desc Parses the 'repository' query parameter, returning it if valid, otherwise returning ''.
+ * The repository can either be an `owner/repo` combo, or the full URL of the repository.
  * @param {object} req - The `Request` object inherited from the Express endpoint.
  * @returns {string} Returning the valid 'repository' query parameter, or '' if invalid.
  */
+const utils = require("./utils.js");
 
 module.exports = {
   schema: {
@@ -15,7 +17,8 @@ module.exports = {
     example: "pulsar-edit/pulsar",
     allowEmptyValue: false,
     required: true,
-    description: "Repository to publish.",
+    description:
+      "Repository to publish. Either an `owner/repo` combo, or the full URL of the repository.",
   },
   logic: (req) => {
     const prov = req.query.repository;
@@ -26,6 +29,16 @@ module.exports = {
 
     const re = /^[-a-zA-Z\d][-\w.]{0,213}\/[-a-zA-Z\d][-\w.]{0,213}$/;
 
+    // A full repository URL, such as `https://gitlab.com/group/subgroup/repo`
+    // or `git@codeberg.org:owner/repo.git`. Only the host, and URL safe path
+    // segments are allowed.
+    const urlRe =
+      /^(?:https?:\/\/[-a-zA-Z\d.:]{1,253}\/|git@[-a-zA-Z\d.]{1,253}:)[-\w.]{1,214}(?:\/[-\w.]{1,214}){1,8}\/?$/;
+
+    if (prov.match(urlRe) !== null && !utils.pathTraversalAttempt(prov)) {
+      return prov;
+    }
+
     // Ensure req is in the format "owner/repo" and
     // owner and repo observe the following rules:
     // - less than or equal to 214 characters
@@ -0,0 +1,30 @@
+/**
+ * @function tokenId
+ * @desc Returns the ID of a registry token from the URL Path.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {number|boolean} Returns false if the provided value is invalid or
+ *   nonexistent. Returns the token ID otherwise.
+ */
+
+module.exports = {
+  schema: {
+    name: "tokenId",
+    in: "path",
+    schema: {
+      type: "integer",
+    },
+    example: 1,
+    allowEmptyValue: false,
+    required: true,
+    description: "The ID of the registry token.",
+  },
+  logic: (req) => {
+    const prov = req.params.tokenId;
+
+    if (typeof prov !== "string" || !/^\d{1,9}$/.test(prov)) {
+      return false;
+    }
+
+    return parseInt(prov, 10);
+  },
+};
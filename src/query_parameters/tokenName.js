@@ -0,0 +1,32 @@
+/**
+ * @function tokenName
+ * @desc Returns the name to give a new registry token.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {string|boolean} Returns false if the provided value is invalid or
+ *   nonexistent. Returns the token name otherwise.
+ */
+
+const utils = require("./utils.js");
+
+module.exports = {
+  schema: {
+    name: "name",
+    in: "query",
+    schema: {
+      type: "string",
+    },
+    example: "github-actions",
+    allowEmptyValue: false,
+    required: true,
+    description: "A name to identify the new token by.",
+  },
+  logic: (req) => {
+    const prov = utils.stringValidation(req.query.name);
+
+    if (prov === false || prov.length === 0) {
+      return false;
+    }
+
+    return prov;
+  },
+};
@@ -0,0 +1,51 @@
+/**
+ * @function tokenPackages
+ * @desc Returns the packages a new registry token should be restricted to,
+ * provided as a comma separated list.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {string[]|null|boolean} Returns false if any package name is invalid.
+ * Returns null when not provided, meaning the token isn't restricted. Returns
+ * the array of lower case package names otherwise.
+ */
+
+const utils = require("./utils.js");
+
+module.exports = {
+  schema: {
+    name: "packages",
+    in: "query",
+    schema: {
+      type: "string",
+    },
+    example: "language-powershell,autocomplete-powershell",
+    allowEmptyValue: false,
+    required: false,
+    description:
+      "A comma separated list of the packages to restrict the token to. Otherwise the token can be used for any package.",
+  },
+  logic: (req) => {
+    const prov = req.query.packages;
+
+    if (prov === undefined) {
+      return null;
+    }
+
+    if (typeof prov !== "string" || utils.pathTraversalAttempt(prov)) {
+      return false;
+    }
+
+    const packages = prov
+      .split(",")
+      .map((pack) => pack.trim().toLowerCase())
+      .filter((pack) => pack.length > 0);
+
+    if (
+      packages.length === 0 ||
+      !packages.every((pack) => /^[\w.-]{1,214}$/.test(pack))
+    ) {
+      return false;
+    }
+
+    return Array.from(new Set(packages));
+  },
+};
@@ -0,0 +1,52 @@
+/**
+ * @function tokenScopes
+ * @desc Returns the scopes to grant a new registry token, provided as a comma
+ * separated list. Every scope is granted when none are provided.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {string[]|boolean} Returns false if any scope provided is invalid.
+ * Returns the array of scopes otherwise.
+ */
+
+const { TOKEN_SCOPES } = require("../auth.js");
+
+module.exports = {
+  schema: {
+    name: "scopes",
+    in: "query",
+    schema: {
+      type: "string",
+    },
+    example: "publish:version,star",
+    allowEmptyValue: false,
+    required: false,
+    description: `A comma separated list of the scopes to grant the token. Any of: ${TOKEN_SCOPES.join(
+      ", "
+    )}. Defaults to all of them.`,
+  },
+  logic: (req) => {
+    const prov = req.query.scopes;
+
+    if (prov === undefined) {
+      return TOKEN_SCOPES;
+    }
+
+    if (typeof prov !== "string") {
+      return false;
+    }
+
+    const scopes = prov
+      .split(",")
+      .map((scope) => scope.trim())
+      .filter((scope) => scope.length > 0);
+
+    if (
+      scopes.length === 0 ||
+      !scopes.every((scope) => TOKEN_SCOPES.includes(scope))
+    ) {
+      return false;
+    }
+
+    // Remove any duplicates
+    return Array.from(new Set(scopes));
+  },
+};
@@ -43,7 +43,75 @@ function pathTraversalAttempt(data) {
   return data.match(check) !== null;
 }
 
+/**
+ * @function enumListValidation
+ * @desc Provides a generic Query Utility that validates a comma separated list
+ * of values, each of which must be one of the allowed values. Values are matched
+ * case insensitively, and returned as they're written within the allowed values.
+ * @param {string} value - The value to check
+ * @param {string[]} allowed - The allowed values.
+ * @returns {string[]|boolean} Returns false if any check fails, otherwise returns
+ * the array of unique values.
+ */
+function enumListValidation(value, allowed) {
+  if (typeof value !== "string") {
+    return false;
+  }
+
+  const values = value
+    .split(",")
+    .map((v) => v.trim().toLowerCase())
+    .filter((v) => v.length > 0)
+    .map((v) => allowed.find((a) => a.toLowerCase() === v));
+
+  if (values.length === 0 || values.includes(undefined)) {
+    return false;
+  }
+
+  // Remove any duplicates
+  return Array.from(new Set(values));
+}
+
+/**
+ * @function distTagValidation
+ * @desc Provides a generic Query Utility that validates the name of a dist-tag.
+ * A dist-tag must start with a letter, so that it's never mistaken for a version,
+ * followed by lowercase letters, numbers, `.`, `_`, or `-`.
+ * @param {string} value - The value to check
+ * @returns {string|boolean} Returns false if any check fails, otherwise returns
+ * the valid dist-tag.
+ */
+function distTagValidation(value) {
+  if (typeof value !== "string") {
+    return false;
+  }
+
+  return /^[a-z][a-z0-9._-]{0,63}$/.test(value) ? value : false;
+}
+
+/**
+ * @function orgNameValidation
+ * @desc Provides a generic Query Utility that validates the name of an org.
+ * Org names are matched case insensitively, and made up of lowercase letters,
+ * numbers, and `-`, without starting with a `-`.
+ * @param {string} value - The value to check
+ * @returns {string|boolean} Returns false if any check fails, otherwise returns
+ * the valid org name in lowercase.
+ */
+function orgNameValidation(value) {
+  if (typeof value !== "string") {
+    return false;
+  }
+
+  const prov = value.trim().toLowerCase();
+
+  return /^[a-z0-9][a-z0-9-]{0,63}$/.test(prov) ? prov : false;
+}
+
 module.exports = {
   stringValidation,
+  enumListValidation,
   pathTraversalAttempt,
+  distTagValidation,
+  orgNameValidation,
 };
@@ -0,0 +1,42 @@
+/**
+ * @function vcsService
+ * @desc Parses the 'service' query parameter used during publication, which
+ * declares the VCS service a repository is hosted on. Common names of a service
+ * are converted into the type returned by `vcs.determineProvider()`.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {string|boolean} Returns false if the value is nonexistent. Returns
+ * the service type otherwise, which may still be unsupported.
+ */
+const utils = require("./utils.js");
+
+const aliases = {
+  github: "git",
+  gitlab: "lab",
+  gitea: "berg",
+  forgejo: "berg",
+  codeberg: "berg",
+};
+
+module.exports = {
+  schema: {
+    name: "service",
+    in: "query",
+    schema: {
+      type: "string",
+      enum: ["github", "gitlab", "gitea", "forgejo", "codeberg"],
+    },
+    example: "gitlab",
+    allowEmptyValue: true,
+    description:
+      "The VCS service the repository is hosted on, when not providing a full repository URL. Defaults to GitHub.",
+  },
+  logic: (req) => {
+    const prov = utils.stringValidation(req.query.service);
+
+    if (prov === false || prov.length === 0) {
+      return false;
+    }
+
+    return aliases[prov.toLowerCase()] ?? prov.toLowerCase();
+  },
+};
@@ -1,16 +1,31 @@
+/**
+ * @function versionName
+ * @desc Returns the version being accessed from the URL Path. Which may be
+ * either a semver, or the dist-tag of a version.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {string|boolean} Returns false if the provided value is neither a
+ * valid semver nor dist-tag. Returns the valid value otherwise.
+ */
+
 const engine = require("./engine.js").logic;
+const utils = require("./utils.js");
 
 module.exports = {
   schema: {
     name: "versionName",
     in: "path",
     schema: {
-      type: 'string"',
+      type: "string",
     },
     required: true,
     allowEmptyValue: false,
     example: "1.0.0",
-    description: "The version of the package to access",
+    description:
+      "The version of the package to access. Either a semver, or a dist-tag like `latest` or `beta`.",
+  },
+  logic: (req) => {
+    const prov = req.params.versionName;
+
+    return engine(prov) || utils.distTagValidation(prov);
   },
-  logic: engine,
 };
@@ -0,0 +1,39 @@
+/**
+ * @function webhookActive
+ * @desc Returns if a webhook should be active, receiving events. Checking for
+ * mixed capitalization.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {boolean|null} Returns true or false if the provided value is `true`
+ * or `false`. Returns null otherwise, leaving the webhook unchanged.
+ */
+
+module.exports = {
+  schema: {
+    name: "active",
+    in: "query",
+    schema: {
+      type: "boolean",
+    },
+    example: false,
+    allowEmptyValue: false,
+    required: false,
+    description:
+      "If the webhook receives events. An inactive webhook is kept, along with its delivery history.",
+  },
+  logic: (req) => {
+    const prov = req.query.active;
+
+    if (typeof prov !== "string") {
+      return null;
+    }
+
+    switch (prov.trim().toLowerCase()) {
+      case "true":
+        return true;
+      case "false":
+        return false;
+      default:
+        return null;
+    }
+  },
+};
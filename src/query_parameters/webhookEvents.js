@@ -0,0 +1,52 @@
+/**
+ * @function webhookEvents
+ * @desc Returns the events a webhook subscribes to, provided as a comma
+ * separated list.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {string[]|boolean|null} Returns false if any event provided is
+ * invalid. Returns null if it's nonexistent. Returns the array of events otherwise.
+ */
+
+const { WEBHOOK_EVENTS } = require("../webhook.js");
+
+module.exports = {
+  schema: {
+    name: "events",
+    in: "query",
+    schema: {
+      type: "string",
+    },
+    example: "publish,version",
+    allowEmptyValue: false,
+    required: false,
+    description: `A comma separated list of the events to subscribe to. Any of: ${WEBHOOK_EVENTS.join(
+      ", "
+    )}. Required when creating a webhook.`,
+  },
+  logic: (req) => {
+    const prov = req.query.events;
+
+    if (prov === undefined) {
+      return null;
+    }
+
+    if (typeof prov !== "string") {
+      return false;
+    }
+
+    const events = prov
+      .split(",")
+      .map((event) => event.trim().toLowerCase())
+      .filter((event) => event.length > 0);
+
+    if (
+      events.length === 0 ||
+      !events.every((event) => WEBHOOK_EVENTS.includes(event))
+    ) {
+      return false;
+    }
+
+    // Remove any duplicates
+    return Array.from(new Set(events));
+  },
+};
@@ -0,0 +1,30 @@
+/**
+ * @function webhookId
+ * @desc Returns the ID of a webhook from the URL Path.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {number|boolean} Returns false if the provided value is invalid or
+ *   nonexistent. Returns the webhook ID otherwise.
+ */
+
+module.exports = {
+  schema: {
+    name: "webhookId",
+    in: "path",
+    schema: {
+      type: "integer",
+    },
+    example: 1,
+    allowEmptyValue: false,
+    required: true,
+    description: "The ID of the webhook.",
+  },
+  logic: (req) => {
+    const prov = req.params.webhookId;
+
+    if (typeof prov !== "string" || !/^\d{1,9}$/.test(prov)) {
+      return false;
+    }
+
+    return parseInt(prov, 10);
+  },
+};
@@ -0,0 +1,44 @@
+/**
+ * @function webhookPackage
+ * @desc Returns the package a new webhook should be limited to.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {string|boolean|null} Returns false if the package name is invalid.
+ * Returns null when not provided, meaning the webhook isn't limited to a package.
+ * Returns the lower case package name otherwise.
+ */
+
+const utils = require("./utils.js");
+
+module.exports = {
+  schema: {
+    name: "package",
+    in: "query",
+    schema: {
+      type: "string",
+    },
+    example: "language-powershell",
+    allowEmptyValue: false,
+    required: false,
+    description:
+      "The package to limit the webhook to. Otherwise the webhook receives the events of any package.",
+  },
+  logic: (req) => {
+    const prov = req.query.package;
+
+    if (prov === undefined) {
+      return null;
+    }
+
+    if (typeof prov !== "string" || utils.pathTraversalAttempt(prov)) {
+      return false;
+    }
+
+    const pack = prov.trim().toLowerCase();
+
+    if (!/^[\w.-]{1,214}$/.test(pack)) {
+      return false;
+    }
+
+    return pack;
+  },
+};
@@ -0,0 +1,40 @@
+/**
+ * @function webhookUrl
+ * @desc Returns the URL events are delivered to for a webhook.
+ * @param {object} req - The `Request` object inherited from the Express endpoint.
+ * @returns {string|boolean|null} Returns false if the provided value is invalid.
+ * Returns null if it's nonexistent. Returns the URL otherwise.
+ */
+
+module.exports = {
+  schema: {
+    name: "url",
+    in: "query",
+    schema: {
+      type: "string",
+    },
+    example: "https://example.com/pulsar/webhook",
+    allowEmptyValue: false,
+    required: false,
+    description:
+      "The `https` URL to deliver events to, up to 256 characters, which must be a public address. Required when creating a webhook.",
+  },
+  logic: (req) => {
+    const maxLength = 256;
+    const prov = req.query.url;
+
+    if (prov === undefined) {
+      return null;
+    }
+
+    if (typeof prov !== "string" || prov.length > maxLength) {
+      return false;
+    }
+
+    try {
+      return new URL(prov).protocol === "https:" ? prov : false;
+    } catch (err) {
+      return false;
+    }
+  },
+};
@@ -8,6 +8,8 @@ const app = require("./setupEndpoints.js");
 const { port } = require("./config.js").getConfig();
 const logger = require("./logger.js");
 const database = require("./database.js");
+const health = require("./health.js");
+const webhook = require("./webhook.js");
 
 if (process.env.PULSAR_STATUS === "dev") {
   logger.generic(3, "Pulsar Server is in Development Mode!");
@@ -17,6 +19,9 @@ const serve = app.listen(port, () => {
   logger.generic(4, `Pulsar Server Listening on port ${port}`);
 });
 
+health.start();
+webhook.start();
+
 process.on("SIGTERM", async () => {
   await exterminate("SIGTERM");
 });
@@ -34,6 +39,8 @@ process.on("SIGINT", async () => {
  */
 async function exterminate(callee) {
   console.log(`${callee} signal received: closing HTTP server.`);
+  health.stop();
+  webhook.stop();
   await database.shutdownSQL();
   console.log("Exiting...");
   serve.close(() => {
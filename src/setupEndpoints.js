@@ -96,6 +96,9 @@ const endpointHandler = async function (node, req, res) {
 
 const pathOptions = [];
 
+// Endpoints receiving signed deliveries need the exact body that was signed
+const rawBody = express.raw({ type: () => true, limit: "5mb" });
+
 for (const node of endpoints) {
   for (const path of node.endpoint.paths) {
     let limiter = genericLimit;
@@ -106,6 +109,8 @@ for (const node of endpoints) {
       limiter = genericLimit;
     }
 
+    const middleware = node.endpoint.rawBody ? [limiter, rawBody] : [limiter];
+
     if (!pathOptions.includes(path)) {
       app.options(path, genericLimit, async (req, res) => {
         res.header(node.endpoint.options);
@@ -118,17 +123,22 @@ for (const node of endpoints) {
 
     switch (node.endpoint.method) {
       case "GET":
-        app.get(path, limiter, async (req, res) => {
+        app.get(path, ...middleware, async (req, res) => {
           await endpointHandler(node, req, res);
         });
         break;
       case "POST":
-        app.post(path, limiter, async (req, res) => {
+        app.post(path, ...middleware, async (req, res) => {
+          await endpointHandler(node, req, res);
+        });
+        break;
+      case "PUT":
+        app.put(path, ...middleware, async (req, res) => {
           await endpointHandler(node, req, res);
         });
         break;
       case "DELETE":
-        app.delete(path, limiter, async (req, res) => {
+        app.delete(path, ...middleware, async (req, res) => {
           await endpointHandler(node, req, res);
         });
         break;
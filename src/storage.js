@@ -2,73 +2,89 @@
  * @module storage
  * @desc This module is the second generation of data storage methodology,
  * in which this provides static access to files stored within regular cloud
- * file storage. Specifically intended for use with Google Cloud Storage.
+ * file storage. The service files are kept on is determined by the configured
+ * Storage Driver, being either Google Cloud Storage, the local filesystem, or
+ * any S3-compatible service.
  */
 
-const { Storage } = require("@google-cloud/storage");
 const logger = require("./logger.js");
 const { CacheObject } = require("./cache.js");
 const sso = require("./models/sso.js");
-const { GCLOUD_STORAGE_BUCKET, GOOGLE_APPLICATION_CREDENTIALS } =
+const { STORAGE_DRIVER, GOOGLE_APPLICATION_CREDENTIALS } =
   require("./config.js").getConfig();
 
-let gcsStorage;
+const drivers = {
+  gcs: require("./storage_drivers/gcs.js"),
+  local: require("./storage_drivers/local.js"),
+  s3: require("./storage_drivers/s3.js"),
+};
+
+let storageDriver;
 let cachedBanlist, cachedFeaturedlist, cachedThemelist;
 
 /**
- * @function setupGCS
- * @desc Sets up the Google Cloud Storage Class, to ensure its ready to use.
- * @returns {object} - A new Google Cloud Storage instance.
+ * @function setupDriver
+ * @desc Sets up the configured Storage Driver, to ensure its ready to use.
+ * When no driver is configured, the local filesystem is used while running
+ * locally or during tests, otherwise Google Cloud Storage.
+ * @returns {object} - A new Storage Driver instance.
  */
-function setupGCS() {
-  return new Storage({
-    keyFilename: GOOGLE_APPLICATION_CREDENTIALS,
-  });
-}
+function setupDriver() {
+  let driver = STORAGE_DRIVER;
 
-async function getGcpContent(file) {
-  if (
-    GOOGLE_APPLICATION_CREDENTIALS === "nofile" ||
-    process.env.PULSAR_STATUS === "dev"
-  ) {
-    // This catches the instance when tests are being run, without access
-    // or good reason to reach to 3rd party servers.
-    // We will instead return local data
+  if (typeof driver !== "string" || driver.length === 0) {
     // Setting GOOGLE_APPLICATION_CREDENTIALS to "nofile" will be the recommended
     // method for running locally.
-    const fs = require("fs");
-    const path = require("path");
-
-    const contents = fs.readFileSync(path.resolve(`./docs/resources/${file}`), {
-      encoding: "utf8",
-    });
-    return contents;
-  } else {
-    // This is a production request
-    gcsStorage ??= setupGCS();
-
-    const contents = await gcsStorage
-      .bucket(GCLOUD_STORAGE_BUCKET)
-      .file(file)
-      .download();
-
-    return contents;
+    driver =
+      GOOGLE_APPLICATION_CREDENTIALS === "nofile" ||
+      process.env.PULSAR_STATUS === "dev"
+        ? "local"
+        : "gcs";
+  }
+
+  if (drivers[driver] === undefined) {
+    throw new Error(`Unsupported Storage Driver: ${driver}`);
   }
+
+  logger.generic(5, `Using the ${driver} Storage Driver.`);
+
+  return new drivers[driver]();
+}
+
+/**
+ * @async
+ * @function getContent
+ * @desc Returns the text contents of a file from the configured Storage Driver.
+ * Throwing if it can't be read, so that each cached list can handle it alike.
+ * @param {string} file - The name of the file.
+ * @returns {string} The contents of the file.
+ */
+async function getContent(file) {
+  storageDriver ??= setupDriver();
+
+  const contents = await storageDriver.get(file);
+
+  if (!contents.ok) {
+    throw contents;
+  }
+
+  return contents.content.toString();
 }
 
 /**
  * @async
  * @function getBanList
- * @desc Reads the ban list from the Google Cloud Storage Space.
+ * @desc Reads the ban list from storage.
  * Returning the cached parsed JSON object.
  * If it has been read before during this instance of hosting just the cached
  * version is returned.
- * @returns {Array} Parsed JSON Array of all Banned Packages.
+ * @returns {Array} Parsed JSON Array of all Banned Packages. Each entry is
+ * either a banned name, or an object describing a ban pattern.
  */
 async function getBanList() {
   const getNew = async function () {
     try {
-      const contents = await getGcpContent("name_ban_list.json");
+      const contents = await getContent("name_ban_list.json");
 
       cachedBanlist = new CacheObject(JSON.parse(contents));
       cachedBanlist.last_validate = Date.now();
@@ -77,7 +93,7 @@ async function getBanList() {
       return new sso()
         .notOk()
         .addShort("server_error")
-        .addCalls("getGcpContent", err);
+        .addCalls("getContent", err);
     }
   };
 
@@ -98,14 +114,15 @@ async function getBanList() {
 /**
  * @async
  * @function getFeaturedPackages
- * @desc Returns the hardcoded featured packages file from Google Cloud Storage.
+ * @desc Returns the featured packages file from storage.
  * Caching the object once read for this instance of the server run.
- * @returns {Array} Parsed JSON Array of all Featured Packages.
+ * @returns {Array} Parsed JSON Array of all Featured Packages. Each entry is
+ * either a package name, or an object with the `name` and `expires` date.
  */
 async function getFeaturedPackages() {
   const getNew = async function () {
     try {
-      const contents = await getGcpContent("featured_packages.json");
+      const contents = await getContent("featured_packages.json");
 
       cachedFeaturedlist = new CacheObject(JSON.parse(contents));
       cachedFeaturedlist.last_validate = Date.now();
@@ -114,7 +131,7 @@ async function getFeaturedPackages() {
       return new sso()
         .notOk()
         .addShort("server_error")
-        .addCalls("getGcpContent", err);
+        .addCalls("getContent", err);
     }
   };
 
@@ -135,13 +152,14 @@ async function getFeaturedPackages() {
 /**
  * @async
  * @function getFeaturedThemes
- * @desc Used to retrieve Google Cloud Storage Object for featured themes.
- * @returns {Array} JSON Parsed Array of Featured Theme Names.
+ * @desc Used to retrieve the featured themes file from storage.
+ * @returns {Array} JSON Parsed Array of Featured Themes. Each entry is either
+ * a theme name, or an object with the `name` and `expires` date.
  */
 async function getFeaturedThemes() {
   const getNew = async function () {
     try {
-      const contents = await getGcpContent("featured_themes.json");
+      const contents = await getContent("featured_themes.json");
 
       cachedThemelist = new CacheObject(JSON.parse(contents));
       cachedThemelist.last_validate = Date.now();
@@ -150,7 +168,7 @@ async function getFeaturedThemes() {
       return new sso()
         .notOk()
         .addShort("server_error")
-        .addCalls("getGcpContent", err);
+        .addCalls("getContent", err);
     }
   };
 
@@ -168,8 +186,181 @@ async function getFeaturedThemes() {
   return getNew();
 }
 
+/**
+ * @async
+ * @function putContent
+ * @desc Writes a parsed JSON list back to the configured Storage Driver.
+ * @param {string} file - The name of the file.
+ * @param {Array} list - The list to write.
+ * @returns {object} A Server Status Object, whose content is the list written.
+ */
+async function putContent(file, list) {
+  storageDriver ??= setupDriver();
+
+  const stored = await storageDriver.put(
+    file,
+    `${JSON.stringify(list, null, 2)}\n`,
+    "application/json"
+  );
+
+  if (!stored.ok) {
+    return new sso()
+      .notOk()
+      .addShort("server_error")
+      .addCalls("storageDriver.put", stored);
+  }
+
+  return new sso().isOk().addContent(list);
+}
+
+/**
+ * @async
+ * @function putBanList
+ * @desc Replaces the ban list in storage, invalidating the cached ban list so
+ * the change applies immediately.
+ * @param {Array} list - The entries of the ban list.
+ * @returns {object} A Server Status Object.
+ */
+async function putBanList(list) {
+  const stored = await putContent("name_ban_list.json", list);
+
+  cachedBanlist?.invalidate();
+  return stored;
+}
+
+/**
+ * @async
+ * @function putFeaturedPackages
+ * @desc Replaces the featured packages in storage, invalidating the cached
+ * featured packages so the change applies immediately.
+ * @param {Array} list - The entries of the featured packages.
+ * @returns {object} A Server Status Object.
+ */
+async function putFeaturedPackages(list) {
+  const stored = await putContent("featured_packages.json", list);
+
+  cachedFeaturedlist?.invalidate();
+  return stored;
+}
+
+/**
+ * @async
+ * @function putFeaturedThemes
+ * @desc Replaces the featured themes in storage, invalidating the cached
+ * featured themes so the change applies immediately.
+ * @param {Array} list - The entries of the featured themes.
+ * @returns {object} A Server Status Object.
+ */
+async function putFeaturedThemes(list) {
+  const stored = await putContent("featured_themes.json", list);
+
+  cachedThemelist?.invalidate();
+  return stored;
+}
+
+/**
+ * @async
+ * @function getFeaturedList
+ * @desc Returns either the featured packages or featured themes.
+ * @param {string} featuredType - Either `packages` or `themes`.
+ * @returns {object} A Server Status Object, as returned by `getFeaturedPackages()`
+ * or `getFeaturedThemes()`.
+ */
+async function getFeaturedList(featuredType) {
+  return featuredType === "themes"
+    ? await getFeaturedThemes()
+    : await getFeaturedPackages();
+}
+
+/**
+ * @async
+ * @function putFeaturedList
+ * @desc Replaces either the featured packages or featured themes.
+ * @param {string} featuredType - Either `packages` or `themes`.
+ * @param {Array} list - The entries of the featured list.
+ * @returns {object} A Server Status Object.
+ */
+async function putFeaturedList(featuredType, list) {
+  return featuredType === "themes"
+    ? await putFeaturedThemes(list)
+    : await putFeaturedPackages(list);
+}
+
+/**
+ * @function tarballPath
+ * @desc Returns the path a package version's tarball is stored at.
+ * @param {string} packName - The name of the package.
+ * @param {string} version - The semver of the version.
+ * @returns {string} The path of the tarball within the bucket.
+ */
+function tarballPath(packName, version) {
+  return `tarballs/${packName}/${version}.tgz`;
+}
+
+/**
+ * @async
+ * @function putPackageTarball
+ * @desc Stores the tarball of a package version, so that it can be served
+ * without relying on the VCS service it was published from.
+ * @param {string} packName - The name of the package.
+ * @param {string} version - The semver of the version.
+ * @param {Buffer} data - The contents of the tarball.
+ * @returns {object} A Server Status Object, whose content is the path the
+ * tarball was stored at.
+ */
+async function putPackageTarball(packName, version, data) {
+  storageDriver ??= setupDriver();
+
+  const stored = await storageDriver.put(
+    tarballPath(packName, version),
+    data,
+    "application/gzip"
+  );
+
+  if (!stored.ok) {
+    return new sso()
+      .notOk()
+      .addShort("server_error")
+      .addCalls("storageDriver.put", stored);
+  }
+
+  return new sso().isOk().addContent(stored.content);
+}
+
+/**
+ * @async
+ * @function getPackageTarball
+ * @desc Retrieves the stored tarball of a package version.
+ * @param {string} packName - The name of the package.
+ * @param {string} version - The semver of the version.
+ * @returns {object} A Server Status Object, whose content is the Buffer of the
+ * tarball.
+ */
+async function getPackageTarball(packName, version) {
+  storageDriver ??= setupDriver();
+
+  const tarball = await storageDriver.get(tarballPath(packName, version));
+
+  if (!tarball.ok) {
+    return new sso()
+      .notOk()
+      .addShort(tarball.short)
+      .addCalls("storageDriver.get", tarball)
+      .addMessage(`No tarball is stored for ${packName}@${version}.`);
+  }
+
+  return new sso().isOk().addContent(tarball.content);
+}
+
 module.exports = {
   getBanList,
   getFeaturedPackages,
   getFeaturedThemes,
+  putBanList,
+  putFeaturedPackages,
+  putFeaturedThemes,
+  getFeaturedList,
+  putFeaturedList,
+  putPackageTarball,
+  getPackageTarball,
 };
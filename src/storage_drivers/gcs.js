@@ -0,0 +1,115 @@
+/**
+ * @module GCS
+ * @desc A Storage Driver to allow `storage.js` to keep files within Google Cloud Storage.
+ */
+
+const { Storage } = require("@google-cloud/storage");
+const { GCLOUD_STORAGE_BUCKET, GOOGLE_APPLICATION_CREDENTIALS } =
+  require("../config.js").getConfig();
+
+/**
+ * @class GCS
+ * @classdesc The GCS class stores each file as an object within a single
+ * Google Cloud Storage bucket.
+ */
+class GCS {
+  // Private properties:
+  #storage;
+
+  constructor(opts) {
+    this.bucket = opts?.bucket ?? GCLOUD_STORAGE_BUCKET;
+    this.keyFilename = opts?.keyFilename ?? GOOGLE_APPLICATION_CREDENTIALS;
+  }
+
+  /**
+   * @function _bucket
+   * @desc Internal util that lazily creates the Google Cloud Storage client,
+   * returning the bucket files are kept in.
+   * @returns {object} The Google Cloud Storage Bucket.
+   */
+  _bucket() {
+    this.#storage ??= new Storage({ keyFilename: this.keyFilename });
+    return this.#storage.bucket(this.bucket);
+  }
+
+  /**
+   * @async
+   * @function get
+   * @desc Returns the contents of a file.
+   * @param {string} file - The name of the file.
+   * @returns {object} A Server Status Object, whose content is the Buffer of the file.
+   */
+  async get(file) {
+    try {
+      const contents = await this._bucket().file(file).download();
+
+      return { ok: true, content: contents[0] };
+    } catch (err) {
+      return {
+        ok: false,
+        short: err?.code === 404 ? "not_found" : "server_error",
+        content: err,
+      };
+    }
+  }
+
+  /**
+   * @async
+   * @function put
+   * @desc Writes the contents of a file, replacing any that already exists.
+   * @param {string} file - The name of the file.
+   * @param {Buffer|string} data - The contents of the file.
+   * @param {string} [contentType] - The content type the file is served with.
+   * @returns {object} A Server Status Object, whose content is the name of the file.
+   */
+  async put(file, data, contentType) {
+    try {
+      await this._bucket()
+        .file(file)
+        .save(data, {
+          contentType: contentType ?? "application/octet-stream",
+          resumable: false,
+        });
+
+      return { ok: true, content: file };
+    } catch (err) {
+      return { ok: false, short: "server_error", content: err };
+    }
+  }
+
+  /**
+   * @async
+   * @function list
+   * @desc Returns the name of every file that begins with the prefix.
+   * @param {string} prefix - The prefix of the files to list.
+   * @returns {object} A Server Status Object, whose content is an array of file names.
+   */
+  async list(prefix) {
+    try {
+      const files = await this._bucket().getFiles({ prefix: prefix });
+
+      return { ok: true, content: files[0].map((f) => f.name) };
+    } catch (err) {
+      return { ok: false, short: "server_error", content: err };
+    }
+  }
+
+  /**
+   * @async
+   * @function delete
+   * @desc Removes a file, succeeding even if it doesn't exist.
+   * @param {string} file - The name of the file.
+   * @returns {object} A Server Status Object, whose content is the name of the file.
+   */
+  async delete(file) {
+    try {
+      await this._bucket().file(file).delete({ ignoreNotFound: true });
+
+      return { ok: true, content: file };
+    } catch (err) {
+      return { ok: false, short: "server_error", content: err };
+    }
+  }
+}
+
+module.exports = GCS;
@@ -0,0 +1,148 @@
+/**
+ * @module Local
+ * @desc A Storage Driver to allow `storage.js` to keep files on the local filesystem.
+ */
+
+const fs = require("fs/promises");
+const path = require("path");
+const { STORAGE_LOCAL_PATH } = require("../config.js").getConfig();
+
+/**
+ * @class Local
+ * @classdesc The Local class stores each file within a single directory,
+ * where any `/` within the name of a file creates a subdirectory.
+ */
+class Local {
+  constructor(opts) {
+    this.root = path.resolve(opts?.path ?? STORAGE_LOCAL_PATH);
+  }
+
+  /**
+   * @function _path
+   * @desc Internal util that returns the path of a file on disk, refusing any
+   * name that would escape the storage directory.
+   * @param {string} file - The name of the file.
+   * @returns {string} The absolute path of the file.
+   */
+  _path(file) {
+    const full = path.resolve(this.root, file);
+
+    if (!full.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid file name: ${file}`);
+    }
+
+    return full;
+  }
+
+  /**
+   * @async
+   * @function get
+   * @desc Returns the contents of a file.
+   * @param {string} file - The name of the file.
+   * @returns {object} A Server Status Object, whose content is the Buffer of the file.
+   */
+  async get(file) {
+    try {
+      return { ok: true, content: await fs.readFile(this._path(file)) };
+    } catch (err) {
+      return {
+        ok: false,
+        short: err?.code === "ENOENT" ? "not_found" : "server_error",
+        content: err,
+      };
+    }
+  }
+
+  /**
+   * @async
+   * @function put
+   * @desc Writes the contents of a file, replacing any that already exists.
+   * @param {string} file - The name of the file.
+   * @param {Buffer|string} data - The contents of the file.
+   * @returns {object} A Server Status Object, whose content is the name of the file.
+   */
+  async put(file, data) {
+    try {
+      const full = this._path(file);
+
+      await fs.mkdir(path.dirname(full), { recursive: true });
+      await fs.writeFile(full, data);
+
+      return { ok: true, content: file };
+    } catch (err) {
+      return { ok: false, short: "server_error", content: err };
+    }
+  }
+
+  /**
+   * @async
+   * @function list
+   * @desc Returns the name of every file that begins with the prefix.
+   * @param {string} prefix - The prefix of the files to list.
+   * @returns {object} A Server Status Object, whose content is an array of file names.
+   */
+  async list(prefix) {
+    const walk = async (dir) => {
+      let files = [];
+      let entries;
+
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+      } catch (err) {
+        if (err.code === "ENOENT") {
+          return files;
+        }
+        throw err;
+      }
+
+      for (const entry of entries) {
+        const full = path.join(dir, entry.name);
+
+        if (entry.isDirectory()) {
+          files = files.concat(await walk(full));
+        } else {
+          files.push(path.relative(this.root, full).split(path.sep).join("/"));
+        }
+      }
+
+      return files;
+    };
+
+    try {
+      // Only the directory holding the prefix needs to be walked
+      const dir = path.resolve(this.root, path.dirname(`${prefix}_`));
+
+      if (dir !== this.root && !dir.startsWith(this.root + path.sep)) {
+        return { ok: true, content: [] };
+      }
+
+      const files = await walk(dir);
+
+      return {
+        ok: true,
+        content: files.filter((f) => f.startsWith(prefix)).sort(),
+      };
+    } catch (err) {
+      return { ok: false, short: "server_error", content: err };
+    }
+  }
+
+  /**
+   * @async
+   * @function delete
+   * @desc Removes a file, succeeding even if it doesn't exist.
+   * @param {string} file - The name of the file.
+   * @returns {object} A Server Status Object, whose content is the name of the file.
+   */
+  async delete(file) {
+    try {
+      await fs.rm(this._path(file), { force: true });
+
+      return { ok: true, content: file };
+    } catch (err) {
+      return { ok: false, short: "server_error", content: err };
+    }
+  }
+}
+
+module.exports = Local;
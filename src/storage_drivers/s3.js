@@ -0,0 +1,303 @@
+/**
+ * @module S3
+ * @desc A Storage Driver to allow `storage.js` to keep files within any
+ * S3-compatible service, such as AWS S3 or MinIO.
+ */
+
+const superagent = require("superagent");
+const crypto = require("crypto");
+const {
+  S3_ENDPOINT,
+  S3_REGION,
+  S3_BUCKET,
+  S3_ACCESS_KEY_ID,
+  S3_SECRET_ACCESS_KEY,
+} = require("../config.js").getConfig();
+
+/**
+ * @function encode
+ * @desc URI encodes a value as required by AWS Signature Version 4, which
+ * escapes more characters than `encodeURIComponent`.
+ * @param {string} val - The value to encode.
+ * @returns {string} The encoded value.
+ */
+function encode(val) {
+  return encodeURIComponent(val).replace(
+    /[!'()*]/g,
+    (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+}
+
+/**
+ * @function sha256
+ * @param {Buffer|string} data - The data to hash.
+ * @returns {string} The hex encoded SHA-256 digest of the data.
+ */
+function sha256(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+/**
+ * @function hmac
+ * @param {Buffer|string} key - The key to sign with.
+ * @param {string} data - The data to sign.
+ * @returns {Buffer} The HMAC-SHA256 of the data.
+ */
+function hmac(key, data) {
+  return crypto.createHmac("sha256", key).update(data).digest();
+}
+
+/**
+ * @class S3
+ * @classdesc The S3 class stores each file as an object within a single bucket,
+ * addressed with path-style URLs, so that it works the same with AWS and any
+ * self-hosted service.
+ */
+class S3 {
+  constructor(opts) {
+    this.endpoint = (opts?.endpoint ?? S3_ENDPOINT ?? "").replace(/\/$/, "");
+    this.region = opts?.region ?? S3_REGION;
+    this.bucket = opts?.bucket ?? S3_BUCKET;
+    this.accessKeyId = opts?.accessKeyId ?? S3_ACCESS_KEY_ID;
+    this.secretAccessKey = opts?.secretAccessKey ?? S3_SECRET_ACCESS_KEY;
+  }
+
+  /**
+   * @function _sign
+   * @desc Internal util that returns the headers needed to authenticate a
+   * request using AWS Signature Version 4.
+   * @param {string} method - The HTTP method of the request.
+   * @param {URL} url - The URL of the request.
+   * @param {string} payloadHash - The hex SHA-256 of the body of the request.
+   * @param {Date} [date] - The time of the request, defaulting to now.
+   * @returns {object} The headers to set on the request.
+   * @see https://docs.aws.amazon.com/AmazonS3/latest/API/sig-v4-header-based-auth.html
+   */
+  _sign(method, url, payloadHash, date = new Date()) {
+    const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, "");
+    const day = amzDate.slice(0, 8);
+    const scope = `${day}/${this.region}/s3/aws4_request`;
+
+    const query = [...url.searchParams.entries()]
+      .map(([key, val]) => [encode(key), encode(val)])
+      .sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0))
+      .map(([key, val]) => `${key}=${val}`)
+      .join("&");
+
+    const headers = {
+      host: url.host,
+      "x-amz-content-sha256": payloadHash,
+      "x-amz-date": amzDate,
+    };
+    const signedHeaders = Object.keys(headers).join(";");
+
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      query,
+      ...Object.keys(headers).map((key) => `${key}:${headers[key]}`),
+      "",
+      signedHeaders,
+      payloadHash,
+    ].join("\n");
+
+    const stringToSign = [
+      "AWS4-HMAC-SHA256",
+      amzDate,
+      scope,
+      sha256(canonicalRequest),
+    ].join("\n");
+
+    let key = hmac(`AWS4${this.secretAccessKey}`, day);
+    key = hmac(key, this.region);
+    key = hmac(key, "s3");
+    key = hmac(key, "aws4_request");
+
+    const signature = crypto
+      .createHmac("sha256", key)
+      .update(stringToSign)
+      .digest("hex");
+
+    return {
+      "x-amz-content-sha256": payloadHash,
+      "x-amz-date": amzDate,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+    };
+  }
+
+  /**
+   * @function _url
+   * @desc Internal util that returns the URL of a file within the bucket.
+   * @param {string} [file] - The name of the file, or nothing for the bucket itself.
+   * @returns {URL} The URL of the file.
+   */
+  _url(file) {
+    const key =
+      typeof file === "string"
+        ? `/${file.split("/").map(encode).join("/")}`
+        : "";
+
+    return new URL(`${this.endpoint}/${encode(this.bucket)}${key}`);
+  }
+
+  /**
+   * @async
+   * @function _request
+   * @desc Internal util that sends a signed request to the S3 service.
+   * @param {string} method - The HTTP method of the request.
+   * @param {URL} url - The URL of the request.
+   * @param {object} [opts] - The `body` and `contentType` of the request.
+   * @returns {object} The raw `superagent` response, whatever its status.
+   */
+  async _request(method, url, opts = {}) {
+    const body = opts.body ?? "";
+    const headers = this._sign(method, url, sha256(body));
+
+    let req = superagent(method, url.toString())
+      .set(headers)
+      .responseType("blob")
+      .ok(() => true);
+
+    if (typeof opts.contentType === "string") {
+      req = req.set("Content-Type", opts.contentType);
+    }
+
+    if (method === "PUT") {
+      req = req.send(body);
+    }
+
+    return await req;
+  }
+
+  /**
+   * @async
+   * @function get
+   * @desc Returns the contents of a file.
+   * @param {string} file - The name of the file.
+   * @returns {object} A Server Status Object, whose content is the Buffer of the file.
+   */
+  async get(file) {
+    try {
+      const res = await this._request("GET", this._url(file));
+
+      if (res.status === 404) {
+        return { ok: false, short: "not_found", content: res.status };
+      }
+
+      if (res.status !== 200) {
+        return { ok: false, short: "server_error", content: res.status };
+      }
+
+      return { ok: true, content: res.body };
+    } catch (err) {
+      return { ok: false, short: "server_error", content: err };
+    }
+  }
+
+  /**
+   * @async
+   * @function put
+   * @desc Writes the contents of a file, replacing any that already exists.
+   * @param {string} file - The name of the file.
+   * @param {Buffer|string} data - The contents of the file.
+   * @param {string} [contentType] - The content type the file is served with.
+   * @returns {object} A Server Status Object, whose content is the name of the file.
+   */
+  async put(file, data, contentType) {
+    try {
+      const res = await this._request("PUT", this._url(file), {
+        body: Buffer.from(data),
+        contentType: contentType ?? "application/octet-stream",
+      });
+
+      if (res.status !== 200) {
+        return { ok: false, short: "server_error", content: res.status };
+      }
+
+      return { ok: true, content: file };
+    } catch (err) {
+      return { ok: false, short: "server_error", content: err };
+    }
+  }
+
+  /**
+   * @async
+   * @function list
+   * @desc Returns the name of every file that begins with the prefix, following
+   * the continuation token of each truncated page.
+   * @param {string} prefix - The prefix of the files to list.
+   * @returns {object} A Server Status Object, whose content is an array of file names.
+   * @see https://docs.aws.amazon.com/AmazonS3/latest/API/API_ListObjectsV2.html
+   */
+  async list(prefix) {
+    const unescape = (val) =>
+      val
+        .replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">")
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, "&");
+
+    try {
+      let files = [];
+      let token = null;
+
+      do {
+        const url = this._url();
+        url.searchParams.set("list-type", "2");
+        url.searchParams.set("prefix", prefix);
+
+        if (token !== null) {
+          url.searchParams.set("continuation-token", token);
+        }
+
+        const res = await this._request("GET", url);
+
+        if (res.status !== 200) {
+          return { ok: false, short: "server_error", content: res.status };
+        }
+
+        const xml = res.body.toString();
+
+        for (const match of xml.matchAll(/<Key>([^<]*)<\/Key>/g)) {
+          files.push(unescape(match[1]));
+        }
+
+        token = /<IsTruncated>true<\/IsTruncated>/.test(xml)
+          ? unescape(
+              xml.match(
+                /<NextContinuationToken>([^<]*)<\/NextContinuationToken>/
+              )?.[1] ?? ""
+            ) || null
+          : null;
+      } while (token !== null);
+
+      return { ok: true, content: files };
+    } catch (err) {
+      return { ok: false, short: "server_error", content: err };
+    }
+  }
+
+  /**
+   * @async
+   * @function delete
+   * @desc Removes a file, succeeding even if it doesn't exist.
+   * @param {string} file - The name of the file.
+   * @returns {object} A Server Status Object, whose content is the name of the file.
+   */
+  async delete(file) {
+    try {
+      const res = await this._request("DELETE", this._url(file));
+
+      if (res.status !== 204 && res.status !== 200 && res.status !== 404) {
+        return { ok: false, short: "server_error", content: res.status };
+      }
+
+      return { ok: true, content: file };
+    } catch (err) {
+      return { ok: false, short: "server_error", content: err };
+    }
+  }
+}
+
+module.exports = S3;
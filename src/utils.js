@@ -4,18 +4,50 @@
  */
 const logger = require("./logger.js");
 const storage = require("./storage.js");
-const { server_url } = require("./config.js").getConfig();
+const engineRange = require("./engine.js");
+const semverParser = require("semver");
+const { server_url, GITEA_URL } = require("./config.js").getConfig();
 const crypto = require("crypto");
 
+// The ways a name can be banned. A `name` ban must match exactly, while a `glob`
+// ban may use `*` and `?` wildcards, and a `regex` ban is a regular expression.
+const BAN_TYPES = ["name", "glob", "regex"];
+
+// The types of admin actions recorded within the `admin_actions` table.
+const ADMIN_ACTIONS = [
+  "unreserve_name",
+  "force_delete",
+  "transfer_ownership",
+  "add_badge",
+  "remove_badge",
+  "add_ban",
+  "remove_ban",
+  "add_featured",
+  "remove_featured",
+  "redeliver_webhook",
+  "add_release",
+  "remove_release",
+];
+
+// The longest the `Query-Facets` header may be, well within the header limits of
+// common proxies and clients.
+const FACETS_HEADER_LENGTH = 4096;
+
+// The types and titles of badges, as described in `docs/reference/badge_spec.md`.
+// `Made for Pulsar!` isn't included, since it's applied to every package
+// published to Pulsar when returned, rather than being added by an admin.
+const BADGE_TYPES = ["warn", "info", "success"];
+const BADGE_TITLES = ["Outdated", "Broken", "Archived", "Deprecated"];
+
 /**
  * @async
  * @function isPackageNameBanned
  * @desc This uses the `storage.js` to retrieve a banlist. And then simply
- * iterates through the banList array, until it finds a match to the name
+ * iterates through the banList array, until it finds an entry matching the name
  * it was given. If no match is found then it returns false.
  * @param {string} name - The name of the package to check if it is banned.
  * @returns {object} Returns Server Status Object with ok as true if blocked,
- * false otherwise.
+ * false otherwise. When blocked, `content` is the ban that matched.
  */
 async function isPackageNameBanned(name) {
   let banList = await storage.getBanList();
@@ -29,7 +61,100 @@ async function isPackageNameBanned(name) {
   }
 
   logger.generic(6, "Success Status while retrieving Name Ban List.");
-  return banList.content.find((b) => name === b) ? { ok: true } : { ok: false };
+
+  const ban = banList.content
+    .map((b) => normalizeBan(b))
+    .find((b) => banMatches(b, name));
+
+  return ban !== undefined ? { ok: true, content: ban } : { ok: false };
+}
+
+/**
+ * @function normalizeBan
+ * @desc Converts an entry of the ban list into a Ban Object. The ban list
+ * originally only held plain names, which are still supported as `name` bans.
+ * @param {string|object} entry - The entry within the ban list.
+ * @returns {object} A Ban Object containing the `pattern`, `type`, `reason`,
+ * and `created` date of the ban.
+ */
+function normalizeBan(entry) {
+  if (typeof entry === "string") {
+    return { pattern: entry, type: "name", reason: "", created: null };
+  }
+
+  return {
+    pattern: entry.pattern,
+    type: BAN_TYPES.includes(entry.type) ? entry.type : "name",
+    reason: entry.reason ?? "",
+    created: entry.created ?? null,
+  };
+}
+
+/**
+ * @function normalizeFeatured
+ * @desc Converts an entry of a featured list into a Featured Object. The
+ * featured lists originally only held plain names, which are featured indefinitely.
+ * @param {string|object} entry - The entry within the featured list.
+ * @returns {object} A Featured Object containing the `name` and `expires` date.
+ */
+function normalizeFeatured(entry) {
+  if (typeof entry === "string") {
+    return { name: entry, expires: null };
+  }
+
+  return { name: entry.name, expires: entry.expires ?? null };
+}
+
+/**
+ * @function banPatternToRegExp
+ * @desc Converts the pattern of a `glob` or `regex` ban into a Regular Expression,
+ * which must match the entire name.
+ * @param {string} pattern - The pattern of the ban.
+ * @param {string} type - Either `glob` or `regex`.
+ * @returns {RegExp} The Regular Expression of the pattern. This will throw if a
+ * `regex` pattern is invalid.
+ */
+function banPatternToRegExp(pattern, type) {
+  if (type === "glob") {
+    const source = pattern
+      .split("")
+      .map((c) => {
+        if (c === "*") {
+          return ".*";
+        }
+        if (c === "?") {
+          return ".";
+        }
+        return c.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+      })
+      .join("");
+
+    return new RegExp(`^${source}$`);
+  }
+
+  return new RegExp(`^(?:${pattern})$`);
+}
+
+/**
+ * @function banMatches
+ * @desc Determines if a Ban Object matches a package name.
+ * @param {object} ban - The Ban Object, as returned by `normalizeBan()`.
+ * @param {string} name - The name of the package.
+ * @returns {boolean} True if the name is banned.
+ */
+function banMatches(ban, name) {
+  if (ban.type === "name") {
+    return ban.pattern === name;
+  }
+
+  try {
+    return banPatternToRegExp(ban.pattern, ban.type).test(name);
+  } catch (err) {
+    // An invalid pattern is never allowed to be added, but shouldn't break
+    // every publish if it ever is.
+    logger.generic(3, `Invalid ban pattern: ${ban.pattern}`);
+    return false;
+  }
 }
 
 /**
@@ -41,11 +166,13 @@ async function isPackageNameBanned(name) {
  * otherwise the behavior is unexpected.
  * @param {object} pack - The anticipated raw SQL return that contains all data
  * to construct a Package Object Full.
+ * @param {boolean} [prerelease] - Whether to include prerelease versions, which
+ * otherwise are only included if the package has no release.
  * @returns {object} A properly formatted and converted Package Object Full.
  * @see {@link https://github.com/confused-Techie/atom-backend/blob/main/docs/returns.md#package-object-full}
  * @see {@link https://github.com/confused-Techie/atom-backend/blob/main/docs/queries.md#retrieve-single-package--package-object-full}
  */
-async function constructPackageObjectFull(pack) {
+async function constructPackageObjectFull(pack, prerelease = false) {
   const parseVersions = (vers) => {
     let retVer = {};
 
@@ -53,9 +180,17 @@ async function constructPackageObjectFull(pack) {
       retVer[v.semver] = v.meta;
       retVer[v.semver].license = v.license;
       retVer[v.semver].engines = v.engines;
+      // Keep the integrity of mirrored tarballs, while replacing the VCS URL
+      const integrity = v.meta.dist?.integrity;
       retVer[v.semver].dist = {
         tarball: `${server_url}/api/packages/${pack.name}/versions/${v.semver}/tarball`,
       };
+      if (typeof integrity === "string") {
+        retVer[v.semver].dist.integrity = integrity;
+      }
+      if (typeof v.deprecated === "string") {
+        retVer[v.semver].deprecated = v.deprecated;
+      }
     }
 
     return retVer;
@@ -68,11 +203,23 @@ async function constructPackageObjectFull(pack) {
   newPack.name = pack.name;
   newPack.downloads = pack.downloads;
   newPack.owner = pack.owner;
+  if (typeof pack.org === "string") {
+    newPack.org = pack.org;
+  }
   newPack.stargazers_count = pack.stargazers_count;
-  newPack.versions = parseVersions(pack.versions);
+  if (typeof pack.deprecated === "string") {
+    newPack.deprecated = pack.deprecated;
+  }
+  // Prereleases are left out unless requested, or the package has no release yet
+  const versions =
+    prerelease || pack.versions.every((v) => semverPrerelease(v.semver))
+      ? pack.versions
+      : pack.versions.filter((v) => !semverPrerelease(v.semver));
+  newPack.versions = parseVersions(versions);
   // database.getPackageByName() sorts the JSON array versions in descending order,
   // so no need to find the latest semver, it's the first one (index 0).
-  newPack.releases = { latest: pack?.versions[0]?.semver ?? "" };
+  newPack.releases = { latest: versions[0]?.semver ?? "" };
+  newPack["dist-tags"] = pack.dist_tags;
 
   if (!Array.isArray(newPack.badges)) {
     // A package that has yet to receive any permenant badges
@@ -111,6 +258,10 @@ async function constructPackageObjectShort(pack) {
     newPack.releases = {
       latest: p.semver,
     };
+    // Either the package, or its latest version, is deprecated
+    if (typeof p.deprecated === "string") {
+      newPack.deprecated = p.deprecated;
+    }
 
     if (!Array.isArray(newPack.badges)) {
       // A package that has yet to receive any permenant badges
@@ -188,6 +339,10 @@ async function constructPackageObjectJSON(pack) {
     newPack.dist ??= {};
     newPack.dist.tarball = `${server_url}/api/packages/${v.meta.name}/versions/${v.semver}/tarball`;
     newPack.engines = v.engines;
+    // Either the version, or its package as a whole, is deprecated
+    if (typeof v.deprecated === "string") {
+      newPack.deprecated = v.deprecated;
+    }
     logger.generic(6, "Single Package Object JSON finished without Error");
     return newPack;
   };
@@ -211,12 +366,14 @@ async function constructPackageObjectJSON(pack) {
 /**
  * @async
  * @function engineFilter
- * @desc A complex function that provides filtering by Atom engine version.
- * This should take a package with its versions and retrieve whatever matches
- * that engine version as provided.
- * @returns {object} The filtered object.
+ * @desc Provides filtering by Pulsar engine version. This takes a package with
+ * its versions, and finds the first version whose `engines.atom` semver range
+ * is satisfied by the provided engine version.
+ * @param {object} pack - The package, with its `versions`.
+ * @param {string} engine - The engine version, as returned by `query.engine()`.
+ * @returns {object} The package, with the `metadata` of the compatible version
+ * if one was found.
  */
-// eslint-disable-next-line complexity
 async function engineFilter(pack, engine) {
   // If a compatible version is found, we add its data to the metadata property of the package
   // Otherwise we return an unmodified package, so that it is usable to the consumer.
@@ -241,142 +398,21 @@ async function engineFilter(pack, engine) {
     return pack;
   }
 
-  // We will want to loop through each version of the package, and check its
-  // engine version against the specified one.
-  let compatibleVersion = "";
+  const version = engSv.map((num) => parseInt(num, 10));
 
   for (const ver in pack.versions) {
-    // Make sure the key we need is available, otherwise skip the current loop.
-    if (!pack.versions[ver].engines.atom) {
-      continue;
-    }
-
-    // Core Atom Packages contain '*' as the engine type, and will require a
-    // manual check.
-    if (pack.versions[ver].engines.atom === "*") {
+    if (
+      engineRange.satisfies(
+        version,
+        engineRange.engineRanges(pack.versions[ver].engines)
+      )
+    ) {
+      // We have a compatible version, let's add its data to the metadata property of the package.
+      pack.metadata = pack.versions[ver];
       break;
     }
-
-    // Track the upper and lower end conditions.
-    // Null type means not available; Bool type means available with the
-    // relative result.
-    let lowerEnd = null;
-    let upperEnd = null;
-
-    // Extract the lower end semver condition (i.e >=1.0.0)
-    const lowSv = pack.versions[ver].engines.atom.match(
-      /(>=?)(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)/
-    );
-
-    if (lowSv !== null) {
-      // Lower end condition present, so test it.
-      switch (lowSv[0]) {
-        case ">":
-          lowerEnd = semverGt(
-            [engSv[0], engSv[1], engSv[2]],
-            [lowSv[2], lowSv[3], lowSv[4]]
-          );
-
-          break;
-        case ">=":
-          lowerEnd =
-            semverGt(
-              [engSv[0], engSv[1], engSv[2]],
-              [lowSv[2], lowSv[3], lowSv[4]]
-            ) ||
-            semverEq(
-              [engSv[0], engSv[1], engSv[2]],
-              [lowSv[2], lowSv[3], lowSv[4]]
-            );
-
-          break;
-      }
-    }
-
-    // Extract the upper end semver condition (i.e <=2.0.0)
-    const upSv = pack.versions[ver].engines.atom.match(
-      /(<=?)(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)/
-    );
-
-    if (upSv !== null) {
-      // Upper end condition present, so test it.
-      switch (upSv[1]) {
-        case "<":
-          upperEnd = semverLt(
-            [engSv[0], engSv[1], engSv[2]],
-            [upSv[2], upSv[3], upSv[4]]
-          );
-
-          break;
-        case "<=":
-          upperEnd =
-            semverLt(
-              [engSv[0], engSv[1], engSv[2]],
-              [upSv[2], upSv[3], upSv[4]]
-            ) ||
-            semverEq(
-              [engSv[0], engSv[1], engSv[2]],
-              [upSv[2], upSv[3], upSv[4]]
-            );
-
-          break;
-      }
-    }
-
-    if (lowerEnd === null && upperEnd === null) {
-      // Both lower and upper end condition are unavailable.
-      // So, as last resort, check if there is an equality condition (i.e =1.0.0)
-      const eqSv = pack.versions[ver].engines.atom.match(
-        /^=(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)$/
-      );
-
-      if (
-        eqSv !== null &&
-        semverEq([engSv[0], engSv[1], engSv[2]], [eqSv[1], eqSv[2], eqSv[3]])
-      ) {
-        compatibleVersion = ver;
-
-        break; // Found the compatible version, break the loop.
-      }
-
-      // Equality condition unavailable or not satisfied, skip the current loop.
-      continue;
-    }
-
-    // One of the semver condition may still be not present.
-    if (lowerEnd === null) {
-      // Only upper end available
-      if (upperEnd) {
-        compatibleVersion = ver;
-
-        break; // The version is under the upper end, break the loop.
-      }
-    } else if (upperEnd === null) {
-      // Only lower end available
-      if (lowerEnd) {
-        compatibleVersion = ver;
-
-        break; // The version is over the lower end, break the loop.
-      }
-    }
-
-    // Both lower and upper end are available.
-    if (lowerEnd && upperEnd) {
-      compatibleVersion = ver;
-
-      break; // The version is within the range, break the loop.
-    }
   }
 
-  // After the loop ends, or breaks, check the extracted compatible version.
-  if (compatibleVersion === "") {
-    // No valid version found.
-    return pack;
-  }
-
-  // We have a compatible version, let's add its data to the metadata property of the package.
-  pack.metadata = pack.versions[compatibleVersion];
-
   return pack;
 }
 
@@ -484,8 +520,11 @@ function getOwnerRepoFromPackage(pack) {
 
 /**
  * @function getOwnerRepoFromUrlString
- * @desc A function that takes the URL string of a GitHub repo and return the `owner/repo`
+ * @desc A function that takes the URL string of a GitHub, GitLab, or Gitea repo and return the `owner/repo`
  * string for the repo. Intended to be used from a packages entry `data.repository.url`
+ * Gitea repos are recognized on Codeberg, as well as the instance configured with `GITEA_URL`.
+ * Since GitLab supports nested groups, the returned string for a GitLab repo may
+ * contain more than one slash, such as `group/subgroup/repo`.
  * @param {string} url - The URL for the Repo.
  * @returns {string} The `owner/repo` string from the URL. Or an empty string if unable to parse.
  */
@@ -494,6 +533,31 @@ function getOwnerRepoFromUrlString(url) {
     return "";
   }
 
+  // GitLab web URLs separate the project path from any other page with `/-/`
+  // such as `https://gitlab.com/group/repo/-/tree/main`, so we only look before it.
+  const gitlabReg =
+    /^(?:https:\/\/(?:www\.)?gitlab\.com\/|git@gitlab\.com:)((?:[\w\-\.]+\/)+[\w\-\.]+)/;
+
+  const gitlabRes = url.split("/-/")[0].match(gitlabReg);
+
+  if (gitlabRes !== null) {
+    return gitlabRes[1].replace(/\.git$/, "");
+  }
+
+  for (const giteaHost of giteaHosts()) {
+    // Escape the host to be safely used within the regular expression
+    const host = giteaHost.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const giteaReg = new RegExp(
+      `^(?:https?:\\/\\/(?:www\\.)?${host}\\/|git@${host}:)([\\w\\-\\.]+\\/[\\w\\-\\.]+)`
+    );
+
+    const giteaRes = url.match(giteaReg);
+
+    if (giteaRes !== null) {
+      return giteaRes[1].replace(/\.git$/, "");
+    }
+  }
+
   // Simplified version of the regex here: https://regex101.com/r/3OMBy2/3
   // The following is the optimized version using the positive lookaheads, atomic groups and
   // capturing groups to avoid backtracking: https://regex101.com/r/I5p3OT/2
@@ -512,6 +576,45 @@ function getOwnerRepoFromUrlString(url) {
   return res[2].replace(/\.git$/, "");
 }
 
+/**
+ * @function giteaHosts
+ * @desc Returns the hosts of the Gitea instances that are recognized as the `berg`
+ * service. This is always Codeberg, alongside the instance configured with `GITEA_URL`.
+ * @returns {string[]} The lowercase hostnames of the Gitea instances.
+ */
+function giteaHosts() {
+  const hosts = ["codeberg.org"];
+
+  try {
+    const configured = new URL(GITEA_URL).host.toLowerCase();
+
+    if (!hosts.includes(configured)) {
+      hosts.push(configured);
+    }
+  } catch (err) {
+    // An invalid GITEA_URL only leaves Codeberg to be recognized.
+  }
+
+  return hosts;
+}
+
+/**
+ * @function tarballHosts
+ * @desc Returns the hosts that package tarballs are allowed to be downloaded
+ * from, covering every supported VCS service.
+ * @returns {string[]} The lowercase hosts tarballs may be served from.
+ */
+function tarballHosts() {
+  return [
+    "codeload.github.com",
+    "api.github.com",
+    "github.com",
+    "raw.githubusercontent.com",
+    "gitlab.com",
+    ...giteaHosts(),
+  ];
+}
+
 /**
  * @function semverEq
  * @desc Compares two sermver and return true if the first is equal to the second.
@@ -525,6 +628,155 @@ function semverEq(a1, a2) {
   return a1[0] === a2[0] && a1[1] === a2[1] && a1[2] === a2[2];
 }
 
+/**
+ * @function semverPrerelease
+ * @desc Checks if a semver is a prerelease, whose patch number is followed by
+ * prerelease identifiers, like `1.0.0-beta.1`.
+ * @param {string} semver - The semver to check.
+ * @returns {boolean} True if the semver is a valid prerelease.
+ */
+function semverPrerelease(semver) {
+  return semverParser.prerelease(semver, true) !== null;
+}
+
+/**
+ * @function semverCompare
+ * @desc Compares two semver strings by their precedence, as described by the
+ * semver spec. So a prerelease is lower than its release, and build metadata
+ * is ignored. An invalid semver is lower than any valid one.
+ * @param {string} s1 - First semver.
+ * @param {string} s2 - Second semver.
+ * @returns {int} Negative if the first is lower, positive if it's higher, or 0
+ * if they're equal.
+ * @example
+ * // returns -1
+ * semverCompare("1.0.0-beta.2", "1.0.0-beta.10");
+ */
+function semverCompare(s1, s2) {
+  const v1 = semverParser.parse(s1, true);
+  const v2 = semverParser.parse(s2, true);
+
+  if (v1 === null || v2 === null) {
+    return (v1 === null ? 0 : 1) - (v2 === null ? 0 : 1);
+  }
+
+  return v1.compare(v2);
+}
+
+/**
+ * @function deprecationWarning
+ * @desc Builds the value of a `Warning` header about a deprecation, as a
+ * miscellaneous persistent warning (299) whose text is the deprecation message,
+ * quoted with `jsonHeader()`.
+ * @param {string} message - The message of the deprecation.
+ * @returns {string} The value of the `Warning` header.
+ * @example
+ * // returns '299 - "Deprecated: Use language-cpp instead."'
+ * deprecationWarning("Use language-cpp instead.");
+ */
+function deprecationWarning(message) {
+  return `299 - ${jsonHeader(`Deprecated: ${message}`)}`;
+}
+
+/**
+ * @function jsonHeader
+ * @desc Encodes a value as JSON for a response header. Headers must be ASCII, so
+ * anything else is escaped as JSON allows.
+ * @param {*} value - The value to encode.
+ * @returns {string} The value of the header.
+ * @example
+ * // returns '["caf\\u00e9"]'
+ * jsonHeader(["café"]);
+ */
+function jsonHeader(value) {
+  return JSON.stringify(value).replace(
+    /[\u007f-\uffff]/g,
+    (c) => `\\u${c.charCodeAt(0).toString(16).padStart(4, "0")}`
+  );
+}
+
+/**
+ * @function facetsHeader
+ * @desc Encodes the counts of each facet for the `Query-Facets` header, keeping
+ * it within `maxLength` characters. Proxies and clients refuse responses whose
+ * headers are too large, so while over the limit, the least common value of any
+ * facet is left out.
+ * @param {object} facets - The counts of each value, by facet.
+ * @param {int} [maxLength] - The longest the header may be.
+ * @returns {string} The value of the `Query-Facets` header.
+ */
+function facetsHeader(facets, maxLength = FACETS_HEADER_LENGTH) {
+  const kept = {};
+
+  for (const facet in facets) {
+    kept[facet] = { ...facets[facet] };
+  }
+
+  let header = jsonHeader(kept);
+
+  while (header.length > maxLength) {
+    let least = null;
+
+    for (const facet in kept) {
+      for (const value in kept[facet]) {
+        if (least === null || kept[facet][value] <= least.count) {
+          least = { facet: facet, value: value, count: kept[facet][value] };
+        }
+      }
+    }
+
+    if (least === null) {
+      break;
+    }
+
+    delete kept[least.facet][least.value];
+    header = jsonHeader(kept);
+  }
+
+  return header;
+}
+
+/**
+ * @function publishHookTag
+ * @desc Finds the tag of a new version within a delivery from a GitHub webhook.
+ * Either a `release` being published, or a `push` creating a tag. Any other
+ * event, or a tag that isn't a version, has no tag to publish.
+ * @param {string} event - The event, from the `X-GitHub-Event` header.
+ * @param {object} payload - The parsed payload of the delivery.
+ * @returns {object|null} The `tag`, and the `version` it's for, or null.
+ * @example
+ * // returns { tag: "v1.2.0", version: "1.2.0" }
+ * publishHookTag("push", { ref: "refs/tags/v1.2.0", created: true });
+ */
+function publishHookTag(event, payload) {
+  let tag = null;
+
+  if (event === "release" && payload?.action === "published") {
+    tag = payload.release?.tag_name;
+  }
+
+  if (
+    event === "push" &&
+    payload?.created === true &&
+    payload.deleted !== true &&
+    typeof payload.ref === "string" &&
+    payload.ref.startsWith("refs/tags/")
+  ) {
+    tag = payload.ref.slice("refs/tags/".length);
+  }
+
+  if (typeof tag !== "string") {
+    return null;
+  }
+
+  // Tags are commonly prefixed with a `v`, which isn't part of the version
+  const version = tag.replace(/^v/i, "");
+
+  return semverParser.valid(version) === null
+    ? null
+    : { tag: tag, version: version };
+}
+
 /**
  * @function generateRandomString
  * @desc Uses the crypto module to generate and return a random string.
@@ -536,8 +788,120 @@ function generateRandomString(n) {
   return crypto.randomBytes(n).toString("hex");
 }
 
+/**
+ * @function encodeCursor
+ * @desc Encodes the sort key of a package into the opaque cursor used for keyset
+ * pagination, as decoded by `decodeCursor()`.
+ * @param {object} key - The `value` of the sort field and the `name` of the package.
+ * @param {boolean} before - If the cursor points to the results before the key,
+ * rather than after it.
+ * @param {string} sort - The sort method the key belongs to.
+ * @returns {string} The URL safe cursor.
+ */
+function encodeCursor(key, before, sort) {
+  return Buffer.from(
+    JSON.stringify([sort, key.value, key.name, before])
+  ).toString("base64url");
+}
+
+/**
+ * @function decodeCursor
+ * @desc Decodes a cursor created by `encodeCursor()`. An empty cursor starts
+ * keyset pagination from the first result. Otherwise the cursor must have been
+ * created for the same sort method, with a value of the type that sort orders by.
+ * @param {string} cursor - The cursor to decode.
+ * @param {string} sort - The sort method of the results being paged through.
+ * @returns {object|boolean} The `value` and `name` of the sort key, and if the
+ * results `before` it are wanted. Or false if the cursor is invalid.
+ */
+function decodeCursor(cursor, sort) {
+  if (typeof cursor !== "string") {
+    return false;
+  }
+
+  if (cursor.length === 0) {
+    return { value: null, name: null, before: false };
+  }
+
+  try {
+    const key = JSON.parse(Buffer.from(cursor, "base64url").toString());
+
+    if (
+      !Array.isArray(key) ||
+      key.length !== 4 ||
+      key[0] !== sort ||
+      !isCursorValue(key[1], sort) ||
+      typeof key[2] !== "string" ||
+      typeof key[3] !== "boolean"
+    ) {
+      return false;
+    }
+
+    return { value: key[1], name: key[2], before: key[3] };
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * @function isCursorValue
+ * @desc Internal util that determines if the value of a cursor can be cast to
+ * the type its sort method orders by, as output by PostgreSQL.
+ * @param {string} value - The value of the sort field within the cursor.
+ * @param {string} sort - The sort method.
+ * @returns {boolean} If the value is valid for the sort method.
+ */
+function isCursorValue(value, sort) {
+  if (typeof value !== "string") {
+    return false;
+  }
+
+  switch (sort) {
+    case "downloads":
+    case "stars":
+      // Well within the range of a bigint
+      return /^-?\d{1,18}$/.test(value);
+    case "relevance":
+      return /^-?\d{1,20}(\.\d{1,20})?(e[+-]\d{1,3})?$/.test(value);
+    case "created_at":
+    case "updated_at": {
+      const time = value.match(
+        /^(\d{4})-(\d{2})-(\d{2}) (\d{2}):(\d{2}):(\d{2})(\.\d{1,6})?[+-](\d{2})(:\d{2}){0,2}$/
+      );
+
+      if (time === null) {
+        return false;
+      }
+
+      const [year, month, day, hour, minute, second, , offset] = time
+        .slice(1)
+        .map((part) => parseInt(part, 10));
+      const date = new Date(Date.UTC(year, month - 1, day));
+
+      return (
+        date.getUTCMonth() === month - 1 &&
+        date.getUTCDate() === day &&
+        hour < 24 &&
+        minute < 60 &&
+        second < 60 &&
+        offset < 16
+      );
+    }
+    default:
+      return false;
+  }
+}
+
 module.exports = {
+  BAN_TYPES,
+  ADMIN_ACTIONS,
+  BADGE_TYPES,
+  BADGE_TITLES,
   isPackageNameBanned,
+  normalizeBan,
+  normalizeFeatured,
+  banPatternToRegExp,
+  banMatches,
   constructPackageObjectFull,
   constructPackageObjectShort,
   constructPackageObjectJSON,
@@ -546,7 +910,17 @@ module.exports = {
   semverGt,
   semverLt,
   semverEq,
+  semverPrerelease,
+  semverCompare,
+  deprecationWarning,
+  jsonHeader,
+  facetsHeader,
+  publishHookTag,
   getOwnerRepoFromPackage,
   getOwnerRepoFromUrlString,
+  giteaHosts,
+  tarballHosts,
   generateRandomString,
+  encodeCursor,
+  decodeCursor,
 };
@@ -10,8 +10,13 @@ const query = require("./query_parameters/index.js").logic;
 const utils = require("./utils.js");
 const PackageObject = require("./PackageObject.js");
 const GitHub = require("./vcs_providers/github.js");
+const GitLab = require("./vcs_providers/gitlab.js");
+const Gitea = require("./vcs_providers/gitea.js");
+const { GITEA_URL } = require("./config.js").getConfig();
 const ServerStatus = require("./ServerStatusObject.js");
 const semVerInitRegex = /^\s*v/i;
+// The services returned by `determineProvider()` that have a provider available.
+const supportedServices = ["git", "lab", "berg"];
 
 /**
  * @async
@@ -60,20 +65,30 @@ async function ownership(userObj, packObj, dev_override = false) {
   // But if this check fails we will assume that repository is a string.
   // We should likely add better protections and validation in the future TODO
 
+  // Here we check if we were handed an owner/repo combo directly by checking
+  // for a string. Otherwise we assume it's a package object where we need to
+  // find the owner/repo combo.
+  const ownerRepo =
+    typeof packObj === "string"
+      ? packObj
+      : utils.getOwnerRepoFromPackage(packObj);
+
   switch (repoObj) {
     // Additional supported VCS systems go here.
+    case "lab": {
+      const gitlab = new GitLab();
+
+      return await gitlab.ownership(userObj, ownerRepo);
+    }
+    case "berg": {
+      const gitea = new Gitea();
+
+      return await gitea.ownership(userObj, ownerRepo);
+    }
     case "git":
     default: {
       const github = new GitHub();
 
-      // Here we check if we were handed an owner/repo combo directly by checking
-      // for a string. Otherwise we assume it's a package object where we need to
-      // find the owner/repo combo.
-      const ownerRepo =
-        typeof packObj === "string"
-          ? packObj
-          : utils.getOwnerRepoFromPackage(packObj);
-
       const owner = await github.ownership(userObj, ownerRepo);
       // ^^^ Above we pass the full package object since github will decode
       // the owner/repo combo as needed.
@@ -91,12 +106,10 @@ async function ownership(userObj, packObj, dev_override = false) {
  * @param {object} userObj - The Full User Object as returned by auth.verifyAuth()
  * @param {string} ownerRepo - The Owner Repo Combo for the package such as `pulsar-edit/pulsar`
  * @param {string} service - The Service this package is intended for.
- * Matching a valid return type from `vcs.determineProvider()` Eventually
- * this service will be detected by the package handler or moved here, but for now
- * is intended to be hardcoded as "git"
+ * Matching a valid return type from `vcs.determineProvider()`, as resolved by
+ * `vcs.resolveRepository()`
  * @returns {object} - Returns a Server Status Object, which when `ok: true`
  * Contains the full package data. This includes the Readme, the package.json, and all version data.
- * @todo Stop hardcoding the service that is passed here.
  */
 async function newPackageData(userObj, ownerRepo, service) {
   try {
@@ -105,6 +118,12 @@ async function newPackageData(userObj, ownerRepo, service) {
     // with our specific VCS service
 
     switch (service) {
+      case "lab":
+        provider = new GitLab();
+        break;
+      case "berg":
+        provider = new Gitea();
+        break;
       case "git":
       default:
         provider = new GitHub();
@@ -178,17 +197,16 @@ async function newPackageData(userObj, ownerRepo, service) {
     // the PackageObject Builder to handle this
 
     // Then lets add the service used, so we are able to safely find it in the future
-    let packRepoObj = determineProvider(pack.content.repository);
-
     // It's possible the repository field within the `package.json` has a mispelling
-    // or is otherwise inaccurate. So we will compare this to our working repo
-    if (packRepoObj.type === "na") {
-      // We couldn't determine the repo at all from the `package.json`
-      packRepoObj = determineProvider(ownerRepo);
-    }
+    // or is otherwise inaccurate, in which case the URL is built from our working repo.
     // TODO: While originally I had wanted to check for the possibility of a typo
     // within the repo field, this would break support for transfering of ownership
     // or of changing the repo name. So we may have to live with that possibility.
+    const packRepoObj = repositoryObject(
+      pack.content.repository,
+      ownerRepo,
+      service
+    );
 
     newPack
       .setReadme(readme.content)
@@ -221,7 +239,7 @@ async function newPackageData(userObj, ownerRepo, service) {
  * @param {string} ownerRepo - The Owner Repo Combo of the package affected.
  * Such as `pulsar-edit/pulsar`
  * @param {string} service - The service to use as expected to be returned
- * by `vcs.determineProvider()`. Currently should be hardcoded to "git"
+ * by `vcs.determineProvider()`.
  * @returns {SSO_VCS_newVersionData} A Server Status Object, which when `ok: true`
  * returns all data that would be needed to update a package on the DB, and
  * upload a new version.
@@ -237,6 +255,12 @@ async function newVersionData(userObj, ownerRepo, service) {
   // with our specific VCS service
 
   switch (service) {
+    case "lab":
+      provider = new GitLab();
+      break;
+    case "berg":
+      provider = new Gitea();
+      break;
     case "git":
     default:
       provider = new GitHub();
@@ -321,13 +345,11 @@ async function newVersionData(userObj, ownerRepo, service) {
   pack.content.sha = typeof tag.commit?.sha === "string" ? tag.commit.sha : "";
 
   // Lets protect the repo field in case of error
-  let repoField = determineProvider(pack.content.repository);
-
-  if (repoField.type === "na") {
-    // THe new version function is only passed `owner/repo` literal, so must be
-    // reconstructed. TODO: If support moves beyond GitHub, this will have to check service type
-    repoField = determineProvider(`https://github.com/${ownerRepo}`);
-  }
+  const repoField = repositoryObject(
+    pack.content.repository,
+    ownerRepo,
+    service
+  );
 
   return {
     ok: true,
@@ -348,13 +370,19 @@ async function newVersionData(userObj, ownerRepo, service) {
  * @param {string} ownerRepo - The Owner Repo Combo of the package affected.
  * Such as `pulsar-edit/pulsar`
  * @param {string} service - The service to use as expected to be returned
- * by `vcs.determineProvider()`. Currently should be hardcoded to "git"
+ * by `vcs.determineProvider()`.
  * @returns {object} A `featureObject` as provided by the provider.
  */
 async function featureDetection(userObj, ownerRepo, service) {
   let provider = null;
 
   switch (service) {
+    case "lab":
+      provider = new GitLab();
+      break;
+    case "berg":
+      provider = new Gitea();
+      break;
     case "git":
     default:
       provider = new GitHub();
@@ -373,6 +401,54 @@ async function featureDetection(userObj, ownerRepo, service) {
   return featureObject;
 }
 
+/**
+ * @async
+ * @function archived
+ * @desc Determines if the repository of a package has been archived on the
+ * service it's hosted on.
+ * @param {string} ownerRepo - The Owner Repo Combo of the package affected.
+ * Such as `pulsar-edit/pulsar`
+ * @param {string} service - The service to use as expected to be returned
+ * by `vcs.determineProvider()`.
+ * @returns {object} A Server Status Object, whose, when successful, `content`
+ * is a boolean of whether the repository is archived.
+ */
+async function archived(ownerRepo, service) {
+  switch (service) {
+    case "lab":
+      return await new GitLab().archived(ownerRepo);
+    case "berg":
+      return await new Gitea().archived(ownerRepo);
+    case "git":
+    default:
+      return await new GitHub().archived(ownerRepo);
+  }
+}
+
+/**
+ * @async
+ * @function tags
+ * @desc Returns the tags of the repository of a package, without the credentials
+ * of any user. Each tag is shaped as GitHub returns it.
+ * @param {string} ownerRepo - The Owner Repo Combo of the package affected.
+ * Such as `pulsar-edit/pulsar`
+ * @param {string} service - The service to use as expected to be returned
+ * by `vcs.determineProvider()`.
+ * @returns {object} A Server Status Object, whose, when successful, `content`
+ * is an array of the tags of the repository.
+ */
+async function tags(ownerRepo, service) {
+  switch (service) {
+    case "lab":
+      return await new GitLab().tags({}, ownerRepo);
+    case "berg":
+      return await new Gitea().tags({}, ownerRepo);
+    case "git":
+    default:
+      return await new GitHub().tags({}, ownerRepo);
+  }
+}
+
 /**
  * @function determineProvider
  * @desc Determines the repostiry object by the given argument.
@@ -435,6 +511,7 @@ function determineProvider(repo) {
         };
 
       case lcRepo.includes("codeberg"):
+      case utils.giteaHosts().some((host) => lcRepo.includes(host)):
         return {
           type: "berg",
           url: repo,
@@ -455,10 +532,110 @@ function determineProvider(repo) {
   }
 }
 
+/**
+ * @function resolveRepository
+ * @desc Determines the `owner/repo` combo and the service of a repository a user
+ * is attempting to publish. The repository can either be a full URL, where the
+ * service is determined by `determineProvider()`, or an `owner/repo` combo paired
+ * with the service it's hosted on, which falls back to GitHub if not provided.
+ * @param {string} repository - A full repository URL, or an `owner/repo` combo.
+ * @param {string|boolean} [service] - The service the `owner/repo` combo is hosted
+ * on, as returned by `determineProvider()`. Ignored when given a full URL.
+ * @returns {object} A Server Status Object, which when successful, whose `content`
+ * contains the `ownerRepo`, `service`, and `repository` object of the repository.
+ */
+function resolveRepository(repository, service) {
+  let ownerRepo = repository;
+  let repoObj;
+
+  if (/^(https?:\/\/|git@)/.test(repository)) {
+    ownerRepo = utils.getOwnerRepoFromUrlString(repository);
+    repoObj = determineProvider(repository);
+  } else if (!/^[^\s/]+(\/[^\s/]+)+$/.test(repository)) {
+    // Anything else must at least be an `owner/repo` combo, where GitLab
+    // allows the repo to be within subgroups.
+    return new ServerStatus()
+      .notOk()
+      .setContent(`${repository} isn't a repository URL or owner/repo combo`)
+      .setShort("Bad Repo")
+      .build();
+  } else {
+    const type = typeof service === "string" ? service : "git";
+
+    repoObj = supportedServices.includes(type)
+      ? determineProvider(serviceUrl(type, ownerRepo))
+      : { type: type, url: "" };
+  }
+
+  if (ownerRepo === "" || !supportedServices.includes(repoObj.type)) {
+    return new ServerStatus()
+      .notOk()
+      .setContent(`Unable to determine a supported service for ${repository}`)
+      .setShort("Bad Repo")
+      .build();
+  }
+
+  return new ServerStatus()
+    .isOk()
+    .setContent({
+      ownerRepo: ownerRepo,
+      service: repoObj.type,
+      repository: repoObj,
+    })
+    .build();
+}
+
+/**
+ * @function serviceUrl
+ * @desc Internal util that reconstructs the URL of a repository from the service
+ * it's hosted on and its `owner/repo` combo.
+ * @param {string} service - The service as returned by `determineProvider()`.
+ * @param {string} ownerRepo - The `owner/repo` combo of the repository.
+ * @returns {string} The URL of the repository.
+ */
+function serviceUrl(service, ownerRepo) {
+  switch (service) {
+    case "lab":
+      return `https://gitlab.com/${ownerRepo}`;
+    case "berg":
+      return `${GITEA_URL}/${ownerRepo}`;
+    case "git":
+    default:
+      return `https://github.com/${ownerRepo}`;
+  }
+}
+
+/**
+ * @function repositoryObject
+ * @desc Internal util that builds the repository object stored alongside a package.
+ * The `type` always records the service the package was actually retrieved from,
+ * while the URL from the `package.json` is kept as long as it points to that
+ * same service. Otherwise the URL is reconstructed from our working repo.
+ * @param {string|object} repository - The `repository` of the `package.json`.
+ * @param {string} ownerRepo - The `owner/repo` combo the package was retrieved from.
+ * @param {string} service - The service the package was retrieved from.
+ * @returns {object} The repository object, containing a `type` and `url`.
+ */
+function repositoryObject(repository, ownerRepo, service) {
+  const type = supportedServices.includes(service) ? service : "git";
+  const packRepo = determineProvider(
+    typeof repository === "object" ? repository?.url : repository
+  );
+
+  if (packRepo.type === type) {
+    return { type: type, url: packRepo.url };
+  }
+
+  return { type: type, url: serviceUrl(type, ownerRepo) };
+}
+
 module.exports = {
   determineProvider,
+  resolveRepository,
   ownership,
   newPackageData,
   newVersionData,
   featureDetection,
+  archived,
+  tags,
 };
@@ -31,16 +31,20 @@ class Git {
    * @function _webRequestAuth
    * @desc Internal util that makes a request to a URL using the provided token.
    * @param {string} url - The URL to send the request.
-   * @param {string} token - The token to append in the request header.
+   * @param {string} [token] - The token to append in the request header.
    * @returns {object} A server status object.
    */
   async _webRequestAuth(url, token) {
     try {
-      const res = await superagent
-        .get(`${this.apiUrl}${url}`)
-        .set({
-          Authorization: `Bearer ${token}`,
-        })
+      const req = superagent.get(`${this.apiUrl}${url}`);
+
+      if (typeof token === "string" && token.length > 0) {
+        // Users authenticated with a registry token have no VCS token,
+        // in which case the request is made anonymously.
+        req.set({ Authorization: `Bearer ${token}` });
+      }
+
+      const res = await req
         .set({ "User-Agent": GH_USERAGENT })
         // This last line here, lets the class define what HTTP Status Codes
         // It will not throw an error on.
@@ -0,0 +1,465 @@
+/**
+ * @module Gitea
+ * @desc A VCS Module to allow `vcs.js` to interact with Gitea or Forgejo instances
+ * as needed, such as Codeberg. Utilizing `git.js`
+ */
+
+const Git = require("./git.js");
+const CSON = require("cson");
+const { GITEA_URL } = require("../config.js").getConfig();
+
+/**
+ * @class Gitea
+ * @classdesc The Gitea class serves as a way for `vcs` to interact directly with
+ * any Gitea or Forgejo instance when needed. This Class extends `Git` to provide
+ * the standard functions expected of a VCS service. The Gitea API closely mirrors
+ * the GitHub API, so each response is already shaped as `vcs` expects.
+ */
+class Gitea extends Git {
+  // Private properties:
+  #defaultApiUrl = `${GITEA_URL}/api/v1`;
+  #defaultAcceptableStatusCodes = [200, 401, 403, 404];
+  // The collaborator permissions that allow writable changes to a repo.
+  #writePermissions = ["owner", "admin", "write"];
+
+  constructor(opts) {
+    super();
+    // Initialize base properties
+    this._initializer({
+      api_url: opts?.api_url ?? this.#defaultApiUrl,
+      ok_status: this.#defaultAcceptableStatusCodes,
+    });
+  }
+
+  /**
+   * @function _failure
+   * @desc Internal util that converts a failed web request into the
+   * same Server Status Object returned by every other function in this class.
+   * @param {object} raw - The failed response of `_webRequestAuth()`.
+   * @returns {object} A Server Status Object.
+   */
+  _failure(raw) {
+    if (raw.short === "Failed Request") {
+      switch (raw.content.status) {
+        case 401:
+          return {
+            ok: false,
+            short: "Bad Auth",
+            content: raw.content.status,
+          };
+        case 404:
+          return {
+            ok: false,
+            short: "Bad Repo",
+            content: raw.content.status,
+          };
+        default:
+          return {
+            ok: false,
+            short: "Server Error",
+            content: raw.content.status,
+          };
+      }
+    }
+
+    return {
+      ok: false,
+      short: "Server Error",
+      content: raw.content?.status,
+    };
+  }
+
+  /**
+   * @async
+   * @function _file
+   * @desc Internal util that returns the decoded text of a file within a repo.
+   * @param {object} userObj - The Full User Object as received after verification.
+   * @param {string} ownerRepo - The String combo of `owner/repo` for the package.
+   * @param {string} path - The path of the file within the repo.
+   * @returns {object} A Server Status Object, whose `content` is the text of the file.
+   */
+  async _file(userObj, ownerRepo, path) {
+    const raw = await this._webRequestAuth(
+      `/repos/${ownerRepo}/contents/${path}`,
+      userObj.token
+    );
+
+    if (!raw.ok) {
+      return this._failure(raw);
+    }
+
+    if (typeof raw.content.body.encoding !== "string") {
+      return {
+        ok: false,
+        short: "Server Error",
+        content: `${path} is not a file.`,
+      };
+    }
+
+    return {
+      ok: true,
+      content: Buffer.from(
+        raw.content.body.content,
+        raw.content.body.encoding
+      ).toString(),
+    };
+  }
+
+  /**
+   * @async
+   * @function ownership
+   * @desc The main `ownership` function, as called by `vcs.ownership()`.
+   * Looks up the login of the authenticated user, then uses their collaborator
+   * permission on the repo to determine if they are able to make writable changes.
+   * @param {object} user - The User Object as retreived during verification.
+   * @param {object} ownerRepo - The Owner/Repo Combo
+   * @returns {object} A Server Status Object which when successful contains
+   * the permission the user has over the given repo as `content`.
+   */
+  async ownership(user, ownerRepo) {
+    try {
+      const account = await this._webRequestAuth("/user", user.token);
+
+      if (!account.ok) {
+        return {
+          ok: false,
+          short: "Server Error",
+          content: this._failure(account).short,
+        };
+      }
+
+      const permission = await this._webRequestAuth(
+        `/repos/${ownerRepo}/collaborators/${account.content.body.login}/permission`,
+        user.token
+      );
+
+      if (!permission.ok) {
+        const failure = this._failure(permission);
+
+        if (
+          failure.short === "Bad Repo" ||
+          permission.content?.status === 403
+        ) {
+          return { ok: false, short: "No Repo Access" };
+        }
+
+        return {
+          ok: false,
+          short: "Server Error",
+          content: failure.short,
+        };
+      }
+
+      if (
+        !this.#writePermissions.includes(permission.content.body.permission)
+      ) {
+        return { ok: false, short: "No Repo Access" };
+      }
+
+      return {
+        ok: true,
+        content: permission.content.body.permission,
+      };
+    } catch (err) {
+      return {
+        ok: false,
+        short: "Server Error",
+        content: err,
+      };
+    }
+  }
+
+  /**
+   * @async
+   * @function readme
+   * @desc Returns the Readme for the specified owner/repo combo, with the specified
+   * users credentials. Since Gitea has no dedicated readme endpoint, the root of
+   * the repo is searched for the first file named like a readme.
+   * @param {object} userObj - The Raw User Object after verification.
+   * @param {string} ownerRepo - The `owner/repo` combo of the repository to get.
+   * @returns {object} A Server Status Object where content is the Markdown text of a readme.
+   */
+  async readme(userObj, ownerRepo) {
+    try {
+      const root = await this._webRequestAuth(
+        `/repos/${ownerRepo}/contents`,
+        userObj.token
+      );
+
+      if (!root.ok) {
+        return this._failure(root);
+      }
+
+      const readmeFile = root.content.body.find(
+        (entry) =>
+          entry.type === "file" &&
+          /^readme(\.(md|markdown|txt))?$/i.test(entry.name)
+      );
+
+      if (readmeFile === undefined) {
+        return {
+          ok: false,
+          short: "Bad Repo",
+          content: "The repository does not contain a readme.",
+        };
+      }
+
+      return await this._file(userObj, ownerRepo, readmeFile.path);
+    } catch (err) {
+      return {
+        ok: false,
+        short: "Server Error",
+        content: null,
+        error: err,
+      };
+    }
+  }
+
+  /**
+   * @async
+   * @function tags
+   * @desc Returns all tags associated with a repo.
+   * @param {object} userObj - The Full User Object as received after verification.
+   * @param {string} ownerRepo - The String combo of `owner/repo` for the package.
+   * @returns {object} A Server Status Object, which when successful, whose `content`
+   * is all the tags of the specified repo.
+   * @see https://codeberg.org/api/swagger#/repository/repoListTags
+   */
+  async tags(userObj, ownerRepo) {
+    try {
+      const raw = await this._webRequestAuth(
+        `/repos/${ownerRepo}/tags?limit=50`,
+        userObj.token
+      );
+
+      if (!raw.ok) {
+        return this._failure(raw);
+      }
+
+      return {
+        ok: true,
+        content: raw.content.body,
+      };
+    } catch (err) {
+      return {
+        ok: false,
+        short: "Server Error",
+        content: null,
+        error: err,
+      };
+    }
+  }
+
+  /**
+   * @async
+   * @function packageJSON
+   * @desc Returns the JSON Parsed text of the `package.json` on a repo.
+   * @param {object} userObj - The Full User Object as received after verification.
+   * @param {string} ownerRepo - The String combo of `owner/repo` for the package
+   * @returns {object} A Server Status Object, which when successfully, whose `content`
+   * Is the JSON parsed `package.json` of the repo specified.
+   */
+  async packageJSON(userObj, ownerRepo) {
+    try {
+      const raw = await this._file(userObj, ownerRepo, "package.json");
+
+      if (!raw.ok) {
+        return raw;
+      }
+
+      return {
+        ok: true,
+        content: JSON.parse(raw.content),
+      };
+    } catch (err) {
+      return {
+        ok: false,
+        short: "Server Error",
+        content: null,
+        error: err,
+      };
+    }
+  }
+
+  /**
+   * @async
+   * @function exists
+   * @desc This function is used to verify whether a specific package exists.
+   * @param {object} userObj - The Full User Object as returned from verification.
+   * @param {string} ownerRepo - The String combo of `owner/repo`
+   * @returns {object} A Server Status Object, whose, when successful, will return
+   * the `full_name` of the package.
+   */
+  async exists(userObj, ownerRepo) {
+    try {
+      const raw = await this._webRequestAuth(
+        `/repos/${ownerRepo}`,
+        userObj.token
+      );
+
+      if (!raw.ok) {
+        const failure = this._failure(raw);
+        return { ok: false, short: failure.short };
+      }
+
+      return {
+        ok: true,
+        content: raw.content.body.full_name,
+      };
+    } catch (err) {
+      return {
+        ok: false,
+        short: "Server Error",
+        content: err,
+      };
+    }
+  }
+
+  /**
+   * @async
+   * @function archived
+   * @desc Determines if a repository has been archived on the Gitea instance.
+   * @param {string} ownerRepo - The String combo of `owner/repo`
+   * @returns {object} A Server Status Object, whose, when successful, `content`
+   * is a boolean of whether the repo is archived.
+   */
+  async archived(ownerRepo) {
+    try {
+      const raw = await this._webRequestAuth(`/repos/${ownerRepo}`);
+
+      if (!raw.ok) {
+        return this._failure(raw);
+      }
+
+      return {
+        ok: true,
+        content: raw.content.body.archived === true,
+      };
+    } catch (err) {
+      return {
+        ok: false,
+        short: "Server Error",
+        content: err,
+      };
+    }
+  }
+
+  /**
+   * @async
+   * @function featureDetection
+   * @desc This function is used to return a `featureObject`, informing the backend
+   * about what features this package supports.
+   * @param {object} userObj - The Full User Object as returned from verification.
+   * @param {string} ownerRepo - The string combo of `owner/repo`
+   * @returns {object} A Server Status Object, whose, when successful, will return
+   * a `featureObject` declaring what features this package supports.
+   */
+  async featureDetection(userObj, ownerRepo) {
+    const providesSnippets = async () => {
+      try {
+        const raw = await this._webRequestAuth(
+          `/repos/${ownerRepo}/contents/snippets`,
+          userObj.token
+        );
+
+        if (!raw.ok) {
+          if (raw.short === "Failed Request" && raw.content.status === 404) {
+            return { ok: true, content: { hasSnippets: false } };
+          }
+          return raw;
+        }
+
+        return { ok: true, content: { hasSnippets: true } };
+      } catch (err) {
+        return { ok: false, content: err };
+      }
+    };
+
+    const getGrammars = async () => {
+      try {
+        const raw = await this._webRequestAuth(
+          `/repos/${ownerRepo}/contents/grammars`,
+          userObj.token
+        );
+
+        if (
+          !raw.ok &&
+          raw.short === "Failed Request" &&
+          raw.content.status === 404
+        ) {
+          return { ok: true, content: { hasGrammar: false } };
+        } else if (!raw.ok) {
+          return raw;
+        }
+
+        let supportedLanguages = [];
+
+        for (const entry of raw.content.body) {
+          if (entry.type !== "file") {
+            continue;
+          }
+
+          const file = await this._file(userObj, ownerRepo, entry.path);
+
+          if (!file.ok) {
+            continue;
+          }
+
+          let data;
+
+          if (entry.name.endsWith(".json")) {
+            data = JSON.parse(file.content);
+          } else if (entry.name.endsWith(".cson")) {
+            data = CSON.parseCSONString(file.content);
+          }
+
+          if (Array.isArray(data?.fileTypes)) {
+            for (const fileType of data.fileTypes) {
+              if (typeof fileType === "string") {
+                supportedLanguages.push(fileType);
+              }
+            }
+          }
+        }
+
+        return {
+          ok: true,
+          content: {
+            hasGrammar: true,
+            supportedLanguages: supportedLanguages,
+          },
+        };
+      } catch (err) {
+        return { ok: false, content: err };
+      }
+    };
+
+    let grammars = await getGrammars();
+    let snippets = await providesSnippets();
+
+    let featureObject = {};
+
+    if (snippets.ok && snippets.content.hasSnippets) {
+      featureObject.hasSnippets = true;
+    }
+
+    if (grammars.ok && grammars.content.hasGrammar) {
+      featureObject.hasGrammar = true;
+    }
+
+    if (grammars.ok && grammars.content.supportedLanguages?.length > 0) {
+      featureObject.supportedLanguages = grammars.content.supportedLanguages;
+    }
+
+    if (Object.keys(featureObject).length === 0) {
+      featureObject.standard = true;
+    }
+
+    return {
+      ok: true,
+      content: featureObject,
+    };
+  }
+}
+
+module.exports = Gitea;
@@ -32,11 +32,17 @@ class GitHub extends Git {
    * @desc The main `ownership` function, as called by `vcs.ownership()` that will
    * relegate off to `this.doesUserHaveRepo()` to determine the access level the user
    * has over the repo, and will return accordingly. Mostly processing errors.
+   * Users authenticated with a registry token have no GitHub token to check
+   * the collaborators of a repo with, so are only considered owners of repos
+   * that belong directly to their own GitHub account.
    * @param {object} user - The User Object as retreived during verification.
    * @param {object} ownerRepo - The Owner/Repo Combo
    */
   async ownership(user, ownerRepo) {
-    const owner = await this.doesUserHaveRepo(user, ownerRepo);
+    const owner =
+      typeof user.token === "string"
+        ? await this.doesUserHaveRepo(user, ownerRepo)
+        : await this.doesUserOwnRepo(user, ownerRepo);
 
     if (owner.ok) {
       // We were able to confirm the ownership of the repo just fine and can return.
@@ -63,6 +69,49 @@ class GitHub extends Git {
     }
   }
 
+  /**
+   * @async
+   * @function doesUserOwnRepo
+   * @desc Determines if the specified repository belongs to the account of the
+   * specified user, by comparing the `node_id` of the owner of the repo. This
+   * only uses the public API, so it needs no token from the user.
+   * @param {object} user - The User Object from verification
+   * @param {string} ownerRepo - The `owner/repo` combo string.
+   * @returns {object} - A Server Status Object which when successful contains
+   * the `role_name` of `admin` as `content`.
+   */
+  async doesUserOwnRepo(user, ownerRepo) {
+    try {
+      const repo = await this._webRequestAuth(`/repos/${ownerRepo}`);
+
+      if (!repo.ok) {
+        // Private or missing repos return a 404, which we can't tell apart
+        return repo.content?.status === 404
+          ? { ok: false, short: "No Access" }
+          : { ok: false, short: "Server Error" };
+      }
+
+      if (repo.content.body.owner?.node_id !== user.node_id) {
+        return {
+          ok: false,
+          short: "No Access",
+          content: "The User does not own this repo.",
+        };
+      }
+
+      return {
+        ok: true,
+        content: "admin",
+      };
+    } catch (err) {
+      return {
+        ok: false,
+        short: "Server Error",
+        content: err,
+      };
+    }
+  }
+
   /**
    * @async
    * @function doesUserHaveRepo
@@ -400,6 +449,39 @@ class GitHub extends Git {
     }
   }
 
+  /**
+   * @async
+   * @function archived
+   * @desc Determines if a repository has been archived on GitHub. This only uses
+   * the public API, so needs no token from a user.
+   * @param {string} ownerRepo - The String combo of `owner/repo`
+   * @returns {object} A Server Status Object, whose, when successful, `content`
+   * is a boolean of whether the repo is archived.
+   */
+  async archived(ownerRepo) {
+    try {
+      const raw = await this._webRequestAuth(`/repos/${ownerRepo}`);
+
+      if (!raw.ok) {
+        // Missing repos are a 404, which isn't an acceptable status code
+        return raw.content?.status === 404
+          ? { ok: false, short: "Bad Repo" }
+          : { ok: false, short: "Server Error", content: raw.content?.status };
+      }
+
+      return {
+        ok: true,
+        content: raw.content.body.archived === true,
+      };
+    } catch (err) {
+      return {
+        ok: false,
+        short: "Server Error",
+        content: err,
+      };
+    }
+  }
+
   /**
    * @async
    * @function featureDetection
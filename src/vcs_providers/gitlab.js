@@ -0,0 +1,494 @@
+/**
+ * @module GitLab
+ * @desc A VCS Module to allow `vcs.js` to interact with GitLab as needed. Utilizing `git.js`
+ */
+
+const Git = require("./git.js");
+const CSON = require("cson");
+
+/**
+ * @class GitLab
+ * @classdesc The GitLab class serves as a way for `vcs` to interact directly with
+ * GitLab when needed. This Class extends `Git` to provide the standard functions
+ * expected of a VCS service. Every response is shaped the same as the responses of
+ * the `GitHub` class, so that `vcs` doesn't need to know which service it's talking to.
+ */
+class GitLab extends Git {
+  // Private properties:
+  #defaultApiUrl = "https://gitlab.com/api/v4";
+  #defaultAcceptableStatusCodes = [200, 401, 403, 404];
+  // The minimum GitLab access level that allows pushing to a repository.
+  // https://docs.gitlab.com/ee/api/members.html#roles
+  #developerAccessLevel = 30;
+  #accessLevelNames = {
+    30: "developer",
+    40: "maintainer",
+    50: "owner",
+  };
+
+  constructor(opts) {
+    super();
+    // Initialize base properties
+    this._initializer({
+      api_url: opts?.api_url ?? this.#defaultApiUrl,
+      ok_status: this.#defaultAcceptableStatusCodes,
+    });
+  }
+
+  /**
+   * @function _project
+   * @desc Internal util that returns the API path of a project. GitLab expects
+   * the full `namespace/project` path to be URL encoded when used as an ID.
+   * @param {string} ownerRepo - The `owner/repo` combo of the project.
+   * @returns {string} The API path of the project.
+   */
+  _project(ownerRepo) {
+    return `/projects/${encodeURIComponent(ownerRepo)}`;
+  }
+
+  /**
+   * @function _failure
+   * @desc Internal util that converts a failed web request into the
+   * same Server Status Object returned by every other function in this class.
+   * @param {object} raw - The failed response of `_webRequestAuth()`.
+   * @returns {object} A Server Status Object.
+   */
+  _failure(raw) {
+    if (raw.short === "Failed Request") {
+      switch (raw.content.status) {
+        case 401:
+          return {
+            ok: false,
+            short: "Bad Auth",
+            content: raw.content.status,
+          };
+        case 404:
+          return {
+            ok: false,
+            short: "Bad Repo",
+            content: raw.content.status,
+          };
+        default:
+          return {
+            ok: false,
+            short: "Server Error",
+            content: raw.content.status,
+          };
+      }
+    }
+
+    return {
+      ok: false,
+      short: "Server Error",
+      content: raw.content?.status,
+    };
+  }
+
+  /**
+   * @async
+   * @function ownership
+   * @desc The main `ownership` function, as called by `vcs.ownership()`.
+   * GitLab reports the access level the authenticated user has within the
+   * project itself, so a single request is enough to determine if the user is
+   * able to push to the repo.
+   * @param {object} user - The User Object as retreived during verification.
+   * @param {object} ownerRepo - The Owner/Repo Combo
+   * @returns {object} A Server Status Object which when successful contains
+   * the name of the role the user has over the given repo as `content`.
+   */
+  async ownership(user, ownerRepo) {
+    try {
+      const raw = await this._webRequestAuth(
+        this._project(ownerRepo),
+        user.token
+      );
+
+      if (!raw.ok) {
+        const failure = this._failure(raw);
+
+        if (failure.short === "Bad Repo" || raw.content?.status === 403) {
+          // GitLab hides projects the user can't see behind a 404
+          return { ok: false, short: "No Repo Access" };
+        }
+
+        return {
+          ok: false,
+          short: "Server Error",
+          content: failure.short,
+        };
+      }
+
+      const permissions = raw.content.body.permissions ?? {};
+      const accessLevel = Math.max(
+        permissions.project_access?.access_level ?? 0,
+        permissions.group_access?.access_level ?? 0
+      );
+
+      if (accessLevel < this.#developerAccessLevel) {
+        return { ok: false, short: "No Repo Access" };
+      }
+
+      return {
+        ok: true,
+        content: this.#accessLevelNames[accessLevel] ?? "owner",
+      };
+    } catch (err) {
+      return {
+        ok: false,
+        short: "Server Error",
+        content: err,
+      };
+    }
+  }
+
+  /**
+   * @async
+   * @function readme
+   * @desc Returns the Readme from GitLab for the specified owner/repo combo, with
+   * the specified users credentials. GitLab exposes the location of the
+   * preferred readme on the project itself, which is then retrieved from the
+   * default branch.
+   * @param {object} userObj - The Raw User Object after verification.
+   * @param {string} ownerRepo - The `owner/repo` combo of the repository to get.
+   * @returns {object} A Server Status Object where content is the Markdown text of a readme.
+   */
+  async readme(userObj, ownerRepo) {
+    try {
+      const project = await this._webRequestAuth(
+        this._project(ownerRepo),
+        userObj.token
+      );
+
+      if (!project.ok) {
+        return this._failure(project);
+      }
+
+      const branch = project.content.body.default_branch;
+      const readmeUrl = project.content.body.readme_url;
+
+      if (typeof readmeUrl !== "string" || typeof branch !== "string") {
+        return {
+          ok: false,
+          short: "Bad Repo",
+          content: "The repository does not contain a readme.",
+        };
+      }
+
+      // The `readme_url` is the web URL of the file, shaped like
+      // `https://gitlab.com/owner/repo/-/blob/main/README.md`
+      const readmePath = decodeURIComponent(
+        readmeUrl.split(`/-/blob/${branch}/`)[1] ?? "README.md"
+      );
+
+      const readmeRaw = await this._webRequestAuth(
+        `${this._project(ownerRepo)}/repository/files/${encodeURIComponent(
+          readmePath
+        )}?ref=${encodeURIComponent(branch)}`,
+        userObj.token
+      );
+
+      if (!readmeRaw.ok) {
+        return this._failure(readmeRaw);
+      }
+
+      return {
+        ok: true,
+        content: Buffer.from(
+          readmeRaw.content.body.content,
+          readmeRaw.content.body.encoding
+        ).toString(),
+      };
+    } catch (err) {
+      return {
+        ok: false,
+        short: "Server Error",
+        content: null,
+        error: err,
+      };
+    }
+  }
+
+  /**
+   * @async
+   * @function tags
+   * @desc Returns all tags associated with a GitLab repo. Each tag is converted
+   * into the same shape GitHub uses, containing a `name`, `tarball_url`, and
+   * `commit.sha`.
+   * @param {object} userObj - The Full User Object as received after verification.
+   * @param {string} ownerRepo - The String combo of `owner/repo` for the package.
+   * @returns {object} A Server Status Object, which when successful, whose `content`
+   * is all the tags of the specified repo.
+   * @see https://docs.gitlab.com/ee/api/tags.html#list-project-repository-tags
+   */
+  async tags(userObj, ownerRepo) {
+    try {
+      const raw = await this._webRequestAuth(
+        `${this._project(ownerRepo)}/repository/tags?per_page=100`,
+        userObj.token
+      );
+
+      if (!raw.ok) {
+        return this._failure(raw);
+      }
+
+      return {
+        ok: true,
+        content: raw.content.body.map((tag) => {
+          return {
+            name: tag.name,
+            tarball_url: `${this.apiUrl}${this._project(
+              ownerRepo
+            )}/repository/archive.tar.gz?sha=${encodeURIComponent(tag.name)}`,
+            commit: {
+              sha: tag.commit?.id ?? "",
+            },
+          };
+        }),
+      };
+    } catch (err) {
+      return {
+        ok: false,
+        short: "Server Error",
+        content: null,
+        error: err,
+      };
+    }
+  }
+
+  /**
+   * @async
+   * @function packageJSON
+   * @desc Returns the JSON Parsed text of the `package.json` on a GitLab repo.
+   * @param {object} userObj - The Full User Object as received after verification.
+   * @param {string} ownerRepo - The String combo of `owner/repo` for the package
+   * @returns {object} A Server Status Object, which when successfully, whose `content`
+   * Is the JSON parsed `package.json` of the repo specified.
+   */
+  async packageJSON(userObj, ownerRepo) {
+    try {
+      const raw = await this._webRequestAuth(
+        `${this._project(ownerRepo)}/repository/files/package.json?ref=HEAD`,
+        userObj.token
+      );
+
+      if (!raw.ok) {
+        return this._failure(raw);
+      }
+
+      return {
+        ok: true,
+        content: JSON.parse(
+          Buffer.from(
+            raw.content.body.content,
+            raw.content.body.encoding
+          ).toString()
+        ),
+      };
+    } catch (err) {
+      return {
+        ok: false,
+        short: "Server Error",
+        content: null,
+        error: err,
+      };
+    }
+  }
+
+  /**
+   * @async
+   * @function exists
+   * @desc This function is used to verify whether a specific package exists on GitLab.
+   * @param {object} userObj - The Full User Object as returned from verification.
+   * @param {string} ownerRepo - The String combo of `owner/repo`
+   * @returns {object} A Server Status Object, whose, when successful, will return
+   * the `path_with_namespace` of the package as returned by GitLab.
+   */
+  async exists(userObj, ownerRepo) {
+    try {
+      const raw = await this._webRequestAuth(
+        this._project(ownerRepo),
+        userObj.token
+      );
+
+      if (!raw.ok) {
+        const failure = this._failure(raw);
+        return { ok: false, short: failure.short };
+      }
+
+      return {
+        ok: true,
+        content: raw.content.body.path_with_namespace,
+      };
+    } catch (err) {
+      return {
+        ok: false,
+        short: "Server Error",
+        content: err,
+      };
+    }
+  }
+
+  /**
+   * @async
+   * @function archived
+   * @desc Determines if a project has been archived on GitLab.
+   * @param {string} ownerRepo - The String combo of `owner/repo`
+   * @returns {object} A Server Status Object, whose, when successful, `content`
+   * is a boolean of whether the project is archived.
+   */
+  async archived(ownerRepo) {
+    try {
+      const raw = await this._webRequestAuth(this._project(ownerRepo));
+
+      if (!raw.ok) {
+        return this._failure(raw);
+      }
+
+      return {
+        ok: true,
+        content: raw.content.body.archived === true,
+      };
+    } catch (err) {
+      return {
+        ok: false,
+        short: "Server Error",
+        content: err,
+      };
+    }
+  }
+
+  /**
+   * @async
+   * @function featureDetection
+   * @desc This function is used to return a `featureObject`, informing the backend
+   * about what features this package supports.
+   * @param {object} userObj - The Full User Object as returned from verification.
+   * @param {string} ownerRepo - The string combo of `owner/repo`
+   * @returns {object} A Server Status Object, whose, when successful, will return
+   * a `featureObject` declaring what features this package supports.
+   */
+  async featureDetection(userObj, ownerRepo) {
+    const tree = async (path) => {
+      return await this._webRequestAuth(
+        `${this._project(ownerRepo)}/repository/tree?path=${encodeURIComponent(
+          path
+        )}&per_page=100`,
+        userObj.token
+      );
+    };
+
+    const providesSnippets = async () => {
+      try {
+        const raw = await tree("snippets");
+
+        if (!raw.ok) {
+          if (raw.short === "Failed Request" && raw.content.status === 404) {
+            return { ok: true, content: { hasSnippets: false } };
+          }
+          return raw;
+        }
+
+        return { ok: true, content: { hasSnippets: true } };
+      } catch (err) {
+        return { ok: false, content: err };
+      }
+    };
+
+    const getGrammars = async () => {
+      try {
+        const raw = await tree("grammars");
+
+        if (
+          !raw.ok &&
+          raw.short === "Failed Request" &&
+          raw.content.status === 404
+        ) {
+          return { ok: true, content: { hasGrammar: false } };
+        } else if (!raw.ok) {
+          return raw;
+        }
+
+        let supportedLanguages = [];
+
+        for (const entry of raw.content.body) {
+          if (entry.type !== "blob") {
+            continue;
+          }
+
+          const rawInner = await this._webRequestAuth(
+            `${this._project(ownerRepo)}/repository/files/${encodeURIComponent(
+              entry.path
+            )}?ref=HEAD`,
+            userObj.token
+          );
+
+          if (!rawInner.ok) {
+            continue;
+          }
+
+          if (typeof rawInner.content.body.encoding !== "string") {
+            continue;
+          }
+
+          let file = Buffer.from(
+            rawInner.content.body.content,
+            rawInner.content.body.encoding
+          ).toString();
+          let data;
+
+          if (entry.name.endsWith(".json")) {
+            data = JSON.parse(file);
+          } else if (entry.name.endsWith(".cson")) {
+            data = CSON.parseCSONString(file);
+          }
+
+          if (Array.isArray(data?.fileTypes)) {
+            for (const fileType of data.fileTypes) {
+              if (typeof fileType === "string") {
+                supportedLanguages.push(fileType);
+              }
+            }
+          }
+        }
+
+        return {
+          ok: true,
+          content: {
+            hasGrammar: true,
+            supportedLanguages: supportedLanguages,
+          },
+        };
+      } catch (err) {
+        return { ok: false, content: err };
+      }
+    };
+
+    let grammars = await getGrammars();
+    let snippets = await providesSnippets();
+
+    let featureObject = {};
+
+    if (snippets.ok && snippets.content.hasSnippets) {
+      featureObject.hasSnippets = true;
+    }
+
+    if (grammars.ok && grammars.content.hasGrammar) {
+      featureObject.hasGrammar = true;
+    }
+
+    if (grammars.ok && grammars.content.supportedLanguages?.length > 0) {
+      featureObject.supportedLanguages = grammars.content.supportedLanguages;
+    }
+
+    if (Object.keys(featureObject).length === 0) {
+      featureObject.standard = true;
+    }
+
+    return {
+      ok: true,
+      content: featureObject,
+    };
+  }
+}
+
+module.exports = GitLab;
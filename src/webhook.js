@@ -1,32 +1,92 @@
 /**
  * @module webhook
- * @desc Handles sending out webhooks based on function calls.
+ * @desc Handles sending out webhooks based on function calls. Events are sent to
+ * every webhook subscribed to them, as generic JSON signed with the secret of
+ * each webhook, as well as to the subscribers built into the backend, such as
+ * the Discord webhooks. Every delivery is queued within the database first, and
+ * attempted by a worker, which retries failed deliveries until dead-lettered.
  */
 
 const superagent = require("superagent");
-const { WEBHOOK_PUBLISH, WEBHOOK_VERSION, WEBHOOK_USERNAME } =
-  require("./config.js").getConfig();
+const crypto = require("crypto");
+const dns = require("dns");
+const https = require("https");
+const net = require("net");
+const {
+  WEBHOOK_PUBLISH,
+  WEBHOOK_VERSION,
+  WEBHOOK_USERNAME,
+  WEBHOOK_QUEUE_INTERVAL,
+  WEBHOOK_QUEUE_BATCH,
+  WEBHOOK_MAX_ATTEMPTS,
+  WEBHOOK_ALLOW_PRIVATE,
+} = require("./config.js").getConfig();
 const logger = require("./logger.js");
+const database = require("./database.js");
+
+// The events a webhook can subscribe to.
+const WEBHOOK_EVENTS = ["publish", "version", "delete", "star", "badge"];
+
+// How long a webhook has to respond to a delivery, in milliseconds.
+const DELIVERY_TIMEOUT = 10000;
+
+// Every webhook secret starts with this, making them easy to recognize.
+const SECRET_PREFIX = "whsec_";
+
+// The addresses webhooks are never sent to, keeping deliveries from reaching
+// anything within our own network, such as the metadata of the cloud instance.
+const BLOCKED_ADDRESSES = new net.BlockList();
+
+for (const [address, prefix] of [
+  ["0.0.0.0", 8], // This network
+  ["10.0.0.0", 8], // Private
+  ["100.64.0.0", 10], // Carrier-grade NAT
+  ["127.0.0.0", 8], // Loopback
+  ["169.254.0.0", 16], // Link-local, including cloud metadata
+  ["172.16.0.0", 12], // Private
+  ["192.0.0.0", 24], // IETF protocol assignments
+  ["192.168.0.0", 16], // Private
+  ["198.18.0.0", 15], // Benchmarking
+  ["224.0.0.0", 4], // Multicast
+  ["240.0.0.0", 4], // Reserved, and broadcast
+]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv4");
+}
+
+for (const [address, prefix] of [
+  ["::", 127], // Unspecified, and loopback
+  ["64:ff9b:1::", 48], // Local-use IPv4/IPv6 translation
+  ["fc00::", 7], // Unique-local, including cloud metadata
+  ["fe80::", 10], // Link-local
+  ["ff00::", 8], // Multicast
+]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv6");
+}
+
+// Hostnames only ever resolving within our own network.
+const BLOCKED_HOSTNAMES = /(^|\.)(localhost|local|internal|home\.arpa)$/;
+
+let timer = null;
+let running = false;
 
 /**
- * @async
- * @function alertPublishPackage
- * @desc Used to send a webhook of a new package being published.
+ * @function discordPublishPackage
+ * @desc Builds the Discord message of a new package being published.
  * @param {object} pack - The full package object being published.
  * @param {object} user - The full user object.
+ * @returns {object|null} The message, or null if missing required fields.
  */
-async function alertPublishPackage(pack, user) {
+function discordPublishPackage(pack, user) {
   // Lets do a safety check of the data we need
-  if (typeof user.username !== "string" || typeof pack.name !== "string") {
+  if (typeof user?.username !== "string" || typeof pack?.name !== "string") {
     logger.generic(
       3,
       `Webhook for package ${pack?.name} was missing required fields!`
     );
-    return;
+    return null;
   }
 
-  // Now with our data we can generate the webhook data we want to send out.
-  let sendObj = {
+  return {
     username: WEBHOOK_USERNAME,
     content: `${user.username} Published ${pack.name} to Pulsar!`,
     embeds: [
@@ -39,41 +99,30 @@ async function alertPublishPackage(pack, user) {
       },
     ],
   };
-
-  let sendHook = await sendWebHook(sendObj, WEBHOOK_PUBLISH);
-
-  if (!sendHook.ok) {
-    logger.generic(3, "Sending Package Publish webhook failed", {
-      err: sendHook.content,
-      type: "error",
-    });
-  }
-  return;
 }
 
 /**
- * @async
- * @function alertPublishVersion
- * @desc Used to send a webhook of a new package version being published.
+ * @function discordPublishVersion
+ * @desc Builds the Discord message of a new package version being published.
  * @param {object} pack - The full package object and version being published.
  * @param {object} user - The full user object.
+ * @returns {object|null} The message, or null if missing required fields.
  */
-async function alertPublishVersion(pack, user) {
+function discordPublishVersion(pack, user) {
   // Lets do a safety check of the data we need.
   if (
-    typeof user.username !== "string" ||
-    typeof pack.metadata.version !== "string" ||
-    typeof pack.name !== "string"
+    typeof user?.username !== "string" ||
+    typeof pack?.metadata?.version !== "string" ||
+    typeof pack?.name !== "string"
   ) {
     logger.generic(
       3,
       `Webhook for version of ${pack?.name} was missing required fields!`
     );
-    return;
+    return null;
   }
 
-  // Now with our data we can generate our webhook data.
-  let sendObj = {
+  return {
     username: WEBHOOK_USERNAME,
     content: `${user.username} Published version ${pack.metadata.version} of ${pack.name} to Pulsar!`,
     embeds: [
@@ -86,42 +135,569 @@ async function alertPublishVersion(pack, user) {
       },
     ],
   };
+}
 
-  let sendHook = await sendWebHook(sendObj, WEBHOOK_VERSION);
+/**
+ * @function isBlockedAddress
+ * @desc Determines if an IP address is within our own network, being loopback,
+ * private, link-local, unique-local, or otherwise not publicly routable. IPv4
+ * addresses mapped to IPv6 are checked as IPv4.
+ * @param {string} address - The IP address.
+ * @returns {boolean} If webhooks may not be sent to the address.
+ */
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
 
-  if (!sendHook.ok) {
-    logger.generic(3, "Sending Package Version Publish webhook failed", {
-      err: sendHook.content,
-      type: "error",
-    });
+  if (family === 0) {
+    // Not an IP address at all
+    return true;
+  }
+
+  return BLOCKED_ADDRESSES.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+/**
+ * @function isBlockedHostname
+ * @desc Determines if the hostname of a URL is known to be within our own
+ * network, without resolving it. IP addresses are checked with `isBlockedAddress()`.
+ * @param {string} hostname - The hostname, as from a `URL`.
+ * @returns {boolean} If webhooks may not be sent to the hostname.
+ */
+function isBlockedHostname(hostname) {
+  const host = hostname
+    .toLowerCase()
+    .replace(/^\[(.*)\]$/, "$1")
+    .replace(/\.$/, "");
+
+  if (net.isIP(host) !== 0) {
+    return isBlockedAddress(host);
+  }
+
+  return host.length === 0 || BLOCKED_HOSTNAMES.test(host);
+}
+
+/**
+ * @async
+ * @function checkUrl
+ * @desc Checks a URL may be registered as a webhook, being `https`, and both
+ * named and resolving outside our own network. Since the hostname could resolve
+ * differently later, the address is checked again by `guardedLookup()` on
+ * every delivery.
+ * @param {string} url - The URL of the webhook.
+ * @returns {object} A Server Status Object, whose content is the URL.
+ */
+async function checkUrl(url) {
+  let parsed;
+
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    return {
+      ok: false,
+      content: "The URL of the webhook is invalid.",
+      short: "bad_request",
+    };
+  }
+
+  if (parsed.protocol !== "https:") {
+    return {
+      ok: false,
+      content: "The URL of the webhook must be `https`.",
+      short: "bad_request",
+    };
+  }
+
+  if (WEBHOOK_ALLOW_PRIVATE) {
+    return { ok: true, content: url };
+  }
+
+  const blocked = {
+    ok: false,
+    content: `Webhooks can't be sent to ${parsed.hostname}, which isn't a public address.`,
+    short: "bad_request",
+  };
+
+  if (isBlockedHostname(parsed.hostname)) {
+    return blocked;
   }
-  return;
+
+  let addresses;
+
+  try {
+    addresses = await dns.promises.lookup(
+      parsed.hostname.replace(/^\[(.*)\]$/, "$1"),
+      { all: true }
+    );
+  } catch (err) {
+    return {
+      ok: false,
+      content: `The hostname ${parsed.hostname} of the webhook doesn't resolve.`,
+      short: "bad_request",
+    };
+  }
+
+  if (
+    addresses.length === 0 ||
+    addresses.some((a) => isBlockedAddress(a.address))
+  ) {
+    return blocked;
+  }
+
+  return { ok: true, content: url };
+}
+
+/**
+ * @function guardedLookup
+ * @desc A drop-in `lookup` for connections made to webhooks, which refuses any
+ * hostname resolving within our own network. Checking the address as it's
+ * connected to means the hostname can't be rebound to one after `checkUrl()`.
+ * @param {string} hostname - The hostname to resolve.
+ * @param {object} options - The options of `dns.lookup()`.
+ * @param {function} callback - Called as `dns.lookup()` would.
+ */
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    const blocked = addresses.find((a) => isBlockedAddress(a.address));
+
+    if (addresses.length === 0 || blocked !== undefined) {
+      const error = new Error(
+        `Refused to connect to ${hostname}, which resolves to ${
+          blocked?.address ?? "nothing"
+        }.`
+      );
+      error.code = "EBLOCKEDADDRESS";
+      callback(error);
+      return;
+    }
+
+    if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
 }
 
+// Every delivery is made through this, unless private addresses are allowed
+const guardedAgent = new https.Agent({ lookup: guardedLookup });
+
 /**
  * @async
  * @function sendWebHook
- * @desc Used to preform the actual sending of the webhook.
- * @param {object} obj - The Object to send via the webhook
+ * @desc Used to preform the actual sending of the webhook. Any response outside
+ * of 2XX, including redirects, counts as a failure. Unless `WEBHOOK_ALLOW_PRIVATE`
+ * is set, nothing within our own network is connected to.
+ * @param {object|string} obj - The Object, or exact body, to send via the webhook.
  * @param {string} webhookURL - The URL to send the webhook to.
+ * @param {object} [headers] - Any headers to send along with it.
+ * @returns {object} A Server Status Object, with the `status` of the response.
  */
-async function sendWebHook(obj, webhookURL) {
+async function sendWebHook(obj, webhookURL, headers = {}) {
   try {
+    let agent = false;
+
+    if (!WEBHOOK_ALLOW_PRIVATE) {
+      const url = new URL(webhookURL);
+
+      // An IP address is connected to without a lookup, so is checked here
+      if (url.protocol !== "https:" || isBlockedHostname(url.hostname)) {
+        return {
+          ok: false,
+          status: null,
+          content: new Error(`Refused to connect to ${url.hostname}.`),
+        };
+      }
+
+      agent = guardedAgent;
+    }
+
     // Send our webhook data
-    await superagent.post(webhookURL).send(obj);
+    const res = await superagent
+      .post(webhookURL)
+      .agent(agent)
+      .set(headers)
+      .redirects(0)
+      .timeout(DELIVERY_TIMEOUT)
+      .send(obj);
     // there was no error caught, so return
-    return { ok: true };
+    return { ok: true, status: res?.status ?? null };
   } catch (err) {
     // our webhook failed
     return {
       ok: false,
+      status: err?.status ?? null,
       content: err,
     };
   }
 }
 
+// The subscribers built into the backend, which receive the events they handle
+// alongside any registered webhooks. Each builds its own payload, and is only
+// sent events while its `url` is configured.
+const BUILT_IN_SUBSCRIBERS = [
+  {
+    name: "discord",
+    events: ["publish", "version"],
+    url: (event) => (event === "publish" ? WEBHOOK_PUBLISH : WEBHOOK_VERSION),
+    payload: (event, data) =>
+      event === "publish"
+        ? discordPublishPackage(data.pack, data.user)
+        : discordPublishVersion(data.pack, data.user),
+  },
+];
+
+/**
+ * @function generateSecret
+ * @desc Creates a new random secret for a webhook. Unlike registry tokens, the
+ * secret is stored as is, since it's needed to sign every payload.
+ * @returns {string} The secret.
+ */
+function generateSecret() {
+  return `${SECRET_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+}
+
+/**
+ * @function signPayload
+ * @desc Signs the body of a delivery with the secret of a webhook, allowing the
+ * receiver to verify the delivery came from us, and wasn't modified.
+ * @param {string} body - The exact body being sent.
+ * @param {string} secret - The secret of the webhook.
+ * @returns {string} The HMAC-SHA256 signature, such as `sha256=<hex digest>`.
+ */
+function signPayload(body, secret) {
+  return `sha256=${crypto
+    .createHmac("sha256", secret)
+    .update(body)
+    .digest("hex")}`;
+}
+
+/**
+ * @function verifySignature
+ * @desc Verifies the signature of an inbound delivery, such as one from a GitHub
+ * webhook, was made with a secret of ours. Compared in constant time, so the
+ * signature can't be guessed one character at a time.
+ * @param {Buffer|string} body - The exact body received.
+ * @param {string} secret - The secret the body should be signed with.
+ * @param {string} signature - The signature received, such as `sha256=<hex digest>`.
+ * @returns {boolean} If the signature is valid.
+ */
+function verifySignature(body, secret, signature) {
+  if (typeof signature !== "string" || typeof secret !== "string") {
+    return false;
+  }
+
+  const expected = Buffer.from(signPayload(body, secret));
+  const given = Buffer.from(signature);
+
+  return (
+    expected.length === given.length && crypto.timingSafeEqual(expected, given)
+  );
+}
+
+/**
+ * @function buildPayload
+ * @desc Builds the generic JSON payload of an event, sent to webhooks.
+ * @param {string} event - The event, as in `WEBHOOK_EVENTS`.
+ * @param {object} data - The data of the event, as given to `dispatchEvent()`.
+ * @returns {object} The payload, with a unique `delivery` ID.
+ */
+function buildPayload(event, data) {
+  return {
+    event: event,
+    delivery: crypto.randomUUID(),
+    timestamp: new Date().toISOString(),
+    package: {
+      name: data.pack.name,
+      owner: data.pack.owner ?? null,
+    },
+    version: data.version ?? data.pack.metadata?.version ?? null,
+    user: data.user?.username ?? null,
+    details: data.details ?? {},
+  };
+}
+
+/**
+ * @function retryDelay
+ * @desc Determines how long to wait before the next attempt of a failed delivery.
+ * Doubling from 30 seconds after the first attempt, up to an hour.
+ * @param {int} attempts - The attempts made so far.
+ * @returns {int} The delay in milliseconds.
+ */
+function retryDelay(attempts) {
+  return Math.min(30000 * 2 ** Math.max(attempts - 1, 0), 3600000);
+}
+
+/**
+ * @async
+ * @function attemptDelivery
+ * @desc Attempts a queued delivery, and records the outcome. Deliveries to
+ * webhooks are sent as JSON signed with their secret, while deliveries to
+ * built-in subscribers are sent their payload as is. A failed delivery is
+ * retried after `retryDelay()`, until it's made `WEBHOOK_MAX_ATTEMPTS` attempts,
+ * after which it's dead-lettered.
+ * @param {object} delivery - The delivery, as returned by
+ * `database.claimWebhookDeliveries()`.
+ * @returns {object} A Server Status Object, whose content is the state of the
+ * delivery after the attempt.
+ */
+async function attemptDelivery(delivery) {
+  let url = null;
+  let body = delivery.payload;
+  let headers = {};
+
+  if (delivery.webhook !== null) {
+    url = delivery.url;
+    body = JSON.stringify(delivery.payload);
+    headers = {
+      "Content-Type": "application/json",
+      "X-Pulsar-Event": delivery.event,
+      "X-Pulsar-Delivery": delivery.id,
+      "X-Pulsar-Signature-256": signPayload(body, delivery.secret),
+    };
+  } else {
+    const subscriber = BUILT_IN_SUBSCRIBERS.find(
+      (sub) => sub.name === delivery.subscriber
+    );
+    url = subscriber?.url(delivery.event) ?? null;
+  }
+
+  const start = Date.now();
+  const sent =
+    typeof url === "string" && url.length > 0
+      ? await sendWebHook(body, url, headers)
+      : { ok: false, status: null, content: new Error("No URL to send to.") };
+  const duration = Date.now() - start;
+
+  const attempts = delivery.attempts + 1;
+  const state = sent.ok
+    ? "delivered"
+    : attempts >= WEBHOOK_MAX_ATTEMPTS
+    ? "dead"
+    : "pending";
+
+  const record = await database.updateWebhookDelivery(delivery.id, {
+    state: state,
+    status: sent.status,
+    error: sent.ok ? null : sent.content?.message ?? "The delivery failed.",
+    duration: duration,
+    delay: state === "pending" ? retryDelay(attempts) : 0,
+  });
+
+  if (!record.ok) {
+    logger.generic(
+      3,
+      `Unable to record an attempt of delivery ${delivery.id}`,
+      {
+        type: "object",
+        obj: record,
+      }
+    );
+  }
+
+  if (state === "dead") {
+    logger.generic(
+      3,
+      `Delivery ${delivery.id} of ${delivery.event} event failed ${attempts} times, and is dead-lettered`
+    );
+  }
+
+  return { ok: sent.ok, content: state };
+}
+
+/**
+ * @async
+ * @function processQueue
+ * @desc Attempts the next batch of due deliveries. Only one batch is attempted at
+ * a time, any call made meanwhile returning straight away.
+ * @param {int} [limit] - The most deliveries to attempt.
+ * @returns {object} A Server Status Object, whose content is the amount of
+ * deliveries successfully delivered.
+ */
+async function processQueue(limit = WEBHOOK_QUEUE_BATCH) {
+  if (running) {
+    return { ok: true, content: 0 };
+  }
+
+  running = true;
+
+  try {
+    // The deliveries are attempted one by one, so are claimed long enough for each to time out
+    const claimed = await database.claimWebhookDeliveries(
+      limit,
+      DELIVERY_TIMEOUT * limit + DELIVERY_TIMEOUT
+    );
+
+    if (!claimed.ok) {
+      logger.generic(3, "Unable to claim the due webhook deliveries", {
+        type: "object",
+        obj: claimed,
+      });
+      return claimed;
+    }
+
+    let delivered = 0;
+
+    for (const delivery of claimed.content) {
+      const attempt = await attemptDelivery(delivery);
+
+      if (attempt.ok) {
+        delivered++;
+      }
+    }
+
+    return { ok: true, content: delivered };
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * @async
+ * @function dispatchEvent
+ * @desc Queues a delivery of an event of a package to the built-in subscribers
+ * handling it, and every webhook subscribed to it. Then attempts the queue
+ * straight away, rather than waiting for the worker.
+ * @param {string} event - The event, as in `WEBHOOK_EVENTS`.
+ * @param {object} data - The data of the event.
+ * @param {object} data.pack - The package, with at least its `name`, and its
+ * `owner` when known.
+ * @param {object} [data.user] - The user causing the event.
+ * @param {string} [data.version] - The version involved, if any. Otherwise the
+ * version within the `metadata` of the package is used.
+ * @param {object} [data.details] - Any details specific to the event.
+ * @returns {object} A Server Status Object, whose content is the amount of
+ * deliveries queued.
+ */
+async function dispatchEvent(event, data) {
+  const deliveries = [];
+
+  for (const subscriber of BUILT_IN_SUBSCRIBERS) {
+    const url = subscriber.events.includes(event) ? subscriber.url(event) : "";
+
+    if (typeof url !== "string" || url.length === 0) {
+      continue;
+    }
+
+    const payload = subscriber.payload(event, data);
+
+    if (payload !== null) {
+      deliveries.push({
+        id: crypto.randomUUID(),
+        subscriber: subscriber.name,
+        event: event,
+        payload: payload,
+      });
+    }
+  }
+
+  const webhooks = await database.getWebhooksForEvent(
+    event,
+    data.pack.name,
+    data.pack.owner ?? null
+  );
+
+  if (!webhooks.ok) {
+    logger.generic(3, `Unable to find the webhooks of ${event} event`, {
+      type: "object",
+      obj: webhooks,
+    });
+  }
+
+  for (const webhook of webhooks.ok ? webhooks.content : []) {
+    const payload = buildPayload(event, data);
+
+    deliveries.push({
+      id: payload.delivery,
+      webhook: webhook.id,
+      event: event,
+      payload: payload,
+    });
+  }
+
+  let queued = 0;
+
+  for (const delivery of deliveries) {
+    const insert = await database.insertWebhookDelivery(delivery);
+
+    if (!insert.ok) {
+      logger.generic(3, `Unable to queue a delivery of ${event} event`, {
+        type: "object",
+        obj: insert,
+      });
+      continue;
+    }
+
+    queued++;
+  }
+
+  if (queued > 0) {
+    await processQueue();
+  }
+
+  return { ok: true, content: queued };
+}
+
+/**
+ * @function start
+ * @desc Schedules the queue of deliveries to be attempted every
+ * `WEBHOOK_QUEUE_INTERVAL` milliseconds, picking up any retries due, as well as
+ * anything left over from a restart.
+ * @param {int} [interval] - The milliseconds between each run. 0 disables the worker.
+ */
+function start(interval = WEBHOOK_QUEUE_INTERVAL) {
+  if (timer !== null || interval <= 0) {
+    return;
+  }
+
+  timer = setInterval(async () => {
+    try {
+      await processQueue();
+    } catch (err) {
+      logger.generic(2, "The webhook queue threw an error", {
+        type: "error",
+        err: err,
+      });
+    }
+  }, interval);
+
+  // The worker alone shouldn't keep the process alive
+  timer.unref();
+}
+
+/**
+ * @function stop
+ * @desc Stops the scheduled attempts of the queue.
+ */
+function stop() {
+  if (timer !== null) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
 module.exports = {
-  alertPublishPackage,
-  alertPublishVersion,
+  WEBHOOK_EVENTS,
+  BUILT_IN_SUBSCRIBERS,
+  discordPublishPackage,
+  discordPublishVersion,
+  isBlockedAddress,
+  isBlockedHostname,
+  checkUrl,
+  guardedLookup,
   sendWebHook,
+  generateSecret,
+  signPayload,
+  verifySignature,
+  buildPayload,
+  retryDelay,
+  attemptDelivery,
+  processQueue,
+  dispatchEvent,
+  start,
+  stop,
 };
@@ -0,0 +1,316 @@
+const database = require("../../src/database.js");
+
+let admin;
+
+const newPackage = (name) => {
+  return {
+    name: name,
+    repository: {
+      type: "git",
+      url: `https://github.com/confused-Techie/${name}`,
+    },
+    owner: "confused-Techie",
+    creation_method: "Test Run",
+    releases: {
+      latest: "1.0.0",
+    },
+    readme: "This file is a readme",
+    metadata: {
+      name: name,
+      version: "1.0.0",
+      license: "MIT",
+    },
+    versions: {
+      "1.0.0": {
+        name: name,
+        version: "1.0.0",
+        license: "MIT",
+        dist: {
+          tarball: "https://codeload.github.com/tarball/v1.0.0",
+          sha: "12345",
+        },
+      },
+    },
+  };
+};
+
+beforeAll(async () => {
+  const createUser = await database.insertNewUser(
+    "admin-actions-test",
+    "admin-actions-node-id",
+    "https://roadtonowhere.com"
+  );
+
+  if (!createUser.ok) console.log(createUser);
+  expect(createUser.ok).toBeTruthy();
+
+  admin = { userid: createUser.content.id, reason: "Testing." };
+
+  const addPack = await database.insertNewPackage(
+    newPackage("admin-actions-test")
+  );
+
+  if (!addPack.ok) console.log(addPack);
+  expect(addPack.ok).toBeTruthy();
+});
+
+afterAll(async () => {
+  await database.shutdownSQL();
+});
+
+describe("Records each admin action", () => {
+  test("Adds a badge to a package, linked to the action", async () => {
+    const badge = { type: "warn", title: "Deprecated" };
+    const res = await database.insertPackageBadge(
+      "admin-actions-test",
+      badge,
+      admin
+    );
+
+    if (!res.ok) console.log(res);
+    expect(res.ok).toBeTruthy();
+    expect(res.content.action).toBe("add_badge");
+    expect(res.content.details.badge).toEqual(badge);
+
+    const pack = await database.getPackageByName("admin-actions-test");
+
+    expect(pack.ok).toBeTruthy();
+    expect(pack.content.data.badges.length).toBe(1);
+    expect(pack.content.data.badges[0].title).toBe("Deprecated");
+    expect(pack.content.data.badges[0].link).toMatch(
+      new RegExp(`/api/admin/actions/${res.content.id}$`)
+    );
+  });
+
+  test("Won't add the same badge twice", async () => {
+    const res = await database.insertPackageBadge(
+      "admin-actions-test",
+      { type: "info", title: "Deprecated" },
+      admin
+    );
+
+    expect(res.ok).toBeFalsy();
+    expect(res.short).toBe("bad_request");
+  });
+
+  test("Filters packages by their badges", async () => {
+    const shown = await database.getSortedPackages({
+      page: 1,
+      sort: "downloads",
+      direction: "desc",
+      badge: ["Deprecated"],
+    });
+
+    expect(shown.ok).toBeTruthy();
+    expect(shown.content.map((p) => p.name)).toContain("admin-actions-test");
+
+    const hidden = await database.getSortedPackages({
+      page: 1,
+      sort: "downloads",
+      direction: "desc",
+      hideBadge: ["Outdated", "Deprecated"],
+    });
+
+    expect(hidden.ok).toBeTruthy();
+    expect(hidden.content.map((p) => p.name)).not.toContain(
+      "admin-actions-test"
+    );
+
+    const searched = await database.simpleSearch(
+      "admin-actions",
+      1,
+      "desc",
+      "downloads",
+      false,
+      { hideBadge: ["Deprecated"] }
+    );
+
+    expect(searched.ok).toBeTruthy();
+    expect(searched.content.length).toBe(0);
+  });
+
+  test("Removes a badge from a package", async () => {
+    const res = await database.removePackageBadge(
+      "admin-actions-test",
+      "Deprecated",
+      admin
+    );
+
+    if (!res.ok) console.log(res);
+    expect(res.ok).toBeTruthy();
+    expect(res.content.action).toBe("remove_badge");
+    expect(res.content.details.badge.title).toBe("Deprecated");
+
+    const pack = await database.getPackageByName("admin-actions-test");
+
+    expect(pack.content.data.badges).toEqual([]);
+
+    const again = await database.removePackageBadge(
+      "admin-actions-test",
+      "Deprecated",
+      admin
+    );
+
+    expect(again.ok).toBeFalsy();
+    expect(again.short).toBe("not_found");
+  });
+
+  test("Transfers the ownership of a package", async () => {
+    const repository = {
+      type: "lab",
+      url: "https://gitlab.com/pulsar-edit/admin-actions-test",
+    };
+    const res = await database.updatePackageRepository(
+      "admin-actions-test",
+      repository,
+      "pulsar-edit",
+      admin
+    );
+
+    if (!res.ok) console.log(res);
+    expect(res.ok).toBeTruthy();
+    expect(res.content.action).toBe("transfer_ownership");
+    expect(res.content.details.from.owner).toBe("confused-Techie");
+
+    const pack = await database.getPackageByName("admin-actions-test");
+
+    expect(pack.content.owner).toBe("pulsar-edit");
+    expect(pack.content.data.repository).toEqual(repository);
+  });
+
+  test("Won't un-reserve a name in use", async () => {
+    const res = await database.removePackageName("admin-actions-test", admin);
+
+    expect(res.ok).toBeFalsy();
+    expect(res.short).toBe("bad_request");
+  });
+
+  test("Force deletes a package, keeping the name reserved", async () => {
+    const res = await database.forceRemovePackageByName(
+      "admin-actions-test",
+      admin
+    );
+
+    if (!res.ok) console.log(res);
+    expect(res.ok).toBeTruthy();
+    expect(res.content.details.versions).toEqual(["1.0.0"]);
+
+    const available = await database.packageNameAvailability(
+      "admin-actions-test"
+    );
+
+    expect(available.ok).toBeFalsy();
+  });
+
+  test("Un-reserves the name of a deleted package", async () => {
+    const res = await database.removePackageName("admin-actions-test", admin);
+
+    if (!res.ok) console.log(res);
+    expect(res.ok).toBeTruthy();
+
+    const available = await database.packageNameAvailability(
+      "admin-actions-test"
+    );
+
+    expect(available.ok).toBeTruthy();
+
+    const again = await database.removePackageName("admin-actions-test", admin);
+
+    expect(again.ok).toBeFalsy();
+    expect(again.short).toBe("not_found");
+  });
+
+  test("Adds and removes a release of the release catalogue", async () => {
+    const add = await database.insertRelease(
+      {
+        version: "1.120.0-beta.1",
+        channel: "beta",
+        platform: "linux",
+        url: "https://example.com/pulsar-1.120.0-beta.1.tar.gz",
+      },
+      admin
+    );
+
+    if (!add.ok) console.log(add);
+    expect(add.ok).toBeTruthy();
+    expect(add.content.version).toBe("1.120.0-beta.1");
+    expect(add.content.notes).toBeNull();
+
+    const remove = await database.removeRelease(
+      "1.120.0-beta.1",
+      "beta",
+      "linux",
+      admin
+    );
+
+    expect(remove.ok).toBeTruthy();
+
+    const actions = await database.getAdminActions({ page: 1 });
+
+    expect(actions.content[0].action).toBe("remove_release");
+    expect(actions.content[0].details.release.url).toBe(
+      "https://example.com/pulsar-1.120.0-beta.1.tar.gz"
+    );
+    expect(actions.content[1].action).toBe("add_release");
+
+    const again = await database.removeRelease(
+      "1.120.0-beta.1",
+      "beta",
+      "linux",
+      admin
+    );
+
+    expect(again.ok).toBeFalsy();
+    expect(again.short).toBe("not_found");
+  });
+
+  test("Records actions that don't touch the database", async () => {
+    const res = await database.insertAdminAction({
+      action: "add_ban",
+      userid: admin.userid,
+      reason: "Spam packages.",
+      details: { ban: { pattern: "slot-*", type: "glob" } },
+    });
+
+    if (!res.ok) console.log(res);
+    expect(res.ok).toBeTruthy();
+    expect(res.content.package).toBeNull();
+  });
+});
+
+describe("Lists the recorded admin actions", () => {
+  test("Returns the most recent action first", async () => {
+    const res = await database.getAdminActions({ page: 1 });
+
+    expect(res.ok).toBeTruthy();
+    expect(res.content[0].action).toBe("add_ban");
+    expect(res.content[0].admin).toBe("admin-actions-test");
+    expect(res.content[0].query_result_count).toBeUndefined();
+    expect(Number(res.pagination.count)).toBeGreaterThanOrEqual(6);
+  });
+
+  test("Filters by the type of action and the package", async () => {
+    const res = await database.getAdminActions({
+      page: 1,
+      action: "force_delete",
+      package: "admin-actions-test",
+    });
+
+    expect(res.ok).toBeTruthy();
+    expect(res.content.length).toBe(1);
+    expect(res.content[0].package).toBe("admin-actions-test");
+  });
+
+  test("Returns a single action by its ID", async () => {
+    const list = await database.getAdminActions({ page: 1 });
+    const res = await database.getAdminActionByID(list.content[0].id);
+
+    expect(res.ok).toBeTruthy();
+    expect(res.content.action).toBe(list.content[0].action);
+
+    const missing = await database.getAdminActionByID(999999);
+
+    expect(missing.ok).toBeFalsy();
+    expect(missing.short).toBe("not_found");
+  });
+});
@@ -0,0 +1,102 @@
+const database = require("../../src/database.js");
+
+const integrity =
+  "sha512-z4PhNX7vuL3xVChQ1m2AB9Yg5AULVxXcg/SpIdNs6c5H0NE8XYXysP+DGNKHfuwvY7kxvUdBeoGlODJ6+SfaPg==";
+
+afterAll(async () => {
+  await database.shutdownSQL();
+});
+
+describe("Exits properly", () => {
+  test("If given an invalid name", async () => {
+    const res = await database.applyVersionIntegrity(
+      "this-name-doesn't-exist",
+      "1.0.0",
+      integrity
+    );
+
+    expect(res.ok).toBeFalsy();
+    expect(res.short).toBe("not_found");
+  });
+});
+
+describe("Adds the integrity of a version", () => {
+  beforeAll(async () => {
+    // Setup the package to test
+    const addPack = await database.insertNewPackage({
+      name: "apply-version-integrity",
+      repository: {
+        type: "git",
+        url: "https://github.com/confused-Techie/apply-version-integrity",
+      },
+      owner: "confused-Techie",
+      creation_method: "Test Run",
+      releases: {
+        latest: "1.0.0",
+      },
+      readme: "This file is a readme",
+      metadata: {
+        name: "apply-version-integrity",
+        version: "1.0.0",
+        license: "MIT",
+      },
+      versions: {
+        "1.0.0": {
+          name: "apply-version-integrity",
+          version: "1.0.0",
+          license: "MIT",
+          dist: {
+            tarball: "https://codeload.github.com/tarball/v1.0.0",
+            sha: "12345",
+          },
+        },
+      },
+    });
+
+    if (!addPack.ok) console.log(addPack);
+    expect(addPack.ok).toBeTruthy();
+  });
+
+  afterAll(async () => {
+    // Cleanup
+    const clean = await database.removePackageByName(
+      "apply-version-integrity",
+      true
+    );
+    if (!clean.ok) console.log(clean);
+    expect(clean.ok).toBeTruthy();
+  });
+
+  test("Returns not_found for an unknown version", async () => {
+    const res = await database.applyVersionIntegrity(
+      "apply-version-integrity",
+      "2.0.0",
+      integrity
+    );
+
+    expect(res.ok).toBeFalsy();
+    expect(res.short).toBe("not_found");
+  });
+
+  test("Stores the integrity alongside the existing dist", async () => {
+    const res = await database.applyVersionIntegrity(
+      "apply-version-integrity",
+      "1.0.0",
+      integrity
+    );
+
+    if (!res.ok) console.log(res);
+    expect(res.ok).toBeTruthy();
+
+    const ver = await database.getPackageVersionByNameAndVersion(
+      "apply-version-integrity",
+      "1.0.0"
+    );
+
+    expect(ver.ok).toBeTruthy();
+    expect(ver.content.meta.dist.integrity).toBe(integrity);
+    expect(ver.content.meta.dist.tarball).toBe(
+      "https://codeload.github.com/tarball/v1.0.0"
+    );
+  });
+});
@@ -0,0 +1,170 @@
+const database = require("../../src/database.js");
+
+const owner = "cursor-paging-test";
+const names = [];
+
+const list = async (opts) => {
+  const res = await database.getSortedPackages({
+    sort: "downloads",
+    direction: "desc",
+    page: 1,
+    owner: owner,
+    ...opts,
+  });
+
+  if (!res.ok) console.log(res);
+  expect(res.ok).toBeTruthy();
+  return res;
+};
+
+beforeAll(async () => {
+  for (let i = 0; i < 32; i++) {
+    const name = `cursor-paging-${String(i).padStart(2, "0")}`;
+    names.push(name);
+
+    const res = await database.insertNewPackage({
+      name: name,
+      repository: {
+        type: "git",
+        url: `https://github.com/${owner}/${name}`,
+      },
+      owner: owner,
+      creation_method: "Test Run",
+      releases: {
+        latest: "1.0.0",
+      },
+      readme: "A readme.",
+      metadata: {
+        name: name,
+        version: "1.0.0",
+      },
+      versions: {
+        "1.0.0": {
+          name: name,
+          version: "1.0.0",
+          dist: {
+            tarball: "https://codeload.github.com/tarball/v1.0.0",
+            sha: "12345",
+          },
+        },
+      },
+    });
+
+    if (!res.ok) console.log(res);
+    expect(res.ok).toBeTruthy();
+  }
+});
+
+afterAll(async () => {
+  for (const name of names) {
+    await database.removePackageByName(name, true);
+  }
+  await database.shutdownSQL();
+});
+
+describe("Pages results by cursor", () => {
+  test("Returns the first page without counting results", async () => {
+    const res = await list({
+      cursor: { value: null, name: null, before: false },
+    });
+
+    expect(res.content.map((p) => p.name)).toEqual(names.slice(0, 30));
+    expect(res.content[0].cursor_value).toBeUndefined();
+    expect(res.pagination.count).toBeUndefined();
+    expect(res.pagination.prev).toBe(null);
+    expect(res.pagination.next).toEqual({
+      value: "0",
+      name: "cursor-paging-29",
+    });
+  });
+
+  test("Walks forwards and backwards through the results", async () => {
+    const next = await list({
+      cursor: { value: "0", name: "cursor-paging-29", before: false },
+    });
+
+    expect(next.content.map((p) => p.name)).toEqual(names.slice(30));
+    expect(next.pagination.next).toBe(null);
+    expect(next.pagination.prev).toEqual({
+      value: "0",
+      name: "cursor-paging-30",
+    });
+
+    const prev = await list({
+      cursor: { value: "0", name: "cursor-paging-30", before: true },
+    });
+
+    expect(prev.content.map((p) => p.name)).toEqual(names.slice(0, 30));
+    expect(prev.pagination.prev).toBe(null);
+    expect(prev.pagination.next).toEqual({
+      value: "0",
+      name: "cursor-paging-29",
+    });
+  });
+
+  test("Doesn't repeat results when their order changes", async () => {
+    const first = await list({
+      cursor: { value: null, name: null, before: false },
+    });
+
+    // Moves a package of the second page to the top of the first
+    await database.updatePackageIncrementDownloadByName("cursor-paging-31");
+
+    const second = await list({ cursor: first.pagination.next });
+    const seen = first.content.map((p) => p.name);
+
+    for (const pack of second.content) {
+      expect(seen).not.toContain(pack.name);
+    }
+  });
+
+  test("Still pages results by offset", async () => {
+    const res = await list({ page: 2 });
+
+    expect(Number(res.pagination.count)).toBe(32);
+    expect(res.pagination.total).toBe(2);
+    expect(res.content.length).toBe(2);
+  });
+});
+
+describe("Refuses cursors that don't fit the sort", () => {
+  const request = require("supertest");
+  const app = require("../../src/setupEndpoints.js");
+  const { encodeCursor } = require("../../src/utils.js");
+
+  const next = encodeCursor(
+    { value: "0", name: "cursor-paging-29" },
+    false,
+    "downloads"
+  );
+
+  test("Accepts a cursor of the same sort", async () => {
+    const res = await request(app).get(
+      `/api/packages?sort=downloads&cursor=${next}`
+    );
+
+    expect(res).toHaveHTTPCode(200);
+  });
+
+  test("Returns bad_request for a cursor of another sort", async () => {
+    const res = await request(app).get(
+      `/api/packages?sort=updated_at&cursor=${next}`
+    );
+
+    expect(res).toHaveHTTPCode(400);
+  });
+
+  test("Returns bad_request for a value that isn't of the sort", async () => {
+    const forged = encodeCursor(
+      { value: "yesterday", name: "cursor-paging-29" },
+      false,
+      "updated_at"
+    );
+
+    const res = await request(app).get(
+      `/api/packages/search?q=cursor&sort=updated_at&cursor=${forged}`
+    );
+
+    expect(res).toHaveHTTPCode(400);
+  });
+});
@@ -580,3 +580,66 @@ describe("Manage Login State Keys", () => {
     );
   });
 });
+
+describe("Manage Registry Tokens", () => {
+  test("Token Lifecycle", async () => {
+    const auth = require("../../src/auth.js");
+
+    const user = await database.insertNewUser(
+      "registry-token-test-user",
+      "registry-token-test-user-node-id",
+      "https://nowhere.com"
+    );
+    expect(user.ok).toBeTruthy();
+
+    // === Can we create a token?
+    const newToken = auth.generateToken();
+    const insert = await database.insertUserToken(
+      user.content.id,
+      "test-token",
+      newToken.hash,
+      ["publish:version"],
+      ["language-css"]
+    );
+    expect(insert.ok).toBeTruthy();
+    expect(insert.content.name).toEqual("test-token");
+    expect(insert.content.scopes).toEqual(["publish:version"]);
+    expect(insert.content.packages).toEqual(["language-css"]);
+    expect(insert.content.last_used).toBeNull();
+    expect(insert.content.token_hash).toBeUndefined();
+
+    // === Can we find the user of the token?
+    const tokenUser = await database.getUserByTokenHash(newToken.hash);
+    expect(tokenUser.ok).toBeTruthy();
+    expect(tokenUser.content.id).toEqual(user.content.id);
+    expect(tokenUser.content.token_id).toEqual(insert.content.id);
+    expect(tokenUser.content.token_scopes).toEqual(["publish:version"]);
+    expect(tokenUser.content.token_packages).toEqual(["language-css"]);
+
+    // === Is the use of the token recorded?
+    const tokens = await database.getUserTokens(user.content.id);
+    expect(tokens.ok).toBeTruthy();
+    expect(tokens.content.length).toEqual(1);
+    expect(tokens.content[0].last_used).not.toBeNull();
+
+    // === Can another user revoke our token?
+    const wrongUser = await database.removeUserToken(
+      user.content.id + 1,
+      insert.content.id
+    );
+    expect(wrongUser.ok).toBeFalsy();
+    expect(wrongUser.short).toEqual("not_found");
+
+    // === Can we revoke the token?
+    const revoke = await database.removeUserToken(
+      user.content.id,
+      insert.content.id
+    );
+    expect(revoke.ok).toBeTruthy();
+
+    // === Is the revoked token no longer accepted?
+    const revokedUser = await database.getUserByTokenHash(newToken.hash);
+    expect(revokedUser.ok).toBeFalsy();
+    expect(revokedUser.short).toEqual("not_found");
+  });
+});
@@ -0,0 +1,105 @@
+const database = require("../../src/database.js");
+
+const name = "deprecation-test";
+
+const newVersion = (ver) => {
+  return {
+    name: name,
+    version: ver,
+    dist: {
+      tarball: `https://codeload.github.com/tarball/v${ver}`,
+      sha: "12345",
+    },
+  };
+};
+
+beforeAll(async () => {
+  const pack = {
+    name: name,
+    repository: {
+      type: "git",
+      url: `https://github.com/pulsar-edit/${name}`,
+    },
+    owner: "pulsar-edit",
+    creation_method: "Test Run",
+    releases: {
+      latest: "1.0.1",
+    },
+    readme: "A readme.",
+    metadata: newVersion("1.0.1"),
+    versions: {
+      "1.0.1": newVersion("1.0.1"),
+      "1.0.0": newVersion("1.0.0"),
+    },
+  };
+
+  const res = await database.insertNewPackage(pack);
+  if (!res.ok) console.log(res);
+  expect(res.ok).toBeTruthy();
+});
+
+afterAll(async () => {
+  await database.removePackageByName(name, true);
+  await database.shutdownSQL();
+});
+
+describe("Deprecation", () => {
+  test("Marks a single version", async () => {
+    const update = await database.updatePackageDeprecation(
+      name,
+      "1.0.0",
+      "Broken, use 1.0.1 instead."
+    );
+    expect(update.ok).toBeTruthy();
+
+    const pack = await database.getPackageByName(name, true);
+    expect(pack.content.deprecated).toBeNull();
+    expect(
+      Object.fromEntries(
+        pack.content.versions.map((v) => [v.semver, v.deprecated])
+      )
+    ).toEqual({ "1.0.1": null, "1.0.0": "Broken, use 1.0.1 instead." });
+
+    const ver = await database.getPackageVersionByNameAndVersion(name, "1.0.0");
+    expect(ver.ok).toBeTruthy();
+    expect(ver.content.deprecated).toBe("Broken, use 1.0.1 instead.");
+  });
+
+  test("Marks the whole package", async () => {
+    const update = await database.updatePackageDeprecation(
+      name,
+      null,
+      "No longer maintained."
+    );
+    expect(update.ok).toBeTruthy();
+
+    const pack = await database.getPackageByName(name, true);
+    expect(pack.content.deprecated).toBe("No longer maintained.");
+
+    const ver = await database.getPackageVersionByNameAndVersion(name, "1.0.1");
+    expect(ver.content.deprecated).toBe("No longer maintained.");
+
+    const collection = await database.getPackageCollectionByName([name]);
+    expect(collection.ok).toBeTruthy();
+    expect(collection.content[0].deprecated).toBe("No longer maintained.");
+  });
+
+  test("Can be undone", async () => {
+    for (const ver of [null, "1.0.0"]) {
+      const update = await database.updatePackageDeprecation(name, ver, null);
+      expect(update.ok).toBeTruthy();
+    }
+
+    const pack = await database.getPackageByName(name, true);
+    expect(pack.content.deprecated).toBeNull();
+    expect(pack.content.versions.every((v) => v.deprecated === null)).toBe(
+      true
+    );
+  });
+
+  test("Returns Not Found for a missing version", async () => {
+    const res = await database.updatePackageDeprecation(name, "2.0.0", "Gone.");
+    expect(res.ok).toBeFalsy();
+    expect(res.short).toBe("not_found");
+  });
+});
@@ -0,0 +1,131 @@
+const database = require("../../src/database.js");
+
+const name = "dist-tags-test";
+
+const newVersion = (ver) => {
+  return {
+    name: name,
+    version: ver,
+    dist: {
+      tarball: `https://codeload.github.com/tarball/v${ver}`,
+      sha: "12345",
+    },
+  };
+};
+
+beforeAll(async () => {
+  const pack = {
+    name: name,
+    repository: {
+      type: "git",
+      url: `https://github.com/pulsar-edit/${name}`,
+    },
+    owner: "pulsar-edit",
+    creation_method: "Test Run",
+    releases: {
+      latest: "1.0.0",
+    },
+    readme: "A readme.",
+    metadata: newVersion("1.0.0"),
+    versions: {
+      "1.0.0": newVersion("1.0.0"),
+      "0.9.0": newVersion("0.9.0"),
+      "1.1.0-beta.1": newVersion("1.1.0-beta.1"),
+      "1.1.0-beta.2": newVersion("1.1.0-beta.2"),
+    },
+  };
+
+  const res = await database.insertNewPackage(pack);
+  if (!res.ok) console.log(res);
+  expect(res.ok).toBeTruthy();
+});
+
+afterAll(async () => {
+  await database.removePackageByName(name, true);
+  await database.shutdownSQL();
+});
+
+describe("Dist-tags", () => {
+  test("Only have latest until one is set", async () => {
+    const res = await database.getPackageByName(name, true);
+    expect(res.ok).toBeTruthy();
+    expect(res.content.dist_tags).toEqual({ latest: "1.0.0" });
+  });
+
+  test("Point to the version they're set to", async () => {
+    const beta = await database.setPackageDistTag(name, "beta", "1.1.0-beta.1");
+    expect(beta.ok).toBeTruthy();
+    expect(beta.content).toEqual({ latest: "1.0.0", beta: "1.1.0-beta.1" });
+
+    const moved = await database.setPackageDistTag(
+      name,
+      "beta",
+      "1.1.0-beta.2"
+    );
+    expect(moved.ok).toBeTruthy();
+    expect(moved.content).toEqual({ latest: "1.0.0", beta: "1.1.0-beta.2" });
+
+    const legacy = await database.setPackageDistTag(name, "legacy", "0.9.0");
+    expect(legacy.ok).toBeTruthy();
+
+    const res = await database.getPackageByName(name, true);
+    expect(res.content.dist_tags).toEqual({
+      latest: "1.0.0",
+      beta: "1.1.0-beta.2",
+      legacy: "0.9.0",
+    });
+  });
+
+  test("Resolve to their version", async () => {
+    const beta = await database.getPackageVersionByNameAndVersion(name, "beta");
+    expect(beta.ok).toBeTruthy();
+    expect(beta.content.semver).toBe("1.1.0-beta.2");
+
+    const latest = await database.getPackageVersionByNameAndVersion(
+      name,
+      "latest"
+    );
+    expect(latest.ok).toBeTruthy();
+    expect(latest.content.semver).toBe("1.0.0");
+
+    const missing = await database.getPackageVersionByNameAndVersion(
+      name,
+      "next"
+    );
+    expect(missing.ok).toBeFalsy();
+    expect(missing.short).toBe("not_found");
+  });
+
+  test("Can't point to a version that doesn't exist", async () => {
+    const res = await database.setPackageDistTag(name, "next", "2.0.0");
+    expect(res.ok).toBeFalsy();
+    expect(res.short).toBe("not_found");
+  });
+
+  test("Can't be latest", async () => {
+    const res = await database.setPackageDistTag(name, "latest", "0.9.0");
+    expect(res.ok).toBeFalsy();
+    expect(res.short).toBe("server_error");
+  });
+
+  test("Are removed along with their version", async () => {
+    const remove = await database.removePackageVersion(name, "0.9.0");
+    expect(remove.ok).toBeTruthy();
+
+    const res = await database.getPackageByName(name, true);
+    expect(res.content.dist_tags).toEqual({
+      latest: "1.0.0",
+      beta: "1.1.0-beta.2",
+    });
+  });
+
+  test("Can be removed", async () => {
+    const res = await database.removePackageDistTag(name, "beta");
+    expect(res.ok).toBeTruthy();
+    expect(res.content).toEqual({ latest: "1.0.0" });
+
+    const again = await database.removePackageDistTag(name, "beta");
+    expect(again.ok).toBeFalsy();
+    expect(again.short).toBe("not_found");
+  });
+});
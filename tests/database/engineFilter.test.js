@@ -0,0 +1,124 @@
+const database = require("../../src/database.js");
+
+const owner = "engine-filter-test";
+
+const newPackage = (name, versions) => {
+  const pack = {
+    name: name,
+    repository: {
+      type: "git",
+      url: `https://github.com/${owner}/${name}`,
+    },
+    owner: owner,
+    creation_method: "Test Run",
+    releases: {
+      latest: Object.keys(versions)[0],
+    },
+    readme: "A readme.",
+    metadata: {
+      name: name,
+      version: Object.keys(versions)[0],
+    },
+    versions: {},
+  };
+
+  for (const ver in versions) {
+    pack.versions[ver] = {
+      name: name,
+      version: ver,
+      engines: versions[ver],
+      dist: {
+        tarball: `https://codeload.github.com/tarball/v${ver}`,
+        sha: "12345",
+      },
+    };
+  }
+
+  return pack;
+};
+
+const list = async (engine) => {
+  const res = await database.getSortedPackages({
+    sort: "downloads",
+    direction: "desc",
+    page: 1,
+    owner: owner,
+    engine: engine,
+  });
+
+  if (!res.ok) console.log(res);
+  expect(res.ok).toBeTruthy();
+  return res.content.map((p) => `${p.name}@${p.semver}`).sort();
+};
+
+beforeAll(async () => {
+  const packs = [
+    newPackage("engine-filter-caret", {
+      "2.0.0": { atom: "^2.0.0" },
+      "1.0.0": { atom: "^1.100.0" },
+    }),
+    newPackage("engine-filter-union", {
+      "1.0.0": { atom: "~1.50.0 || >=1.104.0 <1.106.0" },
+    }),
+    newPackage("engine-filter-any", {
+      "1.0.0": { atom: "*" },
+    }),
+    newPackage("engine-filter-none", {
+      "1.0.0": { atom: "<1.0.0" },
+    }),
+  ];
+
+  for (const pack of packs) {
+    const res = await database.insertNewPackage(pack);
+    if (!res.ok) console.log(res);
+    expect(res.ok).toBeTruthy();
+  }
+});
+
+afterAll(async () => {
+  for (const name of ["caret", "union", "any", "none"]) {
+    await database.removePackageByName(`engine-filter-${name}`, true);
+  }
+  await database.shutdownSQL();
+});
+
+describe("Filters packages by engine", () => {
+  test("Returns every package when no engine is given", async () => {
+    const res = await list(false);
+
+    expect(res).toEqual([
+      "engine-filter-any@1.0.0",
+      "engine-filter-caret@2.0.0",
+      "engine-filter-none@1.0.0",
+      "engine-filter-union@1.0.0",
+    ]);
+  });
+
+  test("Returns the latest compatible version of each package", async () => {
+    const res = await list("1.105.0");
+
+    expect(res).toEqual([
+      "engine-filter-any@1.0.0",
+      "engine-filter-caret@1.0.0",
+      "engine-filter-union@1.0.0",
+    ]);
+  });
+
+  test("Excludes the engine at an exclusive upper bound", async () => {
+    const res = await list("1.106.0");
+
+    expect(res).toEqual([
+      "engine-filter-any@1.0.0",
+      "engine-filter-caret@1.0.0",
+    ]);
+  });
+
+  test("Returns newer versions for newer engines", async () => {
+    const res = await list("2.3.4");
+
+    expect(res).toEqual([
+      "engine-filter-any@1.0.0",
+      "engine-filter-caret@2.0.0",
+    ]);
+  });
+});
@@ -0,0 +1,186 @@
+const database = require("../../src/database.js");
+
+const org = "orgs-test";
+const name = "orgs-test-package";
+const users = {};
+
+beforeAll(async () => {
+  for (const username of ["orgs-owner", "orgs-member"]) {
+    const createUser = await database.insertNewUser(
+      username,
+      `${username}-node-id`,
+      "https://roadtonowhere.com"
+    );
+    if (!createUser.ok) console.log(createUser);
+    expect(createUser.ok).toBeTruthy();
+
+    users[username] = createUser.content.id;
+  }
+
+  const version = {
+    name: name,
+    version: "1.0.0",
+    dist: {
+      tarball: "https://codeload.github.com/tarball/v1.0.0",
+      sha: "12345",
+    },
+  };
+
+  const res = await database.insertNewPackage({
+    name: name,
+    repository: {
+      type: "git",
+      url: `https://github.com/pulsar-edit/${name}`,
+    },
+    owner: "pulsar-edit",
+    creation_method: "Test Run",
+    releases: {
+      latest: "1.0.0",
+    },
+    readme: "A readme.",
+    metadata: version,
+    versions: {
+      "1.0.0": version,
+    },
+  });
+  if (!res.ok) console.log(res);
+  expect(res.ok).toBeTruthy();
+});
+
+afterAll(async () => {
+  await database.removePackageByName(name, true);
+  await database.shutdownSQL();
+});
+
+describe("Orgs", () => {
+  test("Start with their creator as the owner", async () => {
+    const res = await database.insertOrg(org, users["orgs-owner"], {
+      description: "Testing orgs.",
+      avatar: null,
+    });
+    expect(res.ok).toBeTruthy();
+    expect(res.content.name).toBe(org);
+    expect(res.content.members).toBe(1);
+
+    const members = await database.getOrgMembers(org);
+    expect(members.ok).toBeTruthy();
+    expect(members.content).toMatchObject([
+      { username: "orgs-owner", role: "owner" },
+    ]);
+  });
+
+  test("Have unique names", async () => {
+    const res = await database.insertOrg(org, users["orgs-member"], {});
+    expect(res.ok).toBeFalsy();
+    expect(res.short).toBe("server_error");
+  });
+
+  test("Keep the parts of their profile that aren't updated", async () => {
+    const avatar = await database.updateOrg(org, {
+      description: null,
+      avatar: "https://roadtonowhere.com/org.png",
+    });
+    expect(avatar.ok).toBeTruthy();
+    expect(avatar.content.description).toBe("Testing orgs.");
+    expect(avatar.content.avatar).toBe("https://roadtonowhere.com/org.png");
+
+    const cleared = await database.updateOrg(org, {
+      description: "",
+      avatar: null,
+    });
+    expect(cleared.ok).toBeTruthy();
+    expect(cleared.content.description).toBeNull();
+    expect(cleared.content.avatar).toBe("https://roadtonowhere.com/org.png");
+  });
+
+  test("Can add and promote members", async () => {
+    const add = await database.setOrgMember(
+      org,
+      users["orgs-member"],
+      "member"
+    );
+    expect(add.ok).toBeTruthy();
+    expect(add.content.role).toBe("member");
+
+    const promote = await database.setOrgMember(
+      org,
+      users["orgs-member"],
+      "owner"
+    );
+    expect(promote.ok).toBeTruthy();
+    expect(promote.content.role).toBe("owner");
+
+    const res = await database.getOrgByName(org);
+    expect(res.content.members).toBe(2);
+  });
+
+  test("Must keep at least one owner", async () => {
+    const demote = await database.setOrgMember(
+      org,
+      users["orgs-member"],
+      "member"
+    );
+    expect(demote.ok).toBeTruthy();
+
+    const last = await database.setOrgMember(
+      org,
+      users["orgs-owner"],
+      "member"
+    );
+    expect(last.ok).toBeFalsy();
+    expect(last.short).toBe("bad_request");
+
+    const remove = await database.removeOrgMember(org, users["orgs-owner"]);
+    expect(remove.ok).toBeFalsy();
+    expect(remove.short).toBe("bad_request");
+  });
+
+  test("Grant their members access to their packages", async () => {
+    const assign = await database.insertPackageOrg(name, org);
+    expect(assign.ok).toBeTruthy();
+
+    const res = await database.getPackageByName(name, true);
+    expect(res.content.org).toBe(org);
+    expect(res.content.org_members).toEqual(
+      expect.arrayContaining([
+        { username: "orgs-owner", role: "owner" },
+        { username: "orgs-member", role: "member" },
+      ])
+    );
+  });
+
+  test("Can filter packages", async () => {
+    const res = await database.getSortedPackages({
+      sort: "downloads",
+      direction: "desc",
+      page: 1,
+      org: org,
+    });
+    expect(res.ok).toBeTruthy();
+    expect(res.content.map((p) => p.name)).toEqual([name]);
+
+    const none = await database.getSortedPackages({
+      sort: "downloads",
+      direction: "desc",
+      page: 1,
+      org: "orgs-test-missing",
+    });
+    expect(none.ok).toBeTruthy();
+    expect(none.content).toEqual([]);
+  });
+
+  test("Can remove members and packages", async () => {
+    const member = await database.removeOrgMember(org, users["orgs-member"]);
+    expect(member.ok).toBeTruthy();
+
+    const again = await database.removeOrgMember(org, users["orgs-member"]);
+    expect(again.ok).toBeFalsy();
+    expect(again.short).toBe("not_found");
+
+    const pack = await database.removePackageOrg(name, org);
+    expect(pack.ok).toBeTruthy();
+
+    const res = await database.getPackageByName(name, true);
+    expect(res.content.org).toBeNull();
+  });
+});
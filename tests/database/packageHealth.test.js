@@ -0,0 +1,218 @@
+const database = require("../../src/database.js");
+
+const broken = { type: "warn", title: "Broken", text: "Can't be downloaded." };
+
+const newPackage = (name) => {
+  return {
+    name: name,
+    repository: {
+      type: "git",
+      url: `https://github.com/confused-Techie/${name}`,
+    },
+    owner: "confused-Techie",
+    creation_method: "Test Run",
+    releases: {
+      latest: "1.0.0",
+    },
+    readme: "This file is a readme",
+    metadata: {
+      name: name,
+      version: "1.0.0",
+      license: "MIT",
+    },
+    versions: {
+      "1.0.0": {
+        name: name,
+        version: "1.0.0",
+        license: "MIT",
+        dist: {
+          tarball: "https://codeload.github.com/tarball/v1.0.0",
+          sha: "12345",
+        },
+      },
+    },
+  };
+};
+
+const badgeTitles = async (name) => {
+  const pack = await database.getPackageByName(name);
+  expect(pack.ok).toBeTruthy();
+  return (pack.content.data.badges ?? []).map((b) => b.title);
+};
+
+beforeAll(async () => {
+  const addPack = await database.insertNewPackage(
+    newPackage("package-health-test")
+  );
+
+  if (!addPack.ok) console.log(addPack);
+  expect(addPack.ok).toBeTruthy();
+});
+
+afterAll(async () => {
+  await database.shutdownSQL();
+});
+
+describe("Records the health of packages", () => {
+  test("Returns packages that have never been checked first", async () => {
+    const res = await database.getPackagesForHealthCheck(100);
+
+    expect(res.ok).toBeTruthy();
+
+    const pack = res.content.find((p) => p.name === "package-health-test");
+    expect(pack.semver).toBe("1.0.0");
+    expect(pack.meta.dist.tarball).toBe(
+      "https://codeload.github.com/tarball/v1.0.0"
+    );
+  });
+
+  test("Applies the badge of a failing check, linked to the health history", async () => {
+    const res = await database.insertPackageHealth(
+      "package-health-test",
+      { versionTagExists: { passed: false, message: "Missing." } },
+      { add: [broken], remove: ["Outdated"] }
+    );
+
+    if (!res.ok) console.log(res);
+    expect(res.ok).toBeTruthy();
+    expect(res.content.healthy).toBe(false);
+    expect(res.content.badges).toEqual(["Broken"]);
+
+    const pack = await database.getPackageByName("package-health-test");
+    expect(pack.content.data.badges[0].title).toBe("Broken");
+    expect(pack.content.data.badges[0].link).toMatch(
+      /\/api\/packages\/package-health-test\/health$/
+    );
+  });
+
+  test("Keeps a badge added by an admin once the check passes", async () => {
+    const user = await database.insertNewUser(
+      "package-health-test",
+      "package-health-node-id",
+      "https://roadtonowhere.com"
+    );
+    expect(user.ok).toBeTruthy();
+
+    const badge = await database.insertPackageBadge(
+      "package-health-test",
+      { type: "warn", title: "Outdated" },
+      { userid: user.content.id, reason: "Testing." }
+    );
+    expect(badge.ok).toBeTruthy();
+
+    const res = await database.insertPackageHealth(
+      "package-health-test",
+      {
+        versionTagExists: { passed: true },
+        latestVersionIsAssigned: { passed: true },
+      },
+      { add: [], remove: ["Broken", "Outdated"] }
+    );
+
+    if (!res.ok) console.log(res);
+    expect(res.ok).toBeTruthy();
+    expect(res.content.healthy).toBe(true);
+    expect(res.content.badges).toEqual([]);
+    expect(await badgeTitles("package-health-test")).toEqual(["Outdated"]);
+  });
+
+  test("Returns the health history, most recent first", async () => {
+    const res = await database.getPackageHealthByName("package-health-test", 1);
+
+    expect(res.ok).toBeTruthy();
+    expect(res.content.length).toBe(2);
+    expect(res.content[0].healthy).toBe(true);
+    expect(res.content[1].healthy).toBe(false);
+    expect(res.content[1].checks.versionTagExists.message).toBe("Missing.");
+    expect(res.pagination.page).toBe(1);
+  });
+
+  test("Returns packages checked the longest time ago last", async () => {
+    const res = await database.getPackagesForHealthCheck(100);
+
+    expect(res.ok).toBeTruthy();
+    expect(res.content[res.content.length - 1].name).toBe(
+      "package-health-test"
+    );
+  });
+
+  test("Returns not found for a package that doesn't exist", async () => {
+    const history = await database.getPackageHealthByName("not-a-package", 1);
+    expect(history.ok).toBeFalsy();
+    expect(history.short).toBe("not_found");
+
+    const res = await database.insertPackageHealth(
+      "not-a-package",
+      {},
+      { add: [], remove: [] }
+    );
+    expect(res.ok).toBeFalsy();
+    expect(res.short).toBe("not_found");
+  });
+});
+
+describe("Keeps the badges of packages that are published again", () => {
+  const name = "package-health-republish-test";
+
+  test("Keeps a badge applied by the health checks", async () => {
+    const addPack = await database.insertNewPackage(newPackage(name));
+    if (!addPack.ok) console.log(addPack);
+    expect(addPack.ok).toBeTruthy();
+
+    const res = await database.insertPackageHealth(
+      name,
+      { versionTagExists: { passed: false, message: "Missing." } },
+      { add: [broken], remove: [] }
+    );
+    expect(res.ok).toBeTruthy();
+
+    const version = {
+      name: name,
+      version: "1.1.0",
+      license: "MIT",
+      dist: {
+        tarball: "https://codeload.github.com/tarball/v1.1.0",
+        sha: "67890",
+      },
+    };
+
+    const publish = await database.insertNewPackageVersion({
+      ...newPackage(name),
+      releases: { latest: "1.1.0" },
+      metadata: version,
+    });
+    if (!publish.ok) console.log(publish);
+    expect(publish.ok).toBeTruthy();
+
+    const pack = await database.getPackageByName(name);
+    expect(pack.content.data.metadata.version).toBe("1.1.0");
+    expect(await badgeTitles(name)).toEqual(["Broken"]);
+  });
+
+  test("Applies a badge again once it's no longer on the package", async () => {
+    const user = await database.insertNewUser(
+      "package-health-republish-test",
+      "package-health-republish-node-id",
+      "https://roadtonowhere.com"
+    );
+    expect(user.ok).toBeTruthy();
+
+    const removed = await database.removePackageBadge(name, "Broken", {
+      userid: user.content.id,
+      reason: "Testing.",
+    });
+    expect(removed.ok).toBeTruthy();
+    expect(await badgeTitles(name)).toEqual([]);
+
+    const res = await database.insertPackageHealth(
+      name,
+      { versionTagExists: { passed: false, message: "Missing." } },
+      { add: [broken], remove: [] }
+    );
+
+    if (!res.ok) console.log(res);
+    expect(res.ok).toBeTruthy();
+    expect(res.content.badges).toEqual(["Broken"]);
+    expect(await badgeTitles(name)).toEqual(["Broken"]);
+  });
+});
@@ -0,0 +1,171 @@
+const database = require("../../src/database.js");
+
+const name = "package-maintainers-test";
+const users = {};
+
+beforeAll(async () => {
+  for (const username of ["maintainers-owner", "maintainers-invitee"]) {
+    const createUser = await database.insertNewUser(
+      username,
+      `${username}-node-id`,
+      "https://roadtonowhere.com"
+    );
+    if (!createUser.ok) console.log(createUser);
+    expect(createUser.ok).toBeTruthy();
+
+    users[username] = createUser.content.id;
+  }
+
+  const version = {
+    name: name,
+    version: "1.0.0",
+    dist: {
+      tarball: "https://codeload.github.com/tarball/v1.0.0",
+      sha: "12345",
+    },
+  };
+
+  const res = await database.insertNewPackage(
+    {
+      name: name,
+      repository: {
+        type: "git",
+        url: `https://github.com/pulsar-edit/${name}`,
+      },
+      owner: "pulsar-edit",
+      creation_method: "Test Run",
+      releases: {
+        latest: "1.0.0",
+      },
+      readme: "A readme.",
+      metadata: version,
+      versions: {
+        "1.0.0": version,
+      },
+    },
+    users["maintainers-owner"]
+  );
+  if (!res.ok) console.log(res);
+  expect(res.ok).toBeTruthy();
+});
+
+afterAll(async () => {
+  await database.removePackageByName(name, true);
+  await database.shutdownSQL();
+});
+
+describe("Package maintainers", () => {
+  test("Start with the publisher as the owner", async () => {
+    const res = await database.getPackageByName(name, true);
+    expect(res.ok).toBeTruthy();
+    expect(res.content.maintainer_policy).toBe("either");
+    expect(res.content.maintainers).toEqual([
+      { username: "maintainers-owner", role: "owner" },
+    ]);
+  });
+
+  test("Only have access once they accept their invite", async () => {
+    const invite = await database.insertPackageMaintainer(
+      name,
+      users["maintainers-invitee"],
+      users["maintainers-owner"]
+    );
+    expect(invite.ok).toBeTruthy();
+    expect(invite.content).toEqual({ role: "maintainer", accepted: false });
+
+    const again = await database.insertPackageMaintainer(
+      name,
+      users["maintainers-invitee"],
+      users["maintainers-owner"]
+    );
+    expect(again.ok).toBeFalsy();
+    expect(again.short).toBe("bad_request");
+
+    const pending = await database.getPackageByName(name, true);
+    expect(pending.content.maintainers.length).toBe(1);
+
+    const list = await database.getPackageMaintainers(name);
+    expect(list.ok).toBeTruthy();
+    expect(list.content.maintainers[1]).toMatchObject({
+      username: "maintainers-invitee",
+      role: "maintainer",
+      accepted: false,
+      invited_by: "maintainers-owner",
+    });
+
+    const accept = await database.acceptPackageMaintainer(
+      name,
+      users["maintainers-invitee"]
+    );
+    expect(accept.ok).toBeTruthy();
+
+    const res = await database.getPackageByName(name, true);
+    expect(res.content.maintainers).toEqual([
+      { username: "maintainers-owner", role: "owner" },
+      { username: "maintainers-invitee", role: "maintainer" },
+    ]);
+  });
+
+  test("Transfer ownership once the new owner accepts", async () => {
+    const offer = await database.updatePackagePendingOwner(
+      name,
+      users["maintainers-invitee"]
+    );
+    expect(offer.ok).toBeTruthy();
+
+    const list = await database.getPackageMaintainers(name);
+    expect(list.content.pending_owner).toBe("maintainers-invitee");
+
+    const wrongUser = await database.acceptPackageOwnership(
+      name,
+      users["maintainers-owner"]
+    );
+    expect(wrongUser.ok).toBeFalsy();
+    expect(wrongUser.short).toBe("not_found");
+
+    const accept = await database.acceptPackageOwnership(
+      name,
+      users["maintainers-invitee"]
+    );
+    expect(accept.ok).toBeTruthy();
+    expect(accept.content).toEqual({ role: "owner", accepted: true });
+
+    const res = await database.getPackageMaintainers(name);
+    expect(res.content.pending_owner).toBeNull();
+    expect(res.content.maintainers.map((m) => [m.username, m.role])).toEqual([
+      ["maintainers-invitee", "owner"],
+      ["maintainers-owner", "maintainer"],
+    ]);
+  });
+
+  test("Can't remove the owner", async () => {
+    const res = await database.removePackageMaintainer(
+      name,
+      users["maintainers-invitee"]
+    );
+    expect(res.ok).toBeFalsy();
+    expect(res.short).toBe("not_found");
+  });
+
+  test("Can remove a maintainer", async () => {
+    const res = await database.removePackageMaintainer(
+      name,
+      users["maintainers-owner"]
+    );
+    expect(res.ok).toBeTruthy();
+
+    const pack = await database.getPackageByName(name, true);
+    expect(pack.content.maintainers).toEqual([
+      { username: "maintainers-invitee", role: "owner" },
+    ]);
+  });
+
+  test("Have a maintainer policy", async () => {
+    const res = await database.updatePackageMaintainerPolicy(name, "registry");
+    expect(res.ok).toBeTruthy();
+    expect(res.content).toEqual({ policy: "registry" });
+
+    const pack = await database.getPackageByName(name, true);
+    expect(pack.content.maintainer_policy).toBe("registry");
+  });
+});
@@ -0,0 +1,178 @@
+const database = require("../../src/database.js");
+
+const newPackage = (name, metadata, readme) => {
+  return {
+    name: name,
+    repository: {
+      type: "git",
+      url: `https://github.com/confused-Techie/${name}`,
+    },
+    owner: "confused-Techie",
+    creation_method: "Test Run",
+    releases: {
+      latest: "1.0.0",
+    },
+    readme: readme,
+    metadata: {
+      name: name,
+      version: "1.0.0",
+      ...metadata,
+    },
+    versions: {
+      "1.0.0": {
+        name: name,
+        version: "1.0.0",
+        dist: {
+          tarball: "https://codeload.github.com/tarball/v1.0.0",
+          sha: "12345",
+        },
+      },
+    },
+  };
+};
+
+const search = async (term, sort = "relevance") => {
+  const res = await database.simpleSearch(term, 1, "desc", sort);
+
+  if (!res.ok) console.log(res);
+  expect(res.ok).toBeTruthy();
+  return res.content.map((p) => p.name);
+};
+
+beforeAll(async () => {
+  const packs = [
+    newPackage(
+      "search-weight-name-pyflint",
+      { description: "Lints your code." },
+      "A readme."
+    ),
+    newPackage(
+      "search-weight-description",
+      { description: "A pyflint linter for Pulsar." },
+      "A readme."
+    ),
+    newPackage(
+      "search-weight-keywords",
+      { description: "Lints your code.", keywords: ["pyflint", "linter"] },
+      "A readme."
+    ),
+    newPackage(
+      "search-weight-readme",
+      { description: "Lints your code." },
+      "Works great alongside pyflint."
+    ),
+  ];
+
+  for (const pack of packs) {
+    const res = await database.insertNewPackage(pack);
+    if (!res.ok) console.log(res);
+    expect(res.ok).toBeTruthy();
+  }
+});
+
+afterAll(async () => {
+  await database.shutdownSQL();
+});
+
+describe("Searches the text of packages", () => {
+  test("Finds packages by words outside of their name", async () => {
+    const res = await search("linter for pulsar");
+
+    expect(res).toContain("search-weight-description");
+    expect(res).not.toContain("search-weight-readme");
+  });
+
+  test("Ranks by the weight of where the term is found", async () => {
+    const res = await search("pyflint");
+
+    expect(res).toEqual([
+      "search-weight-name-pyflint",
+      "search-weight-description",
+      "search-weight-keywords",
+      "search-weight-readme",
+    ]);
+  });
+
+  test("Still finds packages by part of their name", async () => {
+    const res = await search("weight-read", "downloads");
+
+    expect(res).toEqual(["search-weight-readme"]);
+  });
+
+  test("Blends downloads into the relevance of results", async () => {
+    const popular = await database.insertNewPackage(
+      newPackage(
+        "search-weight-readme-popular",
+        { description: "Lints your code." },
+        "Works great alongside pyflint."
+      )
+    );
+    expect(popular.ok).toBeTruthy();
+
+    for (let i = 0; i < 5; i++) {
+      await database.updatePackageIncrementDownloadByName(
+        "search-weight-readme-popular"
+      );
+    }
+
+    const res = await search("pyflint");
+
+    expect(res.indexOf("search-weight-readme-popular")).toBeLessThan(
+      res.indexOf("search-weight-readme")
+    );
+  });
+});
+
+describe("Suggests similar names", () => {
+  test("Returns the closest names to a misspelled search", async () => {
+    const res = await database.getSearchSuggestions("search-wieght-readme");
+
+    expect(res.ok).toBeTruthy();
+    expect(res.content[0]).toBe("search-weight-readme");
+  });
+
+  test("Returns nothing for a search unlike any name", async () => {
+    const res = await database.getSearchSuggestions("zzzzqqqq");
+
+    expect(res.ok).toBeTruthy();
+    expect(res.content).toEqual([]);
+  });
+
+  test("Only suggests themes when asked", async () => {
+    const res = await database.getSearchSuggestions(
+      "search-wieght-readme",
+      true
+    );
+
+    expect(res.ok).toBeTruthy();
+    expect(res.content).toEqual([]);
+  });
+});
+
+describe("Counts the facets of results", () => {
+  test("Returns facets only when asked", async () => {
+    const res = await database.simpleSearch("weight-read", 1, "desc", "stars");
+
+    expect(res.ok).toBeTruthy();
+    expect(res.facets).toBeUndefined();
+  });
+
+  test("Counts every package matching the search", async () => {
+    const res = await database.simpleSearch(
+      "weight-read",
+      1,
+      "desc",
+      "stars",
+      false,
+      { facets: true }
+    );
+
+    if (!res.ok) console.log(res);
+    expect(res.ok).toBeTruthy();
+    // The count of results is returned as a string, unlike those of facets
+    const count = Number(res.pagination.count);
+    expect(res.facets.packageType).toEqual({ package: count });
+    expect(res.facets.owner).toEqual({ "confused-Techie": count });
+    expect(res.facets.fileExtension).toEqual({});
+  });
+});
@@ -0,0 +1,157 @@
+const database = require("../../src/database.js");
+
+const owner = "prerelease-test";
+
+const newPackage = (name, versions) => {
+  const pack = {
+    name: name,
+    repository: {
+      type: "git",
+      url: `https://github.com/${owner}/${name}`,
+    },
+    owner: owner,
+    creation_method: "Test Run",
+    releases: {
+      latest: versions[0],
+    },
+    readme: "A readme.",
+    metadata: {
+      name: name,
+      version: versions[0],
+    },
+    versions: {},
+  };
+
+  for (const ver of versions) {
+    pack.versions[ver] = newVersion(name, ver);
+  }
+
+  return pack;
+};
+
+const newVersion = (name, ver) => {
+  return {
+    name: name,
+    version: ver,
+    dist: {
+      tarball: `https://codeload.github.com/tarball/v${ver}`,
+      sha: "12345",
+    },
+  };
+};
+
+const publish = async (name, ver) => {
+  const res = await database.insertNewPackageVersion({
+    name: name,
+    repository: {
+      type: "git",
+      url: `https://github.com/${owner}/${name}`,
+    },
+    owner: owner,
+    readme: `The readme of ${ver}.`,
+    metadata: newVersion(name, ver),
+  });
+
+  if (!res.ok) console.log(res);
+  expect(res.ok).toBeTruthy();
+};
+
+beforeAll(async () => {
+  const packs = [
+    newPackage("prerelease-mixed", ["1.0.0"]),
+    newPackage("prerelease-only", ["0.1.0-beta.1"]),
+  ];
+
+  for (const pack of packs) {
+    const res = await database.insertNewPackage(pack);
+    if (!res.ok) console.log(res);
+    expect(res.ok).toBeTruthy();
+  }
+
+  for (const ver of [
+    "1.1.0-beta.2",
+    "1.1.0-beta.10",
+    "1.1.0-alpha",
+    "1.1.0-beta",
+    "1.0.1+build.5",
+  ]) {
+    await publish("prerelease-mixed", ver);
+  }
+
+  await publish("prerelease-only", "0.1.0-beta.11");
+});
+
+afterAll(async () => {
+  for (const name of ["mixed", "only"]) {
+    await database.removePackageByName(`prerelease-${name}`, true);
+  }
+  await database.shutdownSQL();
+});
+
+describe("Prerelease versions", () => {
+  test("Are ordered by semver precedence", async () => {
+    const res = await database.getPackageByName("prerelease-mixed", true);
+    expect(res.ok).toBeTruthy();
+    expect(res.content.versions.map((v) => v.semver)).toEqual([
+      "1.1.0-beta.10",
+      "1.1.0-beta.2",
+      "1.1.0-beta",
+      "1.1.0-alpha",
+      "1.0.1+build.5",
+      "1.0.0",
+    ]);
+  });
+
+  test("Aren't the latest version of a package with a release", async () => {
+    const res = await database.getSortedPackages({
+      sort: "downloads",
+      direction: "desc",
+      page: 1,
+      owner: owner,
+    });
+    expect(res.ok).toBeTruthy();
+
+    const latest = {};
+    for (const pack of res.content) {
+      latest[pack.name] = pack.semver;
+    }
+
+    expect(latest).toEqual({
+      "prerelease-mixed": "1.0.1+build.5",
+      "prerelease-only": "0.1.0-beta.11",
+    });
+  });
+
+  test("Don't replace the data of a package with a release", async () => {
+    const mixed = await database.getPackageByName("prerelease-mixed", true);
+    expect(mixed.content.data.readme).toBe("The readme of 1.0.1+build.5.");
+
+    const only = await database.getPackageByName("prerelease-only", true);
+    expect(only.content.data.readme).toBe("The readme of 0.1.0-beta.11.");
+  });
+
+  test("Can be retrieved by their semver", async () => {
+    const res = await database.getPackageVersionByNameAndVersion(
+      "prerelease-mixed",
+      "1.1.0-beta.10"
+    );
+    expect(res.ok).toBeTruthy();
+    expect(res.content.meta.dist.tarball).toBe(
+      "https://codeload.github.com/tarball/v1.1.0-beta.10"
+    );
+  });
+
+  test("Must be a valid semver", async () => {
+    const res = await database.insertNewPackageVersion({
+      name: "prerelease-mixed",
+      repository: {
+        type: "git",
+        url: `https://github.com/${owner}/prerelease-mixed`,
+      },
+      owner: owner,
+      readme: "A readme.",
+      metadata: newVersion("prerelease-mixed", "1.2.0-beta..1"),
+    });
+    expect(res.ok).toBeFalsy();
+  });
+});
@@ -0,0 +1,122 @@
+const database = require("../../src/database.js");
+
+const name = "publish-hooks-test";
+const users = {};
+
+beforeAll(async () => {
+  for (const username of ["publish-hooks-user", "publish-hooks-other"]) {
+    const createUser = await database.insertNewUser(
+      username,
+      `${username}-node-id`,
+      "https://roadtonowhere.com"
+    );
+    if (!createUser.ok) console.log(createUser);
+    expect(createUser.ok).toBeTruthy();
+
+    users[username] = createUser.content.id;
+  }
+
+  const version = {
+    name: name,
+    version: "1.0.0",
+    dist: {
+      tarball: "https://codeload.github.com/tarball/v1.0.0",
+      sha: "12345",
+    },
+  };
+
+  const res = await database.insertNewPackage({
+    name: name,
+    repository: {
+      type: "git",
+      url: `https://github.com/publish-hooks-owner/${name}`,
+    },
+    owner: "publish-hooks-owner",
+    creation_method: "Test Run",
+    releases: {
+      latest: "1.0.0",
+    },
+    readme: "A readme.",
+    metadata: version,
+    versions: {
+      "1.0.0": version,
+    },
+  });
+  if (!res.ok) console.log(res);
+  expect(res.ok).toBeTruthy();
+});
+
+afterAll(async () => {
+  await database.removePackageByName(name, true);
+  await database.shutdownSQL();
+});
+
+describe("Publish hooks", () => {
+  test("Don't exist until enabled", async () => {
+    const res = await database.getPublishHook(name);
+    expect(res.ok).toBeFalsy();
+    expect(res.short).toBe("not_found");
+  });
+
+  test("Are enabled without returning their secret", async () => {
+    const res = await database.setPublishHook(
+      name,
+      users["publish-hooks-user"],
+      "whsec_first"
+    );
+    expect(res.ok).toBeTruthy();
+    expect(res.content.package).toBe(name);
+    expect(res.content.user).toBe("publish-hooks-user");
+    expect(res.content.last_delivery).toBeNull();
+    expect(res.content.secret).toBeUndefined();
+
+    const hook = await database.getPublishHook(name);
+    expect(hook.ok).toBeTruthy();
+    expect(hook.content.userid).toBe(users["publish-hooks-user"]);
+    expect(hook.content.secret).toBe("whsec_first");
+  });
+
+  test("Are given to the user enabling them again, with a new secret", async () => {
+    const res = await database.setPublishHook(
+      name,
+      users["publish-hooks-other"],
+      "whsec_second"
+    );
+    expect(res.ok).toBeTruthy();
+    expect(res.content.user).toBe("publish-hooks-other");
+
+    const hook = await database.getPublishHook(name);
+    expect(hook.content.userid).toBe(users["publish-hooks-other"]);
+    expect(hook.content.secret).toBe("whsec_second");
+  });
+
+  test("Record their last delivery", async () => {
+    const res = await database.updatePublishHookDelivery(name);
+    expect(res.ok).toBeTruthy();
+
+    const hook = await database.getPublishHook(name);
+    expect(hook.content.last_delivery).toBeInstanceOf(Date);
+  });
+
+  test("Can't be enabled for a package that doesn't exist", async () => {
+    const res = await database.setPublishHook(
+      "publish-hooks-missing",
+      users["publish-hooks-user"],
+      "whsec_missing"
+    );
+    expect(res.ok).toBeFalsy();
+    expect(res.short).toBe("not_found");
+  });
+
+  test("Can be disabled", async () => {
+    const res = await database.removePublishHook(name);
+    expect(res.ok).toBeTruthy();
+
+    const again = await database.removePublishHook(name);
+    expect(again.ok).toBeFalsy();
+    expect(again.short).toBe("not_found");
+
+    const delivery = await database.updatePublishHookDelivery(name);
+    expect(delivery.ok).toBeFalsy();
+  });
+});
@@ -0,0 +1,313 @@
+const crypto = require("crypto");
+const database = require("../../src/database.js");
+
+const name = "webhooks-test";
+const users = {};
+
+beforeAll(async () => {
+  for (const username of ["webhooks-user", "webhooks-other"]) {
+    const createUser = await database.insertNewUser(
+      username,
+      `${username}-node-id`,
+      "https://roadtonowhere.com"
+    );
+    if (!createUser.ok) console.log(createUser);
+    expect(createUser.ok).toBeTruthy();
+
+    users[username] = createUser.content.id;
+  }
+
+  const version = {
+    name: name,
+    version: "1.0.0",
+    dist: {
+      tarball: "https://codeload.github.com/tarball/v1.0.0",
+      sha: "12345",
+    },
+  };
+
+  const res = await database.insertNewPackage({
+    name: name,
+    repository: {
+      type: "git",
+      url: `https://github.com/webhooks-owner/${name}`,
+    },
+    owner: "webhooks-owner",
+    creation_method: "Test Run",
+    releases: {
+      latest: "1.0.0",
+    },
+    readme: "A readme.",
+    metadata: version,
+    versions: {
+      "1.0.0": version,
+    },
+  });
+  if (!res.ok) console.log(res);
+  expect(res.ok).toBeTruthy();
+});
+
+afterAll(async () => {
+  await database.removePackageByName(name, true);
+  await database.shutdownSQL();
+});
+
+describe("Webhooks", () => {
+  const ids = {};
+
+  test("Are registered without returning their secret", async () => {
+    const byPackage = await database.insertWebhook(
+      users["webhooks-user"],
+      {
+        url: "https://example.com/package",
+        events: ["version", "star"],
+        package: name,
+        owner: null,
+      },
+      "whsec_package"
+    );
+    expect(byPackage.ok).toBeTruthy();
+    expect(byPackage.content.events).toEqual(["version", "star"]);
+    expect(byPackage.content.secret).toBeUndefined();
+    ids.package = byPackage.content.id;
+
+    const byOwner = await database.insertWebhook(
+      users["webhooks-user"],
+      {
+        url: "https://example.com/owner",
+        events: ["delete"],
+        package: null,
+        owner: "webhooks-owner",
+      },
+      "whsec_owner"
+    );
+    expect(byOwner.ok).toBeTruthy();
+    ids.owner = byOwner.content.id;
+
+    const list = await database.getUserWebhooks(users["webhooks-user"]);
+    expect(list.ok).toBeTruthy();
+    expect(list.content.length).toBe(2);
+  });
+
+  test("Match the events of their package or owner", async () => {
+    const version = await database.getWebhooksForEvent("version", name, null);
+    expect(version.ok).toBeTruthy();
+    expect(version.content).toEqual([
+      {
+        id: ids.package,
+        url: "https://example.com/package",
+        secret: "whsec_package",
+      },
+    ]);
+
+    // The owner is found from the package when not given
+    const deleted = await database.getWebhooksForEvent("delete", name, null);
+    expect(deleted.content.map((w) => w.id)).toEqual([ids.owner]);
+
+    const other = await database.getWebhooksForEvent(
+      "delete",
+      "another-package",
+      "another-owner"
+    );
+    expect(other.content).toEqual([]);
+  });
+
+  test("Can only be managed by their user", async () => {
+    const get = await database.getUserWebhookById(
+      users["webhooks-other"],
+      ids.package
+    );
+    expect(get.ok).toBeFalsy();
+    expect(get.short).toBe("not_found");
+
+    const update = await database.updateUserWebhook(
+      users["webhooks-other"],
+      ids.package,
+      { url: null, events: null, active: false }
+    );
+    expect(update.ok).toBeFalsy();
+    expect(update.short).toBe("not_found");
+  });
+
+  test("Don't receive events while inactive", async () => {
+    const update = await database.updateUserWebhook(
+      users["webhooks-user"],
+      ids.package,
+      { url: null, events: null, active: false }
+    );
+    expect(update.ok).toBeTruthy();
+    expect(update.content.active).toBe(false);
+    expect(update.content.url).toBe("https://example.com/package");
+    expect(update.content.events).toEqual(["version", "star"]);
+
+    const res = await database.getWebhooksForEvent("version", name, null);
+    expect(res.content).toEqual([]);
+  });
+
+  test("Queue their deliveries", async () => {
+    for (const key of ["delivered", "dead"]) {
+      ids[key] = crypto.randomUUID();
+
+      const res = await database.insertWebhookDelivery({
+        id: ids[key],
+        webhook: ids.owner,
+        event: "delete",
+        payload: { event: "delete", package: { name: name } },
+      });
+      expect(res.ok).toBeTruthy();
+    }
+
+    ids.inactive = crypto.randomUUID();
+    const inactive = await database.insertWebhookDelivery({
+      id: ids.inactive,
+      webhook: ids.package,
+      event: "star",
+      payload: { event: "star", package: { name: name } },
+    });
+    expect(inactive.ok).toBeTruthy();
+
+    ids.subscriber = crypto.randomUUID();
+    const subscriber = await database.insertWebhookDelivery({
+      id: ids.subscriber,
+      subscriber: "discord",
+      event: "publish",
+      payload: { content: "Published!" },
+    });
+    expect(subscriber.ok).toBeTruthy();
+
+    // A delivery is either to a webhook or a built-in subscriber
+    const neither = await database.insertWebhookDelivery({
+      id: crypto.randomUUID(),
+      event: "publish",
+      payload: {},
+    });
+    expect(neither.ok).toBeFalsy();
+  });
+
+  test("Are claimed once due", async () => {
+    const claim = await database.claimWebhookDeliveries(100, 60000);
+    expect(claim.ok).toBeTruthy();
+
+    const claimed = claim.content.filter((d) =>
+      Object.values(ids).includes(d.id)
+    );
+    expect(claimed.map((d) => d.id).sort()).toEqual(
+      [ids.delivered, ids.dead, ids.subscriber].sort()
+    );
+
+    const dead = claimed.find((d) => d.id === ids.dead);
+    expect(dead.url).toBe("https://example.com/owner");
+    expect(dead.secret).toBe("whsec_owner");
+    expect(dead.attempts).toBe(0);
+
+    const sub = claimed.find((d) => d.id === ids.subscriber);
+    expect(sub.subscriber).toBe("discord");
+    expect(sub.url).toBeNull();
+
+    // Claimed deliveries aren't due again until their lease ends
+    const again = await database.claimWebhookDeliveries(100, 60000);
+    expect(
+      again.content.filter((d) => Object.values(ids).includes(d.id))
+    ).toEqual([]);
+  });
+
+  test("Keep a history of their attempts", async () => {
+    const delivered = await database.updateWebhookDelivery(ids.delivered, {
+      state: "delivered",
+      status: 200,
+      error: null,
+      duration: 100,
+      delay: 0,
+    });
+    expect(delivered.ok).toBeTruthy();
+    expect(delivered.content).toEqual({ state: "delivered", attempts: 1 });
+
+    const dead = await database.updateWebhookDelivery(ids.dead, {
+      state: "dead",
+      status: 500,
+      error: "Internal Server Error",
+      duration: 100,
+      delay: 0,
+    });
+    expect(dead.ok).toBeTruthy();
+
+    const res = await database.getWebhookDeliveries(
+      users["webhooks-user"],
+      ids.owner,
+      1
+    );
+    expect(res.ok).toBeTruthy();
+    expect(res.content.length).toBe(2);
+    expect(res.content[0].payload.package.name).toBe(name);
+    expect(res.content.map((d) => d.state).sort()).toEqual([
+      "dead",
+      "delivered",
+    ]);
+    expect(Number(res.pagination.count)).toBe(2);
+
+    const other = await database.getWebhookDeliveries(
+      users["webhooks-other"],
+      ids.owner,
+      1
+    );
+    expect(other.ok).toBeFalsy();
+    expect(other.short).toBe("not_found");
+  });
+
+  test("Are listed to admins by their state", async () => {
+    const res = await database.getWebhookDeliveriesByState("dead", 1);
+    expect(res.ok).toBeTruthy();
+
+    const dead = res.content.find((d) => d.id === ids.dead);
+    expect(dead.url).toBe("https://example.com/owner");
+    expect(dead.user).toBe("webhooks-user");
+    expect(dead.attempts).toBe(1);
+    expect(dead.error).toBe("Internal Server Error");
+    expect(res.content.find((d) => d.id === ids.delivered)).toBeUndefined();
+  });
+
+  test("Are redelivered by admins", async () => {
+    const res = await database.redeliverWebhookDelivery(ids.dead, {
+      userid: users["webhooks-other"],
+      reason: null,
+    });
+    expect(res.ok).toBeTruthy();
+    expect(res.content.action).toBe("redeliver_webhook");
+    expect(res.content.details.delivery).toBe(ids.dead);
+    expect(res.content.details.state).toBe("dead");
+
+    const claim = await database.claimWebhookDeliveries(100, 60000);
+    const dead = claim.content.find((d) => d.id === ids.dead);
+    expect(dead.attempts).toBe(0);
+
+    // It's pending once again
+    const again = await database.redeliverWebhookDelivery(ids.dead, {
+      userid: users["webhooks-other"],
+      reason: null,
+    });
+    expect(again.ok).toBeFalsy();
+    expect(again.short).toBe("bad_request");
+
+    const missing = await database.redeliverWebhookDelivery(
+      crypto.randomUUID(),
+      { userid: users["webhooks-other"], reason: null }
+    );
+    expect(missing.ok).toBeFalsy();
+    expect(missing.short).toBe("not_found");
+  });
+
+  test("Are removed along with their deliveries", async () => {
+    const res = await database.removeUserWebhook(
+      users["webhooks-user"],
+      ids.owner
+    );
+    expect(res.ok).toBeTruthy();
+
+    const again = await database.removeUserWebhook(
+      users["webhooks-user"],
+      ids.owner
+    );
+    expect(again.ok).toBeFalsy();
+    expect(again.short).toBe("not_found");
+  });
+});
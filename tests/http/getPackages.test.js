@@ -169,4 +169,47 @@ describe("Behaves as expected", () => {
     expect(sso.content[0].owner).toBe("unique_user");
     expect(sso).toMatchEndpointSuccessObject(endpoint);
   });
+
+  test("Returns the facets of the results when requested", async () => {
+    let sso = await endpoint.logic(
+      {
+        engine: false,
+        owner: "unique_user",
+        page: 1,
+        sort: "downloads",
+        direction: "desc",
+        serviceVersion: false,
+        fileExtension: false,
+        facets: true,
+      },
+      context
+    );
+
+    expect(sso.ok).toBe(true);
+    expect(sso.content.length).toBe(1);
+    expect(sso.facets.packageType).toEqual({ package: 1 });
+    expect(sso.facets.providedServices).toEqual({ refactor: 1 });
+    expect(sso.facets.consumedServices).toEqual({});
+    expect(sso.facets.owner).toEqual({ unique_user: 1 });
+    expect(sso).toMatchEndpointSuccessObject(endpoint);
+  });
+
+  test("Doesn't return facets unless requested", async () => {
+    let sso = await endpoint.logic(
+      {
+        engine: false,
+        owner: "unique_user",
+        page: 1,
+        sort: "downloads",
+        direction: "desc",
+        serviceVersion: false,
+        fileExtension: false,
+        facets: false,
+      },
+      context
+    );
+
+    expect(sso.ok).toBe(true);
+    expect(sso.facets).toBe(null);
+  });
 });
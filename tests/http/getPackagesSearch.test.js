@@ -99,4 +99,21 @@ describe("Behaves as expected", () => {
     expect(sso.content[0].name).toBe("get-packages-search-theme-test");
     expect(sso).toMatchEndpointSuccessObject(endpoint);
   });
+
+  test("Suggests similar names when nothing matches", async () => {
+    let sso = await endpoint.logic(
+      {
+        sort: "relevance",
+        page: 1,
+        direction: "desc",
+        query: "get-packages-serch-test",
+        filter: "package",
+      },
+      context
+    );
+
+    expect(sso.ok).toBe(true);
+    expect(sso.content.length).toBe(0);
+    expect(sso.suggestions).toContain("get-packages-search-test");
+  });
 });
@@ -1,12 +1,126 @@
 const endpoint = require("../../src/controllers/getUpdates.js");
+const database = require("../../src/database.js");
 const context = require("../../src/context.js");
 
+afterAll(async () => {
+  await database.shutdownSQL();
+});
+
 describe("Behaves as expected", () => {
-  test("Returns properly", async () => {
-    const sso = await endpoint.logic({}, context);
+  beforeAll(async () => {
+    await database.insertRelease({
+      version: "1.100.0",
+      channel: "stable",
+      platform: "darwin",
+      url: "https://example.com/pulsar-1.100.0-mac.zip",
+      notes: "Stable Release",
+      pub_date: "2023-01-01T00:00:00.000Z",
+    });
+    await database.insertRelease({
+      version: "1.101.0",
+      channel: "beta",
+      platform: "darwin",
+      url: "https://example.com/pulsar-1.101.0-mac.zip",
+      notes: "Beta Release",
+      pub_date: "2023-02-01T00:00:00.000Z",
+    });
+    // Prereleases, published out of order, along with their release
+    for (const [version, channel, date] of [
+      ["1.110.0-beta.10", "beta", "2023-03-03T00:00:00.000Z"],
+      ["1.110.0-beta.2", "beta", "2023-03-02T00:00:00.000Z"],
+      ["1.110.0", "stable", "2023-03-01T00:00:00.000Z"],
+    ]) {
+      await database.insertRelease({
+        version: version,
+        channel: channel,
+        platform: "win32",
+        url: `https://example.com/pulsar-${version}-win.zip`,
+        pub_date: date,
+      });
+    }
+  });
+
+  afterAll(async () => {
+    await database.removeRelease("1.100.0", "stable", "darwin");
+    await database.removeRelease("1.101.0", "beta", "darwin");
+    await database.removeRelease("1.110.0-beta.10", "beta", "win32");
+    await database.removeRelease("1.110.0-beta.2", "beta", "win32");
+    await database.removeRelease("1.110.0", "stable", "win32");
+  });
+
+  test("Returns bad_request for an invalid platform", async () => {
+    const sso = await endpoint.logic(
+      { platform: false, channel: "stable", version: false },
+      context
+    );
 
     expect(sso.ok).toBe(false);
-    expect(sso.short).toBe("not_supported");
+    expect(sso.short).toBe("bad_request");
+  });
+
+  test("Returns the newest stable release", async () => {
+    const sso = await endpoint.logic(
+      { platform: "darwin", channel: "stable", version: "1.99.0" },
+      context
+    );
+
+    expect(sso.ok).toBe(true);
+    expect(sso.content).toMatchObject({
+      url: "https://example.com/pulsar-1.100.0-mac.zip",
+      name: "1.100.0",
+      notes: "Stable Release",
+      pub_date: "2023-01-01T00:00:00.000Z",
+    });
+  });
+
+  test("Returns the newest beta release on the beta channel", async () => {
+    const sso = await endpoint.logic(
+      { platform: "darwin", channel: "beta", version: "1.99.0" },
+      context
+    );
+
+    expect(sso.ok).toBe(true);
+    expect(sso.content.name).toBe("1.101.0");
+  });
+
+  test("Returns no content when already up to date", async () => {
+    const sso = await endpoint.logic(
+      { platform: "darwin", channel: "stable", version: "1.100.0" },
+      context
+    );
+
+    expect(sso.ok).toBe(true);
+    expect(sso.content).toBe(false);
+  });
+
+  test("Orders releases by semver precedence", async () => {
+    const beta = await database.getLatestRelease("win32", ["beta"]);
+    expect(beta.ok).toBe(true);
+    expect(beta.content.version).toBe("1.110.0-beta.10");
+
+    const all = await database.getLatestRelease("win32", ["stable", "beta"]);
+    expect(all.ok).toBe(true);
+    expect(all.content.version).toBe("1.110.0");
+  });
+
+  test("Updates a beta to its stable release", async () => {
+    const sso = await endpoint.logic(
+      { platform: "win32", channel: "beta", version: "1.110.0-beta.10" },
+      context
+    );
+
+    expect(sso.ok).toBe(true);
+    expect(sso.content.name).toBe("1.110.0");
+  });
+
+  test("Returns no content when the platform has no releases", async () => {
+    const sso = await endpoint.logic(
+      { platform: "linux", channel: "stable", version: "1.0.0" },
+      context
+    );
+
+    expect(sso.ok).toBe(true);
+    expect(sso.content).toBe(false);
   });
 });
 
@@ -23,4 +137,15 @@ describe("HTTP Handling works", () => {
 
     spy.mockClear();
   });
+
+  test("Responds with 204 when up to date", async () => {
+    const request = require("supertest");
+    const app = require("../../src/setupEndpoints.js");
+
+    const res = await request(app).get(
+      "/api/updates?platform=linux&version=1.0.0"
+    );
+
+    expect(res).toHaveHTTPCode(204);
+  });
 });
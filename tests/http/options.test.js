@@ -120,6 +120,179 @@ describe("Ensure Options Method Returns as Expected", () => {
     expect(res.headers["x-content-type-options"]).toEqual("nosniff");
     rateLimitHeaderCheck(res);
   });
+  test("/api/:packType/:packageName/dist-tags/:distTag", async () => {
+    const res = await request(app).options(
+      "/api/packages/language-css/dist-tags/beta"
+    );
+    expect(res).toHaveHTTPCode(204);
+    expect(res.headers.allow).toEqual("PUT, DELETE");
+    expect(res.headers["x-content-type-options"]).toEqual("nosniff");
+    rateLimitHeaderCheck(res);
+  });
+  test("/api/:packType/:packageName/maintainers", async () => {
+    const res = await request(app).options(
+      "/api/packages/language-css/maintainers"
+    );
+    expect(res).toHaveHTTPCode(204);
+    expect(res.headers.allow).toEqual("GET");
+    expect(res.headers["x-content-type-options"]).toEqual("nosniff");
+    rateLimitHeaderCheck(res);
+  });
+  test("/api/:packType/:packageName/maintainers/:login", async () => {
+    const res = await request(app).options(
+      "/api/packages/language-css/maintainers/confused-Techie"
+    );
+    expect(res).toHaveHTTPCode(204);
+    expect(res.headers.allow).toEqual("POST, DELETE");
+    expect(res.headers["x-content-type-options"]).toEqual("nosniff");
+    rateLimitHeaderCheck(res);
+  });
+  test("/api/:packType/:packageName/maintainers/:login/accept", async () => {
+    const res = await request(app).options(
+      "/api/packages/language-css/maintainers/confused-Techie/accept"
+    );
+    expect(res).toHaveHTTPCode(204);
+    expect(res.headers.allow).toEqual("POST");
+    expect(res.headers["x-content-type-options"]).toEqual("nosniff");
+    rateLimitHeaderCheck(res);
+  });
+  test("/api/:packType/:packageName/owner/:login", async () => {
+    const res = await request(app).options(
+      "/api/packages/language-css/owner/confused-Techie"
+    );
+    expect(res).toHaveHTTPCode(204);
+    expect(res.headers.allow).toEqual("POST");
+    expect(res.headers["x-content-type-options"]).toEqual("nosniff");
+    rateLimitHeaderCheck(res);
+  });
+  test("/api/:packType/:packageName/owner/:login/accept", async () => {
+    const res = await request(app).options(
+      "/api/packages/language-css/owner/confused-Techie/accept"
+    );
+    expect(res).toHaveHTTPCode(204);
+    expect(res.headers.allow).toEqual("POST");
+    expect(res.headers["x-content-type-options"]).toEqual("nosniff");
+    rateLimitHeaderCheck(res);
+  });
+  test("/api/:packType/:packageName/maintainer-policy", async () => {
+    const res = await request(app).options(
+      "/api/packages/language-css/maintainer-policy"
+    );
+    expect(res).toHaveHTTPCode(204);
+    expect(res.headers.allow).toEqual("PUT");
+    expect(res.headers["x-content-type-options"]).toEqual("nosniff");
+    rateLimitHeaderCheck(res);
+  });
+  test("/api/orgs/:orgName", async () => {
+    const res = await request(app).options("/api/orgs/pulsar-edit");
+    expect(res).toHaveHTTPCode(204);
+    expect(res.headers.allow).toEqual("GET, PUT");
+    expect(res.headers["x-content-type-options"]).toEqual("nosniff");
+    rateLimitHeaderCheck(res);
+  });
+  test("/api/orgs/:orgName/members", async () => {
+    const res = await request(app).options("/api/orgs/pulsar-edit/members");
+    expect(res).toHaveHTTPCode(204);
+    expect(res.headers.allow).toEqual("GET");
+    expect(res.headers["x-content-type-options"]).toEqual("nosniff");
+    rateLimitHeaderCheck(res);
+  });
+  test("/api/orgs/:orgName/members/:login", async () => {
+    const res = await request(app).options(
+      "/api/orgs/pulsar-edit/members/confused-Techie"
+    );
+    expect(res).toHaveHTTPCode(204);
+    expect(res.headers.allow).toEqual("PUT, DELETE");
+    expect(res.headers["x-content-type-options"]).toEqual("nosniff");
+    rateLimitHeaderCheck(res);
+  });
+  test("/api/orgs/:orgName/packages", async () => {
+    const res = await request(app).options("/api/orgs/pulsar-edit/packages");
+    expect(res).toHaveHTTPCode(204);
+    expect(res.headers.allow).toEqual("GET");
+    expect(res.headers["x-content-type-options"]).toEqual("nosniff");
+    rateLimitHeaderCheck(res);
+  });
+  test("/api/orgs/:orgName/packages/:packageName", async () => {
+    const res = await request(app).options(
+      "/api/orgs/pulsar-edit/packages/language-css"
+    );
+    expect(res).toHaveHTTPCode(204);
+    expect(res.headers.allow).toEqual("POST, DELETE");
+    expect(res.headers["x-content-type-options"]).toEqual("nosniff");
+    rateLimitHeaderCheck(res);
+  });
+  test("/api/users/webhooks", async () => {
+    const res = await request(app).options("/api/users/webhooks");
+    expect(res).toHaveHTTPCode(204);
+    expect(res.headers.allow).toEqual("GET, POST");
+    expect(res.headers["x-content-type-options"]).toEqual("nosniff");
+    rateLimitHeaderCheck(res);
+  });
+  test("/api/users/webhooks/:webhookId", async () => {
+    const res = await request(app).options("/api/users/webhooks/1");
+    expect(res).toHaveHTTPCode(204);
+    expect(res.headers.allow).toEqual("GET, PUT, DELETE");
+    expect(res.headers["x-content-type-options"]).toEqual("nosniff");
+    rateLimitHeaderCheck(res);
+  });
+  test("/api/users/webhooks/:webhookId/deliveries", async () => {
+    const res = await request(app).options("/api/users/webhooks/1/deliveries");
+    expect(res).toHaveHTTPCode(204);
+    expect(res.headers.allow).toEqual("GET");
+    expect(res.headers["x-content-type-options"]).toEqual("nosniff");
+    rateLimitHeaderCheck(res);
+  });
+  test("/api/admin/releases", async () => {
+    const res = await request(app).options("/api/admin/releases");
+    expect(res).toHaveHTTPCode(204);
+    expect(res.headers.allow).toEqual("POST, DELETE");
+    expect(res.headers["x-content-type-options"]).toEqual("nosniff");
+    rateLimitHeaderCheck(res);
+  });
+  test("/api/admin/webhooks/deliveries", async () => {
+    const res = await request(app).options("/api/admin/webhooks/deliveries");
+    expect(res).toHaveHTTPCode(204);
+    expect(res.headers.allow).toEqual("GET");
+    expect(res.headers["x-content-type-options"]).toEqual("nosniff");
+    rateLimitHeaderCheck(res);
+  });
+  test("/api/admin/webhooks/deliveries/:deliveryId/redeliver", async () => {
+    const res = await request(app).options(
+      "/api/admin/webhooks/deliveries/1b4e28ba-2fa1-4d3b-a3f5-ef19b5a7633b/redeliver"
+    );
+    expect(res).toHaveHTTPCode(204);
+    expect(res.headers.allow).toEqual("POST");
+    expect(res.headers["x-content-type-options"]).toEqual("nosniff");
+    rateLimitHeaderCheck(res);
+  });
+  test("/api/:packType/:packageName/publish-hook", async () => {
+    const res = await request(app).options(
+      "/api/packages/language-css/publish-hook"
+    );
+    expect(res).toHaveHTTPCode(204);
+    expect(res.headers.allow).toEqual("GET, POST, DELETE");
+    expect(res.headers["x-content-type-options"]).toEqual("nosniff");
+    rateLimitHeaderCheck(res);
+  });
+  test("/api/:packType/:packageName/publish-hook/github", async () => {
+    const res = await request(app).options(
+      "/api/packages/language-css/publish-hook/github"
+    );
+    expect(res).toHaveHTTPCode(204);
+    expect(res.headers.allow).toEqual("POST");
+    expect(res.headers["x-content-type-options"]).toEqual("nosniff");
+    rateLimitHeaderCheck(res);
+  });
+  test("/api/:packType/:packageName/deprecate", async () => {
+    const res = await request(app).options(
+      "/api/packages/language-css/deprecate"
+    );
+    expect(res).toHaveHTTPCode(204);
+    expect(res.headers.allow).toEqual("POST");
+    expect(res.headers["x-content-type-options"]).toEqual("nosniff");
+    rateLimitHeaderCheck(res);
+  });
   test("/api/users/:login/stars", async () => {
     const res = await request(app).options("/api/users/confused-Techie/stars");
     expect(res).toHaveHTTPCode(204);
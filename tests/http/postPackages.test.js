@@ -84,6 +84,8 @@ describe("POST /api/packages Behaves as expected", () => {
           node_id: "post-pkg-publish-test-user-node-id",
           username: "post-pkg-publish-test-user",
           avatar: "https://roadtonowhere.com",
+          scopes: context.auth.TOKEN_SCOPES,
+          packages: null,
         },
       };
     };
@@ -180,6 +182,8 @@ describe("POST /api/packages Behaves as expected", () => {
           node_id: addUser.content.node_id,
           username: addUser.content.username,
           avatar: addUser.content.avatar,
+          scopes: context.auth.TOKEN_SCOPES,
+          packages: null,
         },
       };
     };
@@ -252,4 +256,139 @@ describe("POST /api/packages Behaves as expected", () => {
     // Cleanup
     await database.removePackageByName("post-pkg-test-pkg-name", true);
   });
+
+  test("Resolves the service from a full repository URL", async () => {
+    const localContext = context;
+    let ownershipArgs, newPackageDataArgs;
+
+    localContext.auth.verifyAuth = () => {
+      return {
+        ok: true,
+        content: {
+          token: "valid-token",
+          id: 9999,
+          node_id: "post-pkg-publish-test-user-node-id",
+          username: "post-pkg-publish-test-user",
+          avatar: "https://roadtonowhere.com",
+        },
+      };
+    };
+    localContext.vcs.ownership = (user, pack) => {
+      ownershipArgs = pack;
+      return {
+        ok: true,
+        content: "maintainer",
+      };
+    };
+    localContext.vcs.newPackageData = (user, ownerRepo, service) => {
+      newPackageDataArgs = { ownerRepo: ownerRepo, service: service };
+      return {
+        ok: false,
+        short: "Bad Repo",
+        content: "Stop before publishing",
+      };
+    };
+
+    const sso = await endpoint.logic(
+      {
+        repository: "https://gitlab.com/pulsar-edit/packages/language-gitlab",
+        service: false,
+        auth: "valid-token",
+      },
+      localContext
+    );
+
+    expect(sso.ok).toBe(false);
+    expect(ownershipArgs.repository.type).toBe("lab");
+    expect(newPackageDataArgs.ownerRepo).toBe(
+      "pulsar-edit/packages/language-gitlab"
+    );
+    expect(newPackageDataArgs.service).toBe("lab");
+  });
+
+  test("Resolves the service from the service parameter", async () => {
+    const localContext = context;
+    let newPackageDataArgs;
+
+    localContext.vcs.newPackageData = (user, ownerRepo, service) => {
+      newPackageDataArgs = { ownerRepo: ownerRepo, service: service };
+      return {
+        ok: false,
+        short: "Bad Repo",
+        content: "Stop before publishing",
+      };
+    };
+
+    const sso = await endpoint.logic(
+      {
+        repository: "pulsar-edit/language-gitea",
+        service: "berg",
+        auth: "valid-token",
+      },
+      localContext
+    );
+
+    expect(sso.ok).toBe(false);
+    expect(newPackageDataArgs.ownerRepo).toBe("pulsar-edit/language-gitea");
+    expect(newPackageDataArgs.service).toBe("berg");
+  });
+
+  test("Fails with 'bad repo' for an unsupported service", async () => {
+    const sso = await endpoint.logic(
+      {
+        repository: "pulsar-edit/language-bitbucket",
+        service: "bit",
+        auth: "valid-token",
+      },
+      context
+    );
+
+    expect(sso.ok).toBe(false);
+    expect(sso.short).toBe("bad_repo");
+  });
+
+  test("Fails when the token is restricted to other packages", async () => {
+    const localContext = context;
+
+    localContext.auth.verifyAuth = () => {
+      return {
+        ok: true,
+        content: {
+          token: null,
+          id: 9999,
+          node_id: "post-pkg-publish-test-user-node-id",
+          username: "post-pkg-publish-test-user",
+          avatar: "https://roadtonowhere.com",
+          auth_type: "registry",
+          scopes: ["publish:new"],
+          packages: ["another-package"],
+        },
+      };
+    };
+    localContext.vcs.ownership = () => {
+      return {
+        ok: true,
+        content: "admin",
+      };
+    };
+    localContext.vcs.newPackageData = () => {
+      return {
+        ok: true,
+        content: {
+          name: "post-pkg-test-restricted",
+        },
+      };
+    };
+
+    const sso = await endpoint.logic(
+      {
+        repository: "confused-Techie/post-pkg-test-restricted",
+        auth: "pulsar_token",
+      },
+      localContext
+    );
+
+    expect(sso.ok).toBe(false);
+    expect(sso.short).toBe("unauthorized");
+  });
 });
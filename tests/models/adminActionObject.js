@@ -0,0 +1,89 @@
+module.exports = {
+  schema: {
+    description:
+      "An action taken by an admin, as recorded within the registry's moderation history.",
+    type: "object",
+    required: [
+      "id",
+      "action",
+      "admin",
+      "package",
+      "reason",
+      "details",
+      "created",
+    ],
+    properties: {
+      id: {
+        type: "number",
+      },
+      action: {
+        type: "string",
+        enum: [
+          "unreserve_name",
+          "force_delete",
+          "transfer_ownership",
+          "add_badge",
+          "remove_badge",
+          "add_ban",
+          "remove_ban",
+          "add_featured",
+          "remove_featured",
+          "redeliver_webhook",
+          "add_release",
+          "remove_release",
+        ],
+      },
+      admin: {
+        type: "string",
+      },
+      package: {
+        type: "string",
+        nullable: true,
+      },
+      reason: {
+        type: "string",
+        nullable: true,
+      },
+      details: {
+        type: "object",
+        nullable: true,
+      },
+      created: {
+        type: "string",
+      },
+    },
+  },
+  example: {
+    id: 1,
+    action: "unreserve_name",
+    admin: "confused-Techie",
+    package: "pulsar-gpp-compiler",
+    reason: "The package was unpublished by accident, and never downloaded.",
+    details: null,
+    created: "2023-09-04T00:58:36.755Z",
+  },
+  test: Joi.object({
+    id: Joi.number().integer().required(),
+    action: Joi.string()
+      .valid(
+        "unreserve_name",
+        "force_delete",
+        "transfer_ownership",
+        "add_badge",
+        "remove_badge",
+        "add_ban",
+        "remove_ban",
+        "add_featured",
+        "remove_featured",
+        "redeliver_webhook",
+        "add_release",
+        "remove_release"
+      )
+      .required(),
+    admin: Joi.string().required(),
+    package: Joi.string().allow(null).required(),
+    reason: Joi.string().allow(null).required(),
+    details: Joi.object().allow(null).required(),
+    created: Joi.date().required(),
+  }),
+};
@@ -0,0 +1,5 @@
+module.exports = {
+  schema: {},
+  example: [require("./adminActionObject.js").example],
+  test: Joi.array().items(require("./adminActionObject.js").test).required(),
+};
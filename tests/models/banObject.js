@@ -0,0 +1,36 @@
+module.exports = {
+  schema: {
+    description:
+      "A ban of the package name ban list. Any package name matching the pattern can't be published.",
+    type: "object",
+    required: ["pattern", "type", "reason", "created"],
+    properties: {
+      pattern: {
+        type: "string",
+      },
+      type: {
+        type: "string",
+        enum: ["name", "glob", "regex"],
+      },
+      reason: {
+        type: "string",
+      },
+      created: {
+        type: "string",
+        nullable: true,
+      },
+    },
+  },
+  example: {
+    pattern: "slot-*",
+    type: "glob",
+    reason: "Spam packages.",
+    created: "2023-09-16T00:58:36.755Z",
+  },
+  test: Joi.object({
+    pattern: Joi.string().required(),
+    type: Joi.string().valid("name", "glob", "regex").required(),
+    reason: Joi.string().allow("").required(),
+    created: Joi.date().allow(null).required(),
+  }),
+};
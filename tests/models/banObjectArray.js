@@ -0,0 +1,5 @@
+module.exports = {
+  schema: {},
+  example: [require("./banObject.js").example],
+  test: Joi.array().items(require("./banObject.js").test).required(),
+};
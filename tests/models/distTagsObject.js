@@ -0,0 +1,19 @@
+module.exports = {
+  schema: {
+    description:
+      "The dist-tags of a package, each pointing to the semver of a version. `latest` is always the latest version of the package.",
+    type: "object",
+    required: ["latest"],
+    additionalProperties: {
+      type: "string",
+    },
+  },
+  example: {
+    latest: "1.0.0",
+    beta: "1.1.0-beta.1",
+    next: "2.0.0-alpha.3",
+  },
+  test: Joi.object({
+    latest: Joi.string().required(),
+  }).pattern(Joi.string(), Joi.string()),
+};
@@ -0,0 +1,25 @@
+module.exports = {
+  schema: {
+    description:
+      "An entry of a featured list. The package is featured until it expires.",
+    type: "object",
+    required: ["name", "expires"],
+    properties: {
+      name: {
+        type: "string",
+      },
+      expires: {
+        type: "string",
+        nullable: true,
+      },
+    },
+  },
+  example: {
+    name: "language-powershell",
+    expires: "2024-01-01T00:00:00.000Z",
+  },
+  test: Joi.object({
+    name: Joi.string().required(),
+    expires: Joi.date().allow(null).required(),
+  }),
+};
@@ -0,0 +1,5 @@
+module.exports = {
+  schema: {},
+  example: [require("./featuredObject.js").example],
+  test: Joi.array().items(require("./featuredObject.js").test).required(),
+};
@@ -0,0 +1,30 @@
+module.exports = {
+  schema: {
+    description:
+      "A maintainer of a package. An invited maintainer hasn't `accepted` yet, and has no access to the package until they do.",
+    type: "object",
+    required: ["username", "role", "accepted"],
+    properties: {
+      username: {
+        type: "string",
+      },
+      role: {
+        type: "string",
+        enum: ["owner", "maintainer"],
+      },
+      accepted: {
+        type: "boolean",
+      },
+    },
+  },
+  example: {
+    username: "confused-Techie",
+    role: "maintainer",
+    accepted: false,
+  },
+  test: Joi.object({
+    username: Joi.string().required(),
+    role: Joi.string().valid("owner", "maintainer").required(),
+    accepted: Joi.boolean().required(),
+  }),
+};
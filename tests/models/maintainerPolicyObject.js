@@ -0,0 +1,20 @@
+module.exports = {
+  schema: {
+    description:
+      "Who may publish and delete a package. With `vcs` only those with write access to its repository, with `registry` only its maintainers, and with `either` both.",
+    type: "object",
+    required: ["policy"],
+    properties: {
+      policy: {
+        type: "string",
+        enum: ["vcs", "registry", "either"],
+      },
+    },
+  },
+  example: {
+    policy: "registry",
+  },
+  test: Joi.object({
+    policy: Joi.string().valid("vcs", "registry", "either").required(),
+  }),
+};
@@ -0,0 +1,70 @@
+module.exports = {
+  schema: {
+    description:
+      "The maintainers of a package, including those invited, along with its maintainer `policy` and the user any transfer of its ownership is pending for.",
+    type: "object",
+    required: ["policy", "pending_owner", "maintainers"],
+    properties: {
+      policy: {
+        type: "string",
+        enum: ["vcs", "registry", "either"],
+      },
+      pending_owner: {
+        type: "string",
+        nullable: true,
+      },
+      maintainers: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            username: { type: "string" },
+            avatar: { type: "string" },
+            role: { type: "string" },
+            accepted: { type: "boolean" },
+            invited_by: { type: "string", nullable: true },
+            created: { type: "string" },
+          },
+        },
+      },
+    },
+  },
+  example: {
+    policy: "either",
+    pending_owner: null,
+    maintainers: [
+      {
+        username: "confused-Techie",
+        avatar: "https://avatar.url",
+        role: "owner",
+        accepted: true,
+        invited_by: null,
+        created: "2024-02-01T00:58:36.755Z",
+      },
+      {
+        username: "Digitalone1",
+        avatar: "https://avatar.url",
+        role: "maintainer",
+        accepted: false,
+        invited_by: "confused-Techie",
+        created: "2024-02-03T12:10:02.104Z",
+      },
+    ],
+  },
+  test: Joi.object({
+    policy: Joi.string().valid("vcs", "registry", "either").required(),
+    pending_owner: Joi.string().allow(null).required(),
+    maintainers: Joi.array()
+      .items(
+        Joi.object({
+          username: Joi.string().required(),
+          avatar: Joi.string().allow(null),
+          role: Joi.string().valid("owner", "maintainer").required(),
+          accepted: Joi.boolean().required(),
+          invited_by: Joi.string().allow(null),
+          created: Joi.date().required(),
+        })
+      )
+      .required(),
+  }),
+};
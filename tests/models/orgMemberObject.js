@@ -0,0 +1,35 @@
+module.exports = {
+  schema: {
+    description:
+      "A member of an org. An `owner` manages the org, its members, and its packages, while a `member` maintains its packages.",
+    type: "object",
+    required: ["username", "avatar", "role", "created"],
+    properties: {
+      username: {
+        type: "string",
+      },
+      avatar: {
+        type: "string",
+      },
+      role: {
+        type: "string",
+        enum: ["owner", "member"],
+      },
+      created: {
+        type: "string",
+      },
+    },
+  },
+  example: {
+    username: "confused-Techie",
+    avatar: "https://avatar.url",
+    role: "owner",
+    created: "2024-02-01T00:58:36.755Z",
+  },
+  test: Joi.object({
+    username: Joi.string().required(),
+    avatar: Joi.string().allow(null).required(),
+    role: Joi.string().valid("owner", "member").required(),
+    created: Joi.date().required(),
+  }),
+};
@@ -0,0 +1,5 @@
+module.exports = {
+  schema: {},
+  example: [require("./orgMemberObject.js").example],
+  test: Joi.array().items(require("./orgMemberObject.js").test).required(),
+};
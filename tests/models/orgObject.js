@@ -0,0 +1,59 @@
+module.exports = {
+  schema: {
+    description:
+      "The profile of an org, along with how many members and packages it has.",
+    type: "object",
+    required: [
+      "name",
+      "description",
+      "avatar",
+      "created",
+      "updated",
+      "members",
+      "packages",
+    ],
+    properties: {
+      name: {
+        type: "string",
+      },
+      description: {
+        type: "string",
+        nullable: true,
+      },
+      avatar: {
+        type: "string",
+        nullable: true,
+      },
+      created: {
+        type: "string",
+      },
+      updated: {
+        type: "string",
+      },
+      members: {
+        type: "number",
+      },
+      packages: {
+        type: "number",
+      },
+    },
+  },
+  example: {
+    name: "pulsar-edit",
+    description: "The packages maintained by the Pulsar team.",
+    avatar: "https://avatars.githubusercontent.com/u/115339203",
+    created: "2024-02-01T00:58:36.755Z",
+    updated: "2024-02-03T12:10:02.104Z",
+    members: 4,
+    packages: 12,
+  },
+  test: Joi.object({
+    name: Joi.string().required(),
+    description: Joi.string().allow(null).required(),
+    avatar: Joi.string().allow(null).required(),
+    created: Joi.date().required(),
+    updated: Joi.date().required(),
+    members: Joi.number().required(),
+    packages: Joi.number().required(),
+  }),
+};
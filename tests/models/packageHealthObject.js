@@ -0,0 +1,53 @@
+module.exports = {
+  schema: {
+    description:
+      "The results of the health checks run against a package at a point in time.",
+    type: "object",
+    required: ["healthy", "checks", "badges", "created"],
+    properties: {
+      healthy: {
+        type: "boolean",
+      },
+      checks: {
+        type: "object",
+      },
+      badges: {
+        type: "array",
+        items: {
+          type: "string",
+        },
+      },
+      created: {
+        type: "string",
+      },
+    },
+  },
+  example: {
+    healthy: false,
+    checks: {
+      packageMetadata: { passed: true },
+      versionTagExists: { passed: true },
+      latestVersionIsAssigned: { passed: true },
+      repoArchived: {
+        passed: false,
+        message: "pulsar-edit/language-gpp has been archived.",
+      },
+    },
+    badges: ["Archived"],
+    created: "2023-09-04T00:58:36.755Z",
+  },
+  test: Joi.object({
+    healthy: Joi.boolean().required(),
+    checks: Joi.object()
+      .pattern(
+        Joi.string(),
+        Joi.object({
+          passed: Joi.boolean().allow(null).required(),
+          message: Joi.string(),
+        })
+      )
+      .required(),
+    badges: Joi.array().items(Joi.string()).required(),
+    created: Joi.date().required(),
+  }),
+};
@@ -0,0 +1,5 @@
+module.exports = {
+  schema: {},
+  example: [require("./packageHealthObject.js").example],
+  test: Joi.array().items(require("./packageHealthObject.js").test).required(),
+};
@@ -7,6 +7,7 @@ module.exports = {
       "readme",
       "metadata",
       "releases",
+      "dist-tags",
       "versions",
       "repository",
       "creation_method",
@@ -20,6 +21,7 @@ module.exports = {
       readme: { type: "string" },
       metadata: { type: "object" },
       releases: { type: "object" },
+      "dist-tags": { type: "object" },
       versions: { type: "object" },
       repository: { type: "object" },
       creation_method: { type: "string" },
@@ -27,6 +29,8 @@ module.exports = {
       stargazers_count: { type: "string" },
       badges: { type: "array" },
       owner: { type: "string" },
+      deprecated: { type: "string" },
+      org: { type: "string" },
     },
   },
   example: {
@@ -58,6 +62,11 @@ module.exports = {
     releases: {
       latest: "1.0.0",
     },
+    // The version each dist-tag points to, where `latest` is always present
+    "dist-tags": {
+      latest: "1.0.0",
+      beta: "1.1.0-beta.1",
+    },
     versions: {
       "1.0.0": {
         // This is the `package.json` of every version
@@ -104,7 +113,14 @@ module.exports = {
     releases: Joi.object({
       latest: Joi.string().required(),
     }).required(),
+    "dist-tags": Joi.object({
+      latest: Joi.string().required(),
+    })
+      .pattern(Joi.string(), Joi.string())
+      .required(),
     owner: Joi.string().required(),
+    deprecated: Joi.string(),
+    org: Joi.string(),
     versions: Joi.object().required(),
     repository: Joi.object({
       url: Joi.string().required(),
@@ -24,6 +24,7 @@ module.exports = {
       releases: { type: "object" },
       badges: { type: "array" },
       owner: { type: "string" },
+      deprecated: { type: "string" },
     },
   },
   example: {
@@ -96,6 +97,7 @@ module.exports = {
       latest: Joi.string().required(),
     }).required(),
     owner: Joi.string().required(),
+    deprecated: Joi.string(),
     repository: Joi.object({
       url: Joi.string().required(),
       type: Joi.string()
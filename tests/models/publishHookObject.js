@@ -0,0 +1,45 @@
+module.exports = {
+  schema: {
+    description:
+      "The publish hook of a package, which lets a webhook of its GitHub repository publish new versions as the user who enabled it.",
+    type: "object",
+    required: ["package", "user", "url", "last_delivery", "created", "updated"],
+    properties: {
+      package: {
+        type: "string",
+      },
+      user: {
+        type: "string",
+      },
+      url: {
+        type: "string",
+      },
+      last_delivery: {
+        type: "string",
+        nullable: true,
+      },
+      created: {
+        type: "string",
+      },
+      updated: {
+        type: "string",
+      },
+    },
+  },
+  example: {
+    package: "language-powershell",
+    user: "confused-Techie",
+    url: "https://api.pulsar-edit.dev/api/packages/language-powershell/publish-hook/github",
+    last_delivery: "2023-09-16T00:58:36.755Z",
+    created: "2023-09-16T00:51:02.417Z",
+    updated: "2023-09-16T00:51:02.417Z",
+  },
+  test: Joi.object({
+    package: Joi.string().required(),
+    user: Joi.string().required(),
+    url: Joi.string().uri().required(),
+    last_delivery: Joi.date().allow(null).required(),
+    created: Joi.date().required(),
+    updated: Joi.date().required(),
+  }),
+};
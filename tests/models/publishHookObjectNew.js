@@ -0,0 +1,32 @@
+module.exports = {
+  schema: {
+    description:
+      "A newly enabled publish hook. This is the only time its secret is returned.",
+    type: "object",
+    required: [
+      "package",
+      "user",
+      "url",
+      "last_delivery",
+      "created",
+      "updated",
+      "secret",
+    ],
+    properties: {
+      ...require("./publishHookObject.js").schema.properties,
+      secret: {
+        type: "string",
+      },
+    },
+  },
+  example: {
+    ...require("./publishHookObject.js").example,
+    last_delivery: null,
+    secret: "whsec_Qm4Xw0pR8sV2kT6yLb3NfH9cJ1aD5eGz7uKo0iZ",
+  },
+  test: require("./publishHookObject.js").test.keys({
+    secret: Joi.string()
+      .pattern(/^whsec_/)
+      .required(),
+  }),
+};
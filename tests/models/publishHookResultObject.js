@@ -0,0 +1,30 @@
+module.exports = {
+  schema: {
+    description:
+      "The outcome of a delivery to a publish hook. Deliveries of events other than a new release or tag publish nothing.",
+    type: "object",
+    required: ["published", "version", "message"],
+    properties: {
+      published: {
+        type: "boolean",
+      },
+      version: {
+        type: "string",
+        nullable: true,
+      },
+      message: {
+        type: "string",
+      },
+    },
+  },
+  example: {
+    published: true,
+    version: "1.1.0",
+    message: "Successfully added new version: language-powershell@1.1.0",
+  },
+  test: Joi.object({
+    published: Joi.boolean().required(),
+    version: Joi.string().allow(null).required(),
+    message: Joi.string().required(),
+  }),
+};
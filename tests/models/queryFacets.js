@@ -0,0 +1,42 @@
+// The count of results having each value of a facet
+const counts = {
+  type: "object",
+  additionalProperties: {
+    type: "integer",
+  },
+};
+
+module.exports = {
+  schema: {
+    description:
+      "The counts of each facet of the results, as JSON within the `Query-Facets` header. Only the 10 most common values of each facet, up to 64 characters long, are counted, and the least common values are left out to keep the header within 4096 characters. Any non-ASCII characters are escaped.",
+    type: "object",
+    properties: {
+      packageType: counts,
+      providedServices: counts,
+      consumedServices: counts,
+      fileExtension: counts,
+      license: counts,
+      owner: counts,
+    },
+  },
+  example: {
+    packageType: { package: 12, theme: 2 },
+    providedServices: { autocomplete: 3 },
+    consumedServices: { "status-bar": 5 },
+    fileExtension: { ps1: 4 },
+    license: { MIT: 10, "Apache-2.0": 2 },
+    owner: { "pulsar-edit": 8 },
+  },
+  test: Joi.object().pattern(
+    Joi.string().valid(
+      "packageType",
+      "providedServices",
+      "consumedServices",
+      "fileExtension",
+      "license",
+      "owner"
+    ),
+    Joi.object().pattern(Joi.string(), Joi.number().integer())
+  ),
+};
@@ -0,0 +1,12 @@
+module.exports = {
+  schema: {
+    description:
+      "The names of the packages most similar to a search without any results, most similar first, as JSON within the `Query-Suggestions` header. Any non-ASCII characters are escaped.",
+    type: "array",
+    items: {
+      type: "string",
+    },
+  },
+  example: ["language-powershell", "language-powerquery"],
+  test: Joi.array().items(Joi.string()).required(),
+};
@@ -0,0 +1,47 @@
+module.exports = {
+  schema: {
+    description:
+      "A Pulsar release within the release catalogue, served by `/api/updates`.",
+    type: "object",
+    required: ["version", "channel", "platform", "url", "notes", "pub_date"],
+    properties: {
+      version: {
+        type: "string",
+      },
+      channel: {
+        type: "string",
+        enum: ["stable", "beta"],
+      },
+      platform: {
+        type: "string",
+        enum: ["darwin", "win32", "linux"],
+      },
+      url: {
+        type: "string",
+      },
+      notes: {
+        type: "string",
+        nullable: true,
+      },
+      pub_date: {
+        type: "string",
+      },
+    },
+  },
+  example: {
+    version: "1.110.0",
+    channel: "stable",
+    platform: "darwin",
+    url: "https://github.com/pulsar-edit/pulsar/releases/download/v1.110.0/Pulsar-1.110.0-mac.zip",
+    notes: "Fixed a crash on startup.",
+    pub_date: "2023-10-16T00:00:00.000Z",
+  },
+  test: Joi.object({
+    version: Joi.string().required(),
+    channel: Joi.string().valid("stable", "beta").required(),
+    platform: Joi.string().valid("darwin", "win32", "linux").required(),
+    url: Joi.string().required(),
+    notes: Joi.string().allow(null).required(),
+    pub_date: Joi.date().required(),
+  }),
+};
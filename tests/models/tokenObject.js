@@ -0,0 +1,45 @@
+module.exports = {
+  schema: {
+    description:
+      "The details of a registry token. The token itself is never included.",
+    type: "object",
+    required: ["id", "name", "scopes", "packages", "created", "last_used"],
+    properties: {
+      id: {
+        type: "number",
+      },
+      name: {
+        type: "string",
+      },
+      scopes: {
+        type: "array",
+      },
+      packages: {
+        type: "array",
+        nullable: true,
+      },
+      created: {
+        type: "string",
+      },
+      last_used: {
+        type: "string",
+      },
+    },
+  },
+  example: {
+    id: 1,
+    name: "github-actions",
+    scopes: ["publish:version"],
+    packages: ["language-powershell"],
+    created: "2023-09-16T00:58:36.755Z",
+    last_used: null,
+  },
+  test: Joi.object({
+    id: Joi.number().required(),
+    name: Joi.string().required(),
+    scopes: Joi.array().items(Joi.string()).required(),
+    packages: Joi.array().items(Joi.string()).allow(null).required(),
+    created: Joi.date().required(),
+    last_used: Joi.date().allow(null).required(),
+  }),
+};
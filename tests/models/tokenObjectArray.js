@@ -0,0 +1,5 @@
+module.exports = {
+  schema: {},
+  example: [require("./tokenObject.js").example],
+  test: Joi.array().items(require("./tokenObject.js").test).required(),
+};
@@ -0,0 +1,31 @@
+module.exports = {
+  schema: {
+    description:
+      "A newly created registry token. This is the only time the token is returned.",
+    type: "object",
+    required: [
+      "id",
+      "name",
+      "scopes",
+      "packages",
+      "created",
+      "last_used",
+      "token",
+    ],
+    properties: {
+      ...require("./tokenObject.js").schema.properties,
+      token: {
+        type: "string",
+      },
+    },
+  },
+  example: {
+    ...require("./tokenObject.js").example,
+    token: "pulsar_R5a1WYkLUgjZV6sBqHkzGqGJaN0r7XcfnGxlKa5SZ2M",
+  },
+  test: require("./tokenObject.js").test.keys({
+    token: Joi.string()
+      .pattern(/^pulsar_/)
+      .required(),
+  }),
+};
@@ -0,0 +1,96 @@
+module.exports = {
+  schema: {
+    description:
+      "A delivery of an event to a webhook, along with its payload, and the outcome of its latest attempt.",
+    type: "object",
+    required: [
+      "id",
+      "event",
+      "payload",
+      "state",
+      "attempts",
+      "next_attempt",
+      "status",
+      "error",
+      "duration",
+      "created",
+      "updated",
+    ],
+    properties: {
+      id: {
+        type: "string",
+      },
+      event: {
+        type: "string",
+      },
+      payload: {
+        type: "object",
+      },
+      state: {
+        type: "string",
+        enum: ["pending", "delivered", "dead"],
+      },
+      attempts: {
+        type: "number",
+      },
+      next_attempt: {
+        type: "string",
+      },
+      status: {
+        type: "number",
+        nullable: true,
+      },
+      error: {
+        type: "string",
+        nullable: true,
+      },
+      duration: {
+        type: "number",
+        nullable: true,
+      },
+      created: {
+        type: "string",
+      },
+      updated: {
+        type: "string",
+      },
+    },
+  },
+  example: {
+    id: "1b4e28ba-2fa1-4d3b-a3f5-ef19b5a7633b",
+    event: "version",
+    payload: {
+      event: "version",
+      delivery: "1b4e28ba-2fa1-4d3b-a3f5-ef19b5a7633b",
+      timestamp: "2023-09-16T00:58:36.755Z",
+      package: {
+        name: "language-powershell",
+        owner: "pulsar-edit",
+      },
+      version: "1.1.0",
+      user: "confused-Techie",
+      details: {},
+    },
+    state: "delivered",
+    attempts: 1,
+    next_attempt: "2023-09-16T00:58:36.755Z",
+    status: 200,
+    error: null,
+    duration: 132,
+    created: "2023-09-16T00:58:36.755Z",
+    updated: "2023-09-16T00:58:36.887Z",
+  },
+  test: Joi.object({
+    id: Joi.string().uuid().required(),
+    event: Joi.string().required(),
+    payload: Joi.object().required(),
+    state: Joi.string().valid("pending", "delivered", "dead").required(),
+    attempts: Joi.number().integer().required(),
+    next_attempt: Joi.date().required(),
+    status: Joi.number().allow(null).required(),
+    error: Joi.string().allow(null).required(),
+    duration: Joi.number().allow(null).required(),
+    created: Joi.date().required(),
+    updated: Joi.date().required(),
+  }),
+};
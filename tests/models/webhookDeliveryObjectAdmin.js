@@ -0,0 +1,107 @@
+module.exports = {
+  schema: {
+    description:
+      "A delivery of an event to either a webhook or a built-in subscriber, as listed to admins.",
+    type: "object",
+    required: [
+      "id",
+      "webhook",
+      "subscriber",
+      "user",
+      "url",
+      "event",
+      "payload",
+      "state",
+      "attempts",
+      "next_attempt",
+      "status",
+      "error",
+      "duration",
+      "created",
+      "updated",
+    ],
+    properties: {
+      id: {
+        type: "string",
+      },
+      webhook: {
+        type: "number",
+        nullable: true,
+      },
+      subscriber: {
+        type: "string",
+        nullable: true,
+      },
+      user: {
+        type: "string",
+        nullable: true,
+      },
+      url: {
+        type: "string",
+        nullable: true,
+      },
+      event: {
+        type: "string",
+      },
+      payload: {
+        type: "object",
+      },
+      state: {
+        type: "string",
+        enum: ["pending", "delivered", "dead"],
+      },
+      attempts: {
+        type: "number",
+      },
+      next_attempt: {
+        type: "string",
+      },
+      status: {
+        type: "number",
+        nullable: true,
+      },
+      error: {
+        type: "string",
+        nullable: true,
+      },
+      duration: {
+        type: "number",
+        nullable: true,
+      },
+      created: {
+        type: "string",
+      },
+      updated: {
+        type: "string",
+      },
+    },
+  },
+  example: {
+    ...require("./webhookDeliveryObject.js").example,
+    webhook: 1,
+    subscriber: null,
+    user: "confused-Techie",
+    url: "https://example.com/pulsar-webhook",
+    state: "dead",
+    attempts: 10,
+    status: 502,
+    error: "Bad Gateway",
+  },
+  test: Joi.object({
+    id: Joi.string().uuid().required(),
+    webhook: Joi.number().integer().allow(null).required(),
+    subscriber: Joi.string().allow(null).required(),
+    user: Joi.string().allow(null).required(),
+    url: Joi.string().allow(null).required(),
+    event: Joi.string().required(),
+    payload: Joi.object().required(),
+    state: Joi.string().valid("pending", "delivered", "dead").required(),
+    attempts: Joi.number().integer().required(),
+    next_attempt: Joi.date().required(),
+    status: Joi.number().allow(null).required(),
+    error: Joi.string().allow(null).required(),
+    duration: Joi.number().allow(null).required(),
+    created: Joi.date().required(),
+    updated: Joi.date().required(),
+  }),
+};
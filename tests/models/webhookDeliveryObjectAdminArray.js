@@ -0,0 +1,7 @@
+module.exports = {
+  schema: {},
+  example: [require("./webhookDeliveryObjectAdmin.js").example],
+  test: Joi.array()
+    .items(require("./webhookDeliveryObjectAdmin.js").test)
+    .required(),
+};
@@ -0,0 +1,7 @@
+module.exports = {
+  schema: {},
+  example: [require("./webhookDeliveryObject.js").example],
+  test: Joi.array()
+    .items(require("./webhookDeliveryObject.js").test)
+    .required(),
+};
@@ -0,0 +1,69 @@
+module.exports = {
+  schema: {
+    description:
+      "The details of a webhook. Its secret is never included after it's created.",
+    type: "object",
+    required: [
+      "id",
+      "url",
+      "events",
+      "package",
+      "owner",
+      "active",
+      "created",
+      "updated",
+    ],
+    properties: {
+      id: {
+        type: "number",
+      },
+      url: {
+        type: "string",
+      },
+      events: {
+        type: "array",
+      },
+      package: {
+        type: "string",
+        nullable: true,
+      },
+      owner: {
+        type: "string",
+        nullable: true,
+      },
+      active: {
+        type: "boolean",
+      },
+      created: {
+        type: "string",
+      },
+      updated: {
+        type: "string",
+      },
+    },
+  },
+  example: {
+    id: 1,
+    url: "https://example.com/pulsar/webhook",
+    events: ["publish", "version"],
+    package: null,
+    owner: "pulsar-edit",
+    active: true,
+    created: "2023-09-16T00:58:36.755Z",
+    updated: "2023-09-16T00:58:36.755Z",
+  },
+  test: Joi.object({
+    id: Joi.number().required(),
+    url: Joi.string().required(),
+    events: Joi.array()
+      .items(
+        Joi.string().valid("publish", "version", "delete", "star", "badge")
+      )
+      .required(),
+    package: Joi.string().allow(null).required(),
+    owner: Joi.string().allow(null).required(),
+    active: Joi.boolean().required(),
+    created: Joi.date().required(),
+    updated: Joi.date().required(),
+  }),
+};
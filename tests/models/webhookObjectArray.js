@@ -0,0 +1,5 @@
+module.exports = {
+  schema: {},
+  example: [require("./webhookObject.js").example],
+  test: Joi.array().items(require("./webhookObject.js").test).required(),
+};
@@ -0,0 +1,33 @@
+module.exports = {
+  schema: {
+    description:
+      "A newly created webhook. This is the only time its secret is returned.",
+    type: "object",
+    required: [
+      "id",
+      "url",
+      "events",
+      "package",
+      "owner",
+      "active",
+      "created",
+      "updated",
+      "secret",
+    ],
+    properties: {
+      ...require("./webhookObject.js").schema.properties,
+      secret: {
+        type: "string",
+      },
+    },
+  },
+  example: {
+    ...require("./webhookObject.js").example,
+    secret: "whsec_9dYb2sQ4Xk0mH7pLr3TnVw8cZ1aF6eGj5uKo0iB",
+  },
+  test: require("./webhookObject.js").test.keys({
+    secret: Joi.string()
+      .pattern(/^whsec_/)
+      .required(),
+  }),
+};
@@ -0,0 +1,80 @@
+// Tests the Local Storage Driver against a temporary directory.
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const Local = require("../../src/storage_drivers/local.js");
+
+let dir;
+let local;
+
+beforeAll(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "pulsar-local-"));
+  local = new Local({ path: dir });
+});
+
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe("Local.put and Local.get", () => {
+  test("Stores a file that can be read back", async () => {
+    const put = await local.put("lists/ban.json", '["bad-package"]');
+    expect(put.ok).toBe(true);
+    expect(put.content).toBe("lists/ban.json");
+
+    const get = await local.get("lists/ban.json");
+    expect(get.ok).toBe(true);
+    expect(get.content.toString()).toBe('["bad-package"]');
+  });
+
+  test("Returns not_found for a missing file", async () => {
+    const res = await local.get("lists/missing.json");
+    expect(res.ok).toBe(false);
+    expect(res.short).toBe("not_found");
+  });
+
+  test("Refuses a file outside of the storage directory", async () => {
+    const res = await local.get("../outside.json");
+    expect(res.ok).toBe(false);
+    expect(res.short).toBe("server_error");
+  });
+});
+
+describe("Local.list", () => {
+  test("Returns every file beginning with the prefix", async () => {
+    await local.put("tarballs/pack/1.0.0.tgz", "a");
+    await local.put("tarballs/pack/1.1.0.tgz", "b");
+    await local.put("tarballs/package/1.0.0.tgz", "c");
+
+    const res = await local.list("tarballs/pack/");
+    expect(res.ok).toBe(true);
+    expect(res.content).toEqual([
+      "tarballs/pack/1.0.0.tgz",
+      "tarballs/pack/1.1.0.tgz",
+    ]);
+  });
+
+  test("Returns an empty list for an unknown prefix", async () => {
+    const res = await local.list("nothing/");
+    expect(res.ok).toBe(true);
+    expect(res.content).toEqual([]);
+  });
+});
+
+describe("Local.delete", () => {
+  test("Removes a file", async () => {
+    await local.put("delete-me.txt", "gone");
+
+    const res = await local.delete("delete-me.txt");
+    expect(res.ok).toBe(true);
+
+    const get = await local.get("delete-me.txt");
+    expect(get.short).toBe("not_found");
+  });
+
+  test("Succeeds for a file that doesn't exist", async () => {
+    const res = await local.delete("never-existed.txt");
+    expect(res.ok).toBe(true);
+  });
+});
@@ -49,6 +49,21 @@ describe("Building Objects with PackageObject Return as Expected", () => {
     obj.Version.addSemver("v0.0.1-alpha");
     obj.Version.addSemver("v3.444.1-beta");
 
-    expect(obj.Version.getLatestVersionSemver()).toBe("3.444.1-beta");
+    expect(obj.Version.getLatestVersionSemver()).toBe("3.444.0");
+  });
+
+  test("Orders prereleases by their identifiers", () => {
+    let obj = new PackageObject();
+
+    obj.Version.addSemver("v1.0.0-beta.2");
+    obj.Version.addSemver("v1.0.0-beta.10");
+    obj.Version.addSemver("v1.0.0-alpha.20");
+    obj.Version.addSemver("v1.0.0-beta");
+
+    expect(obj.Version.getLatestVersionSemver()).toBe("1.0.0-beta.10");
+
+    obj.Version.addSemver("v0.9.0+build.5");
+
+    expect(obj.Version.getLatestVersionSemver()).toBe("0.9.0+build.5");
   });
 });
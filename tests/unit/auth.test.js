@@ -0,0 +1,342 @@
+const auth = require("../../src/auth.js");
+
+const dbUser = {
+  id: 1,
+  token_id: 2,
+  node_id: "user-node-id",
+  created_at: "2023-09-16T00:58:36.755Z",
+  username: "confused-Techie",
+  avatar: "https://avatar.url",
+  data: {},
+  token_scopes: ["publish:version"],
+  token_packages: ["language-css"],
+};
+
+const registryDb = (token) => {
+  return {
+    getUserByTokenHash: (hash) => {
+      return hash === token.hash
+        ? { ok: true, content: dbUser }
+        : { ok: false, short: "not_found" };
+    },
+  };
+};
+
+describe("generateToken", () => {
+  test("Returns a prefixed token and its hash", () => {
+    const res = auth.generateToken();
+
+    expect(res.token).toMatch(/^pulsar_[\w-]{43}$/);
+    expect(res.hash).toBe(auth.hashToken(res.token));
+  });
+
+  test("Returns a different token every time", () => {
+    expect(auth.generateToken().token).not.toBe(auth.generateToken().token);
+  });
+});
+
+describe("hashToken", () => {
+  test("Returns the hex SHA-256 hash", () => {
+    expect(auth.hashToken("pulsar_test")).toBe(
+      "611721c9abc19111e638663b510cfd8ef414528c9b937b7d3a58509c870ae190"
+    );
+  });
+});
+
+describe("verifyAuth with registry tokens", () => {
+  test("Returns the user of a valid token", async () => {
+    const token = auth.generateToken();
+
+    const res = await auth.verifyAuth(token.token, registryDb(token));
+
+    expect(res.ok).toBe(true);
+    expect(res.content.username).toBe(dbUser.username);
+    expect(res.content.node_id).toBe(dbUser.node_id);
+    expect(res.content.token_id).toBe(dbUser.token_id);
+    expect(res.content.token).toBeNull();
+    expect(res.content.auth_type).toBe("registry");
+    expect(res.content.scopes).toEqual(["publish:version"]);
+    expect(res.content.packages).toEqual(["language-css"]);
+  });
+
+  test("Returns unauthorized for an unknown token", async () => {
+    const db = {
+      getUserByTokenHash: () => {
+        return { ok: false, short: "not_found" };
+      },
+    };
+
+    const res = await auth.verifyAuth(auth.generateToken().token, db);
+
+    expect(res.ok).toBe(false);
+    expect(res.short).toBe("unauthorized");
+  });
+
+  test("Passes along database errors", async () => {
+    const db = {
+      getUserByTokenHash: () => {
+        return { ok: false, short: "server_error" };
+      },
+    };
+
+    const res = await auth.verifyAuth(auth.generateToken().token, db);
+
+    expect(res.ok).toBe(false);
+    expect(res.short).toBe("server_error");
+  });
+
+  test("Returns unauthorized for an empty token", async () => {
+    const res = await auth.verifyAuth("", {});
+
+    expect(res.ok).toBe(false);
+    expect(res.short).toBe("unauthorized");
+  });
+});
+
+describe("verifyAuth with scopes", () => {
+  test("Returns the user when the scope is granted for the package", async () => {
+    const token = auth.generateToken();
+
+    const res = await auth.verifyAuth(token.token, registryDb(token), {
+      scope: "publish:version",
+      package: "Language-CSS",
+    });
+
+    expect(res.ok).toBe(true);
+  });
+
+  test("Returns unauthorized when the scope isn't granted", async () => {
+    const token = auth.generateToken();
+
+    const res = await auth.verifyAuth(token.token, registryDb(token), {
+      scope: "delete",
+      package: "language-css",
+    });
+
+    expect(res.ok).toBe(false);
+    expect(res.short).toBe("unauthorized");
+  });
+
+  test("Returns unauthorized for a package outside the restriction", async () => {
+    const token = auth.generateToken();
+
+    const res = await auth.verifyAuth(token.token, registryDb(token), {
+      scope: "publish:version",
+      package: "language-powershell",
+    });
+
+    expect(res.ok).toBe(false);
+    expect(res.short).toBe("unauthorized");
+  });
+});
+
+describe("verifyAuth with admin", () => {
+  test("Returns unauthorized for a user that isn't an admin", async () => {
+    const token = auth.generateToken();
+
+    const res = await auth.verifyAuth(token.token, registryDb(token), {
+      admin: true,
+    });
+
+    expect(res.ok).toBe(false);
+    expect(res.short).toBe("unauthorized");
+  });
+});
+
+describe("isAdmin", () => {
+  test("Allows an admin authenticated with GitHub", () => {
+    expect(auth.isAdmin({ role: "admin", auth_type: "github" })).toBe(true);
+  });
+
+  test("Denies an admin authenticated with a registry token", () => {
+    expect(auth.isAdmin({ role: "admin", auth_type: "registry" })).toBe(false);
+  });
+
+  test("Denies a regular user", () => {
+    expect(auth.isAdmin({ role: "user", auth_type: "github" })).toBe(false);
+  });
+});
+
+describe("tokenAllows", () => {
+  test("Allows every scope for every package of a GitHub user", () => {
+    const user = { scopes: auth.TOKEN_SCOPES, packages: null };
+
+    for (const scope of auth.TOKEN_SCOPES) {
+      expect(auth.tokenAllows(user, scope, "any-package")).toBe(true);
+    }
+  });
+
+  test("Allows package restricted scopes without a package", () => {
+    const user = { scopes: ["read:private"], packages: ["language-css"] };
+
+    expect(auth.tokenAllows(user, "read:private")).toBe(true);
+  });
+
+  test("Denies a user without scopes", () => {
+    expect(auth.tokenAllows({}, "star", "language-css")).toBe(false);
+  });
+});
+
+describe("packageAccess", () => {
+  const user = { username: "confused-Techie" };
+  const vcs = (ok) => {
+    return {
+      ownership: () => {
+        return ok
+          ? { ok: true, content: "admin" }
+          : { ok: false, short: "No Repo Access", content: "No Access" };
+      },
+    };
+  };
+  const pack = (policy, maintainers) => {
+    return {
+      name: "language-css",
+      data: {},
+      maintainer_policy: policy,
+      maintainers: maintainers,
+    };
+  };
+  const maintained = [{ username: "confused-Techie", role: "maintainer" }];
+
+  test("Allows a maintainer without repository access", async () => {
+    for (const policy of ["registry", "either"]) {
+      const res = await auth.packageAccess(
+        user,
+        pack(policy, maintained),
+        vcs(false)
+      );
+      expect(res.ok).toBe(true);
+      expect(res.content).toBe("maintainer");
+    }
+  });
+
+  test("Allows repository access unless only maintainers are", async () => {
+    expect(
+      (await auth.packageAccess(user, pack("vcs", []), vcs(true))).ok
+    ).toBe(true);
+    expect(
+      (await auth.packageAccess(user, pack("either", []), vcs(true))).ok
+    ).toBe(true);
+
+    const res = await auth.packageAccess(user, pack("registry", []), vcs(true));
+    expect(res.ok).toBe(false);
+    expect(res.short).toBe("unauthorized");
+  });
+
+  test("Ignores maintainers of a package only allowing repository access", async () => {
+    const res = await auth.packageAccess(
+      user,
+      pack("vcs", maintained),
+      vcs(false)
+    );
+    expect(res.ok).toBe(false);
+    expect(res.short).toBe("No Repo Access");
+  });
+
+  test("Checks repository access against the data given", async () => {
+    let checked;
+    await auth.packageAccess(
+      user,
+      pack("either", []),
+      {
+        ownership: (user, repo) => {
+          checked = repo;
+          return { ok: true, content: "admin" };
+        },
+      },
+      { name: "language-css-renamed" }
+    );
+
+    expect(checked).toEqual({ name: "language-css-renamed" });
+  });
+});
+
+describe("packageOwnership", () => {
+  const user = { username: "confused-Techie" };
+  const vcs = {
+    ownership: () => {
+      return { ok: true, content: "admin" };
+    },
+  };
+
+  test("Allows the owner", async () => {
+    const res = await auth.packageOwnership(
+      user,
+      { maintainers: [{ username: "confused-Techie", role: "owner" }] },
+      { ownership: () => ({ ok: false }) }
+    );
+    expect(res.ok).toBe(true);
+  });
+
+  test("Allows repository access until the package has an owner", async () => {
+    const res = await auth.packageOwnership(
+      user,
+      { maintainers: [{ username: "confused-Techie", role: "maintainer" }] },
+      vcs
+    );
+    expect(res.ok).toBe(true);
+
+    const owned = await auth.packageOwnership(
+      user,
+      {
+        name: "language-css",
+        maintainers: [
+          { username: "Digitalone1", role: "owner" },
+          { username: "confused-Techie", role: "maintainer" },
+        ],
+      },
+      vcs
+    );
+    expect(owned.ok).toBe(false);
+    expect(owned.short).toBe("unauthorized");
+  });
+});
+
+describe("Org packages", () => {
+  const user = { username: "confused-Techie" };
+  const vcs = {
+    ownership: () => {
+      return { ok: false, short: "No Repo Access", content: "No Access" };
+    },
+  };
+  const pack = (role) => {
+    return {
+      name: "language-css",
+      data: {},
+      maintainers: [{ username: "Digitalone1", role: "owner" }],
+      org: "pulsar-edit",
+      org_members: [{ username: "confused-Techie", role: role }],
+    };
+  };
+
+  test("Finds the role of an org member", () => {
+    expect(auth.orgMemberRole(user, pack("member").org_members)).toBe("member");
+    expect(auth.orgMemberRole({ username: "Spiker985" }, [])).toBeNull();
+  });
+
+  test("Lets org members maintain the package", async () => {
+    const res = await auth.packageAccess(user, pack("member"), vcs);
+    expect(res.ok).toBe(true);
+    expect(res.content).toBe("maintainer");
+
+    const owner = await auth.packageOwnership(user, pack("member"), vcs);
+    expect(owner.ok).toBe(false);
+  });
+
+  test("Lets org owners own the package", async () => {
+    const res = await auth.packageOwnership(user, pack("owner"), vcs);
+    expect(res.ok).toBe(true);
+  });
+
+  test("Considers an org owner an owner on the registry", () => {
+    expect(
+      auth.hasRegistryOwner({
+        maintainers: [],
+        org_members: [{ username: "confused-Techie", role: "owner" }],
+      })
+    ).toBe(true);
+    expect(auth.hasRegistryOwner({ maintainers: [], org_members: [] })).toBe(
+      false
+    );
+  });
+});
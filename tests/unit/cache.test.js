@@ -50,3 +50,11 @@ describe("Cache Objects Have the Functions and Variables Expected", () => {
     expect(newCache.invalidated).toBeTruthy();
   });
 });
+
+test("Cache Object is Expired once invalidated", async () => {
+  let newCache = new cache.CacheObject("test-contents");
+  newCache.cache_time = 600000;
+  expect(newCache.Expired).toBeFalsy();
+  newCache.invalidate();
+  expect(newCache.Expired).toBeTruthy();
+});
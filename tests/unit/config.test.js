@@ -14,6 +14,13 @@ describe("Config Returns all Expected Values", () => {
         cache_time: Joi.number().integer().required(),
         GCLOUD_STORAGE_BUCKET: Joi.string().allow("").required(),
         GOOGLE_APPLICATION_CREDENTIALS: Joi.string().allow("").required(),
+        STORAGE_DRIVER: Joi.string().valid("gcs", "local", "s3"),
+        STORAGE_LOCAL_PATH: Joi.string().required(),
+        S3_ENDPOINT: Joi.string().allow(""),
+        S3_REGION: Joi.string().required(),
+        S3_BUCKET: Joi.string().allow(""),
+        S3_ACCESS_KEY_ID: Joi.string().allow(""),
+        S3_SECRET_ACCESS_KEY: Joi.string().allow(""),
         GH_CLIENTID: Joi.string().allow("").required(),
         GH_USERAGENT: Joi.string().allow("").required(),
         GH_REDIRECTURI: Joi.string().allow("").required(),
@@ -31,6 +38,13 @@ describe("Config Returns all Expected Values", () => {
         WEBHOOK_PUBLISH: Joi.string().allow("").required(),
         WEBHOOK_VERSION: Joi.string().allow("").required(),
         WEBHOOK_USERNAME: Joi.string().allow("").required(),
+        WEBHOOK_QUEUE_INTERVAL: Joi.number().integer().required(),
+        WEBHOOK_QUEUE_BATCH: Joi.number().integer().required(),
+        WEBHOOK_MAX_ATTEMPTS: Joi.number().integer().required(),
+        WEBHOOK_ALLOW_PRIVATE: Joi.boolean().required(),
+        HEALTH_CHECK_INTERVAL: Joi.number().integer().required(),
+        HEALTH_CHECK_BATCH: Joi.number().integer().required(),
+        GITEA_URL: Joi.string().required(),
       })
       .required();
 
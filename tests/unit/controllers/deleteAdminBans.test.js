@@ -0,0 +1,71 @@
+const endpoint = require("../../../src/controllers/deleteAdminBans.js");
+const context = require("../../../src/context.js");
+
+const localContext = (banList, onPut) => {
+  return {
+    ...context,
+    auth: {
+      verifyAuth: () => {
+        return {
+          ok: true,
+          content: { id: 1, role: "admin", auth_type: "github" },
+        };
+      },
+    },
+    database: {
+      insertAdminAction: (action) => {
+        return { ok: true, content: action };
+      },
+    },
+    storage: {
+      getBanList: () => {
+        return { ok: true, content: banList };
+      },
+      putBanList: (list) => {
+        onPut(list);
+        return { ok: true, content: list };
+      },
+    },
+  };
+};
+
+describe("Has features expected", () => {
+  test("Has correct endpoint features", () => {
+    const expected = {
+      method: "DELETE",
+      paths: ["/api/admin/bans"],
+      rateLimit: "auth",
+      successStatus: 204,
+    };
+
+    expect(endpoint.endpoint).toMatchObject(expected);
+  });
+});
+
+describe("Functions as expected", () => {
+  test("Returns not_found for a pattern that isn't banned", async () => {
+    const sso = await endpoint.logic(
+      { auth: "token", pattern: "not-banned" },
+      localContext(["spam"], () => {})
+    );
+
+    expect(sso.ok).toBe(false);
+    expect(sso.short).toBe("not_found");
+  });
+
+  test("Removes both plain names and pattern bans", async () => {
+    let written;
+    const sso = await endpoint.logic(
+      { auth: "token", pattern: "slot-*" },
+      localContext(
+        ["spam", { pattern: "slot-*", type: "glob", reason: "Spam" }],
+        (list) => {
+          written = list;
+        }
+      )
+    );
+
+    expect(sso.ok).toBe(true);
+    expect(written).toEqual(["spam"]);
+  });
+});
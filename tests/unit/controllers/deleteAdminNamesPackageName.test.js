@@ -0,0 +1,84 @@
+const endpoint = require("../../../src/controllers/deleteAdminNamesPackageName.js");
+const context = require("../../../src/context.js");
+
+const localContext = (removePackageName) => {
+  return {
+    ...context,
+    auth: {
+      verifyAuth: () => {
+        return {
+          ok: true,
+          content: { id: 1, role: "admin", auth_type: "github" },
+        };
+      },
+    },
+    database: {
+      removePackageName: removePackageName,
+    },
+  };
+};
+
+describe("Has features expected", () => {
+  test("Has correct endpoint features", () => {
+    const expected = {
+      method: "DELETE",
+      paths: ["/api/admin/names/:packageName"],
+      rateLimit: "auth",
+      successStatus: 204,
+    };
+
+    expect(endpoint.endpoint).toMatchObject(expected);
+  });
+
+  test("Has correct functions", () => {
+    expect(endpoint.logic).toBeTypeof("function");
+  });
+});
+
+describe("Functions as expected", () => {
+  test("Requires a reason", async () => {
+    const sso = await endpoint.logic(
+      { auth: "token", packageName: "pulsar-gpp-compiler", reason: false },
+      localContext(() => {
+        throw new Error("Should not be called");
+      })
+    );
+
+    expect(sso.ok).toBe(false);
+    expect(sso.short).toBe("bad_request");
+  });
+
+  test("Explains why a name in use can't be removed", async () => {
+    const sso = await endpoint.logic(
+      { auth: "token", packageName: "pulsar-gpp-compiler", reason: "Test" },
+      localContext(() => {
+        return {
+          ok: false,
+          short: "bad_request",
+          content:
+            "The name pulsar-gpp-compiler is in use by a published package.",
+        };
+      })
+    );
+
+    expect(sso.ok).toBe(false);
+    expect(sso.content.short).toBe("bad_request");
+    expect(sso.message).toContain("in use");
+  });
+
+  test("Removes the name on behalf of the admin", async () => {
+    let calledWith;
+    const sso = await endpoint.logic(
+      { auth: "token", packageName: "pulsar-gpp-compiler", reason: "Test" },
+      localContext((name, admin) => {
+        calledWith = { name, admin };
+        return { ok: true, content: {} };
+      })
+    );
+
+    expect(sso.ok).toBe(true);
+    expect(sso.content).toBe(false);
+    expect(calledWith.name).toBe("pulsar-gpp-compiler");
+    expect(calledWith.admin).toEqual({ userid: 1, reason: "Test" });
+  });
+});
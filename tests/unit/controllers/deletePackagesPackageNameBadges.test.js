@@ -0,0 +1,112 @@
+const endpoint = require("../../../src/controllers/deletePackagesPackageNameBadges.js");
+const context = require("../../../src/context.js");
+
+const localContext = (removePackageBadge) => {
+  return {
+    ...context,
+    auth: {
+      verifyAuth: () => {
+        return {
+          ok: true,
+          content: {
+            id: 1,
+            username: "confused-Techie",
+            role: "admin",
+            auth_type: "github",
+          },
+        };
+      },
+    },
+    database: {
+      removePackageBadge: removePackageBadge,
+    },
+  };
+};
+
+describe("Has features expected", () => {
+  test("Has correct endpoint features", () => {
+    const expected = {
+      method: "DELETE",
+      paths: ["/api/packages/:packageName/badges"],
+      rateLimit: "auth",
+      successStatus: 200,
+    };
+
+    expect(endpoint.endpoint).toMatchObject(expected);
+  });
+
+  test("Has correct functions", () => {
+    expect(endpoint.logic).toBeTypeof("function");
+  });
+});
+
+describe("Functions as expected", () => {
+  test("Refuses an unknown title", async () => {
+    const sso = await endpoint.logic(
+      {
+        auth: "token",
+        packageName: "atom-material-ui",
+        title: false,
+        reason: "Test",
+      },
+      localContext(() => {
+        throw new Error("Should not be called");
+      })
+    );
+
+    expect(sso.ok).toBe(false);
+    expect(sso.short).toBe("bad_request");
+  });
+
+  test("Returns not_found when the package doesn't have the badge", async () => {
+    const sso = await endpoint.logic(
+      {
+        auth: "token",
+        packageName: "atom-material-ui",
+        title: "Broken",
+        reason: "Test",
+      },
+      localContext(() => {
+        return { ok: false, short: "not_found", content: "No badge" };
+      })
+    );
+
+    expect(sso.ok).toBe(false);
+    expect(sso.content.short).toBe("not_found");
+  });
+
+  test("Removes the badge on behalf of the admin", async () => {
+    let calledWith;
+    const sso = await endpoint.logic(
+      {
+        auth: "token",
+        packageName: "atom-material-ui",
+        title: "Broken",
+        reason: "The package was fixed.",
+      },
+      localContext((name, title, admin) => {
+        calledWith = { name, title, admin };
+        return {
+          ok: true,
+          content: {
+            id: 4,
+            action: "remove_badge",
+            package: name,
+            reason: admin.reason,
+            details: { badge: { type: "warn", title: title } },
+            created: "2023-09-04T00:58:36.755Z",
+          },
+        };
+      })
+    );
+
+    expect(sso.ok).toBe(true);
+    expect(sso).toMatchEndpointSuccessObject(endpoint);
+    expect(sso.content.admin).toBe("confused-Techie");
+    expect(calledWith).toEqual({
+      name: "atom-material-ui",
+      title: "Broken",
+      admin: { userid: 1, reason: "The package was fixed." },
+    });
+  });
+});
@@ -0,0 +1,93 @@
+const endpoint = require("../../../src/controllers/deletePackagesPackageNameDistTagsDistTag.js");
+const context = require("../../../src/context.js");
+
+const localContext = (removed) => {
+  return {
+    ...context,
+    auth: {
+      verifyAuth: () => {
+        return {
+          ok: true,
+          content: {
+            id: 1,
+            username: "confused-Techie",
+            auth_type: "github",
+          },
+        };
+      },
+    },
+    vcs: {
+      ownership: () => {
+        return { ok: true, content: "admin" };
+      },
+    },
+    database: {
+      getPackageByName: () => {
+        return { ok: true, content: { data: {} } };
+      },
+      removePackageDistTag: (name, tag) => {
+        return removed
+          ? { ok: true, content: { latest: "1.0.0" } }
+          : {
+              ok: false,
+              content: `Package ${name} doesn't have the ${tag} dist-tag.`,
+              short: "not_found",
+            };
+      },
+    },
+  };
+};
+
+const params = {
+  auth: "token",
+  packageName: "language-test",
+  distTag: "beta",
+};
+
+describe("Has features expected", () => {
+  test("Has correct endpoint features", () => {
+    const expected = {
+      method: "DELETE",
+      paths: [
+        "/api/packages/:packageName/dist-tags/:distTag",
+        "/api/themes/:packageName/dist-tags/:distTag",
+      ],
+      rateLimit: "auth",
+      scope: "publish:version",
+      successStatus: 204,
+    };
+
+    expect(endpoint.endpoint).toMatchObject(expected);
+  });
+
+  test("Has correct functions", () => {
+    expect(endpoint.logic).toBeTypeof("function");
+  });
+});
+
+describe("Functions as expected", () => {
+  test("Refuses an invalid dist-tag", async () => {
+    const sso = await endpoint.logic(
+      { ...params, distTag: false },
+      localContext(true)
+    );
+
+    expect(sso.ok).toBe(false);
+    expect(sso.short).toBe("bad_request");
+  });
+
+  test("Returns not found for a dist-tag the package doesn't have", async () => {
+    const sso = await endpoint.logic(params, localContext(false));
+
+    expect(sso.ok).toBe(false);
+    expect(sso.content.short).toBe("not_found");
+    expect(sso.calls["db.removePackageDistTag"]).toBeDefined();
+  });
+
+  test("Removes the dist-tag", async () => {
+    const sso = await endpoint.logic(params, localContext(true));
+
+    expect(sso.ok).toBe(true);
+    expect(sso.content).toBe(false);
+  });
+});
@@ -0,0 +1,98 @@
+const endpoint = require("../../../src/controllers/deletePackagesPackageNameMaintainersLogin.js");
+const context = require("../../../src/context.js");
+
+const localContext = (onRemove) => {
+  return {
+    ...context,
+    auth: {
+      ...context.auth,
+      verifyAuth: () => {
+        return {
+          ok: true,
+          content: { id: 2, username: "Digitalone1", auth_type: "github" },
+        };
+      },
+    },
+    vcs: {
+      ownership: () => {
+        return { ok: true, content: "admin" };
+      },
+    },
+    database: {
+      getPackageByName: () => {
+        return {
+          ok: true,
+          content: {
+            name: "language-test",
+            data: {},
+            maintainers: [
+              { username: "confused-Techie", role: "owner" },
+              { username: "Digitalone1", role: "maintainer" },
+            ],
+          },
+        };
+      },
+      getUserByName: (login) => {
+        return {
+          ok: true,
+          content: { id: login === "Digitalone1" ? 2 : 3, username: login },
+        };
+      },
+      removePackageMaintainer: (name, userid) => {
+        onRemove(name, userid);
+        return { ok: true, content: { accepted: true } };
+      },
+    },
+  };
+};
+
+describe("Has features expected", () => {
+  test("Has correct endpoint features", () => {
+    const expected = {
+      method: "DELETE",
+      paths: [
+        "/api/packages/:packageName/maintainers/:login",
+        "/api/themes/:packageName/maintainers/:login",
+      ],
+      rateLimit: "auth",
+      scope: "manage:maintainers",
+      successStatus: 204,
+    };
+
+    expect(endpoint.endpoint).toMatchObject(expected);
+  });
+
+  test("Has correct functions", () => {
+    expect(endpoint.logic).toBeTypeof("function");
+  });
+});
+
+describe("Functions as expected", () => {
+  test("Lets a maintainer remove themselves", async () => {
+    let removed;
+    const sso = await endpoint.logic(
+      { auth: "token", packageName: "language-test", login: "Digitalone1" },
+      localContext((...args) => {
+        removed = args;
+      })
+    );
+
+    expect(sso.ok).toBe(true);
+    expect(sso.content).toBe(false);
+    expect(removed).toEqual(["language-test", 2]);
+  });
+
+  test("Refuses a maintainer removing someone else", async () => {
+    let removed = false;
+    const sso = await endpoint.logic(
+      { auth: "token", packageName: "language-test", login: "Spiker985" },
+      localContext(() => {
+        removed = true;
+      })
+    );
+
+    expect(sso.ok).toBe(false);
+    expect(sso.content.short).toBe("unauthorized");
+    expect(removed).toBe(false);
+  });
+});
@@ -0,0 +1,74 @@
+const endpoint = require("../../../src/controllers/deleteUsersTokensTokenId.js");
+const context = require("../../../src/context.js");
+
+describe("Has features expected", () => {
+  test("Has correct endpoint features", () => {
+    const expected = {
+      method: "DELETE",
+      paths: ["/api/users/tokens/:tokenId"],
+      rateLimit: "auth",
+      successStatus: 204,
+    };
+
+    expect(endpoint.endpoint).toMatchObject(expected);
+  });
+
+  test("Has correct functions", () => {
+    expect(endpoint.logic).toBeTypeof("function");
+  });
+});
+
+describe("Parameters function as expected", () => {
+  test("Returns the ID of the token", () => {
+    const req = { params: { tokenId: "12" } };
+
+    expect(endpoint.params.tokenId(context, req)).toBe(12);
+  });
+
+  test("Returns false for an invalid ID", () => {
+    const req = { params: { tokenId: "12; DROP TABLE tokens" } };
+
+    expect(endpoint.params.tokenId(context, req)).toBe(false);
+  });
+});
+
+describe("Functions as expected", () => {
+  const localContext = (database) => {
+    return {
+      ...context,
+      auth: {
+        verifyAuth: () => {
+          return { ok: true, content: { id: 9, auth_type: "github" } };
+        },
+      },
+      database: database,
+    };
+  };
+
+  test("Returns not found for an invalid ID", async () => {
+    const sso = await endpoint.logic(
+      { auth: "valid-token", tokenId: false },
+      localContext({})
+    );
+
+    expect(sso.ok).toBe(false);
+    expect(sso.short).toBe("not_found");
+  });
+
+  test("Revokes the token of the user", async () => {
+    let calledWith;
+    const sso = await endpoint.logic(
+      { auth: "valid-token", tokenId: 12 },
+      localContext({
+        removeUserToken: (userId, tokenId) => {
+          calledWith = [userId, tokenId];
+          return { ok: true, content: "Successfully revoked token 12." };
+        },
+      })
+    );
+
+    expect(sso.ok).toBe(true);
+    expect(sso.content).toBe(false);
+    expect(calledWith).toEqual([9, 12]);
+  });
+});
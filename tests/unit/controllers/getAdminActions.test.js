@@ -0,0 +1,75 @@
+const endpoint = require("../../../src/controllers/getAdminActions.js");
+const context = require("../../../src/context.js");
+
+const action = {
+  id: 1,
+  action: "unreserve_name",
+  admin: "confused-Techie",
+  package: "pulsar-gpp-compiler",
+  reason: "Never downloaded.",
+  details: null,
+  created: "2023-09-04T00:58:36.755Z",
+};
+
+describe("Has features expected", () => {
+  test("Has correct endpoint features", () => {
+    const expected = {
+      method: "GET",
+      paths: ["/api/admin/actions"],
+      rateLimit: "generic",
+      successStatus: 200,
+    };
+
+    expect(endpoint.endpoint).toMatchObject(expected);
+  });
+
+  test("Has correct functions", () => {
+    expect(endpoint.logic).toBeTypeof("function");
+  });
+});
+
+describe("Functions as expected", () => {
+  test("Returns the error of the database", async () => {
+    const localContext = {
+      ...context,
+      database: {
+        getAdminActions: () => {
+          return { ok: false, short: "server_error", content: "Error" };
+        },
+      },
+    };
+
+    const sso = await endpoint.logic({ page: 1 }, localContext);
+
+    expect(sso.ok).toBe(false);
+    expect(sso.content.short).toBe("server_error");
+  });
+
+  test("Returns the actions, only linking the filters in use", async () => {
+    let calledWith;
+    const localContext = {
+      ...context,
+      database: {
+        getAdminActions: (opts) => {
+          calledWith = opts;
+          return {
+            ok: true,
+            content: [action],
+            pagination: { count: 1, page: 1, total: 1, limit: 30 },
+          };
+        },
+      },
+    };
+
+    const sso = await endpoint.logic(
+      { page: 1, action: "unreserve_name", package: false },
+      localContext
+    );
+
+    expect(calledWith.action).toBe("unreserve_name");
+    expect(sso.ok).toBe(true);
+    expect(sso).toMatchEndpointSuccessObject(endpoint);
+    expect(sso.link).toContain("action=unreserve_name");
+    expect(sso.link).not.toContain("package=");
+  });
+});
@@ -0,0 +1,89 @@
+const endpoint = require("../../../src/controllers/getPackagesPackageNameHealth.js");
+const context = require("../../../src/context.js");
+
+const health = {
+  healthy: false,
+  checks: {
+    packageMetadata: { passed: true },
+    versionTagExists: {
+      passed: false,
+      message: "The tarball of version 1.0.0 no longer exists.",
+    },
+    latestVersionIsAssigned: { passed: true },
+    repoArchived: { passed: null, message: "Unable to get the repository." },
+  },
+  badges: ["Broken"],
+  created: "2023-09-04T00:58:36.755Z",
+};
+
+describe("Has features expected", () => {
+  test("Has correct endpoint features", () => {
+    const expected = {
+      method: "GET",
+      paths: [
+        "/api/packages/:packageName/health",
+        "/api/themes/:packageName/health",
+      ],
+      rateLimit: "generic",
+      successStatus: 200,
+    };
+
+    expect(endpoint.endpoint).toMatchObject(expected);
+  });
+
+  test("Has correct functions", () => {
+    expect(endpoint.logic).toBeTypeof("function");
+  });
+});
+
+describe("Functions as expected", () => {
+  test("Returns not found for a package that doesn't exist", async () => {
+    const localContext = {
+      ...context,
+      database: {
+        getPackageHealthByName: () => {
+          return {
+            ok: false,
+            short: "not_found",
+            content: "Package not-a-package not found.",
+          };
+        },
+      },
+    };
+
+    const sso = await endpoint.logic(
+      { packageName: "not-a-package", page: 1 },
+      localContext
+    );
+
+    expect(sso.ok).toBe(false);
+    expect(sso.content.short).toBe("not_found");
+  });
+
+  test("Returns the health history of the package", async () => {
+    let calledWith;
+    const localContext = {
+      ...context,
+      database: {
+        getPackageHealthByName: (name, page) => {
+          calledWith = { name, page };
+          return {
+            ok: true,
+            content: [health],
+            pagination: { count: 1, page: 1, total: 1, limit: 30 },
+          };
+        },
+      },
+    };
+
+    const sso = await endpoint.logic(
+      { packageName: "health-test", page: 1 },
+      localContext
+    );
+
+    expect(calledWith).toEqual({ name: "health-test", page: 1 });
+    expect(sso.ok).toBe(true);
+    expect(sso).toMatchEndpointSuccessObject(endpoint);
+    expect(sso.link).toContain("/api/packages/health-test/health?page=1");
+  });
+});
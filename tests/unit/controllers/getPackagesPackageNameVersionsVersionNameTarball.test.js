@@ -0,0 +1,140 @@
+const endpoint = require("../../../src/controllers/getPackagesPackageNameVersionsVersionNameTarball.js");
+const context = require("../../../src/context.js");
+
+const localContext = (meta, tarball) => {
+  return {
+    ...context,
+    database: {
+      getPackageVersionByNameAndVersion: () => {
+        return { ok: true, content: { semver: "1.0.0", meta: meta } };
+      },
+      updatePackageIncrementDownloadByName: () => {
+        return { ok: true, content: "" };
+      },
+    },
+    storage: {
+      getPackageTarball: () => {
+        return tarball;
+      },
+    },
+  };
+};
+
+const params = {
+  packageName: "language-test",
+  versionName: "1.0.0",
+};
+
+describe("Has features expected", () => {
+  test("Has correct endpoint features", () => {
+    const expected = {
+      method: "GET",
+      paths: [
+        "/api/packages/:packageName/versions/:versionName/tarball",
+        "/api/themes/:packageName/versions/:versionName/tarball",
+      ],
+      rateLimit: "generic",
+      successStatus: 302,
+    };
+
+    expect(endpoint.endpoint).toMatchObject(expected);
+  });
+});
+
+describe("Functions as expected", () => {
+  test("Serves a mirrored tarball from storage", async () => {
+    const data = Buffer.from("tarball-contents");
+    const sso = await endpoint.logic(
+      params,
+      localContext(
+        {
+          tarball_url: "https://codeload.github.com/tarball/v1.0.0",
+          dist: { integrity: "sha512-abc" },
+        },
+        new context.sso().isOk().addContent(data)
+      )
+    );
+
+    expect(sso.ok).toBe(true);
+    expect(sso).toBeInstanceOf(context.ssoFile);
+    expect(sso.content).toBe(data);
+    expect(sso.fileName).toBe("language-test-1.0.0.tgz");
+    expect(sso.contentType).toBe("application/gzip");
+  });
+
+  test("Serves the mirrored tarball of the version a dist-tag points to", async () => {
+    const data = Buffer.from("tarball-contents");
+    let requested;
+    const ctx = localContext(
+      { dist: { integrity: "sha512-abc" } },
+      new context.sso().isOk().addContent(data)
+    );
+    ctx.storage.getPackageTarball = (name, version) => {
+      requested = version;
+      return new context.sso().isOk().addContent(data);
+    };
+
+    const sso = await endpoint.logic(
+      { packageName: "language-test", versionName: "beta" },
+      ctx
+    );
+
+    expect(sso.ok).toBe(true);
+    expect(requested).toBe("1.0.0");
+    expect(sso.fileName).toBe("language-test-1.0.0.tgz");
+  });
+
+  test("Warns about a deprecated version", async () => {
+    const ctx = localContext({
+      tarball_url: "https://codeload.github.com/tarball/v1.0.0",
+    });
+    ctx.database.getPackageVersionByNameAndVersion = () => {
+      return {
+        ok: true,
+        content: {
+          semver: "1.0.0",
+          deprecated: "Use language-test-2 instead.",
+          meta: { tarball_url: "https://codeload.github.com/tarball/v1.0.0" },
+        },
+      };
+    };
+
+    const sso = await endpoint.logic(params, ctx);
+
+    expect(sso.ok).toBe(true);
+    expect(sso).toBeInstanceOf(context.ssoRedirect);
+    expect(sso.headers.Warning).toBe(
+      '299 - "Deprecated: Use language-test-2 instead."'
+    );
+  });
+
+  test("Falls back to the VCS when the mirrored tarball is missing", async () => {
+    const sso = await endpoint.logic(
+      params,
+      localContext(
+        {
+          tarball_url: "https://codeload.github.com/tarball/v1.0.0",
+          dist: { integrity: "sha512-abc" },
+        },
+        new context.sso().notOk().addShort("not_found")
+      )
+    );
+
+    expect(sso.ok).toBe(true);
+    expect(sso).toBeInstanceOf(context.ssoRedirect);
+    expect(sso.content).toBe("https://codeload.github.com/tarball/v1.0.0");
+  });
+
+  test("Redirects to the VCS for a version that isn't mirrored", async () => {
+    const sso = await endpoint.logic(
+      params,
+      localContext({
+        tarball_url:
+          "https://gitlab.com/api/v4/projects/1/repository/archive.tar.gz",
+      })
+    );
+
+    expect(sso.ok).toBe(true);
+    expect(sso).toBeInstanceOf(context.ssoRedirect);
+  });
+});
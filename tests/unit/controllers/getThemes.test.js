@@ -49,4 +49,113 @@ describe("Parameters behave as expected", () => {
     const res = endpoint.params.direction(context, req);
     expect(res).toBe("desc");
   });
+  test("Returns valid 'facets'", () => {
+    const req = {
+      query: {
+        facets: "true",
+      },
+    };
+
+    const res = endpoint.params.facets(context, req);
+    expect(res).toBe(true);
+  });
+});
+
+describe("Functions as expected", () => {
+  const packages = {
+    ok: true,
+    content: [],
+    pagination: { count: 0, page: 0, total: 0, limit: 30 },
+    facets: { packageType: { theme: 0 } },
+  };
+
+  test("Returns facets when requested", async () => {
+    const localContext = {
+      ...context,
+      database: {
+        getSortedPackages: () => packages,
+      },
+    };
+
+    const sso = await endpoint.logic(
+      { page: 1, sort: "downloads", direction: "desc", facets: true },
+      localContext
+    );
+
+    expect(sso.ok).toBe(true);
+    expect(sso.facets).toEqual(packages.facets);
+  });
+
+  test("Doesn't return facets otherwise", async () => {
+    const localContext = {
+      ...context,
+      database: {
+        getSortedPackages: () => packages,
+      },
+    };
+
+    const sso = await endpoint.logic(
+      { page: 1, sort: "downloads", direction: "desc", facets: false },
+      localContext
+    );
+
+    expect(sso.ok).toBe(true);
+    expect(sso.facets).toBe(null);
+  });
+
+  test("Links the next and previous pages by cursor", async () => {
+    const localContext = {
+      ...context,
+      database: {
+        getSortedPackages: () => {
+          return {
+            ok: true,
+            content: [],
+            pagination: {
+              limit: 30,
+              next: { value: "10", name: "one-dark-ui" },
+              prev: null,
+            },
+          };
+        },
+      },
+    };
+
+    const sso = await endpoint.logic(
+      {
+        page: 1,
+        sort: "downloads",
+        direction: "desc",
+        cursor: { value: null, name: null, before: false },
+      },
+      localContext
+    );
+
+    expect(sso.ok).toBe(true);
+    expect(sso.resultCount).toBe(null);
+    expect(sso.link).toContain(
+      'cursor=&sort=downloads&direction=desc>; rel="first"'
+    );
+    expect(sso.link).toContain(
+      `cursor=${context.utils.encodeCursor(
+        { value: "10", name: "one-dark-ui" },
+        false,
+        "downloads"
+      )}&sort=downloads&direction=desc>; rel="next"`
+    );
+    expect(sso.link).not.toContain('rel="prev"');
+  });
+
+  test("Returns bad_request for an invalid cursor", async () => {
+    const getSortedPackages = jest.fn();
+
+    const sso = await endpoint.logic(
+      { page: 1, sort: "downloads", direction: "desc", cursor: false },
+      { ...context, database: { getSortedPackages } }
+    );
+
+    expect(sso.ok).toBe(false);
+    expect(sso.short).toBe("bad_request");
+    expect(getSortedPackages).not.toHaveBeenCalled();
+  });
 });
@@ -27,6 +27,14 @@ describe("Parameters behave as expected", () => {
     const res = endpoint.params.sort(context, req);
     expect(res).toBe("downloads");
   });
+  test("Defaults 'sort' to relevance", () => {
+    const req = {
+      query: {},
+    };
+
+    const res = endpoint.params.sort(context, req);
+    expect(res).toBe("relevance");
+  });
   test("Returns valid 'page'", () => {
     const req = {
       query: { page: "1" },
@@ -52,3 +60,121 @@ describe("Parameters behave as expected", () => {
     expect(res).toBe("hello");
   });
 });
+
+describe("Functions as expected", () => {
+  test("Suggests similar themes when nothing matches", async () => {
+    let calledWith;
+    const localContext = {
+      ...context,
+      database: {
+        simpleSearch: () => {
+          return {
+            ok: true,
+            content: [],
+            pagination: { count: 0, page: 0, total: 0, limit: 30 },
+          };
+        },
+        getSearchSuggestions: (term, themes) => {
+          calledWith = { term, themes };
+          return { ok: true, content: ["atom-material-ui"] };
+        },
+      },
+    };
+
+    const sso = await endpoint.logic(
+      {
+        query: "atom-materal-ui",
+        page: 1,
+        sort: "relevance",
+        direction: "desc",
+      },
+      localContext
+    );
+
+    expect(sso.ok).toBe(true);
+    expect(sso.content).toEqual([]);
+    expect(sso.suggestions).toEqual(["atom-material-ui"]);
+    expect(calledWith).toEqual({ term: "atom-materal-ui", themes: true });
+  });
+
+  test("Returns the suggestions as JSON within the header", async () => {
+    const localContext = {
+      ...context,
+      database: {
+        simpleSearch: () => {
+          return {
+            ok: true,
+            content: [],
+            pagination: { count: 0, page: 0, total: 0, limit: 30 },
+          };
+        },
+        getSearchSuggestions: () => {
+          return { ok: true, content: ["atom-material-ui", "thème, sombre"] };
+        },
+      },
+    };
+
+    const sso = await endpoint.logic(
+      {
+        query: "atom-materal-ui",
+        page: 1,
+        sort: "relevance",
+        direction: "desc",
+      },
+      localContext
+    );
+
+    const headers = {};
+    const res = {
+      append: (name, value) => {
+        headers[name] = value;
+      },
+      status: () => {
+        return { json: () => {} };
+      },
+    };
+
+    sso.handleSuccess({}, res, { logger: { httpLog: () => {} } });
+
+    expect(headers["Query-Suggestions"]).toBe(
+      '["atom-material-ui","th\\u00e8me, sombre"]'
+    );
+
+    const suggestions = JSON.parse(headers["Query-Suggestions"]);
+    expect(suggestions).toMatchSchema(
+      require("../../models/querySuggestions.js").test
+    );
+    expect(suggestions).toEqual(["atom-material-ui", "thème, sombre"]);
+  });
+
+  test("Still returns the search if suggestions fail", async () => {
+    const localContext = {
+      ...context,
+      database: {
+        simpleSearch: () => {
+          return {
+            ok: true,
+            content: [],
+            pagination: { count: 0, page: 0, total: 0, limit: 30 },
+          };
+        },
+        getSearchSuggestions: () => {
+          return { ok: false, short: "server_error", content: "Error" };
+        },
+      },
+    };
+
+    const sso = await endpoint.logic(
+      {
+        query: "atom-materal-ui",
+        page: 1,
+        sort: "relevance",
+        direction: "desc",
+      },
+      localContext
+    );
+
+    expect(sso.ok).toBe(true);
+    expect(sso.suggestions).toEqual([]);
+  });
+});
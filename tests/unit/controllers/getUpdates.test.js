@@ -1,4 +1,26 @@
 const endpoint = require("../../../src/controllers/getUpdates.js");
+const context = require("../../../src/context.js");
+
+const localContext = (version, channel) => {
+  return {
+    ...context,
+    database: {
+      getLatestRelease: () => {
+        return {
+          ok: true,
+          content: {
+            version: version,
+            channel: channel,
+            platform: "linux",
+            url: `https://example.com/pulsar-${version}.tar.gz`,
+            notes: null,
+            pub_date: "2023-01-01T00:00:00.000Z",
+          },
+        };
+      },
+    },
+  };
+};
 
 describe("Has features expected", () => {
   test("Has correct endpoint features", () => {
@@ -18,10 +40,43 @@ describe("Has features expected", () => {
 });
 
 describe("Functions as expected", () => {
-  test("Returns correct SSO Object", async () => {
-    const sso = await endpoint.logic({}, require("../../../src/context.js"));
+  test("Returns bad_request for an invalid platform", async () => {
+    const sso = await endpoint.logic(
+      { platform: false, channel: "stable", version: "1.0.0" },
+      require("../../../src/context.js")
+    );
 
     expect(sso.ok).toBe(false);
-    expect(sso.short).toBe("not_supported");
+    expect(sso.short).toBe("bad_request");
+  });
+
+  test("Updates a beta to its stable release", async () => {
+    const sso = await endpoint.logic(
+      { platform: "linux", channel: "beta", version: "1.110.0-beta" },
+      localContext("1.110.0", "stable")
+    );
+
+    expect(sso.ok).toBe(true);
+    expect(sso.content.name).toBe("1.110.0");
+  });
+
+  test("Updates a beta to a later beta", async () => {
+    const sso = await endpoint.logic(
+      { platform: "linux", channel: "beta", version: "1.110.0-beta.1" },
+      localContext("1.110.0-beta.2", "beta")
+    );
+
+    expect(sso.ok).toBe(true);
+    expect(sso.content.name).toBe("1.110.0-beta.2");
+  });
+
+  test("Doesn't update to an earlier beta", async () => {
+    const sso = await endpoint.logic(
+      { platform: "linux", channel: "beta", version: "1.110.0-beta.10" },
+      localContext("1.110.0-beta.2", "beta")
+    );
+
+    expect(sso.ok).toBe(true);
+    expect(sso.content).toBe(false);
   });
 });
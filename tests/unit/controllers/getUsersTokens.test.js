@@ -0,0 +1,78 @@
+const endpoint = require("../../../src/controllers/getUsersTokens.js");
+const context = require("../../../src/context.js");
+const tokenObjectArray = require("../../models/tokenObjectArray.js");
+
+describe("Has features expected", () => {
+  test("Has correct endpoint features", () => {
+    const expected = {
+      method: "GET",
+      paths: ["/api/users/tokens"],
+      rateLimit: "auth",
+      successStatus: 200,
+    };
+
+    expect(endpoint.endpoint).toMatchObject(expected);
+  });
+
+  test("Has correct functions", () => {
+    expect(endpoint.logic).toBeTypeof("function");
+  });
+});
+
+describe("Functions as expected", () => {
+  test("Returns bad SSO on failed auth", async () => {
+    const localContext = {
+      ...context,
+      auth: {
+        verifyAuth: () => {
+          return { ok: false, short: "unauthorized", content: "Bad Auth" };
+        },
+      },
+    };
+
+    const sso = await endpoint.logic({ auth: "bad-token" }, localContext);
+
+    expect(sso.ok).toBe(false);
+    expect(sso.content.short).toBe("unauthorized");
+  });
+
+  test("Refuses to list tokens using a registry token", async () => {
+    const localContext = {
+      ...context,
+      auth: {
+        verifyAuth: () => {
+          return { ok: true, content: { id: 9, auth_type: "registry" } };
+        },
+      },
+    };
+
+    const sso = await endpoint.logic({ auth: "pulsar_token" }, localContext);
+
+    expect(sso.ok).toBe(false);
+    expect(sso.short).toBe("unauthorized");
+  });
+
+  test("Returns the tokens of the user", async () => {
+    let calledWith;
+    const localContext = {
+      ...context,
+      auth: {
+        verifyAuth: () => {
+          return { ok: true, content: { id: 9, auth_type: "github" } };
+        },
+      },
+      database: {
+        getUserTokens: (id) => {
+          calledWith = id;
+          return { ok: true, content: tokenObjectArray.example };
+        },
+      },
+    };
+
+    const sso = await endpoint.logic({ auth: "valid-token" }, localContext);
+
+    expect(calledWith).toBe(9);
+    expect(sso.ok).toBe(true);
+    expect(sso).toMatchEndpointSuccessObject(endpoint);
+  });
+});
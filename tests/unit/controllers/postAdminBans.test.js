@@ -0,0 +1,122 @@
+const endpoint = require("../../../src/controllers/postAdminBans.js");
+const context = require("../../../src/context.js");
+
+const adminAuth = {
+  verifyAuth: () => {
+    return {
+      ok: true,
+      content: { id: 1, role: "admin", auth_type: "github" },
+    };
+  },
+};
+
+describe("Has features expected", () => {
+  test("Has correct endpoint features", () => {
+    const expected = {
+      method: "POST",
+      paths: ["/api/admin/bans"],
+      rateLimit: "auth",
+      successStatus: 201,
+    };
+
+    expect(endpoint.endpoint).toMatchObject(expected);
+  });
+
+  test("Has correct functions", () => {
+    expect(endpoint.logic).toBeTypeof("function");
+  });
+});
+
+describe("Functions as expected", () => {
+  test("Requires the user to be an admin", async () => {
+    let calledWith;
+    const localContext = {
+      ...context,
+      auth: {
+        verifyAuth: (token, db, opts) => {
+          calledWith = opts;
+          return { ok: false, short: "unauthorized", content: "Not an admin" };
+        },
+      },
+    };
+
+    const sso = await endpoint.logic({ auth: "token" }, localContext);
+
+    expect(calledWith.admin).toBe(true);
+    expect(sso.ok).toBe(false);
+    expect(sso.content.short).toBe("unauthorized");
+  });
+
+  test("Refuses an invalid regex", async () => {
+    const localContext = { ...context, auth: adminAuth };
+
+    const sso = await endpoint.logic(
+      { auth: "token", pattern: "(", type: "regex", reason: "Spam" },
+      localContext
+    );
+
+    expect(sso.ok).toBe(false);
+    expect(sso.short).toBe("bad_request");
+  });
+
+  test("Refuses a ban that already exists", async () => {
+    const localContext = {
+      ...context,
+      auth: adminAuth,
+      storage: {
+        getBanList: () => {
+          return { ok: true, content: ["spam"] };
+        },
+      },
+    };
+
+    const sso = await endpoint.logic(
+      { auth: "token", pattern: "spam", type: "name", reason: "Spam" },
+      localContext
+    );
+
+    expect(sso.ok).toBe(false);
+    expect(sso.short).toBe("bad_request");
+  });
+
+  test("Writes the new ban to storage", async () => {
+    let written;
+    let recorded;
+    const localContext = {
+      ...context,
+      auth: adminAuth,
+      database: {
+        insertAdminAction: (action) => {
+          recorded = action;
+          return { ok: true, content: action };
+        },
+      },
+      storage: {
+        getBanList: () => {
+          return { ok: true, content: ["spam"] };
+        },
+        putBanList: (list) => {
+          written = list;
+          return { ok: true, content: list };
+        },
+      },
+    };
+
+    const sso = await endpoint.logic(
+      { auth: "token", pattern: "slot-*", type: "glob", reason: "Spam" },
+      localContext
+    );
+
+    expect(sso.ok).toBe(true);
+    expect(sso).toMatchEndpointSuccessObject(endpoint);
+    expect(written.length).toBe(2);
+    expect(written[0]).toBe("spam");
+    expect(written[1].pattern).toBe("slot-*");
+    expect(written[1].type).toBe("glob");
+    expect(written[1].reason).toBe("Spam");
+    expect(recorded.action).toBe("add_ban");
+    expect(recorded.userid).toBe(1);
+    expect(recorded.reason).toBe("Spam");
+    expect(recorded.details.ban.pattern).toBe("slot-*");
+  });
+});
@@ -0,0 +1,125 @@
+const endpoint = require("../../../src/controllers/postAdminFeaturedFeaturedTypePackageName.js");
+const context = require("../../../src/context.js");
+
+const localContext = (featured, onPut) => {
+  return {
+    ...context,
+    auth: {
+      verifyAuth: () => {
+        return {
+          ok: true,
+          content: { id: 1, role: "admin", auth_type: "github" },
+        };
+      },
+    },
+    database: {
+      getPackageByNameSimple: (name) => {
+        return name === "missing-package"
+          ? { ok: false, short: "not_found", content: "Not found" }
+          : { ok: true, content: { pointer: "1234" } };
+      },
+      insertAdminAction: (action) => {
+        return { ok: true, content: action };
+      },
+    },
+    storage: {
+      getFeaturedList: () => {
+        return { ok: true, content: featured };
+      },
+      putFeaturedList: (featuredType, list) => {
+        onPut(featuredType, list);
+        return { ok: true, content: list };
+      },
+    },
+  };
+};
+
+describe("Has features expected", () => {
+  test("Has correct endpoint features", () => {
+    const expected = {
+      method: "POST",
+      paths: ["/api/admin/featured/:featuredType/:packageName"],
+      rateLimit: "auth",
+      successStatus: 201,
+    };
+
+    expect(endpoint.endpoint).toMatchObject(expected);
+  });
+});
+
+describe("Functions as expected", () => {
+  test("Returns not_found for a package that doesn't exist", async () => {
+    const sso = await endpoint.logic(
+      {
+        auth: "token",
+        featuredType: "packages",
+        packageName: "missing-package",
+        position: null,
+        expires: null,
+      },
+      localContext([], () => {})
+    );
+
+    expect(sso.ok).toBe(false);
+    expect(sso.content.short).toBe("not_found");
+  });
+
+  test("Refuses an invalid expiry date", async () => {
+    const sso = await endpoint.logic(
+      {
+        auth: "token",
+        featuredType: "packages",
+        packageName: "language-css",
+        position: null,
+        expires: false,
+      },
+      localContext([], () => {})
+    );
+
+    expect(sso.ok).toBe(false);
+    expect(sso.short).toBe("bad_request");
+  });
+
+  test("Adds the package to the end of the list", async () => {
+    let written;
+    const sso = await endpoint.logic(
+      {
+        auth: "token",
+        featuredType: "themes",
+        packageName: "one-dark-ui",
+        position: null,
+        expires: "2024-01-01T00:00:00.000Z",
+      },
+      localContext(["atom-material-ui"], (featuredType, list) => {
+        written = { featuredType, list };
+      })
+    );
+
+    expect(sso.ok).toBe(true);
+    expect(sso).toMatchEndpointSuccessObject(endpoint);
+    expect(written.featuredType).toBe("themes");
+    expect(written.list).toEqual([
+      { name: "atom-material-ui", expires: null },
+      { name: "one-dark-ui", expires: "2024-01-01T00:00:00.000Z" },
+    ]);
+  });
+
+  test("Moves an already featured package to the new position", async () => {
+    let written;
+    const sso = await endpoint.logic(
+      {
+        auth: "token",
+        featuredType: "packages",
+        packageName: "language-css",
+        position: 0,
+        expires: null,
+      },
+      localContext(["atom-clock", "language-css"], (featuredType, list) => {
+        written = list;
+      })
+    );
+
+    expect(sso.ok).toBe(true);
+    expect(written.map((f) => f.name)).toEqual(["language-css", "atom-clock"]);
+  });
+});
@@ -0,0 +1,99 @@
+const endpoint = require("../../../src/controllers/postAdminPackagesPackageNameOwner.js");
+const context = require("../../../src/context.js");
+
+const localContext = (onUpdate) => {
+  return {
+    ...context,
+    auth: {
+      verifyAuth: () => {
+        return {
+          ok: true,
+          content: {
+            id: 1,
+            username: "confused-Techie",
+            role: "admin",
+            auth_type: "github",
+          },
+        };
+      },
+    },
+    database: {
+      updatePackageRepository: (name, repository, owner, admin) => {
+        onUpdate(name, repository, owner, admin);
+        return {
+          ok: true,
+          content: {
+            id: 2,
+            action: "transfer_ownership",
+            package: name,
+            reason: admin.reason,
+            details: { to: { owner: owner, repository: repository } },
+            created: "2023-09-04T00:58:36.755Z",
+          },
+        };
+      },
+    },
+  };
+};
+
+describe("Has features expected", () => {
+  test("Has correct endpoint features", () => {
+    const expected = {
+      method: "POST",
+      paths: ["/api/admin/packages/:packageName/owner"],
+      rateLimit: "auth",
+      successStatus: 200,
+    };
+
+    expect(endpoint.endpoint).toMatchObject(expected);
+  });
+
+  test("Has correct functions", () => {
+    expect(endpoint.logic).toBeTypeof("function");
+  });
+});
+
+describe("Functions as expected", () => {
+  test("Refuses an invalid repository", async () => {
+    const sso = await endpoint.logic(
+      {
+        auth: "token",
+        packageName: "language-gitlab",
+        repository: "",
+        service: false,
+        reason: "Test",
+      },
+      localContext(() => {})
+    );
+
+    expect(sso.ok).toBe(false);
+    expect(sso.short).toBe("bad_repo");
+  });
+
+  test("Points the package at the new repository", async () => {
+    let calledWith;
+    const sso = await endpoint.logic(
+      {
+        auth: "token",
+        packageName: "language-gitlab",
+        repository: "pulsar-edit/language-gitlab",
+        service: "lab",
+        reason: "The repository moved.",
+      },
+      localContext((name, repository, owner, admin) => {
+        calledWith = { name, repository, owner, admin };
+      })
+    );
+
+    expect(sso.ok).toBe(true);
+    expect(sso).toMatchEndpointSuccessObject(endpoint);
+    expect(sso.content.admin).toBe("confused-Techie");
+    expect(calledWith.name).toBe("language-gitlab");
+    expect(calledWith.owner).toBe("pulsar-edit");
+    expect(calledWith.repository).toEqual({
+      type: "lab",
+      url: "https://gitlab.com/pulsar-edit/language-gitlab",
+    });
+    expect(calledWith.admin.reason).toBe("The repository moved.");
+  });
+});
@@ -0,0 +1,116 @@
+const endpoint = require("../../../src/controllers/postAdminReleases.js");
+const context = require("../../../src/context.js");
+
+const localContext = (onInsert) => {
+  return {
+    ...context,
+    auth: {
+      verifyAuth: () => {
+        return {
+          ok: true,
+          content: { id: 1, role: "admin", auth_type: "github" },
+        };
+      },
+    },
+    database: {
+      insertRelease: (release, admin) => {
+        onInsert(release, admin);
+        return {
+          ok: true,
+          content: { ...release, pub_date: "2023-10-16T00:00:00.000Z" },
+        };
+      },
+    },
+  };
+};
+
+const params = {
+  auth: "token",
+  version: "1.110.0-beta.1",
+  platform: "linux",
+  channel: "beta",
+  url: "https://example.com/pulsar-1.110.0-beta.1.tar.gz",
+  notes: null,
+  reason: "Beta release.",
+};
+
+describe("Has features expected", () => {
+  test("Has correct endpoint features", () => {
+    const expected = {
+      method: "POST",
+      paths: ["/api/admin/releases"],
+      rateLimit: "auth",
+      successStatus: 201,
+    };
+
+    expect(endpoint.endpoint).toMatchObject(expected);
+  });
+
+  test("Has correct functions", () => {
+    expect(endpoint.logic).toBeTypeof("function");
+  });
+});
+
+describe("Functions as expected", () => {
+  test("Requires the user to be an admin", async () => {
+    let calledWith;
+    const sso = await endpoint.logic(params, {
+      ...context,
+      auth: {
+        verifyAuth: (token, db, opts) => {
+          calledWith = opts;
+          return { ok: false, short: "unauthorized", content: "Not an admin" };
+        },
+      },
+    });
+
+    expect(calledWith.admin).toBe(true);
+    expect(sso.ok).toBe(false);
+    expect(sso.content.short).toBe("unauthorized");
+  });
+
+  test("Refuses an invalid release", async () => {
+    let inserted = false;
+
+    for (const invalid of [
+      { version: false },
+      { platform: false },
+      { url: false },
+    ]) {
+      const sso = await endpoint.logic(
+        { ...params, ...invalid },
+        localContext(() => {
+          inserted = true;
+        })
+      );
+
+      expect(sso.ok).toBe(false);
+      expect(sso.short).toBe("bad_request");
+    }
+
+    expect(inserted).toBe(false);
+  });
+
+  test("Adds the release as the admin", async () => {
+    let insert;
+    const sso = await endpoint.logic(
+      params,
+      localContext((...args) => {
+        insert = args;
+      })
+    );
+
+    expect(sso.ok).toBe(true);
+    expect(sso.content.version).toBe("1.110.0-beta.1");
+    expect(insert).toEqual([
+      {
+        version: "1.110.0-beta.1",
+        channel: "beta",
+        platform: "linux",
+        url: "https://example.com/pulsar-1.110.0-beta.1.tar.gz",
+        notes: null,
+      },
+      { userid: 1, reason: "Beta release." },
+    ]);
+  });
+});
@@ -0,0 +1,123 @@
+const endpoint = require("../../../src/controllers/postAdminWebhooksDeliveriesDeliveryIdRedeliver.js");
+const context = require("../../../src/context.js");
+
+const deliveryId = "1b4e28ba-2fa1-4d3b-a3f5-ef19b5a7633b";
+
+const localContext = (onRedeliver) => {
+  return {
+    ...context,
+    auth: {
+      verifyAuth: () => {
+        return {
+          ok: true,
+          content: {
+            id: 1,
+            username: "confused-Techie",
+            role: "admin",
+            auth_type: "github",
+          },
+        };
+      },
+    },
+    database: {
+      redeliverWebhookDelivery: (id, admin) => {
+        onRedeliver(id, admin);
+
+        if (id !== deliveryId) {
+          return {
+            ok: false,
+            content: `Delivery ${id} not found.`,
+            short: "not_found",
+          };
+        }
+
+        return {
+          ok: true,
+          content: {
+            id: 3,
+            action: "redeliver_webhook",
+            package: null,
+            reason: admin.reason,
+            details: { delivery: id, event: "publish" },
+            created: "2023-09-04T00:58:36.755Z",
+          },
+        };
+      },
+    },
+  };
+};
+
+describe("Has features expected", () => {
+  test("Has correct endpoint features", () => {
+    const expected = {
+      method: "POST",
+      paths: ["/api/admin/webhooks/deliveries/:deliveryId/redeliver"],
+      rateLimit: "auth",
+      successStatus: 200,
+    };
+
+    expect(endpoint.endpoint).toMatchObject(expected);
+  });
+
+  test("Has correct functions", () => {
+    expect(endpoint.logic).toBeTypeof("function");
+    expect(endpoint.postReturnHTTP).toBeTypeof("function");
+  });
+});
+
+describe("Functions as expected", () => {
+  test("Returns not found for an invalid ID", async () => {
+    const onRedeliver = jest.fn();
+    const sso = await endpoint.logic(
+      { auth: "token", deliveryId: false, reason: false },
+      localContext(onRedeliver)
+    );
+
+    expect(sso.ok).toBe(false);
+    expect(sso.short).toBe("not_found");
+    expect(onRedeliver).not.toHaveBeenCalled();
+  });
+
+  test("Returns not found for a missing delivery", async () => {
+    const sso = await endpoint.logic(
+      {
+        auth: "token",
+        deliveryId: "00000000-0000-0000-0000-000000000000",
+        reason: false,
+      },
+      localContext(() => {})
+    );
+
+    expect(sso.ok).toBe(false);
+    expect(sso.content.short).toBe("not_found");
+  });
+
+  test("Redelivers without a reason", async () => {
+    let calledWith;
+    const sso = await endpoint.logic(
+      { auth: "token", deliveryId: deliveryId, reason: false },
+      localContext((id, admin) => {
+        calledWith = { id, admin };
+      })
+    );
+
+    expect(sso.ok).toBe(true);
+    expect(sso).toMatchEndpointSuccessObject(endpoint);
+    expect(sso.content.admin).toBe("confused-Techie");
+    expect(calledWith).toEqual({
+      id: deliveryId,
+      admin: { userid: 1, reason: null },
+    });
+  });
+
+  test("Attempts the queue once returned", async () => {
+    const processQueue = jest.fn();
+    const ctx = { ...context, webhook: { processQueue } };
+
+    await endpoint.postReturnHTTP({}, {}, ctx, { ok: false });
+    expect(processQueue).not.toHaveBeenCalled();
+
+    await endpoint.postReturnHTTP({}, {}, ctx, { ok: true });
+    expect(processQueue).toHaveBeenCalledTimes(1);
+  });
+});
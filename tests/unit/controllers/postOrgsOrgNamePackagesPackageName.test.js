@@ -0,0 +1,125 @@
+const endpoint = require("../../../src/controllers/postOrgsOrgNamePackagesPackageName.js");
+const context = require("../../../src/context.js");
+
+const localContext = (members, maintainers, onAssign) => {
+  return {
+    ...context,
+    auth: {
+      ...context.auth,
+      verifyAuth: () => {
+        return {
+          ok: true,
+          content: { id: 1, username: "confused-Techie", auth_type: "github" },
+        };
+      },
+    },
+    vcs: {
+      ownership: () => {
+        return { ok: true, content: "admin" };
+      },
+    },
+    database: {
+      getOrgMembers: () => {
+        return { ok: true, content: members };
+      },
+      getPackageByName: () => {
+        return {
+          ok: true,
+          content: {
+            name: "language-test",
+            data: {},
+            maintainers,
+            org_members: [],
+          },
+        };
+      },
+      insertPackageOrg: (name, org) => {
+        onAssign(name, org);
+        return { ok: true, content: { name } };
+      },
+    },
+  };
+};
+
+const params = {
+  auth: "token",
+  orgName: "pulsar-edit",
+  packageName: "language-test",
+};
+
+describe("Has features expected", () => {
+  test("Has correct endpoint features", () => {
+    const expected = {
+      method: "POST",
+      paths: ["/api/orgs/:orgName/packages/:packageName"],
+      rateLimit: "auth",
+      scope: "manage:orgs",
+      successStatus: 204,
+    };
+
+    expect(endpoint.endpoint).toMatchObject(expected);
+  });
+
+  test("Has correct functions", () => {
+    expect(endpoint.logic).toBeTypeof("function");
+  });
+});
+
+describe("Functions as expected", () => {
+  test("Assigns a package the user owns to their org", async () => {
+    let assign;
+    const sso = await endpoint.logic(
+      params,
+      localContext(
+        [{ username: "confused-Techie", role: "member" }],
+        [{ username: "confused-Techie", role: "owner" }],
+        (...args) => {
+          assign = args;
+        }
+      )
+    );
+
+    expect(sso.ok).toBe(true);
+    expect(sso.content).toBe(false);
+    expect(assign).toEqual(["language-test", "pulsar-edit"]);
+  });
+
+  test("Refuses a user that isn't a member of the org", async () => {
+    let assigned = false;
+    const sso = await endpoint.logic(
+      params,
+      localContext(
+        [{ username: "Digitalone1", role: "owner" }],
+        [{ username: "confused-Techie", role: "owner" }],
+        () => {
+          assigned = true;
+        }
+      )
+    );
+
+    expect(sso.ok).toBe(false);
+    expect(sso.short).toBe("unauthorized");
+    expect(assigned).toBe(false);
+  });
+
+  test("Refuses a user that doesn't own the package", async () => {
+    let assigned = false;
+    const sso = await endpoint.logic(
+      params,
+      localContext(
+        [{ username: "confused-Techie", role: "owner" }],
+        [
+          { username: "Digitalone1", role: "owner" },
+          { username: "confused-Techie", role: "maintainer" },
+        ],
+        () => {
+          assigned = true;
+        }
+      )
+    );
+
+    expect(sso.ok).toBe(false);
+    expect(sso.content.short).toBe("unauthorized");
+    expect(assigned).toBe(false);
+  });
+});
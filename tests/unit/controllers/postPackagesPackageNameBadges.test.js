@@ -0,0 +1,134 @@
+const endpoint = require("../../../src/controllers/postPackagesPackageNameBadges.js");
+const context = require("../../../src/context.js");
+
+const localContext = (onInsert) => {
+  return {
+    ...context,
+    auth: {
+      verifyAuth: () => {
+        return {
+          ok: true,
+          content: {
+            id: 1,
+            username: "confused-Techie",
+            role: "admin",
+            auth_type: "github",
+          },
+        };
+      },
+    },
+    database: {
+      insertPackageBadge: (name, badge, admin) => {
+        onInsert(name, badge, admin);
+        return {
+          ok: true,
+          content: {
+            id: 3,
+            action: "add_badge",
+            package: name,
+            reason: admin.reason,
+            details: { badge: badge },
+            created: "2023-09-04T00:58:36.755Z",
+          },
+        };
+      },
+    },
+  };
+};
+
+describe("Has features expected", () => {
+  test("Has correct endpoint features", () => {
+    const expected = {
+      method: "POST",
+      paths: ["/api/packages/:packageName/badges"],
+      rateLimit: "auth",
+      successStatus: 201,
+    };
+
+    expect(endpoint.endpoint).toMatchObject(expected);
+  });
+
+  test("Has correct functions", () => {
+    expect(endpoint.logic).toBeTypeof("function");
+  });
+});
+
+describe("Functions as expected", () => {
+  test("Refuses an invalid badge", async () => {
+    const sso = await endpoint.logic(
+      {
+        auth: "token",
+        packageName: "atom-material-ui",
+        type: false,
+        title: "Deprecated",
+        text: null,
+        link: null,
+        reason: "Test",
+      },
+      localContext(() => {})
+    );
+
+    expect(sso.ok).toBe(false);
+    expect(sso.short).toBe("bad_request");
+  });
+
+  test("Explains a package can't have the same badge twice", async () => {
+    const localContextDuplicate = {
+      ...localContext(() => {}),
+      database: {
+        insertPackageBadge: () => {
+          return {
+            ok: false,
+            short: "bad_request",
+            content:
+              "Package atom-material-ui already has the Deprecated badge.",
+          };
+        },
+      },
+    };
+
+    const sso = await endpoint.logic(
+      {
+        auth: "token",
+        packageName: "atom-material-ui",
+        type: "warn",
+        title: "Deprecated",
+        text: null,
+        link: null,
+        reason: "Test",
+      },
+      localContextDuplicate
+    );
+
+    expect(sso.ok).toBe(false);
+    expect(sso.content.short).toBe("bad_request");
+    expect(sso.message).toContain("already has");
+  });
+
+  test("Adds the badge without the optional fields", async () => {
+    let calledWith;
+    const sso = await endpoint.logic(
+      {
+        auth: "token",
+        packageName: "atom-material-ui",
+        type: "warn",
+        title: "Deprecated",
+        text: null,
+        link: null,
+        reason: "The package is no longer maintained.",
+      },
+      localContext((name, badge, admin) => {
+        calledWith = { name, badge, admin };
+      })
+    );
+
+    expect(sso.ok).toBe(true);
+    expect(sso).toMatchEndpointSuccessObject(endpoint);
+    expect(calledWith.name).toBe("atom-material-ui");
+    expect(calledWith.badge).toEqual({ type: "warn", title: "Deprecated" });
+    expect(calledWith.admin).toEqual({
+      userid: 1,
+      reason: "The package is no longer maintained.",
+    });
+  });
+});
@@ -0,0 +1,112 @@
+const endpoint = require("../../../src/controllers/postPackagesPackageNameDeprecate.js");
+const context = require("../../../src/context.js");
+
+const localContext = (onUpdate) => {
+  return {
+    ...context,
+    auth: {
+      verifyAuth: () => {
+        return {
+          ok: true,
+          content: {
+            id: 1,
+            username: "confused-Techie",
+            auth_type: "github",
+          },
+        };
+      },
+    },
+    vcs: {
+      ownership: () => {
+        return { ok: true, content: "admin" };
+      },
+    },
+    database: {
+      getPackageByName: () => {
+        return { ok: true, content: { data: {} } };
+      },
+      updatePackageDeprecation: (name, version, message) => {
+        onUpdate(name, version, message);
+        return { ok: true, content: { name: name } };
+      },
+    },
+  };
+};
+
+describe("Has features expected", () => {
+  test("Has correct endpoint features", () => {
+    const expected = {
+      method: "POST",
+      paths: [
+        "/api/packages/:packageName/deprecate",
+        "/api/themes/:packageName/deprecate",
+      ],
+      rateLimit: "auth",
+      scope: "publish:version",
+      successStatus: 204,
+    };
+
+    expect(endpoint.endpoint).toMatchObject(expected);
+  });
+
+  test("Has correct functions", () => {
+    expect(endpoint.logic).toBeTypeof("function");
+  });
+});
+
+describe("Functions as expected", () => {
+  test("Refuses an invalid message or version", async () => {
+    for (const params of [
+      { message: false, version: null },
+      { message: "Broken.", version: false },
+    ]) {
+      const sso = await endpoint.logic(
+        { auth: "token", packageName: "language-test", ...params },
+        localContext(() => {})
+      );
+
+      expect(sso.ok).toBe(false);
+      expect(sso.short).toBe("bad_request");
+    }
+  });
+
+  test("Deprecates a single version", async () => {
+    let update;
+    const sso = await endpoint.logic(
+      {
+        auth: "token",
+        packageName: "language-test",
+        message: "Broken, use 1.0.1 instead.",
+        version: "1.0.0",
+      },
+      localContext((...args) => {
+        update = args;
+      })
+    );
+
+    expect(sso.ok).toBe(true);
+    expect(update).toEqual([
+      "language-test",
+      "1.0.0",
+      "Broken, use 1.0.1 instead.",
+    ]);
+  });
+
+  test("Undoes the deprecation of the package with an empty message", async () => {
+    let update;
+    const sso = await endpoint.logic(
+      {
+        auth: "token",
+        packageName: "language-test",
+        message: "",
+        version: null,
+      },
+      localContext((...args) => {
+        update = args;
+      })
+    );
+
+    expect(sso.ok).toBe(true);
+    expect(update).toEqual(["language-test", null, null]);
+  });
+});
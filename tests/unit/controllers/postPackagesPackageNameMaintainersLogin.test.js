@@ -0,0 +1,116 @@
+const endpoint = require("../../../src/controllers/postPackagesPackageNameMaintainersLogin.js");
+const context = require("../../../src/context.js");
+
+const localContext = (maintainers, onInvite) => {
+  return {
+    ...context,
+    auth: {
+      ...context.auth,
+      verifyAuth: () => {
+        return {
+          ok: true,
+          content: { id: 1, username: "confused-Techie", auth_type: "github" },
+        };
+      },
+    },
+    vcs: {
+      ownership: () => {
+        return { ok: true, content: "admin" };
+      },
+    },
+    database: {
+      getPackageByName: () => {
+        return {
+          ok: true,
+          content: { name: "language-test", data: {}, maintainers },
+        };
+      },
+      getUserByName: (login) => {
+        return { ok: true, content: { id: 2, username: login } };
+      },
+      insertPackageMaintainer: (name, userid, invitedBy) => {
+        onInvite(name, userid, invitedBy);
+        return { ok: true, content: { role: "maintainer", accepted: false } };
+      },
+    },
+  };
+};
+
+const params = {
+  auth: "token",
+  packageName: "language-test",
+  login: "Digitalone1",
+};
+
+describe("Has features expected", () => {
+  test("Has correct endpoint features", () => {
+    const expected = {
+      method: "POST",
+      paths: [
+        "/api/packages/:packageName/maintainers/:login",
+        "/api/themes/:packageName/maintainers/:login",
+      ],
+      rateLimit: "auth",
+      scope: "manage:maintainers",
+      successStatus: 201,
+    };
+
+    expect(endpoint.endpoint).toMatchObject(expected);
+  });
+
+  test("Has correct functions", () => {
+    expect(endpoint.logic).toBeTypeof("function");
+  });
+});
+
+describe("Functions as expected", () => {
+  test("Invites the user", async () => {
+    let invite;
+    const sso = await endpoint.logic(
+      params,
+      localContext(
+        [{ username: "confused-Techie", role: "owner" }],
+        (...args) => {
+          invite = args;
+        }
+      )
+    );
+
+    expect(sso.ok).toBe(true);
+    expect(sso.content).toEqual({
+      username: "Digitalone1",
+      role: "maintainer",
+      accepted: false,
+    });
+    expect(invite).toEqual(["language-test", 2, 1]);
+  });
+
+  test("Lets a user with repository access invite until there's an owner", async () => {
+    const sso = await endpoint.logic(
+      params,
+      localContext([], () => {})
+    );
+
+    expect(sso.ok).toBe(true);
+  });
+
+  test("Refuses a maintainer that isn't the owner", async () => {
+    let invited = false;
+    const sso = await endpoint.logic(
+      params,
+      localContext(
+        [
+          { username: "Spiker985", role: "owner" },
+          { username: "confused-Techie", role: "maintainer" },
+        ],
+        () => {
+          invited = true;
+        }
+      )
+    );
+
+    expect(sso.ok).toBe(false);
+    expect(sso.content.short).toBe("unauthorized");
+    expect(invited).toBe(false);
+  });
+});
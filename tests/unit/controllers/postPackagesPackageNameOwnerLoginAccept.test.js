@@ -0,0 +1,78 @@
+const endpoint = require("../../../src/controllers/postPackagesPackageNameOwnerLoginAccept.js");
+const context = require("../../../src/context.js");
+
+const localContext = (onAccept) => {
+  return {
+    ...context,
+    auth: {
+      ...context.auth,
+      verifyAuth: () => {
+        return {
+          ok: true,
+          content: { id: 2, username: "Digitalone1", auth_type: "github" },
+        };
+      },
+    },
+    database: {
+      acceptPackageOwnership: (name, userid) => {
+        onAccept(name, userid);
+        return { ok: true, content: { role: "owner", accepted: true } };
+      },
+    },
+  };
+};
+
+describe("Has features expected", () => {
+  test("Has correct endpoint features", () => {
+    const expected = {
+      method: "POST",
+      paths: [
+        "/api/packages/:packageName/owner/:login/accept",
+        "/api/themes/:packageName/owner/:login/accept",
+      ],
+      rateLimit: "auth",
+      scope: "manage:maintainers",
+      successStatus: 200,
+    };
+
+    expect(endpoint.endpoint).toMatchObject(expected);
+  });
+
+  test("Has correct functions", () => {
+    expect(endpoint.logic).toBeTypeof("function");
+  });
+});
+
+describe("Functions as expected", () => {
+  test("Transfers the package to the user", async () => {
+    let accepted;
+    const sso = await endpoint.logic(
+      { auth: "token", packageName: "language-test", login: "Digitalone1" },
+      localContext((...args) => {
+        accepted = args;
+      })
+    );
+
+    expect(sso.ok).toBe(true);
+    expect(sso.content).toEqual({
+      username: "Digitalone1",
+      role: "owner",
+      accepted: true,
+    });
+    expect(accepted).toEqual(["language-test", 2]);
+  });
+
+  test("Refuses to accept on behalf of another user", async () => {
+    let accepted = false;
+    const sso = await endpoint.logic(
+      { auth: "token", packageName: "language-test", login: "Spiker985" },
+      localContext(() => {
+        accepted = true;
+      })
+    );
+
+    expect(sso.ok).toBe(false);
+    expect(sso.short).toBe("unauthorized");
+    expect(accepted).toBe(false);
+  });
+});
@@ -0,0 +1,121 @@
+const endpoint = require("../../../src/controllers/postPackagesPackageNamePublishHook.js");
+const context = require("../../../src/context.js");
+
+const localContext = (url) => {
+  return {
+    ...context,
+    auth: {
+      ...context.auth,
+      verifyAuth: () => {
+        return {
+          ok: true,
+          content: { id: 1, username: "confused-Techie", auth_type: "github" },
+        };
+      },
+      packageOwnership: () => {
+        return { ok: true, content: "admin" };
+      },
+    },
+    database: {
+      getPackageByName: () => {
+        return {
+          ok: true,
+          content: {
+            name: "language-test",
+            data: { repository: { type: "git", url: url } },
+          },
+        };
+      },
+      setPublishHook: () => {
+        return {
+          ok: true,
+          content: {
+            package: "language-test",
+            user: "confused-Techie",
+            last_delivery: null,
+          },
+        };
+      },
+    },
+  };
+};
+
+describe("Has features expected", () => {
+  test("Has correct endpoint features", () => {
+    const expected = {
+      method: "POST",
+      paths: [
+        "/api/packages/:packageName/publish-hook",
+        "/api/themes/:packageName/publish-hook",
+      ],
+      rateLimit: "auth",
+      scope: "manage:hooks",
+      successStatus: 201,
+    };
+
+    expect(endpoint.endpoint).toMatchObject(expected);
+  });
+
+  test("Has correct functions", () => {
+    expect(endpoint.logic).toBeTypeof("function");
+  });
+});
+
+describe("Functions as expected", () => {
+  test("Returns the secret of the hook", async () => {
+    const sso = await endpoint.logic(
+      { auth: "token", packageName: "language-test" },
+      localContext("https://github.com/pulsar-edit/language-test")
+    );
+
+    expect(sso.ok).toBe(true);
+    expect(sso.content.secret).toMatch(/^whsec_/);
+    expect(sso.content.url).toBe(
+      `${context.config.server_url}/api/packages/language-test/publish-hook/github`
+    );
+  });
+
+  test("Refuses a token that can only publish versions", async () => {
+    const token = context.auth.generateToken();
+    const setPublishHook = jest.fn();
+
+    const sso = await endpoint.logic(
+      { auth: token.token, packageName: "language-test" },
+      {
+        ...context,
+        database: {
+          getUserByTokenHash: () => {
+            return {
+              ok: true,
+              content: {
+                id: 1,
+                token_id: 2,
+                username: "confused-Techie",
+                token_scopes: ["publish:version"],
+                token_packages: null,
+              },
+            };
+          },
+          setPublishHook,
+        },
+      }
+    );
+
+    expect(sso.ok).toBe(false);
+    expect(sso.content.short).toBe("unauthorized");
+    expect(sso.content.content).toBe(
+      "The token does not grant the 'manage:hooks' scope for language-test."
+    );
+    expect(setPublishHook).not.toHaveBeenCalled();
+  });
+
+  test("Refuses a package not hosted on GitHub", async () => {
+    const sso = await endpoint.logic(
+      { auth: "token", packageName: "language-test" },
+      localContext("https://gitlab.com/pulsar-edit/language-test")
+    );
+
+    expect(sso.ok).toBe(false);
+    expect(sso.short).toBe("bad_request");
+  });
+});
@@ -0,0 +1,214 @@
+const endpoint = require("../../../src/controllers/postPackagesPackageNamePublishHookGithub.js");
+const context = require("../../../src/context.js");
+
+const secret = "whsec_publish";
+
+const delivery = (event, payload, key = secret) => {
+  const body = Buffer.from(JSON.stringify(payload));
+
+  return {
+    packageName: "language-test",
+    event: event,
+    signature: context.webhook.signPayload(body, key),
+    payload: body,
+  };
+};
+
+const release = (tag, fullName = "pulsar-edit/language-test") => {
+  return {
+    action: "published",
+    release: { tag_name: tag },
+    repository: { full_name: fullName },
+  };
+};
+
+const localContext = (repoVersion = "1.1.0") => {
+  return {
+    ...context,
+    auth: {
+      ...context.auth,
+      packageAccess: () => {
+        return { ok: true, content: "admin" };
+      },
+    },
+    vcs: {
+      ...context.vcs,
+      newVersionData: () => {
+        return {
+          ok: true,
+          content: {
+            name: "language-test",
+            metadata: {
+              name: "language-test",
+              version: repoVersion,
+              tarball_url: "https://codeload.github.com/tarball/v1.1.0",
+            },
+          },
+        };
+      },
+    },
+    database: {
+      getPublishHook: () => {
+        return {
+          ok: true,
+          content: {
+            package: "language-test",
+            userid: 1,
+            user: "confused-Techie",
+            secret: secret,
+          },
+        };
+      },
+      updatePublishHookDelivery: () => {
+        return { ok: true, content: { last_delivery: new Date() } };
+      },
+      getPackageByName: () => {
+        return {
+          ok: true,
+          content: {
+            name: "language-test",
+            data: {
+              repository: {
+                type: "git",
+                url: "https://github.com/pulsar-edit/language-test",
+              },
+            },
+            versions: [{ semver: "1.0.0" }],
+          },
+        };
+      },
+      getUserByID: () => {
+        return {
+          ok: true,
+          content: { id: 1, username: "confused-Techie" },
+        };
+      },
+      insertNewPackageVersion: () => {
+        return {
+          ok: true,
+          content: "Successfully added new version: language-test@1.1.0",
+        };
+      },
+    },
+  };
+};
+
+describe("Has features expected", () => {
+  test("Has correct endpoint features", () => {
+    const expected = {
+      method: "POST",
+      paths: [
+        "/api/packages/:packageName/publish-hook/github",
+        "/api/themes/:packageName/publish-hook/github",
+      ],
+      rateLimit: "generic",
+      successStatus: 200,
+      rawBody: true,
+    };
+
+    expect(endpoint.endpoint).toMatchObject(expected);
+  });
+
+  test("Has correct functions", () => {
+    expect(endpoint.logic).toBeTypeof("function");
+    expect(endpoint.postReturnHTTP).toBeTypeof("function");
+  });
+});
+
+describe("Functions as expected", () => {
+  test("Refuses a delivery signed with another secret", async () => {
+    const sso = await endpoint.logic(
+      delivery("release", release("v1.1.0"), "whsec_other"),
+      localContext()
+    );
+
+    expect(sso.ok).toBe(false);
+    expect(sso.short).toBe("unauthorized");
+  });
+
+  test("Acknowledges a ping", async () => {
+    const sso = await endpoint.logic(
+      delivery("ping", { zen: "Keep it logically awesome." }),
+      localContext()
+    );
+
+    expect(sso.ok).toBe(true);
+    expect(sso.content).toEqual({
+      published: false,
+      version: null,
+      message: "The publish hook is set up.",
+    });
+  });
+
+  test("Refuses a delivery from another repository", async () => {
+    const sso = await endpoint.logic(
+      delivery("release", release("v1.1.0", "someone-else/language-test")),
+      localContext()
+    );
+
+    expect(sso.ok).toBe(false);
+    expect(sso.short).toBe("bad_repo");
+  });
+
+  test("Skips a version that's already published", async () => {
+    const sso = await endpoint.logic(
+      delivery("push", {
+        ref: "refs/tags/v1.0.0",
+        created: true,
+        deleted: false,
+        repository: { full_name: "pulsar-edit/language-test" },
+      }),
+      localContext()
+    );
+
+    expect(sso.ok).toBe(true);
+    expect(sso.content.published).toBe(false);
+    expect(sso.content.version).toBe("1.0.0");
+    expect(sso.webhook).toBeUndefined();
+  });
+
+  test("Refuses a tag the package.json isn't for", async () => {
+    const sso = await endpoint.logic(
+      delivery("release", release("v1.1.0")),
+      localContext("1.0.0")
+    );
+
+    expect(sso.ok).toBe(false);
+    expect(sso.short).toBe("bad_repo");
+  });
+
+  test("Publishes the version of a release", async () => {
+    const sso = await endpoint.logic(
+      delivery("release", release("v1.1.0")),
+      localContext()
+    );
+
+    expect(sso.ok).toBe(true);
+    expect(sso.content.published).toBe(true);
+    expect(sso.content.version).toBe("1.1.0");
+    expect(sso.webhook.user.username).toBe("confused-Techie");
+    expect(sso.mirror).toEqual({
+      name: "language-test",
+      version: {
+        version: "1.1.0",
+        tarball: "https://codeload.github.com/tarball/v1.1.0",
+      },
+    });
+  });
+
+  test("Does nothing after the request unless a version was published", async () => {
+    const dispatchEvent = jest.fn();
+
+    await endpoint.postReturnHTTP(
+      {},
+      {},
+      { webhook: { dispatchEvent } },
+      {
+        ok: true,
+        content: { published: false },
+      }
+    );
+
+    expect(dispatchEvent).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,166 @@
+const endpoint = require("../../../src/controllers/postUsersTokens.js");
+const context = require("../../../src/context.js");
+
+const localContext = (authType, database) => {
+  return {
+    ...context,
+    auth: {
+      ...context.auth,
+      verifyAuth: () => {
+        return { ok: true, content: { id: 9, auth_type: authType } };
+      },
+    },
+    database: database ?? {},
+  };
+};
+
+describe("Has features expected", () => {
+  test("Has correct endpoint features", () => {
+    const expected = {
+      method: "POST",
+      paths: ["/api/users/tokens"],
+      rateLimit: "auth",
+      successStatus: 201,
+    };
+
+    expect(endpoint.endpoint).toMatchObject(expected);
+  });
+
+  test("Has correct functions", () => {
+    expect(endpoint.logic).toBeTypeof("function");
+  });
+});
+
+describe("Parameters function as expected", () => {
+  test("Returns the name of the token", () => {
+    const req = { query: { name: "github-actions" } };
+
+    expect(endpoint.params.name(context, req)).toBe("github-actions");
+  });
+
+  test("Returns false when missing", () => {
+    const req = { query: {} };
+
+    expect(endpoint.params.name(context, req)).toBe(false);
+  });
+});
+
+describe("Scope and package parameters function as expected", () => {
+  test("Returns every scope when missing", () => {
+    const req = { query: {} };
+
+    expect(endpoint.params.scopes(context, req)).toEqual(
+      context.auth.TOKEN_SCOPES
+    );
+  });
+
+  test("Returns the scopes provided", () => {
+    const req = { query: { scopes: "publish:version, star,star" } };
+
+    expect(endpoint.params.scopes(context, req)).toEqual([
+      "publish:version",
+      "star",
+    ]);
+  });
+
+  test("Returns false for an unknown scope", () => {
+    const req = { query: { scopes: "publish:version,admin" } };
+
+    expect(endpoint.params.scopes(context, req)).toBe(false);
+  });
+
+  test("Returns null packages when missing", () => {
+    const req = { query: {} };
+
+    expect(endpoint.params.packages(context, req)).toBeNull();
+  });
+
+  test("Returns the lower case packages provided", () => {
+    const req = { query: { packages: "Language-PowerShell,autocomplete-css" } };
+
+    expect(endpoint.params.packages(context, req)).toEqual([
+      "language-powershell",
+      "autocomplete-css",
+    ]);
+  });
+
+  test("Returns false for an invalid package name", () => {
+    const req = { query: { packages: "language-css,../secrets" } };
+
+    expect(endpoint.params.packages(context, req)).toBe(false);
+  });
+});
+
+describe("Functions as expected", () => {
+  test("Refuses to create a token using a registry token", async () => {
+    const sso = await endpoint.logic(
+      { auth: "pulsar_token", name: "test" },
+      localContext("registry")
+    );
+
+    expect(sso.ok).toBe(false);
+    expect(sso.short).toBe("unauthorized");
+  });
+
+  test("Refuses to create a token without a name", async () => {
+    const sso = await endpoint.logic(
+      { auth: "valid-token", name: false },
+      localContext("github")
+    );
+
+    expect(sso.ok).toBe(false);
+    expect(sso.short).toBe("bad_request");
+  });
+
+  test("Refuses to create a token with invalid scopes", async () => {
+    const sso = await endpoint.logic(
+      { auth: "valid-token", name: "test", scopes: false, packages: null },
+      localContext("github")
+    );
+
+    expect(sso.ok).toBe(false);
+    expect(sso.short).toBe("bad_request");
+  });
+
+  test("Stores only the hash of the new token", async () => {
+    let stored;
+    const sso = await endpoint.logic(
+      {
+        auth: "valid-token",
+        name: "test",
+        scopes: ["publish:version"],
+        packages: ["language-css"],
+      },
+      localContext("github", {
+        insertUserToken: (id, name, hash, scopes, packages) => {
+          stored = {
+            id: id,
+            name: name,
+            hash: hash,
+            scopes: scopes,
+            packages: packages,
+          };
+          return {
+            ok: true,
+            content: {
+              id: 1,
+              name: name,
+              scopes: scopes,
+              packages: packages,
+              created: "2023-09-16T00:58:36.755Z",
+              last_used: null,
+            },
+          };
+        },
+      })
+    );
+
+    expect(sso.ok).toBe(true);
+    expect(sso).toMatchEndpointSuccessObject(endpoint);
+    expect(stored.id).toBe(9);
+    expect(stored.name).toBe("test");
+    expect(stored.hash).toBe(context.auth.hashToken(sso.content.token));
+    expect(stored.scopes).toEqual(["publish:version"]);
+    expect(stored.packages).toEqual(["language-css"]);
+  });
+});
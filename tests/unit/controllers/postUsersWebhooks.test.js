@@ -0,0 +1,147 @@
+const endpoint = require("../../../src/controllers/postUsersWebhooks.js");
+const context = require("../../../src/context.js");
+
+const localContext = (role, onInsert) => {
+  return {
+    ...context,
+    auth: {
+      ...context.auth,
+      verifyAuth: () => {
+        return {
+          ok: true,
+          content: {
+            id: 1,
+            username: "confused-Techie",
+            role: role,
+            auth_type: "github",
+          },
+        };
+      },
+    },
+    webhook: {
+      ...context.webhook,
+      // Only example.com is resolved, as a public address
+      checkUrl: async (url) =>
+        new URL(url).hostname === "example.com"
+          ? { ok: true, content: url }
+          : context.webhook.checkUrl(url),
+    },
+    database: {
+      insertWebhook: (userId, webhook, secret) => {
+        onInsert(userId, webhook, secret);
+        return {
+          ok: true,
+          content: { id: 1, ...webhook, active: true },
+        };
+      },
+    },
+  };
+};
+
+const params = {
+  auth: "token",
+  url: "https://example.com/hook",
+  events: ["publish", "version"],
+  package: null,
+  owner: "pulsar-edit",
+};
+
+describe("Has features expected", () => {
+  test("Has correct endpoint features", () => {
+    const expected = {
+      method: "POST",
+      paths: ["/api/users/webhooks"],
+      rateLimit: "auth",
+      scope: "manage:webhooks",
+      successStatus: 201,
+    };
+
+    expect(endpoint.endpoint).toMatchObject(expected);
+  });
+
+  test("Has correct functions", () => {
+    expect(endpoint.logic).toBeTypeof("function");
+  });
+});
+
+describe("Functions as expected", () => {
+  test("Registers the webhook, returning its secret once", async () => {
+    let insert;
+    const sso = await endpoint.logic(
+      params,
+      localContext("user", (...args) => {
+        insert = args;
+      })
+    );
+
+    expect(sso.ok).toBe(true);
+    expect(sso.content.secret).toMatch(/^whsec_/);
+    expect(insert).toEqual([
+      1,
+      {
+        url: "https://example.com/hook",
+        events: ["publish", "version"],
+        package: null,
+        owner: "pulsar-edit",
+      },
+      sso.content.secret,
+    ]);
+  });
+
+  test("Requires a URL and events", async () => {
+    const noUrl = await endpoint.logic(
+      { ...params, url: null },
+      localContext("user", () => {})
+    );
+    expect(noUrl.ok).toBe(false);
+    expect(noUrl.short).toBe("bad_request");
+
+    const badEvents = await endpoint.logic(
+      { ...params, events: false },
+      localContext("user", () => {})
+    );
+    expect(badEvents.ok).toBe(false);
+    expect(badEvents.short).toBe("bad_request");
+  });
+
+  test("Only lets admins subscribe to every package", async () => {
+    const all = { ...params, owner: false };
+
+    const user = await endpoint.logic(
+      all,
+      localContext("user", () => {})
+    );
+    expect(user.ok).toBe(false);
+    expect(user.short).toBe("bad_request");
+
+    const admin = await endpoint.logic(
+      all,
+      localContext("admin", () => {})
+    );
+    expect(admin.ok).toBe(true);
+    expect(admin.content.owner).toBeNull();
+  });
+
+  test("Refuses a URL within our own network", async () => {
+    let inserted = false;
+
+    for (const url of [
+      "https://127.0.0.1/hook",
+      "https://169.254.169.254/latest/meta-data",
+      "https://[::1]/hook",
+      "https://metadata.google.internal/computeMetadata",
+    ]) {
+      const sso = await endpoint.logic(
+        { ...params, url: url },
+        localContext("user", () => {
+          inserted = true;
+        })
+      );
+
+      expect(sso.ok).toBe(false);
+      expect(sso.short).toBe("bad_request");
+    }
+
+    expect(inserted).toBe(false);
+  });
+});
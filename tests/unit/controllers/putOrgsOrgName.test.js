@@ -0,0 +1,124 @@
+const endpoint = require("../../../src/controllers/putOrgsOrgName.js");
+const context = require("../../../src/context.js");
+
+const org = {
+  name: "pulsar-edit",
+  description: "The Pulsar team.",
+  avatar: null,
+  members: 1,
+  packages: 0,
+};
+
+const localContext = (members, calls) => {
+  return {
+    ...context,
+    auth: {
+      ...context.auth,
+      verifyAuth: () => {
+        return {
+          ok: true,
+          content: { id: 1, username: "confused-Techie", auth_type: "github" },
+        };
+      },
+    },
+    database: {
+      getOrgMembers: () => {
+        return members === null
+          ? { ok: false, content: "Org not found.", short: "not_found" }
+          : { ok: true, content: members };
+      },
+      insertOrg: (name, userid, profile) => {
+        calls.push(["insertOrg", name, userid, profile]);
+        return { ok: true, content: org };
+      },
+      updateOrg: (name, profile) => {
+        calls.push(["updateOrg", name, profile]);
+        return { ok: true, content: org };
+      },
+    },
+  };
+};
+
+const params = {
+  auth: "token",
+  orgName: "pulsar-edit",
+  description: "The Pulsar team.",
+  avatar: null,
+};
+
+describe("Has features expected", () => {
+  test("Has correct endpoint features", () => {
+    const expected = {
+      method: "PUT",
+      paths: ["/api/orgs/:orgName"],
+      rateLimit: "auth",
+      scope: "manage:orgs",
+      successStatus: 200,
+    };
+
+    expect(endpoint.endpoint).toMatchObject(expected);
+  });
+
+  test("Has correct functions", () => {
+    expect(endpoint.logic).toBeTypeof("function");
+  });
+});
+
+describe("Functions as expected", () => {
+  test("Creates an org that doesn't exist", async () => {
+    const calls = [];
+    const sso = await endpoint.logic(params, localContext(null, calls));
+
+    expect(sso.ok).toBe(true);
+    expect(sso.content).toEqual(org);
+    expect(calls).toEqual([
+      [
+        "insertOrg",
+        "pulsar-edit",
+        1,
+        { description: "The Pulsar team.", avatar: null },
+      ],
+    ]);
+  });
+
+  test("Updates an org the user owns", async () => {
+    const calls = [];
+    const sso = await endpoint.logic(
+      params,
+      localContext([{ username: "confused-Techie", role: "owner" }], calls)
+    );
+
+    expect(sso.ok).toBe(true);
+    expect(calls.map((c) => c[0])).toEqual(["updateOrg"]);
+  });
+
+  test("Refuses a member that isn't an owner", async () => {
+    const calls = [];
+    const sso = await endpoint.logic(
+      params,
+      localContext(
+        [
+          { username: "Digitalone1", role: "owner" },
+          { username: "confused-Techie", role: "member" },
+        ],
+        calls
+      )
+    );
+
+    expect(sso.ok).toBe(false);
+    expect(sso.short).toBe("unauthorized");
+    expect(calls).toEqual([]);
+  });
+
+  test("Refuses an invalid avatar", async () => {
+    const calls = [];
+    const sso = await endpoint.logic(
+      { ...params, avatar: false },
+      localContext(null, calls)
+    );
+
+    expect(sso.ok).toBe(false);
+    expect(sso.short).toBe("bad_request");
+    expect(calls).toEqual([]);
+  });
+});
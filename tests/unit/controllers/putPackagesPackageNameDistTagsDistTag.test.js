@@ -0,0 +1,113 @@
+const endpoint = require("../../../src/controllers/putPackagesPackageNameDistTagsDistTag.js");
+const context = require("../../../src/context.js");
+
+const localContext = (onSet) => {
+  return {
+    ...context,
+    auth: {
+      verifyAuth: () => {
+        return {
+          ok: true,
+          content: {
+            id: 1,
+            username: "confused-Techie",
+            auth_type: "github",
+          },
+        };
+      },
+    },
+    vcs: {
+      ownership: () => {
+        return { ok: true, content: "admin" };
+      },
+    },
+    database: {
+      getPackageByName: () => {
+        return { ok: true, content: { data: {} } };
+      },
+      setPackageDistTag: (name, tag, version) => {
+        onSet(name, tag, version);
+        return { ok: true, content: { latest: "1.0.0", [tag]: version } };
+      },
+    },
+  };
+};
+
+describe("Has features expected", () => {
+  test("Has correct endpoint features", () => {
+    const expected = {
+      method: "PUT",
+      paths: [
+        "/api/packages/:packageName/dist-tags/:distTag",
+        "/api/themes/:packageName/dist-tags/:distTag",
+      ],
+      rateLimit: "auth",
+      scope: "publish:version",
+      successStatus: 200,
+    };
+
+    expect(endpoint.endpoint).toMatchObject(expected);
+  });
+
+  test("Has correct functions", () => {
+    expect(endpoint.logic).toBeTypeof("function");
+  });
+});
+
+describe("Functions as expected", () => {
+  test("Refuses an invalid dist-tag or version", async () => {
+    for (const params of [
+      { distTag: false, version: "1.1.0-beta.1" },
+      { distTag: "beta", version: false },
+    ]) {
+      const sso = await endpoint.logic(
+        { auth: "token", packageName: "language-test", ...params },
+        localContext(() => {})
+      );
+
+      expect(sso.ok).toBe(false);
+      expect(sso.short).toBe("bad_request");
+    }
+  });
+
+  test("Refuses a user that doesn't own the package", async () => {
+    const ctx = localContext(() => {});
+    ctx.vcs = {
+      ownership: () => {
+        return { ok: false, short: "unauthorized", content: "No Access" };
+      },
+    };
+
+    const sso = await endpoint.logic(
+      {
+        auth: "token",
+        packageName: "language-test",
+        distTag: "beta",
+        version: "1.1.0-beta.1",
+      },
+      ctx
+    );
+
+    expect(sso.ok).toBe(false);
+    expect(sso.calls["vcs.ownership"]).toBeDefined();
+  });
+
+  test("Returns the dist-tags once set", async () => {
+    let set;
+    const sso = await endpoint.logic(
+      {
+        auth: "token",
+        packageName: "language-test",
+        distTag: "beta",
+        version: "1.1.0-beta.1",
+      },
+      localContext((...args) => {
+        set = args;
+      })
+    );
+
+    expect(sso.ok).toBe(true);
+    expect(set).toEqual(["language-test", "beta", "1.1.0-beta.1"]);
+    expect(sso.content).toEqual({ latest: "1.0.0", beta: "1.1.0-beta.1" });
+  });
+});
@@ -0,0 +1,88 @@
+const endpoint = require("../../../src/controllers/putPackagesPackageNameMaintainerPolicy.js");
+const context = require("../../../src/context.js");
+
+const localContext = (maintainers) => {
+  return {
+    ...context,
+    auth: {
+      ...context.auth,
+      verifyAuth: () => {
+        return {
+          ok: true,
+          content: { id: 1, username: "confused-Techie", auth_type: "github" },
+        };
+      },
+    },
+    vcs: {
+      ownership: () => {
+        return { ok: true, content: "admin" };
+      },
+    },
+    database: {
+      getPackageByName: () => {
+        return {
+          ok: true,
+          content: { name: "language-test", data: {}, maintainers },
+        };
+      },
+      updatePackageMaintainerPolicy: (name, policy) => {
+        return { ok: true, content: { policy: policy } };
+      },
+    },
+  };
+};
+
+const owner = [{ username: "confused-Techie", role: "owner" }];
+
+describe("Has features expected", () => {
+  test("Has correct endpoint features", () => {
+    const expected = {
+      method: "PUT",
+      paths: [
+        "/api/packages/:packageName/maintainer-policy",
+        "/api/themes/:packageName/maintainer-policy",
+      ],
+      rateLimit: "auth",
+      scope: "manage:maintainers",
+      successStatus: 200,
+    };
+
+    expect(endpoint.endpoint).toMatchObject(expected);
+  });
+
+  test("Has correct functions", () => {
+    expect(endpoint.logic).toBeTypeof("function");
+  });
+});
+
+describe("Functions as expected", () => {
+  test("Refuses an invalid policy", async () => {
+    const sso = await endpoint.logic(
+      { auth: "token", packageName: "language-test", policy: false },
+      localContext(owner)
+    );
+
+    expect(sso.ok).toBe(false);
+    expect(sso.short).toBe("bad_request");
+  });
+
+  test("Sets the policy", async () => {
+    const sso = await endpoint.logic(
+      { auth: "token", packageName: "language-test", policy: "registry" },
+      localContext(owner)
+    );
+
+    expect(sso.ok).toBe(true);
+    expect(sso.content).toEqual({ policy: "registry" });
+  });
+
+  test("Only allows maintainers once the package has an owner", async () => {
+    const sso = await endpoint.logic(
+      { auth: "token", packageName: "language-test", policy: "registry" },
+      localContext([])
+    );
+
+    expect(sso.ok).toBe(false);
+    expect(sso.short).toBe("bad_request");
+  });
+});
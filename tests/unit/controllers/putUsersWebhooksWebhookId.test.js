@@ -0,0 +1,102 @@
+const endpoint = require("../../../src/controllers/putUsersWebhooksWebhookId.js");
+const context = require("../../../src/context.js");
+
+const localContext = (onUpdate) => {
+  return {
+    ...context,
+    auth: {
+      ...context.auth,
+      verifyAuth: () => {
+        return {
+          ok: true,
+          content: { id: 1, username: "confused-Techie", auth_type: "github" },
+        };
+      },
+    },
+    database: {
+      updateUserWebhook: (userId, webhookId, changes) => {
+        onUpdate(userId, webhookId, changes);
+        return webhookId === 1
+          ? { ok: true, content: { id: 1, active: false } }
+          : { ok: false, content: "Webhook not found.", short: "not_found" };
+      },
+    },
+  };
+};
+
+describe("Has features expected", () => {
+  test("Has correct endpoint features", () => {
+    const expected = {
+      method: "PUT",
+      paths: ["/api/users/webhooks/:webhookId"],
+      rateLimit: "auth",
+      scope: "manage:webhooks",
+      successStatus: 200,
+    };
+
+    expect(endpoint.endpoint).toMatchObject(expected);
+  });
+
+  test("Has correct functions", () => {
+    expect(endpoint.logic).toBeTypeof("function");
+  });
+});
+
+describe("Functions as expected", () => {
+  test("Leaves what isn't given unchanged", async () => {
+    let update;
+    const sso = await endpoint.logic(
+      { auth: "token", webhookId: 1, url: null, events: null, active: false },
+      localContext((...args) => {
+        update = args;
+      })
+    );
+
+    expect(sso.ok).toBe(true);
+    expect(update).toEqual([1, 1, { url: null, events: null, active: false }]);
+  });
+
+  test("Returns not found for a webhook of another user", async () => {
+    const sso = await endpoint.logic(
+      { auth: "token", webhookId: 2, url: null, events: null, active: null },
+      localContext(() => {})
+    );
+
+    expect(sso.ok).toBe(false);
+    expect(sso.content.short).toBe("not_found");
+  });
+
+  test("Refuses invalid events", async () => {
+    let updated = false;
+    const sso = await endpoint.logic(
+      { auth: "token", webhookId: 1, url: null, events: false, active: null },
+      localContext(() => {
+        updated = true;
+      })
+    );
+
+    expect(sso.ok).toBe(false);
+    expect(sso.short).toBe("bad_request");
+    expect(updated).toBe(false);
+  });
+
+  test("Refuses a URL within our own network", async () => {
+    let updated = false;
+    const sso = await endpoint.logic(
+      {
+        auth: "token",
+        webhookId: 1,
+        url: "https://10.0.0.1/hook",
+        events: null,
+        active: null,
+      },
+      localContext(() => {
+        updated = true;
+      })
+    );
+
+    expect(sso.ok).toBe(false);
+    expect(sso.short).toBe("bad_request");
+    expect(updated).toBe(false);
+  });
+});
@@ -1,4 +1,5 @@
 const endpoints = require("../../src/controllers/endpoints.js");
+const { TOKEN_SCOPES } = require("../../src/auth.js");
 
 describe("All endpoints are valid", () => {
   test("Have expected objects", () => {
@@ -24,13 +25,21 @@ describe("All endpoints are valid", () => {
       const endpoint = node.endpoint;
 
       expect(endpoint.method).toBeTypeof("string");
-      expect(endpoint.method).toBeIncludedBy(["GET", "POST", "DELETE"]);
+      expect(endpoint.method).toBeIncludedBy(["GET", "POST", "PUT", "DELETE"]);
       expect(endpoint.paths).toBeArray();
       expect(endpoint.rateLimit).toBeTypeof("string");
       expect(endpoint.rateLimit).toBeIncludedBy(["generic", "auth"]);
       expect(endpoint.successStatus).toBeTypeof("number");
       expect(endpoint.options).toBeDefined();
 
+      if (endpoint.scope) {
+        expect(endpoint.scope).toBeIncludedBy(TOKEN_SCOPES);
+      }
+
+      if (endpoint.rawBody) {
+        expect(endpoint.rawBody).toBeTypeof("boolean");
+      }
+
       if (endpoint.endpointKind) {
         expect(endpoint.endpointKind).toBeTypeof("string");
         expect(endpoint.endpointKind).toBeIncludedBy(["raw", "default"]);
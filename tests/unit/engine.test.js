@@ -0,0 +1,57 @@
+const engine = require("../../src/engine.js");
+
+describe("parseRange", () => {
+  const cases = [
+    [">=1.0.0", [{ min: [1, 0, 0], max: null }]],
+    [">1.0.0", [{ min: [1, 0, 1], max: null }]],
+    ["<=1.2.3", [{ min: null, max: [1, 2, 4] }]],
+    ["^1.2", [{ min: [1, 2, 0], max: [2, 0, 0] }]],
+    ["^0.2.3", [{ min: [0, 2, 3], max: [0, 3, 0] }]],
+    ["~1.2.3", [{ min: [1, 2, 3], max: [1, 3, 0] }]],
+    ["1.x", [{ min: [1, 0, 0], max: [2, 0, 0] }]],
+    ["1.2.3 - 1.4", [{ min: [1, 2, 3], max: [1, 5, 0] }]],
+    ["=1.2.3", [{ min: [1, 2, 3], max: [1, 2, 4] }]],
+    [">1.0.0-beta", [{ min: [1, 0, 0], max: null }]],
+    [
+      "<1.0.0 || >=2.0.0",
+      [
+        { min: null, max: [1, 0, 0] },
+        { min: [2, 0, 0], max: null },
+      ],
+    ],
+    ["*", [{ min: null, max: null }]],
+    [">2.0.0 <1.0.0", []],
+    ["not a range", []],
+  ];
+
+  test.each(cases)("Given %p Returns %p", (range, result) => {
+    expect(engine.parseRange(range)).toEqual(result);
+  });
+});
+
+describe("engineRanges", () => {
+  test("Is compatible with every version without an atom engine", () => {
+    expect(engine.engineRanges({ node: ">=14" })).toEqual([
+      { min: null, max: null },
+    ]);
+    expect(engine.engineRanges(undefined)).toEqual([{ min: null, max: null }]);
+  });
+
+  test("Isn't compatible with any version given an invalid engine", () => {
+    expect(engine.engineRanges({ atom: 1 })).toEqual([]);
+  });
+});
+
+describe("satisfies", () => {
+  const ranges = engine.parseRange("^1.100.0 || 2.x");
+
+  test("Returns true within any interval", () => {
+    expect(engine.satisfies([1, 105, 0], ranges)).toBe(true);
+    expect(engine.satisfies([2, 3, 4], ranges)).toBe(true);
+  });
+
+  test("Returns false outside of every interval", () => {
+    expect(engine.satisfies([1, 99, 9], ranges)).toBe(false);
+    expect(engine.satisfies([3, 0, 0], ranges)).toBe(false);
+  });
+});
@@ -0,0 +1,162 @@
+const health = require("../../src/health.js");
+const database = require("../../src/database.js");
+const vcs = require("../../src/vcs.js");
+
+const pack = {
+  pointer: "00000000-0000-0000-0000-000000000000",
+  name: "health-test",
+  semver: "1.0.0",
+  meta: {},
+  data: {
+    name: "health-test",
+    readme: "This file is a readme",
+    repository: {
+      type: "git",
+      url: "https://github.com/pulsar-edit/health-test",
+    },
+    metadata: { name: "health-test", version: "1.0.0" },
+  },
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("packageMetadata", () => {
+  test("Passes valid package data", () => {
+    expect(health.packageMetadata(pack).passed).toBe(true);
+  });
+
+  test("Fails package data without a repository", () => {
+    const res = health.packageMetadata({
+      ...pack,
+      data: { ...pack.data, repository: null },
+    });
+    expect(res.passed).toBe(false);
+  });
+});
+
+describe("versionTagExists", () => {
+  test("Fails a version without a tarball", async () => {
+    const res = await health.versionTagExists(pack);
+    expect(res.passed).toBe(false);
+    expect(res.message).toBe("Version 1.0.0 has no tarball.");
+  });
+
+  test("Can't check a tarball on a host that isn't a VCS service", async () => {
+    const res = await health.versionTagExists({
+      ...pack,
+      meta: { tarball_url: "https://example.com/pack.tgz" },
+    });
+    expect(res.passed).toBe(null);
+  });
+});
+
+describe("latestVersionIsAssigned", () => {
+  test("Passes when no newer version is tagged", async () => {
+    jest.spyOn(vcs, "tags").mockResolvedValue({
+      ok: true,
+      content: [{ name: "v1.0.0" }, { name: "v0.9.0" }, { name: "nightly" }],
+    });
+
+    const res = await health.latestVersionIsAssigned(
+      pack,
+      "pulsar-edit/health-test",
+      "git"
+    );
+    expect(res.passed).toBe(true);
+  });
+
+  test("Fails when a newer version is tagged", async () => {
+    jest.spyOn(vcs, "tags").mockResolvedValue({
+      ok: true,
+      content: [{ name: "v1.0.0" }, { name: "v1.1.0" }],
+    });
+
+    const res = await health.latestVersionIsAssigned(
+      pack,
+      "pulsar-edit/health-test",
+      "git"
+    );
+    expect(res.passed).toBe(false);
+    expect(res.message).toBe(
+      "1.1.0 is tagged on the repository, while 1.0.0 is the latest version published."
+    );
+  });
+
+  test("Passes when only a newer prerelease is tagged", async () => {
+    jest.spyOn(vcs, "tags").mockResolvedValue({
+      ok: true,
+      content: [{ name: "v1.1.0-beta.1" }, { name: "v1.0.0" }],
+    });
+
+    const res = await health.latestVersionIsAssigned(
+      pack,
+      "pulsar-edit/health-test",
+      "git"
+    );
+    expect(res.passed).toBe(true);
+  });
+
+  test("Can't check a repo whose tags aren't available", async () => {
+    jest
+      .spyOn(vcs, "tags")
+      .mockResolvedValue({ ok: false, short: "Server Error" });
+
+    const res = await health.latestVersionIsAssigned(
+      pack,
+      "pulsar-edit/health-test",
+      "git"
+    );
+    expect(res.passed).toBe(null);
+  });
+});
+
+describe("repoArchived", () => {
+  test("Fails an archived repo", async () => {
+    jest.spyOn(vcs, "archived").mockResolvedValue({ ok: true, content: true });
+
+    const res = await health.repoArchived("pulsar-edit/health-test", "git");
+    expect(res.passed).toBe(false);
+  });
+});
+
+describe("checkBadges", () => {
+  test("Adds the badges of failing checks, and removes those of passing checks", () => {
+    const badges = health.checkBadges({
+      packageMetadata: { passed: false },
+      versionTagExists: { passed: false },
+      latestVersionIsAssigned: { passed: true },
+      repoArchived: { passed: null },
+    });
+
+    expect(badges.add).toEqual([health.CHECK_BADGES.versionTagExists]);
+    expect(badges.remove).toEqual(["Outdated"]);
+  });
+});
+
+describe("runHealthChecks", () => {
+  test("Records the health of each package in the batch", async () => {
+    jest
+      .spyOn(database, "getPackagesForHealthCheck")
+      .mockResolvedValue({ ok: true, content: [pack] });
+    jest.spyOn(vcs, "tags").mockResolvedValue({ ok: true, content: [] });
+    jest.spyOn(vcs, "archived").mockResolvedValue({ ok: true, content: true });
+    const insert = jest
+      .spyOn(database, "insertPackageHealth")
+      .mockResolvedValue({ ok: true, content: {} });
+
+    const res = await health.runHealthChecks(5);
+
+    expect(res.ok).toBe(true);
+    expect(res.content).toBe(1);
+    expect(database.getPackagesForHealthCheck).toHaveBeenCalledWith(5);
+
+    const [name, checks, badges] = insert.mock.calls[0];
+    expect(name).toBe("health-test");
+    expect(checks.repoArchived.passed).toBe(false);
+    expect(checks.versionTagExists.passed).toBe(false);
+    expect(badges.add.map((b) => b.title)).toEqual(["Broken", "Archived"]);
+    expect(badges.remove).toEqual(["Outdated"]);
+  });
+});
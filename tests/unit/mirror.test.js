@@ -0,0 +1,35 @@
+const mirror = require("../../src/mirror.js");
+
+describe("integrity", () => {
+  test("Returns the SHA-512 Subresource Integrity of the data", () => {
+    expect(mirror.integrity(Buffer.from("hello"))).toBe(
+      "sha512-m3HSJL1i83hdltRq0+o9czGb+8KJDKra4t/3JRlnPKcjI8PZm6XBHXx6zG4UuMXaDEZjR1wuXDre9G9zvN7AQw=="
+    );
+  });
+});
+
+describe("fetchTarball", () => {
+  test("Refuses an invalid URL", async () => {
+    const res = await mirror.fetchTarball("not a url");
+    expect(res.ok).toBe(false);
+    expect(res.short).toBe("Bad Repo");
+  });
+
+  test("Refuses a host that isn't a VCS service", async () => {
+    const res = await mirror.fetchTarball("https://example.com/pack.tgz");
+    expect(res.ok).toBe(false);
+    expect(res.short).toBe("Bad Repo");
+    expect(res.content).toBe("Tarballs can't be downloaded from: example.com");
+  });
+});
+
+describe("mirrorPackageVersion", () => {
+  test("Doesn't store a tarball that failed to download", async () => {
+    const res = await mirror.mirrorPackageVersion(
+      "mirror-test",
+      "1.0.0",
+      "https://example.com/pack.tgz"
+    );
+    expect(res.ok).toBe(false);
+  });
+});
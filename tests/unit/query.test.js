@@ -102,10 +102,49 @@ describe("Verify Auth Query Returns", () => {
   });
 });
 
+describe("Verify GitHub Webhook Header Returns", () => {
+  const headers = (values) => {
+    return { get: (name) => values[name] };
+  };
+  const signature = `sha256=${"a1".repeat(32)}`;
+
+  test.each([
+    [{ "X-Hub-Signature-256": signature }, signature],
+    [{ "X-Hub-Signature-256": "sha1=a1b2" }, false],
+    [{}, false],
+  ])("hubSignature given %o Returns %p", (arg, result) => {
+    expect(query.hubSignature(headers(arg))).toBe(result);
+  });
+
+  test.each([
+    [{ "X-GitHub-Event": "release" }, "release"],
+    [{ "X-GitHub-Event": "Release!" }, ""],
+    [{}, ""],
+  ])("hubEvent given %o Returns %p", (arg, result) => {
+    expect(query.hubEvent(headers(arg))).toBe(result);
+  });
+
+  test("hookPayload Returns the raw body", () => {
+    const body = Buffer.from('{"zen":"Keep it simple."}');
+
+    expect(query.hookPayload({ body: body })).toBe(body);
+    expect(query.hookPayload({ body: {} })).toEqual(Buffer.alloc(0));
+  });
+});
+
 const repoCases = [
   [{ query: { repository: "owner/repo" } }, "owner/repo"],
   [{ query: {} }, ""],
   [{ query: { repository: "InvalidRepo" } }, ""],
+  [
+    { query: { repository: "https://gitlab.com/group/subgroup/repo" } },
+    "https://gitlab.com/group/subgroup/repo",
+  ],
+  [
+    { query: { repository: "git@codeberg.org:owner/repo.git" } },
+    "git@codeberg.org:owner/repo.git",
+  ],
+  [{ query: { repository: "https://gitlab.com/../repo" } }, ""],
 ];
 
 describe("Verify Repo Query Returns", () => {
@@ -178,6 +217,292 @@ describe("Verify fileExtension Returns", () => {
   });
 });
 
+const facetsCases = [
+  [{ query: { facets: "true" } }, true],
+  [{ query: { facets: "TRUE" } }, true],
+  [{ query: { facets: "false" } }, false],
+  [{ query: { facets: "yes" } }, false],
+  [{ query: {} }, false],
+];
+
+describe("Verify facets Returns", () => {
+  test.each(facetsCases)("Given %o Returns %p", (arg, result) => {
+    expect(query.facets(arg)).toBe(result);
+  });
+});
+
+const distTagCases = [
+  [{ params: { distTag: "beta" } }, "beta"],
+  [{ params: { distTag: "next-2.x" } }, "next-2.x"],
+  [{ params: { distTag: "latest" } }, false],
+  [{ params: { distTag: "1.0.0" } }, false],
+  [{ params: { distTag: "Beta" } }, false],
+  [{ params: {} }, false],
+];
+
+describe("Verify distTag Returns", () => {
+  test.each(distTagCases)("Given %o Returns %p", (arg, result) => {
+    expect(query.distTag(arg)).toBe(result);
+  });
+});
+
+const versionNameCases = [
+  [{ params: { versionName: "1.0.0" } }, "1.0.0"],
+  [{ params: { versionName: "1.1.0-beta.1" } }, "1.1.0-beta.1"],
+  [{ params: { versionName: "latest" } }, "latest"],
+  [{ params: { versionName: "beta" } }, "beta"],
+  [{ params: { versionName: "../beta" } }, false],
+  [{ params: {} }, false],
+];
+
+describe("Verify versionName Returns", () => {
+  test.each(versionNameCases)("Given %o Returns %p", (arg, result) => {
+    expect(query.versionName(arg)).toBe(result);
+  });
+});
+
+const deprecationMessageCases = [
+  [{ query: { message: " Use language-cpp. " } }, "Use language-cpp."],
+  [{ query: { message: "" } }, ""],
+  [{ query: { message: "a".repeat(1025) } }, false],
+  [{ query: {} }, false],
+];
+
+describe("Verify deprecationMessage Returns", () => {
+  test.each(deprecationMessageCases)("Given %o Returns %p", (arg, result) => {
+    expect(query.deprecationMessage(arg)).toBe(result);
+  });
+});
+
+const deprecatedVersionCases = [
+  [{ query: { version: "1.0.0" } }, "1.0.0"],
+  [{ query: { version: "1.1.0-beta.1" } }, "1.1.0-beta.1"],
+  [{ query: { version: "beta" } }, false],
+  [{ query: { version: ["1.0.0"] } }, false],
+  [{ query: {} }, null],
+];
+
+describe("Verify deprecatedVersion Returns", () => {
+  test.each(deprecatedVersionCases)("Given %o Returns %p", (arg, result) => {
+    expect(query.deprecatedVersion(arg)).toBe(result);
+  });
+});
+
+const maintainerPolicyCases = [
+  [{ query: { policy: "registry" } }, "registry"],
+  [{ query: { policy: "either" } }, "either"],
+  [{ query: { policy: "github" } }, false],
+  [{ query: {} }, false],
+];
+
+describe("Verify maintainerPolicy Returns", () => {
+  test.each(maintainerPolicyCases)("Given %o Returns %p", (arg, result) => {
+    expect(query.maintainerPolicy(arg)).toBe(result);
+  });
+});
+
+const orgNameCases = [
+  [{ params: { orgName: "pulsar-edit" } }, "pulsar-edit"],
+  [{ params: { orgName: "Pulsar-Edit" } }, "pulsar-edit"],
+  [{ params: { orgName: "-pulsar" } }, false],
+  [{ params: { orgName: "pulsar_edit" } }, false],
+  [{ params: {} }, false],
+];
+
+describe("Verify orgName Returns", () => {
+  test.each(orgNameCases)("Given %o Returns %p", (arg, result) => {
+    expect(query.orgName(arg)).toBe(result);
+  });
+});
+
+const orgCases = [
+  [{ query: { org: "pulsar-edit" } }, "pulsar-edit"],
+  [{ query: { org: "../etc" } }, false],
+  [{ query: {} }, false],
+];
+
+describe("Verify org Returns", () => {
+  test.each(orgCases)("Given %o Returns %p", (arg, result) => {
+    expect(query.org(arg)).toBe(result);
+  });
+});
+
+const orgDescriptionCases = [
+  [{ query: { description: " The Pulsar team. " } }, "The Pulsar team."],
+  [{ query: { description: "" } }, ""],
+  [{ query: { description: "a".repeat(1025) } }, false],
+  [{ query: {} }, null],
+];
+
+describe("Verify orgDescription Returns", () => {
+  test.each(orgDescriptionCases)("Given %o Returns %p", (arg, result) => {
+    expect(query.orgDescription(arg)).toBe(result);
+  });
+});
+
+const orgAvatarCases = [
+  [
+    { query: { avatar: "https://avatars.githubusercontent.com/u/1" } },
+    "https://avatars.githubusercontent.com/u/1",
+  ],
+  [{ query: { avatar: "" } }, ""],
+  [{ query: { avatar: "http://avatars.githubusercontent.com/u/1" } }, false],
+  [{ query: { avatar: "javascript:alert(1)" } }, false],
+  [{ query: { avatar: "not a url" } }, false],
+  [{ query: {} }, null],
+];
+
+describe("Verify orgAvatar Returns", () => {
+  test.each(orgAvatarCases)("Given %o Returns %p", (arg, result) => {
+    expect(query.orgAvatar(arg)).toBe(result);
+  });
+});
+
+const orgRoleCases = [
+  [{ query: { role: "owner" } }, "owner"],
+  [{ query: { role: "admin" } }, false],
+  [{ query: {} }, "member"],
+];
+
+describe("Verify orgRole Returns", () => {
+  test.each(orgRoleCases)("Given %o Returns %p", (arg, result) => {
+    expect(query.orgRole(arg)).toBe(result);
+  });
+});
+
+const webhookUrlCases = [
+  [{ query: { url: "https://example.com/hook" } }, "https://example.com/hook"],
+  [{ query: { url: "http://example.com/hook" } }, false],
+  [{ query: { url: "not a url" } }, false],
+  [{ query: { url: `https://example.com/${"a".repeat(256)}` } }, false],
+  [{ query: {} }, null],
+];
+
+describe("Verify webhookUrl Returns", () => {
+  test.each(webhookUrlCases)("Given %o Returns %p", (arg, result) => {
+    expect(query.webhookUrl(arg)).toBe(result);
+  });
+});
+
+const webhookEventsCases = [
+  [{ query: { events: "publish,version" } }, ["publish", "version"]],
+  [{ query: { events: "Star, star," } }, ["star"]],
+  [{ query: { events: "publish,install" } }, false],
+  [{ query: { events: "," } }, false],
+  [{ query: {} }, null],
+];
+
+describe("Verify webhookEvents Returns", () => {
+  test.each(webhookEventsCases)("Given %o Returns %p", (arg, result) => {
+    expect(query.webhookEvents(arg)).toEqual(result);
+  });
+});
+
+const webhookPackageCases = [
+  [{ query: { package: "Language-CSS" } }, "language-css"],
+  [{ query: { package: "../language-css" } }, false],
+  [{ query: { package: "language css" } }, false],
+  [{ query: {} }, null],
+];
+
+describe("Verify webhookPackage Returns", () => {
+  test.each(webhookPackageCases)("Given %o Returns %p", (arg, result) => {
+    expect(query.webhookPackage(arg)).toBe(result);
+  });
+});
+
+const webhookActiveCases = [
+  [{ query: { active: "true" } }, true],
+  [{ query: { active: "FALSE" } }, false],
+  [{ query: { active: "yes" } }, null],
+  [{ query: {} }, null],
+];
+
+describe("Verify webhookActive Returns", () => {
+  test.each(webhookActiveCases)("Given %o Returns %p", (arg, result) => {
+    expect(query.webhookActive(arg)).toBe(result);
+  });
+});
+
+const webhookIdCases = [
+  [{ params: { webhookId: "12" } }, 12],
+  [{ params: { webhookId: "twelve" } }, false],
+  [{ params: {} }, false],
+];
+
+describe("Verify webhookId Returns", () => {
+  test.each(webhookIdCases)("Given %o Returns %p", (arg, result) => {
+    expect(query.webhookId(arg)).toBe(result);
+  });
+});
+
+const deliveryIdCases = [
+  [
+    { params: { deliveryId: "1B4E28BA-2FA1-4D3B-A3F5-EF19B5A7633B" } },
+    "1b4e28ba-2fa1-4d3b-a3f5-ef19b5a7633b",
+  ],
+  [{ params: { deliveryId: "1b4e28ba" } }, false],
+  [{ params: {} }, false],
+];
+
+describe("Verify deliveryId Returns", () => {
+  test.each(deliveryIdCases)("Given %o Returns %p", (arg, result) => {
+    expect(query.deliveryId(arg)).toBe(result);
+  });
+});
+
+const deliveryStateCases = [
+  [{ query: { state: "pending" } }, "pending"],
+  [{ query: { state: "delivered" } }, "delivered"],
+  [{ query: { state: "failed" } }, false],
+  [{ query: {} }, "dead"],
+];
+
+describe("Verify deliveryState Returns", () => {
+  test.each(deliveryStateCases)("Given %o Returns %p", (arg, result) => {
+    expect(query.deliveryState(arg)).toBe(result);
+  });
+});
+
+const prereleaseCases = [
+  [{ query: { prerelease: "true" } }, true],
+  [{ query: { prerelease: "True" } }, true],
+  [{ query: { prerelease: "false" } }, false],
+  [{ query: { prerelease: "1" } }, false],
+  [{ query: {} }, false],
+];
+
+describe("Verify prerelease Returns", () => {
+  test.each(prereleaseCases)("Given %o Returns %p", (arg, result) => {
+    expect(query.prerelease(arg)).toBe(result);
+  });
+});
+
+const downloadsCursor = Buffer.from(
+  JSON.stringify(["downloads", "120", "atom-ide", false])
+).toString("base64url");
+
+const cursorCases = [
+  [{ query: { cursor: "" } }, { value: null, name: null, before: false }],
+  [
+    { query: { cursor: downloadsCursor } },
+    { value: "120", name: "atom-ide", before: false },
+  ],
+  [{ query: { cursor: "garbage" } }, false],
+  [{ query: {} }, null],
+];
+
+describe("Verify cursor Returns", () => {
+  test.each(cursorCases)("Given %o Returns %p", (arg, result) => {
+    expect(query.cursor(arg, "downloads")).toEqual(result);
+  });
+  test("Returns false for a cursor given for another sort", () => {
+    expect(
+      query.cursor({ query: { cursor: downloadsCursor } }, "updated_at")
+    ).toBe(false);
+  });
+});
+
 const ownerCases = [
   [{ query: { owner: "savetheclocktower" } }, "savetheclocktower"],
   [{ query: { owner: "" } }, false],
@@ -190,3 +515,254 @@ describe("Verify owner Returns", () => {
     expect(query.owner(arg)).toBe(result);
   });
 });
+
+const platformCases = [
+  [{ query: { platform: "darwin" } }, "darwin"],
+  [{ query: { platform: "win32" } }, "win32"],
+  [{ query: { platform: "beos" } }, false],
+  [{ query: {} }, false],
+];
+
+describe("Verify platform Returns", () => {
+  test.each(platformCases)("Given %o Returns %p", (arg, result) => {
+    expect(query.platform(arg)).toBe(result);
+  });
+});
+
+const channelCases = [
+  [{ query: { channel: "beta" } }, "beta"],
+  [{ query: { channel: "nightly" } }, "stable"],
+  [{ query: {} }, "stable"],
+];
+
+describe("Verify channel Returns", () => {
+  test.each(channelCases)("Given %o Returns %p", (arg, result) => {
+    expect(query.channel(arg)).toBe(result);
+  });
+});
+
+const vcsServiceCases = [
+  [{ query: { service: "gitlab" } }, "lab"],
+  [{ query: { service: "Codeberg" } }, "berg"],
+  [{ query: { service: "lab" } }, "lab"],
+  [{ query: { service: "bitbucket" } }, "bitbucket"],
+  [{ query: {} }, false],
+];
+
+describe("Verify vcsService Returns", () => {
+  test.each(vcsServiceCases)("Given %o Returns %p", (arg, result) => {
+    expect(query.vcsService(arg)).toBe(result);
+  });
+});
+
+const banPatternCases = [
+  [{ query: { pattern: "slot-*" } }, "slot-*"],
+  [{ query: { pattern: "  spam  " } }, "spam"],
+  [{ query: { pattern: "" } }, false],
+  [{ query: { pattern: "a".repeat(257) } }, false],
+  [{ query: {} }, false],
+];
+
+describe("Verify banPattern Returns", () => {
+  test.each(banPatternCases)("Given %o Returns %p", (arg, result) => {
+    expect(query.banPattern(arg)).toBe(result);
+  });
+});
+
+const banTypeCases = [
+  [{ query: { type: "glob" } }, "glob"],
+  [{ query: { type: "regex" } }, "regex"],
+  [{ query: { type: "wildcard" } }, false],
+  [{ query: {} }, "name"],
+];
+
+describe("Verify banType Returns", () => {
+  test.each(banTypeCases)("Given %o Returns %p", (arg, result) => {
+    expect(query.banType(arg)).toBe(result);
+  });
+});
+
+const featuredTypeCases = [
+  [{ params: { featuredType: "packages" } }, "packages"],
+  [{ params: { featuredType: "themes" } }, "themes"],
+  [{ params: { featuredType: "snippets" } }, false],
+];
+
+describe("Verify featuredType Returns", () => {
+  test.each(featuredTypeCases)("Given %o Returns %p", (arg, result) => {
+    expect(query.featuredType(arg)).toBe(result);
+  });
+});
+
+const featuredPositionCases = [
+  [{ query: { position: "0" } }, 0],
+  [{ query: { position: "12" } }, 12],
+  [{ query: { position: "-1" } }, false],
+  [{ query: { position: "first" } }, false],
+  [{ query: {} }, null],
+];
+
+describe("Verify featuredPosition Returns", () => {
+  test.each(featuredPositionCases)("Given %o Returns %p", (arg, result) => {
+    expect(query.featuredPosition(arg)).toBe(result);
+  });
+});
+
+const featuredExpiresCases = [
+  [{ query: { expires: "2024-01-01" } }, "2024-01-01T00:00:00.000Z"],
+  [{ query: { expires: "next week" } }, false],
+  [{ query: {} }, null],
+];
+
+describe("Verify featuredExpires Returns", () => {
+  test.each(featuredExpiresCases)("Given %o Returns %p", (arg, result) => {
+    expect(query.featuredExpires(arg)).toBe(result);
+  });
+});
+
+const adminReasonCases = [
+  [{ query: { reason: " Spam packages. " } }, "Spam packages."],
+  [{ query: { reason: "" } }, false],
+  [{ query: {} }, false],
+];
+
+describe("Verify adminReason Returns", () => {
+  test.each(adminReasonCases)("Given %o Returns %p", (arg, result) => {
+    expect(query.adminReason(arg)).toBe(result);
+  });
+});
+
+const adminActionCases = [
+  [{ query: { action: "force_delete" } }, "force_delete"],
+  [{ query: { action: "drop_table" } }, false],
+  [{ query: {} }, false],
+];
+
+describe("Verify adminAction Returns", () => {
+  test.each(adminActionCases)("Given %o Returns %p", (arg, result) => {
+    expect(query.adminAction(arg)).toBe(result);
+  });
+});
+
+const adminActionIdCases = [
+  [{ params: { actionId: "12" } }, 12],
+  [{ params: { actionId: "1e3" } }, false],
+  [{ params: {} }, false],
+];
+
+describe("Verify adminActionId Returns", () => {
+  test.each(adminActionIdCases)("Given %o Returns %p", (arg, result) => {
+    expect(query.adminActionId(arg)).toBe(result);
+  });
+});
+
+const badgeLinkCases = [
+  [
+    { query: { link: "https://github.com/pulsar-edit/pulsar/issues/1" } },
+    "https://github.com/pulsar-edit/pulsar/issues/1",
+  ],
+  [{ query: { link: "javascript:alert(1)" } }, false],
+  [{ query: { link: "not a link" } }, false],
+  [{ query: {} }, null],
+];
+
+describe("Verify badgeLink Returns", () => {
+  test.each(badgeLinkCases)("Given %o Returns %p", (arg, result) => {
+    expect(query.badgeLink(arg)).toBe(result);
+  });
+});
+
+const badgeTypeCases = [
+  [{ query: { type: "warn" } }, "warn"],
+  [{ query: { type: "error" } }, false],
+  [{ query: {} }, false],
+];
+
+describe("Verify badgeType Returns", () => {
+  test.each(badgeTypeCases)("Given %o Returns %p", (arg, result) => {
+    expect(query.badgeType(arg)).toBe(result);
+  });
+});
+
+const badgeTitleCases = [
+  [{ query: { title: "Deprecated" } }, "Deprecated"],
+  [{ query: { title: " outdated " } }, "Outdated"],
+  [{ query: { title: "Made for Pulsar!" } }, false],
+  [{ query: {} }, false],
+];
+
+describe("Verify badgeTitle Returns", () => {
+  test.each(badgeTitleCases)("Given %o Returns %p", (arg, result) => {
+    expect(query.badgeTitle(arg)).toBe(result);
+  });
+});
+
+const badgeCases = [
+  [{ query: { badge: "made for pulsar!" } }, ["Made for Pulsar!"]],
+  [{ query: { badge: "Broken,Deprecated,broken" } }, ["Broken", "Deprecated"]],
+  [{ query: { badge: "Broken,Spam" } }, false],
+  [{ query: { badge: "" } }, false],
+  [{ query: {} }, false],
+];
+
+describe("Verify badge Returns", () => {
+  test.each(badgeCases)("Given %o Returns %p", (arg, result) => {
+    expect(query.badge(arg)).toEqual(result);
+  });
+});
+
+const hideBadgeCases = [
+  [{ query: { hideBadge: "Deprecated" } }, ["Deprecated"]],
+  [{ query: { hideBadge: "Spam" } }, false],
+  [{ query: {} }, false],
+];
+
+describe("Verify hideBadge Returns", () => {
+  test.each(hideBadgeCases)("Given %o Returns %p", (arg, result) => {
+    expect(query.hideBadge(arg)).toEqual(result);
+  });
+});
+
+const releaseVersionCases = [
+  [{ query: { version: "1.110.0" } }, "1.110.0"],
+  [{ query: { version: " 1.110.0-beta.1 " } }, "1.110.0-beta.1"],
+  [{ query: { version: "1.110.0+build.5" } }, "1.110.0+build.5"],
+  [{ query: { version: "1.110" } }, false],
+  [{ query: { version: "1.110.0-beta..1" } }, false],
+  [{ query: {} }, false],
+];
+
+describe("Verify releaseVersion Returns", () => {
+  test.each(releaseVersionCases)("Given %o Returns %p", (arg, result) => {
+    expect(query.releaseVersion(arg)).toBe(result);
+  });
+});
+
+const releaseUrlCases = [
+  [
+    { query: { url: "https://example.com/pulsar.zip" } },
+    "https://example.com/pulsar.zip",
+  ],
+  [{ query: { url: "http://example.com/pulsar.zip" } }, false],
+  [{ query: { url: "not a url" } }, false],
+  [{ query: {} }, false],
+];
+
+describe("Verify releaseUrl Returns", () => {
+  test.each(releaseUrlCases)("Given %o Returns %p", (arg, result) => {
+    expect(query.releaseUrl(arg)).toBe(result);
+  });
+});
+
+const releaseNotesCases = [
+  [{ query: { notes: " Fixed a crash. " } }, "Fixed a crash."],
+  [{ query: { notes: "a".repeat(4097) } }, false],
+  [{ query: { notes: ["a", "b"] } }, false],
+  [{ query: {} }, null],
+];
+
+describe("Verify releaseNotes Returns", () => {
+  test.each(releaseNotesCases)("Given %o Returns %p", (arg, result) => {
+    expect(query.releaseNotes(arg)).toBe(result);
+  });
+});
@@ -1,3 +1,6 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
 const storage = require("../../src/storage.js");
 
 describe("Functions Return Proper Values", () => {
@@ -16,3 +19,45 @@ describe("Functions Return Proper Values", () => {
     expect(value.content).toBeArray();
   });
 });
+
+describe("Package Tarballs", () => {
+  let localStorage;
+  let dir;
+
+  beforeAll(() => {
+    // Keep tarballs written during the test out of `./docs/resources`
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "pulsar-storage-"));
+    process.env.STORAGE_LOCAL_PATH = dir;
+
+    jest.isolateModules(() => {
+      localStorage = require("../../src/storage.js");
+    });
+  });
+
+  afterAll(() => {
+    delete process.env.STORAGE_LOCAL_PATH;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("getPackageTarball returns not_found for a missing tarball", async () => {
+    let value = await localStorage.getPackageTarball("not-a-package", "1.0.0");
+    expect(value.ok).toBe(false);
+    expect(value.short).toBe("not_found");
+  });
+
+  test("putPackageTarball stores a tarball that can be retrieved", async () => {
+    const data = Buffer.from("tarball-contents");
+
+    let put = await localStorage.putPackageTarball(
+      "mirror-test",
+      "1.0.0",
+      data
+    );
+    expect(put.ok).toBe(true);
+    expect(put.content).toBe("tarballs/mirror-test/1.0.0.tgz");
+
+    let get = await localStorage.getPackageTarball("mirror-test", "1.0.0");
+    expect(get.ok).toBe(true);
+    expect(get.content.equals(data)).toBe(true);
+  });
+});
@@ -31,6 +31,49 @@ describe("isPackageNameBanned Tests", () => {
   });
 });
 
+describe("isPackageNameBanned with patterns", () => {
+  const banList = [
+    "banned-item",
+    { pattern: "slot-*", type: "glob", reason: "Spam" },
+    { pattern: "casino\\d+", type: "regex", reason: "Spam" },
+  ];
+
+  test.each([
+    ["banned-item", true],
+    ["slot-gacor", true],
+    ["slots", false],
+    ["casino99", true],
+    ["casino", false],
+    ["my-casino99", false],
+  ])("Given %p Returns %p", async (name, result) => {
+    getBanList.mockResolvedValue({ ok: true, content: banList });
+
+    const isBanned = await utils.isPackageNameBanned(name);
+
+    expect(isBanned.ok).toBe(result);
+  });
+
+  test("Returns the ban that matched", async () => {
+    getBanList.mockResolvedValue({ ok: true, content: banList });
+
+    const isBanned = await utils.isPackageNameBanned("slot-online");
+
+    expect(isBanned.content.reason).toBe("Spam");
+  });
+});
+
+describe("Tests for banPatternToRegExp", () => {
+  test("Escapes everything but wildcards within globs", () => {
+    const reg = utils.banPatternToRegExp("a.b?c*", "glob");
+    expect(reg.test("a.bxc-anything")).toBe(true);
+    expect(reg.test("axbxc")).toBe(false);
+  });
+
+  test("Throws for an invalid regex", () => {
+    expect(() => utils.banPatternToRegExp("(", "regex")).toThrow();
+  });
+});
+
 describe("engineFilter returns version expected.", () => {
   test("Returns First Position when given multiple valid positions.", async () => {
     const pack = {
@@ -104,6 +147,66 @@ describe("engineFilter returns version expected.", () => {
     expect(res.metadata.version === "2.0.0");
   });
 
+  test("Returns the version satisfying a caret range", async () => {
+    const pack = {
+      versions: {
+        "2.0.0": {
+          version: "2.0.0",
+          engines: { atom: "^2.0.0" },
+        },
+        "1.0.0": {
+          version: "1.0.0",
+          engines: { atom: "^1.100.0" },
+        },
+      },
+    };
+
+    const res = await utils.engineFilter(pack, "1.105.0");
+    expect(res.metadata.version).toBe("1.0.0");
+  });
+
+  test("Returns the version satisfying any range of a union", async () => {
+    const pack = {
+      versions: {
+        "2.0.0": {
+          version: "2.0.0",
+          engines: { atom: "~1.2.0 || 1.50.0 - 1.60.x" },
+        },
+      },
+    };
+
+    const res = await utils.engineFilter(pack, "1.55.3");
+    expect(res.metadata.version).toBe("2.0.0");
+  });
+
+  test("Doesn't stop at a version compatible with any engine", async () => {
+    const pack = {
+      versions: {
+        "2.0.0": {
+          version: "2.0.0",
+          engines: { atom: "*" },
+        },
+      },
+    };
+
+    const res = await utils.engineFilter(pack, "1.0.0");
+    expect(res.metadata.version).toBe("2.0.0");
+  });
+
+  test("Leaves the package without a compatible version", async () => {
+    const pack = {
+      versions: {
+        "2.0.0": {
+          version: "2.0.0",
+          engines: { atom: "^2.0.0" },
+        },
+      },
+    };
+
+    const res = await utils.engineFilter(pack, "1.105.0");
+    expect(res.metadata).toBeUndefined();
+  });
+
   test("Catches non String correctly", async () => {
     const pack = {
       versions: {
@@ -243,6 +346,127 @@ describe("Tests against semverLt", () => {
   });
 });
 
+describe("Tests for semverPrerelease", () => {
+  test.each([
+    ["1.0.0-beta.1", true],
+    ["v1.0.0-rc", true],
+    ["1.0.0", false],
+    ["1.0.0+build.5", false],
+    ["not-a-semver", false],
+  ])("Given %p Returns %p", (semver, result) => {
+    expect(utils.semverPrerelease(semver)).toBe(result);
+  });
+});
+
+describe("Tests for semverCompare", () => {
+  test.each([
+    ["1.0.0", "1.0.0-rc.1", 1],
+    ["1.0.0-beta.10", "1.0.0-beta.2", 1],
+    ["1.0.0-beta", "1.0.0-alpha.1", 1],
+    ["1.0.0-alpha.1", "1.0.0-alpha", 1],
+    ["1.0.0-alpha.beta", "1.0.0-alpha.1", 1],
+    ["1.0.0-1", "0.9.9", 1],
+    ["1.0.0-rc.1", "1.0.0", -1],
+    ["1.0.0+build.2", "1.0.0+build.1", 0],
+    ["not-a-semver", "0.0.1", -1],
+  ])("Given %p and %p Returns %p", (s1, s2, result) => {
+    expect(Math.sign(utils.semverCompare(s1, s2))).toBe(result);
+  });
+});
+
+describe("Tests for constructPackageObjectFull", () => {
+  const pack = (...semvers) => {
+    return {
+      name: "prerelease-test",
+      data: {},
+      dist_tags: { latest: semvers[0] },
+      versions: semvers.map((semver) => {
+        return { semver: semver, license: "MIT", engines: {}, meta: {} };
+      }),
+    };
+  };
+
+  test("Leaves out prereleases by default", async () => {
+    const res = await utils.constructPackageObjectFull(
+      pack("1.1.0-beta.1", "1.0.0", "1.0.0-rc.1")
+    );
+    expect(res.releases.latest).toBe("1.0.0");
+    expect(res["dist-tags"]).toEqual({ latest: "1.1.0-beta.1" });
+    expect(Object.keys(res.versions)).toEqual(["1.0.0"]);
+  });
+
+  test("Includes prereleases when requested", async () => {
+    const res = await utils.constructPackageObjectFull(
+      pack("1.1.0-beta.1", "1.0.0", "1.0.0-rc.1"),
+      true
+    );
+    expect(res.releases.latest).toBe("1.1.0-beta.1");
+    expect(Object.keys(res.versions)).toEqual([
+      "1.1.0-beta.1",
+      "1.0.0",
+      "1.0.0-rc.1",
+    ]);
+  });
+
+  test("Includes prereleases of a package without a release", async () => {
+    const res = await utils.constructPackageObjectFull(
+      pack("1.0.0-beta.2", "1.0.0-beta.1")
+    );
+    expect(res.releases.latest).toBe("1.0.0-beta.2");
+    expect(res.versions["1.0.0-beta.2"].dist.tarball).toContain(
+      "/api/packages/prerelease-test/versions/1.0.0-beta.2/tarball"
+    );
+  });
+});
+
+describe("Tests for deprecationWarning", () => {
+  test("Quotes the message as a persistent warning", () => {
+    expect(utils.deprecationWarning('Use "language-cpp" instead.')).toBe(
+      '299 - "Deprecated: Use \\"language-cpp\\" instead."'
+    );
+  });
+
+  test("Escapes anything that isn't ASCII", () => {
+    expect(utils.deprecationWarning("Übernommen\n")).toBe(
+      '299 - "Deprecated: \\u00dcbernommen\\n"'
+    );
+  });
+});
+
+describe("Tests for deprecation within package objects", () => {
+  test("Marks a deprecated package and version of a Package Object Full", async () => {
+    const res = await utils.constructPackageObjectFull({
+      name: "deprecation-test",
+      data: {},
+      deprecated: "No longer maintained.",
+      versions: [
+        { semver: "1.0.1", license: "MIT", engines: {}, meta: {} },
+        {
+          semver: "1.0.0",
+          license: "MIT",
+          engines: {},
+          meta: {},
+          deprecated: "Broken.",
+        },
+      ],
+    });
+
+    expect(res.deprecated).toBe("No longer maintained.");
+    expect(res.versions["1.0.1"].deprecated).toBeUndefined();
+    expect(res.versions["1.0.0"].deprecated).toBe("Broken.");
+  });
+
+  test("Marks a deprecated package of a Package Object Short", async () => {
+    const res = await utils.constructPackageObjectShort([
+      { data: {}, semver: "1.0.0", deprecated: "Broken." },
+      { data: {}, semver: "1.0.0", deprecated: null },
+    ]);
+
+    expect(res[0].deprecated).toBe("Broken.");
+    expect(res[1].deprecated).toBeUndefined();
+  });
+});
+
 describe("Tests for getOwnerRepoFromPackage", () => {
   test("Returns Owner/repo for repository.url set into the package", () => {
     const repo = "pulsar-edit/package-backend";
@@ -299,3 +523,211 @@ describe("Tests for getOwnerRepoFromUrlString", () => {
     expect(res).toEqual(repo);
   });
 });
+
+describe("Tests for getOwnerRepoFromUrlString with GitLab", () => {
+  test("Returns owner/repo for valid GitLab string", () => {
+    const repo = "pulsar-edit/package-backend";
+    const url = `https://gitlab.com/${repo}.git`;
+    const res = utils.getOwnerRepoFromUrlString(url);
+    expect(res).toEqual(repo);
+  });
+  test("Returns owner/repo for valid GitLab string in the 'git@' format", () => {
+    const repo = "pulsar-edit/package-backend";
+    const url = `git@gitlab.com:${repo}.git`;
+    const res = utils.getOwnerRepoFromUrlString(url);
+    expect(res).toEqual(repo);
+  });
+  test("Returns the full path of a GitLab repo within subgroups", () => {
+    const repo = "pulsar-edit/packages/package-backend";
+    const url = `https://gitlab.com/${repo}`;
+    const res = utils.getOwnerRepoFromUrlString(url);
+    expect(res).toEqual(repo);
+  });
+  test("Ignores any GitLab page after the repo path", () => {
+    const repo = "pulsar-edit/package-backend";
+    const url = `https://gitlab.com/${repo}/-/tree/main`;
+    const res = utils.getOwnerRepoFromUrlString(url);
+    expect(res).toEqual(repo);
+  });
+});
+
+describe("Tests for getOwnerRepoFromUrlString with Gitea", () => {
+  test("Returns owner/repo for valid Codeberg string", () => {
+    const repo = "pulsar-edit/package-backend";
+    const url = `https://codeberg.org/${repo}.git`;
+    const res = utils.getOwnerRepoFromUrlString(url);
+    expect(res).toEqual(repo);
+  });
+  test("Returns owner/repo for valid Codeberg string in the 'git@' format", () => {
+    const repo = "pulsar-edit/package-backend";
+    const url = `git@codeberg.org:${repo}.git`;
+    const res = utils.getOwnerRepoFromUrlString(url);
+    expect(res).toEqual(repo);
+  });
+});
+
+describe("Tests for tarballHosts", () => {
+  test("Includes the hosts of every VCS service", () => {
+    const res = utils.tarballHosts();
+    expect(res).toContain("codeload.github.com");
+    expect(res).toContain("gitlab.com");
+    expect(res).toContain("codeberg.org");
+  });
+});
+
+describe("Tests for encodeCursor and decodeCursor", () => {
+  test("Decodes the cursor it encodes", () => {
+    const cursor = utils.encodeCursor(
+      { value: "2023-01-01 00:00:00.123456+00", name: "atom-ide" },
+      true,
+      "updated_at"
+    );
+    expect(utils.decodeCursor(cursor, "updated_at")).toEqual({
+      value: "2023-01-01 00:00:00.123456+00",
+      name: "atom-ide",
+      before: true,
+    });
+  });
+  test("Encodes URL safe cursors", () => {
+    const cursor = utils.encodeCursor(
+      { value: "1.5e-05", name: "???>>>" },
+      false,
+      "relevance"
+    );
+    expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+  });
+  test("Decodes an empty cursor as the start", () => {
+    expect(utils.decodeCursor("", "downloads")).toEqual({
+      value: null,
+      name: null,
+      before: false,
+    });
+  });
+  test("Returns false for invalid cursors", () => {
+    expect(utils.decodeCursor("not-a-cursor", "downloads")).toBe(false);
+    expect(
+      utils.decodeCursor(
+        utils.encodeCursor({ value: 1 }, false, "downloads"),
+        "downloads"
+      )
+    ).toBe(false);
+    expect(utils.decodeCursor(undefined, "downloads")).toBe(false);
+  });
+  test("Returns false for a cursor of another sort", () => {
+    const cursor = utils.encodeCursor(
+      { value: "120", name: "atom-ide" },
+      false,
+      "downloads"
+    );
+    expect(utils.decodeCursor(cursor, "downloads")).not.toBe(false);
+    expect(utils.decodeCursor(cursor, "stars")).toBe(false);
+    expect(utils.decodeCursor(cursor, "created_at")).toBe(false);
+  });
+  test.each([
+    ["downloads", "1.5"],
+    ["downloads", "9".repeat(19)],
+    ["stars", "ten"],
+    ["relevance", "NaN"],
+    ["created_at", "1"],
+    ["created_at", "2023-02-30 00:00:00+00"],
+    ["updated_at", "2023-01-01 24:00:00+00"],
+    ["updated_at", "2023-01-01T00:00:00Z"],
+  ])("Returns false for a %s cursor of %p", (sort, value) => {
+    const cursor = utils.encodeCursor({ value, name: "atom-ide" }, false, sort);
+    expect(utils.decodeCursor(cursor, sort)).toBe(false);
+  });
+});
+
+describe("Tests for publishHookTag", () => {
+  test("Returns the tag of a published release", () => {
+    expect(
+      utils.publishHookTag("release", {
+        action: "published",
+        release: { tag_name: "v1.2.0" },
+      })
+    ).toEqual({ tag: "v1.2.0", version: "1.2.0" });
+  });
+  test("Returns the tag created by a push", () => {
+    expect(
+      utils.publishHookTag("push", {
+        ref: "refs/tags/1.3.0-beta.1",
+        created: true,
+        deleted: false,
+      })
+    ).toEqual({ tag: "1.3.0-beta.1", version: "1.3.0-beta.1" });
+  });
+  test("Ignores other actions and pushes", () => {
+    expect(
+      utils.publishHookTag("release", {
+        action: "edited",
+        release: { tag_name: "v1.2.0" },
+      })
+    ).toBeNull();
+    expect(
+      utils.publishHookTag("push", {
+        ref: "refs/heads/main",
+        created: true,
+      })
+    ).toBeNull();
+    expect(
+      utils.publishHookTag("push", {
+        ref: "refs/tags/v1.2.0",
+        created: false,
+        deleted: true,
+      })
+    ).toBeNull();
+    expect(utils.publishHookTag("ping", { zen: "Keep it simple." })).toBeNull();
+  });
+  test("Ignores tags that aren't versions", () => {
+    expect(
+      utils.publishHookTag("push", { ref: "refs/tags/nightly", created: true })
+    ).toBeNull();
+  });
+});
+
+describe("Tests for facetsHeader", () => {
+  test("Encodes the facets as ASCII JSON", () => {
+    expect(
+      utils.facetsHeader({ owner: { "café-owner": 2 }, license: {} })
+    ).toBe('{"owner":{"caf\\u00e9-owner":2},"license":{}}');
+  });
+
+  test("Leaves out the least common values to fit the limit", () => {
+    const facets = { owner: {}, license: { MIT: 500 } };
+
+    for (let i = 0; i < 200; i++) {
+      facets.owner[`owner-${"x".repeat(40)}-${i}`] = 200 - i;
+    }
+
+    const header = utils.facetsHeader(facets, 1024);
+    const kept = JSON.parse(header);
+
+    expect(header.length).toBeLessThanOrEqual(1024);
+    expect(kept.license).toEqual({ MIT: 500 });
+    expect(kept.owner[`owner-${"x".repeat(40)}-0`]).toBe(200);
+    expect(kept.owner[`owner-${"x".repeat(40)}-199`]).toBeUndefined();
+
+    // The facets given are left unchanged
+    expect(Object.keys(facets.owner).length).toBe(200);
+  });
+
+  test("Keeps the whole registry within the default limit", () => {
+    const facets = {};
+
+    for (const facet of [
+      "packageType",
+      "providedServices",
+      "consumedServices",
+      "fileExtension",
+      "license",
+      "owner",
+    ]) {
+      facets[facet] = {};
+      for (let i = 0; i < 10; i++) {
+        facets[facet]["\u00fc".repeat(64).slice(0, 60) + i] = 1000 - i;
+      }
+    }
+
+    expect(utils.facetsHeader(facets).length).toBeLessThanOrEqual(4096);
+  });
+});
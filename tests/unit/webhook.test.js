@@ -1,6 +1,14 @@
+// The Discord webhooks are only sent to while configured
+process.env.WEBHOOK_PUBLISH = "https://discord.example.com/publish";
+process.env.WEBHOOK_VERSION = "";
+
 const webhook = require("../../src/webhook.js");
 const superagent = require("superagent");
+const crypto = require("crypto");
+const dns = require("dns");
+const https = require("https");
 const logger = require("../../src/logger.js");
+const database = require("../../src/database.js");
 
 jest.mock("../../src/logger.js", () => {
   return {
@@ -12,6 +20,19 @@ jest.mock("superagent", () => {
   return {
     send: jest.fn().mockReturnThis(),
     post: jest.fn().mockReturnThis(),
+    set: jest.fn().mockReturnThis(),
+    redirects: jest.fn().mockReturnThis(),
+    agent: jest.fn().mockReturnThis(),
+    timeout: jest.fn().mockReturnThis(),
+  };
+});
+
+jest.mock("../../src/database.js", () => {
+  return {
+    getWebhooksForEvent: jest.fn(),
+    insertWebhookDelivery: jest.fn(),
+    claimWebhookDeliveries: jest.fn(),
+    updateWebhookDelivery: jest.fn(),
   };
 });
 
@@ -20,8 +41,8 @@ describe("Publish Webhook", () => {
     jest.clearAllMocks();
   });
 
-  test("Success as Expected", async () => {
-    let hookSend = await webhook.alertPublishPackage(
+  test("Success as Expected", () => {
+    const message = webhook.discordPublishPackage(
       {
         name: "Dev Package",
       },
@@ -30,25 +51,23 @@ describe("Publish Webhook", () => {
       }
     );
 
-    expect(superagent.post).toHaveBeenCalled();
-    expect(superagent.send).toHaveBeenCalled();
-    expect(superagent.send).toHaveBeenCalledWith(
+    expect(message).toEqual(
       expect.objectContaining({
         content: "Dev User Published Dev Package to Pulsar!",
       })
     );
+    expect(message.embeds[0].title).toBe("Dev Package");
   });
 
-  test("Fails if not given proper data", async () => {
-    let hookSend = await webhook.alertPublishPackage(
+  test("Fails if not given proper data", () => {
+    const message = webhook.discordPublishPackage(
       {
         name: "language",
       },
       {}
     );
 
-    expect(superagent.post).not.toHaveBeenCalled();
-    expect(superagent.send).not.toHaveBeenCalled();
+    expect(message).toBeNull();
     expect(logger.generic).toHaveBeenCalled();
     expect(logger.generic).toHaveBeenCalledWith(
       3,
@@ -62,8 +81,8 @@ describe("Version Webhook", () => {
     jest.clearAllMocks();
   });
 
-  test("Success as Expected", async () => {
-    let hookSend = await webhook.alertPublishVersion(
+  test("Success as Expected", () => {
+    const message = webhook.discordPublishVersion(
       {
         name: "language-css",
         metadata: {
@@ -75,18 +94,17 @@ describe("Version Webhook", () => {
       }
     );
 
-    expect(superagent.post).toHaveBeenCalled();
-    expect(superagent.send).toHaveBeenCalled();
-    expect(superagent.send).toHaveBeenCalledWith(
+    expect(message).toEqual(
       expect.objectContaining({
         content:
           "confused-Techie Published version 1.0.0 of language-css to Pulsar!",
       })
     );
+    expect(message.embeds[0].title).toBe("language-css@1.0.0");
   });
 
-  test("Fails if not given proper data", async () => {
-    let hookSend = await webhook.alertPublishVersion(
+  test("Fails if not given proper data", () => {
+    const message = webhook.discordPublishVersion(
       {
         name: "langauge-css",
         metadata: {},
@@ -96,8 +114,7 @@ describe("Version Webhook", () => {
       }
     );
 
-    expect(superagent.post).not.toHaveBeenCalled();
-    expect(superagent.send).not.toHaveBeenCalled();
+    expect(message).toBeNull();
     expect(logger.generic).toHaveBeenCalled();
     expect(logger.generic).toHaveBeenCalledWith(
       3,
@@ -105,3 +122,520 @@ describe("Version Webhook", () => {
     );
   });
 });
+
+describe("Sending webhooks", () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test("Returns the status of the response", async () => {
+    superagent.send.mockResolvedValueOnce({ status: 204 });
+
+    const res = await webhook.sendWebHook({ content: "Hi" }, "https://a.com", {
+      "X-Test": "yes",
+    });
+
+    expect(res).toEqual({ ok: true, status: 204 });
+    expect(superagent.set).toHaveBeenCalledWith({ "X-Test": "yes" });
+    expect(superagent.redirects).toHaveBeenCalledWith(0);
+
+    // Connected through the agent checking every resolved address
+    const agent = superagent.agent.mock.calls[0][0];
+    expect(agent).toBeInstanceOf(https.Agent);
+    expect(agent.options.lookup).toBe(webhook.guardedLookup);
+  });
+
+  test("Refuses to connect to an address within our own network", async () => {
+    for (const url of [
+      "https://127.0.0.1/hook",
+      "https://169.254.169.254/latest/meta-data",
+      "https://[::ffff:10.0.0.1]/hook",
+      "https://localhost:8080/hook",
+    ]) {
+      const res = await webhook.sendWebHook({ content: "Hi" }, url);
+
+      expect(res.ok).toBe(false);
+      expect(res.status).toBeNull();
+    }
+
+    expect(superagent.post).not.toHaveBeenCalled();
+  });
+
+  test("Returns the status of a failure", async () => {
+    const err = new Error("Moved Permanently");
+    err.status = 301;
+    superagent.send.mockRejectedValueOnce(err);
+
+    const res = await webhook.sendWebHook({ content: "Hi" }, "https://a.com");
+
+    expect(res.ok).toBe(false);
+    expect(res.status).toBe(301);
+    expect(res.content).toBe(err);
+  });
+});
+
+describe("Private addresses", () => {
+  const spies = [];
+
+  afterEach(() => {
+    // Only the spies, keeping the mock of superagent as is
+    spies.splice(0).forEach((spy) => spy.mockRestore());
+  });
+
+  test("Are blocked", () => {
+    for (const address of [
+      "127.0.0.1",
+      "10.1.2.3",
+      "172.16.0.1",
+      "192.168.1.1",
+      "169.254.169.254",
+      "100.64.0.1",
+      "0.0.0.0",
+      "::1",
+      "::",
+      "fe80::1",
+      "fd00:ec2::254",
+      "::ffff:127.0.0.1",
+    ]) {
+      expect(webhook.isBlockedAddress(address)).toBe(true);
+    }
+
+    for (const address of ["140.82.112.3", "2606:4700::6810:84e5"]) {
+      expect(webhook.isBlockedAddress(address)).toBe(false);
+    }
+  });
+
+  test("Are blocked by hostname", () => {
+    for (const hostname of [
+      "localhost",
+      "api.localhost",
+      "metadata.google.internal",
+      "printer.local",
+      "[::1]",
+      "127.0.0.1",
+    ]) {
+      expect(webhook.isBlockedHostname(hostname)).toBe(true);
+    }
+
+    expect(webhook.isBlockedHostname("example.com")).toBe(false);
+  });
+
+  test("Can't be registered as a webhook", async () => {
+    spies.push(jest.spyOn(dns.promises, "lookup"));
+    spies[0].mockResolvedValue([{ address: "10.0.0.5", family: 4 }]);
+
+    const res = await webhook.checkUrl("https://internal-service.example.com");
+
+    expect(res.ok).toBe(false);
+    expect(res.short).toBe("bad_request");
+  });
+
+  test("Aren't needed to register a public webhook", async () => {
+    spies.push(jest.spyOn(dns.promises, "lookup"));
+    spies[0].mockResolvedValue([{ address: "93.184.216.34", family: 4 }]);
+
+    const res = await webhook.checkUrl("https://example.com/hook");
+
+    expect(res).toEqual({ ok: true, content: "https://example.com/hook" });
+
+    const http = await webhook.checkUrl("http://example.com/hook");
+    expect(http.ok).toBe(false);
+  });
+
+  test("Are refused once a hostname is rebound to one", (done) => {
+    // Resolved publicly while registered, but privately when delivered to
+    spies.push(jest.spyOn(dns, "lookup"));
+    spies[0].mockImplementation((hostname, options, cb) => {
+      cb(null, [
+        { address: "93.184.216.34", family: 4 },
+        { address: "169.254.169.254", family: 4 },
+      ]);
+    });
+
+    webhook.guardedLookup("example.com", { all: true }, (err, addresses) => {
+      expect(err.code).toBe("EBLOCKEDADDRESS");
+      expect(addresses).toBeUndefined();
+      done();
+    });
+  });
+
+  test("Are looked up as usual while public", (done) => {
+    spies.push(jest.spyOn(dns, "lookup"));
+    spies[0].mockImplementation((hostname, options, cb) => {
+      cb(null, [{ address: "93.184.216.34", family: 4 }]);
+    });
+
+    webhook.guardedLookup("example.com", {}, (err, address, family) => {
+      expect(err).toBeNull();
+      expect(address).toBe("93.184.216.34");
+      expect(family).toBe(4);
+      done();
+    });
+  });
+});
+
+describe("Signing payloads", () => {
+  test("Signs with HMAC-SHA256 of the secret", () => {
+    const body = JSON.stringify({ event: "publish" });
+    const expected = crypto
+      .createHmac("sha256", "whsec_test")
+      .update(body)
+      .digest("hex");
+
+    expect(webhook.signPayload(body, "whsec_test")).toBe(`sha256=${expected}`);
+  });
+
+  test("Verifies signatures made with the secret", () => {
+    const body = Buffer.from(JSON.stringify({ zen: "Keep it simple." }));
+    const signature = webhook.signPayload(body, "whsec_test");
+
+    expect(webhook.verifySignature(body, "whsec_test", signature)).toBe(true);
+    expect(webhook.verifySignature(body, "whsec_other", signature)).toBe(false);
+    expect(
+      webhook.verifySignature(Buffer.from("{}"), "whsec_test", signature)
+    ).toBe(false);
+    expect(webhook.verifySignature(body, "whsec_test", "sha256=")).toBe(false);
+    expect(webhook.verifySignature(body, "whsec_test", false)).toBe(false);
+  });
+
+  test("Generates unique secrets", () => {
+    const secret = webhook.generateSecret();
+
+    expect(secret).toMatch(/^whsec_[\w-]{43}$/);
+    expect(webhook.generateSecret()).not.toBe(secret);
+  });
+});
+
+describe("Building payloads", () => {
+  test("Uses the version of the package metadata", () => {
+    const payload = webhook.buildPayload("version", {
+      pack: {
+        name: "language-css",
+        owner: "pulsar-edit",
+        metadata: { version: "1.0.0" },
+      },
+      user: { username: "confused-Techie" },
+    });
+
+    expect(payload).toMatchObject({
+      event: "version",
+      package: { name: "language-css", owner: "pulsar-edit" },
+      version: "1.0.0",
+      user: "confused-Techie",
+      details: {},
+    });
+    expect(typeof payload.delivery).toBe("string");
+  });
+
+  test("Prefers the version given", () => {
+    const payload = webhook.buildPayload("delete", {
+      pack: { name: "language-css" },
+      version: "0.9.0",
+    });
+
+    expect(payload.version).toBe("0.9.0");
+    expect(payload.package.owner).toBeNull();
+    expect(payload.user).toBeNull();
+  });
+});
+
+describe("Retrying deliveries", () => {
+  test("Backs off exponentially", () => {
+    expect(webhook.retryDelay(1)).toBe(30000);
+    expect(webhook.retryDelay(2)).toBe(60000);
+    expect(webhook.retryDelay(5)).toBe(480000);
+  });
+
+  test("Waits an hour at most", () => {
+    expect(webhook.retryDelay(8)).toBe(3600000);
+    expect(webhook.retryDelay(20)).toBe(3600000);
+  });
+});
+
+describe("Attempting deliveries", () => {
+  const payload = webhook.buildPayload("star", {
+    pack: { name: "language-css" },
+    details: { starred: true },
+  });
+
+  const delivery = {
+    id: payload.delivery,
+    webhook: 1,
+    subscriber: null,
+    event: "star",
+    payload: payload,
+    attempts: 0,
+    url: "https://example.com/hook",
+    secret: "whsec_test",
+  };
+
+  beforeEach(() => {
+    database.updateWebhookDelivery.mockReturnValue({ ok: true });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test("Sends webhooks the signed payload and records the delivery", async () => {
+    superagent.send.mockResolvedValueOnce({ status: 200 });
+
+    const res = await webhook.attemptDelivery(delivery);
+    const body = superagent.send.mock.calls[0][0];
+
+    expect(res).toEqual({ ok: true, content: "delivered" });
+    expect(superagent.post).toHaveBeenCalledWith("https://example.com/hook");
+    expect(JSON.parse(body)).toEqual(payload);
+    expect(superagent.set).toHaveBeenCalledWith(
+      expect.objectContaining({
+        "X-Pulsar-Event": "star",
+        "X-Pulsar-Delivery": payload.delivery,
+        "X-Pulsar-Signature-256": webhook.signPayload(body, "whsec_test"),
+      })
+    );
+    expect(database.updateWebhookDelivery).toHaveBeenCalledWith(
+      payload.delivery,
+      expect.objectContaining({
+        state: "delivered",
+        status: 200,
+        error: null,
+      })
+    );
+  });
+
+  test("Keeps a failed delivery pending with a backoff", async () => {
+    const err = new Error("Not Found");
+    err.status = 404;
+    superagent.send.mockRejectedValueOnce(err);
+
+    const res = await webhook.attemptDelivery({ ...delivery, attempts: 2 });
+
+    expect(res).toEqual({ ok: false, content: "pending" });
+    expect(database.updateWebhookDelivery).toHaveBeenCalledWith(
+      payload.delivery,
+      expect.objectContaining({
+        state: "pending",
+        status: 404,
+        error: "Not Found",
+        delay: webhook.retryDelay(3),
+      })
+    );
+  });
+
+  test("Dead-letters a delivery failing its last attempt", async () => {
+    superagent.send.mockRejectedValueOnce(new Error("Timeout"));
+
+    const res = await webhook.attemptDelivery({ ...delivery, attempts: 9 });
+
+    expect(res).toEqual({ ok: false, content: "dead" });
+    expect(database.updateWebhookDelivery).toHaveBeenCalledWith(
+      payload.delivery,
+      expect.objectContaining({ state: "dead", status: null, delay: 0 })
+    );
+    expect(logger.generic).toHaveBeenCalledWith(
+      3,
+      `Delivery ${payload.delivery} of star event failed 10 times, and is dead-lettered`
+    );
+  });
+
+  test("Sends built-in subscribers their payload as is", async () => {
+    superagent.send.mockResolvedValueOnce({ status: 204 });
+
+    const message = { content: "Published!" };
+    const res = await webhook.attemptDelivery({
+      id: "sub-delivery",
+      webhook: null,
+      subscriber: "discord",
+      event: "publish",
+      payload: message,
+      attempts: 0,
+      url: null,
+      secret: null,
+    });
+
+    expect(res.ok).toBe(true);
+    expect(superagent.post).toHaveBeenCalledWith(
+      "https://discord.example.com/publish"
+    );
+    expect(superagent.set).toHaveBeenCalledWith({});
+    expect(superagent.send).toHaveBeenCalledWith(message);
+  });
+
+  test("Fails a built-in subscriber no longer configured", async () => {
+    const res = await webhook.attemptDelivery({
+      id: "sub-delivery",
+      webhook: null,
+      subscriber: "discord",
+      event: "version",
+      payload: {},
+      attempts: 0,
+      url: null,
+      secret: null,
+    });
+
+    expect(res).toEqual({ ok: false, content: "pending" });
+    expect(superagent.post).not.toHaveBeenCalled();
+  });
+});
+
+describe("Processing the queue", () => {
+  beforeEach(() => {
+    database.updateWebhookDelivery.mockReturnValue({ ok: true });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test("Attempts every claimed delivery", async () => {
+    database.claimWebhookDeliveries.mockReturnValueOnce({
+      ok: true,
+      content: [
+        {
+          id: "one",
+          webhook: 1,
+          subscriber: null,
+          event: "delete",
+          payload: {},
+          attempts: 0,
+          url: "https://example.com/one",
+          secret: "whsec_one",
+        },
+        {
+          id: "two",
+          webhook: 2,
+          subscriber: null,
+          event: "delete",
+          payload: {},
+          attempts: 3,
+          url: "https://example.com/two",
+          secret: "whsec_two",
+        },
+      ],
+    });
+    superagent.send
+      .mockResolvedValueOnce({ status: 200 })
+      .mockRejectedValueOnce(new Error("Timeout"));
+
+    const res = await webhook.processQueue(5);
+
+    expect(res).toEqual({ ok: true, content: 1 });
+    expect(database.claimWebhookDeliveries).toHaveBeenCalledWith(5, 60000);
+    expect(database.updateWebhookDelivery).toHaveBeenCalledTimes(2);
+  });
+
+  test("Only processes one batch at a time", async () => {
+    let release;
+    database.claimWebhookDeliveries.mockReturnValueOnce(
+      new Promise((resolve) => {
+        release = resolve;
+      })
+    );
+
+    const first = webhook.processQueue();
+    const second = await webhook.processQueue();
+
+    expect(second).toEqual({ ok: true, content: 0 });
+
+    release({ ok: true, content: [] });
+    expect(await first).toEqual({ ok: true, content: 0 });
+    expect(database.claimWebhookDeliveries).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("Dispatching events", () => {
+  beforeEach(() => {
+    database.insertWebhookDelivery.mockReturnValue({ ok: true });
+    database.claimWebhookDeliveries.mockReturnValue({ ok: true, content: [] });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test("Queues publishes to Discord", async () => {
+    database.getWebhooksForEvent.mockReturnValueOnce({ ok: true, content: [] });
+
+    const res = await webhook.dispatchEvent("publish", {
+      pack: { name: "language-css", owner: "pulsar-edit" },
+      user: { username: "confused-Techie" },
+    });
+
+    expect(res).toEqual({ ok: true, content: 1 });
+    expect(database.insertWebhookDelivery).toHaveBeenCalledWith(
+      expect.objectContaining({
+        subscriber: "discord",
+        event: "publish",
+        payload: expect.objectContaining({
+          content: "confused-Techie Published language-css to Pulsar!",
+        }),
+      })
+    );
+    expect(database.getWebhooksForEvent).toHaveBeenCalledWith(
+      "publish",
+      "language-css",
+      "pulsar-edit"
+    );
+    expect(database.claimWebhookDeliveries).toHaveBeenCalled();
+  });
+
+  test("Skips Discord while it isn't configured", async () => {
+    database.getWebhooksForEvent.mockReturnValueOnce({ ok: true, content: [] });
+
+    const res = await webhook.dispatchEvent("version", {
+      pack: { name: "language-css", metadata: { version: "1.0.0" } },
+      user: { username: "confused-Techie" },
+    });
+
+    expect(res).toEqual({ ok: true, content: 0 });
+    expect(database.insertWebhookDelivery).not.toHaveBeenCalled();
+    expect(database.claimWebhookDeliveries).not.toHaveBeenCalled();
+  });
+
+  test("Queues a delivery to every subscribed webhook", async () => {
+    database.getWebhooksForEvent.mockReturnValueOnce({
+      ok: true,
+      content: [
+        { id: 1, url: "https://example.com/one", secret: "whsec_one" },
+        { id: 2, url: "https://example.com/two", secret: "whsec_two" },
+      ],
+    });
+
+    const res = await webhook.dispatchEvent("star", {
+      pack: { name: "language-css" },
+      details: { starred: false },
+    });
+
+    expect(res).toEqual({ ok: true, content: 2 });
+    expect(database.insertWebhookDelivery).toHaveBeenCalledTimes(2);
+
+    const [[first], [second]] = database.insertWebhookDelivery.mock.calls;
+
+    expect(first).toMatchObject({ webhook: 1, event: "star" });
+    expect(second).toMatchObject({ webhook: 2, event: "star" });
+    // Every delivery has its own ID, sent along as its payload
+    expect(first.id).toBe(first.payload.delivery);
+    expect(first.id).not.toBe(second.id);
+    // Nothing is sent until the queue is attempted
+    expect(superagent.post).not.toHaveBeenCalled();
+  });
+
+  test("Still queues Discord when webhooks can't be found", async () => {
+    database.getWebhooksForEvent.mockReturnValueOnce({
+      ok: false,
+      short: "server_error",
+    });
+
+    const res = await webhook.dispatchEvent("publish", {
+      pack: { name: "language-css" },
+      user: { username: "confused-Techie" },
+    });
+
+    expect(res).toEqual({ ok: true, content: 1 });
+    expect(logger.generic).toHaveBeenCalledWith(
+      3,
+      "Unable to find the webhooks of publish event",
+      expect.anything()
+    );
+  });
+});
@@ -0,0 +1,220 @@
+// Tests the webhook delivery queue against a local stand-in of a receiver,
+// with the queue itself kept in memory in place of the database.
+
+process.env.WEBHOOK_PUBLISH = "";
+process.env.WEBHOOK_VERSION = "";
+process.env.WEBHOOK_MAX_ATTEMPTS = "3";
+// The stand-in is on localhost
+process.env.WEBHOOK_ALLOW_PRIVATE = "true";
+
+const express = require("express");
+const crypto = require("crypto");
+const webhook = require("../../src/webhook.js");
+const database = require("../../src/database.js");
+
+jest.mock("../../src/logger.js", () => {
+  return {
+    generic: jest.fn(),
+  };
+});
+
+jest.mock("../../src/database.js", () => {
+  return {
+    getWebhooksForEvent: jest.fn(),
+    insertWebhookDelivery: jest.fn(),
+    claimWebhookDeliveries: jest.fn(),
+    updateWebhookDelivery: jest.fn(),
+  };
+});
+
+const secret = "whsec_standin";
+
+// Each path of the stand-in responds differently, recording every request
+const received = { ok: [], flaky: [], down: [], redirect: [] };
+
+let server;
+let baseUrl;
+
+// The queue, and the time as far as it's concerned
+const queue = new Map();
+let clock = 0;
+let hooks = [];
+
+beforeAll(async () => {
+  const app = express();
+
+  app.use(express.text({ type: "application/json" }));
+
+  app.post("/ok", (req, res) => {
+    received.ok.push(req);
+    res.status(200).end();
+  });
+
+  app.post("/flaky", (req, res) => {
+    received.flaky.push(req);
+    // Only succeeds on the third request
+    res.status(received.flaky.length < 3 ? 500 : 200).end();
+  });
+
+  app.post("/down", (req, res) => {
+    received.down.push(req);
+    res.status(503).end();
+  });
+
+  app.post("/redirect", (req, res) => {
+    received.redirect.push(req);
+    res.redirect(301, "/ok");
+  });
+
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+
+  baseUrl = `http://localhost:${server.address().port}`;
+
+  database.getWebhooksForEvent.mockImplementation(async () => {
+    return { ok: true, content: hooks };
+  });
+
+  database.insertWebhookDelivery.mockImplementation(async (delivery) => {
+    queue.set(delivery.id, {
+      ...delivery,
+      webhook: delivery.webhook ?? null,
+      subscriber: delivery.subscriber ?? null,
+      state: "pending",
+      attempts: 0,
+      next_attempt: clock,
+      status: null,
+    });
+    return { ok: true, content: { id: delivery.id } };
+  });
+
+  database.claimWebhookDeliveries.mockImplementation(async (limit, lease) => {
+    const due = Array.from(queue.values())
+      .filter((d) => d.state === "pending" && d.next_attempt <= clock)
+      .slice(0, limit);
+
+    for (const delivery of due) {
+      delivery.next_attempt = clock + lease;
+    }
+
+    return {
+      ok: true,
+      content: due.map((d) => {
+        const hook = hooks.find((h) => h.id === d.webhook);
+        return { ...d, url: hook.url, secret: hook.secret };
+      }),
+    };
+  });
+
+  database.updateWebhookDelivery.mockImplementation(async (id, attempt) => {
+    const delivery = queue.get(id);
+
+    delivery.state = attempt.state;
+    delivery.status = attempt.status;
+    delivery.attempts++;
+    delivery.next_attempt = clock + attempt.delay;
+
+    return {
+      ok: true,
+      content: { state: delivery.state, attempts: delivery.attempts },
+    };
+  });
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+beforeEach(() => {
+  queue.clear();
+  clock = 0;
+});
+
+const dispatchTo = async (path) => {
+  hooks = [{ id: 1, url: `${baseUrl}${path}`, secret: secret }];
+
+  const res = await webhook.dispatchEvent("delete", {
+    pack: { name: "language-standin", owner: "pulsar-edit" },
+    user: { username: "confused-Techie" },
+  });
+
+  expect(res).toEqual({ ok: true, content: 1 });
+
+  return Array.from(queue.values())[0];
+};
+
+describe("Webhook delivery queue", () => {
+  test("Delivers a signed payload straight away", async () => {
+    const delivery = await dispatchTo("/ok");
+    const req = received.ok[0];
+
+    expect(delivery.state).toBe("delivered");
+    expect(delivery.attempts).toBe(1);
+    expect(delivery.status).toBe(200);
+
+    expect(req.get("X-Pulsar-Event")).toBe("delete");
+    expect(req.get("X-Pulsar-Delivery")).toBe(delivery.id);
+    expect(req.get("X-Pulsar-Signature-256")).toBe(
+      `sha256=${crypto
+        .createHmac("sha256", secret)
+        .update(req.body)
+        .digest("hex")}`
+    );
+    expect(JSON.parse(req.body)).toEqual(delivery.payload);
+  });
+
+  test("Retries a failed delivery once its backoff has passed", async () => {
+    const delivery = await dispatchTo("/flaky");
+
+    expect(delivery.state).toBe("pending");
+    expect(delivery.status).toBe(500);
+
+    // Not yet due
+    clock += webhook.retryDelay(1) - 1;
+    await webhook.processQueue();
+    expect(received.flaky.length).toBe(1);
+
+    clock += 1;
+    await webhook.processQueue();
+    expect(received.flaky.length).toBe(2);
+    expect(delivery.state).toBe("pending");
+    expect(delivery.next_attempt).toBe(clock + webhook.retryDelay(2));
+
+    clock += webhook.retryDelay(2);
+    await webhook.processQueue();
+    expect(received.flaky.length).toBe(3);
+    expect(delivery.state).toBe("delivered");
+    expect(delivery.attempts).toBe(3);
+
+    // Every attempt is of the same delivery
+    expect(
+      received.flaky.every(
+        (req) => req.get("X-Pulsar-Delivery") === delivery.id
+      )
+    ).toBe(true);
+  });
+
+  test("Dead-letters a delivery after its last attempt", async () => {
+    const delivery = await dispatchTo("/down");
+
+    for (let i = 1; i < 5; i++) {
+      clock += webhook.retryDelay(i);
+      await webhook.processQueue();
+    }
+
+    expect(received.down.length).toBe(3);
+    expect(delivery.state).toBe("dead");
+    expect(delivery.attempts).toBe(3);
+    expect(delivery.status).toBe(503);
+  });
+
+  test("Doesn't follow redirects", async () => {
+    const before = received.ok.length;
+    const delivery = await dispatchTo("/redirect");
+
+    expect(delivery.state).toBe("pending");
+    expect(delivery.status).toBe(301);
+    expect(received.ok.length).toBe(before);
+  });
+});
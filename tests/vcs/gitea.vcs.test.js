@@ -0,0 +1,206 @@
+// Tests the Gitea VCS Provider against a local mock of the Gitea REST API.
+
+const express = require("express");
+const Gitea = require("../../src/vcs_providers/gitea.js");
+const vcs = require("../../src/vcs.js");
+
+const ownerRepo = "pulsar-edit/language-gitea";
+
+const base64 = (val) => {
+  return {
+    content: Buffer.from(val).toString("base64"),
+    encoding: "base64",
+  };
+};
+
+const files = {
+  "package.json": JSON.stringify({
+    name: "language-gitea",
+    version: "1.1.0",
+    repository: `https://codeberg.org/${ownerRepo}`,
+  }),
+  "README.md": "# language-gitea",
+  "grammars/gitea.json": JSON.stringify({ fileTypes: ["gt"] }),
+};
+
+const permissions = {
+  "pulsar-maintainer": "write",
+  "pulsar-reader": "read",
+};
+
+let server;
+let gitea;
+
+beforeAll(async () => {
+  const app = express();
+
+  app.use((req, res, next) => {
+    // The token is the login of the user it belongs to, unless it's invalid
+    const token = (req.get("Authorization") ?? "").replace("Bearer ", "");
+
+    if (token === "invalid-token") {
+      res.status(401).json({ message: "token is required" });
+      return;
+    }
+    req.login = token;
+    next();
+  });
+
+  app.get("/api/v1/user", (req, res) => {
+    res.json({ login: req.login });
+  });
+
+  app.get(
+    "/api/v1/repos/:owner/:repo/collaborators/:login/permission",
+    (req, res) => {
+      if (`${req.params.owner}/${req.params.repo}` !== ownerRepo) {
+        res.status(404).json({ message: "The target couldn't be found." });
+        return;
+      }
+      if (typeof permissions[req.params.login] !== "string") {
+        res.status(403).json({ message: "Not a collaborator." });
+        return;
+      }
+      res.json({ permission: permissions[req.params.login] });
+    }
+  );
+
+  app.get("/api/v1/repos/:owner/:repo", (req, res) => {
+    if (`${req.params.owner}/${req.params.repo}` !== ownerRepo) {
+      res.status(404).json({ message: "The target couldn't be found." });
+      return;
+    }
+    res.json({ full_name: ownerRepo });
+  });
+
+  app.get("/api/v1/repos/:owner/:repo/tags", (req, res) => {
+    res.json([
+      {
+        name: "v1.1.0",
+        commit: { sha: "abc123" },
+        tarball_url: `https://codeberg.org/${ownerRepo}/archive/v1.1.0.tar.gz`,
+      },
+    ]);
+  });
+
+  app.get("/api/v1/repos/:owner/:repo/contents", (req, res) => {
+    res.json([
+      { name: "package.json", path: "package.json", type: "file" },
+      { name: "README.md", path: "README.md", type: "file" },
+      { name: "grammars", path: "grammars", type: "dir" },
+    ]);
+  });
+
+  app.get("/api/v1/repos/:owner/:repo/contents/*", (req, res) => {
+    const path = req.params[0];
+
+    if (path === "grammars") {
+      res.json([
+        { name: "gitea.json", path: "grammars/gitea.json", type: "file" },
+      ]);
+      return;
+    }
+    if (typeof files[path] !== "string") {
+      res.status(404).json({ message: "The target couldn't be found." });
+      return;
+    }
+    res.json({ name: path, ...base64(files[path]) });
+  });
+
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+
+  gitea = new Gitea({
+    api_url: `http://localhost:${server.address().port}/api/v1`,
+  });
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+const user = { token: "pulsar-maintainer" };
+
+describe("vcs.determineProvider", () => {
+  test("Returns the Gitea service type for Codeberg", () => {
+    const res = vcs.determineProvider(`https://codeberg.org/${ownerRepo}`);
+    expect(res.type).toBe("berg");
+  });
+});
+
+describe("Gitea.ownership", () => {
+  test("Returns the permission of a user with write access", async () => {
+    const res = await gitea.ownership(user, ownerRepo);
+    expect(res.ok).toBe(true);
+    expect(res.content).toBe("write");
+  });
+
+  test("Returns No Repo Access for a user with read access", async () => {
+    const res = await gitea.ownership({ token: "pulsar-reader" }, ownerRepo);
+    expect(res.ok).toBe(false);
+    expect(res.short).toBe("No Repo Access");
+  });
+
+  test("Returns No Repo Access for a user that isn't a collaborator", async () => {
+    const res = await gitea.ownership({ token: "someone-else" }, ownerRepo);
+    expect(res.ok).toBe(false);
+    expect(res.short).toBe("No Repo Access");
+  });
+
+  test("Returns Server Error for bad auth", async () => {
+    const res = await gitea.ownership({ token: "invalid-token" }, ownerRepo);
+    expect(res.ok).toBe(false);
+    expect(res.short).toBe("Server Error");
+    expect(res.content).toBe("Bad Auth");
+  });
+});
+
+describe("Gitea.exists", () => {
+  test("Returns the full name of an existing repo", async () => {
+    const res = await gitea.exists(user, ownerRepo);
+    expect(res.ok).toBe(true);
+    expect(res.content).toBe(ownerRepo);
+  });
+
+  test("Returns Bad Repo for an unknown repo", async () => {
+    const res = await gitea.exists(user, "pulsar-edit/not-a-repo");
+    expect(res.ok).toBe(false);
+    expect(res.short).toBe("Bad Repo");
+  });
+});
+
+describe("Gitea.readme", () => {
+  test("Returns the readme text", async () => {
+    const res = await gitea.readme(user, ownerRepo);
+    expect(res.ok).toBe(true);
+    expect(res.content).toBe("# language-gitea");
+  });
+});
+
+describe("Gitea.tags", () => {
+  test("Returns the tags of the repo", async () => {
+    const res = await gitea.tags(user, ownerRepo);
+    expect(res.ok).toBe(true);
+    expect(res.content[0].name).toBe("v1.1.0");
+    expect(res.content[0].commit.sha).toBe("abc123");
+  });
+});
+
+describe("Gitea.packageJSON", () => {
+  test("Returns the parsed package.json", async () => {
+    const res = await gitea.packageJSON(user, ownerRepo);
+    expect(res.ok).toBe(true);
+    expect(res.content.name).toBe("language-gitea");
+  });
+});
+
+describe("Gitea.featureDetection", () => {
+  test("Returns the grammar features of the repo", async () => {
+    const res = await gitea.featureDetection(user, ownerRepo);
+    expect(res.ok).toBe(true);
+    expect(res.content.hasGrammar).toBe(true);
+    expect(res.content.hasSnippets).toBeUndefined();
+    expect(res.content.supportedLanguages).toEqual(["gt"]);
+  });
+});
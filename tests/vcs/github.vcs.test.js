@@ -126,6 +126,52 @@ describe("vcs_providers/github.doesUserHaveRepo() MOCK", () => {
   });
 });
 
+describe("vcs_providers/github.ownership() without a GitHub token MOCK", () => {
+  test("Returns Successful Ownership of a repo owned by the user", async () => {
+    const mockData = new httpMock.HTTP()
+      .ok(true)
+      .status(200)
+      .body({ owner: { node_id: "456" } })
+      .parse().obj;
+
+    const tmpMock = webRequestMockHelper(mockData);
+    const userData = {
+      token: null,
+      node_id: "456",
+    };
+
+    let tmp = new GitHub();
+    let res = await tmp.ownership(userData, "owner/repo");
+
+    expect(tmpMock).toHaveBeenCalledWith("/repos/owner/repo");
+    tmpMock.mockClear();
+
+    expect(res.ok).toBe(true);
+    expect(res.content).toBe("admin");
+  });
+
+  test("Returns No Repo Access for a repo owned by someone else", async () => {
+    const mockData = new httpMock.HTTP()
+      .ok(true)
+      .status(200)
+      .body({ owner: { node_id: "789" } })
+      .parse().obj;
+
+    const tmpMock = webRequestMockHelper(mockData);
+    const userData = {
+      token: null,
+      node_id: "456",
+    };
+
+    let tmp = new GitHub();
+    let res = await tmp.ownership(userData, "pulsar-edit/pulsar");
+    tmpMock.mockClear();
+
+    expect(res.ok).toBe(false);
+    expect(res.short).toBe("No Repo Access");
+  });
+});
+
 describe("vcs_providers/github.readme() MOCK", () => {
   test("Returns Bad Auth", async () => {
     const mockData = new httpMock.HTTP()
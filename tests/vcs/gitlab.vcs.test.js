@@ -0,0 +1,190 @@
+// Tests the GitLab VCS Provider against a local mock of the GitLab REST API.
+
+const express = require("express");
+const GitLab = require("../../src/vcs_providers/gitlab.js");
+const vcs = require("../../src/vcs.js");
+
+const ownerRepo = "pulsar-edit/packages/language-gitlab";
+const projectId = encodeURIComponent(ownerRepo);
+
+const base64 = (val) => {
+  return {
+    content: Buffer.from(val).toString("base64"),
+    encoding: "base64",
+  };
+};
+
+const project = {
+  id: 1,
+  path_with_namespace: ownerRepo,
+  default_branch: "main",
+  readme_url: `https://gitlab.com/${ownerRepo}/-/blob/main/README.md`,
+  permissions: {
+    project_access: { access_level: 40 },
+    group_access: null,
+  },
+};
+
+const files = {
+  "package.json": JSON.stringify({
+    name: "language-gitlab",
+    version: "1.1.0",
+    repository: `https://gitlab.com/${ownerRepo}`,
+  }),
+  "README.md": "# language-gitlab",
+  "grammars/gitlab.cson": "fileTypes: ['gl']",
+};
+
+let server;
+let gitlab;
+
+beforeAll(async () => {
+  const app = express();
+
+  app.use((req, res, next) => {
+    // Only the token `valid-token` is allowed to talk to our fake GitLab
+    if (req.get("Authorization") !== "Bearer valid-token") {
+      res.status(401).json({ message: "401 Unauthorized" });
+      return;
+    }
+    next();
+  });
+
+  app.get("/api/v4/projects/:id", (req, res) => {
+    if (req.params.id !== ownerRepo) {
+      res.status(404).json({ message: "404 Project Not Found" });
+      return;
+    }
+    res.json(project);
+  });
+
+  app.get("/api/v4/projects/:id/repository/tags", (req, res) => {
+    res.json([
+      { name: "v1.1.0", commit: { id: "abc123" } },
+      { name: "v1.0.0", commit: { id: "def456" } },
+    ]);
+  });
+
+  app.get("/api/v4/projects/:id/repository/files/:path", (req, res) => {
+    const file = files[req.params.path];
+
+    if (typeof file !== "string") {
+      res.status(404).json({ message: "404 File Not Found" });
+      return;
+    }
+    res.json({ file_name: req.params.path, ...base64(file) });
+  });
+
+  app.get("/api/v4/projects/:id/repository/tree", (req, res) => {
+    if (req.query.path !== "grammars") {
+      res.status(404).json({ message: "404 Tree Not Found" });
+      return;
+    }
+    res.json([
+      { name: "gitlab.cson", path: "grammars/gitlab.cson", type: "blob" },
+    ]);
+  });
+
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+
+  gitlab = new GitLab({
+    api_url: `http://localhost:${server.address().port}/api/v4`,
+  });
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+const user = { token: "valid-token" };
+const badUser = { token: "invalid-token" };
+
+describe("vcs.determineProvider", () => {
+  test("Returns the GitLab service type", () => {
+    const res = vcs.determineProvider(`https://gitlab.com/${ownerRepo}`);
+    expect(res.type).toBe("lab");
+  });
+});
+
+describe("GitLab.ownership", () => {
+  test("Returns the role of a user with push access", async () => {
+    const res = await gitlab.ownership(user, ownerRepo);
+    expect(res.ok).toBe(true);
+    expect(res.content).toBe("maintainer");
+  });
+
+  test("Returns No Repo Access for an unknown repo", async () => {
+    const res = await gitlab.ownership(user, "pulsar-edit/not-a-repo");
+    expect(res.ok).toBe(false);
+    expect(res.short).toBe("No Repo Access");
+  });
+
+  test("Returns Server Error for bad auth", async () => {
+    const res = await gitlab.ownership(badUser, ownerRepo);
+    expect(res.ok).toBe(false);
+    expect(res.short).toBe("Server Error");
+    expect(res.content).toBe("Bad Auth");
+  });
+});
+
+describe("GitLab.exists", () => {
+  test("Returns the full path of an existing repo", async () => {
+    const res = await gitlab.exists(user, ownerRepo);
+    expect(res.ok).toBe(true);
+    expect(res.content).toBe(ownerRepo);
+  });
+
+  test("Returns Bad Repo for an unknown repo", async () => {
+    const res = await gitlab.exists(user, "pulsar-edit/not-a-repo");
+    expect(res.ok).toBe(false);
+    expect(res.short).toBe("Bad Repo");
+  });
+});
+
+describe("GitLab.readme", () => {
+  test("Returns the readme text", async () => {
+    const res = await gitlab.readme(user, ownerRepo);
+    expect(res.ok).toBe(true);
+    expect(res.content).toBe("# language-gitlab");
+  });
+});
+
+describe("GitLab.tags", () => {
+  test("Returns the tags shaped like GitHub tags", async () => {
+    const res = await gitlab.tags(user, ownerRepo);
+    expect(res.ok).toBe(true);
+    expect(res.content.length).toBe(2);
+    expect(res.content[0].name).toBe("v1.1.0");
+    expect(res.content[0].commit.sha).toBe("abc123");
+    expect(res.content[0].tarball_url).toBe(
+      `${gitlab.apiUrl}/projects/${projectId}/repository/archive.tar.gz?sha=v1.1.0`
+    );
+  });
+});
+
+describe("GitLab.packageJSON", () => {
+  test("Returns the parsed package.json", async () => {
+    const res = await gitlab.packageJSON(user, ownerRepo);
+    expect(res.ok).toBe(true);
+    expect(res.content.name).toBe("language-gitlab");
+    expect(res.content.version).toBe("1.1.0");
+  });
+
+  test("Returns Bad Auth for bad auth", async () => {
+    const res = await gitlab.packageJSON(badUser, ownerRepo);
+    expect(res.ok).toBe(false);
+    expect(res.short).toBe("Bad Auth");
+  });
+});
+
+describe("GitLab.featureDetection", () => {
+  test("Returns the grammar features of the repo", async () => {
+    const res = await gitlab.featureDetection(user, ownerRepo);
+    expect(res.ok).toBe(true);
+    expect(res.content.hasGrammar).toBe(true);
+    expect(res.content.hasSnippets).toBeUndefined();
+    expect(res.content.supportedLanguages).toEqual(["gl"]);
+  });
+});
@@ -64,3 +64,51 @@ describe("determineProvider Returns as expected", () => {
     expect(res.url).toBe(tmp);
   });
 });
+
+describe("resolveRepository Returns as expected", () => {
+  test("Resolves a GitHub repo when given only owner/repo", () => {
+    const res = vcs.resolveRepository("pulsar-edit/pulsar");
+    expect(res.ok).toBe(true);
+    expect(res.content.ownerRepo).toBe("pulsar-edit/pulsar");
+    expect(res.content.service).toBe("git");
+    expect(res.content.repository).toEqual({
+      type: "git",
+      url: "https://github.com/pulsar-edit/pulsar",
+    });
+  });
+  test("Resolves the service given alongside owner/repo", () => {
+    const res = vcs.resolveRepository("pulsar-edit/pulsar", "lab");
+    expect(res.ok).toBe(true);
+    expect(res.content.service).toBe("lab");
+    expect(res.content.repository.url).toBe(
+      "https://gitlab.com/pulsar-edit/pulsar"
+    );
+  });
+  test("Resolves the service from a full URL", () => {
+    const url = "https://codeberg.org/pulsar-edit/pulsar";
+    const res = vcs.resolveRepository(url, "lab");
+    expect(res.ok).toBe(true);
+    expect(res.content.ownerRepo).toBe("pulsar-edit/pulsar");
+    expect(res.content.service).toBe("berg");
+    expect(res.content.repository.url).toBe(url);
+  });
+  test("Fails for anything that isn't an owner/repo combo", () => {
+    for (const repo of ["bad-format", "pulsar-edit/", "/pulsar", "a b/c", ""]) {
+      const res = vcs.resolveRepository(repo);
+      expect(res.ok).toBe(false);
+      expect(res.short).toBe("Bad Repo");
+    }
+  });
+  test("Resolves a GitLab repo within a subgroup", () => {
+    const res = vcs.resolveRepository("pulsar-edit/packages/pulsar", "lab");
+    expect(res.ok).toBe(true);
+    expect(res.content.ownerRepo).toBe("pulsar-edit/packages/pulsar");
+  });
+  test("Fails for an unsupported service", () => {
+    const res = vcs.resolveRepository(
+      "https://bitbucket.org/pulsar-edit/pulsar"
+    );
+    expect(res.ok).toBe(false);
+    expect(res.short).toBe("Bad Repo");
+  });
+});